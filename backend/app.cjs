@@ -49,6 +49,8 @@ const GEM_API_BASE_URL = (process.env.GEM_API_BASE_URL || "https://api.gem.com")
 const ASHBY_API_KEY = process.env.ASHBY_API_KEY || "";
 const ASHBY_API_BASE_URL = (process.env.ASHBY_API_BASE_URL || "https://api.ashbyhq.com").replace(/\/$/, "");
 const BACKEND_SHARED_TOKEN = process.env.BACKEND_SHARED_TOKEN || "";
+const REMINDER_CALENDAR_SECRET = String(process.env.REMINDER_CALENDAR_SECRET || "").trim();
+const REMINDER_CALENDAR_ROUTE = "/api/reminders/calendar.ics";
 const ALLOWED_EXTENSION_ORIGINS = new Set(
   String(process.env.ALLOWED_EXTENSION_ORIGINS || "")
     .split(",")
@@ -69,6 +71,14 @@ const CUSTOM_FIELDS_SCAN_MAX = Number(process.env.CUSTOM_FIELDS_SCAN_MAX || PROJ
 const SEQUENCES_SCAN_MAX = Number(process.env.SEQUENCES_SCAN_MAX || 20000);
 const ASHBY_JOBS_SCAN_MAX = Number(process.env.ASHBY_JOBS_SCAN_MAX || 5000);
 const ASHBY_CANDIDATES_SCAN_MAX = Number(process.env.ASHBY_CANDIDATES_SCAN_MAX || 100000);
+const PROJECT_BATCH_ADD_MAX = Number(process.env.PROJECT_BATCH_ADD_MAX || 25);
+// Same cap as the extension; the base64 JSON body must stay under the 4.5MB Vercel request limit.
+const RESUME_UPLOAD_MAX_BYTES = 3 * 1024 * 1024;
+const RESUME_UPLOAD_CONTENT_TYPES = Object.freeze({
+  pdf: "application/pdf",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+});
 const GEM_CANDIDATE_LOOKUP_SCAN_MAX = Number(process.env.GEM_CANDIDATE_LOOKUP_SCAN_MAX || 5000);
 const GEM_CUSTOM_FIELDS_CACHE_TTL_MS = Number(process.env.GEM_CUSTOM_FIELDS_CACHE_TTL_MS || 10 * 60 * 1000);
 const GEM_CUSTOM_FIELD_CANDIDATE_CONTEXT_TTL_MS = Number(
@@ -145,6 +155,12 @@ let gemCustomFieldCatalogCache = {
   fields: []
 };
 let gemCustomFieldCatalogRefreshPromise = null;
+let gemProjectFieldCatalogCache = {
+  builtAtMs: 0,
+  builtAt: "",
+  fields: []
+};
+let gemProjectFieldCatalogRefreshPromise = null;
 const gemCustomFieldCandidateContextCache = new Map();
 const gemCandidateSearchProbeHistory = new Map();
 
@@ -305,6 +321,15 @@ function writeJson(req, res, statusCode, payload) {
   res.end(JSON.stringify(payload));
 }
 
+function writeCalendar(res, statusCode, ics) {
+  res.writeHead(statusCode, {
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": 'inline; filename="gem-reminders.ics"',
+    "Cache-Control": "private, max-age=300"
+  });
+  res.end(ics);
+}
+
 function writeHtml(res, statusCode, html) {
   res.writeHead(statusCode, {
     "Content-Type": "text/html; charset=utf-8",
@@ -560,7 +585,8 @@ function getHealthPayload() {
       ashbyApiKeyConfigured: Boolean(ASHBY_API_KEY),
       ashbyWriteEnabled: ASHBY_WRITE_ENABLED,
       ashbyWriteRequireConfirmation: ASHBY_WRITE_REQUIRE_CONFIRMATION,
-      ashbyWriteConfirmationConfigured: Boolean(ASHBY_WRITE_CONFIRMATION_TOKEN)
+      ashbyWriteConfirmationConfigured: Boolean(ASHBY_WRITE_CONFIRMATION_TOKEN),
+      reminderCalendarConfigured: Boolean(REMINDER_CALENDAR_SECRET)
     },
     warnings
   };
@@ -664,7 +690,7 @@ async function ashbyRequest(methodName, payload = {}, audit = {}, options = {})
   return parsed;
 }
 
-async function gemRequest(pathname, { method = "GET", query = {}, body } = {}, audit = {}) {
+async function gemRequest(pathname, { method = "GET", query = {}, body, formData } = {}, audit = {}) {
   if (!GEM_API_KEY) {
     throw new Error("Server is missing GEM_API_KEY.");
   }
@@ -686,20 +712,22 @@ async function gemRequest(pathname, { method = "GET", query = {}, body } = {}, a
     route: audit.route,
     runId: audit.runId,
     actionId: audit.actionId,
-    details: { query, body }
+    details: { query, body, formDataKeys: formData ? Array.from(formData.keys()) : [] }
   });
 
   const start = Date.now();
+  // Multipart bodies must let fetch set the boundary in Content-Type.
   const response = await fetch(url.toString(), {
     method,
     headers: {
       Accept: "application/json",
-      "Content-Type": "application/json",
+      ...(formData ? {} : { "Content-Type": "application/json" }),
       "X-API-Key": GEM_API_KEY,
       Authorization: `Bearer ${GEM_API_KEY}`
     },
-    body:
-      method === "GET" || method === "HEAD" || body === undefined
+    body: formData
+      ? formData
+      : method === "GET" || method === "HEAD" || body === undefined
         ? undefined
         : JSON.stringify(body)
   });
@@ -1452,6 +1480,7 @@ async function createCandidateFromContext(payload, audit) {
   addProfileUrl(payload?.githubUrl);
   addProfileUrl(payload?.gemProfileUrl);
   addProfileUrl(linkedInUrl);
+  addProfileUrl(payload?.website);
   if (Array.isArray(payload?.profileUrls)) {
     payload.profileUrls.forEach((value) => addProfileUrl(value));
   }
@@ -1463,10 +1492,14 @@ async function createCandidateFromContext(payload, audit) {
     throw new Error("At least one identifier is required (linkedInHandle, email, or profileUrl).");
   }
 
+  const phoneNumber = normalizeCandidatePhoneNumber(payload?.phoneNumber);
   const body = omitUndefined({
     created_by: createdBy,
     first_name: payload.firstName,
     last_name: payload.lastName,
+    title: String(payload?.title || "").trim().slice(0, 255) || undefined,
+    company: String(payload?.company || "").trim().slice(0, 255) || undefined,
+    phone_number: isValidPhoneNumber(phoneNumber) ? phoneNumber : undefined,
     linked_in_handle: linkedInHandle || undefined,
     profile_urls: profileUrls.length > 0 ? profileUrls : undefined,
     emails:
@@ -1577,6 +1610,126 @@ async function addCandidateToProject(payload, audit) {
   }
 }
 
+async function removeCandidateFromProject(payload, audit) {
+  const projectId = String(payload.projectId || "").trim();
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!projectId || !candidateId) {
+    throw new Error("projectId and candidateId are required.");
+  }
+  const userId = await resolveCreatedByUserId(payload.userId, payload.userEmail, audit);
+
+  await gemRequest(
+    `/v0/projects/${projectId}/candidates`,
+    {
+      method: "DELETE",
+      body: {
+        candidate_ids: [candidateId],
+        ...(userId ? { user_id: userId } : {})
+      }
+    },
+    audit
+  );
+  invalidateGemCustomFieldCandidateContext(candidateId);
+  return { projectId, candidateId, userId };
+}
+
+async function listCandidateProjectIds(payload, audit) {
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!candidateId) {
+    throw new Error("candidateId is required.");
+  }
+  const candidateContext = await resolveCustomFieldCandidateContext({ candidateId }, audit, {
+    forceRefresh: Boolean(payload.forceRefresh)
+  });
+  return {
+    candidateId,
+    projectIds: candidateContext.candidateProjectIds,
+    cacheStatus: candidateContext.cacheStatus
+  };
+}
+
+async function addCandidatesToProjectBatch(payload, audit) {
+  const projectId = String(payload.projectId || "").trim();
+  const items = Array.isArray(payload.candidates) ? payload.candidates : [];
+  if (!projectId) {
+    throw new Error("projectId is required.");
+  }
+  if (items.length === 0) {
+    throw new Error("candidates is required.");
+  }
+  if (items.length > PROJECT_BATCH_ADD_MAX) {
+    throw new Error(`At most ${PROJECT_BATCH_ADD_MAX} candidates can be added per batch.`);
+  }
+  const allowCreate = payload.allowCreate !== false;
+
+  const results = [];
+  for (const [index, item] of items.entries()) {
+    const key = String(item?.key || index);
+    try {
+      let { candidate } = await resolveCandidateByContext(item, audit);
+      let created = false;
+      if (!candidate?.id) {
+        if (!allowCreate) {
+          throw new Error("No matching Gem candidate.");
+        }
+        ({ candidate } = await createCandidateFromContext(
+          {
+            ...item,
+            createdByUserId: payload.userId,
+            createdByUserEmail: payload.userEmail
+          },
+          audit
+        ));
+        created = true;
+      }
+      if (!candidate?.id) {
+        throw new Error("Gem did not return a candidate id.");
+      }
+      await addCandidateToProject(
+        {
+          projectId,
+          candidateId: candidate.id,
+          userId: payload.userId,
+          userEmail: payload.userEmail
+        },
+        audit
+      );
+      results.push({
+        key,
+        ok: true,
+        candidateId: String(candidate.id),
+        created,
+        weblink: String(candidate.weblink || "")
+      });
+    } catch (error) {
+      results.push({
+        key,
+        ok: false,
+        message: String(error?.data?.message || error?.message || "Could not add candidate.")
+      });
+    }
+  }
+
+  const addedCount = results.filter((result) => result.ok).length;
+  logEvent({
+    level: addedCount === results.length ? "info" : "warn",
+    source: "backend",
+    event: "project.add_candidates_batch.completed",
+    message: `Added ${addedCount}/${results.length} candidates to project ${projectId}.`,
+    requestId: audit.requestId,
+    route: audit.route,
+    runId: audit.runId,
+    actionId: audit.actionId,
+    details: {
+      projectId,
+      addedCount,
+      failedCount: results.length - addedCount,
+      createdCount: results.filter((result) => result.created).length
+    }
+  });
+  return { projectId, addedCount, results };
+}
+
 function slugifyGemProjectName(name) {
   return String(name || "")
     .normalize("NFKD")
@@ -2145,6 +2298,282 @@ async function listCustomFields(payload, audit) {
   return result;
 }
 
+function normalizeGemProjectFieldCatalog(fields) {
+  const seen = new Set();
+  return (Array.isArray(fields) ? fields : [])
+    .map((field) => ({
+      id: String(field.id || ""),
+      name: String(field.name || ""),
+      valueType: String(field.field_type || ""),
+      isHidden: Boolean(field.is_hidden),
+      isRequired: Boolean(field.is_required),
+      options: Array.isArray(field.options)
+        ? field.options
+            .map((option) => ({
+              id: String(option.id || ""),
+              value: String(option.value || ""),
+              isHidden: Boolean(option.is_hidden)
+            }))
+            .filter((option) => option.id && !option.isHidden)
+        : []
+    }))
+    .filter((field) => {
+      if (!field.id || seen.has(field.id) || field.isHidden) {
+        return false;
+      }
+      seen.add(field.id);
+      return true;
+    });
+}
+
+async function refreshGemProjectFieldCatalog(audit) {
+  const fields = await listPaged("/v0/project_fields", audit, {
+    pageSize: 100,
+    maxPages: 20
+  });
+  const normalized = normalizeGemProjectFieldCatalog(fields);
+  gemProjectFieldCatalogCache = {
+    builtAtMs: Date.now(),
+    builtAt: new Date().toISOString(),
+    fields: normalized
+  };
+
+  logEvent({
+    source: "backend",
+    event: "gem.project_fields_catalog.refreshed",
+    message: "Refreshed Gem project field catalog cache.",
+    requestId: audit.requestId,
+    route: audit.route,
+    runId: audit.runId,
+    actionId: audit.actionId,
+    details: {
+      scannedCount: Array.isArray(fields) ? fields.length : 0,
+      projectFieldCount: normalized.length
+    }
+  });
+
+  return gemProjectFieldCatalogCache;
+}
+
+function ensureGemProjectFieldCatalog(audit, options = {}) {
+  const isFresh =
+    Array.isArray(gemProjectFieldCatalogCache.fields) &&
+    gemProjectFieldCatalogCache.builtAtMs > 0 &&
+    Date.now() - gemProjectFieldCatalogCache.builtAtMs <= GEM_CUSTOM_FIELDS_CACHE_TTL_MS;
+  if (!options.forceRefresh && isFresh) {
+    return Promise.resolve(gemProjectFieldCatalogCache);
+  }
+  if (gemProjectFieldCatalogRefreshPromise) {
+    return gemProjectFieldCatalogRefreshPromise;
+  }
+  gemProjectFieldCatalogRefreshPromise = refreshGemProjectFieldCatalog(audit).finally(() => {
+    gemProjectFieldCatalogRefreshPromise = null;
+  });
+  return gemProjectFieldCatalogRefreshPromise;
+}
+
+function buildProjectFieldMembershipById(memberships) {
+  const map = new Map();
+  (Array.isArray(memberships) ? memberships : []).forEach((membership) => {
+    const fieldId = String(membership?.id || "").trim();
+    if (!fieldId) {
+      return;
+    }
+    map.set(fieldId, {
+      value: membership?.value,
+      valueOptionIds: Array.isArray(membership?.value_option_ids)
+        ? membership.value_option_ids.map((id) => String(id || "").trim()).filter(Boolean)
+        : []
+    });
+  });
+  return map;
+}
+
+async function listProjectFields(payload, audit) {
+  const startedAt = Date.now();
+  const projectId = String(payload.projectId || "").trim();
+  if (!projectId) {
+    throw new Error("projectId is required.");
+  }
+  const forceRefresh = Boolean(payload.forceRefresh);
+  const [catalog, project] = await Promise.all([
+    ensureGemProjectFieldCatalog(audit, { forceRefresh }),
+    gemRequest(`/v0/projects/${projectId}`, {}, audit)
+  ]);
+  const membershipById = buildProjectFieldMembershipById(project?.project_fields);
+
+  const projectFields = (Array.isArray(catalog?.fields) ? catalog.fields : [])
+    .map((field) => {
+      const membership = membershipById.get(field.id) || null;
+      const optionValueById = new Map(field.options.map((option) => [option.id, option.value]));
+      const currentOptionIds = Array.isArray(membership?.valueOptionIds) ? membership.valueOptionIds.slice() : [];
+      let currentValueLabels = [];
+      if (currentOptionIds.length > 0) {
+        currentValueLabels = currentOptionIds.map((id) => optionValueById.get(id) || id).filter(Boolean);
+      } else if (Array.isArray(membership?.value)) {
+        currentValueLabels = membership.value.map((value) => String(value || "").trim()).filter(Boolean);
+      } else if (membership?.value !== undefined && membership?.value !== null) {
+        const rawValue = String(membership.value || "").trim();
+        if (rawValue) {
+          currentValueLabels = [rawValue];
+        }
+      }
+      return {
+        ...field,
+        currentOptionIds,
+        currentValueLabels,
+        options: field.options.slice().sort((a, b) => a.value.localeCompare(b.value))
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  logEvent({
+    source: "backend",
+    event: "project_fields.list.resolved",
+    message: `Resolved ${projectFields.length} project fields.`,
+    requestId: audit.requestId,
+    route: audit.route,
+    runId: audit.runId,
+    actionId: audit.actionId,
+    durationMs: Date.now() - startedAt,
+    details: {
+      projectId,
+      forceRefresh,
+      projectFieldCount: projectFields.length
+    }
+  });
+
+  return {
+    projectId,
+    projectName: String(project?.name || ""),
+    projectFields
+  };
+}
+
+async function setProjectField(payload, audit) {
+  const projectId = String(payload.projectId || "").trim();
+  const projectFieldId = String(payload.projectFieldId || "").trim();
+  if (!projectId || !projectFieldId) {
+    throw new Error("projectId and projectFieldId are required.");
+  }
+
+  const valueType = String(payload.projectFieldValueType || payload.valueType || "").trim();
+  const optionIdsRaw = Array.isArray(payload.projectFieldOptionIds)
+    ? payload.projectFieldOptionIds
+    : Array.isArray(payload.optionIds)
+      ? payload.optionIds
+      : [];
+  const optionIds = Array.from(new Set(optionIdsRaw.map((id) => String(id || "").trim()).filter(Boolean)));
+  const text = String(payload.projectFieldText || payload.text || "").trim();
+  const path = `/v0/projects/${projectId}/project_field_options`;
+  const operations = [];
+
+  if (valueType === "text") {
+    operations.push(
+      text
+        ? { project_field_id: projectFieldId, operation: "add", text }
+        : { project_field_id: projectFieldId, operation: "remove" }
+    );
+  } else if (valueType === "single_select") {
+    operations.push(
+      optionIds.length > 0
+        ? { project_field_id: projectFieldId, operation: "add", options: [optionIds[0]] }
+        : { project_field_id: projectFieldId, operation: "remove" }
+    );
+  } else if (valueType === "multi_select") {
+    // Gem only adds or removes multi_select values, so diff against the current selection.
+    const project = await gemRequest(`/v0/projects/${projectId}`, {}, audit);
+    const currentOptionIds = buildProjectFieldMembershipById(project?.project_fields).get(projectFieldId)?.valueOptionIds || [];
+    const removed = currentOptionIds.filter((id) => !optionIds.includes(id));
+    const added = optionIds.filter((id) => !currentOptionIds.includes(id));
+    if (removed.length > 0) {
+      operations.push({ project_field_id: projectFieldId, operation: "remove", options: removed });
+    }
+    if (added.length > 0) {
+      operations.push({ project_field_id: projectFieldId, operation: "add", options: added });
+    }
+  } else {
+    throw new Error("projectFieldValueType must be text, single_select, or multi_select.");
+  }
+
+  for (const body of operations) {
+    await gemRequest(path, { method: "POST", body }, audit);
+  }
+
+  const refreshed = await listProjectFields({ projectId }, audit);
+  return {
+    ...refreshed,
+    projectFieldId,
+    operationCount: operations.length
+  };
+}
+
+async function createCustomFieldOption(payload, audit) {
+  const customFieldId = String(payload.customFieldId || "").trim();
+  const value = String(payload.value || "").trim();
+  if (!customFieldId || !value) {
+    throw new Error("customFieldId and value are required.");
+  }
+  if (value.length > 50) {
+    throw new Error("Custom field option values must be 50 characters or less.");
+  }
+
+  let option = null;
+  let created = true;
+  try {
+    const response = await gemRequest(
+      `/v0/custom_fields/${encodeURIComponent(customFieldId)}/options`,
+      {
+        method: "POST",
+        body: { option_values: [value] }
+      },
+      audit
+    );
+    const options = Array.isArray(response) ? response : [];
+    option = options.find((item) => normalizeTextToken(item?.value) === normalizeTextToken(value)) || options[0] || null;
+  } catch (error) {
+    // Gem rejects duplicate values, so look the value up and reuse the existing option instead of failing.
+    const existing = await listPaged(`/v0/custom_fields/${encodeURIComponent(customFieldId)}/options`, audit, {
+      query: { value },
+      maxPages: 1
+    }).catch(() => []);
+    option = existing.find((item) => normalizeTextToken(item?.value) === normalizeTextToken(value)) || null;
+    if (!option) {
+      throw error;
+    }
+    created = false;
+  }
+
+  const optionId = String(option?.id || "").trim();
+  if (!optionId) {
+    throw new Error("Gem did not return the created custom field option.");
+  }
+
+  await ensureGemCustomFieldCatalog(audit, { forceRefresh: true });
+
+  logEvent({
+    source: "backend",
+    event: created ? "gem.custom_field_option.created" : "gem.custom_field_option.reused",
+    message: created ? "Created Gem custom field option." : "Reused existing Gem custom field option.",
+    requestId: audit.requestId,
+    route: audit.route,
+    runId: audit.runId,
+    actionId: audit.actionId,
+    details: {
+      customFieldId,
+      optionId
+    }
+  });
+
+  return {
+    created,
+    option: {
+      id: optionId,
+      value: String(option?.value || value)
+    }
+  };
+}
+
 async function setCandidateCustomField(payload, audit) {
   const candidateId = String(payload.candidateId || "").trim();
   const customFieldId = String(payload.customFieldId || "").trim();
@@ -2161,7 +2590,9 @@ async function setCandidateCustomField(payload, audit) {
       : [];
   const optionIds = optionIdsRaw.map((id) => String(id || "").trim()).filter(Boolean);
   let value = payload.value === undefined ? null : payload.value;
-  if (valueType === "single_select") {
+  if (payload.clear) {
+    value = valueType === "multi_select" ? [] : null;
+  } else if (valueType === "single_select") {
     const singleValue = optionId || optionIds[0] || "";
     if (!singleValue) {
       throw new Error("single_select custom fields require option id.");
@@ -2173,6 +2604,19 @@ async function setCandidateCustomField(payload, audit) {
       throw new Error("multi_select custom fields require option id.");
     }
     value = Array.from(new Set(multiValues));
+  } else if (valueType === "text") {
+    const text = value === null ? "" : String(value).trim();
+    if (text.length > 10000) {
+      throw new Error("text custom fields must be 10000 characters or less.");
+    }
+    value = text || null;
+  } else if (valueType === "date") {
+    const rawDate = value === null ? "" : String(value).trim();
+    const date = normalizeIsoDate(rawDate);
+    if (rawDate && !date) {
+      throw new Error("date custom fields require a YYYY-MM-DD value.");
+    }
+    value = date || null;
   }
 
   const body = {
@@ -2237,6 +2681,199 @@ async function addCandidateNote(payload, audit) {
   };
 }
 
+async function listCandidateNotes(payload, audit) {
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!candidateId) {
+    throw new Error("candidateId is required.");
+  }
+  const limitRaw = Number(payload.limit);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.trunc(limitRaw), 100) : 25;
+  const pageRaw = Number(payload.page);
+  const page = Number.isFinite(pageRaw) && pageRaw > 1 ? Math.trunc(pageRaw) : 1;
+
+  const [notes, users, currentUserId] = await Promise.all([
+    gemRequest(`/v0/candidates/${candidateId}/notes`, { query: { sort: "desc", page, page_size: limit } }, audit),
+    listPaged("/v0/users", audit, { maxPages: 5 }).catch(() => []),
+    resolveCreatedByUserId(payload.userId, payload.userEmail, audit).catch(() => "")
+  ]);
+  const userNames = new Map(
+    (Array.isArray(users) ? users : []).map((user) => [
+      String(user?.id || ""),
+      String(user?.name || user?.email || "").trim()
+    ])
+  );
+
+  return {
+    candidateId,
+    currentUserId,
+    page,
+    hasMore: Array.isArray(notes) && notes.length >= limit,
+    notes: (Array.isArray(notes) ? notes : [])
+      .map((note) => {
+        const userId = String(note?.user_id || "").trim();
+        return {
+          id: String(note?.id || ""),
+          content: String(note?.content || ""),
+          userId,
+          authorName: userNames.get(userId) || "",
+          timestampMs: toEpochMs(note?.timestamp),
+          isPrivate: Boolean(note?.is_private),
+          isOwn: Boolean(currentUserId) && userId === currentUserId
+        };
+      })
+      .filter((note) => note.id)
+  };
+}
+
+async function getOwnCandidateNote(payload, audit) {
+  const noteId = String(payload.noteId || "").trim();
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!noteId || !candidateId) {
+    throw new Error("candidateId and noteId are required.");
+  }
+  const [note, currentUserId] = await Promise.all([
+    gemRequest(`/v0/notes/${encodeURIComponent(noteId)}`, {}, audit),
+    resolveCreatedByUserId(payload.userId, payload.userEmail, audit)
+  ]);
+  if (String(note?.candidate_id || "") !== candidateId) {
+    throw new Error("Note does not belong to this candidate.");
+  }
+  if (!currentUserId || String(note?.user_id || "") !== currentUserId) {
+    const error = new Error("You can only change notes you wrote.");
+    error.status = 403;
+    throw error;
+  }
+  return { note, noteId, candidateId, userId: currentUserId };
+}
+
+async function updateCandidateNote(payload, audit) {
+  const rawNote = payload.note === undefined || payload.note === null ? "" : String(payload.note);
+  const content = rawNote.trim();
+  if (!content) {
+    throw new Error("note is required.");
+  }
+  if (content.length > 10000) {
+    throw new Error("Candidate note must be 10000 characters or less.");
+  }
+  const { note, noteId, candidateId, userId } = await getOwnCandidateNote(payload, audit);
+
+  // Gem notes are immutable, so an edit writes the replacement before removing the original.
+  const noteRecord = await gemRequest(
+    "/v0/notes",
+    {
+      method: "POST",
+      body: {
+        candidate_id: candidateId,
+        user_id: userId,
+        is_private: Boolean(note?.is_private),
+        content
+      }
+    },
+    audit
+  );
+  await gemRequest(`/v0/notes/${encodeURIComponent(noteId)}`, { method: "DELETE" }, audit);
+
+  return {
+    note: noteRecord,
+    previousNoteId: noteId,
+    candidateId,
+    userId
+  };
+}
+
+async function deleteOwnCandidateNote(payload, audit) {
+  const { noteId, candidateId } = await getOwnCandidateNote(payload, audit);
+  await gemRequest(`/v0/notes/${encodeURIComponent(noteId)}`, { method: "DELETE" }, audit);
+  return { noteId, candidateId, deleted: true };
+}
+
+function getResumeFileExtension(fileName) {
+  const match = String(fileName || "").trim().toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : "";
+}
+
+async function uploadCandidateResume(payload, audit) {
+  const fileName = String(payload.fileName || "").trim();
+  if (!fileName) {
+    throw new Error("fileName is required.");
+  }
+  const extension = getResumeFileExtension(fileName);
+  if (!RESUME_UPLOAD_CONTENT_TYPES[extension]) {
+    throw new Error("Resume must be a .pdf, .doc, or .docx file.");
+  }
+  const fileBase64 = String(payload.fileBase64 || "").replace(/^data:[^,]*,/, "").trim();
+  if (!fileBase64) {
+    throw new Error("fileBase64 is required.");
+  }
+  const fileBuffer = Buffer.from(fileBase64, "base64");
+  if (fileBuffer.length === 0) {
+    throw new Error("Resume file is empty.");
+  }
+  if (fileBuffer.length > RESUME_UPLOAD_MAX_BYTES) {
+    throw new Error("Resume file cannot exceed 3MB. Upload larger files in Gem directly.");
+  }
+
+  const { candidate, matchedBy } = await resolveCandidateByContext(payload, audit);
+  if (!candidate?.id) {
+    throw new Error("Could not find a Gem candidate for this resume.");
+  }
+  const candidateId = String(candidate.id);
+
+  const userId = await resolveUserIdWithCandidateFallback({
+    explicitUserId: payload.userId,
+    explicitUserEmail: payload.userEmail,
+    candidateId,
+    audit,
+    purpose: "uploaded_resume.user_id"
+  });
+  if (!userId) {
+    throw new Error(
+      "Gem requires a user to upload resumes. Set createdByUserEmail or createdByUserId in extension options, or set GEM_DEFAULT_USER_ID/GEM_DEFAULT_USER_EMAIL in backend env."
+    );
+  }
+
+  const contentType = String(payload.contentType || "").trim() || RESUME_UPLOAD_CONTENT_TYPES[extension];
+  const formData = new FormData();
+  formData.append("resume_file", new Blob([fileBuffer], { type: contentType }), fileName);
+
+  const start = Date.now();
+  const resume = await gemRequest(
+    `/v0/candidates/${encodeURIComponent(candidateId)}/uploaded_resumes/${encodeURIComponent(userId)}`,
+    { method: "POST", formData },
+    audit
+  );
+
+  logEvent({
+    source: "backend",
+    event: "candidate.resume.uploaded",
+    message: `Uploaded resume ${fileName} for candidate ${candidateId}.`,
+    requestId: audit.requestId,
+    route: audit.route,
+    runId: audit.runId,
+    actionId: audit.actionId,
+    durationMs: Date.now() - start,
+    details: {
+      candidateId,
+      matchedBy,
+      userId,
+      fileName,
+      sizeBytes: fileBuffer.length,
+      resumeId: String(resume?.id || "")
+    }
+  });
+
+  return {
+    candidateId,
+    weblink: candidate.weblink || "",
+    resume: {
+      id: String(resume?.id || ""),
+      filename: String(resume?.filename || fileName),
+      downloadUrl: String(resume?.download_url || ""),
+      createdAt: toEpochMs(resume?.created_at)
+    }
+  };
+}
+
 async function setCandidateDueDate(payload, audit) {
   const candidateId = String(payload.candidateId || "").trim();
   if (!candidateId) {
@@ -2276,9 +2913,201 @@ async function setCandidateDueDate(payload, audit) {
   };
 
   const candidate = await gemRequest(`/v0/candidates/${candidateId}`, { method: "PUT", body }, audit);
+  rememberGemCandidateSearchSummary(candidate);
   return { candidate, dueDate, userId };
 }
 
+async function clearCandidateDueDate(payload, audit) {
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!candidateId) {
+    throw new Error("candidateId is required.");
+  }
+  const candidate = await gemRequest(`/v0/candidates/${candidateId}`, { method: "PUT", body: { due_date: null } }, audit);
+  rememberGemCandidateSearchSummary(candidate);
+  return { candidate };
+}
+
+function addDaysToIsoDate(isoDate, days) {
+  const normalized = normalizeIsoDate(isoDate);
+  if (!normalized) {
+    return "";
+  }
+  const [year, month, day] = normalized.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function getReminderBucket(dueDate, today) {
+  if (dueDate < today) {
+    return "overdue";
+  }
+  if (dueDate === today) {
+    return "today";
+  }
+  return dueDate <= addDaysToIsoDate(today, 6) ? "week" : "later";
+}
+
+async function listMyReminders(payload, audit) {
+  const userId = await resolveCreatedByUserId(payload.userId, payload.userEmail, audit);
+  if (!userId) {
+    throw new Error(
+      "Reminders need a Gem user. Set createdByUserEmail or createdByUserId in extension options, or set GEM_DEFAULT_USER_ID/GEM_DEFAULT_USER_EMAIL in backend env."
+    );
+  }
+  // The caller sends its local date so "today" matches the recruiter's calendar, not the server's.
+  const today = normalizeIsoDate(payload.today) || new Date().toISOString().slice(0, 10);
+  const includeLater = Boolean(payload.includeLater);
+  const index = await ensureGemCandidateSearchIndex(audit, { forceRefresh: Boolean(payload.forceRefresh) });
+
+  const reminders = (Array.isArray(index?.candidates) ? index.candidates : [])
+    .filter((candidate) => candidate.dueDate && candidate.dueDate.userId === userId)
+    .map((candidate) => ({
+      candidateId: candidate.id,
+      name: candidate.fullName,
+      title: candidate.title,
+      company: candidate.company,
+      linkedInUrl: candidate.linkedInUrl,
+      gemProfileUrl: candidate.gemProfileUrl,
+      dueDate: candidate.dueDate.date,
+      note: candidate.dueDate.note,
+      bucket: getReminderBucket(candidate.dueDate.date, today)
+    }))
+    .filter((reminder) => includeLater || reminder.bucket !== "later")
+    .sort((left, right) => left.dueDate.localeCompare(right.dueDate) || left.name.localeCompare(right.name));
+
+  return {
+    userId,
+    today,
+    reminders,
+    indexBuiltAt: String(index?.builtAt || ""),
+    isComplete: Boolean(index?.isComplete)
+  };
+}
+
+// Calendar apps fetch the feed without custom headers, so the link itself carries a per-user HMAC instead of
+// BACKEND_SHARED_TOKEN. Rotating REMINDER_CALENDAR_SECRET revokes every issued link.
+function buildReminderCalendarToken(userId) {
+  return crypto.createHmac("sha256", REMINDER_CALENDAR_SECRET).update(`reminders-calendar:${userId}`).digest("base64url");
+}
+
+function isValidReminderCalendarToken(userId, token) {
+  if (!REMINDER_CALENDAR_SECRET || !userId || !token) {
+    return false;
+  }
+  const expected = Buffer.from(buildReminderCalendarToken(userId));
+  const actual = Buffer.from(String(token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+async function getReminderCalendarLink(payload, audit) {
+  if (!REMINDER_CALENDAR_SECRET) {
+    throw new Error("Calendar feed is not enabled. Set REMINDER_CALENDAR_SECRET in backend env.");
+  }
+  // Backend requests are authorized per install, not per person, so a client-supplied user would let anyone
+  // mint a feed for a colleague. Only the user this backend is configured for gets a link.
+  const userId = await resolveCreatedByUserId("", "", audit);
+  if (!userId) {
+    throw new Error(
+      "Calendar feed needs the backend's own Gem user. Set GEM_DEFAULT_USER_ID or GEM_DEFAULT_USER_EMAIL in backend env."
+    );
+  }
+  const requestedUserId = await resolveCreatedByUserId(payload.userId, payload.userEmail, audit);
+  if (requestedUserId && requestedUserId !== userId) {
+    const error = new Error("Calendar links can only be created for the Gem user this backend is configured for.");
+    error.status = 403;
+    throw error;
+  }
+  const query = new URLSearchParams({ user: userId, token: buildReminderCalendarToken(userId) });
+  return {
+    userId,
+    path: `${REMINDER_CALENDAR_ROUTE}?${query.toString()}`
+  };
+}
+
+function escapeIcsText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 caps content lines at 75 octets; continuation lines start with a single space.
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+function formatIcsDate(isoDate) {
+  return String(isoDate || "").replace(/-/g, "");
+}
+
+function buildReminderCalendar(candidates, userId, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Gem LinkedIn Shortcuts//Reminders//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Gem reminders",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H"
+  ];
+  candidates.forEach((candidate) => {
+    const dueDate = candidate.dueDate.date;
+    const description = [
+      candidate.dueDate.note,
+      candidate.gemProfileUrl ? `Gem: ${candidate.gemProfileUrl}` : "",
+      candidate.linkedInUrl ? `LinkedIn: ${candidate.linkedInUrl}` : ""
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+    const headline = [candidate.title, candidate.company].filter(Boolean).join(" at ");
+    lines.push(
+      "BEGIN:VEVENT",
+      // One event per candidate: Gem keeps a single due date, so a new date replaces the old event.
+      `UID:gem-reminder-${candidate.id}-${userId}@gem-linkedin-shortcuts`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(dueDate)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(addDaysToIsoDate(dueDate, 1))}`,
+      `SUMMARY:${escapeIcsText(`Gem reminder: ${candidate.fullName || "Unnamed candidate"}${headline ? ` (${headline})` : ""}`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      "TRANSP:TRANSPARENT"
+    );
+    if (candidate.gemProfileUrl) {
+      lines.push(`URL:${candidate.gemProfileUrl}`);
+    }
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+async function renderReminderCalendar(userId, audit) {
+  const index = await ensureGemCandidateSearchIndex(audit);
+  const candidates = (Array.isArray(index?.candidates) ? index.candidates : [])
+    .filter((candidate) => candidate.dueDate && candidate.dueDate.userId === userId)
+    .sort((left, right) => left.dueDate.date.localeCompare(right.dueDate.date));
+  return {
+    ics: buildReminderCalendar(candidates, userId),
+    count: candidates.length
+  };
+}
+
 function normalizeCandidateEmailAddress(raw) {
   return String(raw || "").trim();
 }
@@ -2427,59 +3256,306 @@ async function addCandidateEmail(payload, audit) {
     throw new Error("Gem supports up to 20 email addresses per candidate.");
   }
 
-  const updatedEntries = ensureSinglePrimaryEmail(next, lower);
+  // Callers filling in extra addresses (contact info capture) pass makePrimary: false to keep the current primary.
+  const preferredLower = payload.makePrimary === false ? "" : lower;
+  if (existing && !preferredLower) {
+    return buildCandidateEmailResponse(candidateId, current);
+  }
+  const updatedEntries = ensureSinglePrimaryEmail(next, preferredLower);
+  const updatedCandidate = await gemRequest(
+    `/v0/candidates/${candidateId}`,
+    {
+      method: "PUT",
+      body: {
+        emails: toGemEmailPayload(updatedEntries)
+      }
+    },
+    audit
+  );
+  const updatedEmails = extractCandidateEmailsForUpdate(updatedCandidate);
+  return buildCandidateEmailResponse(candidateId, ensureSinglePrimaryEmail(updatedEmails, preferredLower));
+}
+
+async function setCandidatePrimaryEmail(payload, audit) {
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!candidateId) {
+    throw new Error("candidateId is required.");
+  }
+  const emailAddress = normalizeCandidateEmailAddress(payload.email || payload.emailAddress);
+  if (!isValidEmailAddress(emailAddress)) {
+    throw new Error("A valid email address is required.");
+  }
+
+  const candidate = await gemRequest(`/v0/candidates/${candidateId}`, {}, audit);
+  const current = extractCandidateEmailsForUpdate(candidate);
+  if (current.length === 0) {
+    throw new Error("Candidate has no stored emails.");
+  }
+  const lower = emailAddress.toLowerCase();
+  const existing = current.find((entry) => entry.emailAddress.toLowerCase() === lower);
+  if (!existing) {
+    throw new Error("Email is not stored on this candidate.");
+  }
+  const alreadyPrimary = current.find((entry) => entry.isPrimary)?.emailAddress?.toLowerCase() === lower;
+  if (alreadyPrimary) {
+    return buildCandidateEmailResponse(candidateId, current);
+  }
+
+  const updatedEntries = ensureSinglePrimaryEmail(current, lower);
+  const updatedCandidate = await gemRequest(
+    `/v0/candidates/${candidateId}`,
+    {
+      method: "PUT",
+      body: {
+        emails: toGemEmailPayload(updatedEntries)
+      }
+    },
+    audit
+  );
+  const updatedEmails = extractCandidateEmailsForUpdate(updatedCandidate);
+  return buildCandidateEmailResponse(candidateId, ensureSinglePrimaryEmail(updatedEmails, lower));
+}
+
+function normalizeCandidatePhoneNumber(raw) {
+  return String(raw || "")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+function getPhoneNumberKey(raw) {
+  return normalizeCandidatePhoneNumber(raw).replace(/[^\d]/g, "");
+}
+
+function isValidPhoneNumber(raw) {
+  const value = normalizeCandidatePhoneNumber(raw);
+  if (!value || value.length > 255 || !/^\+?[\d\s().\-\/]+(?:\s*(?:x|ext\.?)\s*\d+)?$/i.test(value)) {
+    return false;
+  }
+  const digits = getPhoneNumberKey(value).length;
+  return digits >= 7 && digits <= 20;
+}
+
+// Gem's candidate schema has a single `phone_number`; older records may still carry a `phones` list, which we
+// surface as non-primary entries so they can be promoted back into `phone_number`.
+function extractCandidatePhonesForUpdate(candidate) {
+  const deduped = [];
+  const seen = new Set();
+
+  function pushPhone(rawPhone, isPrimary = false) {
+    const phoneNumber = normalizeCandidatePhoneNumber(rawPhone);
+    const key = getPhoneNumberKey(phoneNumber);
+    if (!phoneNumber || !key || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    deduped.push({ phoneNumber, isPrimary: Boolean(isPrimary) });
+  }
+
+  pushPhone(firstNonEmpty(candidate?.phone_number, candidate?.phone, candidate?.primary_phone), true);
+  const phones = Array.isArray(candidate?.phones) ? candidate.phones : [];
+  for (const item of phones) {
+    if (typeof item === "string") {
+      pushPhone(item, false);
+      continue;
+    }
+    if (item && typeof item === "object") {
+      pushPhone(firstNonEmpty(item.number, item.value, item.phone, item.phoneNumber, item.phone_number), false);
+    }
+  }
+  if (deduped.length > 0 && !deduped.some((entry) => entry.isPrimary)) {
+    deduped[0].isPrimary = true;
+  }
+  return deduped;
+}
+
+function buildCandidatePhoneResponse(candidateId, phones) {
+  const normalized = Array.isArray(phones) ? phones : [];
+  const primary = normalized.find((entry) => entry.isPrimary) || null;
+  return {
+    candidateId: String(candidateId || ""),
+    phones: normalized,
+    primaryPhone: primary ? primary.phoneNumber : ""
+  };
+}
+
+async function writeCandidatePhoneNumber(candidateId, phoneNumber, audit) {
   const updatedCandidate = await gemRequest(
     `/v0/candidates/${candidateId}`,
     {
       method: "PUT",
       body: {
-        emails: toGemEmailPayload(updatedEntries)
+        phone_number: phoneNumber
       }
     },
     audit
   );
-  const updatedEmails = extractCandidateEmailsForUpdate(updatedCandidate);
-  return buildCandidateEmailResponse(candidateId, ensureSinglePrimaryEmail(updatedEmails, lower));
+  return buildCandidatePhoneResponse(candidateId, extractCandidatePhonesForUpdate(updatedCandidate));
 }
 
-async function setCandidatePrimaryEmail(payload, audit) {
+async function listCandidatePhones(payload, audit) {
   const candidateId = String(payload.candidateId || "").trim();
   if (!candidateId) {
     throw new Error("candidateId is required.");
   }
-  const emailAddress = normalizeCandidateEmailAddress(payload.email || payload.emailAddress);
-  if (!isValidEmailAddress(emailAddress)) {
-    throw new Error("A valid email address is required.");
+  const candidate = await gemRequest(`/v0/candidates/${candidateId}`, {}, audit);
+  return buildCandidatePhoneResponse(candidateId, extractCandidatePhonesForUpdate(candidate));
+}
+
+// Adding makes the number primary, like emails/add. Because Gem keeps one phone number, the previous one is replaced.
+async function addCandidatePhone(payload, audit) {
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!candidateId) {
+    throw new Error("candidateId is required.");
+  }
+  const phoneNumber = normalizeCandidatePhoneNumber(payload.phone || payload.phoneNumber);
+  if (!isValidPhoneNumber(phoneNumber)) {
+    throw new Error("A valid phone number is required.");
+  }
+  const candidate = await gemRequest(`/v0/candidates/${candidateId}`, {}, audit);
+  const current = extractCandidatePhonesForUpdate(candidate);
+  const key = getPhoneNumberKey(phoneNumber);
+  if (current.find((entry) => entry.isPrimary && getPhoneNumberKey(entry.phoneNumber) === key)) {
+    return buildCandidatePhoneResponse(candidateId, current);
   }
+  return writeCandidatePhoneNumber(candidateId, phoneNumber, audit);
+}
 
+async function setCandidatePrimaryPhone(payload, audit) {
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!candidateId) {
+    throw new Error("candidateId is required.");
+  }
+  const phoneNumber = normalizeCandidatePhoneNumber(payload.phone || payload.phoneNumber);
+  if (!isValidPhoneNumber(phoneNumber)) {
+    throw new Error("A valid phone number is required.");
+  }
   const candidate = await gemRequest(`/v0/candidates/${candidateId}`, {}, audit);
-  const current = extractCandidateEmailsForUpdate(candidate);
+  const current = extractCandidatePhonesForUpdate(candidate);
   if (current.length === 0) {
-    throw new Error("Candidate has no stored emails.");
+    throw new Error("Candidate has no stored phone numbers.");
   }
-  const lower = emailAddress.toLowerCase();
-  const existing = current.find((entry) => entry.emailAddress.toLowerCase() === lower);
+  const key = getPhoneNumberKey(phoneNumber);
+  const existing = current.find((entry) => getPhoneNumberKey(entry.phoneNumber) === key);
   if (!existing) {
-    throw new Error("Email is not stored on this candidate.");
+    throw new Error("Phone number is not stored on this candidate.");
   }
-  const alreadyPrimary = current.find((entry) => entry.isPrimary)?.emailAddress?.toLowerCase() === lower;
-  if (alreadyPrimary) {
-    return buildCandidateEmailResponse(candidateId, current);
+  if (existing.isPrimary) {
+    return buildCandidatePhoneResponse(candidateId, current);
   }
+  return writeCandidatePhoneNumber(candidateId, existing.phoneNumber, audit);
+}
 
-  const updatedEntries = ensureSinglePrimaryEmail(current, lower);
+function getProfileUrlKey(value) {
+  return normalizeProfileUrl(value)
+    .replace(/^https?:\/\/(www\.|mobile\.)?/, "")
+    .replace(/^x\.com\//, "twitter.com/");
+}
+
+function isValidProfileUrl(value) {
+  try {
+    const parsed = new URL(String(value || "").trim());
+    return (parsed.protocol === "https:" || parsed.protocol === "http:") && parsed.hostname.includes(".");
+  } catch (_error) {
+    return false;
+  }
+}
+
+// Gem replaces every social profile when `profile_urls` is written, so updates must resend the existing URLs.
+// `complete` is false when a stored profile has no URL we could resend without losing it.
+function extractCandidateProfileUrls(candidate) {
+  const urls = [];
+  const seen = new Set();
+  let complete = true;
+
+  function pushUrl(rawUrl) {
+    const url = String(rawUrl || "").trim();
+    const key = getProfileUrlKey(url);
+    if (!url || !key || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    urls.push(url);
+  }
+
+  pushUrl(buildLinkedInUrlFromHandle(candidate?.linked_in_handle || ""));
+  (Array.isArray(candidate?.profile_urls) ? candidate.profile_urls : []).forEach((url) => pushUrl(url));
+  for (const profile of Array.isArray(candidate?.profiles) ? candidate.profiles : []) {
+    if (!profile || typeof profile !== "object") {
+      continue;
+    }
+    const url = firstNonEmpty(profile.url, profile.link, profile.href);
+    if (url) {
+      pushUrl(url);
+      continue;
+    }
+    if (normalizeTextToken(profile.network || "") === "linkedin" && profile.username) {
+      pushUrl(buildLinkedInUrlFromHandle(profile.username));
+      continue;
+    }
+    complete = false;
+  }
+  return { urls, complete };
+}
+
+async function getCandidateContactInfo(payload, audit) {
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!candidateId) {
+    throw new Error("candidateId is required.");
+  }
+  const candidate = await gemRequest(`/v0/candidates/${candidateId}`, {}, audit);
+  return {
+    ...buildCandidateEmailResponse(candidateId, extractCandidateEmailsForUpdate(candidate)),
+    ...buildCandidatePhoneResponse(candidateId, extractCandidatePhonesForUpdate(candidate)),
+    profileUrls: extractCandidateProfileUrls(candidate).urls
+  };
+}
+
+async function addCandidateProfileUrls(payload, audit) {
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!candidateId) {
+    throw new Error("candidateId is required.");
+  }
+  const requested = (Array.isArray(payload.urls) ? payload.urls : [payload.url])
+    .map((url) => String(url || "").trim())
+    .filter(Boolean);
+  if (requested.length === 0 || requested.some((url) => !isValidProfileUrl(url))) {
+    throw new Error("One or more valid http(s) profile URLs are required.");
+  }
+
+  const candidate = await gemRequest(`/v0/candidates/${candidateId}`, {}, audit);
+  const current = extractCandidateProfileUrls(candidate);
+  const seen = new Set(current.urls.map((url) => getProfileUrlKey(url)));
+  const added = [];
+  for (const url of requested) {
+    const key = getProfileUrlKey(url);
+    if (!seen.has(key)) {
+      seen.add(key);
+      added.push(url);
+    }
+  }
+  if (added.length === 0) {
+    return { candidateId, profileUrls: current.urls, added };
+  }
+  if (!current.complete) {
+    const error = new Error("This candidate has a Gem profile without a URL. Add links in Gem directly so it is not dropped.");
+    error.status = 409;
+    throw error;
+  }
   const updatedCandidate = await gemRequest(
     `/v0/candidates/${candidateId}`,
     {
       method: "PUT",
       body: {
-        emails: toGemEmailPayload(updatedEntries)
+        profile_urls: current.urls.concat(added)
       }
     },
     audit
   );
-  const updatedEmails = extractCandidateEmailsForUpdate(updatedCandidate);
-  return buildCandidateEmailResponse(candidateId, ensureSinglePrimaryEmail(updatedEmails, lower));
+  return {
+    candidateId,
+    profileUrls: extractCandidateProfileUrls(updatedCandidate).urls,
+    added
+  };
 }
 
 async function getCandidate(payload, audit) {
@@ -2500,6 +3576,216 @@ async function getSequence(payload, audit) {
   return { sequence };
 }
 
+async function previewSequenceEnrollment(payload, audit) {
+  const sequenceId = String(payload.sequenceId || "").trim();
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!sequenceId) {
+    throw new Error("sequenceId is required.");
+  }
+  const [{ sequence }, { candidate }, eventsResult, usersResult] = await Promise.all([
+    getSequence({ sequenceId }, audit),
+    candidateId ? getCandidate({ candidateId }, audit) : { candidate: null },
+    candidateId
+      ? listPaged(`/v0/candidates/${candidateId}/events`, audit, { query: { sort: "desc" }, maxPages: 2, limit: 100 }).then(
+          (value) => ({ ok: true, value }),
+          () => ({ ok: false, value: [] })
+        )
+      : { ok: true, value: [] },
+    listPaged("/v0/users", audit, { maxPages: 5 }).catch(() => [])
+  ]);
+  const owner = (Array.isArray(usersResult) ? usersResult : []).find(
+    (user) => String(user?.id || "") === String(sequence?.user_id || "")
+  );
+  const candidateEmail = String(extractGemCandidateEmail(candidate) || "").trim();
+  const previousSends = eventsResult.value.filter(
+    (event) => String(event?.sequence_id || "") === sequenceId && String(event?.type || "") === "sequences"
+  );
+
+  const warnings = [];
+  if (candidate && !candidateEmail) {
+    warnings.push("Candidate has no email address in Gem, so the sequence cannot send.");
+  }
+  if (previousSends.length > 0) {
+    warnings.push(`Candidate already received ${previousSends.length} email(s) from this sequence.`);
+  }
+  if (!eventsResult.ok) {
+    warnings.push("Could not check previous sends for this candidate.");
+  }
+
+  return {
+    sequence: {
+      id: String(sequence?.id || sequenceId),
+      name: String(sequence?.name || ""),
+      ownerUserId: String(sequence?.user_id || ""),
+      ownerName: String(owner?.name || owner?.email || "").trim()
+    },
+    candidate: candidate
+      ? {
+          id: String(candidate.id || candidateId),
+          name: [candidate.first_name, candidate.last_name].filter(Boolean).join(" ").trim(),
+          email: candidateEmail
+        }
+      : null,
+    warnings
+  };
+}
+
+const CANDIDATE_EVENT_TYPE_LABELS = Object.freeze({
+  sequences: "Sequence email",
+  sequence_replies: "Sequence reply",
+  manual_touchpoints: "Touchpoint"
+});
+
+const CANDIDATE_EVENT_CONTACT_MEDIUM_LABELS = Object.freeze({
+  inmail: "InMail",
+  phone_call: "Phone call",
+  text_message: "Text message",
+  email: "Email",
+  meeting: "Meeting",
+  li_connect_request: "LinkedIn connect request"
+});
+
+function humanizeGemToken(value) {
+  const text = String(value || "")
+    .trim()
+    .replace(/_/g, " ");
+  return text ? `${text.charAt(0).toUpperCase()}${text.slice(1)}` : "";
+}
+
+async function resolveGemNamesById(ids, fetchName, limit = 10) {
+  const uniqueIds = Array.from(new Set(ids.map((id) => String(id || "").trim()).filter(Boolean))).slice(0, limit);
+  const settled = await Promise.allSettled(uniqueIds.map((id) => fetchName(id)));
+  const names = new Map();
+  settled.forEach((result, index) => {
+    const name = result.status === "fulfilled" ? String(result.value || "").trim() : "";
+    if (name) {
+      names.set(uniqueIds[index], name);
+    }
+  });
+  return names;
+}
+
+async function listCandidateEvents(payload, audit) {
+  const candidateId = String(payload.candidateId || "").trim();
+  if (!candidateId) {
+    throw new Error("candidateId is required.");
+  }
+  const limitRaw = Number(payload.limit);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.trunc(limitRaw), 200) : 50;
+  const startedAt = Date.now();
+
+  const [eventsResult, notesResult, membershipResult, usersResult] = await Promise.allSettled([
+    listPaged(`/v0/candidates/${candidateId}/events`, audit, { query: { sort: "desc" }, maxPages: 2, limit }),
+    listPaged(`/v0/candidates/${candidateId}/notes`, audit, { query: { sort: "desc" }, maxPages: 2, limit }),
+    listPaged("/v0/project_candidate_membership_log", audit, {
+      query: { candidate_id: candidateId, sort: "desc" },
+      maxPages: 2,
+      limit
+    }),
+    listPaged("/v0/users", audit, { maxPages: 5 })
+  ]);
+  const sources = { events: eventsResult, notes: notesResult, projects: membershipResult };
+  const failedSources = Object.keys(sources).filter((key) => sources[key].status === "rejected");
+  if (failedSources.length === Object.keys(sources).length) {
+    throw eventsResult.reason;
+  }
+  const events = eventsResult.status === "fulfilled" ? eventsResult.value : [];
+  const notes = notesResult.status === "fulfilled" ? notesResult.value : [];
+  const memberships = membershipResult.status === "fulfilled" ? membershipResult.value : [];
+  const userNames = new Map(
+    (usersResult.status === "fulfilled" ? usersResult.value : []).map((user) => [
+      String(user?.id || ""),
+      String(user?.name || user?.email || "").trim()
+    ])
+  );
+
+  const [sequenceNames, projectNames] = await Promise.all([
+    resolveGemNamesById(
+      events.map((event) => event?.sequence_id),
+      async (sequenceId) => (await getSequence({ sequenceId }, audit))?.sequence?.name
+    ),
+    resolveGemNamesById(
+      [...events.map((event) => event?.project_id), ...memberships.map((entry) => entry?.project_id)],
+      async (projectId) => (await gemRequest(`/v0/projects/${projectId}`, {}, audit))?.name
+    )
+  ]);
+
+  const entries = [];
+  events.forEach((event) => {
+    const type = String(event?.type || "").trim();
+    const medium = CANDIDATE_EVENT_CONTACT_MEDIUM_LABELS[event?.contact_medium] || humanizeGemToken(event?.contact_medium);
+    const subtype = humanizeGemToken(event?.subtype);
+    const sequenceId = String(event?.sequence_id || "").trim();
+    const projectId = String(event?.project_id || "").trim();
+    entries.push({
+      id: String(event?.id || ""),
+      kind: type === "sequence_replies" ? "reply" : type === "sequences" ? "sequence" : "touchpoint",
+      timestampMs: toEpochMs(event?.timestamp),
+      title: [CANDIDATE_EVENT_TYPE_LABELS[type] || humanizeGemToken(type) || "Event", subtype].filter(Boolean).join(" · "),
+      detail: [medium, humanizeGemToken(event?.reply_status)].filter(Boolean).join(" · "),
+      userName: userNames.get(String(event?.user_id || "")) || "",
+      sequenceId,
+      sequenceName: sequenceNames.get(sequenceId) || "",
+      projectId,
+      projectName: projectNames.get(projectId) || ""
+    });
+  });
+  notes.forEach((note) => {
+    entries.push({
+      id: String(note?.id || ""),
+      kind: "note",
+      timestampMs: toEpochMs(note?.timestamp),
+      title: note?.is_private ? "Private note" : "Note",
+      detail: String(note?.content || "").trim(),
+      userName: userNames.get(String(note?.user_id || "")) || "",
+      sequenceId: "",
+      sequenceName: "",
+      projectId: "",
+      projectName: ""
+    });
+  });
+  memberships.forEach((entry, index) => {
+    const projectId = String(entry?.project_id || "").trim();
+    entries.push({
+      id: `${projectId}:${entry?.timestamp || index}`,
+      kind: "project",
+      timestampMs: toEpochMs(entry?.timestamp),
+      title: `Project membership ${String(entry?.action || "change").trim().toLowerCase()}`,
+      detail: "",
+      userName: "",
+      sequenceId: "",
+      sequenceName: "",
+      projectId,
+      projectName: projectNames.get(projectId) || ""
+    });
+  });
+  entries.sort((left, right) => right.timestampMs - left.timestampMs);
+
+  logEvent({
+    level: failedSources.length > 0 ? "warn" : "info",
+    source: "backend",
+    event: "candidate.events.list.resolved",
+    message: `Resolved ${entries.length} timeline entries.`,
+    requestId: audit.requestId,
+    route: audit.route,
+    runId: audit.runId,
+    actionId: audit.actionId,
+    durationMs: Date.now() - startedAt,
+    details: {
+      candidateId,
+      eventCount: events.length,
+      noteCount: notes.length,
+      membershipCount: memberships.length,
+      failedSources
+    }
+  });
+  return {
+    candidateId,
+    entries: entries.slice(0, limit),
+    failedSources
+  };
+}
+
 function normalizeSequenceListItem(sequence) {
   return {
     id: String(sequence?.id || ""),
@@ -2699,6 +3985,7 @@ function buildGemCandidateSearchSummary(candidate) {
   const school = extractGemCandidateSchool(candidate);
   const gemProfileUrl = firstNonEmpty(candidate?.weblink, candidate?.profile_url);
   const linkedInUrl = extractGemCandidateLinkedInUrl(candidate);
+  const dueDate = normalizeIsoDate(candidate?.due_date?.date);
   const updatedAtRaw = firstNonEmpty(candidate?.last_updated_at, candidate?.updated_at, candidate?.created_at);
   const updatedAtMs = toEpochMs(updatedAtRaw);
   const updatedAt = updatedAtMs > 0 ? new Date(updatedAtMs).toISOString() : "";
@@ -2734,6 +4021,13 @@ function buildGemCandidateSearchSummary(candidate) {
     school,
     gemProfileUrl,
     linkedInUrl,
+    dueDate: dueDate
+      ? {
+          date: dueDate,
+          userId: String(candidate?.due_date?.user_id || "").trim(),
+          note: String(candidate?.due_date?.note || "").trim()
+        }
+      : null,
     updatedAt,
     updatedAtMs,
     searchText,
@@ -2835,6 +4129,19 @@ async function refreshGemCandidateSearchIndex(audit) {
   return gemCandidateSearchCache;
 }
 
+function rememberGemCandidateSearchSummary(candidate) {
+  const summary = buildGemCandidateSearchSummary(candidate);
+  if (!summary || !Array.isArray(gemCandidateSearchCache?.candidates)) {
+    return;
+  }
+  const index = gemCandidateSearchCache.candidates.findIndex((entry) => entry.id === summary.id);
+  if (index >= 0) {
+    gemCandidateSearchCache.candidates[index] = summary;
+  } else {
+    gemCandidateSearchCache.candidates.push(summary);
+  }
+}
+
 function ensureGemCandidateSearchIndex(audit, options = {}) {
   const forceRefresh = Boolean(options.forceRefresh);
   if (!forceRefresh && isGemCandidateSearchFresh(gemCandidateSearchCache) && Array.isArray(gemCandidateSearchCache.candidates)) {
@@ -4619,6 +5926,153 @@ async function resolvePreferredStageForJob(jobId, audit) {
   };
 }
 
+function normalizeAshbyStageForPicker(stage) {
+  return {
+    id: String(stage?.id || ""),
+    title: String(stage?.title || ""),
+    type: String(stage?.type || ""),
+    order: Number(stage?.orderInInterviewPlan) || 0
+  };
+}
+
+async function listActiveAshbyApplications(ashbyCandidateId, audit) {
+  const candidateInfo = await ashbyRequest("candidate.info", { id: ashbyCandidateId }, audit);
+  const applicationIds = Array.isArray(candidateInfo?.results?.applicationIds) ? candidateInfo.results.applicationIds : [];
+  const applications = [];
+  for (const idRaw of applicationIds.slice(0, 50)) {
+    const applicationId = String(idRaw || "").trim();
+    if (!applicationId) {
+      continue;
+    }
+    try {
+      const applicationInfo = await ashbyRequest("application.info", { applicationId }, audit);
+      const application = applicationInfo?.results;
+      if (application && normalizeTextToken(application.status) === "active") {
+        applications.push(application);
+      }
+    } catch (_error) {
+      // Ignore bad application ids and continue scanning existing applications.
+    }
+  }
+  return applications;
+}
+
+async function getAshbyStatusForLinkedIn(payload, audit) {
+  const lookup = await findAshbyCandidateByLinkedIn(payload, audit);
+  if (!lookup?.found || !lookup.candidate?.id) {
+    return { found: false, candidate: null, applications: [] };
+  }
+  const applications = await listActiveAshbyApplications(lookup.candidate.id, audit);
+  return {
+    found: true,
+    candidate: {
+      id: lookup.candidate.id,
+      name: lookup.candidate.name,
+      profileUrl: lookup.candidate.profileUrl
+    },
+    applications: applications.map((application) => ({
+      id: String(application.id || ""),
+      jobName: String(application?.job?.title || application?.job?.name || ""),
+      stageTitle: String(application?.currentInterviewStage?.title || "")
+    }))
+  };
+}
+
+async function listAshbyApplicationsForLinkedIn(payload, audit) {
+  const lookup = await findAshbyCandidateByLinkedIn(payload, audit);
+  if (!lookup?.found || !lookup.candidate?.id) {
+    return {
+      found: false,
+      message: lookup?.message || "No Ashby candidate matched this LinkedIn profile.",
+      candidate: null,
+      applications: [],
+      archiveReasons: []
+    };
+  }
+
+  const applications = await listActiveAshbyApplications(lookup.candidate.id, audit);
+  const stagesByJobId = new Map();
+  for (const application of applications) {
+    const jobId = String(application?.job?.id || "");
+    if (!jobId || stagesByJobId.has(jobId)) {
+      continue;
+    }
+    const plan = await ashbyRequest("jobInterviewPlan.info", { jobId }, audit);
+    const stages = (Array.isArray(plan?.results?.stages) ? plan.results.stages : [])
+      .map(normalizeAshbyStageForPicker)
+      .filter((stage) => stage.id)
+      .sort((a, b) => a.order - b.order);
+    stagesByJobId.set(jobId, stages);
+  }
+
+  let archiveReasons = [];
+  if (applications.length > 0) {
+    const reasons = await ashbyRequest("archiveReason.list", {}, audit);
+    archiveReasons = (Array.isArray(reasons?.results) ? reasons.results : [])
+      .filter((reason) => reason?.id && !reason.isArchived)
+      .map((reason) => ({
+        id: String(reason.id),
+        text: String(reason.text || reason.id),
+        reasonType: String(reason.reasonType || "")
+      }));
+  }
+
+  return {
+    found: true,
+    candidate: lookup.candidate,
+    applications: applications.map((application) => {
+      const jobId = String(application?.job?.id || "");
+      return {
+        id: String(application.id || ""),
+        jobId,
+        jobName: String(application?.job?.title || application?.job?.name || ""),
+        currentStageId: String(application?.currentInterviewStage?.id || ""),
+        currentStageTitle: String(application?.currentInterviewStage?.title || ""),
+        stages: stagesByJobId.get(jobId) || []
+      };
+    }),
+    archiveReasons
+  };
+}
+
+async function changeAshbyApplicationStage(payload, audit) {
+  const applicationId = String(payload?.applicationId || "").trim();
+  const interviewStageId = String(payload?.interviewStageId || "").trim();
+  const archiveReasonId = String(payload?.archiveReasonId || "").trim();
+  if (!applicationId) {
+    throw new Error("applicationId is required.");
+  }
+  if (!interviewStageId) {
+    throw new Error("interviewStageId is required.");
+  }
+  if (payload?.archive && !archiveReasonId) {
+    throw new Error("archiveReasonId is required to archive an application.");
+  }
+
+  const changed = await ashbyRequest(
+    "application.changeStage",
+    {
+      applicationId,
+      interviewStageId,
+      archiveReasonId: archiveReasonId || undefined
+    },
+    audit,
+    getAshbyWriteOptions()
+  );
+  const application = changed?.results || {};
+  const stageTitle = firstNonEmpty(application?.currentInterviewStage?.title, payload?.interviewStageTitle);
+  const jobName = firstNonEmpty(application?.job?.title, payload?.jobName);
+  return {
+    message: payload?.archive
+      ? `Archived Ashby application${jobName ? ` for ${jobName}` : ""}.`
+      : `Moved Ashby application${jobName ? ` for ${jobName}` : ""}${stageTitle ? ` to ${stageTitle}` : ""}.`,
+    applicationId,
+    stageId: String(application?.currentInterviewStage?.id || interviewStageId),
+    stageTitle,
+    status: String(application?.status || "")
+  };
+}
+
 async function uploadGemCandidateToAshby(payload, audit) {
   const gemCandidateId = String(payload?.gemCandidateId || "").trim();
   const jobId = String(payload?.jobId || "").trim();
@@ -4750,22 +6204,45 @@ const routes = {
   "/api/candidates/create-from-context": createCandidateFromContext,
   "/api/candidates/search": searchCandidates,
   "/api/projects/add-candidate": addCandidateToProject,
+  "/api/projects/remove-candidate": removeCandidateFromProject,
+  "/api/projects/add-candidates-batch": addCandidatesToProjectBatch,
   "/api/projects/create": createProject,
   "/api/projects/list": listProjects,
   "/api/ashby/jobs/list": listAshbyJobs,
   "/api/ashby/candidates/find-by-linkedin": findAshbyCandidateByLinkedIn,
+  "/api/ashby/candidates/status": getAshbyStatusForLinkedIn,
   "/api/ashby/upload-candidate": uploadGemCandidateToAshby,
+  "/api/ashby/applications/list": listAshbyApplicationsForLinkedIn,
+  "/api/ashby/applications/change-stage": changeAshbyApplicationStage,
   "/api/custom-fields/list": listCustomFields,
+  "/api/custom-fields/options/create": createCustomFieldOption,
   "/api/candidates/set-custom-field": setCandidateCustomField,
+  "/api/project-fields/list": listProjectFields,
+  "/api/project-fields/set": setProjectField,
   "/api/candidates/add-note": addCandidateNote,
+  "/api/candidates/notes/list": listCandidateNotes,
+  "/api/candidates/update-note": updateCandidateNote,
+  "/api/candidates/delete-note": deleteOwnCandidateNote,
+  "/api/candidates/upload-resume": uploadCandidateResume,
   "/api/candidates/add_note": addCandidateNote,
   "/api/candidates/set-due-date": setCandidateDueDate,
+  "/api/candidates/clear-due-date": clearCandidateDueDate,
+  "/api/reminders/list": listMyReminders,
+  "/api/reminders/calendar-link": getReminderCalendarLink,
   "/api/candidates/emails/list": listCandidateEmails,
   "/api/candidates/emails/add": addCandidateEmail,
   "/api/candidates/emails/set-primary": setCandidatePrimaryEmail,
+  "/api/candidates/phones/list": listCandidatePhones,
+  "/api/candidates/phones/add": addCandidatePhone,
+  "/api/candidates/phones/set-primary": setCandidatePrimaryPhone,
+  "/api/candidates/profile-urls/add": addCandidateProfileUrls,
+  "/api/candidates/contact-info": getCandidateContactInfo,
   "/api/candidates/get": getCandidate,
+  "/api/candidates/events/list": listCandidateEvents,
+  "/api/candidates/project-ids": listCandidateProjectIds,
   "/api/sequences/list": listSequences,
   "/api/sequences/get": getSequence,
+  "/api/sequences/preview": previewSequenceEnrollment,
   "/api/users/list": listUsers,
   "/api/logs/client": ingestClientLog,
   "/api/logs/recent": recentLogs
@@ -4788,6 +6265,62 @@ function getRouteFromRequest(req, options = {}) {
   return normalizeRoute(pathname);
 }
 
+function getRequestQueryParam(req, name) {
+  const fromQuery = req?.query?.[name];
+  if (fromQuery !== undefined) {
+    return String(Array.isArray(fromQuery) ? fromQuery[0] : fromQuery).trim();
+  }
+  const parsed = new URL(req.url, `http://localhost:${PORT}`);
+  return String(parsed.searchParams.get(name) || "").trim();
+}
+
+async function handleReminderCalendarRequest(req, res, audit, startedAt) {
+  const userId = getRequestQueryParam(req, "user");
+  if (!isValidReminderCalendarToken(userId, getRequestQueryParam(req, "token"))) {
+    logEvent({
+      level: "warn",
+      source: "backend",
+      event: "request.unauthorized",
+      message: "Rejected reminder calendar request without a valid token.",
+      requestId: audit.requestId,
+      route: audit.route,
+      details: {
+        ip: req.socket?.remoteAddress,
+        userAgent: req.headers["user-agent"] || "",
+        calendarConfigured: Boolean(REMINDER_CALENDAR_SECRET)
+      }
+    });
+    writeJson(req, res, 401, { ok: false, error: "Unauthorized" });
+    return;
+  }
+  try {
+    const { ics, count } = await renderReminderCalendar(userId, audit);
+    logEvent({
+      source: "backend",
+      event: "request.completed",
+      message: `${audit.route} completed`,
+      requestId: audit.requestId,
+      route: audit.route,
+      durationMs: Date.now() - startedAt,
+      details: { userId, count }
+    });
+    writeCalendar(res, 200, ics);
+  } catch (error) {
+    const status = Number(error.status) >= 400 ? Number(error.status) : 500;
+    logEvent({
+      level: "error",
+      source: "backend",
+      event: "request.failed",
+      message: error.message || "Request failed",
+      requestId: audit.requestId,
+      route: audit.route,
+      durationMs: Date.now() - startedAt,
+      details: { status, userId }
+    });
+    writeJson(req, res, status, { ok: false, error: error.message || "Request failed", requestId: audit.requestId });
+  }
+}
+
 async function handleNodeRequest(req, res, options = {}) {
   const route = getRouteFromRequest(req, options);
   const requestId = req.headers["x-request-id"] || generateId();
@@ -4814,6 +6347,11 @@ async function handleNodeRequest(req, res, options = {}) {
     return;
   }
 
+  if (route === REMINDER_CALENDAR_ROUTE && req.method === "GET") {
+    await handleReminderCalendarRequest(req, res, audit, startedAt);
+    return;
+  }
+
   if (req.method !== "POST") {
     writeJson(req, res, 404, { ok: false, error: "Not found" });
     return;
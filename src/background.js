@@ -22,14 +22,51 @@ const ASHBY_JOB_RECENT_USAGE_LIMIT = 300;
 const CUSTOM_FIELD_CACHE_KEY = "customFieldPickerCache";
 const CUSTOM_FIELD_CACHE_TTL_MS = 10 * 60 * 1000;
 const CUSTOM_FIELD_CACHE_LIMIT = 200;
+const PROJECT_FIELD_CACHE_KEY = "projectFieldPickerCache";
+const PROJECT_FIELD_CACHE_TTL_MS = 10 * 60 * 1000;
+const PROJECT_FIELD_CACHE_LIMIT = 100;
 const CANDIDATE_EMAIL_CACHE_KEY = "candidateEmailPickerCache";
 const CANDIDATE_EMAIL_CACHE_TTL_MS = 10 * 60 * 1000;
 const CANDIDATE_EMAIL_CACHE_LIMIT = 200;
+const ASHBY_STATUS_CACHE_KEY = "ashbyStatusCache";
+const ASHBY_STATUS_CACHE_TTL_MS = 10 * 60 * 1000;
+const ASHBY_STATUS_CACHE_LIMIT = 200;
 const BACKEND_REQUEST_TIMEOUT_MS = 25 * 1000;
+const OUTBOX_LIMIT = 100;
+const UNDO_RECORD_KEY = "lastUndoableAction";
+const UNDO_RECORD_TTL_MS = 10 * 60 * 1000;
+const OUTBOX_ALARM_NAME = "gls-outbox-retry";
+const OUTBOX_RETRY_BASE_MS = 30 * 1000;
+const OUTBOX_RETRY_MAX_MS = 30 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 8;
+const REMINDER_ALARM_NAME = "gls-reminder-poll";
+const REMINDER_POLL_INTERVAL_MINUTES = 15;
+const REMINDER_NOTIFIED_KEY = "notifiedReminders";
+const REMINDER_NOTIFICATION_PREFIX = "gls-reminder:";
+const REMINDER_NOTIFICATIONS_PER_POLL = 5;
+const REMINDER_SNOOZE_BUTTON_DAYS = Object.freeze([1, 7]);
+const OUTBOX_ACTION_IDS = Object.freeze([
+  ACTIONS.ADD_NOTE_TO_CANDIDATE,
+  ACTIONS.SET_REMINDER,
+  ACTIONS.ADD_TO_PROJECT,
+  ACTIONS.SET_CUSTOM_FIELD,
+  ACTIONS.SET_PROJECT_FIELD
+]);
+const OUTBOX_NON_IDEMPOTENT_ACTION_IDS = Object.freeze([ACTIONS.ADD_NOTE_TO_CANDIDATE]);
+const OUTBOX_GATEWAY_ERROR_STATUSES = Object.freeze([502, 503, 504]);
 const GMAIL_API_BASE_URL = "https://gmail.googleapis.com/gmail/v1";
 const GMAIL_READONLY_SCOPE = "https://www.googleapis.com/auth/gmail.readonly";
 const GMAIL_THREAD_SEARCH_MAX_RESULTS = 8;
 const GMAIL_SYSTEM_EMAILS = new Set(["no-reply@gem.com", "noreply@gem.com"]);
+const GMAIL_PARTICIPANT_MATCH_LIMIT = 12;
+const GMAIL_LOG_MAX_BODY_CHARS = 2000;
+const GMAIL_LOG_NOTE_MAX_CHARS = 10000;
+const GMAIL_LOG_MAX_HEADER_CHARS = 200;
+const GMAIL_LOG_MAX_MESSAGES_PER_NOTE = 20;
+const GMAIL_LOG_MARKER_PATTERN = /\[Email Message-IDs:((?:\s*,?\s*<[^>]+>)+)\s*\]/g;
+const GMAIL_LOG_LEGACY_MARKER_PATTERN = /\[Gmail messages: ([^\]]+)\]/g;
+const GMAIL_LOG_NOTES_PAGE_SIZE = 100;
+const GMAIL_LOG_NOTES_MAX_PAGES = 50;
 const SHARED_RUNTIME_FILE = "src/shared.js";
 const CONTENT_RUNTIME_FILES = Object.freeze(["src/content.js"]);
 const CANDIDATE_RESOLUTION_TTL_MS = 2 * 60 * 1000;
@@ -78,6 +115,8 @@ let orgDefaultsBootstrapped = false;
 let cachedSettingsValue = null;
 let cachedSettingsPromise = null;
 let localLogsCache = null;
+let outboxProcessingPromise = null;
+let outboxStorageChain = Promise.resolve();
 
 function cloneSettingsForReturn(settings) {
   return normalizeSettings(settings || {});
@@ -93,14 +132,34 @@ function invalidateSettingsCache() {
   cachedSettingsPromise = null;
 }
 
-function persistSettingsWithoutValidation(settings) {
-  const normalized = normalizeSettings(settings);
-  setSettingsCache(normalized);
-  return new Promise((resolve) => {
-    chrome.storage.sync.set({ settings: normalized }, () => resolve(normalized));
+function writeSyncSettings(normalized) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({ settings: normalized }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message || "Could not save settings."));
+        return;
+      }
+      setSettingsCache(normalized);
+      resolve(normalized);
+    });
   });
 }
 
+function validateSyncSettingsSize(settings) {
+  // chrome.storage.sync counts the key plus the JSON-encoded value against its per-item quota.
+  const quotaBytes = Number(chrome.storage.sync.QUOTA_BYTES_PER_ITEM) || 8192;
+  const sizeBytes = new TextEncoder().encode(`settings${JSON.stringify(settings)}`).length;
+  if (sizeBytes > quotaBytes) {
+    throw new Error(
+      `Settings take ${sizeBytes} bytes, over Chrome sync's ${quotaBytes}-byte limit. Shorten or remove note templates, then save again.`
+    );
+  }
+}
+
+function persistSettingsWithoutValidation(settings) {
+  return writeSyncSettings(normalizeSettings(settings));
+}
+
 function getLegacyGemStatusDisplayModeFromSettings(settings = {}, fallbackEnabled = true) {
   const baseline = isPlainObject(settings) ? settings : {};
   const hasExplicitMode = Object.prototype.hasOwnProperty.call(baseline, "gemStatusDisplayMode");
@@ -156,7 +215,8 @@ async function getCanonicalStoredSyncSettings() {
   }
 
   const migratedSettings = migrateLegacyGemStatusSettings(rawSettings);
-  await persistSettingsWithoutValidation(migratedSettings);
+  // A failed migration write is retried on the next load; the migrated values still apply in memory.
+  await persistSettingsWithoutValidation(migratedSettings).catch(() => null);
   return {
     rawSettings,
     settings: migratedSettings,
@@ -220,10 +280,8 @@ function saveSettings(settings) {
   const normalized = normalizeSettings(settings);
   validateBackendBaseUrlOrThrow(normalized.backendBaseUrl);
   normalized.localDevelopmentMode = isLocalhostBackendUrl(normalized.backendBaseUrl);
-  setSettingsCache(normalized);
-  return new Promise((resolve) => {
-    chrome.storage.sync.set({ settings: normalized }, () => resolve());
-  });
+  validateSyncSettingsSize(normalized);
+  return writeSyncSettings(normalized).then(() => undefined);
 }
 
 function getStoredSyncSettings() {
@@ -462,6 +520,7 @@ function normalizeSettings(input) {
   return {
     ...rest,
     gemStatusDisplayMode: normalizedGemStatusDisplayMode,
+    noteTemplates: normalizeNoteTemplates(merged.noteTemplates),
     shortcuts: normalizedShortcuts
   };
 }
@@ -807,6 +866,53 @@ async function setCachedCustomFieldsForContext(context, candidateId, customField
   await setCustomFieldCacheStore(pruned);
 }
 
+function normalizeProjectFieldCacheEntry(entry) {
+  return {
+    fetchedAt: Number(entry?.fetchedAt) || 0,
+    projectId: String(entry?.projectId || ""),
+    projectName: String(entry?.projectName || ""),
+    projectFields: Array.isArray(entry?.projectFields) ? entry.projectFields : []
+  };
+}
+
+async function getCachedProjectFields(projectId) {
+  const key = String(projectId || "").trim();
+  if (!key) {
+    return { entry: null, isFresh: false };
+  }
+  const store = (await getFromLocalStorage(PROJECT_FIELD_CACHE_KEY)) || {};
+  if (!store[key]) {
+    return { entry: null, isFresh: false };
+  }
+  const entry = normalizeProjectFieldCacheEntry(store[key]);
+  return {
+    entry,
+    isFresh: Date.now() - entry.fetchedAt <= PROJECT_FIELD_CACHE_TTL_MS
+  };
+}
+
+async function setCachedProjectFields(projectId, data) {
+  const key = String(projectId || "").trim();
+  if (!key) {
+    return;
+  }
+  const store = (await getFromLocalStorage(PROJECT_FIELD_CACHE_KEY)) || {};
+  store[key] = normalizeProjectFieldCacheEntry({
+    fetchedAt: Date.now(),
+    projectId: key,
+    projectName: data?.projectName,
+    projectFields: data?.projectFields
+  });
+  const pruned = Object.entries(store)
+    .sort((a, b) => (Number(b[1]?.fetchedAt) || 0) - (Number(a[1]?.fetchedAt) || 0))
+    .slice(0, PROJECT_FIELD_CACHE_LIMIT)
+    .reduce((acc, [cacheKey, value]) => {
+      acc[cacheKey] = value;
+      return acc;
+    }, {});
+  await setInLocalStorage(PROJECT_FIELD_CACHE_KEY, pruned);
+}
+
 function normalizePassiveStatusToken(value) {
   return String(value || "")
     .replace(/\s+/g, " ")
@@ -971,6 +1077,79 @@ async function patchCachedCustomFieldSelectionForContext(context, candidateId, s
   return true;
 }
 
+async function addCustomFieldOptionToCache(customFieldId, option) {
+  const fieldId = String(customFieldId || "").trim();
+  const optionId = String(option?.id || "").trim();
+  if (!fieldId || !optionId) {
+    return;
+  }
+  const nextOption = { id: optionId, value: String(option?.value || ""), isHidden: false };
+  const store = await getCustomFieldCacheStore();
+  let changed = false;
+  Object.keys(store).forEach((key) => {
+    const entry = store[key];
+    if (!entry || !Array.isArray(entry.customFields)) {
+      return;
+    }
+    let entryChanged = false;
+    const customFields = entry.customFields.map((field) => {
+      if (String(field?.id || "") !== fieldId) {
+        return field;
+      }
+      const options = Array.isArray(field.options) ? field.options : [];
+      if (options.some((item) => String(item?.id || "") === optionId)) {
+        return field;
+      }
+      entryChanged = true;
+      return {
+        ...field,
+        options: options.concat(nextOption).sort((a, b) => String(a.value || "").localeCompare(String(b.value || "")))
+      };
+    });
+    if (entryChanged) {
+      store[key] = { ...entry, customFields };
+      changed = true;
+    }
+  });
+  if (changed) {
+    await setCustomFieldCacheStore(store);
+  }
+}
+
+async function createCustomFieldOptionForContext(settings, customFieldId, value, runId) {
+  const actionId = ACTIONS.SET_CUSTOM_FIELD;
+  const data = await callBackend(
+    "/api/custom-fields/options/create",
+    {
+      customFieldId,
+      value
+    },
+    settings,
+    { actionId, runId, step: "createCustomFieldOption" }
+  );
+  const option = {
+    id: String(data?.option?.id || ""),
+    value: String(data?.option?.value || value || "")
+  };
+  if (!option.id) {
+    throw new Error("Custom field option was not created.");
+  }
+  await addCustomFieldOptionToCache(customFieldId, option);
+  logEvent(settings, {
+    event: data?.created === false ? "custom_fields.option.reused" : "custom_fields.option.created",
+    actionId,
+    runId,
+    message: data?.created === false
+      ? `Reused existing custom field option "${option.value}".`
+      : `Created custom field option "${option.value}".`,
+    details: {
+      customFieldId,
+      optionId: option.id
+    }
+  });
+  return { option, created: data?.created !== false };
+}
+
 function isCandidateEmailCacheFresh(entry) {
   if (!entry || !entry.fetchedAt) {
     return false;
@@ -1788,6 +1967,7 @@ async function resolveGmailThreadParticipantsViaApi(context = {}) {
     return {
       mailboxEmail,
       emails: [],
+      participants: [],
       participantName: "",
       threadId: ""
     };
@@ -1804,6 +1984,7 @@ async function resolveGmailThreadParticipantsViaApi(context = {}) {
     return {
       mailboxEmail,
       emails: [],
+      participants: [],
       participantName: "",
       threadId: ""
     };
@@ -1833,6 +2014,7 @@ async function resolveGmailThreadParticipantsViaApi(context = {}) {
     return {
       mailboxEmail,
       emails: [],
+      participants: [],
       participantName: "",
       threadId: ""
     };
@@ -1850,6 +2032,7 @@ async function resolveGmailThreadParticipantsViaApi(context = {}) {
   return {
     mailboxEmail,
     emails: externalParticipants.map((entry) => entry.email),
+    participants: externalParticipants,
     participantName: String(externalParticipants.find((entry) => entry.displayName)?.displayName || "").trim(),
     threadId: String(bestThread?.id || "").trim()
   };
@@ -1885,8 +2068,10 @@ async function enrichGmailContext(settings, context, audit) {
   (Array.isArray(resolved?.emails) ? resolved.emails : []).forEach((email) => add(email));
   fallbackWithMailboxFilter.forEach((email) => add(email));
 
-  context.contactEmails = mergedEmails;
-  context.contactEmail = mergedEmails[0] || "";
+  // A participant picked in the chooser wins over the thread-wide guess.
+  const selectedEmail = normalizeContextEmail(context.gmailSelectedEmail);
+  context.contactEmails = selectedEmail ? [selectedEmail] : mergedEmails;
+  context.contactEmail = context.contactEmails[0] || "";
   if (!String(context.profileName || "").trim() && String(resolved?.participantName || "").trim()) {
     context.profileName = String(resolved.participantName || "").trim();
   }
@@ -1901,6 +2086,236 @@ async function enrichGmailContext(settings, context, audit) {
   return context;
 }
 
+function decodeGmailBodyData(data) {
+  const base64 = String(data || "")
+    .replace(/-/g, "+")
+    .replace(/_/g, "/");
+  if (!base64) {
+    return "";
+  }
+  try {
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder("utf-8").decode(bytes);
+  } catch (_error) {
+    return "";
+  }
+}
+
+function findGmailMessageBodyPart(part, mimeType) {
+  if (!part || typeof part !== "object") {
+    return null;
+  }
+  if (String(part.mimeType || "").toLowerCase() === mimeType && part.body?.data) {
+    return part;
+  }
+  for (const child of Array.isArray(part.parts) ? part.parts : []) {
+    const found = findGmailMessageBodyPart(child, mimeType);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function convertGmailHtmlToText(html) {
+  return String(html || "")
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<blockquote[\s\S]*$/i, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&amp;/gi, "&")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'");
+}
+
+// Replies quote the whole earlier thread; keep only the text above the first quote marker.
+function trimGmailQuotedText(text) {
+  const lines = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  const kept = [];
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (
+      trimmed.startsWith(">") ||
+      /^On .+wrote:$/i.test(trimmed) ||
+      /^-{2,}\s*(Original Message|Forwarded message)\s*-{2,}$/i.test(trimmed) ||
+      (/^From:\s.+$/i.test(trimmed) && kept.some((entry) => entry.trim()))
+    ) {
+      break;
+    }
+    kept.push(line.replace(/\s+$/, ""));
+  }
+  return kept
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function extractGmailMessagePlainText(payload = {}) {
+  const plainPart = findGmailMessageBodyPart(payload, "text/plain");
+  if (plainPart) {
+    return trimGmailQuotedText(decodeGmailBodyData(plainPart.body.data));
+  }
+  const htmlPart = findGmailMessageBodyPart(payload, "text/html");
+  return htmlPart ? trimGmailQuotedText(convertGmailHtmlToText(decodeGmailBodyData(htmlPart.body.data))) : "";
+}
+
+async function fetchGmailThreadMessagesForLog(threadId) {
+  const { token } = await ensureGmailAuthToken();
+  const thread = await fetchGmailJson(`/users/me/threads/${encodeURIComponent(threadId)}`, token, {
+    query: { format: "full" }
+  });
+  const subject = getGmailThreadSubject(thread);
+  const messages = (Array.isArray(thread?.messages) ? thread.messages : [])
+    .map((message) => {
+      const headers = Array.isArray(message?.payload?.headers) ? message.payload.headers : [];
+      const internalDateMs = Number(message?.internalDate) || 0;
+      const id = String(message?.id || "").trim();
+      const headerMessageId = (getGmailHeaderValues(headers, "Message-ID")[0] || "").replace(/^<|>$/g, "").trim();
+      return {
+        id,
+        // Gmail API ids differ per mailbox; the RFC 5322 Message-ID is the same for every recipient of the thread.
+        logKey: headerMessageId || `gmail-id:${id}`,
+        subject: getGmailHeaderValues(headers, "Subject")[0] || subject,
+        from: getGmailHeaderValues(headers, "From")[0] || "",
+        sentAt: internalDateMs ? new Date(internalDateMs).toISOString() : getGmailHeaderValues(headers, "Date")[0] || "",
+        body: extractGmailMessagePlainText(message?.payload)
+      };
+    })
+    .filter((message) => message.id);
+  return { threadId: String(thread?.id || threadId), subject, messages };
+}
+
+function collectLoggedGmailMessageIds(notes = [], ids = new Set()) {
+  notes.forEach((note) => {
+    const content = String(note?.content || "");
+    for (const match of content.matchAll(GMAIL_LOG_MARKER_PATTERN)) {
+      for (const idMatch of match[1].matchAll(/<([^>]+)>/g)) {
+        ids.add(idMatch[1].trim());
+      }
+    }
+    // Notes logged before Message-ID markers only carry this mailbox's Gmail ids.
+    for (const match of content.matchAll(GMAIL_LOG_LEGACY_MARKER_PATTERN)) {
+      match[1]
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean)
+        .forEach((id) => ids.add(`gmail-id:${id}`));
+    }
+  });
+  return ids;
+}
+
+function isGmailMessageLogged(loggedIds, message) {
+  return loggedIds.has(message.logKey) || loggedIds.has(`gmail-id:${message.id}`);
+}
+
+async function collectLoggedGmailMessageIdsForThread(settings, candidateId, messages, identity, audit) {
+  const { userId, userEmail } = identity;
+  const loggedIds = new Set();
+  for (let page = 1; page <= GMAIL_LOG_NOTES_MAX_PAGES; page += 1) {
+    const data = await callBackend(
+      "/api/candidates/notes/list",
+      { candidateId, userId, userEmail, limit: GMAIL_LOG_NOTES_PAGE_SIZE, page },
+      settings,
+      { ...audit, step: "listCandidateNotes" }
+    );
+    const notes = Array.isArray(data?.notes) ? data.notes : [];
+    collectLoggedGmailMessageIds(notes, loggedIds);
+    if (messages.every((message) => isGmailMessageLogged(loggedIds, message)) || !data?.hasMore) {
+      break;
+    }
+  }
+  return loggedIds;
+}
+
+function formatGmailMessageDate(sentAt) {
+  const parsed = new Date(sentAt);
+  if (Number.isNaN(parsed.getTime())) {
+    return String(sentAt || "");
+  }
+  return parsed.toLocaleString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit"
+  });
+}
+
+// The trailing marker lists the Gmail message ids this note covers, so logging the thread again only adds newer replies.
+function truncateGmailNoteLine(value, maxChars) {
+  const text = String(value || "").replace(/\s+/g, " ").trim();
+  return text.length > maxChars ? `${text.slice(0, maxChars).trim()}...` : text;
+}
+
+function buildGmailThreadNote(subject, messages) {
+  const heading = `Email: ${truncateGmailNoteLine(subject, GMAIL_LOG_MAX_HEADER_CHARS) || "(no subject)"}`;
+  const marker = `[Email Message-IDs: ${messages.map((message) => `<${message.logKey}>`).join(", ")}]`;
+  const headers = messages.map(
+    (message) =>
+      `${formatGmailMessageDate(message.sentAt)} · From: ${
+        truncateGmailNoteLine(message.from, GMAIL_LOG_MAX_HEADER_CHARS) || "Unknown sender"
+      }`
+  );
+  // Bodies share whatever Gem's note limit leaves after the heading, sender lines, separators, and marker.
+  const separator = "\n\n";
+  const fixedLength =
+    heading.length +
+    marker.length +
+    headers.reduce((total, header) => total + header.length + 1, 0) +
+    separator.length * (messages.length + 1);
+  const bodyBudget = Math.min(
+    GMAIL_LOG_MAX_BODY_CHARS,
+    Math.floor((GMAIL_LOG_NOTE_MAX_CHARS - fixedLength) / Math.max(1, messages.length)) - 3
+  );
+  const sections = messages.map((message, index) => {
+    const rawBody = message.body || "(no text)";
+    const body =
+      rawBody.length > bodyBudget ? `${rawBody.slice(0, Math.max(0, bodyBudget)).trim()}...` : rawBody;
+    return [headers[index], body].join("\n");
+  });
+  return [heading, ...sections, marker].join(separator);
+}
+
+async function matchGmailParticipants(settings, participants, runId) {
+  const entries = (Array.isArray(participants) ? participants : [])
+    .map((participant) => normalizeContextEmail(participant?.email))
+    .filter(Boolean)
+    .slice(0, GMAIL_PARTICIPANT_MATCH_LIMIT);
+  const matches = await Promise.all(
+    entries.map(async (email) => {
+      // Each participant is looked up on its own, without the thread-wide Gmail API enrichment.
+      const context = { sourcePlatform: "gmail", contactEmail: email, contactEmails: [email], _gmailContextEnriched: true };
+      try {
+        const candidate = await findCandidateByContext(settings, context, { runId, step: "matchGmailParticipant" });
+        const candidateName = candidate?.id
+          ? String(candidate.name || `${candidate.first_name || ""} ${candidate.last_name || ""}`).trim()
+          : "";
+        return { email, candidateId: String(candidate?.id || ""), candidateName, link: String(candidate?.weblink || "") };
+      } catch (error) {
+        return { email, candidateId: "", candidateName: "", link: "", error: error.message || "Lookup failed." };
+      }
+    })
+  );
+  logEvent(settings, {
+    event: "gmail.participants.matched",
+    runId,
+    message: `Matched ${matches.filter((match) => match.candidateId).length} of ${matches.length} Gmail participants in Gem.`,
+    details: {
+      participantCount: matches.length,
+      failedCount: matches.filter((match) => match.error).length
+    }
+  });
+  return matches;
+}
+
 function normalizeProfileUrlForLookup(rawUrl) {
   const value = String(rawUrl || "").trim();
   if (!value) {
@@ -1957,6 +2372,7 @@ function getContextLink(context = {}) {
     String(context.githubUrl || "").trim() ||
     String(context.gemProfileUrl || "").trim() ||
     String(context.gmailThreadUrl || "").trim() ||
+    String(context.outlookThreadUrl || "").trim() ||
     String(context.pageUrl || "").trim() ||
     ""
   );
@@ -2033,10 +2449,10 @@ function clearCandidateResolution(context = {}) {
 }
 
 function contextHasCandidateIdentity(context = {}) {
-  if (String(context?.sourcePlatform || "").trim().toLowerCase() === "gmail") {
+  if (glsIsEmailThreadPlatform(context?.sourcePlatform)) {
     return Boolean(
-      String(context.gmailThreadToken || "").trim() ||
-        String(context.gmailSubject || "").trim() ||
+      String(context.gmailThreadToken || context.outlookItemId || "").trim() ||
+        String(context.gmailSubject || context.outlookSubject || "").trim() ||
         collectContextEmails(context).length > 0
     );
   }
@@ -2751,7 +3167,9 @@ async function callBackend(path, payload, settings, audit = {}) {
         error: error?.message || "Network request failed."
       }
     });
-    throw new Error(message);
+    const networkError = new Error(message);
+    networkError.retryable = true;
+    throw networkError;
   }
   if (timeoutId) {
     clearTimeout(timeoutId);
@@ -2787,7 +3205,11 @@ async function callBackend(path, payload, settings, audit = {}) {
         response: parsed
       }
     });
-    throw new Error(surfacedError);
+    const backendError = new Error(surfacedError);
+    // Gateway errors usually mean a cold start or outage, so the request is worth retrying.
+    backendError.retryable = response.status >= 500 || response.status === 429;
+    backendError.status = response.status;
+    throw backendError;
   }
 
   return parsed.data;
@@ -2808,6 +3230,223 @@ function splitProfileName(fullName) {
   };
 }
 
+async function listMyReminders(settings, runId, options = {}) {
+  const { userId, userEmail } = getCreatedByIdentity(settings);
+  const data = await callBackend(
+    "/api/reminders/list",
+    {
+      userId,
+      userEmail,
+      today: formatLocalIsoDate(),
+      includeLater: Boolean(options.includeLater),
+      forceRefresh: Boolean(options.forceRefresh)
+    },
+    settings,
+    { actionId: ACTIONS.SET_REMINDER, runId, step: "listReminders" }
+  );
+  return {
+    today: String(data?.today || formatLocalIsoDate()),
+    reminders: Array.isArray(data?.reminders) ? data.reminders : [],
+    isComplete: Boolean(data?.isComplete)
+  };
+}
+
+async function getReminderCalendarUrl(settings, runId) {
+  const { userId, userEmail } = getCreatedByIdentity(settings);
+  const data = await callBackend(
+    "/api/reminders/calendar-link",
+    { userId, userEmail },
+    settings,
+    { actionId: ACTIONS.SET_REMINDER, runId, step: "calendarLink" }
+  );
+  const path = String(data?.path || "");
+  if (!path) {
+    throw new Error("Backend did not return a calendar link.");
+  }
+  return `${String(settings.backendBaseUrl || "").replace(/\/$/, "")}${path}`;
+}
+
+async function completeReminder(settings, candidateId, runId, reminder = {}) {
+  const actionId = ACTIONS.SET_REMINDER;
+  const { repeat } = parseReminderNote(reminder.note);
+  const nextDueDate = repeat ? getNextReminderRepeatDate(reminder.dueDate, repeat) : "";
+  if (nextDueDate) {
+    const { userId, userEmail } = getCreatedByIdentity(settings);
+    await callBackend(
+      "/api/candidates/set-due-date",
+      {
+        candidateId,
+        date: nextDueDate,
+        note: String(reminder.note || "").trim(),
+        userId,
+        userEmail
+      },
+      settings,
+      { actionId, runId, step: "repeatReminder" }
+    );
+    logEvent(settings, {
+      event: "reminder.completed",
+      actionId,
+      runId,
+      message: `Marked reminder done. Next one is due ${formatDateForHumans(nextDueDate)}.`,
+      details: { candidateId, repeat, nextDueDate }
+    });
+    return { candidateId, nextDueDate };
+  }
+  await callBackend("/api/candidates/clear-due-date", { candidateId }, settings, {
+    actionId,
+    runId,
+    step: "completeReminder"
+  });
+  logEvent(settings, {
+    event: "reminder.completed",
+    actionId,
+    runId,
+    message: "Marked reminder done.",
+    details: { candidateId }
+  });
+  return { candidateId };
+}
+
+async function snoozeReminder(settings, candidateId, days, note, runId) {
+  const actionId = ACTIONS.SET_REMINDER;
+  const snoozeDays = Math.max(1, Math.trunc(Number(days) || 1));
+  const dueDate = addDaysToLocalIsoDate(formatLocalIsoDate(), snoozeDays);
+  const { userId, userEmail } = getCreatedByIdentity(settings);
+  await callBackend(
+    "/api/candidates/set-due-date",
+    {
+      candidateId,
+      date: dueDate,
+      note: String(note || "").trim(),
+      userId,
+      userEmail
+    },
+    settings,
+    { actionId, runId, step: "snoozeReminder" }
+  );
+  logEvent(settings, {
+    event: "reminder.snoozed",
+    actionId,
+    runId,
+    message: `Snoozed reminder to ${formatDateForHumans(dueDate)}.`,
+    details: { candidateId, dueDate }
+  });
+  return { candidateId, dueDate };
+}
+
+function canPollReminders(settings) {
+  const { userId, userEmail } = getCreatedByIdentity(settings);
+  return Boolean(settings.enabled && settings.reminderNotificationsEnabled !== false && (userId || userEmail));
+}
+
+async function syncReminderAlarm() {
+  const settings = await getSettings();
+  if (!canPollReminders(settings)) {
+    await chrome.alarms.clear(REMINDER_ALARM_NAME);
+    return;
+  }
+  const existing = await chrome.alarms.get(REMINDER_ALARM_NAME);
+  if (!existing) {
+    chrome.alarms.create(REMINDER_ALARM_NAME, {
+      delayInMinutes: 1,
+      periodInMinutes: REMINDER_POLL_INTERVAL_MINUTES
+    });
+  }
+}
+
+async function getNotifiedReminders() {
+  const stored = await getFromLocalStorage(REMINDER_NOTIFIED_KEY);
+  return stored && typeof stored === "object" ? stored : {};
+}
+
+async function pollDueReminders() {
+  const settings = await getSettings();
+  if (!canPollReminders(settings)) {
+    return;
+  }
+  const runId = generateId();
+  const { reminders } = await listMyReminders(settings, runId);
+  const due = reminders.filter((reminder) => reminder.bucket === "overdue" || reminder.bucket === "today");
+  const notified = await getNotifiedReminders();
+  const next = {};
+  const fresh = [];
+  due.forEach((reminder) => {
+    const notificationId = `${REMINDER_NOTIFICATION_PREFIX}${reminder.candidateId}:${reminder.dueDate}`;
+    if (notified[notificationId]) {
+      next[notificationId] = notified[notificationId];
+      return;
+    }
+    if (fresh.length < REMINDER_NOTIFICATIONS_PER_POLL) {
+      fresh.push({ notificationId, reminder });
+    }
+  });
+
+  fresh.forEach(({ notificationId, reminder }) => {
+    next[notificationId] = {
+      notifiedAt: Date.now(),
+      candidateId: reminder.candidateId,
+      name: reminder.name || "",
+      note: reminder.note || "",
+      url: reminder.linkedInUrl || reminder.gemProfileUrl || ""
+    };
+    chrome.notifications.create(notificationId, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("src/icons/icon-128.png"),
+      title: `Reminder: ${reminder.name || "Gem candidate"}`,
+      message: parseReminderNote(reminder.note).note || `Due ${formatDateForHumans(reminder.dueDate)}.`,
+      contextMessage: reminder.bucket === "overdue" ? `Overdue since ${formatDateForHumans(reminder.dueDate)}` : "Due today",
+      buttons: REMINDER_SNOOZE_BUTTON_DAYS.map((days) => ({ title: days === 1 ? "Snooze 1 day" : `Snooze ${days} days` })),
+      priority: 1
+    });
+  });
+  // Only due reminders stay in the map, so a snoozed or completed reminder can notify again on its next date.
+  await setInLocalStorage(REMINDER_NOTIFIED_KEY, next);
+
+  if (fresh.length > 0) {
+    logEvent(settings, {
+      event: "reminder.notified",
+      actionId: ACTIONS.SET_REMINDER,
+      runId,
+      message: `Raised ${fresh.length} reminder notification${fresh.length === 1 ? "" : "s"}.`,
+      details: {
+        candidateIds: fresh.map(({ reminder }) => reminder.candidateId),
+        dueCount: due.length
+      }
+    });
+  }
+}
+
+async function openReminderNotification(notificationId) {
+  const notified = await getNotifiedReminders();
+  const entry = notified[notificationId];
+  chrome.notifications.clear(notificationId);
+  if (entry?.url) {
+    await chrome.tabs.create({ url: entry.url });
+  }
+}
+
+async function snoozeReminderFromNotification(notificationId, buttonIndex) {
+  const notified = await getNotifiedReminders();
+  const entry = notified[notificationId];
+  chrome.notifications.clear(notificationId);
+  if (!entry?.candidateId) {
+    return;
+  }
+  const settings = await getSettings();
+  const days = REMINDER_SNOOZE_BUTTON_DAYS[buttonIndex] || REMINDER_SNOOZE_BUTTON_DAYS[0];
+  try {
+    await snoozeReminder(settings, entry.candidateId, days, entry.note, generateId());
+  } catch (error) {
+    chrome.notifications.create(`${notificationId}:failed`, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("src/icons/icon-128.png"),
+      title: `Could not snooze ${entry.name || "reminder"}`,
+      message: error.message || "Snooze failed."
+    });
+  }
+}
+
 function formatDateForHumans(rawDate) {
   const value = String(rawDate || "").trim();
   if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
@@ -2824,16 +3463,46 @@ function formatDateForHumans(rawDate) {
   });
 }
 
-async function ensureCandidate(settings, context, audit, options = {}) {
-  const sourcePlatform = String(context?.sourcePlatform || "").trim().toLowerCase();
-  const allowCreate = options.allowCreate !== false && sourcePlatform !== "gmail";
-  const linkedInHandle = String(context.linkedInHandle || "").trim();
-  const linkedInUrl = String(context.linkedinUrl || "").trim();
-  const gemCandidateId = String(context.gemCandidateId || "").trim();
-  const contextLink = getContextLink(context);
-
-  const foundCandidate = await findCandidateByContext(settings, context, audit);
-  if (foundCandidate?.id) {
+async function createCandidateFromContext(settings, context, audit) {
+  const names = splitProfileName(context.profileName);
+  const { userId: createdByUserId, userEmail: createdByUserEmail } = getCreatedByIdentity(settings, context);
+  const emails = collectContextEmails(context);
+  const profileUrls = collectContextProfileUrls(context);
+  // Details the user confirmed from a Gmail signature ride along as extra candidate fields.
+  const signature = context.gmailSignature && typeof context.gmailSignature === "object" ? context.gmailSignature : {};
+  return callBackend(
+    "/api/candidates/create-from-context",
+    {
+      firstName: names.firstName,
+      lastName: names.lastName,
+      email: emails[0] || "",
+      contactEmails: emails,
+      profileUrl: profileUrls[0] || "",
+      profileUrls,
+      title: String(signature.title || "").trim(),
+      company: String(signature.company || "").trim(),
+      phoneNumber: String(signature.phone || "").trim(),
+      linkedInUrl: String(signature.linkedinUrl || "").trim(),
+      website: String(signature.website || "").trim(),
+      createdByUserId,
+      createdByUserEmail
+    },
+    settings,
+    { ...audit, step: "createCandidateFromContext" }
+  );
+}
+
+async function ensureCandidate(settings, context, audit, options = {}) {
+  const sourcePlatform = String(context?.sourcePlatform || "").trim().toLowerCase();
+  const allowCreate =
+    options.allowCreate !== false && (!glsIsEmailThreadPlatform(sourcePlatform) || context.gmailCreateConfirmed === true);
+  const linkedInHandle = String(context.linkedInHandle || "").trim();
+  const linkedInUrl = String(context.linkedinUrl || "").trim();
+  const gemCandidateId = String(context.gemCandidateId || "").trim();
+  const contextLink = getContextLink(context);
+
+  const foundCandidate = await findCandidateByContext(settings, context, audit);
+  if (foundCandidate?.id) {
     rememberCandidateResolution(context, foundCandidate);
     logEvent(settings, {
       event: "candidate.found",
@@ -2852,8 +3521,10 @@ async function ensureCandidate(settings, context, audit, options = {}) {
   }
 
   if (!allowCreate) {
-    if (sourcePlatform === "gmail") {
-      throw new Error("Could not find an existing Gem candidate for this Gmail thread.");
+    if (glsIsEmailThreadPlatform(sourcePlatform)) {
+      throw new Error(
+        `Could not find an existing Gem candidate for this ${sourcePlatform === "outlook" ? "Outlook" : "Gmail"} thread.`
+      );
     }
     throw new Error("Could not find an existing Gem candidate for this context.");
   }
@@ -2877,23 +3548,7 @@ async function ensureCandidate(settings, context, audit, options = {}) {
       { ...audit, step: "createCandidateFromLinkedIn" }
     );
   } else {
-    const emails = collectContextEmails(context);
-    const profileUrls = collectContextProfileUrls(context);
-    created = await callBackend(
-      "/api/candidates/create-from-context",
-      {
-        firstName: names.firstName,
-        lastName: names.lastName,
-        email: emails[0] || "",
-        contactEmails: emails,
-        profileUrl: profileUrls[0] || "",
-        profileUrls,
-        createdByUserId,
-        createdByUserEmail
-      },
-      settings,
-      { ...audit, step: "createCandidateFromContext" }
-    );
+    created = await createCandidateFromContext(settings, context, audit);
   }
 
   if (!created?.candidate?.id) {
@@ -2920,6 +3575,159 @@ async function ensureCandidate(settings, context, audit, options = {}) {
   return created.candidate;
 }
 
+async function rememberUndoableAction(meta, record) {
+  // Outbox deliveries happen in the background, so they never replace the user's last undo.
+  if (meta?.source === "outbox") {
+    return false;
+  }
+  await setInLocalStorage(UNDO_RECORD_KEY, { ...record, createdAt: Date.now() });
+  return true;
+}
+
+async function captureUndoPriorState(meta, capture) {
+  // Undo restores what was there before the write, so without a readable prior state it is not offered.
+  if (meta?.source === "outbox") {
+    return null;
+  }
+  try {
+    return await capture();
+  } catch (_error) {
+    return null;
+  }
+}
+
+async function getGemCandidateForUndo(settings, candidateId, audit) {
+  const data = await callBackend("/api/candidates/get", { candidateId }, settings, { ...audit, step: "captureUndoState" });
+  if (!data?.candidate?.id) {
+    throw new Error("Gem did not return the candidate.");
+  }
+  return data.candidate;
+}
+
+function getCustomFieldUndoState(gemCandidate, customFieldId, customFieldValueType) {
+  const membership = (Array.isArray(gemCandidate?.custom_fields) ? gemCandidate.custom_fields : []).find(
+    (item) => String(item?.id || item?.custom_field_id || "").trim() === customFieldId
+  );
+  const rawValue = membership?.value;
+  const labels = (Array.isArray(rawValue) ? rawValue : rawValue === undefined || rawValue === null ? [] : [rawValue])
+    .map((value) => String(value ?? "").trim())
+    .filter(Boolean);
+  const optionIds = (Array.isArray(membership?.value_option_ids) ? membership.value_option_ids : [])
+    .map((id) => String(id || "").trim())
+    .filter(Boolean);
+  const isSelect = customFieldValueType === "single_select" || customFieldValueType === "multi_select";
+  if (isSelect && labels.length > 0 && optionIds.length === 0) {
+    throw new Error("Gem did not return the option ids of the current value.");
+  }
+  return {
+    value: isSelect ? "" : labels[0] || "",
+    labels,
+    optionIds
+  };
+}
+
+async function getUndoableAction() {
+  const record = await getFromLocalStorage(UNDO_RECORD_KEY);
+  if (!record || typeof record !== "object" || Date.now() - (Number(record.createdAt) || 0) > UNDO_RECORD_TTL_MS) {
+    return null;
+  }
+  return record;
+}
+
+async function undoLastAction(settings, runId, targetRunId = "") {
+  const record = await getUndoableAction();
+  if (!record) {
+    throw new Error("Nothing to undo.");
+  }
+  if (targetRunId && record.runId !== targetRunId) {
+    throw new Error("That action can no longer be undone.");
+  }
+  const actionId = record.actionId;
+  const audit = { actionId, runId, step: "undo" };
+  const inverse = record.inverse || {};
+  const context = record.context || {};
+
+  if (inverse.type === "deleteNote") {
+    const { userId, userEmail } = getCreatedByIdentity(settings, context);
+    await callBackend(
+      "/api/candidates/delete-note",
+      { candidateId: record.candidateId, noteId: inverse.noteId, userId, userEmail },
+      settings,
+      audit
+    );
+  } else if (inverse.type === "restoreCustomField") {
+    const previous = inverse.previous || {};
+    const optionIds = Array.isArray(previous.optionIds) ? previous.optionIds : [];
+    const isSelect = inverse.customFieldValueType === "single_select" || inverse.customFieldValueType === "multi_select";
+    await callBackend(
+      "/api/candidates/set-custom-field",
+      {
+        candidateId: record.candidateId,
+        customFieldId: inverse.customFieldId,
+        customFieldValueType: inverse.customFieldValueType,
+        value: previous.value || "",
+        customFieldOptionId: optionIds[0] || "",
+        customFieldOptionIds: optionIds,
+        clear: isSelect ? optionIds.length === 0 : !previous.value
+      },
+      settings,
+      audit
+    );
+    await patchCachedCustomFieldSelectionForContext({ ...context, gemCandidateId: record.candidateId }, record.candidateId, {
+      customFieldId: inverse.customFieldId,
+      customFieldValue: previous.value || "",
+      customFieldValueLabels: Array.isArray(previous.labels) ? previous.labels : [],
+      customFieldOptionId: optionIds[0] || "",
+      customFieldOptionIds: optionIds,
+      customFieldValueType: inverse.customFieldValueType
+    }).catch(() => false);
+  } else if (inverse.type === "restoreDueDate") {
+    const previous = inverse.previous;
+    if (previous?.date) {
+      await callBackend(
+        "/api/candidates/set-due-date",
+        {
+          candidateId: record.candidateId,
+          date: previous.date,
+          note: previous.note || "",
+          userId: previous.userId || ""
+        },
+        settings,
+        audit
+      );
+    } else {
+      await callBackend("/api/candidates/clear-due-date", { candidateId: record.candidateId }, settings, audit);
+    }
+  } else if (inverse.type === "removeFromProject") {
+    const { userId, userEmail } = getCreatedByIdentity(settings, context);
+    await callBackend(
+      "/api/projects/remove-candidate",
+      { projectId: inverse.projectId, candidateId: record.candidateId, userId, userEmail },
+      settings,
+      audit
+    );
+  } else {
+    throw new Error("The last action cannot be undone.");
+  }
+
+  await chrome.storage.local.remove(UNDO_RECORD_KEY);
+  notifyLinkedInStatusChanged({ ...context, gemCandidateId: record.candidateId }, runId);
+  const message = `Undid: ${record.label || ACTION_LABELS[actionId] || actionId}.`;
+  logEvent(settings, {
+    event: "action.undone",
+    actionId,
+    runId,
+    message,
+    link: record.link || "",
+    details: {
+      originalRunId: record.runId,
+      candidateId: record.candidateId,
+      inverse: inverse.type
+    }
+  });
+  return { message, originalRunId: record.runId };
+}
+
 async function runAction(actionId, context, settings, meta = {}) {
   const runId = meta.runId || generateId();
   const source = meta.source || "unknown";
@@ -2987,18 +3795,7 @@ async function runAction(actionId, context, settings, meta = {}) {
   }
 
   if (actionId === ACTIONS.OPEN_ASHBY_PROFILE) {
-    let linkedInUrl = String(context.linkedinUrl || "").trim();
-    let linkedInHandle = String(context.linkedInHandle || "").trim();
-    if (!linkedInUrl && !linkedInHandle) {
-      try {
-        const existingCandidate = await ensureCandidate(settings, context, audit, { allowCreate: false });
-        const identity = extractLinkedInIdentityFromCandidate(existingCandidate);
-        linkedInUrl = String(identity.linkedInUrl || "").trim();
-        linkedInHandle = String(identity.linkedInHandle || "").trim();
-      } catch (_error) {
-        // Continue to rejection path below.
-      }
-    }
+    const { linkedInUrl, linkedInHandle } = await resolveAshbyLinkedInIdentity(settings, context, audit);
     if (!linkedInUrl && !linkedInHandle) {
       const message = "Could not determine LinkedIn identity for Ashby profile lookup.";
       logEvent(settings, {
@@ -3211,6 +4008,7 @@ async function runAction(actionId, context, settings, meta = {}) {
       ? context.customFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
       : [];
     const customFieldValueType = context.customFieldValueType || "";
+    const customFieldClear = Boolean(context.customFieldClear);
     if (!customFieldId) {
       const message = "Missing custom field ID.";
       logEvent(settings, {
@@ -3225,6 +4023,13 @@ async function runAction(actionId, context, settings, meta = {}) {
       return { ok: false, message, runId };
     }
 
+    const previousCustomField = await captureUndoPriorState(meta, async () =>
+      getCustomFieldUndoState(
+        await getGemCandidateForUndo(settings, candidateId, audit),
+        String(customFieldId).trim(),
+        customFieldValueType
+      )
+    );
     await callBackend(
       "/api/candidates/set-custom-field",
       {
@@ -3233,7 +4038,8 @@ async function runAction(actionId, context, settings, meta = {}) {
         value: customFieldValue,
         customFieldOptionId,
         customFieldOptionIds,
-        customFieldValueType
+        customFieldValueType,
+        clear: customFieldClear
       },
       settings,
       { ...audit, step: "setCustomField" }
@@ -3253,7 +4059,7 @@ async function runAction(actionId, context, settings, meta = {}) {
       }
     ).catch(() => false);
     notifyLinkedInStatusChanged({ ...context, gemCandidateId: candidateId }, runId);
-    const message = "Custom field updated for candidate.";
+    const message = customFieldClear ? "Custom field cleared for candidate." : "Custom field updated for candidate.";
     logEvent(settings, {
       event: "action.succeeded",
       actionId,
@@ -3267,7 +4073,124 @@ async function runAction(actionId, context, settings, meta = {}) {
         selectedOptionCount: customFieldOptionIds.length
       }
     });
-    return { ok: true, message, runId, link: candidateLink || "", candidateId };
+    const undoAvailable = previousCustomField
+      ? await rememberUndoableAction(meta, {
+          runId,
+          actionId,
+          candidateId,
+          label: `${context.customFieldName || "custom field"} ${customFieldClear ? "clear" : "update"}`,
+          link: candidateLink || contextLink,
+          context,
+          inverse: { type: "restoreCustomField", customFieldId, customFieldValueType, previous: previousCustomField }
+        })
+      : false;
+    return { ok: true, message, runId, link: candidateLink || "", candidateId, undoAvailable };
+  }
+
+  if (actionId === ACTIONS.ASHBY_MOVE_STAGE) {
+    const applicationId = String(context.ashbyApplicationId || "").trim();
+    const interviewStageId = String(context.ashbyStageId || "").trim();
+    const archive = Boolean(context.ashbyArchive);
+    const archiveReasonId = String(context.ashbyArchiveReasonId || "").trim();
+    if (!applicationId || !interviewStageId || (archive && !archiveReasonId)) {
+      const message = archive
+        ? "Missing Ashby application, archive stage, or archive reason."
+        : "Missing Ashby application or stage.";
+      logEvent(settings, {
+        level: "warn",
+        event: "action.rejected",
+        actionId,
+        runId,
+        source: `extension.${source}`,
+        message,
+        link: contextLink
+      });
+      return { ok: false, message, runId };
+    }
+
+    const data = await callBackend(
+      "/api/ashby/applications/change-stage",
+      {
+        applicationId,
+        interviewStageId,
+        interviewStageTitle: context.ashbyStageTitle || "",
+        jobName: context.ashbyJobName || "",
+        archive,
+        archiveReasonId
+      },
+      settings,
+      { ...audit, step: archive ? "archiveAshbyApplication" : "changeAshbyStage" }
+    );
+    const message = data?.message || (archive ? "Archived Ashby application." : "Moved Ashby application.");
+    logEvent(settings, {
+      event: "action.succeeded",
+      actionId,
+      runId,
+      source: `extension.${source}`,
+      message,
+      link: contextLink,
+      details: {
+        applicationId,
+        interviewStageId,
+        archive,
+        archiveReasonId,
+        stageTitle: String(data?.stageTitle || "")
+      }
+    });
+    return { ok: true, message, runId };
+  }
+
+  if (actionId === ACTIONS.SET_PROJECT_FIELD) {
+    const projectId = String(context.projectId || "").trim();
+    const projectFieldId = String(context.projectFieldId || "").trim();
+    const projectFieldValueType = String(context.projectFieldValueType || "").trim();
+    const projectFieldOptionIds = Array.isArray(context.projectFieldOptionIds)
+      ? context.projectFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
+      : [];
+    if (!projectId || !projectFieldId) {
+      const message = "Missing project or project field.";
+      logEvent(settings, {
+        level: "warn",
+        event: "action.rejected",
+        actionId,
+        runId,
+        source: `extension.${source}`,
+        message,
+        link: contextLink
+      });
+      return { ok: false, message, runId };
+    }
+
+    const data = await callBackend(
+      "/api/project-fields/set",
+      {
+        projectId,
+        projectFieldId,
+        projectFieldValueType,
+        projectFieldOptionIds,
+        projectFieldText: String(context.projectFieldText || "")
+      },
+      settings,
+      { ...audit, step: "setProjectField" }
+    );
+    await setCachedProjectFields(projectId, data).catch(() => {});
+    const projectLabel = context.projectName || data?.projectName || projectId;
+    const message = `${context.projectFieldName || "Project field"} updated on ${projectLabel}.`;
+    logEvent(settings, {
+      event: "action.succeeded",
+      actionId,
+      runId,
+      source: `extension.${source}`,
+      message,
+      link: contextLink,
+      details: {
+        projectId,
+        projectFieldId,
+        projectFieldValueType,
+        selectedOptionCount: projectFieldOptionIds.length
+      }
+    });
+    return { ok: true, message, runId };
   }
 
   if (actionId === ACTIONS.OPEN_ACTIVITY) {
@@ -3292,7 +4215,55 @@ async function runAction(actionId, context, settings, meta = {}) {
     }
   }
 
-  const candidate = await ensureCandidate(settings, context, audit);
+  const isProjectRemoval = actionId === ACTIONS.ADD_TO_PROJECT && context.projectAction === "remove";
+  const candidate = await ensureCandidate(settings, context, audit, { allowCreate: !isProjectRemoval });
+
+  if (isProjectRemoval) {
+    const projectId = String(context.projectId || "").trim();
+    const { userId, userEmail } = getCreatedByIdentity(settings, context);
+    if (!projectId) {
+      const message = "Missing project ID to remove the candidate from.";
+      logEvent(settings, {
+        level: "warn",
+        event: "action.rejected",
+        actionId,
+        runId,
+        source: `extension.${source}`,
+        message,
+        link: contextLink
+      });
+      return { ok: false, message, runId };
+    }
+    await callBackend(
+      "/api/projects/remove-candidate",
+      {
+        projectId,
+        candidateId: candidate.id,
+        userId,
+        userEmail
+      },
+      settings,
+      { ...audit, step: "removeFromProject" }
+    );
+    notifyLinkedInStatusChanged({ ...context, gemCandidateId: candidate.id }, runId);
+    const message = `Candidate removed from project ${context.projectName || projectId}.`;
+    logEvent(settings, {
+      event: "action.succeeded",
+      actionId,
+      runId,
+      source: `extension.${source}`,
+      message,
+      link: candidate.weblink || contextLink,
+      details: {
+        candidateId: candidate.id,
+        projectId,
+        projectAction: "remove",
+        userId,
+        userEmail
+      }
+    });
+    return { ok: true, message, runId, link: candidate.weblink || "" };
+  }
 
   if (actionId === ACTIONS.ADD_TO_PROJECT) {
     const projectId = context.projectId || settings.defaultProjectId;
@@ -3310,6 +4281,18 @@ async function runAction(actionId, context, settings, meta = {}) {
       });
       return { ok: false, message, runId };
     }
+    const previousProjectIds = await captureUndoPriorState(meta, async () => {
+      const data = await callBackend(
+        "/api/candidates/project-ids",
+        { candidateId: candidate.id, forceRefresh: true },
+        settings,
+        { ...audit, step: "captureUndoState" }
+      );
+      if (!Array.isArray(data?.projectIds)) {
+        throw new Error("Gem did not return project memberships.");
+      }
+      return data.projectIds.map((id) => String(id || "").trim());
+    });
     await callBackend(
       "/api/projects/add-candidate",
       {
@@ -3338,7 +4321,20 @@ async function runAction(actionId, context, settings, meta = {}) {
         userEmail
       }
     });
-    return { ok: true, message, runId, link: candidate.weblink || "" };
+    // A candidate who was already in the project stays there, so only a real add can be undone.
+    const undoAvailable =
+      previousProjectIds && !previousProjectIds.includes(String(projectId).trim())
+        ? await rememberUndoableAction(meta, {
+            runId,
+            actionId,
+            candidateId: candidate.id,
+            label: `add to ${context.projectName || projectId}`,
+            link: candidate.weblink || contextLink,
+            context,
+            inverse: { type: "removeFromProject", projectId }
+          })
+        : false;
+    return { ok: true, message, runId, link: candidate.weblink || "", undoAvailable };
   }
 
   if (actionId === ACTIONS.OPEN_ACTIVITY) {
@@ -3404,18 +4400,32 @@ async function runAction(actionId, context, settings, meta = {}) {
       return { ok: false, message, runId };
     }
 
-    const data = await callBackend(
-      "/api/candidates/add-note",
-      {
-        candidateId: candidate.id,
-        note,
-        userId,
-        userEmail
-      },
-      settings,
-      { ...audit, step: "addCandidateNote" }
-    );
-    const message = "Added note to candidate.";
+    const editNoteId = String(context.candidateNoteEditId || "").trim();
+    const data = editNoteId
+      ? await callBackend(
+          "/api/candidates/update-note",
+          {
+            candidateId: candidate.id,
+            noteId: editNoteId,
+            note,
+            userId,
+            userEmail
+          },
+          settings,
+          { ...audit, step: "updateCandidateNote" }
+        )
+      : await callBackend(
+          "/api/candidates/add-note",
+          {
+            candidateId: candidate.id,
+            note,
+            userId,
+            userEmail
+          },
+          settings,
+          { ...audit, step: "addCandidateNote" }
+        );
+    const message = editNoteId ? "Updated candidate note." : "Added note to candidate.";
     logEvent(settings, {
       event: "action.succeeded",
       actionId,
@@ -3428,19 +4438,28 @@ async function runAction(actionId, context, settings, meta = {}) {
         userId,
         userEmail,
         noteLength: note.length,
-        noteId: String(data?.note?.id || "")
+        noteId: String(data?.note?.id || ""),
+        previousNoteId: editNoteId
       }
     });
-    return { ok: true, message, runId, link: candidate.weblink || "", details: data || {} };
+    const noteId = String(data?.note?.id || "");
+    const undoAvailable = noteId && !editNoteId
+      ? await rememberUndoableAction(meta, {
+          runId,
+          actionId,
+          candidateId: candidate.id,
+          label: "add note",
+          link: candidate.weblink || contextLink,
+          context,
+          inverse: { type: "deleteNote", noteId }
+        })
+      : false;
+    return { ok: true, message, runId, link: candidate.weblink || "", details: data || {}, undoAvailable };
   }
 
-  if (actionId === ACTIONS.SET_REMINDER) {
-    const reminderDueDate = String(context.reminderDueDate || "").trim();
-    const reminderNote = String(context.reminderNote || "").trim();
-    const { userId, userEmail } = getCreatedByIdentity(settings, context);
-
-    if (!reminderDueDate) {
-      const message = "Missing reminder due date.";
+  if (actionId === ACTIONS.LOG_GMAIL_THREAD) {
+    if (String(context.sourcePlatform || "").trim().toLowerCase() !== "gmail") {
+      const message = "Open a Gmail thread to log it to Gem.";
       logEvent(settings, {
         level: "warn",
         event: "action.rejected",
@@ -3452,24 +4471,202 @@ async function runAction(actionId, context, settings, meta = {}) {
       });
       return { ok: false, message, runId };
     }
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(reminderDueDate)) {
-      const message = "Reminder due date must use YYYY-MM-DD.";
+
+    const candidate = await ensureCandidate(settings, context, audit, { allowCreate: false });
+    const threadId = String(context.gmailApiThreadId || "").trim();
+    if (!threadId) {
+      throw new Error(
+        context.gmailResolutionError
+          ? `Could not read this thread through the Gmail API: ${context.gmailResolutionError}`
+          : "Could not read this thread through the Gmail API. Check the Gmail OAuth client in manifest.json."
+      );
+    }
+
+    const { userId, userEmail } = getCreatedByIdentity(settings, context);
+    const thread = await fetchGmailThreadMessagesForLog(threadId);
+    const loggedIds = await collectLoggedGmailMessageIdsForThread(
+      settings,
+      candidate.id,
+      thread.messages,
+      { userId, userEmail },
+      audit
+    );
+    const unloggedMessages = thread.messages.filter((entry) => !isGmailMessageLogged(loggedIds, entry));
+    const skippedCount = thread.messages.length - unloggedMessages.length;
+    if (unloggedMessages.length === 0) {
+      const message = "This Gmail thread is already logged to Gem.";
       logEvent(settings, {
-        level: "warn",
-        event: "action.rejected",
+        event: "action.skipped",
         actionId,
         runId,
         source: `extension.${source}`,
         message,
-        link: contextLink,
-        details: { reminderDueDate }
+        link: candidate.weblink || contextLink,
+        details: { candidateId: candidate.id, threadId, skippedCount }
       });
-      return { ok: false, message, runId };
+      return { ok: true, message, runId, link: candidate.weblink || "" };
     }
 
-    await callBackend(
-      "/api/candidates/set-due-date",
-      {
+    const newMessages = unloggedMessages.slice(0, GMAIL_LOG_MAX_MESSAGES_PER_NOTE);
+    const remainingCount = unloggedMessages.length - newMessages.length;
+    const note = buildGmailThreadNote(thread.subject || context.gmailSubject, newMessages);
+    const data = await callBackend(
+      "/api/candidates/add-note",
+      {
+        candidateId: candidate.id,
+        note,
+        userId,
+        userEmail
+      },
+      settings,
+      { ...audit, step: "addCandidateNote" }
+    );
+    const message = [
+      `Logged ${newMessages.length} email${newMessages.length === 1 ? "" : "s"} to Gem.`,
+      skippedCount > 0 ? `${skippedCount} already logged.` : "",
+      remainingCount > 0 ? `Run again to log ${remainingCount} more.` : ""
+    ]
+      .filter(Boolean)
+      .join(" ");
+    logEvent(settings, {
+      event: "action.succeeded",
+      actionId,
+      runId,
+      source: `extension.${source}`,
+      message,
+      link: candidate.weblink || contextLink,
+      details: {
+        candidateId: candidate.id,
+        threadId,
+        loggedMessageIds: newMessages.map((entry) => entry.logKey),
+        skippedCount,
+        remainingCount,
+        noteLength: note.length,
+        noteId: String(data?.note?.id || "")
+      }
+    });
+    const noteId = String(data?.note?.id || "");
+    const undoAvailable = noteId
+      ? await rememberUndoableAction(meta, {
+          runId,
+          actionId,
+          candidateId: candidate.id,
+          label: "log Gmail thread",
+          link: candidate.weblink || contextLink,
+          context,
+          inverse: { type: "deleteNote", noteId }
+        })
+      : false;
+    return { ok: true, message, runId, link: candidate.weblink || "", undoAvailable };
+  }
+
+  if (actionId === ACTIONS.UPLOAD_RESUME) {
+    const fileName = String(context.resumeFileName || "").trim();
+    const fileBase64 = String(context.resumeFileBase64 || "");
+    const { userId, userEmail } = getCreatedByIdentity(settings, context);
+    if (!fileName || !fileBase64) {
+      const message = "Resume file is required.";
+      logEvent(settings, {
+        level: "warn",
+        event: "action.rejected",
+        actionId,
+        runId,
+        source: `extension.${source}`,
+        message,
+        link: contextLink
+      });
+      return { ok: false, message, runId };
+    }
+
+    const data = await callBackend(
+      "/api/candidates/upload-resume",
+      {
+        candidateId: candidate.id,
+        linkedInHandle: context.linkedInHandle || "",
+        linkedInUrl: context.linkedinUrl || "",
+        emails: Array.isArray(context.contactEmails) ? context.contactEmails : [],
+        fileName,
+        contentType: String(context.resumeContentType || "").trim(),
+        fileBase64,
+        userId,
+        userEmail
+      },
+      settings,
+      { ...audit, step: "uploadCandidateResume" }
+    );
+    const message = `Uploaded resume ${fileName} to Gem.`;
+    logEvent(settings, {
+      event: "action.succeeded",
+      actionId,
+      runId,
+      source: `extension.${source}`,
+      message,
+      link: candidate.weblink || contextLink,
+      details: {
+        candidateId: data?.candidateId || candidate.id,
+        resumeId: String(data?.resume?.id || ""),
+        fileName,
+        resumeSource: String(context.resumeSource || ""),
+        userId,
+        userEmail
+      }
+    });
+    return { ok: true, message, runId, link: candidate.weblink || "" };
+  }
+
+  if (actionId === ACTIONS.SET_REMINDER) {
+    const reminderDueDate = String(context.reminderDueDate || "").trim();
+    const reminderRepeat = getReminderRepeatRule(context.reminderRepeat)?.id || "";
+    const reminderNote = formatReminderNote(context.reminderNote, reminderRepeat);
+    const assigneeUserId = String(context.reminderAssigneeUserId || "").trim();
+    const { userId, userEmail } = assigneeUserId
+      ? { userId: assigneeUserId, userEmail: normalizeContextEmail(context.reminderAssigneeEmail) }
+      : getCreatedByIdentity(settings, context);
+    const assigneeName = assigneeUserId ? String(context.reminderAssigneeName || userEmail || "").trim() : "";
+
+    if (!reminderDueDate) {
+      const message = "Missing reminder due date.";
+      logEvent(settings, {
+        level: "warn",
+        event: "action.rejected",
+        actionId,
+        runId,
+        source: `extension.${source}`,
+        message,
+        link: contextLink
+      });
+      return { ok: false, message, runId };
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(reminderDueDate)) {
+      const message = "Reminder due date must use YYYY-MM-DD.";
+      logEvent(settings, {
+        level: "warn",
+        event: "action.rejected",
+        actionId,
+        runId,
+        source: `extension.${source}`,
+        message,
+        link: contextLink,
+        details: { reminderDueDate }
+      });
+      return { ok: false, message, runId };
+    }
+
+    const previousDueDate = await captureUndoPriorState(meta, async () => {
+      const dueDate = (await getGemCandidateForUndo(settings, candidate.id, audit)).due_date;
+      return {
+        dueDate: dueDate?.date
+          ? {
+              date: String(dueDate.date),
+              userId: String(dueDate.user_id || ""),
+              note: String(dueDate.note || "")
+            }
+          : null
+      };
+    });
+    await callBackend(
+      "/api/candidates/set-due-date",
+      {
         candidateId: candidate.id,
         date: reminderDueDate,
         note: reminderNote,
@@ -3480,7 +4677,9 @@ async function runAction(actionId, context, settings, meta = {}) {
       { ...audit, step: "setReminder" }
     );
 
-    const message = `Reminder set for ${formatDateForHumans(reminderDueDate)}.`;
+    const message = assigneeName
+      ? `Reminder for ${assigneeName} set for ${formatDateForHumans(reminderDueDate)}.`
+      : `Reminder set for ${formatDateForHumans(reminderDueDate)}.`;
     logEvent(settings, {
       event: "action.succeeded",
       actionId,
@@ -3493,10 +4692,22 @@ async function runAction(actionId, context, settings, meta = {}) {
         dueDate: reminderDueDate,
         userId,
         userEmail,
-        hasNote: Boolean(reminderNote)
+        repeat: reminderRepeat,
+        hasNote: Boolean(String(context.reminderNote || "").trim())
       }
     });
-    return { ok: true, message, runId, link: candidate.weblink || "" };
+    const undoAvailable = previousDueDate
+      ? await rememberUndoableAction(meta, {
+          runId,
+          actionId,
+          candidateId: candidate.id,
+          label: "set reminder",
+          link: candidate.weblink || contextLink,
+          context,
+          inverse: { type: "restoreDueDate", previous: previousDueDate.dueDate }
+        })
+      : false;
+    return { ok: true, message, runId, link: candidate.weblink || "", undoAvailable };
   }
 
   if (actionId === ACTIONS.SEND_SEQUENCE) {
@@ -3748,6 +4959,251 @@ function ensureCustomFieldRefresh(settings, context, runId, options = {}) {
   return promise;
 }
 
+async function listCandidateProjectIdsForContext(settings, context, runId) {
+  const actionId = ACTIONS.ADD_TO_PROJECT;
+  const audit = { actionId, runId };
+  const candidate = await findCandidateByContext(settings, context, audit);
+  if (!candidate?.id) {
+    return { candidateId: "", projectIds: [] };
+  }
+  rememberCandidateResolution(context, candidate);
+  const data = await callBackend(
+    "/api/candidates/project-ids",
+    {
+      candidateId: candidate.id,
+      forceRefresh: true
+    },
+    settings,
+    { actionId, runId, step: "listCandidateProjectIds" }
+  );
+  return {
+    candidateId: candidate.id,
+    projectIds: normalizeCandidateProjectIds(data?.projectIds)
+  };
+}
+
+async function listCandidateNotesForContext(settings, context, runId) {
+  const actionId = ACTIONS.ADD_NOTE_TO_CANDIDATE;
+  const audit = { actionId, runId };
+  const candidate = await findCandidateByContext(settings, context, audit);
+  if (!candidate?.id) {
+    return { candidateId: "", notes: [] };
+  }
+  rememberCandidateResolution(context, candidate);
+  const { userId, userEmail } = getCreatedByIdentity(settings, context);
+  const data = await callBackend(
+    "/api/candidates/notes/list",
+    {
+      candidateId: candidate.id,
+      userId,
+      userEmail
+    },
+    settings,
+    { actionId, runId, step: "listCandidateNotes" }
+  );
+  return {
+    candidateId: candidate.id,
+    notes: Array.isArray(data?.notes) ? data.notes : []
+  };
+}
+
+async function deleteCandidateNoteForContext(settings, context, candidateId, noteId, runId) {
+  const actionId = ACTIONS.ADD_NOTE_TO_CANDIDATE;
+  const { userId, userEmail } = getCreatedByIdentity(settings, context);
+  await callBackend(
+    "/api/candidates/delete-note",
+    {
+      candidateId,
+      noteId,
+      userId,
+      userEmail
+    },
+    settings,
+    { actionId, runId, step: "deleteCandidateNote" }
+  );
+  logEvent(settings, {
+    event: "candidate.note.deleted",
+    actionId,
+    runId,
+    message: "Deleted candidate note.",
+    link: getContextLink(context),
+    details: {
+      candidateId,
+      noteId
+    }
+  });
+  return { noteId, deleted: true };
+}
+
+async function listCandidateEventsForContext(settings, context, runId, limit = 100) {
+  const actionId = ACTIONS.GEM_ACTIONS;
+  const audit = { actionId, runId };
+  const candidate = await ensureCandidate(settings, context, audit, { allowCreate: false });
+  const result = await callBackend(
+    "/api/candidates/events/list",
+    {
+      candidateId: candidate.id,
+      limit
+    },
+    settings,
+    { actionId, runId, step: "listCandidateEvents" }
+  );
+  const entries = Array.isArray(result?.entries) ? result.entries : [];
+  const failedSources = Array.isArray(result?.failedSources) ? result.failedSources : [];
+  logEvent(settings, {
+    level: failedSources.length > 0 ? "warn" : "info",
+    event: "candidate.events.loaded",
+    actionId,
+    runId,
+    message: `Loaded ${entries.length} timeline entries.`,
+    link: getContextLink(context),
+    details: {
+      candidateId: candidate.id,
+      failedSources
+    }
+  });
+  return {
+    candidateId: candidate.id,
+    entries,
+    failedSources
+  };
+}
+
+async function resolveAshbyLinkedInIdentity(settings, context, audit) {
+  let linkedInUrl = String(context.linkedinUrl || "").trim();
+  let linkedInHandle = String(context.linkedInHandle || "").trim();
+  if (!linkedInUrl && !linkedInHandle) {
+    try {
+      const existingCandidate = await ensureCandidate(settings, context, audit, { allowCreate: false });
+      const identity = extractLinkedInIdentityFromCandidate(existingCandidate);
+      linkedInUrl = String(identity.linkedInUrl || "").trim();
+      linkedInHandle = String(identity.linkedInHandle || "").trim();
+    } catch (_error) {
+      // Callers reject when no LinkedIn identity is available.
+    }
+  }
+  return { linkedInUrl, linkedInHandle };
+}
+
+async function listAshbyApplicationsForContext(settings, context, runId) {
+  const actionId = ACTIONS.ASHBY_MOVE_STAGE;
+  const audit = { actionId, runId };
+  const { linkedInUrl, linkedInHandle } = await resolveAshbyLinkedInIdentity(settings, context, audit);
+  if (!linkedInUrl && !linkedInHandle) {
+    throw new Error("Could not determine LinkedIn identity for Ashby lookup.");
+  }
+  const data = await callBackend(
+    "/api/ashby/applications/list",
+    {
+      linkedInUrl,
+      linkedInHandle,
+      profileName: String(context.profileName || "").trim()
+    },
+    settings,
+    { ...audit, step: "listAshbyApplications" }
+  );
+  if (!data?.found) {
+    throw new Error(data?.message || "No Ashby candidate matched this LinkedIn profile.");
+  }
+  const applications = Array.isArray(data.applications) ? data.applications : [];
+  logEvent(settings, {
+    event: "ashby.applications.loaded",
+    actionId,
+    runId,
+    message: `Loaded ${applications.length} open Ashby applications.`,
+    link: getContextLink(context),
+    details: {
+      ashbyCandidateId: String(data.candidate?.id || ""),
+      linkedInHandle
+    }
+  });
+  return {
+    candidate: data.candidate || null,
+    applications,
+    archiveReasons: Array.isArray(data.archiveReasons) ? data.archiveReasons : []
+  };
+}
+
+async function previewSequenceForContext(settings, context, sequenceId, runId) {
+  const actionId = ACTIONS.SEND_SEQUENCE;
+  const audit = { actionId, runId };
+  const candidate = await findCandidateByContext(settings, context, audit);
+  const preview = await callBackend(
+    "/api/sequences/preview",
+    {
+      sequenceId,
+      candidateId: String(candidate?.id || "")
+    },
+    settings,
+    { actionId, runId, step: "previewSequence" }
+  );
+  const warnings = Array.isArray(preview?.warnings) ? preview.warnings : [];
+  logEvent(settings, {
+    level: warnings.length > 0 ? "warn" : "info",
+    event: "sequence.preview.loaded",
+    actionId,
+    runId,
+    message: `Loaded sequence preview with ${warnings.length} warning(s).`,
+    link: getContextLink(context),
+    details: {
+      candidateId: String(candidate?.id || ""),
+      sequenceId,
+      warnings
+    }
+  });
+  return preview || {};
+}
+
+async function refreshProjectFields(settings, projectId, runId, options = {}) {
+  const data = await callBackend(
+    "/api/project-fields/list",
+    { projectId, forceRefresh: Boolean(options.forceRefresh) },
+    settings,
+    { actionId: ACTIONS.SET_PROJECT_FIELD, runId, step: "listProjectFields" }
+  );
+  await setCachedProjectFields(projectId, data);
+  return normalizeProjectFieldCacheEntry({ ...data, fetchedAt: Date.now() });
+}
+
+async function listProjectFieldsForProject(settings, projectId, runId, options = {}) {
+  const actionId = ACTIONS.SET_PROJECT_FIELD;
+  const normalizedProjectId = String(projectId || "").trim();
+  if (!normalizedProjectId) {
+    throw new Error("Project ID is required.");
+  }
+  const forceRefresh = Boolean(options.forceRefresh);
+  const cached = await getCachedProjectFields(normalizedProjectId);
+  if (!forceRefresh && cached.entry) {
+    if (!cached.isFresh) {
+      refreshProjectFields(settings, normalizedProjectId, runId).catch(() => {});
+    }
+    logEvent(settings, {
+      event: "project_fields.list.loaded",
+      actionId,
+      runId,
+      message: `Loaded ${cached.entry.projectFields.length} project fields from cache.`,
+      details: {
+        projectId: normalizedProjectId,
+        stale: !cached.isFresh
+      }
+    });
+    return { ...cached.entry, fromCache: true, stale: !cached.isFresh };
+  }
+
+  const refreshed = await refreshProjectFields(settings, normalizedProjectId, runId, { forceRefresh });
+  logEvent(settings, {
+    event: "project_fields.list.loaded",
+    actionId,
+    runId,
+    message: `Loaded ${refreshed.projectFields.length} project fields from backend.`,
+    details: {
+      projectId: normalizedProjectId,
+      stale: false
+    }
+  });
+  return { ...refreshed, fromCache: false, stale: false };
+}
+
 async function listCustomFieldsForContext(settings, context, runId, options = {}) {
   const forceRefresh = Boolean(options.forceRefresh);
   const allowCreate = options.allowCreate !== false;
@@ -3824,6 +5280,88 @@ async function getPassiveGemStatusForContext(settings, context, runId, options =
   };
 }
 
+function getAshbyStatusCacheKey(context) {
+  const handle = String(context?.linkedInHandle || "").trim().toLowerCase();
+  if (handle) {
+    return `handle:${handle}`;
+  }
+  const url = String(context?.linkedinUrl || "").trim().toLowerCase();
+  return url ? `url:${url}` : "";
+}
+
+function normalizeAshbyStatusCacheEntry(entry) {
+  return {
+    fetchedAt: Number(entry?.fetchedAt) || 0,
+    available: entry?.available !== false,
+    found: Boolean(entry?.found),
+    candidateName: String(entry?.candidateName || ""),
+    profileUrl: String(entry?.profileUrl || ""),
+    applications: (Array.isArray(entry?.applications) ? entry.applications : []).map((application) => ({
+      id: String(application?.id || ""),
+      jobName: String(application?.jobName || ""),
+      stageTitle: String(application?.stageTitle || "")
+    }))
+  };
+}
+
+async function setCachedAshbyStatus(key, entry) {
+  const store = (await getFromLocalStorage(ASHBY_STATUS_CACHE_KEY)) || {};
+  store[key] = normalizeAshbyStatusCacheEntry({ ...entry, fetchedAt: Date.now() });
+  const pruned = Object.entries(store)
+    .sort((a, b) => (Number(b[1]?.fetchedAt) || 0) - (Number(a[1]?.fetchedAt) || 0))
+    .slice(0, ASHBY_STATUS_CACHE_LIMIT)
+    .reduce((acc, [cacheKey, value]) => {
+      acc[cacheKey] = value;
+      return acc;
+    }, {});
+  await setInLocalStorage(ASHBY_STATUS_CACHE_KEY, pruned);
+  return pruned[key] || store[key];
+}
+
+async function getPassiveAshbyStatusForContext(settings, context, runId, options = {}) {
+  const key = getAshbyStatusCacheKey(context);
+  if (!key) {
+    return { ...normalizeAshbyStatusCacheEntry({}), fromCache: false };
+  }
+  if (!options.forceRefresh) {
+    const store = (await getFromLocalStorage(ASHBY_STATUS_CACHE_KEY)) || {};
+    if (store[key]) {
+      const cached = normalizeAshbyStatusCacheEntry(store[key]);
+      if (Date.now() - cached.fetchedAt <= ASHBY_STATUS_CACHE_TTL_MS) {
+        return { ...cached, fromCache: true };
+      }
+    }
+  }
+
+  try {
+    const data = await callBackend(
+      "/api/ashby/candidates/status",
+      {
+        linkedInUrl: String(context.linkedinUrl || "").trim(),
+        linkedInHandle: String(context.linkedInHandle || "").trim(),
+        profileName: String(context.profileName || "").trim()
+      },
+      settings,
+      { actionId: ACTIONS.OPEN_ASHBY_PROFILE, runId, step: "getPassiveAshbyStatus" }
+    );
+    const entry = await setCachedAshbyStatus(key, {
+      available: true,
+      found: Boolean(data?.found),
+      candidateName: data?.candidate?.name,
+      profileUrl: data?.candidate?.profileUrl,
+      applications: data?.applications
+    });
+    return { ...entry, fromCache: false };
+  } catch (error) {
+    // Ashby is optional; cache the miss so a backend without Ashby access is not polled on every refresh.
+    if (error?.retryable) {
+      throw error;
+    }
+    const entry = await setCachedAshbyStatus(key, { available: false });
+    return { ...entry, fromCache: false };
+  }
+}
+
 async function findExistingCandidateIdForContext(settings, context, runId, actionId, options = {}) {
   const existing = await findCandidateByContext(settings, context, {
     actionId,
@@ -3968,42 +5506,629 @@ async function addCandidateEmailForContext(settings, context, runId, emailAddres
     }
   });
   return {
-    candidateId: String(data?.candidateId || candidate.id || ""),
-    emails,
-    primaryEmail
+    candidateId: String(data?.candidateId || candidate.id || ""),
+    emails,
+    primaryEmail
+  };
+}
+
+async function setCandidatePrimaryEmailForContext(settings, context, runId, emailAddress) {
+  const actionId = ACTIONS.MANAGE_EMAILS;
+  const candidate = await ensureCandidate(settings, context, { actionId, runId });
+  const data = await callBackend(
+    "/api/candidates/emails/set-primary",
+    {
+      candidateId: candidate.id,
+      email: String(emailAddress || "").trim()
+    },
+    settings,
+    { actionId, runId, step: "setCandidatePrimaryEmail" }
+  );
+  const emails = normalizeCandidateEmailList(data?.emails);
+  const primaryEmail = getPrimaryEmailFromList(emails);
+  await setCachedCandidateEmailsForContext(context, String(data?.candidateId || candidate.id || ""), emails, primaryEmail);
+  logEvent(settings, {
+    event: "candidate.email.primary_set",
+    actionId,
+    runId,
+    message: "Candidate primary email updated.",
+    details: {
+      candidateId: String(data?.candidateId || candidate.id || ""),
+      primaryEmail
+    }
+  });
+  return {
+    candidateId: String(data?.candidateId || candidate.id || ""),
+    emails,
+    primaryEmail
+  };
+}
+
+function normalizeCandidatePhoneList(items) {
+  return (Array.isArray(items) ? items : [])
+    .map((item) => ({
+      phoneNumber: String(item?.phoneNumber || item?.phone_number || "").trim(),
+      isPrimary: Boolean(item?.isPrimary || item?.is_primary)
+    }))
+    .filter((item) => item.phoneNumber);
+}
+
+function buildCandidatePhoneResult(data, fallbackCandidateId) {
+  const phones = normalizeCandidatePhoneList(data?.phones);
+  return {
+    candidateId: String(data?.candidateId || fallbackCandidateId || ""),
+    phones,
+    primaryPhone: String(data?.primaryPhone || phones.find((entry) => entry.isPrimary)?.phoneNumber || "").trim()
+  };
+}
+
+async function listCandidatePhonesForContext(settings, context, runId, options = {}) {
+  const actionId = ACTIONS.MANAGE_PHONES;
+  const allowCreate = options.allowCreate !== false;
+  const candidateId = allowCreate
+    ? String((await ensureCandidate(settings, context, { actionId, runId }))?.id || "").trim()
+    : await findExistingCandidateIdForContext(settings, context, runId, actionId);
+  if (!candidateId) {
+    return { candidateId: "", phones: [], primaryPhone: "" };
+  }
+  const data = await callBackend("/api/candidates/phones/list", { candidateId }, settings, {
+    actionId,
+    runId,
+    step: "listCandidatePhones"
+  });
+  const result = buildCandidatePhoneResult(data, candidateId);
+  logEvent(settings, {
+    event: "candidate.phones.loaded",
+    actionId,
+    runId,
+    message: `Loaded ${result.phones.length} candidate phone number${result.phones.length === 1 ? "" : "s"}.`,
+    details: { candidateId: result.candidateId, allowCreate }
+  });
+  return result;
+}
+
+async function addCandidatePhoneForContext(settings, context, runId, phoneNumber) {
+  const actionId = ACTIONS.MANAGE_PHONES;
+  const candidate = await ensureCandidate(settings, context, { actionId, runId });
+  const data = await callBackend(
+    "/api/candidates/phones/add",
+    {
+      candidateId: candidate.id,
+      phone: String(phoneNumber || "").trim()
+    },
+    settings,
+    { actionId, runId, step: "addCandidatePhone" }
+  );
+  const result = buildCandidatePhoneResult(data, candidate.id);
+  logEvent(settings, {
+    event: "candidate.phone.added",
+    actionId,
+    runId,
+    message: "Candidate phone number added and set primary.",
+    details: {
+      candidateId: result.candidateId,
+      phoneCount: result.phones.length
+    }
+  });
+  return result;
+}
+
+async function setCandidatePrimaryPhoneForContext(settings, context, runId, phoneNumber) {
+  const actionId = ACTIONS.MANAGE_PHONES;
+  const candidate = await ensureCandidate(settings, context, { actionId, runId });
+  const data = await callBackend(
+    "/api/candidates/phones/set-primary",
+    {
+      candidateId: candidate.id,
+      phone: String(phoneNumber || "").trim()
+    },
+    settings,
+    { actionId, runId, step: "setCandidatePrimaryPhone" }
+  );
+  const result = buildCandidatePhoneResult(data, candidate.id);
+  logEvent(settings, {
+    event: "candidate.phone.primary_set",
+    actionId,
+    runId,
+    message: "Candidate primary phone number updated.",
+    details: { candidateId: result.candidateId }
+  });
+  return result;
+}
+
+async function getCandidateContactInfoForContext(settings, context, runId) {
+  const actionId = ACTIONS.CAPTURE_CONTACT_INFO;
+  const candidate = await ensureCandidate(settings, context, { actionId, runId });
+  const data = await callBackend(
+    "/api/candidates/contact-info",
+    { candidateId: candidate.id },
+    settings,
+    { actionId, runId, step: "getCandidateContactInfo" }
+  );
+  return {
+    candidateId: String(data?.candidateId || candidate.id || ""),
+    emails: normalizeCandidateEmailList(data?.emails),
+    primaryEmail: normalizeEmailAddress(data?.primaryEmail),
+    ...buildCandidatePhoneResult(data, candidate.id),
+    profileUrls: (Array.isArray(data?.profileUrls) ? data.profileUrls : []).map((url) => String(url || "").trim()).filter(Boolean)
+  };
+}
+
+// The content script sends only values missing from Gem; each kind goes through its own route so a failure
+// in one (for example a profile without a URL) does not block the others.
+async function captureContactInfoForContext(settings, context, runId, capture = {}) {
+  const actionId = ACTIONS.CAPTURE_CONTACT_INFO;
+  const candidate = await ensureCandidate(settings, context, { actionId, runId });
+  const audit = { actionId, runId };
+  const emails = (Array.isArray(capture.emails) ? capture.emails : []).map(normalizeEmailAddress).filter(Boolean);
+  const phone = String(capture.phone || "").trim();
+  const profileUrls = (Array.isArray(capture.profileUrls) ? capture.profileUrls : [])
+    .map((url) => String(url || "").trim())
+    .filter(Boolean);
+  const added = { emails: [], phone: "", profileUrls: [] };
+  const errors = [];
+
+  for (const email of emails) {
+    try {
+      await callBackend(
+        "/api/candidates/emails/add",
+        { candidateId: candidate.id, email, makePrimary: false },
+        settings,
+        { ...audit, step: "captureContactEmail" }
+      );
+      added.emails.push(email);
+    } catch (error) {
+      errors.push(`${email}: ${error.message}`);
+    }
+  }
+  if (phone) {
+    try {
+      await callBackend("/api/candidates/phones/add", { candidateId: candidate.id, phone }, settings, {
+        ...audit,
+        step: "captureContactPhone"
+      });
+      added.phone = phone;
+    } catch (error) {
+      errors.push(`${phone}: ${error.message}`);
+    }
+  }
+  if (profileUrls.length > 0) {
+    try {
+      const data = await callBackend(
+        "/api/candidates/profile-urls/add",
+        { candidateId: candidate.id, urls: profileUrls },
+        settings,
+        { ...audit, step: "captureContactProfileUrls" }
+      );
+      added.profileUrls = Array.isArray(data?.added) ? data.added : [];
+    } catch (error) {
+      errors.push(`Links: ${error.message}`);
+    }
+  }
+
+  const addedCount = added.emails.length + (added.phone ? 1 : 0) + added.profileUrls.length;
+  logEvent(settings, {
+    level: errors.length > 0 ? "warn" : "info",
+    event: "candidate.contact_info.captured",
+    actionId,
+    runId,
+    message: `Captured ${addedCount} contact detail${addedCount === 1 ? "" : "s"} from LinkedIn.`,
+    link: candidate.weblink || "",
+    details: {
+      candidateId: candidate.id,
+      emailCount: added.emails.length,
+      phoneAdded: Boolean(added.phone),
+      profileUrlCount: added.profileUrls.length,
+      errors
+    }
+  });
+  return {
+    candidateId: String(candidate.id || ""),
+    link: candidate.weblink || "",
+    added,
+    errors
+  };
+}
+
+function isOutboxAction(actionId, context = {}) {
+  // A note edit writes the new note before deleting the old one, so a replay after a partial failure leaves two.
+  if (actionId === ACTIONS.ADD_NOTE_TO_CANDIDATE && String(context?.candidateNoteEditId || "").trim()) {
+    return false;
+  }
+  return OUTBOX_ACTION_IDS.includes(actionId);
+}
+
+function canAutoRetryOutboxAction(actionId, error) {
+  if (!error?.retryable) {
+    return false;
+  }
+  if (!OUTBOX_NON_IDEMPOTENT_ACTION_IDS.includes(actionId)) {
+    return true;
+  }
+  // A dropped connection or a gateway timeout (502/503/504) can arrive after the note was written,
+  // so only a rate limit or an error the backend itself returned is replayed.
+  const status = Number(error.status) || 0;
+  return status === 429 || (status >= 500 && !OUTBOX_GATEWAY_ERROR_STATUSES.includes(status));
+}
+
+function getUnconfirmedOutboxMessage(actionId) {
+  return `${ACTION_LABELS[actionId] || actionId} may already be saved in Gem. Check Gem, then use Retry if it is missing.`;
+}
+
+function withOutboxStorage(task) {
+  // Enqueue, process, retry, and discard all read-modify-write the same list, so they take turns.
+  const run = outboxStorageChain.then(task, task);
+  outboxStorageChain = run.catch(() => {});
+  return run;
+}
+
+function getOutboxRetryDelayMs(attempts) {
+  return Math.min(OUTBOX_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), OUTBOX_RETRY_MAX_MS);
+}
+
+function describeOutboxEntry(actionId, context) {
+  const target = String(context?.profileName || context?.contactEmail || getContextLink(context) || "candidate").trim();
+  const label = ACTION_LABELS[actionId] || actionId;
+  if (actionId === ACTIONS.ADD_NOTE_TO_CANDIDATE) {
+    const note = String(context?.candidateNote || "").replace(/\s+/g, " ").trim();
+    return `${label} · ${target}: ${note.length > 60 ? `${note.slice(0, 60)}...` : note}`;
+  }
+  if (actionId === ACTIONS.SET_REMINDER) {
+    return `${label} · ${target}: ${String(context?.reminderDueDate || "")}`;
+  }
+  if (actionId === ACTIONS.ADD_TO_PROJECT) {
+    return `${label} · ${target}: ${String(context?.projectName || context?.projectId || "")}`;
+  }
+  return `${label} · ${target}`;
+}
+
+async function getOutboxEntries() {
+  const entries = await getFromLocalStorage(OUTBOX_STORAGE_KEY);
+  return Array.isArray(entries) ? entries : [];
+}
+
+async function setOutboxEntries(entries) {
+  await setInLocalStorage(OUTBOX_STORAGE_KEY, entries);
+  await syncOutboxBadgeAndAlarm(entries);
+}
+
+async function syncOutboxBadgeAndAlarm(entries) {
+  const pending = entries.filter((entry) => entry.status === "pending");
+  const failedCount = entries.length - pending.length;
+  const badgeCount = pending.length + failedCount;
+  try {
+    await chrome.action.setBadgeText({ text: badgeCount > 0 ? String(badgeCount) : "" });
+    await chrome.action.setBadgeBackgroundColor({ color: failedCount > 0 ? "#a61d24" : "#4b3fa8" });
+  } catch (_error) {
+    // Badge updates are best-effort.
+  }
+  if (pending.length === 0) {
+    await chrome.alarms.clear(OUTBOX_ALARM_NAME);
+    return;
+  }
+  const nextAttemptAt = Math.min(...pending.map((entry) => Number(entry.nextAttemptAt) || Date.now()));
+  chrome.alarms.create(OUTBOX_ALARM_NAME, { when: Math.max(nextAttemptAt, Date.now() + 1000) });
+}
+
+async function enqueueOutboxAction(settings, actionId, context, meta, error) {
+  const runId = meta.runId || generateId();
+  const now = Date.now();
+  const autoRetry = canAutoRetryOutboxAction(actionId, error);
+  const entry = {
+    id: generateId(),
+    actionId,
+    context: { ...context },
+    runId,
+    label: describeOutboxEntry(actionId, context),
+    link: getContextLink(context),
+    status: autoRetry ? "pending" : "failed",
+    unconfirmed: !autoRetry,
+    attempts: 1,
+    createdAt: now,
+    nextAttemptAt: autoRetry ? now + getOutboxRetryDelayMs(1) : 0,
+    lastError: autoRetry ? error?.message || "" : getUnconfirmedOutboxMessage(actionId)
+  };
+  await withOutboxStorage(async () => {
+    const entries = await getOutboxEntries();
+    entries.push(entry);
+    await setOutboxEntries(entries.slice(-OUTBOX_LIMIT));
+  });
+  logEvent(settings, {
+    level: "warn",
+    event: "outbox.queued",
+    actionId,
+    runId,
+    message: autoRetry
+      ? `Backend unreachable. Queued ${ACTION_LABELS[actionId] || actionId} for retry.`
+      : `Backend did not answer. Queued ${ACTION_LABELS[actionId] || actionId} for a manual retry.`,
+    link: entry.link,
+    details: {
+      outboxId: entry.id,
+      error: entry.lastError
+    }
+  });
+  return entry;
+}
+
+async function runOutboxEntry(settings, entry) {
+  try {
+    const result = await runAction(entry.actionId, entry.context, settings, {
+      runId: entry.runId,
+      source: "outbox"
+    });
+    return result?.ok
+      ? { status: "done" }
+      : { status: "failed", message: result?.message || "Action failed." };
+  } catch (error) {
+    if (canAutoRetryOutboxAction(entry.actionId, error)) {
+      return { status: "retry", message: error?.message || "Action failed." };
+    }
+    return error?.retryable
+      ? { status: "failed", unconfirmed: true, message: getUnconfirmedOutboxMessage(entry.actionId) }
+      : { status: "failed", message: error?.message || "Action failed." };
+  }
+}
+
+async function processOutbox(options = {}) {
+  if (outboxProcessingPromise) {
+    return outboxProcessingPromise;
+  }
+  outboxProcessingPromise = (async () => {
+    const settings = await getSettings();
+    const now = Date.now();
+    const onlyId = String(options.entryId || "");
+    const due = (await getOutboxEntries()).filter((entry) =>
+      onlyId ? entry.id === onlyId : entry.status === "pending" && Number(entry.nextAttemptAt) <= now
+    );
+    const outcomes = new Map();
+    for (const entry of due) {
+      outcomes.set(entry.id, await runOutboxEntry(settings, entry));
+    }
+
+    // Re-read so entries queued while we were running are kept.
+    return withOutboxStorage(async () => {
+      const nextEntries = [];
+      (await getOutboxEntries()).forEach((entry) => {
+        const outcome = outcomes.get(entry.id);
+        if (!outcome) {
+          nextEntries.push(entry);
+          return;
+        }
+        const attempts = (Number(entry.attempts) || 0) + 1;
+        if (outcome.status === "done") {
+          logEvent(settings, {
+            event: "outbox.delivered",
+            actionId: entry.actionId,
+            runId: entry.runId,
+            message: `Delivered queued ${ACTION_LABELS[entry.actionId] || entry.actionId}.`,
+            link: entry.link,
+            details: { outboxId: entry.id, attempts }
+          });
+          return;
+        }
+        const exhausted = outcome.status === "failed" || attempts >= OUTBOX_MAX_ATTEMPTS;
+        nextEntries.push({
+          ...entry,
+          attempts,
+          status: exhausted ? "failed" : "pending",
+          unconfirmed: Boolean(outcome.unconfirmed),
+          nextAttemptAt: exhausted ? 0 : Date.now() + getOutboxRetryDelayMs(attempts),
+          lastError: outcome.message
+        });
+        logEvent(settings, {
+          level: exhausted ? "error" : "warn",
+          event: exhausted ? "outbox.failed" : "outbox.retry_scheduled",
+          actionId: entry.actionId,
+          runId: entry.runId,
+          message: outcome.message,
+          link: entry.link,
+          details: { outboxId: entry.id, attempts }
+        });
+      });
+      await setOutboxEntries(nextEntries);
+      return nextEntries;
+    });
+  })().finally(() => {
+    outboxProcessingPromise = null;
+  });
+  return outboxProcessingPromise;
+}
+
+async function retryOutboxEntry(entryId) {
+  await withOutboxStorage(async () => {
+    const entries = await getOutboxEntries();
+    const target = entries.find((entry) => entry.id === entryId);
+    if (!target) {
+      throw new Error("Queued action not found.");
+    }
+    // A manual retry gets a fresh attempt budget.
+    target.status = "pending";
+    target.unconfirmed = false;
+    target.attempts = 0;
+    target.nextAttemptAt = Date.now();
+    await setOutboxEntries(entries);
+  });
+  return processOutbox({ entryId });
+}
+
+async function discardOutboxEntry(entryId) {
+  return withOutboxStorage(async () => {
+    const entries = await getOutboxEntries();
+    const nextEntries = entries.filter((entry) => entry.id !== entryId);
+    await setOutboxEntries(nextEntries);
+    return nextEntries;
+  });
+}
+
+async function addCandidatesToProjectForContexts(settings, projectId, projectName, contexts, runId) {
+  const actionId = ACTIONS.ADD_TO_PROJECT;
+  const normalizedProjectId = String(projectId || "").trim();
+  if (!normalizedProjectId) {
+    throw new Error("Missing project ID.");
+  }
+  const rows = (Array.isArray(contexts) ? contexts : []).filter((context) => contextHasCandidateIdentity(context || {}));
+  if (rows.length === 0) {
+    throw new Error("No selected rows have a LinkedIn identity.");
+  }
+  const { userId, userEmail } = getCreatedByIdentity(settings);
+  const candidates = rows.map((context, index) => {
+    const names = splitProfileName(context.profileName);
+    const linkedinUrl = String(context.linkedinUrl || "").trim();
+    return {
+      key: String(context.key || index),
+      linkedInHandle: String(context.linkedInHandle || "").trim(),
+      linkedInUrl: linkedinUrl,
+      profileUrl: linkedinUrl || String(context.profileUrl || "").trim(),
+      profileUrls: collectContextProfileUrls(context),
+      firstName: names.firstName,
+      lastName: names.lastName
+    };
+  });
+  const data = await callBackend(
+    "/api/projects/add-candidates-batch",
+    {
+      projectId: normalizedProjectId,
+      candidates,
+      userId,
+      userEmail
+    },
+    settings,
+    { actionId, runId, step: "addCandidatesToProjectBatch" }
+  );
+  const results = Array.isArray(data?.results) ? data.results : [];
+  const contextByKey = new Map(rows.map((context, index) => [String(context.key || index), context]));
+  results.forEach((result) => {
+    const context = contextByKey.get(String(result?.key || ""));
+    if (context && result?.ok && result.candidateId) {
+      rememberCandidateResolution(context, { id: result.candidateId, weblink: result.weblink || "" });
+    }
+  });
+  await touchProjectRecentUsage(normalizedProjectId, String(projectName || "").trim());
+  const addedCount = results.filter((result) => result?.ok).length;
+  logEvent(settings, {
+    level: addedCount === results.length ? "info" : "warn",
+    event: "project.add_candidates_batch.completed",
+    actionId,
+    runId,
+    message: `Added ${addedCount}/${results.length} candidates to project ${normalizedProjectId}.`,
+    details: {
+      projectId: normalizedProjectId,
+      requestedCount: rows.length,
+      addedCount
+    }
+  });
+  return { projectId: normalizedProjectId, results };
+}
+
+async function collectGmailThreadExternalParticipants(settings, context) {
+  let resolved = null;
+  if (String(context.sourcePlatform || "").trim().toLowerCase() === "gmail") {
+    try {
+      resolved = await resolveGmailThreadParticipantsViaApi(context);
+    } catch (error) {
+      context.gmailResolutionError = error.message || "Gmail API lookup failed.";
+    }
+  }
+  const ignored = new Set([
+    ...GMAIL_SYSTEM_EMAILS,
+    ...collectGmailAccountEmails(context),
+    ...(Array.isArray(context.outlookAccountEmails) ? context.outlookAccountEmails.map(normalizeContextEmail) : []),
+    normalizeContextEmail(resolved?.mailboxEmail || ""),
+    normalizeContextEmail(settings?.createdByUserEmail || "")
+  ]);
+  const participants = [];
+  const seen = new Set();
+  const add = (emailValue, nameValue) => {
+    const email = normalizeContextEmail(emailValue);
+    if (!email || seen.has(email) || ignored.has(email) || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return;
+    }
+    seen.add(email);
+    participants.push({ email, name: String(nameValue || "").trim() });
+  };
+  (Array.isArray(resolved?.participants) ? resolved.participants : []).forEach((entry) => add(entry.email, entry.displayName));
+  // Visible participants cover Outlook and threads the Gmail API could not read, and fill in names it did not return.
+  (Array.isArray(context.threadParticipants) ? context.threadParticipants : []).forEach((entry) => {
+    const existing = participants.find((participant) => participant.email === normalizeContextEmail(entry?.email));
+    if (existing && !existing.name) {
+      existing.name = String(entry?.name || "").trim();
+      return;
+    }
+    add(entry?.email, entry?.name);
+  });
+  return {
+    participants,
+    source: Array.isArray(resolved?.participants) && resolved.participants.length > 0 ? "gmailApi" : "visibleEmails"
   };
 }
 
-async function setCandidatePrimaryEmailForContext(settings, context, runId, emailAddress) {
-  const actionId = ACTIONS.MANAGE_EMAILS;
-  const candidate = await ensureCandidate(settings, context, { actionId, runId });
-  const data = await callBackend(
-    "/api/candidates/emails/set-primary",
-    {
-      candidateId: candidate.id,
-      email: String(emailAddress || "").trim()
-    },
-    settings,
-    { actionId, runId, step: "setCandidatePrimaryEmail" }
-  );
-  const emails = normalizeCandidateEmailList(data?.emails);
-  const primaryEmail = getPrimaryEmailFromList(emails);
-  await setCachedCandidateEmailsForContext(context, String(data?.candidateId || candidate.id || ""), emails, primaryEmail);
+async function addGmailParticipantsToProject(settings, context, projectId, projectName, runId) {
+  const actionId = ACTIONS.ADD_THREAD_TO_PROJECT;
+  const normalizedProjectId = String(projectId || "").trim();
+  if (!normalizedProjectId) {
+    throw new Error("Missing project ID.");
+  }
+  const { participants, source } = await collectGmailThreadExternalParticipants(settings, context);
+  if (participants.length === 0) {
+    throw new Error("No external participants found on this email thread.");
+  }
+  const { userId, userEmail } = getCreatedByIdentity(settings, context);
+  const results = [];
+  for (const participant of participants) {
+    const audit = { actionId, runId };
+    const participantContext = {
+      sourcePlatform: String(context.sourcePlatform || "gmail"),
+      contactEmail: participant.email,
+      contactEmails: [participant.email],
+      profileName: participant.name,
+      _gmailContextEnriched: true
+    };
+    try {
+      let candidate = await findCandidateByContext(settings, participantContext, audit);
+      let created = false;
+      if (!candidate?.id) {
+        const data = await createCandidateFromContext(settings, participantContext, audit);
+        if (!data?.candidate?.id) {
+          throw new Error("Gem did not return a candidate id.");
+        }
+        candidate = data.candidate;
+        created = true;
+        rememberCandidateResolution(participantContext, candidate);
+      }
+      await callBackend(
+        "/api/projects/add-candidate",
+        {
+          projectId: normalizedProjectId,
+          candidateId: candidate.id,
+          userId,
+          userEmail
+        },
+        settings,
+        { ...audit, step: "addToProject" }
+      );
+      results.push({ ...participant, ok: true, created, candidateId: String(candidate.id), link: candidate.weblink || "" });
+    } catch (error) {
+      results.push({ ...participant, ok: false, message: error.message || "Request failed." });
+    }
+  }
+  await touchProjectRecentUsage(normalizedProjectId, String(projectName || "").trim());
+  const addedCount = results.filter((result) => result.ok).length;
   logEvent(settings, {
-    event: "candidate.email.primary_set",
+    level: addedCount === results.length ? "info" : "warn",
+    event: "project.add_gmail_participants.completed",
     actionId,
     runId,
-    message: "Candidate primary email updated.",
+    message: `Added ${addedCount}/${results.length} Gmail participants to project ${normalizedProjectId}.`,
+    link: getContextLink(context),
     details: {
-      candidateId: String(data?.candidateId || candidate.id || ""),
-      primaryEmail
+      projectId: normalizedProjectId,
+      participantSource: source,
+      requestedCount: results.length,
+      addedCount,
+      createdCount: results.filter((result) => result.created).length
     }
   });
-  return {
-    candidateId: String(data?.candidateId || candidate.id || ""),
-    emails,
-    primaryEmail
-  };
+  return { projectId: normalizedProjectId, results };
 }
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -4112,6 +6237,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             ...sourceTabMeta
           });
         } catch (error) {
+          if (error?.retryable && isOutboxAction(message.actionId, message.context || {})) {
+            const entry = await enqueueOutboxAction(settings, message.actionId, message.context || {}, sourceTabMeta, error);
+            return {
+              ok: true,
+              queued: true,
+              message:
+                entry.status === "pending"
+                  ? "Gem backend is unreachable. Saved to the outbox and will retry automatically."
+                  : "Gem backend did not answer. Saved to the outbox; check Gem before retrying it from the popup.",
+              runId: message?.meta?.runId || ""
+            };
+          }
           logEvent(settings, {
             level: "error",
             event: "action.exception",
@@ -4132,6 +6269,40 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "ADD_CANDIDATES_TO_PROJECT_BATCH") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await addCandidatesToProjectForContexts(
+          settings,
+          message.projectId,
+          message.projectName,
+          message.contexts,
+          runId
+        );
+        sendResponse({ ok: true, runId, projectId: data.projectId, results: data.results });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "ADD_GMAIL_PARTICIPANTS_TO_PROJECT") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await addGmailParticipantsToProject(
+          settings,
+          message.context || {},
+          message.projectId,
+          message.projectName,
+          runId
+        );
+        sendResponse({ ok: true, runId, projectId: data.projectId, results: data.results });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
   if (message.type === "CREATE_GEM_PROJECT") {
     getSettings()
       .then(async (settings) => {
@@ -4459,6 +6630,119 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "LIST_CANDIDATE_PROJECT_IDS_FOR_CONTEXT") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await listCandidateProjectIdsForContext(settings, message.context || {}, runId);
+        sendResponse({ ok: true, runId, candidateId: data.candidateId, projectIds: data.projectIds });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "MATCH_GMAIL_PARTICIPANTS") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const matches = await matchGmailParticipants(settings, message.participants, runId);
+        sendResponse({ ok: true, runId, matches });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "LIST_CANDIDATE_NOTES_FOR_CONTEXT") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await listCandidateNotesForContext(settings, message.context || {}, runId);
+        sendResponse({ ok: true, runId, candidateId: data.candidateId, notes: data.notes });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "DELETE_CANDIDATE_NOTE") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const candidateId = String(message.candidateId || "").trim();
+        const noteId = String(message.noteId || "").trim();
+        if (!candidateId || !noteId) {
+          throw new Error("Candidate and note are required.");
+        }
+        const data = await deleteCandidateNoteForContext(settings, message.context || {}, candidateId, noteId, runId);
+        sendResponse({ ok: true, runId, ...data });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "LIST_ASHBY_APPLICATIONS_FOR_CONTEXT") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await listAshbyApplicationsForContext(settings, message.context || {}, runId);
+        sendResponse({ ok: true, runId, ...data });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "PREVIEW_SEQUENCE_FOR_CONTEXT") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const sequenceId = String(message.sequenceId || "").trim();
+        if (!sequenceId) {
+          throw new Error("Missing sequence ID.");
+        }
+        const preview = await previewSequenceForContext(settings, message.context || {}, sequenceId, runId);
+        sendResponse({ ok: true, runId, preview });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "LIST_CANDIDATE_EVENTS_FOR_CONTEXT") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await listCandidateEventsForContext(settings, message.context || {}, runId);
+        sendResponse({
+          ok: true,
+          runId,
+          candidateId: data.candidateId,
+          entries: data.entries,
+          failedSources: data.failedSources
+        });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "LIST_PROJECT_FIELDS") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await listProjectFieldsForProject(settings, message.projectId, runId, {
+          forceRefresh: Boolean(message.forceRefresh)
+        });
+        sendResponse({
+          ok: true,
+          runId,
+          projectId: data.projectId,
+          projectName: data.projectName,
+          projectFields: data.projectFields,
+          fromCache: Boolean(data.fromCache),
+          stale: Boolean(data.stale)
+        });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
   if (message.type === "LIST_CUSTOM_FIELDS_FOR_CONTEXT") {
     getSettings()
       .then(async (settings) => {
@@ -4485,6 +6769,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "CREATE_CUSTOM_FIELD_OPTION") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await createCustomFieldOptionForContext(
+          settings,
+          String(message.customFieldId || "").trim(),
+          String(message.value || "").trim(),
+          runId
+        );
+        sendResponse({ ok: true, runId, option: data.option, created: data.created });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
   if (message.type === "LIST_CANDIDATE_EMAILS_FOR_CONTEXT") {
     getSettings()
       .then(async (settings) => {
@@ -4536,6 +6836,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "GET_PASSIVE_ASHBY_STATUS") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await getPassiveAshbyStatusForContext(settings, message.context || {}, runId, {
+          forceRefresh: Boolean(message.forceRefresh)
+        });
+        sendResponse({ ok: true, runId, ...data });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
   if (message.type === "ADD_CANDIDATE_EMAIL_FOR_CONTEXT") {
     getSettings()
       .then(async (settings) => {
@@ -4574,6 +6887,54 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (
+    message.type === "LIST_CANDIDATE_PHONES_FOR_CONTEXT" ||
+    message.type === "ADD_CANDIDATE_PHONE_FOR_CONTEXT" ||
+    message.type === "SET_PRIMARY_CANDIDATE_PHONE_FOR_CONTEXT"
+  ) {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const context = message.context || {};
+        const phone = String(message.phone || "").trim();
+        let data;
+        if (message.type === "ADD_CANDIDATE_PHONE_FOR_CONTEXT") {
+          data = await addCandidatePhoneForContext(settings, context, runId, phone);
+        } else if (message.type === "SET_PRIMARY_CANDIDATE_PHONE_FOR_CONTEXT") {
+          data = await setCandidatePrimaryPhoneForContext(settings, context, runId, phone);
+        } else {
+          data = await listCandidatePhonesForContext(settings, context, runId, {
+            allowCreate: message.allowCreate !== false
+          });
+        }
+        sendResponse({ ok: true, runId, ...data });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "GET_CANDIDATE_CONTACT_INFO_FOR_CONTEXT") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await getCandidateContactInfoForContext(settings, message.context || {}, runId);
+        sendResponse({ ok: true, runId, ...data });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "CAPTURE_CONTACT_INFO_FOR_CONTEXT") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await captureContactInfoForContext(settings, message.context || {}, runId, message.capture || {});
+        sendResponse({ ok: true, runId, ...data });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
   if (message.type === "PREFETCH_CUSTOM_FIELDS_FOR_CONTEXT") {
     sendResponse({ ok: true, skipped: true, reason: "passive_prefetch_disabled" });
     return false;
@@ -4618,6 +6979,81 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "UNDO_LAST_ACTION") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await undoLastAction(settings, runId, String(message.targetRunId || ""));
+        sendResponse({ ok: true, runId, message: data.message, originalRunId: data.originalRunId });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "LIST_MY_REMINDERS") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const data = await listMyReminders(settings, runId, {
+          includeLater: Boolean(message.includeLater),
+          forceRefresh: Boolean(message.forceRefresh)
+        });
+        sendResponse({ ok: true, runId, ...data });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "GET_REMINDER_CALENDAR_URL") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const url = await getReminderCalendarUrl(settings, runId);
+        sendResponse({ ok: true, runId, url });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "COMPLETE_REMINDER" || message.type === "SNOOZE_REMINDER") {
+    getSettings()
+      .then(async (settings) => {
+        const runId = message.runId || generateId();
+        const candidateId = String(message.candidateId || "").trim();
+        if (!candidateId) {
+          throw new Error("Candidate is required.");
+        }
+        const data =
+          message.type === "COMPLETE_REMINDER"
+            ? await completeReminder(settings, candidateId, runId, { note: message.note, dueDate: message.dueDate })
+            : await snoozeReminder(settings, candidateId, message.days, message.note, runId);
+        sendResponse({ ok: true, runId, ...data });
+      })
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "GET_OUTBOX") {
+    getOutboxEntries()
+      .then((entries) => sendResponse({ ok: true, entries }))
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "RETRY_OUTBOX_ENTRY") {
+    retryOutboxEntry(String(message.entryId || ""))
+      .then((entries) => sendResponse({ ok: true, entries }))
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
+  if (message.type === "DISCARD_OUTBOX_ENTRY") {
+    discardOutboxEntry(String(message.entryId || ""))
+      .then((entries) => sendResponse({ ok: true, entries }))
+      .catch((error) => sendResponse({ ok: false, message: error.message }));
+    return true;
+  }
+
   if (message.type === "CLEAR_LOCAL_LOGS") {
     clearLocalLogs()
       .then(() => sendResponse({ ok: true }))
@@ -4631,11 +7067,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 chrome.runtime.onInstalled.addListener((details) => {
   const reason = details?.reason ? `onInstalled:${details.reason}` : "onInstalled";
   ensureOrgDefaultsBootstrapped(reason).catch(() => {});
+  syncReminderAlarm().catch(() => {});
 });
 
 chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === "sync" && Object.prototype.hasOwnProperty.call(changes || {}, "settings")) {
     invalidateSettingsCache();
+    syncReminderAlarm().catch(() => {});
   }
   if (namespace === "local" && Object.prototype.hasOwnProperty.call(changes || {}, LOCAL_LOG_KEY)) {
     localLogsCache = Array.isArray(changes[LOCAL_LOG_KEY]?.newValue) ? changes[LOCAL_LOG_KEY].newValue.slice() : [];
@@ -4646,4 +7084,29 @@ chrome.runtime.onStartup.addListener(() => {
   ensureOrgDefaultsBootstrapped("onStartup").catch(() => {});
 });
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm?.name === OUTBOX_ALARM_NAME) {
+    processOutbox().catch(() => {});
+  }
+  if (alarm?.name === REMINDER_ALARM_NAME) {
+    pollDueReminders().catch(() => {});
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (String(notificationId || "").startsWith(REMINDER_NOTIFICATION_PREFIX)) {
+    openReminderNotification(notificationId).catch(() => {});
+  }
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  if (String(notificationId || "").startsWith(REMINDER_NOTIFICATION_PREFIX)) {
+    snoozeReminderFromNotification(notificationId, buttonIndex).catch(() => {});
+  }
+});
+
 ensureOrgDefaultsBootstrapped("serviceWorkerLoad").catch(() => {});
+getOutboxEntries()
+  .then((entries) => syncOutboxBadgeAndAlarm(entries))
+  .catch(() => {});
+syncReminderAlarm().catch(() => {});
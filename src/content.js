@@ -30,6 +30,9 @@ const LINKEDIN_EXPAND_MORE_PASS_DELAY_MS = 110;
 const LINKEDIN_INVITE_DECISION_TIMEOUT_MS = 1200;
 const LINKEDIN_INVITE_DECISION_POLL_INTERVAL_MS = 50;
 const CANDIDATE_NOTE_MAX_LENGTH = 10000;
+// Files travel base64-encoded in the JSON body, and hosted functions reject bodies over 4.5MB.
+const RESUME_UPLOAD_MAX_BYTES = 3 * 1024 * 1024;
+const RESUME_UPLOAD_EXTENSIONS = Object.freeze(["pdf", "doc", "docx"]);
 const REMINDER_PRESET_SHORTCUTS = [
   { key: "a", label: "1 week", kind: "days", amount: 7 },
   { key: "s", label: "3 months", kind: "months", amount: 3 },
@@ -38,6 +41,10 @@ const REMINDER_PRESET_SHORTCUTS = [
 const EMAIL_MENU_ADD_KEY = "a";
 const EMAIL_MENU_COPY_PRIMARY_KEY = "s";
 const EMAIL_MENU_VIEW_ALL_KEY = "d";
+const PHONE_MENU_ADD_KEY = "a";
+const PHONE_MENU_COPY_PRIMARY_KEY = "s";
+const PHONE_MENU_VIEW_ALL_KEY = "d";
+const PHONE_CALL_KEY = "c";
 const PROFILE_ACTION_BAND_TOP_OFFSET = 160;
 const PROFILE_ACTION_BAND_BOTTOM_OFFSET = 420;
 const PROFILE_ACTION_COLUMN_MAX_X_OFFSET = 520;
@@ -64,8 +71,29 @@ const GEM_ACTION_MENU_OPTIONS = [
   { key: "c", id: "createProject", title: "Create project", subtitle: "Create a new Gem project." },
   { key: "p", id: "openProject", title: "Search project + open", subtitle: "Open an existing project or create one if missing." },
   { key: "s", id: "createSequence", title: "Create sequence", subtitle: "Open Gem sequences page." },
-  { key: "k", id: "searchPerson", title: "Search someone in Gem", subtitle: "Search candidates and open Gem or LinkedIn profile." }
+  { key: "k", id: "searchPerson", title: "Search someone in Gem", subtitle: "Search candidates and open Gem or LinkedIn profile." },
+  { key: "t", id: "candidateTimeline", title: "Candidate timeline", subtitle: "Show outreach, replies, project adds/removals and notes for this profile." }
 ];
+const CANDIDATE_TIMELINE_FILTERS = Object.freeze([
+  { key: "a", label: "All", kinds: null },
+  { key: "s", label: "Sequences", kinds: ["sequence", "touchpoint"] },
+  { key: "r", label: "Replies", kinds: ["reply"] },
+  { key: "p", label: "Project membership", kinds: ["project"] },
+  { key: "n", label: "Notes", kinds: ["note"] }
+]);
+const BULK_PROJECT_BATCH_SIZE = 5;
+const BULK_PROJECT_ROW_SCAN_LIMIT = 600;
+const BULK_PROJECT_RESCAN_DELAY_MS = 300;
+const BULK_PROJECT_ROW_KEY_ATTR = "data-gls-bulk-row-key";
+const LINKEDIN_PEOPLE_LIST_ROW_SELECTORS = Object.freeze([
+  "[data-chameleon-result-urn]",
+  "[data-view-name='search-entity-result-universal-template']",
+  "li.reusable-search__result-container",
+  "[data-test-paginated-list-item]",
+  "li.profile-list__border-bottom"
+]);
+const LINKEDIN_PEOPLE_LIST_ROW_FALLBACK_SELECTORS = Object.freeze(["article", "li"]);
+const LINKEDIN_PEOPLE_LIST_ROW_EXCLUDED_CONTAINERS = "nav, header, footer, aside, [role='navigation'], [role='banner']";
 const GEM_ACTION_PEOPLE_SEARCH_DEBOUNCE_MS = 140;
 const GEM_ACTION_PEOPLE_SEARCH_LIMIT = 20;
 const ACTION_LOCK_ATTR = "data-gls-action-lock";
@@ -76,11 +104,21 @@ const SHARED_ACTION_OVERLAY_IDS = Object.freeze([
   "gem-custom-field-picker-overlay",
   "gem-reminder-picker-overlay",
   "gem-email-picker-overlay",
+  "gem-phone-picker-overlay",
+  "gem-contact-capture-overlay",
+  "gem-gmail-participant-picker-overlay",
+  "gem-gmail-signature-overlay",
   "gem-sequence-picker-overlay",
   "gem-actions-overlay",
   "gem-project-picker-overlay",
   "gem-ashby-job-picker-overlay",
-  "gem-candidate-note-picker-overlay"
+  "gem-candidate-note-picker-overlay",
+  "gem-bulk-project-panel",
+  "gem-candidate-timeline-overlay",
+  "gem-resume-upload-picker-overlay",
+  "gem-project-field-picker-overlay",
+  "gem-sequence-preview-overlay",
+  "gem-ashby-stage-picker-overlay"
 ]);
 const CONTENT_RUNTIME_INSTANCE_ID = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
 const customFieldMemoryCache = new Map();
@@ -92,6 +130,7 @@ let projectMemoryEntry = null;
 let lastPrefetchedProfileContextKey = "";
 let profileUrlPollTimerId = 0;
 let profileUrlPollLastUrl = "";
+let gmailParticipantSelection = null;
 let gemStatusIndicatorElements = null;
 let gemStatusIndicatorRequestId = 0;
 let gemStatusLayoutWatcherBound = false;
@@ -118,6 +157,7 @@ let profileIdentityCache = {
 const isLinkedInProfilePage = glsIsLinkedInProfilePage;
 const isLinkedInPublicProfilePage = glsIsLinkedInPublicProfilePage;
 const isLinkedInRecruiterProfilePage = glsIsLinkedInRecruiterProfilePage;
+const isLinkedInPeopleListPage = glsIsLinkedInPeopleListPage;
 const normalizeUrlForContext = glsNormalizeUrl;
 const normalizeLinkedInUrl = glsNormalizeUrl;
 
@@ -406,6 +446,28 @@ function isGmailThreadPage() {
   }
 }
 
+function isOutlookHost(hostname) {
+  return /^outlook\.(?:office|live)\.com$/i.test(String(hostname || ""));
+}
+
+// Outlook routes an open reading-pane conversation as /mail/<folder>/id/<itemId> (or /mail/deeplink/read/<itemId>).
+function extractOutlookItemIdFromUrl(rawUrl) {
+  try {
+    const parsed = new URL(rawUrl, window.location.origin);
+    if (!isOutlookHost(parsed.hostname) || !/^\/mail(?:\/|$)/i.test(parsed.pathname)) {
+      return "";
+    }
+    const match = parsed.pathname.match(/\/(?:id|read)\/([^/?#]+)/i);
+    return match?.[1] ? decodeUrlSegment(match[1]) : "";
+  } catch (_error) {
+    return "";
+  }
+}
+
+function isOutlookThreadPage() {
+  return Boolean(extractOutlookItemIdFromUrl(window.location.href));
+}
+
 const GITHUB_RESERVED_PROFILE_PATHS = new Set([
   "about",
   "account",
@@ -469,7 +531,17 @@ function isGitHubProfilePage() {
 }
 
 function isSupportedActionPage() {
-  return isLinkedInProfilePage() || isGemCandidateProfilePage() || isGmailThreadPage() || isGitHubProfilePage();
+  return (
+    isLinkedInProfilePage() ||
+    isGemCandidateProfilePage() ||
+    isGmailThreadPage() ||
+    isOutlookThreadPage() ||
+    isGitHubProfilePage()
+  );
+}
+
+function isBulkAddToProjectAction(actionId) {
+  return actionId === ACTIONS.ADD_TO_PROJECT && isLinkedInPeopleListPage();
 }
 
 function normalizePageUrlForWatcher(url = window.location.href) {
@@ -1027,3448 +1099,5481 @@ function getGitHubContext() {
   };
 }
 
-function getGmailContext() {
-  const pageUrl = normalizePageUrlForWatcher(window.location.href);
-  const gmailThreadUrl = normalizeUrlForContext(window.location.href, { keepHash: true });
-  const gmailThreadToken = extractGmailThreadTokenFromUrl(window.location.href);
-  const gmailSubject = getGmailThreadSubject();
-  const gmailAccountEmails = collectGmailVisibleAccountEmails();
-  const participantEntries = collectGmailVisibleParticipantEntries();
-  const contactEmails = collectGmailVisibleParticipantEmails();
-  const profileName = getGmailPrimaryParticipantName(participantEntries);
-  return {
-    sourcePlatform: "gmail",
-    pageUrl,
-    profileUrl: "",
-    gmailThreadUrl,
-    gmailThreadToken,
-    gmailSubject,
-    gmailAccountEmails,
-    gemProfileUrl: "",
-    gemCandidateId: "",
-    linkedinUrl: "",
-    linkedInHandle: "",
-    contactEmails,
-    contactEmail: contactEmails[0] || "",
-    profileName
-  };
+function getGmailExternalParticipants() {
+  const entries = isOutlookThreadPage() ? collectOutlookVisibleParticipantEntries() : collectGmailVisibleParticipantEntries();
+  return entries
+    .filter((entry) => !entry.isCurrentUser && !entry.isGem)
+    .map((entry) => ({ email: entry.email, name: normalizeGmailThreadText(entry.label || "") }));
 }
 
-function getProfileContext() {
-  if (isLinkedInProfilePage()) {
-    return getLinkedInProfileContext();
-  }
-  if (isGemCandidateProfilePage()) {
-    return getGemProfileContext();
-  }
-  if (isGmailThreadPage()) {
-    return getGmailContext();
-  }
-  if (isGitHubProfilePage()) {
-    return getGitHubContext();
+// A picked participant only applies to the thread it was picked on.
+function getGmailParticipantSelection(gmailThreadUrl) {
+  if (!gmailParticipantSelection || gmailParticipantSelection.threadUrl !== gmailThreadUrl) {
+    return null;
   }
-  return {
-    sourcePlatform: "unknown",
-    pageUrl: normalizePageUrlForWatcher(window.location.href),
-    profileUrl: normalizeUrlForContext(window.location.href),
-    linkedinUrl: "",
-    linkedInHandle: "",
-    gemCandidateId: "",
-    contactEmails: [],
-    contactEmail: "",
-    profileName: getProfileName()
-  };
+  return gmailParticipantSelection;
 }
 
-function pad2(value) {
-  return String(value).padStart(2, "0");
+function applyGmailParticipantSelection(context, selection) {
+  if (!context || !selection?.email) {
+    return context;
+  }
+  context.contactEmails = [selection.email];
+  context.contactEmail = selection.email;
+  context.gmailSelectedEmail = selection.email;
+  context.profileName = selection.name || context.profileName;
+  return context;
 }
 
-function getTodayIsoDate() {
-  const now = new Date();
-  return `${now.getFullYear()}-${pad2(now.getMonth() + 1)}-${pad2(now.getDate())}`;
+function matchGmailParticipants(participants, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: "MATCH_GMAIL_PARTICIPANTS", participants, runId }, (response) => {
+      if (chrome.runtime.lastError) {
+        const message = chrome.runtime.lastError.message || "Runtime message failed.";
+        if (isContextInvalidatedError(message)) {
+          triggerContextRecovery(message);
+          reject(new Error("Extension updated. Reloading page."));
+          return;
+        }
+        reject(new Error(message));
+        return;
+      }
+      if (!response?.ok) {
+        reject(new Error(response?.message || "Could not check Gem matches"));
+        return;
+      }
+      resolve(Array.isArray(response.matches) ? response.matches : []);
+    });
+  });
 }
 
-function formatDateAsIso(date) {
-  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
-    return "";
-  }
-  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+function createGmailParticipantPickerStyles() {
+  createContactPickerStyles("gem-gmail-participant-picker");
 }
 
-function addMonthsClamped(baseDate, monthsToAdd) {
-  const start = new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate());
-  const startDay = start.getDate();
-  const targetMonthStart = new Date(start.getFullYear(), start.getMonth() + monthsToAdd, 1);
-  const lastDayOfTargetMonth = new Date(
-    targetMonthStart.getFullYear(),
-    targetMonthStart.getMonth() + 1,
-    0
-  ).getDate();
-  return new Date(
-    targetMonthStart.getFullYear(),
-    targetMonthStart.getMonth(),
-    Math.min(startDay, lastDayOfTargetMonth)
-  );
-}
+async function showGmailParticipantPicker(runId, context, participants) {
+  createGmailParticipantPickerStyles();
+  const previous = getGmailParticipantSelection(getEmailThreadUrl(context));
 
-function getReminderPresetIsoDate(preset) {
-  const today = new Date();
-  const todayLocal = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  if (!preset || typeof preset !== "object") {
-    return formatDateAsIso(todayLocal);
-  }
-  if (preset.kind === "days") {
-    const next = new Date(todayLocal.getFullYear(), todayLocal.getMonth(), todayLocal.getDate());
-    next.setDate(next.getDate() + Number(preset.amount || 0));
-    return formatDateAsIso(next);
-  }
-  if (preset.kind === "months") {
-    return formatDateAsIso(addMonthsClamped(todayLocal, Number(preset.amount || 0)));
-  }
-  return formatDateAsIso(todayLocal);
-}
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.id = "gem-gmail-participant-picker-overlay";
 
-function formatIsoDateForDisplay(dateValue) {
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(dateValue || ""))) {
-    return "Pick date";
-  }
-  const parsed = new Date(`${dateValue}T00:00:00`);
-  if (Number.isNaN(parsed.getTime())) {
-    return "Pick date";
-  }
-  return parsed.toLocaleDateString(undefined, {
-    month: "short",
-    day: "numeric",
-    year: "numeric"
-  });
-}
+    const modal = document.createElement("div");
+    modal.id = "gem-gmail-participant-picker-modal";
 
-function normalizeEmailAddressForPicker(value) {
-  return String(value || "").trim();
-}
+    const title = document.createElement("div");
+    title.id = "gem-gmail-participant-picker-title";
+    title.textContent = "Choose Participant";
 
-function isValidEmailAddressForPicker(value) {
-  const email = normalizeEmailAddressForPicker(value);
-  if (!email || email.length > 255) {
-    return false;
-  }
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-}
+    const subtitle = document.createElement("div");
+    subtitle.id = "gem-gmail-participant-picker-subtitle";
+    subtitle.textContent = "This thread has several people. Pick who the action is for.";
 
-function normalizeCandidateEmailsForPicker(data) {
-  const rows = Array.isArray(data) ? data : Array.isArray(data?.emails) ? data.emails : [];
-  const deduped = [];
-  const byLower = new Map();
+    const errorEl = document.createElement("div");
+    errorEl.id = "gem-gmail-participant-picker-error";
 
-  for (const item of rows) {
-    if (!item || typeof item !== "object") {
-      continue;
-    }
-    const emailAddress = normalizeEmailAddressForPicker(item.emailAddress || item.email_address || item.email);
-    if (!emailAddress) {
-      continue;
-    }
-    const lower = emailAddress.toLowerCase();
-    const existingIndex = byLower.get(lower);
-    const isPrimary = Boolean(item.isPrimary || item.is_primary);
-    if (existingIndex !== undefined) {
-      if (isPrimary) {
-        deduped[existingIndex].isPrimary = true;
+    const list = document.createElement("div");
+    list.id = "gem-gmail-participant-picker-list";
+
+    const hint = document.createElement("div");
+    hint.className = "gem-gmail-participant-picker-hint";
+    hint.textContent = "Press 1-9 or use arrows and Enter. Esc to cancel.";
+
+    modal.appendChild(title);
+    modal.appendChild(subtitle);
+    modal.appendChild(errorEl);
+    modal.appendChild(list);
+    modal.appendChild(hint);
+    overlay.appendChild(modal);
+    document.documentElement.appendChild(overlay);
+
+    const matches = new Map();
+    let matchesLoaded = false;
+    let activeIndex = Math.max(
+      0,
+      participants.findIndex((participant) => participant.email === previous?.email)
+    );
+    let disposed = false;
+
+    function finish(result = null) {
+      if (disposed) {
+        return;
       }
-      continue;
+      disposed = true;
+      overlay.remove();
+      resolve(result);
     }
-    byLower.set(lower, deduped.length);
-    deduped.push({ emailAddress, isPrimary });
-  }
 
-  let primaryIndex = deduped.findIndex((entry) => entry.isPrimary);
-  if (primaryIndex < 0 && deduped.length > 0) {
-    primaryIndex = 0;
-  }
-  return deduped.map((entry, index) => ({
-    emailAddress: entry.emailAddress,
-    isPrimary: index === primaryIndex
-  }));
-}
+    function getMatchLabel(participant) {
+      if (!matchesLoaded) {
+        return "Checking Gem...";
+      }
+      const match = matches.get(participant.email);
+      if (!match) {
+        return "Gem status unknown";
+      }
+      return match.candidateId ? `In Gem${match.candidateName ? ` as ${match.candidateName}` : ""}` : "Not in Gem";
+    }
 
-function getPrimaryEmailForPicker(emails) {
-  const normalized = normalizeCandidateEmailsForPicker(emails);
-  const primary = normalized.find((entry) => entry.isPrimary);
-  return primary ? primary.emailAddress : "";
-}
+    function render() {
+      list.innerHTML = "";
+      participants.forEach((participant, index) => {
+        const item = document.createElement("div");
+        const inGem = Boolean(matches.get(participant.email)?.candidateId);
+        item.className = `gem-gmail-participant-picker-item${index === activeIndex ? " active" : ""}${inGem ? " primary" : ""}`;
+        const hotkey = document.createElement("div");
+        hotkey.className = "gem-gmail-participant-picker-hotkey";
+        hotkey.textContent = index < 9 ? String(index + 1) : "";
+        const value = document.createElement("div");
+        value.className = "gem-gmail-participant-picker-value";
+        value.textContent = participant.name ? `${participant.name} <${participant.email}>` : participant.email;
+        const meta = document.createElement("div");
+        meta.className = "gem-gmail-participant-picker-meta";
+        meta.textContent = getMatchLabel(participant);
+        item.appendChild(hotkey);
+        item.appendChild(value);
+        item.appendChild(meta);
+        if (previous?.email === participant.email) {
+          const badge = document.createElement("span");
+          badge.className = "gem-gmail-participant-picker-primary-badge";
+          badge.textContent = "Last used";
+          item.appendChild(badge);
+        }
+        item.addEventListener("click", () => choose(index));
+        list.appendChild(item);
+      });
+      list.children[activeIndex]?.scrollIntoView({ block: "nearest" });
+    }
 
-async function copyTextToClipboard(value) {
-  const text = String(value || "");
-  if (!text) {
-    return false;
-  }
+    function choose(index) {
+      const participant = participants[index];
+      if (!participant) {
+        return;
+      }
+      const match = matches.get(participant.email);
+      finish({
+        email: participant.email,
+        name: participant.name || String(match?.candidateName || ""),
+        candidateId: String(match?.candidateId || "")
+      });
+    }
 
-  try {
-    if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
-      await navigator.clipboard.writeText(text);
-      return true;
+    function cancelPicker(message) {
+      logEvent({
+        source: "extension.content",
+        level: "warn",
+        event: "gmail_participant.cancelled",
+        runId,
+        message,
+        link: getEmailThreadUrl(context) || window.location.href
+      });
+      finish(null);
     }
-  } catch (_error) {
-    // Fallback below.
-  }
 
-  try {
-    const textarea = document.createElement("textarea");
-    textarea.value = text;
-    textarea.setAttribute("readonly", "readonly");
-    textarea.style.position = "fixed";
-    textarea.style.top = "-9999px";
-    textarea.style.opacity = "0";
-    document.body.appendChild(textarea);
-    textarea.select();
-    textarea.setSelectionRange(0, text.length);
-    const copied = document.execCommand("copy");
-    textarea.remove();
-    return Boolean(copied);
-  } catch (_error) {
-    return false;
-  }
-}
+    overlay.addEventListener(
+      "keydown",
+      (event) => {
+        if (event.key === "Escape") {
+          event.preventDefault();
+          cancelPicker("Gmail participant chooser cancelled.");
+          return;
+        }
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+          event.preventDefault();
+          const step = event.key === "ArrowDown" ? 1 : -1;
+          activeIndex = (activeIndex + step + participants.length) % participants.length;
+          render();
+          return;
+        }
+        if (event.key === "Enter") {
+          event.preventDefault();
+          choose(activeIndex);
+          return;
+        }
+        if (/^[1-9]$/.test(event.key)) {
+          event.preventDefault();
+          choose(Number(event.key) - 1);
+        }
+      },
+      true
+    );
 
-function ensureToastContainer() {
-  if (toastContainer) {
-    return toastContainer;
-  }
-  const container = document.createElement("div");
-  container.id = "gem-shortcuts-toast-container";
-  container.style.position = "fixed";
-  container.style.right = "20px";
-  container.style.bottom = "20px";
-  container.style.zIndex = "2147483647";
-  container.style.display = "flex";
-  container.style.flexDirection = "column";
-  container.style.gap = "8px";
-  document.documentElement.appendChild(container);
-  toastContainer = container;
-  return container;
-}
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        cancelPicker("Gmail participant chooser cancelled by outside click.");
+      }
+    });
 
-function showToast(text, isError = false) {
-  const container = ensureToastContainer();
-  const toast = document.createElement("div");
-  toast.textContent = text;
-  toast.style.background = isError ? "#a61d24" : "#196c2e";
-  toast.style.color = "#fff";
-  toast.style.padding = "10px 12px";
-  toast.style.borderRadius = "6px";
-  toast.style.fontSize = "13px";
-  toast.style.fontFamily = "-apple-system,BlinkMacSystemFont,Segoe UI,Arial,sans-serif";
-  toast.style.boxShadow = "0 4px 12px rgba(0,0,0,0.25)";
-  toast.style.maxWidth = "320px";
-  toast.style.wordBreak = "break-word";
-  container.appendChild(toast);
+    modal.tabIndex = -1;
+    modal.focus();
+    render();
 
-  setTimeout(() => {
-    toast.remove();
-  }, 2800);
+    matchGmailParticipants(participants, runId)
+      .then((entries) => {
+        entries.forEach((entry) => matches.set(String(entry.email || "").toLowerCase(), entry));
+      })
+      .catch((error) => {
+        errorEl.textContent = error.message || "Could not check Gem matches.";
+      })
+      .finally(() => {
+        matchesLoaded = true;
+        if (!disposed) {
+          render();
+        }
+      });
+  });
 }
 
-function showAshbyUploadResultCard(url, message = "") {
-  const container = ensureToastContainer();
-  const card = document.createElement("div");
-  card.style.background = "#ffffff";
-  card.style.color = "#1f2328";
-  card.style.padding = "10px 12px";
-  card.style.borderRadius = "8px";
-  card.style.fontSize = "13px";
-  card.style.fontFamily = "-apple-system,BlinkMacSystemFont,Segoe UI,Arial,sans-serif";
-  card.style.boxShadow = "0 6px 18px rgba(0,0,0,0.2)";
-  card.style.maxWidth = "360px";
-  card.style.border = "1px solid #d4dae3";
-
-  const title = document.createElement("div");
-  title.style.fontWeight = "600";
-  title.style.marginBottom = "6px";
-  title.textContent = message || "Candidate uploaded to Ashby.";
-
-  const link = document.createElement("a");
-  link.href = url;
-  link.target = "_blank";
-  link.rel = "noreferrer noopener";
-  link.textContent = url;
-  link.style.display = "block";
-  link.style.wordBreak = "break-all";
-  link.style.marginBottom = "8px";
-  link.style.color = "#0b57d0";
-
-  const hint = document.createElement("div");
-  hint.style.fontSize = "12px";
-  hint.style.color = "#5b6168";
-  hint.textContent = "Press O or Enter to open Ashby profile.";
-
-  card.appendChild(title);
-  card.appendChild(link);
-  card.appendChild(hint);
-  container.appendChild(card);
+const GMAIL_SIGNATURE_SIGN_OFF_PATTERN =
+  /^(?:best|thanks|thank you|many thanks|regards|kind regards|best regards|warm regards|cheers|sincerely|all the best|talk soon|sent from my \w+)\b[\s,!.]*$/i;
 
-  function openLink() {
-    window.open(url, "_blank", "noopener,noreferrer");
+function findOutlookSenderMessageBody(email) {
+  const bodies = Array.from(getOutlookReadingPaneRoot().querySelectorAll("[aria-label='Message body']"));
+  for (const body of bodies.reverse()) {
+    const container = body.closest("[role='listitem'], [role='region'], [role='document']") || body.parentElement;
+    const sender = container?.querySelector("[title*='@'], [aria-label*='@']");
+    const found = new Set();
+    readEmailsFromString(`${sender?.getAttribute("title") || ""} ${sender?.getAttribute("aria-label") || ""}`, found);
+    if (Array.from(found).some((value) => normalizeEmailAddressForPicker(value).toLowerCase() === email)) {
+      return body;
+    }
   }
+  return null;
+}
 
-  const onKeyDown = (event) => {
-    if (event.key === "Enter" || String(event.key || "").trim().toLowerCase() === "o") {
-      event.preventDefault();
-      openLink();
+function findGmailSenderMessageBody(email) {
+  if (isOutlookThreadPage()) {
+    return findOutlookSenderMessageBody(email);
+  }
+  const roots = getGmailThreadRoots().filter((root) => root !== document);
+  for (const root of roots.reverse()) {
+    const sender = root.querySelector("span.gD[email], h3 [email], [data-hovercard-id]");
+    const senderEmail = normalizeEmailAddressForPicker(
+      sender?.getAttribute("email") || sender?.getAttribute("data-hovercard-id") || ""
+    ).toLowerCase();
+    const body = root.querySelector(".a3s");
+    if (senderEmail === email && body) {
+      return body;
     }
-  };
-  window.addEventListener("keydown", onKeyDown, true);
-
-  const removeCard = () => {
-    window.removeEventListener("keydown", onKeyDown, true);
-    card.remove();
-  };
+  }
+  return null;
+}
 
-  card.addEventListener("click", (event) => {
-    const target = event.target;
-    if (target && target.tagName === "A") {
+// Gmail marks signatures it inserted itself; otherwise fall back to the "-- " delimiter or the last lines above the quote.
+function getGmailSignatureElement(body) {
+  const clone = body.cloneNode(true);
+  clone.querySelectorAll(".gmail_quote, blockquote, .yj6qo, .adL").forEach((node) => node.remove());
+  const marked = clone.querySelector(".gmail_signature, [data-smartmail='gmail_signature']");
+  if (marked) {
+    return marked;
+  }
+  const container = document.createElement("div");
+  const lines = String(clone.innerText || clone.textContent || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  const delimiterIndex = lines.map((line) => line.trimEnd()).lastIndexOf("--");
+  const signatureLines = delimiterIndex >= 0 ? lines.slice(delimiterIndex + 1) : lines.filter((line) => line.trim()).slice(-8);
+  container.textContent = signatureLines.join("\n");
+  const signatureText = container.textContent;
+  clone.querySelectorAll("a[href]").forEach((link) => {
+    const linkText = String(link.textContent || "").trim();
+    if (!linkText || !signatureText.includes(linkText)) {
       return;
     }
-    openLink();
+    const anchor = document.createElement("a");
+    anchor.setAttribute("href", link.getAttribute("href"));
+    container.appendChild(anchor);
   });
+  return container;
+}
 
-  setTimeout(removeCard, 12000);
+function splitGmailSignatureRole(line) {
+  const atMatch = line.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+  if (atMatch) {
+    return { title: atMatch[1].trim(), company: atMatch[2].trim() };
+  }
+  const parts = line.split(/\s+[|·•–—-]\s+|,\s+/).map((part) => part.trim()).filter(Boolean);
+  if (parts.length >= 2) {
+    return { title: parts[0], company: parts[1] };
+  }
+  return { title: line.trim(), company: "" };
 }
 
-function getSettings() {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ type: "GET_SETTINGS" }, (response) => {
-      if (chrome.runtime.lastError) {
-        const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-        if (isContextInvalidatedError(msg)) {
-          triggerContextRecovery(msg);
-          reject(new Error("Extension updated. Reloading page."));
-          return;
-        }
-        reject(new Error(msg));
+function parseGmailSignature(email, name = "") {
+  const result = { title: "", company: "", phone: "", linkedinUrl: "", website: "" };
+  const body = findGmailSenderMessageBody(email);
+  if (!body) {
+    return result;
+  }
+  const signature = getGmailSignatureElement(body);
+  const isUrlText = (text) => /^(?:https?:\/\/|www\.)\S+$/i.test(text) || /^[a-z0-9-]+(?:\.[a-z0-9-]+)+(?:\/\S*)?$/i.test(text);
+
+  Array.from(signature.querySelectorAll("a[href]")).forEach((link) => {
+    const href = String(link.getAttribute("href") || "").trim();
+    let url = href;
+    try {
+      const parsed = new URL(href);
+      // Gmail wraps outbound links in google.com/url?q=...
+      url = /(^|\.)google\.com$/i.test(parsed.hostname) && parsed.searchParams.get("q") ? parsed.searchParams.get("q") : href;
+    } catch (_error) {
+      return;
+    }
+    if (!result.linkedinUrl && /linkedin\.com\/in\//i.test(url)) {
+      result.linkedinUrl = url.replace(/[?#].*$/, "");
+    } else if (!result.website && /^https?:\/\//i.test(url) && !/linkedin\.com|google\.com|calendly\.com/i.test(url)) {
+      result.website = url;
+    }
+  });
+
+  const nameTokens = normalizeGmailThreadText(name).toLowerCase().split(" ").filter(Boolean);
+  const roleLines = [];
+  String(signature.innerText || signature.textContent || "")
+    .split("\n")
+    .map((line) => normalizeGmailThreadText(line))
+    .filter(Boolean)
+    .forEach((line) => {
+      const phoneText = line.replace(/^(?:m|t|p|c|tel|phone|mobile|cell|office|direct)\s*[.:]?\s*/i, "");
+      if (!result.phone && isValidPhoneNumberForPicker(phoneText)) {
+        result.phone = normalizePhoneNumberForPicker(phoneText);
         return;
       }
-      if (!response?.ok) {
-        reject(new Error(response?.message || "Could not load settings"));
+      if (/linkedin\.com\/in\//i.test(line)) {
+        result.linkedinUrl = result.linkedinUrl || `https://${line.replace(/^https?:\/\//i, "").replace(/[?#].*$/, "")}`;
         return;
       }
-      resolve(response.settings);
-    });
-  });
-}
-
-function saveSettings(settings) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ type: "SAVE_SETTINGS", settings }, (response) => {
-      if (chrome.runtime.lastError) {
-        const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-        if (isContextInvalidatedError(msg)) {
-          triggerContextRecovery(msg);
-          reject(new Error("Extension updated. Reloading page."));
-          return;
-        }
-        reject(new Error(msg));
+      if (/@/.test(line) || GMAIL_SIGNATURE_SIGN_OFF_PATTERN.test(line) || line.length > 80) {
         return;
       }
-      if (!response?.ok) {
-        reject(new Error(response?.message || "Could not save settings"));
+      if (isUrlText(line)) {
+        result.website = result.website || (/^https?:\/\//i.test(line) ? line : `https://${line}`);
         return;
       }
-      resolve(response);
+      const lineTokens = line.toLowerCase().split(" ");
+      if (
+        nameTokens.length > 0 &&
+        (nameTokens.every((token) => lineTokens.includes(token)) || lineTokens.every((token) => nameTokens.includes(token)))
+      ) {
+        return;
+      }
+      roleLines.push(line);
     });
-  });
+
+  if (roleLines.length > 0) {
+    const role = splitGmailSignatureRole(roleLines[0]);
+    result.title = role.title;
+    result.company = role.company || (roleLines[1] && !isValidPhoneNumberForPicker(roleLines[1]) ? roleLines[1] : "");
+  }
+  return result;
 }
 
-function runAction(actionId, context) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "RUN_ACTION",
-        actionId,
-        context,
-        meta: {
-          source: context.source || "unknown",
-          runId: context.runId || ""
-        }
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        resolve(response);
-      }
-    );
-  });
+function createGmailSignaturePreviewStyles() {
+  createContactPickerStyles("gem-gmail-signature");
+  if (document.getElementById("gem-gmail-signature-field-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-gmail-signature-field-style";
+  style.textContent = `
+    .gem-gmail-signature-field-input {
+      flex: 1;
+      border: 1px solid #b6beca;
+      border-radius: 6px;
+      padding: 6px 8px;
+      font-size: 14px;
+      color: #1f2328;
+    }
+    .gem-gmail-signature-item .gem-gmail-signature-hotkey {
+      min-width: 84px;
+    }
+  `;
+  document.documentElement.appendChild(style);
 }
 
-function listProjects(query, runId, options = {}) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "LIST_PROJECTS",
-        query: String(query || ""),
-        limit: 0,
-        runId: runId || "",
-        forceRefresh: Boolean(options.forceRefresh),
-        preferCache: Boolean(options.preferCache),
-        forceNewRefresh: Boolean(options.forceNewRefresh)
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          if (isContextInvalidatedResponse(response)) {
-            triggerContextRecovery(response?.message || "Extension context invalidated.");
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(response?.message || "Could not load projects"));
-          return;
-        }
-        const projects = normalizeProjectsForPicker(response.projects);
-        setProjectMemoryProjects(projects);
-        resolve(projects);
+const GMAIL_SIGNATURE_FIELDS = Object.freeze([
+  { key: "title", label: "Title" },
+  { key: "company", label: "Company" },
+  { key: "phone", label: "Phone" },
+  { key: "linkedinUrl", label: "LinkedIn" },
+  { key: "website", label: "Website" }
+]);
+
+async function showGmailSignaturePreview(runId, context, signature) {
+  createGmailSignaturePreviewStyles();
+  const email = String(context.contactEmail || "").trim();
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.id = "gem-gmail-signature-overlay";
+
+    const modal = document.createElement("div");
+    modal.id = "gem-gmail-signature-modal";
+
+    const title = document.createElement("div");
+    title.id = "gem-gmail-signature-title";
+    title.textContent = "Create Candidate from Email";
+
+    const subtitle = document.createElement("div");
+    subtitle.id = "gem-gmail-signature-subtitle";
+    subtitle.textContent = `${context.profileName ? `${context.profileName} <${email}>` : email} is not in Gem yet. Check the details read from their signature.`;
+
+    const errorEl = document.createElement("div");
+    errorEl.id = "gem-gmail-signature-error";
+
+    const list = document.createElement("div");
+    list.id = "gem-gmail-signature-list";
+
+    const hint = document.createElement("div");
+    hint.className = "gem-gmail-signature-hint";
+    hint.textContent = "Edit or clear any field. Enter creates the candidate. Esc to cancel.";
+
+    const inputs = {};
+    GMAIL_SIGNATURE_FIELDS.forEach((field) => {
+      const item = document.createElement("div");
+      item.className = "gem-gmail-signature-item";
+      const label = document.createElement("div");
+      label.className = "gem-gmail-signature-hotkey";
+      label.textContent = field.label;
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "gem-gmail-signature-field-input";
+      input.value = String(signature?.[field.key] || "");
+      input.placeholder = "Not found in signature";
+      inputs[field.key] = input;
+      item.appendChild(label);
+      item.appendChild(input);
+      list.appendChild(item);
+    });
+
+    modal.appendChild(title);
+    modal.appendChild(subtitle);
+    modal.appendChild(errorEl);
+    modal.appendChild(list);
+    modal.appendChild(hint);
+    overlay.appendChild(modal);
+    document.documentElement.appendChild(overlay);
+
+    let disposed = false;
+    function finish(result = null) {
+      if (disposed) {
+        return;
       }
-    );
-  });
-}
+      disposed = true;
+      overlay.remove();
+      resolve(result);
+    }
 
-function listAshbyJobs(query, runId) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "LIST_ASHBY_JOBS",
-        query: String(query || ""),
-        limit: 0,
-        runId: runId || ""
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          if (isContextInvalidatedResponse(response)) {
-            triggerContextRecovery(response?.message || "Extension context invalidated.");
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(response?.message || "Could not load Ashby jobs"));
-          return;
-        }
-        resolve(Array.isArray(response.jobs) ? response.jobs : []);
+    function confirm() {
+      const values = {};
+      GMAIL_SIGNATURE_FIELDS.forEach((field) => {
+        values[field.key] = String(inputs[field.key].value || "").trim();
+      });
+      if (values.phone && !isValidPhoneNumberForPicker(values.phone)) {
+        errorEl.textContent = "Phone number looks invalid. Fix or clear it.";
+        inputs.phone.focus();
+        return;
       }
-    );
-  });
-}
+      if (values.linkedinUrl && !/linkedin\.com\/in\//i.test(values.linkedinUrl)) {
+        errorEl.textContent = "LinkedIn must be a linkedin.com/in/ profile URL.";
+        inputs.linkedinUrl.focus();
+        return;
+      }
+      finish(values);
+    }
 
-function createGemProject(name, description, privacyType, runId) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "CREATE_GEM_PROJECT",
-        name: String(name || "").trim(),
-        description: String(description || "").trim(),
-        privacyType: String(privacyType || "").trim(),
-        runId: runId || ""
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          reject(new Error(response?.message || "Could not create project"));
+    overlay.addEventListener(
+      "keydown",
+      (event) => {
+        if (event.key === "Escape") {
+          event.preventDefault();
+          logEvent({
+            source: "extension.content",
+            level: "warn",
+            event: "gmail_signature.cancelled",
+            actionId: ACTIONS.ADD_PROSPECT,
+            runId,
+            message: "Gmail signature preview cancelled.",
+            link: getEmailThreadUrl(context) || window.location.href
+          });
+          finish(null);
           return;
         }
-        const project = normalizeProjectForPicker(response.project);
-        if (project) {
-          upsertProjectMemoryProject(project);
+        if (event.key === "Enter") {
+          event.preventDefault();
+          confirm();
         }
-        resolve({
-          message: String(response.message || ""),
-          project: project || (response.project && typeof response.project === "object" ? response.project : {})
-        });
-      }
+      },
+      true
     );
+
+    inputs.title.focus();
   });
 }
 
-function searchGemPeople(query, runId, limit = GEM_ACTION_PEOPLE_SEARCH_LIMIT) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "SEARCH_GEM_PEOPLE",
-        query: String(query || ""),
-        runId: runId || "",
-        limit
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          reject(new Error(response?.message || "Could not search candidates"));
-          return;
-        }
-        resolve(Array.isArray(response.candidates) ? response.candidates : []);
-      }
-    );
+// Add Prospect on Gmail only creates a candidate after the user has checked the signature details.
+async function prepareGmailProspectContext(runId, context) {
+  const email = String(context.contactEmail || "").trim().toLowerCase();
+  if (!email) {
+    return context;
+  }
+  const matches = await matchGmailParticipants([{ email }], runId).catch(() => []);
+  if (matches.some((match) => match.candidateId)) {
+    return context;
+  }
+  const signature = parseGmailSignature(email, context.profileName);
+  const confirmed = await showGmailSignaturePreview(runId, context, signature);
+  if (!confirmed) {
+    return null;
+  }
+  await logEvent({
+    source: "extension.content",
+    event: "gmail_signature.confirmed",
+    actionId: ACTIONS.ADD_PROSPECT,
+    runId,
+    message: "Confirmed signature details for a new Gmail candidate.",
+    link: getEmailThreadUrl(context) || window.location.href,
+    details: {
+      parsedFields: GMAIL_SIGNATURE_FIELDS.filter((field) => signature[field.key]).map((field) => field.key),
+      confirmedFields: GMAIL_SIGNATURE_FIELDS.filter((field) => confirmed[field.key]).map((field) => field.key)
+    }
   });
+  context.gmailSignature = confirmed;
+  context.gmailCreateConfirmed = true;
+  return context;
 }
 
-function openGemNavigation(url, runId, options = {}) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "OPEN_GEM_NAVIGATION",
-        url: String(url || "").trim(),
-        runId: runId || "",
-        actionId: options.actionId || ACTIONS.GEM_ACTIONS,
-        openInBackground: Boolean(options.openInBackground)
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          reject(new Error(response?.message || "Could not open Gem link"));
-          return;
-        }
-        resolve(response);
-      }
-    );
+// Returns false when the user cancels; threads with a single external participant skip the chooser.
+async function chooseGmailParticipantForContext(runId, context) {
+  const participants = getGmailExternalParticipants();
+  if (participants.length <= 1) {
+    return true;
+  }
+  const selection = await showGmailParticipantPicker(runId, context, participants);
+  if (!selection) {
+    return false;
+  }
+  gmailParticipantSelection = { threadUrl: getEmailThreadUrl(context), email: selection.email, name: selection.name };
+  applyGmailParticipantSelection(context, gmailParticipantSelection);
+  await logEvent({
+    source: "extension.content",
+    event: "gmail_participant.selected",
+    runId,
+    message: `Selected ${selection.email} from ${participants.length} Gmail participants.`,
+    link: getEmailThreadUrl(context) || window.location.href,
+    details: {
+      participantCount: participants.length,
+      candidateId: selection.candidateId
+    }
   });
+  return true;
 }
 
-function listCustomFieldsForContext(context, runId, options = {}) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "LIST_CUSTOM_FIELDS_FOR_CONTEXT",
-        context,
-        runId: runId || "",
-        preferCache: Boolean(options.preferCache),
-        refreshInBackground: options.refreshInBackground !== false,
-        forceRefresh: Boolean(options.forceRefresh),
-        allowCreate: options.allowCreate !== false,
-        allowEmptyCandidateCache: Boolean(options.allowEmptyCandidateCache)
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          reject(new Error(response?.message || "Could not load custom fields"));
-          return;
-        }
-        const payload = mergeOptimisticGemStatusIntoCustomFieldData(
-          context,
-          {
-            candidateId: response.candidateId || "",
-            customFields: Array.isArray(response.customFields) ? response.customFields : [],
-            statusLabels: Array.isArray(response.statusLabels) ? response.statusLabels : []
-          },
-          response.candidateId || ""
-        );
-        resolve({
-          candidateId: payload.candidateId || "",
-          customFields: Array.isArray(payload.customFields) ? payload.customFields : [],
-          statusLabels: Array.isArray(payload.statusLabels) ? payload.statusLabels : [],
-          fromCache: Boolean(response.fromCache),
-          stale: Boolean(response.stale)
-        });
-      }
-    );
-  });
-}
-
-function listCandidateEmailsForContext(context, runId, options = {}) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "LIST_CANDIDATE_EMAILS_FOR_CONTEXT",
-        context,
-        runId: runId || "",
-        preferCache: Boolean(options.preferCache),
-        refreshInBackground: options.refreshInBackground !== false,
-        forceRefresh: Boolean(options.forceRefresh),
-        allowCreate: options.allowCreate !== false
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          reject(new Error(response?.message || "Could not load candidate emails"));
-          return;
-        }
-        resolve({
-          candidateId: String(response.candidateId || ""),
-          emails: normalizeCandidateEmailsForPicker(response.emails),
-          primaryEmail: normalizeEmailAddressForPicker(response.primaryEmail || getPrimaryEmailForPicker(response.emails)),
-          fromCache: Boolean(response.fromCache),
-          stale: Boolean(response.stale)
-        });
-      }
-    );
-  });
+function getGmailContext() {
+  const pageUrl = normalizePageUrlForWatcher(window.location.href);
+  const gmailThreadUrl = normalizeUrlForContext(window.location.href, { keepHash: true });
+  const gmailThreadToken = extractGmailThreadTokenFromUrl(window.location.href);
+  const gmailSubject = getGmailThreadSubject();
+  const gmailAccountEmails = collectGmailVisibleAccountEmails();
+  const participantEntries = collectGmailVisibleParticipantEntries();
+  const contactEmails = collectGmailVisibleParticipantEmails();
+  const profileName = getGmailPrimaryParticipantName(participantEntries);
+  const context = {
+    sourcePlatform: "gmail",
+    pageUrl,
+    profileUrl: "",
+    gmailThreadUrl,
+    gmailThreadToken,
+    gmailSubject,
+    gmailAccountEmails,
+    gemProfileUrl: "",
+    gemCandidateId: "",
+    linkedinUrl: "",
+    linkedInHandle: "",
+    contactEmails,
+    contactEmail: contactEmails[0] || "",
+    profileName
+  };
+  const selection = getGmailParticipantSelection(gmailThreadUrl);
+  const stillOnThread = selection && participantEntries.some((entry) => entry.email === selection.email);
+  return stillOnThread ? applyGmailParticipantSelection(context, selection) : context;
 }
 
-function addCandidateEmailForContext(context, email, runId) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "ADD_CANDIDATE_EMAIL_FOR_CONTEXT",
-        context,
-        email: normalizeEmailAddressForPicker(email),
-        runId: runId || ""
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          reject(new Error(response?.message || "Could not add email"));
-          return;
-        }
-        resolve({
-          candidateId: String(response.candidateId || ""),
-          emails: normalizeCandidateEmailsForPicker(response.emails),
-          primaryEmail: normalizeEmailAddressForPicker(response.primaryEmail || getPrimaryEmailForPicker(response.emails))
-        });
-      }
-    );
-  });
+function getOutlookReadingPaneRoot() {
+  return (
+    document.querySelector("#ConversationReadingPaneContainer, [data-app-section='ConversationContainer']") ||
+    document.querySelector("[role='main']") ||
+    document
+  );
 }
 
-function setPrimaryCandidateEmailForContext(context, email, runId) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "SET_PRIMARY_CANDIDATE_EMAIL_FOR_CONTEXT",
-        context,
-        email: normalizeEmailAddressForPicker(email),
-        runId: runId || ""
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          reject(new Error(response?.message || "Could not update primary email"));
-          return;
-        }
-        resolve({
-          candidateId: String(response.candidateId || ""),
-          emails: normalizeCandidateEmailsForPicker(response.emails),
-          primaryEmail: normalizeEmailAddressForPicker(response.primaryEmail || getPrimaryEmailForPicker(response.emails))
-        });
-      }
-    );
-  });
+function getOutlookThreadSubject() {
+  const root = getOutlookReadingPaneRoot();
+  const selectors = ["[role='heading'][aria-level='2']", "[role='heading']", "span[title]"];
+  for (const selector of selectors) {
+    const node = root.querySelector(selector);
+    const text = normalizeGmailThreadText(node?.getAttribute("title") || node?.textContent || "");
+    if (text) {
+      return text;
+    }
+  }
+  return "";
 }
 
-function getCustomFieldContextKey(context) {
-  const gemCandidateId = String(context?.gemCandidateId || "").trim();
-  if (gemCandidateId) {
-    return `candidate:${gemCandidateId}`;
+function collectOutlookVisibleAccountEmails() {
+  const emails = new Set();
+  Array.from(document.querySelectorAll("#mectrl_currentAccount_secondary, #mectrl_headerPicture, [id^='mectrl_'][aria-label]"))
+    .slice(0, 20)
+    .forEach((node) => {
+      readEmailsFromString(node.getAttribute("aria-label"), emails);
+      readEmailsFromString(node.textContent, emails);
+    });
+  const configuredUserEmail = getConfiguredUserEmail();
+  if (configuredUserEmail) {
+    emails.add(configuredUserEmail);
   }
+  return Array.from(emails)
+    .map((email) => normalizeEmailAddressForPicker(email).toLowerCase())
+    .filter((email) => isValidEmailAddressForPicker(email));
+}
 
-  const handle = String(context?.linkedInHandle || "").trim().toLowerCase();
-  if (handle) {
-    return `handle:${handle}`;
-  }
+// Outlook renders senders and recipients as persona buttons whose title or aria-label carries "Name <email>".
+function collectOutlookVisibleParticipantEntries() {
+  const currentUserEmails = new Set(collectOutlookVisibleAccountEmails());
+  const participantMap = new Map();
+  const nodes = Array.from(
+    getOutlookReadingPaneRoot().querySelectorAll("[title*='@'], [aria-label*='@'], a[href^='mailto:']")
+  ).slice(0, 200);
+
+  nodes.forEach((node, index) => {
+    const raw = [node.getAttribute("title"), node.getAttribute("aria-label"), node.getAttribute("href")].filter(Boolean).join(" ");
+    const found = new Set();
+    readEmailsFromString(raw, found);
+    found.forEach((value) => {
+      const email = normalizeEmailAddressForPicker(value).toLowerCase();
+      if (!isValidEmailAddressForPicker(email)) {
+        return;
+      }
+      const label = normalizeGmailThreadText(node.textContent || "")
+        .replace(/\s*<[^>]+>\s*$/, "")
+        .replace(/^(?:from|to|cc):\s*/i, "");
+      const existing = participantMap.get(email) || { email, label: "", occurrences: 0, firstIndex: index };
+      existing.occurrences += 1;
+      if (!existing.label && label && !/@/.test(label) && label.length <= 120) {
+        existing.label = label;
+      }
+      existing.isCurrentUser = currentUserEmails.has(email);
+      existing.isGem = isGemAutomatedThreadEmail(email);
+      participantMap.set(email, existing);
+    });
+  });
 
-  const rawUrl = String(context?.linkedinUrl || "").trim().toLowerCase();
-  if (rawUrl) {
-    try {
-      const parsed = new URL(rawUrl);
-      parsed.search = "";
-      parsed.hash = "";
-      return `url:${parsed.toString().replace(/\/$/, "")}`;
-    } catch (_error) {
-      return `url:${rawUrl.replace(/[?#].*$/, "").replace(/\/$/, "")}`;
+  return Array.from(participantMap.values()).sort((left, right) => {
+    if (left.isCurrentUser !== right.isCurrentUser) {
+      return left.isCurrentUser ? 1 : -1;
     }
-  }
-
-  const contactEmail =
-    normalizeEmailAddressForPicker(context?.contactEmail || "").toLowerCase() ||
-    normalizeEmailAddressForPicker(Array.isArray(context?.contactEmails) ? context.contactEmails[0] : "").toLowerCase();
-  if (contactEmail && isValidEmailAddressForPicker(contactEmail)) {
-    return `email:${contactEmail}`;
-  }
-
-  const profileUrl = String(context?.profileUrl || context?.gemProfileUrl || context?.pageUrl || "")
-    .trim()
-    .toLowerCase();
-  if (profileUrl) {
-    try {
-      const parsed = new URL(profileUrl);
-      parsed.search = "";
-      parsed.hash = "";
-      return `profile:${parsed.toString().replace(/\/$/, "")}`;
-    } catch (_error) {
-      return `profile:${profileUrl.replace(/[?#].*$/, "").replace(/\/$/, "")}`;
+    if (left.isGem !== right.isGem) {
+      return left.isGem ? 1 : -1;
     }
-  }
-
-  return "";
-}
-
-function getContextLink(context) {
-  return (
-    String(context?.linkedinUrl || "").trim() ||
-    String(context?.profileUrl || "").trim() ||
-    String(context?.gemProfileUrl || "").trim() ||
-    String(context?.gmailThreadUrl || "").trim() ||
-    String(context?.pageUrl || "").trim() ||
-    window.location.href
-  );
+    return left.firstIndex - right.firstIndex;
+  });
 }
 
-function normalizeStatusTextToken(value) {
-  return String(value || "")
-    .replace(/\s+/g, " ")
-    .trim()
-    .toLowerCase();
+function getOutlookContext() {
+  const outlookThreadUrl = normalizeUrlForContext(window.location.href);
+  const participantEntries = collectOutlookVisibleParticipantEntries();
+  const contactEmails = participantEntries
+    .filter((entry) => !entry.isCurrentUser && !entry.isGem)
+    .map((entry) => entry.email);
+  const context = {
+    sourcePlatform: "outlook",
+    pageUrl: normalizePageUrlForWatcher(window.location.href),
+    profileUrl: "",
+    outlookThreadUrl,
+    outlookItemId: extractOutlookItemIdFromUrl(window.location.href),
+    outlookSubject: getOutlookThreadSubject(),
+    outlookAccountEmails: collectOutlookVisibleAccountEmails(),
+    gemProfileUrl: "",
+    gemCandidateId: "",
+    linkedinUrl: "",
+    linkedInHandle: "",
+    contactEmails,
+    contactEmail: contactEmails[0] || "",
+    profileName: getGmailPrimaryParticipantName(participantEntries)
+  };
+  const selection = getGmailParticipantSelection(outlookThreadUrl);
+  const stillOnThread = selection && participantEntries.some((entry) => entry.email === selection.email);
+  return stillOnThread ? applyGmailParticipantSelection(context, selection) : context;
 }
 
-function normalizeStatusMatchKey(value) {
-  return normalizeStatusTextToken(value)
-    .replace(/[^a-z0-9]+/g, " ")
-    .trim();
+function getEmailThreadUrl(context = {}) {
+  return String(context?.gmailThreadUrl || context?.outlookThreadUrl || "").trim();
 }
 
-function summarizeStatusLabels(labels, maxVisible = 3) {
-  if (!Array.isArray(labels) || labels.length === 0) {
-    return "";
+function getProfileContext() {
+  if (isLinkedInProfilePage()) {
+    return getLinkedInProfileContext();
   }
-  const normalized = labels
-    .map((label) => String(label || "").trim())
-    .filter(Boolean);
-  if (normalized.length === 0) {
-    return "";
+  if (isGemCandidateProfilePage()) {
+    return getGemProfileContext();
   }
-  if (normalized.length <= maxVisible) {
-    return normalized.join(", ");
+  if (isGmailThreadPage()) {
+    return getGmailContext();
   }
-  return `${normalized.slice(0, maxVisible).join(", ")} +${normalized.length - maxVisible} more`;
-}
-
-function contextHasResolvableIdentity(context) {
-  if (!context || typeof context !== "object") {
-    return false;
+  if (isOutlookThreadPage()) {
+    return getOutlookContext();
   }
-  if (String(context.sourcePlatform || "").trim().toLowerCase() === "gmail") {
-    return Boolean(
-      String(context.gmailThreadToken || "").trim() ||
-        String(context.gmailSubject || "").trim() ||
-        isValidEmailAddressForPicker(String(context.contactEmail || "").trim()) ||
-        (Array.isArray(context.contactEmails) &&
-          context.contactEmails.some((email) => isValidEmailAddressForPicker(email)))
-    );
+  if (isGitHubProfilePage()) {
+    return getGitHubContext();
   }
-  if (String(context.gemCandidateId || "").trim()) {
-    return true;
+  return {
+    sourcePlatform: "unknown",
+    pageUrl: normalizePageUrlForWatcher(window.location.href),
+    profileUrl: normalizeUrlForContext(window.location.href),
+    linkedinUrl: "",
+    linkedInHandle: "",
+    gemCandidateId: "",
+    contactEmails: [],
+    contactEmail: "",
+    profileName: getProfileName()
+  };
+}
+
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+
+function getTodayIsoDate() {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad2(now.getMonth() + 1)}-${pad2(now.getDate())}`;
+}
+
+function formatDateAsIso(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return "";
   }
-  if (String(context.linkedinUrl || "").trim()) {
-    return true;
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function addMonthsClamped(baseDate, monthsToAdd) {
+  const start = new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate());
+  const startDay = start.getDate();
+  const targetMonthStart = new Date(start.getFullYear(), start.getMonth() + monthsToAdd, 1);
+  const lastDayOfTargetMonth = new Date(
+    targetMonthStart.getFullYear(),
+    targetMonthStart.getMonth() + 1,
+    0
+  ).getDate();
+  return new Date(
+    targetMonthStart.getFullYear(),
+    targetMonthStart.getMonth(),
+    Math.min(startDay, lastDayOfTargetMonth)
+  );
+}
+
+function getReminderPresetIsoDate(preset) {
+  const today = new Date();
+  const todayLocal = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  if (!preset || typeof preset !== "object") {
+    return formatDateAsIso(todayLocal);
   }
-  if (String(context.linkedInHandle || "").trim()) {
-    return true;
+  if (preset.kind === "days") {
+    const next = new Date(todayLocal.getFullYear(), todayLocal.getMonth(), todayLocal.getDate());
+    next.setDate(next.getDate() + Number(preset.amount || 0));
+    return formatDateAsIso(next);
   }
-  if (String(context.profileUrl || "").trim()) {
-    return true;
+  if (preset.kind === "months") {
+    return formatDateAsIso(addMonthsClamped(todayLocal, Number(preset.amount || 0)));
   }
-  if (String(context.gemProfileUrl || "").trim()) {
-    return true;
+  return formatDateAsIso(todayLocal);
+}
+
+const REMINDER_WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const REMINDER_NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12
+};
+
+function getReminderWeekdayIndex(token) {
+  const value = String(token || "").toLowerCase();
+  if (value.length < 3) {
+    return -1;
   }
-  if (isValidEmailAddressForPicker(String(context.contactEmail || "").trim())) {
-    return true;
+  return REMINDER_WEEKDAY_NAMES.findIndex((name) => name.startsWith(value));
+}
+
+// Understands the phrases recruiters actually type ("tomorrow", "next tue", "in 3 weeks", "end of quarter");
+// anything else returns "" so the caller can fall back to the date input.
+function parseNaturalReminderDate(text, baseDate = new Date()) {
+  const input = String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[.,]/g, "")
+    .replace(/\s+/g, " ");
+  if (!input) {
+    return "";
   }
-  if (Array.isArray(context.contactEmails)) {
-    return context.contactEmails.some((email) => isValidEmailAddressForPicker(email));
+  if (isValidIsoDateInput(input)) {
+    return input;
   }
-  return false;
-}
+  const today = new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate());
+  const addDays = (days) => formatDateAsIso(new Date(today.getFullYear(), today.getMonth(), today.getDate() + days));
 
-function describeContextSignals(context) {
-  const sourcePlatform = String(context?.sourcePlatform || "").trim().toLowerCase();
-  const signals = [];
-  const contactEmails = Array.isArray(context?.contactEmails)
-    ? context.contactEmails.filter((email) => isValidEmailAddressForPicker(email))
-    : [];
-  const gmailSubject = normalizeGmailThreadText(context?.gmailSubject || "");
+  if (input === "today" || input === "tod") {
+    return formatDateAsIso(today);
+  }
+  if (input === "tomorrow" || input === "tmrw" || input === "tmr") {
+    return addDays(1);
+  }
 
-  if (sourcePlatform === "gmail") {
-    if (gmailSubject) {
-      signals.push("subject");
-    }
-    if (String(context?.gmailThreadToken || "").trim()) {
-      signals.push("thread token");
-    }
-    if (contactEmails.length > 0) {
-      signals.push(`${contactEmails.length} visible email${contactEmails.length === 1 ? "" : "s"}`);
-    } else if (isValidEmailAddressForPicker(String(context?.contactEmail || "").trim())) {
-      signals.push("1 visible email");
+  const relative = input.match(/^(?:in )?(\d+|[a-z]+) ?(d|days?|w|wks?|weeks?|m|mos?|months?|q|quarters?|y|yrs?|years?)(?: from now)?$/);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : REMINDER_NUMBER_WORDS[relative[1]];
+    const unit = relative[2].charAt(0);
+    if (amount > 0 && amount <= 1000) {
+      if (unit === "d") {
+        return addDays(amount);
+      }
+      if (unit === "w") {
+        return addDays(amount * 7);
+      }
+      if (unit === "m") {
+        return formatDateAsIso(addMonthsClamped(today, amount));
+      }
+      if (unit === "q") {
+        return formatDateAsIso(addMonthsClamped(today, amount * 3));
+      }
+      return formatDateAsIso(addMonthsClamped(today, amount * 12));
     }
-    if (signals.length === 0) {
-      return "Gmail thread detected, but no visible subject or participant email was found.";
+  }
+
+  const nextPeriod = input.match(/^next (week|month|quarter|year)$/);
+  if (nextPeriod) {
+    const months = { month: 1, quarter: 3, year: 12 }[nextPeriod[1]];
+    return months ? formatDateAsIso(addMonthsClamped(today, months)) : addDays(7);
+  }
+
+  const endOf = input.match(/^(?:(?:the )?end of (?:the |this )?(week|month|quarter|year)|eo(w|m|q|y))$/);
+  if (endOf) {
+    const period = endOf[1] || { w: "week", m: "month", q: "quarter", y: "year" }[endOf[2]];
+    if (period === "week") {
+      // Business week: the coming Friday, or next week's if Friday has passed.
+      const daysUntilFriday = (5 - today.getDay() + 7) % 7;
+      return addDays(today.getDay() === 6 ? 6 : daysUntilFriday);
     }
-    return `Gmail thread detected. Signals: ${signals.join(", ")}.`;
+    const month = today.getMonth();
+    const lastMonth = period === "month" ? month : period === "quarter" ? month - (month % 3) + 2 : 11;
+    return formatDateAsIso(new Date(today.getFullYear(), lastMonth + 1, 0));
   }
 
-  if (String(context?.gemCandidateId || "").trim()) {
-    signals.push("Gem candidate ID");
+  const weekday = input.match(/^(?:(this|next|on) )?([a-z]+)$/);
+  if (weekday) {
+    const targetDay = getReminderWeekdayIndex(weekday[2]);
+    if (targetDay >= 0) {
+      if (weekday[1] === "next") {
+        // "next tue" is that day in the following Monday-to-Sunday week, never this one.
+        const daysToNextMonday = 7 - ((today.getDay() + 6) % 7);
+        return addDays(daysToNextMonday + ((targetDay + 6) % 7));
+      }
+      const daysAhead = (targetDay - today.getDay() + 7) % 7;
+      // "this fri" on a Friday is today; a bare "fri" means the next one to come.
+      return addDays(weekday[1] === "this" ? daysAhead : daysAhead || 7);
+    }
   }
-  if (String(context?.gemProfileUrl || "").trim()) {
-    signals.push("Gem profile link");
+  return "";
+}
+
+function isValidIsoDateInput(value) {
+  const normalized = String(value || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(normalized)) {
+    return false;
   }
-  if (String(context?.linkedinUrl || "").trim()) {
-    signals.push("LinkedIn profile link");
-  } else if (String(context?.linkedInHandle || "").trim()) {
-    signals.push("LinkedIn handle");
+  const parsed = new Date(`${normalized}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === normalized;
+}
+
+function formatIsoDateForDisplay(dateValue) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(dateValue || ""))) {
+    return "Pick date";
   }
-  if (contactEmails.length > 0) {
-    signals.push(`${contactEmails.length} email${contactEmails.length === 1 ? "" : "s"}`);
-  } else if (isValidEmailAddressForPicker(String(context?.contactEmail || "").trim())) {
-    signals.push("1 email");
+  const parsed = new Date(`${dateValue}T00:00:00`);
+  if (Number.isNaN(parsed.getTime())) {
+    return "Pick date";
   }
-  if (String(context?.profileUrl || "").trim() && sourcePlatform !== "gmail") {
-    signals.push("profile URL");
+  return parsed.toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric"
+  });
+}
+
+function normalizeEmailAddressForPicker(value) {
+  return String(value || "").trim();
+}
+
+function isValidEmailAddressForPicker(value) {
+  const email = normalizeEmailAddressForPicker(value);
+  if (!email || email.length > 255) {
+    return false;
   }
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
 
-  if (signals.length === 0) {
-    if (sourcePlatform === "linkedin") {
-      return "LinkedIn profile detected, but no stable candidate identity signal was found.";
+function normalizeCandidateEmailsForPicker(data) {
+  const rows = Array.isArray(data) ? data : Array.isArray(data?.emails) ? data.emails : [];
+  const deduped = [];
+  const byLower = new Map();
+
+  for (const item of rows) {
+    if (!item || typeof item !== "object") {
+      continue;
     }
-    if (sourcePlatform === "gem") {
-      return "Gem page detected, but no stable candidate identity signal was found.";
+    const emailAddress = normalizeEmailAddressForPicker(item.emailAddress || item.email_address || item.email);
+    if (!emailAddress) {
+      continue;
     }
-    if (sourcePlatform === "github") {
-      return "GitHub profile detected, but no stable candidate identity signal was found.";
+    const lower = emailAddress.toLowerCase();
+    const existingIndex = byLower.get(lower);
+    const isPrimary = Boolean(item.isPrimary || item.is_primary);
+    if (existingIndex !== undefined) {
+      if (isPrimary) {
+        deduped[existingIndex].isPrimary = true;
+      }
+      continue;
     }
-    return "No stable candidate identity signal was found on this page.";
+    byLower.set(lower, deduped.length);
+    deduped.push({ emailAddress, isPrimary });
   }
 
-  const label =
-    sourcePlatform === "gmail"
-      ? "Gmail thread detected"
-      : sourcePlatform === "linkedin"
-        ? "LinkedIn profile detected"
-        : sourcePlatform === "gem"
-          ? "Gem page detected"
-          : sourcePlatform === "github"
-            ? "GitHub profile detected"
-            : "Supported page detected";
-  return `${label}. Signals: ${signals.join(", ")}.`;
+  let primaryIndex = deduped.findIndex((entry) => entry.isPrimary);
+  if (primaryIndex < 0 && deduped.length > 0) {
+    primaryIndex = 0;
+  }
+  return deduped.map((entry, index) => ({
+    emailAddress: entry.emailAddress,
+    isPrimary: index === primaryIndex
+  }));
 }
 
-function shouldAllowCandidateCreateForContext(context) {
-  return String(context?.sourcePlatform || "").trim().toLowerCase() !== "gmail";
+function getPrimaryEmailForPicker(emails) {
+  const normalized = normalizeCandidateEmailsForPicker(emails);
+  const primary = normalized.find((entry) => entry.isPrimary);
+  return primary ? primary.emailAddress : "";
 }
 
-function contextHasResolvedLinkedInStatusIdentity(context) {
-  if (!context || typeof context !== "object") {
+function normalizePhoneNumberForPicker(value) {
+  return String(value || "")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+function isValidPhoneNumberForPicker(value) {
+  const phone = normalizePhoneNumberForPicker(value);
+  if (!phone || phone.length > 255 || !/^\+?[\d\s().\-\/]+(?:\s*(?:x|ext\.?)\s*\d+)?$/i.test(phone)) {
     return false;
   }
-  if (String(context.gemCandidateId || "").trim()) {
-    return true;
-  }
-  if (String(context.linkedinUrl || "").trim()) {
-    return true;
-  }
-  if (String(context.linkedInHandle || "").trim()) {
-    return true;
-  }
-  return false;
+  const digits = phone.replace(/[^\d]/g, "").length;
+  return digits >= 7 && digits <= 20;
 }
 
-function normalizeCustomFieldPickerName(value) {
-  return String(value || "")
-    .replace(/\s+/g, " ")
-    .trim()
-    .toLowerCase();
+function normalizeCandidatePhonesForPicker(data) {
+  const rows = Array.isArray(data) ? data : Array.isArray(data?.phones) ? data.phones : [];
+  return rows
+    .map((item) => ({
+      phoneNumber: normalizePhoneNumberForPicker(item?.phoneNumber || item?.phone_number),
+      isPrimary: Boolean(item?.isPrimary || item?.is_primary)
+    }))
+    .filter((item) => item.phoneNumber);
 }
 
-function sortCustomFieldsForPicker(fields) {
-  const normalized = Array.isArray(fields) ? fields.slice() : [];
-  normalized.sort((left, right) => {
-    const leftName = normalizeCustomFieldPickerName(left?.name);
-    const rightName = normalizeCustomFieldPickerName(right?.name);
-    const leftPinnedRank = PINNED_CUSTOM_FIELD_RANK.has(leftName)
-      ? PINNED_CUSTOM_FIELD_RANK.get(leftName)
-      : Number.POSITIVE_INFINITY;
-    const rightPinnedRank = PINNED_CUSTOM_FIELD_RANK.has(rightName)
-      ? PINNED_CUSTOM_FIELD_RANK.get(rightName)
-      : Number.POSITIVE_INFINITY;
-    if (leftPinnedRank !== rightPinnedRank) {
-      return leftPinnedRank - rightPinnedRank;
-    }
-    const nameCompare = String(left?.name || "").localeCompare(String(right?.name || ""), undefined, {
-      sensitivity: "base"
-    });
-    if (nameCompare !== 0) {
-      return nameCompare;
-    }
-    return String(left?.id || "").localeCompare(String(right?.id || ""), undefined, {
-      sensitivity: "base"
-    });
-  });
-  return normalized;
+function buildTelHref(phoneNumber) {
+  const value = normalizePhoneNumberForPicker(phoneNumber);
+  const extension = value.match(/(?:x|ext\.?)\s*(\d+)$/i);
+  const base = extension ? value.slice(0, extension.index) : value;
+  const dialable = `${base.trim().startsWith("+") ? "+" : ""}${base.replace(/[^\d]/g, "")}`;
+  return dialable ? `tel:${dialable}${extension ? `;ext=${extension[1]}` : ""}` : "";
 }
 
-function normalizeCustomFieldsForPicker(data) {
-  const input = Array.isArray(data) ? data : Array.isArray(data?.customFields) ? data.customFields : [];
-  return sortCustomFieldsForPicker(
-    input
-      .map((field) => ({
-      id: String(field.id || ""),
-      name: String(field.name || ""),
-      scope: String(field.scope || ""),
-      valueType: String(field.valueType || ""),
-      currentOptionIds: Array.isArray(field.currentOptionIds)
-        ? field.currentOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
-        : [],
-      currentValueLabels: Array.isArray(field.currentValueLabels)
-        ? field.currentValueLabels.map((value) => String(value || "").trim()).filter(Boolean)
-        : [],
-      options: Array.isArray(field.options)
-        ? field.options.map((option) => ({
-            id: String(option.id || ""),
-            value: String(option.value || "")
-          }))
-        : []
-      }))
-      .filter((field) => field.id && field.name)
-  );
-}
-
-function normalizeCustomFieldSelectionLabels(selection, field = null) {
-  const explicitLabels = Array.isArray(selection?.customFieldValueLabels)
-    ? selection.customFieldValueLabels.map((label) => String(label || "").trim()).filter(Boolean)
-    : [];
-  if (explicitLabels.length > 0) {
-    return explicitLabels;
+async function copyTextToClipboard(value) {
+  const text = String(value || "");
+  if (!text) {
+    return false;
   }
 
-  const optionIds = Array.isArray(selection?.customFieldOptionIds)
-    ? selection.customFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
-    : [];
-  if (field && optionIds.length > 0) {
-    const optionValueById = new Map(
-      (Array.isArray(field.options) ? field.options : []).map((option) => [String(option.id || "").trim(), String(option.value || "").trim()])
-    );
-    const labelsFromOptions = optionIds.map((id) => optionValueById.get(id) || "").filter(Boolean);
-    if (labelsFromOptions.length > 0) {
-      return labelsFromOptions;
+  try {
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
+      await navigator.clipboard.writeText(text);
+      return true;
     }
+  } catch (_error) {
+    // Fallback below.
   }
 
-  const rawValue = selection?.customFieldValue;
-  if (rawValue === undefined || rawValue === null) {
-    return [];
+  try {
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "readonly");
+    textarea.style.position = "fixed";
+    textarea.style.top = "-9999px";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+    textarea.setSelectionRange(0, text.length);
+    const copied = document.execCommand("copy");
+    textarea.remove();
+    return Boolean(copied);
+  } catch (_error) {
+    return false;
   }
-  const trimmedValue = String(rawValue || "").trim();
-  return trimmedValue ? [trimmedValue] : [];
-}
-
-function isStatusFieldLike(value) {
-  const normalized = normalizeStatusTextToken(value);
-  return normalized === "status" || normalized.startsWith("status");
 }
 
-function getStatusLabelsFromCustomFieldData(data) {
-  const explicit = Array.isArray(data?.statusLabels)
-    ? data.statusLabels.map((label) => String(label || "").trim()).filter(Boolean)
-    : [];
-  if (explicit.length > 0) {
-    return explicit;
+function ensureToastContainer() {
+  if (toastContainer) {
+    return toastContainer;
   }
-  const statusField = findGemStatusField(data?.customFields);
-  return Array.isArray(statusField?.currentValueLabels)
-    ? statusField.currentValueLabels.map((label) => String(label || "").trim()).filter(Boolean)
-    : [];
+  const container = document.createElement("div");
+  container.id = "gem-shortcuts-toast-container";
+  container.style.position = "fixed";
+  container.style.right = "20px";
+  container.style.bottom = "20px";
+  container.style.zIndex = "2147483647";
+  container.style.display = "flex";
+  container.style.flexDirection = "column";
+  container.style.gap = "8px";
+  document.documentElement.appendChild(container);
+  toastContainer = container;
+  return container;
 }
 
-function areStatusLabelSetsEqual(left, right) {
-  const normalize = (labels) =>
-    (Array.isArray(labels) ? labels : [])
-      .map((label) => normalizeStatusTextToken(label))
-      .filter(Boolean)
-      .sort();
-  const leftNormalized = normalize(left);
-  const rightNormalized = normalize(right);
-  if (leftNormalized.length !== rightNormalized.length) {
-    return false;
+function showToast(text, isError = false, options = {}) {
+  const container = ensureToastContainer();
+  const toast = document.createElement("div");
+  toast.textContent = text;
+  toast.style.background = isError ? "#a61d24" : "#196c2e";
+  toast.style.color = "#fff";
+  toast.style.padding = "10px 12px";
+  toast.style.borderRadius = "6px";
+  toast.style.fontSize = "13px";
+  toast.style.fontFamily = "-apple-system,BlinkMacSystemFont,Segoe UI,Arial,sans-serif";
+  toast.style.boxShadow = "0 4px 12px rgba(0,0,0,0.25)";
+  toast.style.maxWidth = "320px";
+  toast.style.wordBreak = "break-word";
+  if (options.actionLabel && typeof options.onAction === "function") {
+    toast.style.display = "flex";
+    toast.style.alignItems = "center";
+    toast.style.gap = "10px";
+    toast.style.pointerEvents = "auto";
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = options.actionLabel;
+    button.style.background = "transparent";
+    button.style.color = "#fff";
+    button.style.border = "1px solid rgba(255,255,255,0.7)";
+    button.style.borderRadius = "4px";
+    button.style.padding = "2px 8px";
+    button.style.font = "inherit";
+    button.style.fontWeight = "600";
+    button.style.cursor = "pointer";
+    button.style.flex = "0 0 auto";
+    button.addEventListener("click", () => {
+      toast.remove();
+      options.onAction();
+    });
+    toast.appendChild(button);
   }
-  return leftNormalized.every((value, index) => value === rightNormalized[index]);
+  container.appendChild(toast);
+
+  setTimeout(() => {
+    toast.remove();
+  }, Number(options.durationMs) || 2800);
 }
 
-function getOptimisticGemStatusKeys(context, candidateId = "") {
-  const baseContext = context && typeof context === "object" ? context : {};
-  const normalizedCandidateId = String(candidateId || baseContext.gemCandidateId || "").trim();
-  const keys = [];
-  if (normalizedCandidateId) {
-    keys.push(`candidate:${normalizedCandidateId}`);
-  }
-  const hintedContext = normalizedCandidateId
-    ? {
-        ...baseContext,
-        gemCandidateId: normalizedCandidateId
-      }
-    : baseContext;
-  const hintedKey = getCustomFieldContextKey(hintedContext);
-  if (hintedKey) {
-    keys.push(hintedKey);
-  }
-  const baseKey = getCustomFieldContextKey(baseContext);
-  if (baseKey) {
-    keys.push(baseKey);
+function showAshbyUploadResultCard(url, message = "") {
+  const container = ensureToastContainer();
+  const card = document.createElement("div");
+  card.style.background = "#ffffff";
+  card.style.color = "#1f2328";
+  card.style.padding = "10px 12px";
+  card.style.borderRadius = "8px";
+  card.style.fontSize = "13px";
+  card.style.fontFamily = "-apple-system,BlinkMacSystemFont,Segoe UI,Arial,sans-serif";
+  card.style.boxShadow = "0 6px 18px rgba(0,0,0,0.2)";
+  card.style.maxWidth = "360px";
+  card.style.border = "1px solid #d4dae3";
+
+  const title = document.createElement("div");
+  title.style.fontWeight = "600";
+  title.style.marginBottom = "6px";
+  title.textContent = message || "Candidate uploaded to Ashby.";
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.target = "_blank";
+  link.rel = "noreferrer noopener";
+  link.textContent = url;
+  link.style.display = "block";
+  link.style.wordBreak = "break-all";
+  link.style.marginBottom = "8px";
+  link.style.color = "#0b57d0";
+
+  const hint = document.createElement("div");
+  hint.style.fontSize = "12px";
+  hint.style.color = "#5b6168";
+  hint.textContent = "Press O or Enter to open Ashby profile.";
+
+  card.appendChild(title);
+  card.appendChild(link);
+  card.appendChild(hint);
+  container.appendChild(card);
+
+  function openLink() {
+    window.open(url, "_blank", "noopener,noreferrer");
   }
-  return Array.from(new Set(keys.filter(Boolean)));
-}
 
-function pruneOptimisticGemStatusCache() {
-  const now = Date.now();
-  for (const [key, entry] of optimisticGemStatusCache.entries()) {
-    if (!entry || Number(entry.expiresAt || 0) <= now) {
-      optimisticGemStatusCache.delete(key);
+  const onKeyDown = (event) => {
+    if (event.key === "Enter" || String(event.key || "").trim().toLowerCase() === "o") {
+      event.preventDefault();
+      openLink();
     }
-  }
-}
+  };
+  window.addEventListener("keydown", onKeyDown, true);
 
-function rememberOptimisticGemStatusSelection(context, selection, candidateId = "") {
-  if (!isStatusFieldLike(selection?.customFieldName || selection?.name || "")) {
-    return null;
-  }
-  const normalizedCandidateId = String(candidateId || selection?.candidateId || context?.gemCandidateId || "").trim();
-  const labels = normalizeCustomFieldSelectionLabels(selection);
-  const now = Date.now();
-  const entry = {
-    candidateId: normalizedCandidateId,
-    customFieldId: String(selection?.customFieldId || selection?.id || "").trim() || "gls-optimistic-status",
-    customFieldName: String(selection?.customFieldName || selection?.name || "Status").trim() || "Status",
-    customFieldValue: selection?.customFieldValue,
-    customFieldValueLabels: labels,
-    customFieldOptionId: String(selection?.customFieldOptionId || "").trim(),
-    customFieldOptionIds: Array.isArray(selection?.customFieldOptionIds)
-      ? selection.customFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
-      : [],
-    customFieldValueType: String(selection?.customFieldValueType || selection?.valueType || "single_select").trim(),
-    appliedAt: now,
-    expiresAt: now + OPTIMISTIC_GEM_STATUS_TTL_MS
+  const removeCard = () => {
+    window.removeEventListener("keydown", onKeyDown, true);
+    card.remove();
   };
-  getOptimisticGemStatusKeys(context, normalizedCandidateId).forEach((key) => {
-    optimisticGemStatusCache.set(key, entry);
-  });
-  pruneOptimisticGemStatusCache();
-  return entry;
-}
 
-function getOptimisticGemStatusSelection(context, candidateId = "") {
-  pruneOptimisticGemStatusCache();
-  for (const key of getOptimisticGemStatusKeys(context, candidateId)) {
-    const entry = optimisticGemStatusCache.get(key);
-    if (!entry) {
-      continue;
-    }
-    if (Number(entry.expiresAt || 0) <= Date.now()) {
-      optimisticGemStatusCache.delete(key);
-      continue;
+  card.addEventListener("click", (event) => {
+    const target = event.target;
+    if (target && target.tagName === "A") {
+      return;
     }
-    return entry;
-  }
-  return null;
-}
+    openLink();
+  });
 
-function clearOptimisticGemStatusSelection(context, candidateId = "") {
-  getOptimisticGemStatusKeys(context, candidateId).forEach((key) => optimisticGemStatusCache.delete(key));
+  setTimeout(removeCard, 12000);
 }
 
-function buildDataWithStatusSelection(customFields, selection) {
-  const normalizedFields = normalizeCustomFieldsForPicker(customFields);
-  const labels = normalizeCustomFieldSelectionLabels(selection);
-  const nextStatusField = {
-    id: String(selection?.customFieldId || selection?.id || "gls-optimistic-status").trim() || "gls-optimistic-status",
-    name: String(selection?.customFieldName || selection?.name || "Status").trim() || "Status",
-    scope: "team",
-    valueType: String(selection?.customFieldValueType || selection?.valueType || "single_select").trim() || "single_select",
-    currentOptionIds: Array.isArray(selection?.customFieldOptionIds)
-      ? selection.customFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
-      : [],
-    currentValueLabels: labels,
-    options: []
-  };
-  let replaced = false;
-  const nextFields = normalizedFields.map((field) => {
-    if (!isStatusFieldLike(field?.name || "")) {
-      return field;
-    }
-    replaced = true;
-    return {
-      ...field,
-      ...nextStatusField,
-      name: nextStatusField.name || field.name || "Status",
-      scope: nextStatusField.scope || field.scope || "team",
-      options: Array.isArray(field.options) ? field.options : []
-    };
+function getSettings() {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: "GET_SETTINGS" }, (response) => {
+      if (chrome.runtime.lastError) {
+        const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+        if (isContextInvalidatedError(msg)) {
+          triggerContextRecovery(msg);
+          reject(new Error("Extension updated. Reloading page."));
+          return;
+        }
+        reject(new Error(msg));
+        return;
+      }
+      if (!response?.ok) {
+        reject(new Error(response?.message || "Could not load settings"));
+        return;
+      }
+      resolve(response.settings);
+    });
   });
-  if (!replaced) {
-    nextFields.push(nextStatusField);
-  }
-  return sortCustomFieldsForPicker(nextFields);
 }
 
-function buildOptimisticGemStatusData(context, selection, candidateId = "") {
-  const normalizedCandidateId = String(candidateId || selection?.candidateId || context?.gemCandidateId || "").trim();
-  const candidateContext = normalizedCandidateId
-    ? {
-        ...(context && typeof context === "object" ? context : {}),
-        gemCandidateId: normalizedCandidateId
+function saveSettings(settings) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: "SAVE_SETTINGS", settings }, (response) => {
+      if (chrome.runtime.lastError) {
+        const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+        if (isContextInvalidatedError(msg)) {
+          triggerContextRecovery(msg);
+          reject(new Error("Extension updated. Reloading page."));
+          return;
+        }
+        reject(new Error(msg));
+        return;
       }
-    : context;
-  const existingEntry = getCustomFieldMemoryEntry(candidateContext).entry || getCustomFieldMemoryEntry(context).entry;
-  const customFields = buildDataWithStatusSelection(existingEntry?.customFields || [], selection);
-  return {
-    candidateId: normalizedCandidateId,
-    customFields,
-    statusLabels: getStatusLabelsFromCustomFieldData({ customFields })
-  };
+      if (!response?.ok) {
+        reject(new Error(response?.message || "Could not save settings"));
+        return;
+      }
+      resolve(response);
+    });
+  });
 }
 
-function mergeOptimisticGemStatusIntoCustomFieldData(context, data, candidateId = "") {
-  const normalizedData = data && typeof data === "object" ? data : {};
-  const resolvedCandidateId = String(
-    candidateId || normalizedData.candidateId || context?.gemCandidateId || ""
-  ).trim();
-  const optimisticEntry = getOptimisticGemStatusSelection(context, resolvedCandidateId);
-  if (!shouldPreferOptimisticGemStatusData(normalizedData, optimisticEntry)) {
-    return normalizedData;
-  }
-  const customFields = buildDataWithStatusSelection(normalizedData.customFields || [], optimisticEntry);
-  return {
-    ...normalizedData,
-    candidateId: resolvedCandidateId || String(normalizedData.candidateId || "").trim(),
-    customFields,
-    statusLabels: getStatusLabelsFromCustomFieldData({ customFields })
-  };
+function runAction(actionId, context) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "RUN_ACTION",
+        actionId,
+        context,
+        meta: {
+          source: context.source || "unknown",
+          runId: context.runId || ""
+        }
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        resolve(response);
+      }
+    );
+  });
 }
 
-function shouldPreferOptimisticGemStatusData(data, optimisticEntry) {
-  if (!optimisticEntry) {
-    return false;
-  }
-  const backendCandidateId = String(data?.candidateId || "").trim();
-  const optimisticCandidateId = String(optimisticEntry.candidateId || "").trim();
-  if (!backendCandidateId) {
-    return true;
-  }
-  if (optimisticCandidateId && backendCandidateId && optimisticCandidateId !== backendCandidateId) {
-    return false;
-  }
-  return !areStatusLabelSetsEqual(
-    getStatusLabelsFromCustomFieldData(data),
-    optimisticEntry.customFieldValueLabels
-  );
+function undoLastAction(runId, targetRunId = "") {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "UNDO_LAST_ACTION",
+        runId: runId || "",
+        targetRunId: targetRunId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not undo the last action."));
+          return;
+        }
+        resolve(response);
+      }
+    );
+  });
 }
 
-function applyOptimisticGemStatusSelection(context, selection, candidateId = "") {
-  const optimisticEntry = rememberOptimisticGemStatusSelection(context, selection, candidateId);
-  if (!optimisticEntry) {
-    return null;
+async function runUndoLastAction(source, runId, targetRunId = "") {
+  try {
+    const response = await undoLastAction(runId, targetRunId);
+    showToast(response.message || "Last action undone.");
+    await logEvent({
+      source: "extension.content",
+      event: "undo.result.success",
+      actionId: ACTIONS.UNDO_LAST_ACTION,
+      runId,
+      message: response.message || "Last action undone.",
+      link: window.location.href,
+      details: { trigger: source, originalRunId: response.originalRunId || "" }
+    });
+    refreshGemStatusIndicator({ context: getProfileContext(), forceRefresh: true, runId }).catch(() => {});
+    return { ok: true, message: response.message || "Last action undone.", runId };
+  } catch (error) {
+    const message = error?.message || "Could not undo the last action.";
+    showToast(message, true);
+    await logEvent({
+      source: "extension.content",
+      level: "error",
+      event: "undo.result.failed",
+      actionId: ACTIONS.UNDO_LAST_ACTION,
+      runId,
+      message,
+      link: window.location.href,
+      details: { trigger: source }
+    });
+    return { ok: false, message, runId };
   }
-  rememberResolvedCandidateIdForContext(context, optimisticEntry.candidateId);
-  const optimisticData = buildOptimisticGemStatusData(context, optimisticEntry, optimisticEntry.candidateId);
-  setCustomFieldMemoryEntry(
-    {
-      ...(context && typeof context === "object" ? context : {}),
-      gemCandidateId: optimisticData.candidateId || String(context?.gemCandidateId || "").trim()
-    },
-    optimisticData
-  );
-  if (isLinkedInProfilePage() && isCurrentGemStatusDisplayEnabled(cachedSettings)) {
-    renderGemStatusIndicator(
+}
+
+function listAshbyApplicationsForContext(context, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
       {
-        ...(context && typeof context === "object" ? context : {}),
-        gemCandidateId: optimisticData.candidateId || String(context?.gemCandidateId || "").trim()
+        type: "LIST_ASHBY_APPLICATIONS_FOR_CONTEXT",
+        context,
+        runId: runId || ""
       },
-      optimisticData
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not load Ashby applications."));
+          return;
+        }
+        resolve({
+          candidate: response.candidate || null,
+          applications: Array.isArray(response.applications) ? response.applications : [],
+          archiveReasons: Array.isArray(response.archiveReasons) ? response.archiveReasons : []
+        });
+      }
     );
-  }
-  return optimisticData;
+  });
 }
 
-function applyCustomFieldSelectionToCustomFields(customFields, selection) {
-  const fields = normalizeCustomFieldsForPicker(customFields);
-  const selectionFieldId = String(selection?.customFieldId || "").trim();
-  if (!selectionFieldId) {
-    return { matched: false, customFields: fields };
-  }
+function previewSequenceForContext(context, sequenceId, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "PREVIEW_SEQUENCE_FOR_CONTEXT",
+        context,
+        sequenceId,
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not load sequence preview."));
+          return;
+        }
+        resolve(response.preview || {});
+      }
+    );
+  });
+}
 
-  let matched = false;
-  const nextFields = fields.map((field) => {
-    if (field.id !== selectionFieldId) {
-      return field;
-    }
-    matched = true;
-    const valueType = String(selection?.customFieldValueType || field.valueType || "").trim().toLowerCase();
-    const optionIds = Array.isArray(selection?.customFieldOptionIds)
-      ? Array.from(
-          new Set(selection.customFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean))
-        )
-      : [];
-    const labels = normalizeCustomFieldSelectionLabels(selection, field);
-
-    if (valueType === "multi_select") {
-      return {
-        ...field,
-        currentOptionIds: optionIds,
-        currentValueLabels: labels
-      };
-    }
-
-    if (valueType === "single_select") {
-      return {
-        ...field,
-        currentOptionIds: optionIds.slice(0, 1),
-        currentValueLabels: labels.slice(0, 1)
-      };
-    }
-
-    return {
-      ...field,
-      currentOptionIds: [],
-      currentValueLabels: labels.slice(0, 1)
-    };
+function listCandidateProjectIdsForContext(context, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "LIST_CANDIDATE_PROJECT_IDS_FOR_CONTEXT",
+        context,
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not load candidate projects"));
+          return;
+        }
+        resolve({
+          candidateId: String(response.candidateId || ""),
+          projectIds: Array.isArray(response.projectIds) ? response.projectIds.map((id) => String(id || "")).filter(Boolean) : []
+        });
+      }
+    );
   });
-
-  return {
-    matched,
-    customFields: sortCustomFieldsForPicker(nextFields)
-  };
 }
 
-function patchCustomFieldMemoryEntry(context, selection, candidateId = "") {
-  const normalizedCandidateId = String(candidateId || selection?.candidateId || context?.gemCandidateId || "").trim();
-  const baseContext = context && typeof context === "object" ? context : {};
-  const candidateContext = normalizedCandidateId
-    ? {
-        ...baseContext,
-        gemCandidateId: normalizedCandidateId
+function listProjectFieldsForProject(projectId, runId, options = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "LIST_PROJECT_FIELDS",
+        projectId: String(projectId || ""),
+        runId: runId || "",
+        forceRefresh: Boolean(options.forceRefresh)
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not load project fields"));
+          return;
+        }
+        resolve({
+          projectId: String(response.projectId || ""),
+          projectName: String(response.projectName || ""),
+          projectFields: Array.isArray(response.projectFields) ? response.projectFields : []
+        });
       }
-    : baseContext;
-  const tryPatchEntry = (entry) => {
-    if (!entry) {
-      return null;
-    }
-    const patchedEntry = applyCustomFieldSelectionToCustomFields(entry.customFields, selection);
-    if (!patchedEntry.matched) {
-      return null;
-    }
-    return {
-      candidateId: String(normalizedCandidateId || entry.candidateId || "").trim(),
-      customFields: patchedEntry.customFields
-    };
-  };
-  const memoryEntry = getCustomFieldMemoryEntry(candidateContext);
-  let nextData = tryPatchEntry(memoryEntry.entry);
-  if (!nextData && candidateContext !== baseContext) {
-    const fallbackEntry = getCustomFieldMemoryEntry(baseContext);
-    nextData = tryPatchEntry(fallbackEntry.entry);
-  }
-  if (!nextData) {
-    return null;
-  }
-  setCustomFieldMemoryEntry(candidateContext, nextData);
-  return nextData;
-}
-
-function getCustomFieldMemoryEntry(context) {
-  const key = getCustomFieldContextKey(context);
-  if (!key) {
-    return { key: "", entry: null, isFresh: false };
-  }
-  const entry = customFieldMemoryCache.get(key) || null;
-  if (!entry) {
-    return { key, entry: null, isFresh: false };
-  }
-  return {
-    key,
-    entry,
-    isFresh: Date.now() - Number(entry.fetchedAt || 0) <= CUSTOM_FIELD_MEMORY_TTL_MS
-  };
-}
-
-function setCustomFieldMemoryEntry(context, data) {
-  const normalizedFields = normalizeCustomFieldsForPicker(data);
-  const baseContext = context && typeof context === "object" ? context : {};
-  const candidateId = String(data?.candidateId || baseContext.gemCandidateId || "").trim();
-  const candidateContext = candidateId
-    ? { ...baseContext, gemCandidateId: candidateId }
-    : baseContext;
-  const contextsToPersist = [baseContext];
-  if (candidateId) {
-    contextsToPersist.push(candidateContext);
-    if (isLinkedInProfilePage()) {
-      contextsToPersist.push(getProfileContext());
-    }
-  }
-
-  const writtenKeys = new Set();
-  contextsToPersist.forEach((entryContext) => {
-    const key = getCustomFieldContextKey(entryContext);
-    if (!key || writtenKeys.has(key)) {
-      return;
-    }
-    writtenKeys.add(key);
-    customFieldMemoryCache.delete(key);
-    customFieldMemoryCache.set(key, {
-      fetchedAt: Date.now(),
-      candidateId,
-      customFields: normalizedFields
-    });
+    );
   });
-
-  if (writtenKeys.size === 0) {
-    return;
-  }
-
-  if (candidateId && isLinkedInProfilePage()) {
-    rememberGemCandidateIdForCurrentLinkedInPage(candidateId);
-  }
-
-  while (customFieldMemoryCache.size > CUSTOM_FIELD_MEMORY_CACHE_LIMIT) {
-    const oldestKey = customFieldMemoryCache.keys().next().value;
-    if (!oldestKey) {
-      break;
-    }
-    customFieldMemoryCache.delete(oldestKey);
-  }
-}
-
-function getLiveCustomFieldContextKey() {
-  return getCustomFieldContextKey(applyGemCandidateHintToContext(getProfileContext()));
-}
-
-function shouldRenderUpdatedCustomFieldContext(context) {
-  return getLiveCustomFieldContextKey() === getCustomFieldContextKey(applyGemCandidateHintToContext(context));
 }
 
-function rememberResolvedCandidateIdForContext(context, candidateId = "") {
-  const normalizedCandidateId = String(candidateId || "").trim();
-  if (!normalizedCandidateId || !isLinkedInProfilePage()) {
-    return;
-  }
-  rememberGemCandidateIdForCurrentLinkedInPage(normalizedCandidateId);
-  const liveContext = getProfileContext();
-  const liveKey = getCustomFieldContextKey(applyGemCandidateHintToContext(liveContext));
-  const targetKey = getCustomFieldContextKey({
-    ...(context && typeof context === "object" ? context : {}),
-    gemCandidateId: normalizedCandidateId
-  });
-  if (liveKey && targetKey && liveKey !== targetKey) {
-    setCustomFieldMemoryEntry(
+function listProjects(query, runId, options = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
       {
-        ...(context && typeof context === "object" ? context : {}),
-        gemCandidateId: normalizedCandidateId
+        type: "LIST_PROJECTS",
+        query: String(query || ""),
+        limit: 0,
+        runId: runId || "",
+        forceRefresh: Boolean(options.forceRefresh),
+        preferCache: Boolean(options.preferCache),
+        forceNewRefresh: Boolean(options.forceNewRefresh)
       },
-      getCustomFieldMemoryEntry(context).entry || { candidateId: normalizedCandidateId, customFields: [] }
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          if (isContextInvalidatedResponse(response)) {
+            triggerContextRecovery(response?.message || "Extension context invalidated.");
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(response?.message || "Could not load projects"));
+          return;
+        }
+        const projects = normalizeProjectsForPicker(response.projects);
+        setProjectMemoryProjects(projects);
+        resolve(projects);
+      }
     );
-  }
+  });
 }
 
-function warmCustomFieldsForContext(context, runId, options = {}) {
-  const baseKey = getCustomFieldContextKey(context);
-  if (!baseKey) {
-    return Promise.resolve(null);
-  }
-  const allowCreate = options.allowCreate !== false;
-  const allowEmptyCandidateCache = Boolean(options.allowEmptyCandidateCache);
-  const key = `${baseKey}|${allowCreate ? "create" : "nocreate"}|${allowEmptyCandidateCache ? "allow-empty" : "candidate-only"}`;
-  if (!options.forceRefresh) {
-    const existingPromise = customFieldWarmPromises.get(key);
-    if (existingPromise) {
-      return existingPromise;
-    }
-  }
-
-  const promise = listCustomFieldsForContext(context, runId, {
-    preferCache: options.preferCache !== false,
-    refreshInBackground: options.refreshInBackground !== false,
-    forceRefresh: Boolean(options.forceRefresh),
-    allowCreate,
-    allowEmptyCandidateCache
-  })
-    .then((data) => {
-      setCustomFieldMemoryEntry(context, data);
-      return data;
-    })
-    .finally(() => {
-      if (customFieldWarmPromises.get(key) === promise) {
-        customFieldWarmPromises.delete(key);
+function listAshbyJobs(query, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "LIST_ASHBY_JOBS",
+        query: String(query || ""),
+        limit: 0,
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          if (isContextInvalidatedResponse(response)) {
+            triggerContextRecovery(response?.message || "Extension context invalidated.");
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(response?.message || "Could not load Ashby jobs"));
+          return;
+        }
+        resolve(Array.isArray(response.jobs) ? response.jobs : []);
       }
-    });
-
-  customFieldWarmPromises.set(key, promise);
-  return promise;
+    );
+  });
 }
 
-function createGemStatusIndicatorStyles() {
-  if (document.getElementById("gls-gem-status-style")) {
-    return;
-  }
-  const style = document.createElement("style");
-  style.id = "gls-gem-status-style";
-  style.textContent = `
-    #gls-gem-status-signal {
-      position: fixed;
-      inset: 0;
-      pointer-events: none;
-      z-index: 2147483000;
-      --gls-status-banner-gap: 14px;
-      --gls-status-card-top: 74px;
-      --gls-status-accent: #ff5f67;
-      --gls-status-secondary: #ffb4bc;
-      --gls-status-accent-soft: rgba(255, 95, 103, 0.72);
-      --gls-status-secondary-soft: rgba(255, 180, 188, 0.64);
-      --gls-status-outline: rgba(255, 95, 103, 0.72);
-      --gls-status-surface: rgba(21, 23, 30, 0.98);
-      --gls-status-surface-top: rgba(255, 255, 255, 0.12);
-      --gls-status-shadow: rgba(145, 18, 32, 0.36);
-      --gls-status-text: #fff5f6;
-      --gls-status-frame-opacity: 1;
-    }
-    #gls-gem-status-signal[hidden] {
-      display: none !important;
-    }
-    .gls-gem-status-card {
-      position: fixed;
-      top: var(--gls-status-card-top);
-      left: var(--gls-status-banner-gap);
-      z-index: 1;
-      transform: none;
-      max-width: min(460px, calc(100vw - (var(--gls-status-banner-gap) * 2)));
-      padding: 7px 12px;
-      border-radius: 12px;
-      border: 1px solid rgba(255, 255, 255, 0.26);
-      background:
-        linear-gradient(
-          98deg,
-          var(--gls-status-accent) 0,
-          rgba(14, 16, 21, 0.985) 18%,
-          rgba(14, 16, 21, 0.985) 82%,
-          var(--gls-status-secondary) 100%
-        ),
-        var(--gls-status-surface);
-      color: var(--gls-status-text);
-      text-align: left;
-      box-shadow:
-        inset 0 1px 0 rgba(255, 255, 255, 0.2),
-        inset 0 -1px 0 rgba(255, 255, 255, 0.1),
-        0 8px 18px var(--gls-status-shadow),
-        0 0 0 1px rgba(255, 255, 255, 0.12),
-        0 0 28px var(--gls-status-accent),
-        0 0 40px var(--gls-status-secondary);
-      backdrop-filter: none;
-      -webkit-backdrop-filter: none;
-    }
-    .gls-gem-status-card::before {
-      content: none;
-    }
-    .gls-gem-status-card::after {
-      content: none;
-    }
-    .gls-gem-status-label {
-      display: none;
-    }
-    .gls-gem-status-value {
-      max-width: 100%;
-      font-size: clamp(15px, 1vw, 19px);
-      line-height: 1.14;
-      font-weight: 730;
-      letter-spacing: -0.007em;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
-      text-shadow:
-        0 0 10px var(--gls-status-accent-soft),
-        0 0 14px var(--gls-status-secondary-soft);
-    }
-    .gls-gem-status-meta {
-      display: none;
-    }
-    @media (max-width: 900px) {
-      .gls-gem-status-card {
-        max-width: min(360px, calc(100vw - (var(--gls-status-banner-gap) * 2)));
-        padding: 6px 10px;
-      }
-      .gls-gem-status-value {
-        font-size: clamp(13px, 3.5vw, 16px);
+function createGemProject(name, description, privacyType, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "CREATE_GEM_PROJECT",
+        name: String(name || "").trim(),
+        description: String(description || "").trim(),
+        privacyType: String(privacyType || "").trim(),
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not create project"));
+          return;
+        }
+        const project = normalizeProjectForPicker(response.project);
+        if (project) {
+          upsertProjectMemoryProject(project);
+        }
+        resolve({
+          message: String(response.message || ""),
+          project: project || (response.project && typeof response.project === "object" ? response.project : {})
+        });
       }
-    }
-  `;
-  document.documentElement.appendChild(style);
+    );
+  });
 }
 
-function getLinkedInHeaderBounds() {
-  const candidates = [];
-  const selectors = ["#global-nav", ".global-nav", "header.global-nav", "header[role='banner']"];
-  selectors.forEach((selector) => {
-    document.querySelectorAll(selector).forEach((element) => {
-      if (!element || typeof element.getBoundingClientRect !== "function") {
-        return;
-      }
-      const rect = element.getBoundingClientRect();
-      if (rect.height <= 0 || rect.bottom <= 0) {
-        return;
-      }
-      const style = window.getComputedStyle(element);
-      if (style.display === "none" || style.visibility === "hidden") {
-        return;
-      }
-      const position = String(style.position || "").toLowerCase();
-      if (position === "fixed" || position === "sticky" || rect.top <= 8) {
-        candidates.push({ top: rect.top, bottom: rect.bottom });
+function searchGemPeople(query, runId, limit = GEM_ACTION_PEOPLE_SEARCH_LIMIT) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "SEARCH_GEM_PEOPLE",
+        query: String(query || ""),
+        runId: runId || "",
+        limit
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not search candidates"));
+          return;
+        }
+        resolve(Array.isArray(response.candidates) ? response.candidates : []);
       }
-    });
+    );
   });
-  if (candidates.length === 0) {
-    return { top: 0, bottom: 56 };
-  }
-  const minTop = Math.min(...candidates.map((candidate) => candidate.top));
-  const maxBottom = Math.max(...candidates.map((candidate) => candidate.bottom));
-  return {
-    top: Math.max(0, Math.min(60, Math.round(minTop))),
-    bottom: Math.max(44, Math.min(180, Math.round(maxBottom)))
-  };
-}
-
-function applyGemStatusLayout() {
-  if (!gemStatusIndicatorElements?.root) {
-    return;
-  }
-  const gap = window.innerWidth <= 900 ? 8 : 10;
-  const headerBounds = getLinkedInHeaderBounds();
-  const cardTop = headerBounds.top + gap;
-  gemStatusIndicatorElements.root.style.setProperty("--gls-status-banner-gap", `${gap}px`);
-  gemStatusIndicatorElements.root.style.setProperty("--gls-status-card-top", `${cardTop}px`);
 }
 
-function ensureGemStatusIndicatorElements() {
-  if (gemStatusIndicatorElements?.root?.isConnected) {
-    return gemStatusIndicatorElements;
-  }
-  createGemStatusIndicatorStyles();
-  const root = document.createElement("div");
-  root.id = "gls-gem-status-signal";
-  root.hidden = true;
-
-  const card = document.createElement("div");
-  card.className = "gls-gem-status-card";
-  card.setAttribute("role", "status");
-  card.setAttribute("aria-live", "polite");
-
-  const value = document.createElement("div");
-  value.className = "gls-gem-status-value";
-
-  card.appendChild(value);
-  root.appendChild(card);
-
-  (document.body || document.documentElement).appendChild(root);
-  gemStatusIndicatorElements = { root, card, value };
-  if (!gemStatusLayoutWatcherBound) {
-    gemStatusLayoutWatcherBound = true;
-    window.addEventListener(
-      "resize",
-      () => {
-        if (!gemStatusIndicatorElements?.root || gemStatusIndicatorElements.root.hidden) {
+function openGemNavigation(url, runId, options = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "OPEN_GEM_NAVIGATION",
+        url: String(url || "").trim(),
+        runId: runId || "",
+        actionId: options.actionId || ACTIONS.GEM_ACTIONS,
+        openInBackground: Boolean(options.openInBackground)
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
           return;
         }
-        applyGemStatusLayout();
-      },
-      { passive: true }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not open Gem link"));
+          return;
+        }
+        resolve(response);
+      }
     );
-  }
-  return gemStatusIndicatorElements;
+  });
 }
 
-function hideGemStatusIndicator() {
-  if (!gemStatusIndicatorElements?.root) {
-    return;
-  }
-  gemStatusIndicatorElements.root.hidden = true;
+function addCandidatesToProjectBatch(projectId, projectName, contexts, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "ADD_CANDIDATES_TO_PROJECT_BATCH",
+        projectId: String(projectId || "").trim(),
+        projectName: String(projectName || "").trim(),
+        contexts: Array.isArray(contexts) ? contexts : [],
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not add candidates to project"));
+          return;
+        }
+        resolve(Array.isArray(response.results) ? response.results : []);
+      }
+    );
+  });
 }
 
-function clearGemStatusBootstrapTimers() {
-  if (!Array.isArray(gemStatusBootstrapTimerIds) || gemStatusBootstrapTimerIds.length === 0) {
-    return;
-  }
-  gemStatusBootstrapTimerIds.forEach((timerId) => window.clearTimeout(timerId));
-  gemStatusBootstrapTimerIds = [];
+function addGmailParticipantsToProject(context, projectId, projectName, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "ADD_GMAIL_PARTICIPANTS_TO_PROJECT",
+        context,
+        projectId: String(projectId || "").trim(),
+        projectName: String(projectName || "").trim(),
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not add thread participants to project"));
+          return;
+        }
+        resolve(Array.isArray(response.results) ? response.results : []);
+      }
+    );
+  });
 }
 
-function scheduleGemStatusLiveRefresh(delayMs = 0) {
-  gemStatusLiveRefreshNextAtMs = Date.now() + Math.max(0, Number(delayMs) || 0);
+function listCandidateEventsForContext(context, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "LIST_CANDIDATE_EVENTS_FOR_CONTEXT",
+        context,
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not load candidate timeline"));
+          return;
+        }
+        resolve({
+          candidateId: String(response.candidateId || ""),
+          entries: Array.isArray(response.entries) ? response.entries : [],
+          failedSources: Array.isArray(response.failedSources) ? response.failedSources : []
+        });
+      }
+    );
+  });
 }
 
-function getGemStatusLiveRefreshIntervalMs() {
-  return document.visibilityState === "visible"
-    ? GEM_STATUS_LIVE_REFRESH_VISIBLE_MS
-    : GEM_STATUS_LIVE_REFRESH_HIDDEN_MS;
+function listGemUsers(runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "LIST_GEM_USERS",
+        pageSize: 100,
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not load Gem users"));
+          return;
+        }
+        resolve(Array.isArray(response.users) ? response.users : []);
+      }
+    );
+  });
 }
 
-function scheduleGemStatusBootstrapRefreshes(contextHint = null, options = {}) {
-  clearGemStatusBootstrapTimers();
-  const settings = cachedSettings;
-  if (!settings?.enabled || !isCurrentGemStatusDisplayEnabled(settings) || !isLinkedInProfilePage()) {
-    return;
-  }
-  const hintedContextKey = getCustomFieldContextKey(contextHint);
-  const forceRefresh = Boolean(options.forceRefresh);
-  const requestedDelayMs = Number(options.delayMs);
-  const hasResolvableIdentity = contextHasResolvedLinkedInStatusIdentity(contextHint || getProfileContext());
-  const delayMs = Number.isFinite(requestedDelayMs)
-    ? Math.max(0, requestedDelayMs)
-    : hasResolvableIdentity
-      ? LINKEDIN_PAGE_CHANGE_REFRESH_DELAY_MS
-      : LINKEDIN_PAGE_CHANGE_IDENTITY_RETRY_DELAY_MS;
-  const timerId = window.setTimeout(() => {
-    const liveSettings = cachedSettings;
-    if (!liveSettings?.enabled || !isCurrentGemStatusDisplayEnabled(liveSettings) || !isLinkedInProfilePage()) {
-      return;
-    }
-    const liveContext = getProfileContext();
-    const liveContextKey = getCustomFieldContextKey(liveContext);
-    const effectiveContext = hintedContextKey && hintedContextKey === liveContextKey ? contextHint : liveContext;
-    refreshGemStatusIndicator({
-      context: effectiveContext,
-      runId: generateRunId(),
-      forceRefresh
-    }).catch(() => {});
-  }, delayMs);
-  gemStatusBootstrapTimerIds.push(timerId);
+function listCandidateNotesForContext(context, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "LIST_CANDIDATE_NOTES_FOR_CONTEXT",
+        context,
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not load candidate notes"));
+          return;
+        }
+        resolve({
+          candidateId: String(response.candidateId || ""),
+          notes: Array.isArray(response.notes) ? response.notes : []
+        });
+      }
+    );
+  });
 }
 
-function scheduleLinkedInStatusRetry(contextHint = null, options = {}) {
-  const context = contextHint && typeof contextHint === "object" ? contextHint : getProfileContext();
-  const contextKey = getCustomFieldContextKey(context);
-  if (!contextKey) {
-    return false;
-  }
-  if (linkedInStatusRetryContextKey !== contextKey) {
-    linkedInStatusRetryContextKey = contextKey;
-    linkedInStatusRetryCount = 0;
-  }
-  const retryDelayMs = LINKEDIN_STATUS_RETRY_DELAYS_MS[linkedInStatusRetryCount];
-  if (!Number.isFinite(retryDelayMs)) {
-    return false;
-  }
-  linkedInStatusRetryCount += 1;
-  scheduleGemStatusBootstrapRefreshes(context, {
-    delayMs: Number.isFinite(Number(options.delayMs))
-      ? Math.max(0, Number(options.delayMs))
-      : retryDelayMs,
-    forceRefresh: options.forceRefresh !== false
+function deleteCandidateNote(context, candidateId, noteId, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "DELETE_CANDIDATE_NOTE",
+        context,
+        candidateId,
+        noteId,
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not delete note"));
+          return;
+        }
+        resolve({ noteId: String(response.noteId || noteId) });
+      }
+    );
   });
-  return true;
 }
 
-function maybeRefreshGemStatusLive(options = {}) {
-  if (!cachedSettings) {
-    return;
-  }
-  const settings = cachedSettings;
-  if (!settings.enabled || !isCurrentGemStatusDisplayEnabled(settings) || !isLinkedInProfilePage()) {
-    return;
-  }
-  const force = Boolean(options.force);
-  if (!force && gemStatusLiveRefreshNextAtMs && Date.now() < gemStatusLiveRefreshNextAtMs) {
-    return;
-  }
-  if (gemStatusLiveRefreshInFlight) {
-    return;
-  }
-  const context = applyGemCandidateHintToContext(options.context || getProfileContext());
-  if (!contextHasResolvedLinkedInStatusIdentity(context)) {
-    refreshProfileIdentityFromDom({ force: true });
-    scheduleGemStatusLiveRefresh(LINKEDIN_PAGE_CHANGE_IDENTITY_RETRY_DELAY_MS);
-    return;
-  }
+function listCustomFieldsForContext(context, runId, options = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "LIST_CUSTOM_FIELDS_FOR_CONTEXT",
+        context,
+        runId: runId || "",
+        preferCache: Boolean(options.preferCache),
+        refreshInBackground: options.refreshInBackground !== false,
+        forceRefresh: Boolean(options.forceRefresh),
+        allowCreate: options.allowCreate !== false,
+        allowEmptyCandidateCache: Boolean(options.allowEmptyCandidateCache)
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not load custom fields"));
+          return;
+        }
+        const payload = mergeOptimisticGemStatusIntoCustomFieldData(
+          context,
+          {
+            candidateId: response.candidateId || "",
+            customFields: Array.isArray(response.customFields) ? response.customFields : [],
+            statusLabels: Array.isArray(response.statusLabels) ? response.statusLabels : []
+          },
+          response.candidateId || ""
+        );
+        resolve({
+          candidateId: payload.candidateId || "",
+          customFields: Array.isArray(payload.customFields) ? payload.customFields : [],
+          statusLabels: Array.isArray(payload.statusLabels) ? payload.statusLabels : [],
+          fromCache: Boolean(response.fromCache),
+          stale: Boolean(response.stale)
+        });
+      }
+    );
+  });
+}
 
-  gemStatusLiveRefreshInFlight = true;
-  refreshGemStatusIndicator({
-    context,
-    runId: options.runId || generateRunId(),
-    forceRefresh: Boolean(options.forceRefresh)
-  })
-    .then(() => {
-      gemStatusLiveRefreshFailureStreak = 0;
-    })
-    .catch(() => {
-      gemStatusLiveRefreshFailureStreak = Math.min(gemStatusLiveRefreshFailureStreak + 1, 6);
-    })
-    .finally(() => {
-      gemStatusLiveRefreshInFlight = false;
-      scheduleGemStatusLiveRefresh(getGemStatusLiveRefreshIntervalMs());
+function createCustomFieldOption(customFieldId, value, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "CREATE_CUSTOM_FIELD_OPTION",
+        customFieldId,
+        value,
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not create custom field option"));
+          return;
+        }
+        resolve({
+          option: {
+            id: String(response.option?.id || ""),
+            value: String(response.option?.value || value || "")
+          },
+          created: response.created !== false
+        });
+      }
+    );
+  });
+}
+
+function listCandidateEmailsForContext(context, runId, options = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "LIST_CANDIDATE_EMAILS_FOR_CONTEXT",
+        context,
+        runId: runId || "",
+        preferCache: Boolean(options.preferCache),
+        refreshInBackground: options.refreshInBackground !== false,
+        forceRefresh: Boolean(options.forceRefresh),
+        allowCreate: options.allowCreate !== false
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not load candidate emails"));
+          return;
+        }
+        resolve({
+          candidateId: String(response.candidateId || ""),
+          emails: normalizeCandidateEmailsForPicker(response.emails),
+          primaryEmail: normalizeEmailAddressForPicker(response.primaryEmail || getPrimaryEmailForPicker(response.emails)),
+          fromCache: Boolean(response.fromCache),
+          stale: Boolean(response.stale)
+        });
+      }
+    );
+  });
+}
+
+function addCandidateEmailForContext(context, email, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "ADD_CANDIDATE_EMAIL_FOR_CONTEXT",
+        context,
+        email: normalizeEmailAddressForPicker(email),
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not add email"));
+          return;
+        }
+        resolve({
+          candidateId: String(response.candidateId || ""),
+          emails: normalizeCandidateEmailsForPicker(response.emails),
+          primaryEmail: normalizeEmailAddressForPicker(response.primaryEmail || getPrimaryEmailForPicker(response.emails))
+        });
+      }
+    );
+  });
+}
+
+function setPrimaryCandidateEmailForContext(context, email, runId) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "SET_PRIMARY_CANDIDATE_EMAIL_FOR_CONTEXT",
+        context,
+        email: normalizeEmailAddressForPicker(email),
+        runId: runId || ""
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          reject(new Error(response?.message || "Could not update primary email"));
+          return;
+        }
+        resolve({
+          candidateId: String(response.candidateId || ""),
+          emails: normalizeCandidateEmailsForPicker(response.emails),
+          primaryEmail: normalizeEmailAddressForPicker(response.primaryEmail || getPrimaryEmailForPicker(response.emails))
+        });
+      }
+    );
+  });
+}
+
+function sendCandidatePhoneMessage(message, fallbackError) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+        if (isContextInvalidatedError(msg)) {
+          triggerContextRecovery(msg);
+          reject(new Error("Extension updated. Reloading page."));
+          return;
+        }
+        reject(new Error(msg));
+        return;
+      }
+      if (!response?.ok) {
+        reject(new Error(response?.message || fallbackError));
+        return;
+      }
+      const phones = normalizeCandidatePhonesForPicker(response.phones);
+      resolve({
+        candidateId: String(response.candidateId || ""),
+        phones,
+        primaryPhone: normalizePhoneNumberForPicker(
+          response.primaryPhone || phones.find((entry) => entry.isPrimary)?.phoneNumber
+        )
+      });
     });
+  });
 }
 
-function resetGemStatusIndicator() {
-  gemStatusIndicatorRequestId += 1;
-  hideGemStatusIndicator();
-  clearGemStatusBootstrapTimers();
-  pruneOptimisticGemStatusCache();
-  if (linkedInPageChangeTimerId) {
-    window.clearTimeout(linkedInPageChangeTimerId);
-    linkedInPageChangeTimerId = 0;
-  }
-  gemStatusLiveRefreshInFlight = false;
-  gemStatusLiveRefreshNextAtMs = 0;
-  gemStatusLiveRefreshFailureStreak = 0;
-  gemStatusRefreshInFlightPromise = null;
-  gemStatusRefreshInFlightContextKey = "";
-  gemStatusRefreshInFlightForce = false;
-  linkedInStatusRetryCount = 0;
-  linkedInStatusRetryContextKey = "";
+function listCandidatePhonesForContext(context, runId, options = {}) {
+  return sendCandidatePhoneMessage(
+    {
+      type: "LIST_CANDIDATE_PHONES_FOR_CONTEXT",
+      context,
+      allowCreate: options.allowCreate !== false,
+      runId: runId || ""
+    },
+    "Could not load phone numbers"
+  );
 }
 
-function getGemStatusPalette(statusText, hasValue) {
-  const normalized = normalizeStatusTextToken(statusText);
-  const matchKey = normalizeStatusMatchKey(statusText);
-  if (!hasValue) {
-    return {
-      tone: "neutral",
-      accent: "#96a3b8",
-      accentSecondary: "#d6deea",
-      accentSoft: "rgba(150, 163, 184, 0.16)",
-      accentSecondarySoft: "rgba(214, 222, 234, 0.14)",
-      outline: "rgba(198, 209, 226, 0.46)",
-      surface: "rgba(28, 34, 44, 0.8)",
-      surfaceTop: "rgba(255, 255, 255, 0.08)",
-      shadow: "rgba(15, 23, 42, 0.18)",
-      text: "#f8fafc",
-      frameOpacity: "0.76"
-    };
-  }
-  const exactPaletteByStatus = {
-    "reviewed accepted": {
-      tone: "reviewed-accepted",
-      accent: "#2fd07f",
-      accentSecondary: "#9af2c7",
-      accentSoft: "rgba(47, 208, 127, 0.22)",
-      accentSecondarySoft: "rgba(154, 242, 199, 0.16)",
-      outline: "rgba(120, 236, 178, 0.62)",
-      surface: "rgba(12, 43, 29, 0.8)",
-      surfaceTop: "rgba(255, 255, 255, 0.12)",
-      shadow: "rgba(8, 74, 46, 0.34)",
-      text: "#effff7",
-      frameOpacity: "0.96"
-    },
-    "reviewed rejected": {
-      tone: "reviewed-rejected",
-      accent: "#ff5e74",
-      accentSecondary: "#ffb0ba",
-      accentSoft: "rgba(255, 94, 116, 0.24)",
-      accentSecondarySoft: "rgba(255, 176, 186, 0.16)",
-      outline: "rgba(255, 128, 147, 0.66)",
-      surface: "rgba(52, 16, 27, 0.82)",
-      surfaceTop: "rgba(255, 255, 255, 0.12)",
-      shadow: "rgba(122, 19, 42, 0.36)",
-      text: "#fff4f6",
-      frameOpacity: "0.97"
-    },
-    "applied in review": {
-      tone: "applied-in-review",
-      accent: "#8b96ad",
-      accentSecondary: "#d8deea",
-      accentSoft: "rgba(139, 150, 173, 0.2)",
-      accentSecondarySoft: "rgba(216, 222, 234, 0.16)",
-      outline: "rgba(196, 205, 223, 0.56)",
-      surface: "rgba(31, 37, 48, 0.82)",
-      surfaceTop: "rgba(255, 255, 255, 0.12)",
-      shadow: "rgba(16, 22, 34, 0.34)",
-      text: "#f6f8fc",
-      frameOpacity: "0.93"
-    },
-    hired: {
-      tone: "hired",
-      accent: "#98a2b8",
-      accentSecondary: "#33d17f",
-      accentSoft: "rgba(152, 162, 184, 0.18)",
-      accentSecondarySoft: "rgba(51, 209, 127, 0.2)",
-      outline: "rgba(171, 224, 197, 0.56)",
-      surface: "rgba(27, 35, 39, 0.82)",
-      surfaceTop: "rgba(255, 255, 255, 0.12)",
-      shadow: "rgba(9, 44, 28, 0.34)",
-      text: "#f1fff7",
-      frameOpacity: "0.96"
-    },
-    interviewing: {
-      tone: "interviewing",
-      accent: "#98a2b8",
-      accentSecondary: "#49a6ff",
-      accentSoft: "rgba(152, 162, 184, 0.18)",
-      accentSecondarySoft: "rgba(73, 166, 255, 0.22)",
-      outline: "rgba(151, 201, 245, 0.56)",
-      surface: "rgba(25, 33, 45, 0.82)",
-      surfaceTop: "rgba(255, 255, 255, 0.12)",
-      shadow: "rgba(11, 48, 94, 0.34)",
-      text: "#f2f9ff",
-      frameOpacity: "0.95"
+function addCandidatePhoneForContext(context, phone, runId) {
+  return sendCandidatePhoneMessage(
+    {
+      type: "ADD_CANDIDATE_PHONE_FOR_CONTEXT",
+      context,
+      phone: normalizePhoneNumberForPicker(phone),
+      runId: runId || ""
     },
-    "rejected us": {
-      tone: "rejected-us",
-      accent: "#98a2b8",
-      accentSecondary: "#ffaf4f",
-      accentSoft: "rgba(152, 162, 184, 0.18)",
-      accentSecondarySoft: "rgba(255, 175, 79, 0.22)",
-      outline: "rgba(240, 190, 129, 0.56)",
-      surface: "rgba(39, 32, 23, 0.82)",
-      surfaceTop: "rgba(255, 255, 255, 0.12)",
-      shadow: "rgba(117, 72, 17, 0.34)",
-      text: "#fff9f2",
-      frameOpacity: "0.95"
+    "Could not add phone number"
+  );
+}
+
+function setPrimaryCandidatePhoneForContext(context, phone, runId) {
+  return sendCandidatePhoneMessage(
+    {
+      type: "SET_PRIMARY_CANDIDATE_PHONE_FOR_CONTEXT",
+      context,
+      phone: normalizePhoneNumberForPicker(phone),
+      runId: runId || ""
     },
-    "we rejected": {
-      tone: "we-rejected",
-      accent: "#98a2b8",
-      accentSecondary: "#ff6678",
-      accentSoft: "rgba(152, 162, 184, 0.18)",
-      accentSecondarySoft: "rgba(255, 102, 120, 0.22)",
-      outline: "rgba(238, 151, 164, 0.56)",
-      surface: "rgba(45, 24, 31, 0.82)",
-      surfaceTop: "rgba(255, 255, 255, 0.12)",
-      shadow: "rgba(122, 24, 44, 0.34)",
-      text: "#fff5f7",
-      frameOpacity: "0.96"
-    }
-  };
-  if (exactPaletteByStatus[matchKey]) {
-    return exactPaletteByStatus[matchKey];
+    "Could not update primary phone number"
+  );
+}
+
+function getCustomFieldContextKey(context) {
+  const gemCandidateId = String(context?.gemCandidateId || "").trim();
+  if (gemCandidateId) {
+    return `candidate:${gemCandidateId}`;
   }
-  if (/(^|[^a-z])(dnc|do not contact|do-not-contact|don't contact|dont contact|no contact|opt out|opt-out|unsubscribe|blocked|blacklist)([^a-z]|$)/.test(normalized)) {
-    return {
-      tone: "danger",
-      accent: "#ff5f67",
-      accentSecondary: "#ffb7bf",
-      accentSoft: "rgba(255, 95, 103, 0.24)",
-      accentSecondarySoft: "rgba(255, 183, 191, 0.16)",
-      outline: "rgba(255, 95, 103, 0.76)",
-      surface: "rgba(86, 12, 22, 0.82)",
-      surfaceTop: "rgba(255, 255, 255, 0.12)",
-      shadow: "rgba(145, 18, 32, 0.36)",
-      text: "#fff5f6",
-      frameOpacity: "1"
-    };
+
+  const handle = String(context?.linkedInHandle || "").trim().toLowerCase();
+  if (handle) {
+    return `handle:${handle}`;
   }
-  if (/(on hold|hold|paused|pause|cooldown|later|nurture|waiting|not now|rejected|rejection|pass)([^a-z]|$)/.test(normalized)) {
-    return {
-      tone: "caution",
-      accent: "#ffb020",
-      accentSecondary: "#ffd28a",
-      accentSoft: "rgba(255, 176, 32, 0.22)",
-      accentSecondarySoft: "rgba(255, 210, 138, 0.16)",
-      outline: "rgba(255, 176, 32, 0.68)",
-      surface: "rgba(73, 44, 2, 0.8)",
-      surfaceTop: "rgba(255, 255, 255, 0.1)",
-      shadow: "rgba(140, 95, 10, 0.28)",
-      text: "#fff9ef",
-      frameOpacity: "0.9"
-    };
+
+  const rawUrl = String(context?.linkedinUrl || "").trim().toLowerCase();
+  if (rawUrl) {
+    try {
+      const parsed = new URL(rawUrl);
+      parsed.search = "";
+      parsed.hash = "";
+      return `url:${parsed.toString().replace(/\/$/, "")}`;
+    } catch (_error) {
+      return `url:${rawUrl.replace(/[?#].*$/, "").replace(/\/$/, "")}`;
+    }
   }
-  if (/(interested|engaged|active process|interview|ready|approved|priority|top target|move forward|moving forward)([^a-z]|$)/.test(normalized)) {
-    return {
-      tone: "positive",
-      accent: "#1fce78",
-      accentSecondary: "#8bf0be",
-      accentSoft: "rgba(31, 206, 120, 0.22)",
-      accentSecondarySoft: "rgba(139, 240, 190, 0.16)",
-      outline: "rgba(31, 206, 120, 0.66)",
-      surface: "rgba(7, 61, 35, 0.8)",
-      surfaceTop: "rgba(255, 255, 255, 0.1)",
-      shadow: "rgba(10, 116, 61, 0.28)",
-      text: "#effff6",
-      frameOpacity: "0.9"
-    };
+
+  const contactEmail =
+    normalizeEmailAddressForPicker(context?.contactEmail || "").toLowerCase() ||
+    normalizeEmailAddressForPicker(Array.isArray(context?.contactEmails) ? context.contactEmails[0] : "").toLowerCase();
+  if (contactEmail && isValidEmailAddressForPicker(contactEmail)) {
+    return `email:${contactEmail}`;
   }
-  if (/(contacted|reached out|outreach|sequence|sequenced|new lead|new|sourced|screen|pipeline|active)([^a-z]|$)/.test(normalized)) {
-    return {
-      tone: "info",
-      accent: "#3aa0ff",
-      accentSecondary: "#9fd2ff",
-      accentSoft: "rgba(58, 160, 255, 0.22)",
-      accentSecondarySoft: "rgba(159, 210, 255, 0.16)",
-      outline: "rgba(58, 160, 255, 0.66)",
-      surface: "rgba(9, 38, 82, 0.82)",
-      surfaceTop: "rgba(255, 255, 255, 0.1)",
-      shadow: "rgba(10, 63, 135, 0.28)",
-      text: "#eef7ff",
-      frameOpacity: "0.9"
-    };
+
+  const profileUrl = String(context?.profileUrl || context?.gemProfileUrl || context?.pageUrl || "")
+    .trim()
+    .toLowerCase();
+  if (profileUrl) {
+    try {
+      const parsed = new URL(profileUrl);
+      parsed.search = "";
+      parsed.hash = "";
+      return `profile:${parsed.toString().replace(/\/$/, "")}`;
+    } catch (_error) {
+      return `profile:${profileUrl.replace(/[?#].*$/, "").replace(/\/$/, "")}`;
+    }
   }
-  return {
-    tone: "neutral",
-    accent: "#b7c2d8",
-    accentSecondary: "#eef3ff",
-    accentSoft: "rgba(183, 194, 216, 0.14)",
-    accentSecondarySoft: "rgba(238, 243, 255, 0.12)",
-    outline: "rgba(183, 194, 216, 0.48)",
-    surface: "rgba(28, 36, 47, 0.8)",
-    surfaceTop: "rgba(255, 255, 255, 0.08)",
-    shadow: "rgba(15, 23, 42, 0.2)",
-    text: "#f8fafc",
-    frameOpacity: "0.8"
-  };
+
+  return "";
 }
 
-function findGemStatusField(customFields) {
-  const fields = normalizeCustomFieldsForPicker(customFields);
-  if (fields.length === 0) {
-    return null;
-  }
-  const exactMatches = fields.filter((field) => normalizeStatusTextToken(field.name) === "status");
-  const fuzzyMatches = exactMatches.length > 0
-    ? exactMatches
-    : fields.filter((field) => normalizeStatusTextToken(field.name).startsWith("status"));
-  if (fuzzyMatches.length === 0) {
-    return null;
-  }
-  return fuzzyMatches
-    .slice()
-    .sort((left, right) => {
-      const leftScore = (left.currentValueLabels?.length ? 4 : 0) + (left.scope === "team" ? 2 : 0) + (left.scope === "project" ? 1 : 0);
-      const rightScore = (right.currentValueLabels?.length ? 4 : 0) + (right.scope === "team" ? 2 : 0) + (right.scope === "project" ? 1 : 0);
-      if (leftScore !== rightScore) {
-        return rightScore - leftScore;
-      }
-      return String(left.name || "").localeCompare(String(right.name || ""));
-    })[0];
+function getContextLink(context) {
+  return (
+    String(context?.linkedinUrl || "").trim() ||
+    String(context?.profileUrl || "").trim() ||
+    String(context?.gemProfileUrl || "").trim() ||
+    String(context?.gmailThreadUrl || "").trim() ||
+    String(context?.outlookThreadUrl || "").trim() ||
+    String(context?.pageUrl || "").trim() ||
+    window.location.href
+  );
 }
 
-function renderGemStatusIndicator(context, data) {
-  if (isBootstrapManagedLinkedInPage()) {
-    hideGemStatusIndicator();
-    return;
+function normalizeStatusTextToken(value) {
+  return String(value || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+function normalizeStatusMatchKey(value) {
+  return normalizeStatusTextToken(value)
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function summarizeStatusLabels(labels, maxVisible = 3) {
+  if (!Array.isArray(labels) || labels.length === 0) {
+    return "";
   }
-  const displayMode = getCurrentGemStatusDisplayMode();
-  if (!isGemStatusDisplayEnabled(displayMode)) {
-    hideGemStatusIndicator();
-    return;
+  const normalized = labels
+    .map((label) => String(label || "").trim())
+    .filter(Boolean);
+  if (normalized.length === 0) {
+    return "";
   }
-  const candidateId = String(data?.candidateId || "").trim();
-  if (!candidateId) {
-    hideGemStatusIndicator();
-    return;
+  if (normalized.length <= maxVisible) {
+    return normalized.join(", ");
   }
-  rememberGemCandidateIdForCurrentLinkedInPage(candidateId);
-  const labels = getStatusLabelsFromCustomFieldData(data);
-  const hasValue = labels.length > 0;
-  const statusText = hasValue ? summarizeStatusLabels(labels, 3) : "Not set";
-  const palette = getGemStatusPalette(statusText, hasValue);
-  const elements = ensureGemStatusIndicatorElements();
-  elements.root.style.setProperty("--gls-status-accent", palette.accent);
-  elements.root.style.setProperty("--gls-status-secondary", palette.accentSecondary || palette.accent);
-  elements.root.style.setProperty("--gls-status-accent-soft", palette.accentSoft);
-  elements.root.style.setProperty(
-    "--gls-status-secondary-soft",
-    palette.accentSecondarySoft || palette.accentSoft
-  );
-  elements.root.style.setProperty("--gls-status-outline", palette.outline);
-  elements.root.style.setProperty("--gls-status-surface", palette.surface);
-  elements.root.style.setProperty("--gls-status-surface-top", palette.surfaceTop);
-  elements.root.style.setProperty("--gls-status-shadow", palette.shadow);
-  elements.root.style.setProperty("--gls-status-text", palette.text);
-  elements.root.style.setProperty("--gls-status-frame-opacity", palette.frameOpacity);
-  applyGemStatusLayout();
-  elements.value.textContent = statusText;
-  elements.root.hidden = false;
+  return `${normalized.slice(0, maxVisible).join(", ")} +${normalized.length - maxVisible} more`;
 }
 
-async function refreshGemStatusIndicator(options = {}) {
-  if (isBootstrapManagedLinkedInPage()) {
-    hideGemStatusIndicator();
-    return;
+function contextHasResolvableIdentity(context) {
+  if (!context || typeof context !== "object") {
+    return false;
   }
-  const settings = cachedSettings || DEFAULT_SETTINGS;
-  const context = applyGemCandidateHintToContext(options.context || getProfileContext());
-  const isStatusEnabled = Boolean(settings.enabled) && isCurrentGemStatusDisplayEnabled(settings);
-  if (!isStatusEnabled || !isLinkedInProfilePage()) {
-    resetGemStatusIndicator();
-    return;
+  if (glsIsEmailThreadPlatform(context.sourcePlatform)) {
+    return Boolean(
+      String(context.gmailThreadToken || context.outlookItemId || "").trim() ||
+        String(context.gmailSubject || context.outlookSubject || "").trim() ||
+        isValidEmailAddressForPicker(String(context.contactEmail || "").trim()) ||
+        (Array.isArray(context.contactEmails) &&
+          context.contactEmails.some((email) => isValidEmailAddressForPicker(email)))
+    );
   }
-  if (!contextHasResolvedLinkedInStatusIdentity(context)) {
-    hideGemStatusIndicator();
-    return;
+  if (String(context.gemCandidateId || "").trim()) {
+    return true;
   }
-
-  const contextKey = getCustomFieldContextKey(context);
-  if (!contextKey) {
-    hideGemStatusIndicator();
-    return;
+  if (String(context.linkedinUrl || "").trim()) {
+    return true;
   }
-
-  const memoryEntry = getCustomFieldMemoryEntry(context);
-  const memoryCandidateId = String(memoryEntry.entry?.candidateId || "").trim();
-  const memoryHasStatusField = Boolean(findGemStatusField(memoryEntry.entry?.customFields));
-  const optimisticEntry = getOptimisticGemStatusSelection(context, memoryCandidateId);
-  if (optimisticEntry) {
-    renderGemStatusIndicator(context, buildOptimisticGemStatusData(context, optimisticEntry, optimisticEntry.candidateId));
-  } else if (memoryEntry.entry && memoryCandidateId) {
-    renderGemStatusIndicator(context, memoryEntry.entry);
-  } else {
-    hideGemStatusIndicator();
+  if (String(context.linkedInHandle || "").trim()) {
+    return true;
   }
-
-  const forceRefresh = Boolean(options.forceRefresh);
-  if (
-    gemStatusRefreshInFlightPromise &&
-    gemStatusRefreshInFlightContextKey === contextKey &&
-    (gemStatusRefreshInFlightForce || !forceRefresh)
-  ) {
-    await gemStatusRefreshInFlightPromise;
-    return;
+  if (String(context.profileUrl || "").trim()) {
+    return true;
   }
-
-  const requestId = ++gemStatusIndicatorRequestId;
-  const refreshPromise = warmCustomFieldsForContext(context, options.runId || generateRunId(), {
-      preferCache: !forceRefresh,
-      refreshInBackground: !forceRefresh,
-      forceRefresh,
-      allowCreate: false
-    })
-    .then((data) => {
-      if (requestId !== gemStatusIndicatorRequestId) {
-        return;
-      }
-      const liveContextKey = getCustomFieldContextKey(applyGemCandidateHintToContext(getProfileContext()));
-      if (liveContextKey !== contextKey || !cachedSettings?.enabled || !isCurrentGemStatusDisplayEnabled(cachedSettings) || !isLinkedInProfilePage()) {
-        return;
-      }
-      const resolvedCandidateId = String(data?.candidateId || "").trim();
-      const hasStatusField = Boolean(findGemStatusField(data?.customFields));
-      const liveOptimisticEntry = getOptimisticGemStatusSelection(context, resolvedCandidateId);
-      if (shouldPreferOptimisticGemStatusData(data, liveOptimisticEntry)) {
-        renderGemStatusIndicator(
-          context,
-          buildOptimisticGemStatusData(context, liveOptimisticEntry, liveOptimisticEntry?.candidateId || resolvedCandidateId)
-        );
-      } else {
-        if (liveOptimisticEntry) {
-          clearOptimisticGemStatusSelection(context, liveOptimisticEntry.candidateId || resolvedCandidateId);
-        }
-        renderGemStatusIndicator(context, data);
-      }
-      if (resolvedCandidateId && hasStatusField) {
-        linkedInStatusRetryCount = 0;
-        linkedInStatusRetryContextKey = "";
-        return;
-      }
-      scheduleLinkedInStatusRetry(context, { forceRefresh: true });
-    })
-    .catch((_error) => {
-      if (requestId === gemStatusIndicatorRequestId) {
-        if (!(optimisticEntry || (memoryEntry.entry && memoryCandidateId))) {
-          hideGemStatusIndicator();
-        }
-        scheduleLinkedInStatusRetry(context, { forceRefresh: true });
-      }
-      throw _error;
-    });
-
-  gemStatusRefreshInFlightPromise = refreshPromise;
-  gemStatusRefreshInFlightContextKey = contextKey;
-  gemStatusRefreshInFlightForce = forceRefresh;
-
-  try {
-    await refreshPromise;
-  } finally {
-    if (gemStatusRefreshInFlightPromise === refreshPromise) {
-      gemStatusRefreshInFlightPromise = null;
-      gemStatusRefreshInFlightContextKey = "";
-      gemStatusRefreshInFlightForce = false;
-    }
+  if (String(context.gemProfileUrl || "").trim()) {
+    return true;
   }
-}
-
-function getCandidateEmailMemoryEntry(context) {
-  const key = getCustomFieldContextKey(context);
-  if (!key) {
-    return { key: "", entry: null, isFresh: false };
+  if (isValidEmailAddressForPicker(String(context.contactEmail || "").trim())) {
+    return true;
   }
-  const entry = candidateEmailMemoryCache.get(key) || null;
-  if (!entry) {
-    return { key, entry: null, isFresh: false };
+  if (Array.isArray(context.contactEmails)) {
+    return context.contactEmails.some((email) => isValidEmailAddressForPicker(email));
   }
-  return {
-    key,
-    entry,
-    isFresh: Date.now() - Number(entry.fetchedAt || 0) <= CANDIDATE_EMAIL_MEMORY_TTL_MS
-  };
+  return false;
 }
 
-function setCandidateEmailMemoryEntry(context, data) {
-  const key = getCustomFieldContextKey(context);
-  if (!key) {
-    return;
-  }
-  const emails = normalizeCandidateEmailsForPicker(data?.emails);
-  const primaryEmail = normalizeEmailAddressForPicker(data?.primaryEmail || getPrimaryEmailForPicker(emails));
-  candidateEmailMemoryCache.delete(key);
-  candidateEmailMemoryCache.set(key, {
-    fetchedAt: Date.now(),
-    candidateId: String(data?.candidateId || ""),
-    emails,
-    primaryEmail
-  });
-  while (candidateEmailMemoryCache.size > CANDIDATE_EMAIL_MEMORY_CACHE_LIMIT) {
-    const oldestKey = candidateEmailMemoryCache.keys().next().value;
-    if (!oldestKey) {
-      break;
+function describeContextSignals(context) {
+  const sourcePlatform = String(context?.sourcePlatform || "").trim().toLowerCase();
+  const signals = [];
+  const contactEmails = Array.isArray(context?.contactEmails)
+    ? context.contactEmails.filter((email) => isValidEmailAddressForPicker(email))
+    : [];
+  const threadSubject = normalizeGmailThreadText(context?.gmailSubject || context?.outlookSubject || "");
+
+  if (glsIsEmailThreadPlatform(sourcePlatform)) {
+    const mailboxLabel = sourcePlatform === "outlook" ? "Outlook" : "Gmail";
+    if (threadSubject) {
+      signals.push("subject");
     }
-    candidateEmailMemoryCache.delete(oldestKey);
+    if (String(context?.gmailThreadToken || context?.outlookItemId || "").trim()) {
+      signals.push("thread token");
+    }
+    if (contactEmails.length > 0) {
+      signals.push(`${contactEmails.length} visible email${contactEmails.length === 1 ? "" : "s"}`);
+    } else if (isValidEmailAddressForPicker(String(context?.contactEmail || "").trim())) {
+      signals.push("1 visible email");
+    }
+    if (signals.length === 0) {
+      return `${mailboxLabel} thread detected, but no visible subject or participant email was found.`;
+    }
+    return `${mailboxLabel} thread detected. Signals: ${signals.join(", ")}.`;
   }
-}
 
-function warmCandidateEmailsForContext(context, runId, options = {}) {
-  const baseKey = getCustomFieldContextKey(context);
-  if (!baseKey) {
-    return Promise.resolve(null);
+  if (String(context?.gemCandidateId || "").trim()) {
+    signals.push("Gem candidate ID");
   }
-  const allowCreate = options.allowCreate !== false;
-  const key = `${baseKey}|${allowCreate ? "create" : "nocreate"}`;
-  if (!options.forceRefresh) {
-    const existingPromise = candidateEmailWarmPromises.get(key);
-    if (existingPromise) {
-      return existingPromise;
-    }
+  if (String(context?.gemProfileUrl || "").trim()) {
+    signals.push("Gem profile link");
+  }
+  if (String(context?.linkedinUrl || "").trim()) {
+    signals.push("LinkedIn profile link");
+  } else if (String(context?.linkedInHandle || "").trim()) {
+    signals.push("LinkedIn handle");
+  }
+  if (contactEmails.length > 0) {
+    signals.push(`${contactEmails.length} email${contactEmails.length === 1 ? "" : "s"}`);
+  } else if (isValidEmailAddressForPicker(String(context?.contactEmail || "").trim())) {
+    signals.push("1 email");
+  }
+  if (String(context?.profileUrl || "").trim()) {
+    signals.push("profile URL");
   }
 
-  const promise = listCandidateEmailsForContext(context, runId, {
-    preferCache: options.preferCache !== false,
-    refreshInBackground: options.refreshInBackground !== false,
-    forceRefresh: Boolean(options.forceRefresh),
-    allowCreate
-  })
-    .then((data) => {
-      setCandidateEmailMemoryEntry(context, data);
-      return data;
-    })
-    .finally(() => {
-      if (candidateEmailWarmPromises.get(key) === promise) {
-        candidateEmailWarmPromises.delete(key);
-      }
-    });
+  if (signals.length === 0) {
+    if (sourcePlatform === "linkedin") {
+      return "LinkedIn profile detected, but no stable candidate identity signal was found.";
+    }
+    if (sourcePlatform === "gem") {
+      return "Gem page detected, but no stable candidate identity signal was found.";
+    }
+    if (sourcePlatform === "github") {
+      return "GitHub profile detected, but no stable candidate identity signal was found.";
+    }
+    return "No stable candidate identity signal was found on this page.";
+  }
 
-  candidateEmailWarmPromises.set(key, promise);
-  return promise;
+  const label =
+    sourcePlatform === "linkedin"
+        ? "LinkedIn profile detected"
+        : sourcePlatform === "gem"
+          ? "Gem page detected"
+          : sourcePlatform === "github"
+            ? "GitHub profile detected"
+            : "Supported page detected";
+  return `${label}. Signals: ${signals.join(", ")}.`;
 }
 
-function syncLinkedInGemStatusForCurrentPage(options = {}) {
-  if (isBootstrapManagedLinkedInPage()) {
-    hideGemStatusIndicator();
-    return;
-  }
-  const settings = cachedSettings;
-  if (!settings?.enabled || !isLinkedInProfilePage()) {
-    resetGemStatusIndicator();
-    return;
-  }
-  if (!isCurrentGemStatusDisplayEnabled(settings)) {
-    resetGemStatusIndicator();
-    return;
-  }
+function shouldAllowCandidateCreateForContext(context) {
+  return !glsIsEmailThreadPlatform(context?.sourcePlatform);
+}
 
-  refreshProfileIdentityFromDom({ force: Boolean(options.forceIdentity) });
-  const context = applyGemCandidateHintToContext(getProfileContext());
-  const hasResolvedIdentity = contextHasResolvedLinkedInStatusIdentity(context);
-  if (!hasResolvedIdentity) {
-    hideGemStatusIndicator();
-    clearGemStatusBootstrapTimers();
-    scheduleGemStatusLiveRefresh(LINKEDIN_PAGE_CHANGE_IDENTITY_RETRY_DELAY_MS);
-    return;
+function contextHasResolvedLinkedInStatusIdentity(context) {
+  if (!context || typeof context !== "object") {
+    return false;
   }
-  const memoryEntry = getCustomFieldMemoryEntry(context);
-  const memoryCandidateId = String(memoryEntry.entry?.candidateId || "").trim();
-  const memoryHasStatusField = Boolean(findGemStatusField(memoryEntry.entry?.customFields));
-  const optimisticEntry = getOptimisticGemStatusSelection(context, memoryCandidateId);
-  if (optimisticEntry) {
-    renderGemStatusIndicator(context, buildOptimisticGemStatusData(context, optimisticEntry, optimisticEntry.candidateId));
-  } else if (memoryEntry.entry && memoryCandidateId) {
-    renderGemStatusIndicator(context, memoryEntry.entry);
-  } else {
-    hideGemStatusIndicator();
+  if (String(context.gemCandidateId || "").trim()) {
+    return true;
   }
-
-  const shouldRefresh =
-    Boolean(options.forceRefresh) ||
-    !memoryEntry.entry ||
-    !memoryCandidateId ||
-    !memoryHasStatusField ||
-    !memoryEntry.isFresh;
-  if (!shouldRefresh) {
-    clearGemStatusBootstrapTimers();
-    scheduleGemStatusLiveRefresh(getGemStatusLiveRefreshIntervalMs());
-    return;
+  if (String(context.linkedinUrl || "").trim()) {
+    return true;
+  }
+  if (String(context.linkedInHandle || "").trim()) {
+    return true;
   }
+  return false;
+}
 
-  scheduleGemStatusBootstrapRefreshes(context, {
-    delayMs: options.delayMs,
-    forceRefresh: Boolean(options.forceRefresh) || Boolean(memoryEntry.entry && !memoryEntry.isFresh)
-  });
-  scheduleGemStatusLiveRefresh(0);
+function normalizeCustomFieldPickerName(value) {
+  return String(value || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
 }
 
-function handleLinkedInPageChange(options = {}) {
-  if (!isLinkedInProfilePage()) {
-    resetGemStatusIndicator();
-    return;
-  }
-  linkedInLastPageChangeAtMs = Date.now();
-  linkedInStatusRetryCount = 0;
-  linkedInStatusRetryContextKey = "";
-  profileIdentityCache = {
-    pageUrl: "",
-    linkedinUrl: "",
-    linkedInHandle: "",
-    gemCandidateId: "",
-    resolvedAtMs: 0
-  };
-  syncLinkedInGemStatusForCurrentPage({
-    forceIdentity: true,
-    delayMs: options.delayMs,
-    forceRefresh: Boolean(options.forceRefresh)
+function sortCustomFieldsForPicker(fields) {
+  const normalized = Array.isArray(fields) ? fields.slice() : [];
+  normalized.sort((left, right) => {
+    const leftName = normalizeCustomFieldPickerName(left?.name);
+    const rightName = normalizeCustomFieldPickerName(right?.name);
+    const leftPinnedRank = PINNED_CUSTOM_FIELD_RANK.has(leftName)
+      ? PINNED_CUSTOM_FIELD_RANK.get(leftName)
+      : Number.POSITIVE_INFINITY;
+    const rightPinnedRank = PINNED_CUSTOM_FIELD_RANK.has(rightName)
+      ? PINNED_CUSTOM_FIELD_RANK.get(rightName)
+      : Number.POSITIVE_INFINITY;
+    if (leftPinnedRank !== rightPinnedRank) {
+      return leftPinnedRank - rightPinnedRank;
+    }
+    const nameCompare = String(left?.name || "").localeCompare(String(right?.name || ""), undefined, {
+      sensitivity: "base"
+    });
+    if (nameCompare !== 0) {
+      return nameCompare;
+    }
+    return String(left?.id || "").localeCompare(String(right?.id || ""), undefined, {
+      sensitivity: "base"
+    });
   });
-  scheduleGemStatusLiveRefresh(0);
+  return normalized;
 }
 
-function normalizeComparableContextUrl(value) {
-  return normalizeUrlForContext(value || "").toLowerCase();
+function normalizeCustomFieldsForPicker(data) {
+  const input = Array.isArray(data) ? data : Array.isArray(data?.customFields) ? data.customFields : [];
+  return sortCustomFieldsForPicker(
+    input
+      .map((field) => ({
+      id: String(field.id || ""),
+      name: String(field.name || ""),
+      scope: String(field.scope || ""),
+      valueType: String(field.valueType || ""),
+      currentOptionIds: Array.isArray(field.currentOptionIds)
+        ? field.currentOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
+        : [],
+      currentValueLabels: Array.isArray(field.currentValueLabels)
+        ? field.currentValueLabels.map((value) => String(value || "").trim()).filter(Boolean)
+        : [],
+      options: Array.isArray(field.options)
+        ? field.options.map((option) => ({
+            id: String(option.id || ""),
+            value: String(option.value || "")
+          }))
+        : []
+      }))
+      .filter((field) => field.id && field.name)
+  );
 }
 
-function doesGemStatusSignalMatchCurrentPage(messageContext, liveContext) {
-  const currentContext = applyGemCandidateHintToContext(liveContext);
-  const messageCandidateId = String(messageContext?.gemCandidateId || "").trim();
-  const liveCandidateId = String(currentContext?.gemCandidateId || "").trim();
-  if (messageCandidateId && liveCandidateId) {
-    return messageCandidateId === liveCandidateId;
-  }
-
-  const messageLinkedInUrl = normalizeLinkedInUrl(String(messageContext?.linkedinUrl || "").trim());
-  const liveLinkedInUrl = normalizeLinkedInUrl(String(liveContext?.linkedinUrl || "").trim());
-  if (messageLinkedInUrl && liveLinkedInUrl) {
-    return messageLinkedInUrl === liveLinkedInUrl;
+function normalizeCustomFieldSelectionLabels(selection, field = null) {
+  const explicitLabels = Array.isArray(selection?.customFieldValueLabels)
+    ? selection.customFieldValueLabels.map((label) => String(label || "").trim()).filter(Boolean)
+    : [];
+  if (explicitLabels.length > 0) {
+    return explicitLabels;
   }
 
-  const messageHandle = String(messageContext?.linkedInHandle || "").trim().toLowerCase();
-  const liveHandle = String(liveContext?.linkedInHandle || "").trim().toLowerCase();
-  if (messageHandle && liveHandle) {
-    return messageHandle === liveHandle;
+  const optionIds = Array.isArray(selection?.customFieldOptionIds)
+    ? selection.customFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
+    : [];
+  if (field && optionIds.length > 0) {
+    const optionValueById = new Map(
+      (Array.isArray(field.options) ? field.options : []).map((option) => [String(option.id || "").trim(), String(option.value || "").trim()])
+    );
+    const labelsFromOptions = optionIds.map((id) => optionValueById.get(id) || "").filter(Boolean);
+    if (labelsFromOptions.length > 0) {
+      return labelsFromOptions;
+    }
   }
 
-  const messageProfileUrl = normalizeComparableContextUrl(
-    messageContext?.profileUrl || messageContext?.pageUrl || ""
-  );
-  const liveProfileUrl = normalizeComparableContextUrl(liveContext?.profileUrl || liveContext?.pageUrl || "");
-  if (messageProfileUrl && liveProfileUrl) {
-    return messageProfileUrl === liveProfileUrl;
+  const rawValue = selection?.customFieldValue;
+  if (rawValue === undefined || rawValue === null) {
+    return [];
   }
+  const trimmedValue = String(rawValue || "").trim();
+  return trimmedValue ? [trimmedValue] : [];
+}
 
-  return !(messageCandidateId || messageLinkedInUrl || messageHandle || messageProfileUrl);
+function isStatusFieldLike(value) {
+  const normalized = normalizeStatusTextToken(value);
+  return normalized === "status" || normalized.startsWith("status");
 }
 
-function queueLinkedInPageChange(options = {}) {
-  const nextUrl = normalizePageUrlForWatcher(window.location.href);
-  const force = Boolean(options.force);
-  if (!force && nextUrl === linkedInObservedPageUrl) {
-    return;
+function getStatusLabelsFromCustomFieldData(data) {
+  const explicit = Array.isArray(data?.statusLabels)
+    ? data.statusLabels.map((label) => String(label || "").trim()).filter(Boolean)
+    : [];
+  if (explicit.length > 0) {
+    return explicit;
   }
-  linkedInObservedPageUrl = nextUrl;
-  if (linkedInPageChangeTimerId) {
-    window.clearTimeout(linkedInPageChangeTimerId);
+  const statusField = findGemStatusField(data?.customFields);
+  return Array.isArray(statusField?.currentValueLabels)
+    ? statusField.currentValueLabels.map((label) => String(label || "").trim()).filter(Boolean)
+    : [];
+}
+
+function areStatusLabelSetsEqual(left, right) {
+  const normalize = (labels) =>
+    (Array.isArray(labels) ? labels : [])
+      .map((label) => normalizeStatusTextToken(label))
+      .filter(Boolean)
+      .sort();
+  const leftNormalized = normalize(left);
+  const rightNormalized = normalize(right);
+  if (leftNormalized.length !== rightNormalized.length) {
+    return false;
   }
-  linkedInPageChangeTimerId = window.setTimeout(() => {
-    linkedInPageChangeTimerId = 0;
-    handleLinkedInPageChange(options);
-  }, Math.max(0, Number(options.delayMs) || 0));
+  return leftNormalized.every((value, index) => value === rightNormalized[index]);
 }
 
-function bindLinkedInPageChangeWatcher() {
-  if (linkedInPageChangeBound) {
-    return;
-  }
-  linkedInPageChangeBound = true;
-
-  const notify = (delayMs = LINKEDIN_PAGE_CHANGE_REFRESH_DELAY_MS) => {
-    queueLinkedInPageChange({ delayMs, force: true });
-  };
-
-  const wrapHistoryMethod = (methodName) => {
-    const original = window.history?.[methodName];
-    if (typeof original !== "function") {
-      return;
-    }
-    window.history[methodName] = function patchedHistoryMethod(...args) {
-      const result = original.apply(this, args);
-      notify();
-      return result;
-    };
-  };
-
-  wrapHistoryMethod("pushState");
-  wrapHistoryMethod("replaceState");
-  window.addEventListener("popstate", () => notify(), { passive: true });
-  window.addEventListener("pageshow", () => notify(0), { passive: true });
-}
-
-function prefetchPickersForCurrentProfile() {
-  const settings = cachedSettings;
-  if (!settings?.enabled || !isSupportedActionPage()) {
-    resetGemStatusIndicator();
-    return;
-  }
-  let profileContext = getProfileContext();
-  const isLinkedInContext = isLinkedInProfilePage();
-  if (isLinkedInContext) {
-    syncLinkedInGemStatusForCurrentPage({
-      delayMs: contextHasResolvedLinkedInStatusIdentity(profileContext)
-        ? LINKEDIN_PAGE_CHANGE_REFRESH_DELAY_MS
-        : LINKEDIN_PAGE_CHANGE_IDENTITY_RETRY_DELAY_MS
-    });
-    profileContext = getProfileContext();
-  } else {
-    resetGemStatusIndicator();
-  }
-  if (!contextHasResolvableIdentity(profileContext)) {
-    return;
+function getOptimisticGemStatusKeys(context, candidateId = "") {
+  const baseContext = context && typeof context === "object" ? context : {};
+  const normalizedCandidateId = String(candidateId || baseContext.gemCandidateId || "").trim();
+  const keys = [];
+  if (normalizedCandidateId) {
+    keys.push(`candidate:${normalizedCandidateId}`);
   }
-  const contextKey = getCustomFieldContextKey(profileContext);
-  if (!contextKey || contextKey === lastPrefetchedProfileContextKey) {
-    return;
+  const hintedContext = normalizedCandidateId
+    ? {
+        ...baseContext,
+        gemCandidateId: normalizedCandidateId
+      }
+    : baseContext;
+  const hintedKey = getCustomFieldContextKey(hintedContext);
+  if (hintedKey) {
+    keys.push(hintedKey);
   }
-  lastPrefetchedProfileContextKey = contextKey;
-  warmCustomFieldsForContext(profileContext, generateRunId(), {
-    preferCache: true,
-    refreshInBackground: true,
-    allowCreate: false,
-    allowEmptyCandidateCache: true
-  }).catch(() => {});
-  if (isLinkedInContext) {
-    return;
+  const baseKey = getCustomFieldContextKey(baseContext);
+  if (baseKey) {
+    keys.push(baseKey);
   }
-  prefetchProjects(generateRunId(), { forceRefresh: true }).catch(() => {});
-  prefetchSequences(generateRunId()).catch(() => {});
-  warmCandidateEmailsForContext(profileContext, generateRunId(), {
-    preferCache: true,
-    refreshInBackground: true,
-    allowCreate: false
-  }).catch(() => {});
+  return Array.from(new Set(keys.filter(Boolean)));
 }
 
-function startProfileUrlPrefetchWatcher() {
-  if (profileUrlPollTimerId) {
-    return;
-  }
-  profileUrlPollLastUrl = normalizePageUrlForWatcher(window.location.href);
-  profileUrlPollTimerId = window.setInterval(() => {
-    const currentUrl = normalizePageUrlForWatcher(window.location.href);
-    if (currentUrl !== profileUrlPollLastUrl) {
-      profileUrlPollLastUrl = currentUrl;
-      if (isLinkedInProfilePage()) {
-        queueLinkedInPageChange({ force: true, delayMs: 0, forceRefresh: false });
-      } else if (!isSupportedActionPage()) {
-        lastPrefetchedProfileContextKey = "";
-        resetGemStatusIndicator();
-      } else {
-        prefetchPickersForCurrentProfile();
-      }
-    }
-    if (isLinkedInProfilePage()) {
-      maybeRefreshGemStatusLive({
-        context: getProfileContext(),
-        forceRefresh: false
-      });
-      return;
+function pruneOptimisticGemStatusCache() {
+  const now = Date.now();
+  for (const [key, entry] of optimisticGemStatusCache.entries()) {
+    if (!entry || Number(entry.expiresAt || 0) <= now) {
+      optimisticGemStatusCache.delete(key);
     }
-    maybeRefreshGemStatusLive();
-  }, PROFILE_URL_POLL_INTERVAL_MS);
-}
-
-function logEvent(payload) {
-  return new Promise((resolve) => {
-    chrome.runtime.sendMessage({ type: "LOG_EVENT", payload }, () => {
-      if (chrome.runtime.lastError) {
-        const msg = chrome.runtime.lastError.message || "";
-        if (isContextInvalidatedError(msg)) {
-          triggerContextRecovery(msg);
-        }
-        resolve(false);
-        return;
-      }
-      resolve(true);
-    });
-  });
-}
-
-async function refreshSettings() {
-  cachedSettings = await getSettings();
-  return cachedSettings;
-}
-
-function getCurrentGemStatusDisplayMode(settings = cachedSettings || DEFAULT_SETTINGS) {
-  return getGemStatusDisplayModeFromSettings(settings, true);
-}
-
-function isCurrentGemStatusDisplayEnabled(settings = cachedSettings || DEFAULT_SETTINGS) {
-  const mode = getCurrentGemStatusDisplayMode(settings);
-  return isGemStatusDisplayEnabled(mode);
-}
-
-function findActionByShortcut(shortcut) {
-  if (!cachedSettings) {
-    return "";
-  }
-  const mapping = cachedSettings.shortcuts || {};
-  const validActionIds = new Set(ACTION_IDS);
-  return (
-    Object.keys(mapping).find(
-      (actionId) => validActionIds.has(actionId) && normalizeShortcut(mapping[actionId]) === shortcut
-    ) || ""
-  );
-}
-
-function filterProjectsByQuery(projects, query) {
-  const normalized = Array.isArray(projects) ? projects : [];
-  const normalizedQuery = String(query || "").trim().toLowerCase();
-  if (!normalizedQuery) {
-    return normalized;
   }
-  return normalized.filter((project) => String(project?.name || "").toLowerCase().includes(normalizedQuery));
 }
 
-function normalizeProjectForPicker(item) {
-  if (!item || typeof item !== "object") {
-    return null;
-  }
-  const id = String(item.id || "").trim();
-  if (!id) {
+function rememberOptimisticGemStatusSelection(context, selection, candidateId = "") {
+  if (!isStatusFieldLike(selection?.customFieldName || selection?.name || "")) {
     return null;
   }
-  return {
-    id,
-    name: String(item.name || "").trim(),
-    archived: Boolean(item.archived),
-    createdAt: String(item.createdAt || item.created_at || item.created || "").trim()
+  const normalizedCandidateId = String(candidateId || selection?.candidateId || context?.gemCandidateId || "").trim();
+  const labels = normalizeCustomFieldSelectionLabels(selection);
+  const now = Date.now();
+  const entry = {
+    candidateId: normalizedCandidateId,
+    customFieldId: String(selection?.customFieldId || selection?.id || "").trim() || "gls-optimistic-status",
+    customFieldName: String(selection?.customFieldName || selection?.name || "Status").trim() || "Status",
+    customFieldValue: selection?.customFieldValue,
+    customFieldValueLabels: labels,
+    customFieldOptionId: String(selection?.customFieldOptionId || "").trim(),
+    customFieldOptionIds: Array.isArray(selection?.customFieldOptionIds)
+      ? selection.customFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
+      : [],
+    customFieldValueType: String(selection?.customFieldValueType || selection?.valueType || "single_select").trim(),
+    appliedAt: now,
+    expiresAt: now + OPTIMISTIC_GEM_STATUS_TTL_MS
   };
+  getOptimisticGemStatusKeys(context, normalizedCandidateId).forEach((key) => {
+    optimisticGemStatusCache.set(key, entry);
+  });
+  pruneOptimisticGemStatusCache();
+  return entry;
 }
 
-function normalizeProjectsForPicker(items) {
-  const byId = new Map();
-  for (const item of Array.isArray(items) ? items : []) {
-    const normalized = normalizeProjectForPicker(item);
-    if (!normalized) {
+function getOptimisticGemStatusSelection(context, candidateId = "") {
+  pruneOptimisticGemStatusCache();
+  for (const key of getOptimisticGemStatusKeys(context, candidateId)) {
+    const entry = optimisticGemStatusCache.get(key);
+    if (!entry) {
       continue;
     }
-    byId.set(normalized.id, normalized);
+    if (Number(entry.expiresAt || 0) <= Date.now()) {
+      optimisticGemStatusCache.delete(key);
+      continue;
+    }
+    return entry;
   }
-  return Array.from(byId.values());
+  return null;
 }
 
-function getProjectMemoryEntry() {
-  const entry = projectMemoryEntry;
-  if (!entry) {
-    return { entry: null, isFresh: false };
-  }
-  return {
-    entry,
-    isFresh: Date.now() - Number(entry.fetchedAt || 0) <= PROJECT_MEMORY_TTL_MS
-  };
+function clearOptimisticGemStatusSelection(context, candidateId = "") {
+  getOptimisticGemStatusKeys(context, candidateId).forEach((key) => optimisticGemStatusCache.delete(key));
 }
 
-function setProjectMemoryProjects(projects) {
-  projectMemoryEntry = {
-    fetchedAt: Date.now(),
-    projects: normalizeProjectsForPicker(projects)
+function buildDataWithStatusSelection(customFields, selection) {
+  const normalizedFields = normalizeCustomFieldsForPicker(customFields);
+  const labels = normalizeCustomFieldSelectionLabels(selection);
+  const nextStatusField = {
+    id: String(selection?.customFieldId || selection?.id || "gls-optimistic-status").trim() || "gls-optimistic-status",
+    name: String(selection?.customFieldName || selection?.name || "Status").trim() || "Status",
+    scope: "team",
+    valueType: String(selection?.customFieldValueType || selection?.valueType || "single_select").trim() || "single_select",
+    currentOptionIds: Array.isArray(selection?.customFieldOptionIds)
+      ? selection.customFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean)
+      : [],
+    currentValueLabels: labels,
+    options: []
   };
-}
-
-function upsertProjectMemoryProject(project) {
-  const normalized = normalizeProjectForPicker(project);
-  if (!normalized) {
-    return;
-  }
-  const current = getProjectMemoryEntry().entry;
-  const byId = new Map();
-  for (const item of current?.projects || []) {
-    const existing = normalizeProjectForPicker(item);
-    if (!existing) {
-      continue;
+  let replaced = false;
+  const nextFields = normalizedFields.map((field) => {
+    if (!isStatusFieldLike(field?.name || "")) {
+      return field;
     }
-    byId.set(existing.id, existing);
-  }
-  const existing = byId.get(normalized.id) || null;
-  byId.set(normalized.id, {
-    ...existing,
-    ...normalized,
-    createdAt: normalized.createdAt || existing?.createdAt || new Date().toISOString()
+    replaced = true;
+    return {
+      ...field,
+      ...nextStatusField,
+      name: nextStatusField.name || field.name || "Status",
+      scope: nextStatusField.scope || field.scope || "team",
+      options: Array.isArray(field.options) ? field.options : []
+    };
   });
-  setProjectMemoryProjects(Array.from(byId.values()));
+  if (!replaced) {
+    nextFields.push(nextStatusField);
+  }
+  return sortCustomFieldsForPicker(nextFields);
 }
 
-function prefetchProjects(runId, options = {}) {
-  return new Promise((resolve) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "PREFETCH_PROJECTS",
-        runId: runId || "",
-        limit: 0,
-        forceRefresh: Boolean(options.forceRefresh),
-        forceNewRefresh: Boolean(options.forceNewRefresh)
-      },
-      () => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-          }
-        }
-        resolve();
+function buildOptimisticGemStatusData(context, selection, candidateId = "") {
+  const normalizedCandidateId = String(candidateId || selection?.candidateId || context?.gemCandidateId || "").trim();
+  const candidateContext = normalizedCandidateId
+    ? {
+        ...(context && typeof context === "object" ? context : {}),
+        gemCandidateId: normalizedCandidateId
       }
-    );
-  });
+    : context;
+  const existingEntry = getCustomFieldMemoryEntry(candidateContext).entry || getCustomFieldMemoryEntry(context).entry;
+  const customFields = buildDataWithStatusSelection(existingEntry?.customFields || [], selection);
+  return {
+    candidateId: normalizedCandidateId,
+    customFields,
+    statusLabels: getStatusLabelsFromCustomFieldData({ customFields })
+  };
 }
 
-function listSequences(query, runId, actionId = ACTIONS.SEND_SEQUENCE, options = {}) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      {
-        type: "LIST_SEQUENCES",
-        query: String(query || ""),
-        limit: 0,
-        runId: runId || "",
-        actionId,
-        forceRefresh: Boolean(options.forceRefresh),
-        preferCache: Boolean(options.preferCache),
-        forceNewRefresh: Boolean(options.forceNewRefresh)
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(msg));
-          return;
-        }
-        if (!response?.ok) {
-          if (isContextInvalidatedResponse(response)) {
-            triggerContextRecovery(response?.message || "Extension context invalidated.");
-            reject(new Error("Extension updated. Reloading page."));
-            return;
-          }
-          reject(new Error(response?.message || "Could not load sequences"));
-          return;
-        }
-        resolve(Array.isArray(response.sequences) ? response.sequences : []);
-      }
-    );
-  });
+function mergeOptimisticGemStatusIntoCustomFieldData(context, data, candidateId = "") {
+  const normalizedData = data && typeof data === "object" ? data : {};
+  const resolvedCandidateId = String(
+    candidateId || normalizedData.candidateId || context?.gemCandidateId || ""
+  ).trim();
+  const optimisticEntry = getOptimisticGemStatusSelection(context, resolvedCandidateId);
+  if (!shouldPreferOptimisticGemStatusData(normalizedData, optimisticEntry)) {
+    return normalizedData;
+  }
+  const customFields = buildDataWithStatusSelection(normalizedData.customFields || [], optimisticEntry);
+  return {
+    ...normalizedData,
+    candidateId: resolvedCandidateId || String(normalizedData.candidateId || "").trim(),
+    customFields,
+    statusLabels: getStatusLabelsFromCustomFieldData({ customFields })
+  };
 }
 
-function prefetchSequences(runId, options = {}) {
-  return new Promise((resolve) => {
-    chrome.runtime.sendMessage(
+function shouldPreferOptimisticGemStatusData(data, optimisticEntry) {
+  if (!optimisticEntry) {
+    return false;
+  }
+  const backendCandidateId = String(data?.candidateId || "").trim();
+  const optimisticCandidateId = String(optimisticEntry.candidateId || "").trim();
+  if (!backendCandidateId) {
+    return true;
+  }
+  if (optimisticCandidateId && backendCandidateId && optimisticCandidateId !== backendCandidateId) {
+    return false;
+  }
+  return !areStatusLabelSetsEqual(
+    getStatusLabelsFromCustomFieldData(data),
+    optimisticEntry.customFieldValueLabels
+  );
+}
+
+function applyOptimisticGemStatusSelection(context, selection, candidateId = "") {
+  const optimisticEntry = rememberOptimisticGemStatusSelection(context, selection, candidateId);
+  if (!optimisticEntry) {
+    return null;
+  }
+  rememberResolvedCandidateIdForContext(context, optimisticEntry.candidateId);
+  const optimisticData = buildOptimisticGemStatusData(context, optimisticEntry, optimisticEntry.candidateId);
+  setCustomFieldMemoryEntry(
+    {
+      ...(context && typeof context === "object" ? context : {}),
+      gemCandidateId: optimisticData.candidateId || String(context?.gemCandidateId || "").trim()
+    },
+    optimisticData
+  );
+  if (isLinkedInProfilePage() && isCurrentGemStatusDisplayEnabled(cachedSettings)) {
+    renderGemStatusIndicator(
       {
-        type: "PREFETCH_SEQUENCES",
-        runId: runId || "",
-        limit: 0,
-        forceRefresh: Boolean(options.forceRefresh),
-        forceNewRefresh: Boolean(options.forceNewRefresh)
+        ...(context && typeof context === "object" ? context : {}),
+        gemCandidateId: optimisticData.candidateId || String(context?.gemCandidateId || "").trim()
       },
-      () => {
-        if (chrome.runtime.lastError) {
-          const msg = chrome.runtime.lastError.message || "";
-          if (isContextInvalidatedError(msg)) {
-            triggerContextRecovery(msg);
-          }
-        }
-        resolve();
-      }
+      optimisticData
     );
-  });
+  }
+  return optimisticData;
 }
 
-function createProjectPickerStyles() {
-  if (document.getElementById("gem-project-picker-style")) {
-    return;
+function applyCustomFieldSelectionToCustomFields(customFields, selection) {
+  const fields = normalizeCustomFieldsForPicker(customFields);
+  const selectionFieldId = String(selection?.customFieldId || "").trim();
+  if (!selectionFieldId) {
+    return { matched: false, customFields: fields };
   }
-  const style = document.createElement("style");
-  style.id = "gem-project-picker-style";
-  style.textContent = `
-    #gem-project-picker-overlay {
-      position: fixed;
-      inset: 0;
-      background: rgba(0, 0, 0, 0.45);
-      z-index: 2147483647;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 16px;
-    }
-    #gem-project-picker-modal {
-      width: min(680px, 100%);
-      background: #fff;
-      border-radius: 12px;
-      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
-      padding: 16px;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
-      color: #1f2328;
-    }
-    #gem-project-picker-title {
-      font-size: 18px;
-      font-weight: 600;
-      margin-bottom: 6px;
-    }
-    #gem-project-picker-subtitle {
-      font-size: 13px;
-      color: #4f5358;
-      margin-bottom: 12px;
+
+  let matched = false;
+  const nextFields = fields.map((field) => {
+    if (field.id !== selectionFieldId) {
+      return field;
     }
-    #gem-project-picker-input {
-      width: 100%;
-      border: 1px solid #b6beca;
-      border-radius: 8px;
-      padding: 10px 12px;
-      font-size: 14px;
-      margin-bottom: 10px;
+    matched = true;
+    const valueType = String(selection?.customFieldValueType || field.valueType || "").trim().toLowerCase();
+    const optionIds = Array.isArray(selection?.customFieldOptionIds)
+      ? Array.from(
+          new Set(selection.customFieldOptionIds.map((id) => String(id || "").trim()).filter(Boolean))
+        )
+      : [];
+    const labels = normalizeCustomFieldSelectionLabels(selection, field);
+
+    if (valueType === "multi_select") {
+      return {
+        ...field,
+        currentOptionIds: optionIds,
+        currentValueLabels: labels
+      };
     }
-    #gem-project-picker-results {
-      border: 1px solid #d4dae3;
-      border-radius: 8px;
-      max-height: 280px;
-      overflow: auto;
-      background: #fff;
+
+    if (valueType === "single_select") {
+      return {
+        ...field,
+        currentOptionIds: optionIds.slice(0, 1),
+        currentValueLabels: labels.slice(0, 1)
+      };
     }
-    .gem-project-picker-item {
-      padding: 10px 12px;
-      cursor: pointer;
-      border-bottom: 1px solid #eff2f7;
-      font-size: 14px;
-      line-height: 1.3;
+
+    return {
+      ...field,
+      currentOptionIds: [],
+      currentValueLabels: labels.slice(0, 1)
+    };
+  });
+
+  return {
+    matched,
+    customFields: sortCustomFieldsForPicker(nextFields)
+  };
+}
+
+function patchCustomFieldMemoryEntry(context, selection, candidateId = "") {
+  const normalizedCandidateId = String(candidateId || selection?.candidateId || context?.gemCandidateId || "").trim();
+  const baseContext = context && typeof context === "object" ? context : {};
+  const candidateContext = normalizedCandidateId
+    ? {
+        ...baseContext,
+        gemCandidateId: normalizedCandidateId
+      }
+    : baseContext;
+  const tryPatchEntry = (entry) => {
+    if (!entry) {
+      return null;
     }
-    .gem-project-picker-item:last-child {
-      border-bottom: none;
+    const patchedEntry = applyCustomFieldSelectionToCustomFields(entry.customFields, selection);
+    if (!patchedEntry.matched) {
+      return null;
     }
-    .gem-project-picker-item.active {
-      background: #eaf2fe;
+    return {
+      candidateId: String(normalizedCandidateId || entry.candidateId || "").trim(),
+      customFields: patchedEntry.customFields
+    };
+  };
+  const memoryEntry = getCustomFieldMemoryEntry(candidateContext);
+  let nextData = tryPatchEntry(memoryEntry.entry);
+  if (!nextData && candidateContext !== baseContext) {
+    const fallbackEntry = getCustomFieldMemoryEntry(baseContext);
+    nextData = tryPatchEntry(fallbackEntry.entry);
+  }
+  if (!nextData) {
+    return null;
+  }
+  setCustomFieldMemoryEntry(candidateContext, nextData);
+  return nextData;
+}
+
+function getCustomFieldMemoryEntry(context) {
+  const key = getCustomFieldContextKey(context);
+  if (!key) {
+    return { key: "", entry: null, isFresh: false };
+  }
+  const entry = customFieldMemoryCache.get(key) || null;
+  if (!entry) {
+    return { key, entry: null, isFresh: false };
+  }
+  return {
+    key,
+    entry,
+    isFresh: Date.now() - Number(entry.fetchedAt || 0) <= CUSTOM_FIELD_MEMORY_TTL_MS
+  };
+}
+
+function setCustomFieldMemoryEntry(context, data) {
+  const normalizedFields = normalizeCustomFieldsForPicker(data);
+  const baseContext = context && typeof context === "object" ? context : {};
+  const candidateId = String(data?.candidateId || baseContext.gemCandidateId || "").trim();
+  const candidateContext = candidateId
+    ? { ...baseContext, gemCandidateId: candidateId }
+    : baseContext;
+  const contextsToPersist = [baseContext];
+  if (candidateId) {
+    contextsToPersist.push(candidateContext);
+    if (isLinkedInProfilePage()) {
+      contextsToPersist.push(getProfileContext());
     }
-    .gem-project-picker-hint {
-      margin-top: 10px;
-      font-size: 12px;
-      color: #5b6168;
+  }
+
+  const writtenKeys = new Set();
+  contextsToPersist.forEach((entryContext) => {
+    const key = getCustomFieldContextKey(entryContext);
+    if (!key || writtenKeys.has(key)) {
+      return;
     }
-    .gem-project-picker-empty {
-      padding: 12px;
-      font-size: 13px;
-      color: #5b6168;
+    writtenKeys.add(key);
+    customFieldMemoryCache.delete(key);
+    customFieldMemoryCache.set(key, {
+      fetchedAt: Date.now(),
+      candidateId,
+      customFields: normalizedFields
+    });
+  });
+
+  if (writtenKeys.size === 0) {
+    return;
+  }
+
+  if (candidateId && isLinkedInProfilePage()) {
+    rememberGemCandidateIdForCurrentLinkedInPage(candidateId);
+  }
+
+  while (customFieldMemoryCache.size > CUSTOM_FIELD_MEMORY_CACHE_LIMIT) {
+    const oldestKey = customFieldMemoryCache.keys().next().value;
+    if (!oldestKey) {
+      break;
     }
-  `;
-  document.documentElement.appendChild(style);
+    customFieldMemoryCache.delete(oldestKey);
+  }
 }
 
-function createGemActionsStyles() {
-  if (document.getElementById("gem-actions-style")) {
+function getLiveCustomFieldContextKey() {
+  return getCustomFieldContextKey(applyGemCandidateHintToContext(getProfileContext()));
+}
+
+function shouldRenderUpdatedCustomFieldContext(context) {
+  return getLiveCustomFieldContextKey() === getCustomFieldContextKey(applyGemCandidateHintToContext(context));
+}
+
+function rememberResolvedCandidateIdForContext(context, candidateId = "") {
+  const normalizedCandidateId = String(candidateId || "").trim();
+  if (!normalizedCandidateId || !isLinkedInProfilePage()) {
+    return;
+  }
+  rememberGemCandidateIdForCurrentLinkedInPage(normalizedCandidateId);
+  const liveContext = getProfileContext();
+  const liveKey = getCustomFieldContextKey(applyGemCandidateHintToContext(liveContext));
+  const targetKey = getCustomFieldContextKey({
+    ...(context && typeof context === "object" ? context : {}),
+    gemCandidateId: normalizedCandidateId
+  });
+  if (liveKey && targetKey && liveKey !== targetKey) {
+    setCustomFieldMemoryEntry(
+      {
+        ...(context && typeof context === "object" ? context : {}),
+        gemCandidateId: normalizedCandidateId
+      },
+      getCustomFieldMemoryEntry(context).entry || { candidateId: normalizedCandidateId, customFields: [] }
+    );
+  }
+}
+
+function warmCustomFieldsForContext(context, runId, options = {}) {
+  const baseKey = getCustomFieldContextKey(context);
+  if (!baseKey) {
+    return Promise.resolve(null);
+  }
+  const allowCreate = options.allowCreate !== false;
+  const allowEmptyCandidateCache = Boolean(options.allowEmptyCandidateCache);
+  const key = `${baseKey}|${allowCreate ? "create" : "nocreate"}|${allowEmptyCandidateCache ? "allow-empty" : "candidate-only"}`;
+  if (!options.forceRefresh) {
+    const existingPromise = customFieldWarmPromises.get(key);
+    if (existingPromise) {
+      return existingPromise;
+    }
+  }
+
+  const promise = listCustomFieldsForContext(context, runId, {
+    preferCache: options.preferCache !== false,
+    refreshInBackground: options.refreshInBackground !== false,
+    forceRefresh: Boolean(options.forceRefresh),
+    allowCreate,
+    allowEmptyCandidateCache
+  })
+    .then((data) => {
+      setCustomFieldMemoryEntry(context, data);
+      return data;
+    })
+    .finally(() => {
+      if (customFieldWarmPromises.get(key) === promise) {
+        customFieldWarmPromises.delete(key);
+      }
+    });
+
+  customFieldWarmPromises.set(key, promise);
+  return promise;
+}
+
+function createGemStatusIndicatorStyles() {
+  if (document.getElementById("gls-gem-status-style")) {
     return;
   }
   const style = document.createElement("style");
-  style.id = "gem-actions-style";
+  style.id = "gls-gem-status-style";
   style.textContent = `
-    #gem-actions-overlay {
+    #gls-gem-status-signal {
       position: fixed;
       inset: 0;
-      background: rgba(0, 0, 0, 0.45);
-      z-index: 2147483647;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 16px;
-    }
-    #gem-actions-modal {
-      width: min(780px, 100%);
-      background: #fff;
-      border-radius: 12px;
-      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
-      padding: 16px;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
-      color: #1f2328;
-      position: relative;
-      max-height: min(86vh, 920px);
-      overflow: auto;
-    }
-    #gem-actions-title {
-      font-size: 20px;
-      font-weight: 700;
-      margin-bottom: 6px;
-    }
-    #gem-actions-subtitle {
-      font-size: 13px;
-      color: #4f5358;
-      margin-bottom: 12px;
-    }
-    #gem-actions-list {
-      border: 1px solid #d4dae3;
-      border-radius: 8px;
-      overflow: auto;
-      background: #fff;
-      max-height: 420px;
+      pointer-events: none;
+      z-index: 2147483000;
+      --gls-status-banner-gap: 14px;
+      --gls-status-card-top: 74px;
+      --gls-status-accent: #ff5f67;
+      --gls-status-secondary: #ffb4bc;
+      --gls-status-accent-soft: rgba(255, 95, 103, 0.72);
+      --gls-status-secondary-soft: rgba(255, 180, 188, 0.64);
+      --gls-status-outline: rgba(255, 95, 103, 0.72);
+      --gls-status-surface: rgba(21, 23, 30, 0.98);
+      --gls-status-surface-top: rgba(255, 255, 255, 0.12);
+      --gls-status-shadow: rgba(145, 18, 32, 0.36);
+      --gls-status-text: #fff5f6;
+      --gls-status-frame-opacity: 1;
     }
-    .gem-actions-item {
-      display: flex;
-      align-items: center;
-      gap: 12px;
-      padding: 10px 12px;
-      cursor: pointer;
-      border-bottom: 1px solid #eff2f7;
-      font-size: 14px;
-      line-height: 1.3;
+    #gls-gem-status-signal[hidden] {
+      display: none !important;
     }
-    .gem-actions-item:last-child {
-      border-bottom: none;
-    }
-    .gem-actions-item.active {
-      background: #eaf2fe;
-    }
-    .gem-actions-item.selected {
-      background: #eef6ec;
+    .gls-gem-status-card {
+      position: fixed;
+      top: var(--gls-status-card-top);
+      left: var(--gls-status-banner-gap);
+      z-index: 1;
+      transform: none;
+      max-width: min(460px, calc(100vw - (var(--gls-status-banner-gap) * 2)));
+      padding: 7px 12px;
+      border-radius: 12px;
+      border: 1px solid rgba(255, 255, 255, 0.26);
+      background:
+        linear-gradient(
+          98deg,
+          var(--gls-status-accent) 0,
+          rgba(14, 16, 21, 0.985) 18%,
+          rgba(14, 16, 21, 0.985) 82%,
+          var(--gls-status-secondary) 100%
+        ),
+        var(--gls-status-surface);
+      color: var(--gls-status-text);
+      text-align: left;
+      box-shadow:
+        inset 0 1px 0 rgba(255, 255, 255, 0.2),
+        inset 0 -1px 0 rgba(255, 255, 255, 0.1),
+        0 8px 18px var(--gls-status-shadow),
+        0 0 0 1px rgba(255, 255, 255, 0.12),
+        0 0 28px var(--gls-status-accent),
+        0 0 40px var(--gls-status-secondary);
+      backdrop-filter: none;
+      -webkit-backdrop-filter: none;
     }
-    .gem-actions-item.active.selected {
-      background: #dcebd8;
+    .gls-gem-status-card::before {
+      content: none;
     }
-    .gem-actions-hotkey {
-      min-width: 28px;
-      height: 24px;
-      border: 1px solid #b9c3d3;
-      border-radius: 6px;
-      text-align: center;
-      line-height: 22px;
-      font-weight: 600;
-      color: #2f3a4b;
-      background: #f5f8fc;
-      font-size: 12px;
-      text-transform: uppercase;
-      flex-shrink: 0;
+    .gls-gem-status-card::after {
+      content: none;
     }
-    .gem-actions-main {
-      color: #1f2328;
-      font-weight: 500;
-      min-width: 0;
-      flex: 1;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
+    .gls-gem-status-label {
+      display: none;
     }
-    .gem-actions-meta {
-      font-size: 12px;
-      color: #5b6168;
-      margin-left: auto;
-      flex-shrink: 0;
+    .gls-gem-status-value {
+      max-width: 100%;
+      font-size: clamp(15px, 1vw, 19px);
+      line-height: 1.14;
+      font-weight: 730;
+      letter-spacing: -0.007em;
       white-space: nowrap;
       overflow: hidden;
       text-overflow: ellipsis;
-      max-width: 55%;
-    }
-    .gem-actions-hint {
-      margin-top: 10px;
-      font-size: 12px;
-      color: #5b6168;
-    }
-    .gem-actions-empty {
-      padding: 12px;
-      font-size: 13px;
-      color: #5b6168;
-    }
-    #gem-actions-input, #gem-actions-project-name, #gem-actions-project-description {
-      width: 100%;
-      border: 1px solid #b6beca;
-      border-radius: 8px;
-      padding: 10px 12px;
-      font-size: 14px;
-      color: #1f2328;
-      margin-bottom: 10px;
-      font-family: inherit;
-    }
-    #gem-actions-project-description {
-      min-height: 96px;
-      resize: vertical;
-    }
-    .gem-actions-access-label {
-      display: block;
-      font-size: 13px;
-      font-weight: 600;
-      margin: 2px 0 8px;
-      color: #2a3442;
-    }
-    #gem-actions-access-list {
-      border: 1px solid #d4dae3;
-      border-radius: 8px;
-      overflow: auto;
-      background: #fff;
-      margin-bottom: 8px;
-    }
-    .gem-actions-access-item {
-      padding: 10px 12px;
-      border-bottom: 1px solid #eff2f7;
-      cursor: pointer;
-      display: flex;
-      align-items: center;
-      gap: 10px;
-    }
-    .gem-actions-access-item:last-child {
-      border-bottom: none;
-    }
-    .gem-actions-access-item.selected {
-      background: #eef6ec;
-    }
-    .gem-actions-access-item.active {
-      outline: 1px solid #8db4f4;
-      outline-offset: -1px;
-    }
-    .gem-actions-access-dot {
-      width: 16px;
-      height: 16px;
-      border-radius: 999px;
-      border: 1px solid #bcc6d6;
-      background: #fff;
-      flex-shrink: 0;
-      position: relative;
-    }
-    .gem-actions-access-item.selected .gem-actions-access-dot {
-      border-color: #1e69d2;
-    }
-    .gem-actions-access-item.selected .gem-actions-access-dot::after {
-      content: "";
-      position: absolute;
-      inset: 3px;
-      border-radius: 999px;
-      background: #1e69d2;
-    }
-    .gem-actions-access-content {
-      min-width: 0;
-      flex: 1;
-    }
-    .gem-actions-access-name {
-      font-size: 14px;
-      font-weight: 600;
-      color: #1f2328;
-    }
-    .gem-actions-access-description {
-      font-size: 12px;
-      color: #5b6168;
-      margin-top: 2px;
-    }
-    .gem-actions-access-key {
-      border: 1px solid #b9c3d3;
-      border-radius: 6px;
-      background: #f5f8fc;
-      color: #2f3a4b;
-      font-size: 11px;
-      font-weight: 600;
-      padding: 3px 6px;
-      text-transform: uppercase;
+      text-shadow:
+        0 0 10px var(--gls-status-accent-soft),
+        0 0 14px var(--gls-status-secondary-soft);
     }
-    #gem-actions-confirm-mask {
-      position: absolute;
-      inset: 0;
-      background: rgba(255, 255, 255, 0.92);
-      border-radius: 12px;
+    .gls-gem-status-meta {
       display: none;
-      align-items: center;
-      justify-content: center;
-      padding: 20px;
-      z-index: 6;
-    }
-    #gem-actions-confirm-mask.visible {
-      display: flex;
-    }
-    #gem-actions-confirm-card {
-      width: min(460px, 100%);
-      border: 1px solid #d4dae3;
-      border-radius: 10px;
-      padding: 16px;
-      background: #fff;
-      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
-    }
-    #gem-actions-confirm-title {
-      font-size: 16px;
-      font-weight: 600;
-      color: #1f2328;
-      margin-bottom: 8px;
-    }
-    #gem-actions-confirm-body {
-      font-size: 14px;
-      color: #32363c;
-      margin-bottom: 14px;
-      word-break: break-word;
-      white-space: pre-wrap;
-    }
-    #gem-actions-confirm-actions {
-      display: flex;
-      justify-content: flex-end;
-      gap: 8px;
-    }
-    .gem-actions-confirm-btn {
-      border-radius: 7px;
-      padding: 8px 12px;
-      font-size: 13px;
-      cursor: pointer;
-      border: 1px solid transparent;
-    }
-    #gem-actions-confirm-cancel {
-      border-color: #c4cbd7;
-      background: #fff;
-      color: #1f2328;
-    }
-    #gem-actions-confirm-ok {
-      border-color: #1e69d2;
-      background: #1e69d2;
-      color: #fff;
-    }
-    .gem-actions-status {
-      min-height: 18px;
-      font-size: 12px;
-      color: #5b6168;
-      margin: 4px 0 8px;
     }
-    .gem-actions-status.error {
-      color: #a61d24;
-    }
-    .gem-actions-search-input-row {
-      display: flex;
-      gap: 8px;
-      align-items: center;
-      margin-bottom: 8px;
-    }
-    .gem-actions-tag {
-      display: inline-flex;
-      align-items: center;
-      border: 1px solid #d4dae3;
-      border-radius: 999px;
-      padding: 2px 8px;
-      font-size: 11px;
-      color: #2f3a4b;
-      background: #f8fafe;
-      margin-left: 6px;
+    @media (max-width: 900px) {
+      .gls-gem-status-card {
+        max-width: min(360px, calc(100vw - (var(--gls-status-banner-gap) * 2)));
+        padding: 6px 10px;
+      }
+      .gls-gem-status-value {
+        font-size: clamp(13px, 3.5vw, 16px);
+      }
     }
   `;
   document.documentElement.appendChild(style);
 }
 
-function createAshbyJobPickerStyles() {
-  if (document.getElementById("gem-ashby-job-picker-style")) {
-    return;
+function getLinkedInHeaderBounds() {
+  const candidates = [];
+  const selectors = ["#global-nav", ".global-nav", "header.global-nav", "header[role='banner']"];
+  selectors.forEach((selector) => {
+    document.querySelectorAll(selector).forEach((element) => {
+      if (!element || typeof element.getBoundingClientRect !== "function") {
+        return;
+      }
+      const rect = element.getBoundingClientRect();
+      if (rect.height <= 0 || rect.bottom <= 0) {
+        return;
+      }
+      const style = window.getComputedStyle(element);
+      if (style.display === "none" || style.visibility === "hidden") {
+        return;
+      }
+      const position = String(style.position || "").toLowerCase();
+      if (position === "fixed" || position === "sticky" || rect.top <= 8) {
+        candidates.push({ top: rect.top, bottom: rect.bottom });
+      }
+    });
+  });
+  if (candidates.length === 0) {
+    return { top: 0, bottom: 56 };
   }
-  const style = document.createElement("style");
-  style.id = "gem-ashby-job-picker-style";
-  style.textContent = `
-    #gem-ashby-job-picker-overlay {
-      position: fixed;
-      inset: 0;
-      background: rgba(0, 0, 0, 0.45);
-      z-index: 2147483647;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 16px;
-    }
-    #gem-ashby-job-picker-modal {
-      width: min(680px, 100%);
-      background: #fff;
-      border-radius: 12px;
-      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
-      padding: 16px;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
-      color: #1f2328;
-      position: relative;
-    }
-    #gem-ashby-job-picker-brand {
-      position: absolute;
-      top: 12px;
-      right: 14px;
-      display: inline-flex;
-      align-items: center;
-      gap: 6px;
-      font-size: 12px;
-      color: #4f5358;
-      user-select: none;
-    }
-    #gem-ashby-job-picker-brand-dot {
-      width: 18px;
-      height: 18px;
-      border-radius: 4px;
-      background: #4b3fa8;
-      color: #fff;
-      display: inline-flex;
-      align-items: center;
-      justify-content: center;
-      font-size: 12px;
-      font-weight: 700;
-      line-height: 1;
-    }
-    #gem-ashby-job-picker-title {
-      font-size: 18px;
-      font-weight: 600;
-      margin-bottom: 6px;
-    }
-    #gem-ashby-job-picker-subtitle {
-      font-size: 13px;
-      color: #4f5358;
-      margin-bottom: 12px;
-    }
-    #gem-ashby-job-picker-input {
-      width: 100%;
-      border: 1px solid #b6beca;
-      border-radius: 8px;
-      padding: 10px 12px;
-      font-size: 14px;
-      margin-bottom: 10px;
-    }
-    #gem-ashby-job-picker-results {
-      border: 1px solid #d4dae3;
-      border-radius: 8px;
-      max-height: 280px;
-      overflow: auto;
-      background: #fff;
-    }
-    .gem-ashby-job-picker-item {
-      padding: 10px 12px;
-      cursor: pointer;
-      border-bottom: 1px solid #eff2f7;
-      font-size: 14px;
-      line-height: 1.3;
-      display: flex;
-      justify-content: space-between;
-      gap: 8px;
-    }
-    .gem-ashby-job-picker-item:last-child {
-      border-bottom: none;
-    }
-    .gem-ashby-job-picker-item.active {
-      background: #eaf2fe;
-    }
-    .gem-ashby-job-picker-item-left {
-      display: flex;
-      align-items: center;
-      gap: 10px;
-      min-width: 0;
-      flex: 1;
-    }
-    .gem-ashby-job-picker-item-key {
-      min-width: 22px;
-      height: 22px;
-      border: 1px solid #bcc6d6;
-      border-radius: 6px;
-      background: #f5f8fc;
-      color: #2f3a4b;
-      font-size: 12px;
-      font-weight: 600;
-      line-height: 20px;
-      text-align: center;
-      flex-shrink: 0;
-    }
-    .gem-ashby-job-picker-item-name {
-      min-width: 0;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
-    }
-    .gem-ashby-job-picker-item-status {
-      font-size: 12px;
-      color: #5b6168;
-      white-space: nowrap;
-    }
-    .gem-ashby-job-picker-hint {
-      margin-top: 10px;
-      font-size: 12px;
-      color: #5b6168;
-      display: flex;
-      align-items: center;
-      gap: 10px;
-    }
-    .gem-ashby-job-picker-empty {
-      padding: 12px;
-      font-size: 13px;
-      color: #5b6168;
-    }
-    #gem-ashby-job-picker-confirm-mask {
-      position: absolute;
-      inset: 0;
-      background: rgba(255, 255, 255, 0.92);
-      border-radius: 12px;
-      display: none;
-      align-items: center;
-      justify-content: center;
-      padding: 20px;
-      z-index: 5;
-    }
-    #gem-ashby-job-picker-confirm-mask.visible {
-      display: flex;
-    }
-    #gem-ashby-job-picker-confirm-card {
-      width: min(440px, 100%);
-      border: 1px solid #d4dae3;
-      border-radius: 10px;
-      padding: 16px;
-      background: #fff;
-      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
-    }
-    #gem-ashby-job-picker-confirm-title {
-      font-size: 16px;
-      font-weight: 600;
-      color: #1f2328;
-      margin-bottom: 8px;
-    }
-    #gem-ashby-job-picker-confirm-body {
-      font-size: 14px;
-      color: #32363c;
-      margin-bottom: 14px;
-      word-break: break-word;
-    }
-    #gem-ashby-job-picker-confirm-actions {
-      display: flex;
-      justify-content: flex-end;
-      gap: 8px;
-    }
-    .gem-ashby-job-picker-confirm-btn {
-      border-radius: 7px;
-      padding: 8px 12px;
-      font-size: 13px;
-      cursor: pointer;
-      border: 1px solid transparent;
-    }
-    #gem-ashby-job-picker-confirm-cancel {
-      border-color: #c4cbd7;
-      background: #fff;
-      color: #1f2328;
-    }
-    #gem-ashby-job-picker-confirm-ok {
-      border-color: #4b3fa8;
-      background: #4b3fa8;
-      color: #fff;
-    }
-  `;
-  document.documentElement.appendChild(style);
+  const minTop = Math.min(...candidates.map((candidate) => candidate.top));
+  const maxBottom = Math.max(...candidates.map((candidate) => candidate.bottom));
+  return {
+    top: Math.max(0, Math.min(60, Math.round(minTop))),
+    bottom: Math.max(44, Math.min(180, Math.round(maxBottom)))
+  };
 }
 
-function createCandidateNotePickerStyles() {
-  if (document.getElementById("gem-candidate-note-picker-style")) {
+function applyGemStatusLayout() {
+  if (!gemStatusIndicatorElements?.root) {
     return;
   }
-  const style = document.createElement("style");
-  style.id = "gem-candidate-note-picker-style";
-  style.textContent = `
-    #gem-candidate-note-picker-overlay {
-      position: fixed;
-      inset: 0;
-      background: rgba(0, 0, 0, 0.45);
-      z-index: 2147483647;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 16px;
-    }
-    #gem-candidate-note-picker-modal {
-      width: min(680px, 100%);
-      background: #fff;
-      border-radius: 12px;
-      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
-      padding: 16px;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
-      color: #1f2328;
-      position: relative;
-    }
-    #gem-candidate-note-picker-title {
-      font-size: 18px;
-      font-weight: 600;
-      margin-bottom: 6px;
-    }
-    #gem-candidate-note-picker-subtitle {
-      font-size: 13px;
-      color: #4f5358;
-      margin-bottom: 12px;
-    }
-    #gem-candidate-note-picker-input {
-      width: 100%;
-      min-height: 132px;
-      max-height: 280px;
-      border: 1px solid #b6beca;
-      border-radius: 8px;
-      padding: 10px 12px;
-      font-size: 14px;
-      line-height: 1.4;
-      resize: vertical;
-      color: #1f2328;
-      font-family: inherit;
-    }
-    #gem-candidate-note-picker-meta {
-      margin-top: 6px;
-      margin-bottom: 8px;
-      font-size: 12px;
-      color: #5b6168;
-      text-align: right;
-    }
-    #gem-candidate-note-picker-error {
-      min-height: 18px;
-      font-size: 12px;
-      color: #a61d24;
-      margin-bottom: 6px;
-    }
-    .gem-candidate-note-picker-hint {
-      margin-top: 4px;
-      font-size: 12px;
-      color: #5b6168;
-      display: flex;
-      align-items: center;
-      gap: 10px;
-    }
-    #gem-candidate-note-picker-confirm-mask {
-      position: absolute;
-      inset: 0;
-      background: rgba(255, 255, 255, 0.92);
-      border-radius: 12px;
-      display: none;
-      align-items: center;
-      justify-content: center;
-      padding: 20px;
-      z-index: 5;
-    }
-    #gem-candidate-note-picker-confirm-mask.visible {
-      display: flex;
-    }
-    #gem-candidate-note-picker-confirm-card {
-      width: min(440px, 100%);
-      border: 1px solid #d4dae3;
-      border-radius: 10px;
-      padding: 16px;
-      background: #fff;
-      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
-    }
-    #gem-candidate-note-picker-confirm-title {
-      font-size: 16px;
-      font-weight: 600;
-      color: #1f2328;
-      margin-bottom: 8px;
-    }
-    #gem-candidate-note-picker-confirm-body {
-      font-size: 14px;
-      color: #32363c;
-      margin-bottom: 14px;
-      word-break: break-word;
-      white-space: pre-wrap;
-      max-height: 220px;
-      overflow: auto;
-    }
-    #gem-candidate-note-picker-confirm-actions {
-      display: flex;
-      justify-content: flex-end;
-      gap: 8px;
-    }
-    .gem-candidate-note-picker-confirm-btn {
-      border-radius: 7px;
-      padding: 8px 12px;
-      font-size: 13px;
-      cursor: pointer;
-      border: 1px solid transparent;
-    }
-    #gem-candidate-note-picker-confirm-cancel {
-      border-color: #c4cbd7;
-      background: #fff;
-      color: #1f2328;
-    }
-    #gem-candidate-note-picker-confirm-ok {
-      border-color: #4b3fa8;
-      background: #4b3fa8;
-      color: #fff;
-    }
-  `;
-  document.documentElement.appendChild(style);
+  const gap = window.innerWidth <= 900 ? 8 : 10;
+  const headerBounds = getLinkedInHeaderBounds();
+  const cardTop = headerBounds.top + gap;
+  gemStatusIndicatorElements.root.style.setProperty("--gls-status-banner-gap", `${gap}px`);
+  gemStatusIndicatorElements.root.style.setProperty("--gls-status-card-top", `${cardTop}px`);
 }
 
-function createSequencePickerStyles() {
-  if (document.getElementById("gem-sequence-picker-style")) {
-    return;
+function ensureGemStatusIndicatorElements() {
+  if (gemStatusIndicatorElements?.root?.isConnected) {
+    return gemStatusIndicatorElements;
   }
-  const style = document.createElement("style");
-  style.id = "gem-sequence-picker-style";
-  style.textContent = `
-    #gem-sequence-picker-overlay {
-      position: fixed;
-      inset: 0;
-      background: rgba(0, 0, 0, 0.45);
-      z-index: 2147483647;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 16px;
-    }
-    #gem-sequence-picker-modal {
-      width: min(760px, 100%);
-      background: #fff;
-      border-radius: 12px;
-      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
-      padding: 16px;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
-      color: #1f2328;
-    }
-    #gem-sequence-picker-title {
-      font-size: 20px;
-      font-weight: 700;
-      margin-bottom: 6px;
-    }
-    #gem-sequence-picker-subtitle {
-      font-size: 13px;
-      color: #4f5358;
-      margin-bottom: 12px;
-    }
-    #gem-sequence-picker-results {
-      border: 1px solid #d4dae3;
-      border-radius: 8px;
-      max-height: 340px;
-      overflow: auto;
-      background: #fff;
-    }
-    .gem-sequence-picker-item {
-      display: flex;
-      align-items: center;
-      gap: 12px;
-      padding: 10px 12px;
-      cursor: pointer;
-      border-bottom: 1px solid #eff2f7;
-      font-size: 14px;
-      line-height: 1.3;
-    }
-    .gem-sequence-picker-item:last-child {
-      border-bottom: none;
-    }
-    .gem-sequence-picker-item.active {
-      background: #eaf2fe;
-    }
-    .gem-sequence-picker-hotkey {
-      min-width: 28px;
-      height: 24px;
-      border: 1px solid #b9c3d3;
-      border-radius: 6px;
-      text-align: center;
-      line-height: 22px;
-      font-weight: 600;
-      color: #2f3a4b;
-      background: #f5f8fc;
-      font-size: 12px;
-      text-transform: uppercase;
-      flex-shrink: 0;
-    }
-    .gem-sequence-picker-name {
-      color: #1f2328;
-      font-weight: 500;
-      flex: 1;
-      min-width: 0;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
-    }
-    .gem-sequence-picker-meta {
-      font-size: 12px;
-      color: #5b6168;
-      flex-shrink: 0;
-    }
-    .gem-sequence-picker-hint {
-      margin-top: 10px;
-      font-size: 12px;
-      color: #5b6168;
-    }
-    .gem-sequence-picker-empty {
-      padding: 12px;
-      font-size: 13px;
-      color: #5b6168;
-    }
-    #gem-sequence-picker-page {
-      margin-top: 8px;
-      font-size: 12px;
-      color: #5b6168;
-    }
-  `;
-  document.documentElement.appendChild(style);
+  createGemStatusIndicatorStyles();
+  const root = document.createElement("div");
+  root.id = "gls-gem-status-signal";
+  root.hidden = true;
+
+  const card = document.createElement("div");
+  card.className = "gls-gem-status-card";
+  card.setAttribute("role", "status");
+  card.setAttribute("aria-live", "polite");
+
+  const value = document.createElement("div");
+  value.className = "gls-gem-status-value";
+
+  card.appendChild(value);
+  root.appendChild(card);
+
+  (document.body || document.documentElement).appendChild(root);
+  gemStatusIndicatorElements = { root, card, value };
+  if (!gemStatusLayoutWatcherBound) {
+    gemStatusLayoutWatcherBound = true;
+    window.addEventListener(
+      "resize",
+      () => {
+        if (!gemStatusIndicatorElements?.root || gemStatusIndicatorElements.root.hidden) {
+          return;
+        }
+        applyGemStatusLayout();
+      },
+      { passive: true }
+    );
+  }
+  return gemStatusIndicatorElements;
+}
+
+function hideGemStatusIndicator() {
+  if (!gemStatusIndicatorElements?.root) {
+    return;
+  }
+  gemStatusIndicatorElements.root.hidden = true;
+}
+
+function clearGemStatusBootstrapTimers() {
+  if (!Array.isArray(gemStatusBootstrapTimerIds) || gemStatusBootstrapTimerIds.length === 0) {
+    return;
+  }
+  gemStatusBootstrapTimerIds.forEach((timerId) => window.clearTimeout(timerId));
+  gemStatusBootstrapTimerIds = [];
+}
+
+function scheduleGemStatusLiveRefresh(delayMs = 0) {
+  gemStatusLiveRefreshNextAtMs = Date.now() + Math.max(0, Number(delayMs) || 0);
+}
+
+function getGemStatusLiveRefreshIntervalMs() {
+  return document.visibilityState === "visible"
+    ? GEM_STATUS_LIVE_REFRESH_VISIBLE_MS
+    : GEM_STATUS_LIVE_REFRESH_HIDDEN_MS;
+}
+
+function scheduleGemStatusBootstrapRefreshes(contextHint = null, options = {}) {
+  clearGemStatusBootstrapTimers();
+  const settings = cachedSettings;
+  if (!settings?.enabled || !isCurrentGemStatusDisplayEnabled(settings) || !isLinkedInProfilePage()) {
+    return;
+  }
+  const hintedContextKey = getCustomFieldContextKey(contextHint);
+  const forceRefresh = Boolean(options.forceRefresh);
+  const requestedDelayMs = Number(options.delayMs);
+  const hasResolvableIdentity = contextHasResolvedLinkedInStatusIdentity(contextHint || getProfileContext());
+  const delayMs = Number.isFinite(requestedDelayMs)
+    ? Math.max(0, requestedDelayMs)
+    : hasResolvableIdentity
+      ? LINKEDIN_PAGE_CHANGE_REFRESH_DELAY_MS
+      : LINKEDIN_PAGE_CHANGE_IDENTITY_RETRY_DELAY_MS;
+  const timerId = window.setTimeout(() => {
+    const liveSettings = cachedSettings;
+    if (!liveSettings?.enabled || !isCurrentGemStatusDisplayEnabled(liveSettings) || !isLinkedInProfilePage()) {
+      return;
+    }
+    const liveContext = getProfileContext();
+    const liveContextKey = getCustomFieldContextKey(liveContext);
+    const effectiveContext = hintedContextKey && hintedContextKey === liveContextKey ? contextHint : liveContext;
+    refreshGemStatusIndicator({
+      context: effectiveContext,
+      runId: generateRunId(),
+      forceRefresh
+    }).catch(() => {});
+  }, delayMs);
+  gemStatusBootstrapTimerIds.push(timerId);
+}
+
+function scheduleLinkedInStatusRetry(contextHint = null, options = {}) {
+  const context = contextHint && typeof contextHint === "object" ? contextHint : getProfileContext();
+  const contextKey = getCustomFieldContextKey(context);
+  if (!contextKey) {
+    return false;
+  }
+  if (linkedInStatusRetryContextKey !== contextKey) {
+    linkedInStatusRetryContextKey = contextKey;
+    linkedInStatusRetryCount = 0;
+  }
+  const retryDelayMs = LINKEDIN_STATUS_RETRY_DELAYS_MS[linkedInStatusRetryCount];
+  if (!Number.isFinite(retryDelayMs)) {
+    return false;
+  }
+  linkedInStatusRetryCount += 1;
+  scheduleGemStatusBootstrapRefreshes(context, {
+    delayMs: Number.isFinite(Number(options.delayMs))
+      ? Math.max(0, Number(options.delayMs))
+      : retryDelayMs,
+    forceRefresh: options.forceRefresh !== false
+  });
+  return true;
+}
+
+function maybeRefreshGemStatusLive(options = {}) {
+  if (!cachedSettings) {
+    return;
+  }
+  const settings = cachedSettings;
+  if (!settings.enabled || !isCurrentGemStatusDisplayEnabled(settings) || !isLinkedInProfilePage()) {
+    return;
+  }
+  const force = Boolean(options.force);
+  if (!force && gemStatusLiveRefreshNextAtMs && Date.now() < gemStatusLiveRefreshNextAtMs) {
+    return;
+  }
+  if (gemStatusLiveRefreshInFlight) {
+    return;
+  }
+  const context = applyGemCandidateHintToContext(options.context || getProfileContext());
+  if (!contextHasResolvedLinkedInStatusIdentity(context)) {
+    refreshProfileIdentityFromDom({ force: true });
+    scheduleGemStatusLiveRefresh(LINKEDIN_PAGE_CHANGE_IDENTITY_RETRY_DELAY_MS);
+    return;
+  }
+
+  gemStatusLiveRefreshInFlight = true;
+  refreshGemStatusIndicator({
+    context,
+    runId: options.runId || generateRunId(),
+    forceRefresh: Boolean(options.forceRefresh)
+  })
+    .then(() => {
+      gemStatusLiveRefreshFailureStreak = 0;
+    })
+    .catch(() => {
+      gemStatusLiveRefreshFailureStreak = Math.min(gemStatusLiveRefreshFailureStreak + 1, 6);
+    })
+    .finally(() => {
+      gemStatusLiveRefreshInFlight = false;
+      scheduleGemStatusLiveRefresh(getGemStatusLiveRefreshIntervalMs());
+    });
+}
+
+function resetGemStatusIndicator() {
+  gemStatusIndicatorRequestId += 1;
+  hideGemStatusIndicator();
+  clearGemStatusBootstrapTimers();
+  pruneOptimisticGemStatusCache();
+  if (linkedInPageChangeTimerId) {
+    window.clearTimeout(linkedInPageChangeTimerId);
+    linkedInPageChangeTimerId = 0;
+  }
+  gemStatusLiveRefreshInFlight = false;
+  gemStatusLiveRefreshNextAtMs = 0;
+  gemStatusLiveRefreshFailureStreak = 0;
+  gemStatusRefreshInFlightPromise = null;
+  gemStatusRefreshInFlightContextKey = "";
+  gemStatusRefreshInFlightForce = false;
+  linkedInStatusRetryCount = 0;
+  linkedInStatusRetryContextKey = "";
+}
+
+function getGemStatusPalette(statusText, hasValue) {
+  const normalized = normalizeStatusTextToken(statusText);
+  const matchKey = normalizeStatusMatchKey(statusText);
+  if (!hasValue) {
+    return {
+      tone: "neutral",
+      accent: "#96a3b8",
+      accentSecondary: "#d6deea",
+      accentSoft: "rgba(150, 163, 184, 0.16)",
+      accentSecondarySoft: "rgba(214, 222, 234, 0.14)",
+      outline: "rgba(198, 209, 226, 0.46)",
+      surface: "rgba(28, 34, 44, 0.8)",
+      surfaceTop: "rgba(255, 255, 255, 0.08)",
+      shadow: "rgba(15, 23, 42, 0.18)",
+      text: "#f8fafc",
+      frameOpacity: "0.76"
+    };
+  }
+  const exactPaletteByStatus = {
+    "reviewed accepted": {
+      tone: "reviewed-accepted",
+      accent: "#2fd07f",
+      accentSecondary: "#9af2c7",
+      accentSoft: "rgba(47, 208, 127, 0.22)",
+      accentSecondarySoft: "rgba(154, 242, 199, 0.16)",
+      outline: "rgba(120, 236, 178, 0.62)",
+      surface: "rgba(12, 43, 29, 0.8)",
+      surfaceTop: "rgba(255, 255, 255, 0.12)",
+      shadow: "rgba(8, 74, 46, 0.34)",
+      text: "#effff7",
+      frameOpacity: "0.96"
+    },
+    "reviewed rejected": {
+      tone: "reviewed-rejected",
+      accent: "#ff5e74",
+      accentSecondary: "#ffb0ba",
+      accentSoft: "rgba(255, 94, 116, 0.24)",
+      accentSecondarySoft: "rgba(255, 176, 186, 0.16)",
+      outline: "rgba(255, 128, 147, 0.66)",
+      surface: "rgba(52, 16, 27, 0.82)",
+      surfaceTop: "rgba(255, 255, 255, 0.12)",
+      shadow: "rgba(122, 19, 42, 0.36)",
+      text: "#fff4f6",
+      frameOpacity: "0.97"
+    },
+    "applied in review": {
+      tone: "applied-in-review",
+      accent: "#8b96ad",
+      accentSecondary: "#d8deea",
+      accentSoft: "rgba(139, 150, 173, 0.2)",
+      accentSecondarySoft: "rgba(216, 222, 234, 0.16)",
+      outline: "rgba(196, 205, 223, 0.56)",
+      surface: "rgba(31, 37, 48, 0.82)",
+      surfaceTop: "rgba(255, 255, 255, 0.12)",
+      shadow: "rgba(16, 22, 34, 0.34)",
+      text: "#f6f8fc",
+      frameOpacity: "0.93"
+    },
+    hired: {
+      tone: "hired",
+      accent: "#98a2b8",
+      accentSecondary: "#33d17f",
+      accentSoft: "rgba(152, 162, 184, 0.18)",
+      accentSecondarySoft: "rgba(51, 209, 127, 0.2)",
+      outline: "rgba(171, 224, 197, 0.56)",
+      surface: "rgba(27, 35, 39, 0.82)",
+      surfaceTop: "rgba(255, 255, 255, 0.12)",
+      shadow: "rgba(9, 44, 28, 0.34)",
+      text: "#f1fff7",
+      frameOpacity: "0.96"
+    },
+    interviewing: {
+      tone: "interviewing",
+      accent: "#98a2b8",
+      accentSecondary: "#49a6ff",
+      accentSoft: "rgba(152, 162, 184, 0.18)",
+      accentSecondarySoft: "rgba(73, 166, 255, 0.22)",
+      outline: "rgba(151, 201, 245, 0.56)",
+      surface: "rgba(25, 33, 45, 0.82)",
+      surfaceTop: "rgba(255, 255, 255, 0.12)",
+      shadow: "rgba(11, 48, 94, 0.34)",
+      text: "#f2f9ff",
+      frameOpacity: "0.95"
+    },
+    "rejected us": {
+      tone: "rejected-us",
+      accent: "#98a2b8",
+      accentSecondary: "#ffaf4f",
+      accentSoft: "rgba(152, 162, 184, 0.18)",
+      accentSecondarySoft: "rgba(255, 175, 79, 0.22)",
+      outline: "rgba(240, 190, 129, 0.56)",
+      surface: "rgba(39, 32, 23, 0.82)",
+      surfaceTop: "rgba(255, 255, 255, 0.12)",
+      shadow: "rgba(117, 72, 17, 0.34)",
+      text: "#fff9f2",
+      frameOpacity: "0.95"
+    },
+    "we rejected": {
+      tone: "we-rejected",
+      accent: "#98a2b8",
+      accentSecondary: "#ff6678",
+      accentSoft: "rgba(152, 162, 184, 0.18)",
+      accentSecondarySoft: "rgba(255, 102, 120, 0.22)",
+      outline: "rgba(238, 151, 164, 0.56)",
+      surface: "rgba(45, 24, 31, 0.82)",
+      surfaceTop: "rgba(255, 255, 255, 0.12)",
+      shadow: "rgba(122, 24, 44, 0.34)",
+      text: "#fff5f7",
+      frameOpacity: "0.96"
+    }
+  };
+  if (exactPaletteByStatus[matchKey]) {
+    return exactPaletteByStatus[matchKey];
+  }
+  if (/(^|[^a-z])(dnc|do not contact|do-not-contact|don't contact|dont contact|no contact|opt out|opt-out|unsubscribe|blocked|blacklist)([^a-z]|$)/.test(normalized)) {
+    return {
+      tone: "danger",
+      accent: "#ff5f67",
+      accentSecondary: "#ffb7bf",
+      accentSoft: "rgba(255, 95, 103, 0.24)",
+      accentSecondarySoft: "rgba(255, 183, 191, 0.16)",
+      outline: "rgba(255, 95, 103, 0.76)",
+      surface: "rgba(86, 12, 22, 0.82)",
+      surfaceTop: "rgba(255, 255, 255, 0.12)",
+      shadow: "rgba(145, 18, 32, 0.36)",
+      text: "#fff5f6",
+      frameOpacity: "1"
+    };
+  }
+  if (/(on hold|hold|paused|pause|cooldown|later|nurture|waiting|not now|rejected|rejection|pass)([^a-z]|$)/.test(normalized)) {
+    return {
+      tone: "caution",
+      accent: "#ffb020",
+      accentSecondary: "#ffd28a",
+      accentSoft: "rgba(255, 176, 32, 0.22)",
+      accentSecondarySoft: "rgba(255, 210, 138, 0.16)",
+      outline: "rgba(255, 176, 32, 0.68)",
+      surface: "rgba(73, 44, 2, 0.8)",
+      surfaceTop: "rgba(255, 255, 255, 0.1)",
+      shadow: "rgba(140, 95, 10, 0.28)",
+      text: "#fff9ef",
+      frameOpacity: "0.9"
+    };
+  }
+  if (/(interested|engaged|active process|interview|ready|approved|priority|top target|move forward|moving forward)([^a-z]|$)/.test(normalized)) {
+    return {
+      tone: "positive",
+      accent: "#1fce78",
+      accentSecondary: "#8bf0be",
+      accentSoft: "rgba(31, 206, 120, 0.22)",
+      accentSecondarySoft: "rgba(139, 240, 190, 0.16)",
+      outline: "rgba(31, 206, 120, 0.66)",
+      surface: "rgba(7, 61, 35, 0.8)",
+      surfaceTop: "rgba(255, 255, 255, 0.1)",
+      shadow: "rgba(10, 116, 61, 0.28)",
+      text: "#effff6",
+      frameOpacity: "0.9"
+    };
+  }
+  if (/(contacted|reached out|outreach|sequence|sequenced|new lead|new|sourced|screen|pipeline|active)([^a-z]|$)/.test(normalized)) {
+    return {
+      tone: "info",
+      accent: "#3aa0ff",
+      accentSecondary: "#9fd2ff",
+      accentSoft: "rgba(58, 160, 255, 0.22)",
+      accentSecondarySoft: "rgba(159, 210, 255, 0.16)",
+      outline: "rgba(58, 160, 255, 0.66)",
+      surface: "rgba(9, 38, 82, 0.82)",
+      surfaceTop: "rgba(255, 255, 255, 0.1)",
+      shadow: "rgba(10, 63, 135, 0.28)",
+      text: "#eef7ff",
+      frameOpacity: "0.9"
+    };
+  }
+  return {
+    tone: "neutral",
+    accent: "#b7c2d8",
+    accentSecondary: "#eef3ff",
+    accentSoft: "rgba(183, 194, 216, 0.14)",
+    accentSecondarySoft: "rgba(238, 243, 255, 0.12)",
+    outline: "rgba(183, 194, 216, 0.48)",
+    surface: "rgba(28, 36, 47, 0.8)",
+    surfaceTop: "rgba(255, 255, 255, 0.08)",
+    shadow: "rgba(15, 23, 42, 0.2)",
+    text: "#f8fafc",
+    frameOpacity: "0.8"
+  };
+}
+
+function findGemStatusField(customFields) {
+  const fields = normalizeCustomFieldsForPicker(customFields);
+  if (fields.length === 0) {
+    return null;
+  }
+  const exactMatches = fields.filter((field) => normalizeStatusTextToken(field.name) === "status");
+  const fuzzyMatches = exactMatches.length > 0
+    ? exactMatches
+    : fields.filter((field) => normalizeStatusTextToken(field.name).startsWith("status"));
+  if (fuzzyMatches.length === 0) {
+    return null;
+  }
+  return fuzzyMatches
+    .slice()
+    .sort((left, right) => {
+      const leftScore = (left.currentValueLabels?.length ? 4 : 0) + (left.scope === "team" ? 2 : 0) + (left.scope === "project" ? 1 : 0);
+      const rightScore = (right.currentValueLabels?.length ? 4 : 0) + (right.scope === "team" ? 2 : 0) + (right.scope === "project" ? 1 : 0);
+      if (leftScore !== rightScore) {
+        return rightScore - leftScore;
+      }
+      return String(left.name || "").localeCompare(String(right.name || ""));
+    })[0];
+}
+
+function renderGemStatusIndicator(context, data) {
+  if (isBootstrapManagedLinkedInPage()) {
+    hideGemStatusIndicator();
+    return;
+  }
+  const displayMode = getCurrentGemStatusDisplayMode();
+  if (!isGemStatusDisplayEnabled(displayMode)) {
+    hideGemStatusIndicator();
+    return;
+  }
+  const candidateId = String(data?.candidateId || "").trim();
+  if (!candidateId) {
+    hideGemStatusIndicator();
+    return;
+  }
+  rememberGemCandidateIdForCurrentLinkedInPage(candidateId);
+  const labels = getStatusLabelsFromCustomFieldData(data);
+  const hasValue = labels.length > 0;
+  const statusText = hasValue ? summarizeStatusLabels(labels, 3) : "Not set";
+  const palette = getGemStatusPalette(statusText, hasValue);
+  const elements = ensureGemStatusIndicatorElements();
+  elements.root.style.setProperty("--gls-status-accent", palette.accent);
+  elements.root.style.setProperty("--gls-status-secondary", palette.accentSecondary || palette.accent);
+  elements.root.style.setProperty("--gls-status-accent-soft", palette.accentSoft);
+  elements.root.style.setProperty(
+    "--gls-status-secondary-soft",
+    palette.accentSecondarySoft || palette.accentSoft
+  );
+  elements.root.style.setProperty("--gls-status-outline", palette.outline);
+  elements.root.style.setProperty("--gls-status-surface", palette.surface);
+  elements.root.style.setProperty("--gls-status-surface-top", palette.surfaceTop);
+  elements.root.style.setProperty("--gls-status-shadow", palette.shadow);
+  elements.root.style.setProperty("--gls-status-text", palette.text);
+  elements.root.style.setProperty("--gls-status-frame-opacity", palette.frameOpacity);
+  applyGemStatusLayout();
+  elements.value.textContent = statusText;
+  elements.root.hidden = false;
+}
+
+async function refreshGemStatusIndicator(options = {}) {
+  if (isBootstrapManagedLinkedInPage()) {
+    hideGemStatusIndicator();
+    return;
+  }
+  const settings = cachedSettings || DEFAULT_SETTINGS;
+  const context = applyGemCandidateHintToContext(options.context || getProfileContext());
+  const isStatusEnabled = Boolean(settings.enabled) && isCurrentGemStatusDisplayEnabled(settings);
+  if (!isStatusEnabled || !isLinkedInProfilePage()) {
+    resetGemStatusIndicator();
+    return;
+  }
+  if (!contextHasResolvedLinkedInStatusIdentity(context)) {
+    hideGemStatusIndicator();
+    return;
+  }
+
+  const contextKey = getCustomFieldContextKey(context);
+  if (!contextKey) {
+    hideGemStatusIndicator();
+    return;
+  }
+
+  const memoryEntry = getCustomFieldMemoryEntry(context);
+  const memoryCandidateId = String(memoryEntry.entry?.candidateId || "").trim();
+  const memoryHasStatusField = Boolean(findGemStatusField(memoryEntry.entry?.customFields));
+  const optimisticEntry = getOptimisticGemStatusSelection(context, memoryCandidateId);
+  if (optimisticEntry) {
+    renderGemStatusIndicator(context, buildOptimisticGemStatusData(context, optimisticEntry, optimisticEntry.candidateId));
+  } else if (memoryEntry.entry && memoryCandidateId) {
+    renderGemStatusIndicator(context, memoryEntry.entry);
+  } else {
+    hideGemStatusIndicator();
+  }
+
+  const forceRefresh = Boolean(options.forceRefresh);
+  if (
+    gemStatusRefreshInFlightPromise &&
+    gemStatusRefreshInFlightContextKey === contextKey &&
+    (gemStatusRefreshInFlightForce || !forceRefresh)
+  ) {
+    await gemStatusRefreshInFlightPromise;
+    return;
+  }
+
+  const requestId = ++gemStatusIndicatorRequestId;
+  const refreshPromise = warmCustomFieldsForContext(context, options.runId || generateRunId(), {
+      preferCache: !forceRefresh,
+      refreshInBackground: !forceRefresh,
+      forceRefresh,
+      allowCreate: false
+    })
+    .then((data) => {
+      if (requestId !== gemStatusIndicatorRequestId) {
+        return;
+      }
+      const liveContextKey = getCustomFieldContextKey(applyGemCandidateHintToContext(getProfileContext()));
+      if (liveContextKey !== contextKey || !cachedSettings?.enabled || !isCurrentGemStatusDisplayEnabled(cachedSettings) || !isLinkedInProfilePage()) {
+        return;
+      }
+      const resolvedCandidateId = String(data?.candidateId || "").trim();
+      const hasStatusField = Boolean(findGemStatusField(data?.customFields));
+      const liveOptimisticEntry = getOptimisticGemStatusSelection(context, resolvedCandidateId);
+      if (shouldPreferOptimisticGemStatusData(data, liveOptimisticEntry)) {
+        renderGemStatusIndicator(
+          context,
+          buildOptimisticGemStatusData(context, liveOptimisticEntry, liveOptimisticEntry?.candidateId || resolvedCandidateId)
+        );
+      } else {
+        if (liveOptimisticEntry) {
+          clearOptimisticGemStatusSelection(context, liveOptimisticEntry.candidateId || resolvedCandidateId);
+        }
+        renderGemStatusIndicator(context, data);
+      }
+      if (resolvedCandidateId && hasStatusField) {
+        linkedInStatusRetryCount = 0;
+        linkedInStatusRetryContextKey = "";
+        return;
+      }
+      scheduleLinkedInStatusRetry(context, { forceRefresh: true });
+    })
+    .catch((_error) => {
+      if (requestId === gemStatusIndicatorRequestId) {
+        if (!(optimisticEntry || (memoryEntry.entry && memoryCandidateId))) {
+          hideGemStatusIndicator();
+        }
+        scheduleLinkedInStatusRetry(context, { forceRefresh: true });
+      }
+      throw _error;
+    });
+
+  gemStatusRefreshInFlightPromise = refreshPromise;
+  gemStatusRefreshInFlightContextKey = contextKey;
+  gemStatusRefreshInFlightForce = forceRefresh;
+
+  try {
+    await refreshPromise;
+  } finally {
+    if (gemStatusRefreshInFlightPromise === refreshPromise) {
+      gemStatusRefreshInFlightPromise = null;
+      gemStatusRefreshInFlightContextKey = "";
+      gemStatusRefreshInFlightForce = false;
+    }
+  }
+}
+
+function getCandidateEmailMemoryEntry(context) {
+  const key = getCustomFieldContextKey(context);
+  if (!key) {
+    return { key: "", entry: null, isFresh: false };
+  }
+  const entry = candidateEmailMemoryCache.get(key) || null;
+  if (!entry) {
+    return { key, entry: null, isFresh: false };
+  }
+  return {
+    key,
+    entry,
+    isFresh: Date.now() - Number(entry.fetchedAt || 0) <= CANDIDATE_EMAIL_MEMORY_TTL_MS
+  };
+}
+
+function setCandidateEmailMemoryEntry(context, data) {
+  const key = getCustomFieldContextKey(context);
+  if (!key) {
+    return;
+  }
+  const emails = normalizeCandidateEmailsForPicker(data?.emails);
+  const primaryEmail = normalizeEmailAddressForPicker(data?.primaryEmail || getPrimaryEmailForPicker(emails));
+  candidateEmailMemoryCache.delete(key);
+  candidateEmailMemoryCache.set(key, {
+    fetchedAt: Date.now(),
+    candidateId: String(data?.candidateId || ""),
+    emails,
+    primaryEmail
+  });
+  while (candidateEmailMemoryCache.size > CANDIDATE_EMAIL_MEMORY_CACHE_LIMIT) {
+    const oldestKey = candidateEmailMemoryCache.keys().next().value;
+    if (!oldestKey) {
+      break;
+    }
+    candidateEmailMemoryCache.delete(oldestKey);
+  }
+}
+
+function warmCandidateEmailsForContext(context, runId, options = {}) {
+  const baseKey = getCustomFieldContextKey(context);
+  if (!baseKey) {
+    return Promise.resolve(null);
+  }
+  const allowCreate = options.allowCreate !== false;
+  const key = `${baseKey}|${allowCreate ? "create" : "nocreate"}`;
+  if (!options.forceRefresh) {
+    const existingPromise = candidateEmailWarmPromises.get(key);
+    if (existingPromise) {
+      return existingPromise;
+    }
+  }
+
+  const promise = listCandidateEmailsForContext(context, runId, {
+    preferCache: options.preferCache !== false,
+    refreshInBackground: options.refreshInBackground !== false,
+    forceRefresh: Boolean(options.forceRefresh),
+    allowCreate
+  })
+    .then((data) => {
+      setCandidateEmailMemoryEntry(context, data);
+      return data;
+    })
+    .finally(() => {
+      if (candidateEmailWarmPromises.get(key) === promise) {
+        candidateEmailWarmPromises.delete(key);
+      }
+    });
+
+  candidateEmailWarmPromises.set(key, promise);
+  return promise;
+}
+
+function syncLinkedInGemStatusForCurrentPage(options = {}) {
+  if (isBootstrapManagedLinkedInPage()) {
+    hideGemStatusIndicator();
+    return;
+  }
+  const settings = cachedSettings;
+  if (!settings?.enabled || !isLinkedInProfilePage()) {
+    resetGemStatusIndicator();
+    return;
+  }
+  if (!isCurrentGemStatusDisplayEnabled(settings)) {
+    resetGemStatusIndicator();
+    return;
+  }
+
+  refreshProfileIdentityFromDom({ force: Boolean(options.forceIdentity) });
+  const context = applyGemCandidateHintToContext(getProfileContext());
+  const hasResolvedIdentity = contextHasResolvedLinkedInStatusIdentity(context);
+  if (!hasResolvedIdentity) {
+    hideGemStatusIndicator();
+    clearGemStatusBootstrapTimers();
+    scheduleGemStatusLiveRefresh(LINKEDIN_PAGE_CHANGE_IDENTITY_RETRY_DELAY_MS);
+    return;
+  }
+  const memoryEntry = getCustomFieldMemoryEntry(context);
+  const memoryCandidateId = String(memoryEntry.entry?.candidateId || "").trim();
+  const memoryHasStatusField = Boolean(findGemStatusField(memoryEntry.entry?.customFields));
+  const optimisticEntry = getOptimisticGemStatusSelection(context, memoryCandidateId);
+  if (optimisticEntry) {
+    renderGemStatusIndicator(context, buildOptimisticGemStatusData(context, optimisticEntry, optimisticEntry.candidateId));
+  } else if (memoryEntry.entry && memoryCandidateId) {
+    renderGemStatusIndicator(context, memoryEntry.entry);
+  } else {
+    hideGemStatusIndicator();
+  }
+
+  const shouldRefresh =
+    Boolean(options.forceRefresh) ||
+    !memoryEntry.entry ||
+    !memoryCandidateId ||
+    !memoryHasStatusField ||
+    !memoryEntry.isFresh;
+  if (!shouldRefresh) {
+    clearGemStatusBootstrapTimers();
+    scheduleGemStatusLiveRefresh(getGemStatusLiveRefreshIntervalMs());
+    return;
+  }
+
+  scheduleGemStatusBootstrapRefreshes(context, {
+    delayMs: options.delayMs,
+    forceRefresh: Boolean(options.forceRefresh) || Boolean(memoryEntry.entry && !memoryEntry.isFresh)
+  });
+  scheduleGemStatusLiveRefresh(0);
+}
+
+function handleLinkedInPageChange(options = {}) {
+  if (!isLinkedInProfilePage()) {
+    resetGemStatusIndicator();
+    return;
+  }
+  linkedInLastPageChangeAtMs = Date.now();
+  linkedInStatusRetryCount = 0;
+  linkedInStatusRetryContextKey = "";
+  profileIdentityCache = {
+    pageUrl: "",
+    linkedinUrl: "",
+    linkedInHandle: "",
+    gemCandidateId: "",
+    resolvedAtMs: 0
+  };
+  syncLinkedInGemStatusForCurrentPage({
+    forceIdentity: true,
+    delayMs: options.delayMs,
+    forceRefresh: Boolean(options.forceRefresh)
+  });
+  scheduleGemStatusLiveRefresh(0);
+}
+
+function normalizeComparableContextUrl(value) {
+  return normalizeUrlForContext(value || "").toLowerCase();
+}
+
+function doesGemStatusSignalMatchCurrentPage(messageContext, liveContext) {
+  const currentContext = applyGemCandidateHintToContext(liveContext);
+  const messageCandidateId = String(messageContext?.gemCandidateId || "").trim();
+  const liveCandidateId = String(currentContext?.gemCandidateId || "").trim();
+  if (messageCandidateId && liveCandidateId) {
+    return messageCandidateId === liveCandidateId;
+  }
+
+  const messageLinkedInUrl = normalizeLinkedInUrl(String(messageContext?.linkedinUrl || "").trim());
+  const liveLinkedInUrl = normalizeLinkedInUrl(String(liveContext?.linkedinUrl || "").trim());
+  if (messageLinkedInUrl && liveLinkedInUrl) {
+    return messageLinkedInUrl === liveLinkedInUrl;
+  }
+
+  const messageHandle = String(messageContext?.linkedInHandle || "").trim().toLowerCase();
+  const liveHandle = String(liveContext?.linkedInHandle || "").trim().toLowerCase();
+  if (messageHandle && liveHandle) {
+    return messageHandle === liveHandle;
+  }
+
+  const messageProfileUrl = normalizeComparableContextUrl(
+    messageContext?.profileUrl || messageContext?.pageUrl || ""
+  );
+  const liveProfileUrl = normalizeComparableContextUrl(liveContext?.profileUrl || liveContext?.pageUrl || "");
+  if (messageProfileUrl && liveProfileUrl) {
+    return messageProfileUrl === liveProfileUrl;
+  }
+
+  return !(messageCandidateId || messageLinkedInUrl || messageHandle || messageProfileUrl);
+}
+
+function queueLinkedInPageChange(options = {}) {
+  const nextUrl = normalizePageUrlForWatcher(window.location.href);
+  const force = Boolean(options.force);
+  if (!force && nextUrl === linkedInObservedPageUrl) {
+    return;
+  }
+  linkedInObservedPageUrl = nextUrl;
+  if (linkedInPageChangeTimerId) {
+    window.clearTimeout(linkedInPageChangeTimerId);
+  }
+  linkedInPageChangeTimerId = window.setTimeout(() => {
+    linkedInPageChangeTimerId = 0;
+    handleLinkedInPageChange(options);
+  }, Math.max(0, Number(options.delayMs) || 0));
+}
+
+function bindLinkedInPageChangeWatcher() {
+  if (linkedInPageChangeBound) {
+    return;
+  }
+  linkedInPageChangeBound = true;
+
+  const notify = (delayMs = LINKEDIN_PAGE_CHANGE_REFRESH_DELAY_MS) => {
+    queueLinkedInPageChange({ delayMs, force: true });
+  };
+
+  const wrapHistoryMethod = (methodName) => {
+    const original = window.history?.[methodName];
+    if (typeof original !== "function") {
+      return;
+    }
+    window.history[methodName] = function patchedHistoryMethod(...args) {
+      const result = original.apply(this, args);
+      notify();
+      return result;
+    };
+  };
+
+  wrapHistoryMethod("pushState");
+  wrapHistoryMethod("replaceState");
+  window.addEventListener("popstate", () => notify(), { passive: true });
+  window.addEventListener("pageshow", () => notify(0), { passive: true });
+}
+
+function prefetchPickersForCurrentProfile() {
+  const settings = cachedSettings;
+  if (!settings?.enabled || !isSupportedActionPage()) {
+    resetGemStatusIndicator();
+    return;
+  }
+  let profileContext = getProfileContext();
+  const isLinkedInContext = isLinkedInProfilePage();
+  if (isLinkedInContext) {
+    syncLinkedInGemStatusForCurrentPage({
+      delayMs: contextHasResolvedLinkedInStatusIdentity(profileContext)
+        ? LINKEDIN_PAGE_CHANGE_REFRESH_DELAY_MS
+        : LINKEDIN_PAGE_CHANGE_IDENTITY_RETRY_DELAY_MS
+    });
+    profileContext = getProfileContext();
+  } else {
+    resetGemStatusIndicator();
+  }
+  if (!contextHasResolvableIdentity(profileContext)) {
+    return;
+  }
+  const contextKey = getCustomFieldContextKey(profileContext);
+  if (!contextKey || contextKey === lastPrefetchedProfileContextKey) {
+    return;
+  }
+  lastPrefetchedProfileContextKey = contextKey;
+  warmCustomFieldsForContext(profileContext, generateRunId(), {
+    preferCache: true,
+    refreshInBackground: true,
+    allowCreate: false,
+    allowEmptyCandidateCache: true
+  }).catch(() => {});
+  if (isLinkedInContext) {
+    return;
+  }
+  prefetchProjects(generateRunId(), { forceRefresh: true }).catch(() => {});
+  prefetchSequences(generateRunId()).catch(() => {});
+  warmCandidateEmailsForContext(profileContext, generateRunId(), {
+    preferCache: true,
+    refreshInBackground: true,
+    allowCreate: false
+  }).catch(() => {});
+}
+
+function startProfileUrlPrefetchWatcher() {
+  if (profileUrlPollTimerId) {
+    return;
+  }
+  profileUrlPollLastUrl = normalizePageUrlForWatcher(window.location.href);
+  profileUrlPollTimerId = window.setInterval(() => {
+    const currentUrl = normalizePageUrlForWatcher(window.location.href);
+    if (currentUrl !== profileUrlPollLastUrl) {
+      profileUrlPollLastUrl = currentUrl;
+      if (isLinkedInProfilePage()) {
+        queueLinkedInPageChange({ force: true, delayMs: 0, forceRefresh: false });
+      } else if (!isSupportedActionPage()) {
+        lastPrefetchedProfileContextKey = "";
+        resetGemStatusIndicator();
+      } else {
+        prefetchPickersForCurrentProfile();
+      }
+    }
+    if (isLinkedInProfilePage()) {
+      maybeRefreshGemStatusLive({
+        context: getProfileContext(),
+        forceRefresh: false
+      });
+      return;
+    }
+    maybeRefreshGemStatusLive();
+  }, PROFILE_URL_POLL_INTERVAL_MS);
+}
+
+function logEvent(payload) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "LOG_EVENT", payload }, () => {
+      if (chrome.runtime.lastError) {
+        const msg = chrome.runtime.lastError.message || "";
+        if (isContextInvalidatedError(msg)) {
+          triggerContextRecovery(msg);
+        }
+        resolve(false);
+        return;
+      }
+      resolve(true);
+    });
+  });
+}
+
+async function refreshSettings() {
+  cachedSettings = await getSettings();
+  return cachedSettings;
+}
+
+function getCurrentGemStatusDisplayMode(settings = cachedSettings || DEFAULT_SETTINGS) {
+  return getGemStatusDisplayModeFromSettings(settings, true);
+}
+
+function isCurrentGemStatusDisplayEnabled(settings = cachedSettings || DEFAULT_SETTINGS) {
+  const mode = getCurrentGemStatusDisplayMode(settings);
+  return isGemStatusDisplayEnabled(mode);
+}
+
+function findActionByShortcut(shortcut) {
+  if (!cachedSettings) {
+    return "";
+  }
+  const mapping = cachedSettings.shortcuts || {};
+  const validActionIds = new Set(ACTION_IDS);
+  return (
+    Object.keys(mapping).find(
+      (actionId) => validActionIds.has(actionId) && normalizeShortcut(mapping[actionId]) === shortcut
+    ) || ""
+  );
+}
+
+function filterProjectsByQuery(projects, query) {
+  const normalized = Array.isArray(projects) ? projects : [];
+  const normalizedQuery = String(query || "").trim().toLowerCase();
+  if (!normalizedQuery) {
+    return normalized;
+  }
+  return normalized.filter((project) => String(project?.name || "").toLowerCase().includes(normalizedQuery));
+}
+
+function normalizeProjectForPicker(item) {
+  if (!item || typeof item !== "object") {
+    return null;
+  }
+  const id = String(item.id || "").trim();
+  if (!id) {
+    return null;
+  }
+  return {
+    id,
+    name: String(item.name || "").trim(),
+    archived: Boolean(item.archived),
+    createdAt: String(item.createdAt || item.created_at || item.created || "").trim()
+  };
+}
+
+function normalizeProjectsForPicker(items) {
+  const byId = new Map();
+  for (const item of Array.isArray(items) ? items : []) {
+    const normalized = normalizeProjectForPicker(item);
+    if (!normalized) {
+      continue;
+    }
+    byId.set(normalized.id, normalized);
+  }
+  return Array.from(byId.values());
+}
+
+function getProjectMemoryEntry() {
+  const entry = projectMemoryEntry;
+  if (!entry) {
+    return { entry: null, isFresh: false };
+  }
+  return {
+    entry,
+    isFresh: Date.now() - Number(entry.fetchedAt || 0) <= PROJECT_MEMORY_TTL_MS
+  };
+}
+
+function setProjectMemoryProjects(projects) {
+  projectMemoryEntry = {
+    fetchedAt: Date.now(),
+    projects: normalizeProjectsForPicker(projects)
+  };
+}
+
+function upsertProjectMemoryProject(project) {
+  const normalized = normalizeProjectForPicker(project);
+  if (!normalized) {
+    return;
+  }
+  const current = getProjectMemoryEntry().entry;
+  const byId = new Map();
+  for (const item of current?.projects || []) {
+    const existing = normalizeProjectForPicker(item);
+    if (!existing) {
+      continue;
+    }
+    byId.set(existing.id, existing);
+  }
+  const existing = byId.get(normalized.id) || null;
+  byId.set(normalized.id, {
+    ...existing,
+    ...normalized,
+    createdAt: normalized.createdAt || existing?.createdAt || new Date().toISOString()
+  });
+  setProjectMemoryProjects(Array.from(byId.values()));
+}
+
+function prefetchProjects(runId, options = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "PREFETCH_PROJECTS",
+        runId: runId || "",
+        limit: 0,
+        forceRefresh: Boolean(options.forceRefresh),
+        forceNewRefresh: Boolean(options.forceNewRefresh)
+      },
+      () => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+          }
+        }
+        resolve();
+      }
+    );
+  });
+}
+
+function listSequences(query, runId, actionId = ACTIONS.SEND_SEQUENCE, options = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "LIST_SEQUENCES",
+        query: String(query || ""),
+        limit: 0,
+        runId: runId || "",
+        actionId,
+        forceRefresh: Boolean(options.forceRefresh),
+        preferCache: Boolean(options.preferCache),
+        forceNewRefresh: Boolean(options.forceNewRefresh)
+      },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(msg));
+          return;
+        }
+        if (!response?.ok) {
+          if (isContextInvalidatedResponse(response)) {
+            triggerContextRecovery(response?.message || "Extension context invalidated.");
+            reject(new Error("Extension updated. Reloading page."));
+            return;
+          }
+          reject(new Error(response?.message || "Could not load sequences"));
+          return;
+        }
+        resolve(Array.isArray(response.sequences) ? response.sequences : []);
+      }
+    );
+  });
+}
+
+function prefetchSequences(runId, options = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      {
+        type: "PREFETCH_SEQUENCES",
+        runId: runId || "",
+        limit: 0,
+        forceRefresh: Boolean(options.forceRefresh),
+        forceNewRefresh: Boolean(options.forceNewRefresh)
+      },
+      () => {
+        if (chrome.runtime.lastError) {
+          const msg = chrome.runtime.lastError.message || "";
+          if (isContextInvalidatedError(msg)) {
+            triggerContextRecovery(msg);
+          }
+        }
+        resolve();
+      }
+    );
+  });
+}
+
+function createProjectPickerStyles() {
+  if (document.getElementById("gem-project-picker-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-project-picker-style";
+  style.textContent = `
+    #gem-project-picker-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-project-picker-modal {
+      width: min(680px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+    }
+    #gem-project-picker-title {
+      font-size: 18px;
+      font-weight: 600;
+      margin-bottom: 6px;
+    }
+    #gem-project-picker-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    #gem-project-picker-input {
+      width: 100%;
+      border: 1px solid #b6beca;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 14px;
+      margin-bottom: 10px;
+    }
+    #gem-project-picker-results {
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      max-height: 280px;
+      overflow: auto;
+      background: #fff;
+    }
+    .gem-project-picker-item {
+      padding: 10px 12px;
+      cursor: pointer;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 14px;
+      line-height: 1.3;
+    }
+    .gem-project-picker-item:last-child {
+      border-bottom: none;
+    }
+    .gem-project-picker-item.active {
+      background: #eaf2fe;
+    }
+    .gem-project-picker-item.member {
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+    }
+    .gem-project-picker-member-badge {
+      flex: none;
+      font-size: 12px;
+      color: #196c2e;
+    }
+    .gem-project-picker-item.pending-removal .gem-project-picker-member-badge {
+      color: #a61d24;
+      font-weight: 600;
+    }
+    .gem-project-picker-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-project-picker-empty {
+      padding: 12px;
+      font-size: 13px;
+      color: #5b6168;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createBulkProjectPanelStyles() {
+  if (document.getElementById("gem-bulk-project-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-bulk-project-style";
+  style.textContent = `
+    #gem-bulk-project-panel {
+      position: fixed;
+      left: 20px;
+      bottom: 20px;
+      width: min(360px, calc(100vw - 40px));
+      max-height: min(480px, calc(100vh - 40px));
+      display: flex;
+      flex-direction: column;
+      background: #fff;
+      border: 1px solid #d4dae3;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 14px;
+      z-index: 2147483646;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+    }
+    #gem-bulk-project-title {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+    #gem-bulk-project-summary {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 10px;
+    }
+    #gem-bulk-project-buttons {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-bottom: 10px;
+    }
+    .gem-bulk-project-button {
+      border: 1px solid #b6beca;
+      border-radius: 8px;
+      background: #fff;
+      color: #1f2328;
+      padding: 6px 10px;
+      font-size: 13px;
+      cursor: pointer;
+    }
+    .gem-bulk-project-button.primary {
+      background: #0b57d0;
+      border-color: #0b57d0;
+      color: #fff;
+    }
+    .gem-bulk-project-button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+    #gem-bulk-project-results {
+      overflow: auto;
+      border: 1px solid #eff2f7;
+      border-radius: 8px;
+    }
+    #gem-bulk-project-results:empty {
+      display: none;
+    }
+    .gem-bulk-project-result {
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 6px 10px;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 12px;
+      line-height: 1.3;
+    }
+    .gem-bulk-project-result:last-child {
+      border-bottom: none;
+    }
+    .gem-bulk-project-result-name {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    .gem-bulk-project-result-status {
+      flex: none;
+      color: #5b6168;
+    }
+    .gem-bulk-project-result-status.ok,
+    .gem-bulk-project-row-status.ok {
+      color: #196c2e;
+    }
+    .gem-bulk-project-result-status.error,
+    .gem-bulk-project-row-status.error {
+      color: #a61d24;
+    }
+    .gem-bulk-project-hint {
+      margin-top: 8px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-bulk-project-row-toggle {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin: 6px 8px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      font-size: 12px;
+      color: #1f2328;
+      cursor: pointer;
+    }
+    .gem-bulk-project-row-toggle input {
+      width: 16px;
+      height: 16px;
+      margin: 0;
+      cursor: pointer;
+    }
+    .gem-bulk-project-row-status {
+      color: #5b6168;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createCandidateTimelineStyles() {
+  if (document.getElementById("gem-candidate-timeline-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-candidate-timeline-style";
+  style.textContent = `
+    #gem-candidate-timeline-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.3);
+      z-index: 2147483647;
+      display: flex;
+      justify-content: flex-end;
+    }
+    #gem-candidate-timeline-drawer {
+      width: min(440px, 100%);
+      height: 100%;
+      background: #fff;
+      box-shadow: -12px 0 32px rgba(0, 0, 0, 0.25);
+      padding: 16px;
+      display: flex;
+      flex-direction: column;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+      outline: none;
+    }
+    #gem-candidate-timeline-title {
+      font-size: 18px;
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+    #gem-candidate-timeline-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 10px;
+    }
+    #gem-candidate-timeline-filters {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-bottom: 10px;
+    }
+    .gem-candidate-timeline-filter {
+      border: 1px solid #b6beca;
+      border-radius: 999px;
+      background: #fff;
+      color: #1f2328;
+      padding: 4px 10px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .gem-candidate-timeline-filter.active {
+      background: #eaf2fe;
+      border-color: #0b57d0;
+      color: #0b57d0;
+    }
+    #gem-candidate-timeline-list {
+      flex: 1;
+      overflow: auto;
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+    }
+    .gem-candidate-timeline-item {
+      padding: 10px 12px;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 13px;
+      line-height: 1.35;
+    }
+    .gem-candidate-timeline-item:last-child {
+      border-bottom: none;
+    }
+    .gem-candidate-timeline-item-head {
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+      font-weight: 600;
+    }
+    .gem-candidate-timeline-item-date {
+      flex: none;
+      font-weight: 400;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-candidate-timeline-item-detail {
+      margin-top: 4px;
+      white-space: pre-wrap;
+      word-break: break-word;
+      max-height: 120px;
+      overflow: auto;
+    }
+    .gem-candidate-timeline-item-meta {
+      margin-top: 4px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-candidate-timeline-item.kind-reply {
+      border-left: 3px solid #196c2e;
+    }
+    .gem-candidate-timeline-item.kind-note {
+      border-left: 3px solid #b7791f;
+    }
+    .gem-candidate-timeline-item.kind-project {
+      border-left: 3px solid #6b46c1;
+    }
+    .gem-candidate-timeline-empty {
+      padding: 12px;
+      font-size: 13px;
+      color: #5b6168;
+    }
+    .gem-candidate-timeline-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createGemActionsStyles() {
+  if (document.getElementById("gem-actions-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-actions-style";
+  style.textContent = `
+    #gem-actions-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-actions-modal {
+      width: min(780px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+      position: relative;
+      max-height: min(86vh, 920px);
+      overflow: auto;
+    }
+    #gem-actions-title {
+      font-size: 20px;
+      font-weight: 700;
+      margin-bottom: 6px;
+    }
+    #gem-actions-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    #gem-actions-list {
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      overflow: auto;
+      background: #fff;
+      max-height: 420px;
+    }
+    .gem-actions-item {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 12px;
+      cursor: pointer;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 14px;
+      line-height: 1.3;
+    }
+    .gem-actions-item:last-child {
+      border-bottom: none;
+    }
+    .gem-actions-item.active {
+      background: #eaf2fe;
+    }
+    .gem-actions-item.selected {
+      background: #eef6ec;
+    }
+    .gem-actions-item.active.selected {
+      background: #dcebd8;
+    }
+    .gem-actions-hotkey {
+      min-width: 28px;
+      height: 24px;
+      border: 1px solid #b9c3d3;
+      border-radius: 6px;
+      text-align: center;
+      line-height: 22px;
+      font-weight: 600;
+      color: #2f3a4b;
+      background: #f5f8fc;
+      font-size: 12px;
+      text-transform: uppercase;
+      flex-shrink: 0;
+    }
+    .gem-actions-main {
+      color: #1f2328;
+      font-weight: 500;
+      min-width: 0;
+      flex: 1;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .gem-actions-meta {
+      font-size: 12px;
+      color: #5b6168;
+      margin-left: auto;
+      flex-shrink: 0;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      max-width: 55%;
+    }
+    .gem-actions-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-actions-empty {
+      padding: 12px;
+      font-size: 13px;
+      color: #5b6168;
+    }
+    #gem-actions-input, #gem-actions-project-name, #gem-actions-project-description {
+      width: 100%;
+      border: 1px solid #b6beca;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 14px;
+      color: #1f2328;
+      margin-bottom: 10px;
+      font-family: inherit;
+    }
+    #gem-actions-project-description {
+      min-height: 96px;
+      resize: vertical;
+    }
+    .gem-actions-access-label {
+      display: block;
+      font-size: 13px;
+      font-weight: 600;
+      margin: 2px 0 8px;
+      color: #2a3442;
+    }
+    #gem-actions-access-list {
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      overflow: auto;
+      background: #fff;
+      margin-bottom: 8px;
+    }
+    .gem-actions-access-item {
+      padding: 10px 12px;
+      border-bottom: 1px solid #eff2f7;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+    .gem-actions-access-item:last-child {
+      border-bottom: none;
+    }
+    .gem-actions-access-item.selected {
+      background: #eef6ec;
+    }
+    .gem-actions-access-item.active {
+      outline: 1px solid #8db4f4;
+      outline-offset: -1px;
+    }
+    .gem-actions-access-dot {
+      width: 16px;
+      height: 16px;
+      border-radius: 999px;
+      border: 1px solid #bcc6d6;
+      background: #fff;
+      flex-shrink: 0;
+      position: relative;
+    }
+    .gem-actions-access-item.selected .gem-actions-access-dot {
+      border-color: #1e69d2;
+    }
+    .gem-actions-access-item.selected .gem-actions-access-dot::after {
+      content: "";
+      position: absolute;
+      inset: 3px;
+      border-radius: 999px;
+      background: #1e69d2;
+    }
+    .gem-actions-access-content {
+      min-width: 0;
+      flex: 1;
+    }
+    .gem-actions-access-name {
+      font-size: 14px;
+      font-weight: 600;
+      color: #1f2328;
+    }
+    .gem-actions-access-description {
+      font-size: 12px;
+      color: #5b6168;
+      margin-top: 2px;
+    }
+    .gem-actions-access-key {
+      border: 1px solid #b9c3d3;
+      border-radius: 6px;
+      background: #f5f8fc;
+      color: #2f3a4b;
+      font-size: 11px;
+      font-weight: 600;
+      padding: 3px 6px;
+      text-transform: uppercase;
+    }
+    #gem-actions-confirm-mask {
+      position: absolute;
+      inset: 0;
+      background: rgba(255, 255, 255, 0.92);
+      border-radius: 12px;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      z-index: 6;
+    }
+    #gem-actions-confirm-mask.visible {
+      display: flex;
+    }
+    #gem-actions-confirm-card {
+      width: min(460px, 100%);
+      border: 1px solid #d4dae3;
+      border-radius: 10px;
+      padding: 16px;
+      background: #fff;
+      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
+    }
+    #gem-actions-confirm-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: #1f2328;
+      margin-bottom: 8px;
+    }
+    #gem-actions-confirm-body {
+      font-size: 14px;
+      color: #32363c;
+      margin-bottom: 14px;
+      word-break: break-word;
+      white-space: pre-wrap;
+    }
+    #gem-actions-confirm-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+    .gem-actions-confirm-btn {
+      border-radius: 7px;
+      padding: 8px 12px;
+      font-size: 13px;
+      cursor: pointer;
+      border: 1px solid transparent;
+    }
+    #gem-actions-confirm-cancel {
+      border-color: #c4cbd7;
+      background: #fff;
+      color: #1f2328;
+    }
+    #gem-actions-confirm-ok {
+      border-color: #1e69d2;
+      background: #1e69d2;
+      color: #fff;
+    }
+    .gem-actions-status {
+      min-height: 18px;
+      font-size: 12px;
+      color: #5b6168;
+      margin: 4px 0 8px;
+    }
+    .gem-actions-status.error {
+      color: #a61d24;
+    }
+    .gem-actions-search-input-row {
+      display: flex;
+      gap: 8px;
+      align-items: center;
+      margin-bottom: 8px;
+    }
+    .gem-actions-tag {
+      display: inline-flex;
+      align-items: center;
+      border: 1px solid #d4dae3;
+      border-radius: 999px;
+      padding: 2px 8px;
+      font-size: 11px;
+      color: #2f3a4b;
+      background: #f8fafe;
+      margin-left: 6px;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createAshbyJobPickerStyles() {
+  if (document.getElementById("gem-ashby-job-picker-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-ashby-job-picker-style";
+  style.textContent = `
+    #gem-ashby-job-picker-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-ashby-job-picker-modal {
+      width: min(680px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+      position: relative;
+    }
+    #gem-ashby-job-picker-brand {
+      position: absolute;
+      top: 12px;
+      right: 14px;
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+      font-size: 12px;
+      color: #4f5358;
+      user-select: none;
+    }
+    #gem-ashby-job-picker-brand-dot {
+      width: 18px;
+      height: 18px;
+      border-radius: 4px;
+      background: #4b3fa8;
+      color: #fff;
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 12px;
+      font-weight: 700;
+      line-height: 1;
+    }
+    #gem-ashby-job-picker-title {
+      font-size: 18px;
+      font-weight: 600;
+      margin-bottom: 6px;
+    }
+    #gem-ashby-job-picker-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    #gem-ashby-job-picker-input {
+      width: 100%;
+      border: 1px solid #b6beca;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 14px;
+      margin-bottom: 10px;
+    }
+    #gem-ashby-job-picker-results {
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      max-height: 280px;
+      overflow: auto;
+      background: #fff;
+    }
+    .gem-ashby-job-picker-item {
+      padding: 10px 12px;
+      cursor: pointer;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 14px;
+      line-height: 1.3;
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+    }
+    .gem-ashby-job-picker-item:last-child {
+      border-bottom: none;
+    }
+    .gem-ashby-job-picker-item.active {
+      background: #eaf2fe;
+    }
+    .gem-ashby-job-picker-item-left {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      min-width: 0;
+      flex: 1;
+    }
+    .gem-ashby-job-picker-item-key {
+      min-width: 22px;
+      height: 22px;
+      border: 1px solid #bcc6d6;
+      border-radius: 6px;
+      background: #f5f8fc;
+      color: #2f3a4b;
+      font-size: 12px;
+      font-weight: 600;
+      line-height: 20px;
+      text-align: center;
+      flex-shrink: 0;
+    }
+    .gem-ashby-job-picker-item-name {
+      min-width: 0;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .gem-ashby-job-picker-item-status {
+      font-size: 12px;
+      color: #5b6168;
+      white-space: nowrap;
+    }
+    .gem-ashby-job-picker-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+    .gem-ashby-job-picker-empty {
+      padding: 12px;
+      font-size: 13px;
+      color: #5b6168;
+    }
+    #gem-ashby-job-picker-confirm-mask {
+      position: absolute;
+      inset: 0;
+      background: rgba(255, 255, 255, 0.92);
+      border-radius: 12px;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      z-index: 5;
+    }
+    #gem-ashby-job-picker-confirm-mask.visible {
+      display: flex;
+    }
+    #gem-ashby-job-picker-confirm-card {
+      width: min(440px, 100%);
+      border: 1px solid #d4dae3;
+      border-radius: 10px;
+      padding: 16px;
+      background: #fff;
+      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
+    }
+    #gem-ashby-job-picker-confirm-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: #1f2328;
+      margin-bottom: 8px;
+    }
+    #gem-ashby-job-picker-confirm-body {
+      font-size: 14px;
+      color: #32363c;
+      margin-bottom: 14px;
+      word-break: break-word;
+    }
+    #gem-ashby-job-picker-confirm-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+    .gem-ashby-job-picker-confirm-btn {
+      border-radius: 7px;
+      padding: 8px 12px;
+      font-size: 13px;
+      cursor: pointer;
+      border: 1px solid transparent;
+    }
+    #gem-ashby-job-picker-confirm-cancel {
+      border-color: #c4cbd7;
+      background: #fff;
+      color: #1f2328;
+    }
+    #gem-ashby-job-picker-confirm-ok {
+      border-color: #4b3fa8;
+      background: #4b3fa8;
+      color: #fff;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createResumeUploadPickerStyles() {
+  if (document.getElementById("gem-resume-upload-picker-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-resume-upload-picker-style";
+  style.textContent = `
+    #gem-resume-upload-picker-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-resume-upload-picker-modal {
+      width: min(560px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+    }
+    #gem-resume-upload-picker-title {
+      font-size: 18px;
+      font-weight: 600;
+      margin-bottom: 6px;
+    }
+    #gem-resume-upload-picker-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    #gem-resume-upload-picker-list {
+      max-height: 240px;
+      overflow: auto;
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      margin-bottom: 10px;
+    }
+    .gem-resume-upload-picker-item {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 9px 12px;
+      border-bottom: 1px solid #eff2f7;
+      cursor: pointer;
+      font-size: 14px;
+    }
+    .gem-resume-upload-picker-item:last-child {
+      border-bottom: none;
+    }
+    .gem-resume-upload-picker-item.active {
+      background: #eaf2fe;
+    }
+    .gem-resume-upload-picker-key {
+      flex: none;
+      width: 20px;
+      height: 20px;
+      border-radius: 4px;
+      border: 1px solid #b6beca;
+      font-size: 12px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: #4f5358;
+    }
+    #gem-resume-upload-picker-drop {
+      border: 2px dashed #b6beca;
+      border-radius: 10px;
+      padding: 22px 12px;
+      text-align: center;
+      font-size: 13px;
+      color: #4f5358;
+      cursor: pointer;
+    }
+    #gem-resume-upload-picker-drop.dragging {
+      border-color: #0b57d0;
+      background: #eaf2fe;
+      color: #0b57d0;
+    }
+    #gem-resume-upload-picker-status {
+      min-height: 18px;
+      margin-top: 8px;
+      font-size: 12px;
+      color: #4f5358;
+    }
+    #gem-resume-upload-picker-status.error {
+      color: #a61d24;
+    }
+    .gem-resume-upload-picker-hint {
+      margin-top: 4px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createSequencePreviewStyles() {
+  if (document.getElementById("gem-sequence-preview-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-sequence-preview-style";
+  style.textContent = `
+    #gem-sequence-preview-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-sequence-preview-modal {
+      width: min(560px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+    }
+    #gem-sequence-preview-title {
+      font-size: 18px;
+      font-weight: 600;
+      margin-bottom: 6px;
+    }
+    #gem-sequence-preview-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    .gem-sequence-preview-row {
+      display: flex;
+      gap: 8px;
+      font-size: 13px;
+      padding: 3px 0;
+    }
+    .gem-sequence-preview-label {
+      flex: none;
+      width: 90px;
+      color: #5b6168;
+    }
+    .gem-sequence-preview-warning {
+      margin-top: 6px;
+      padding: 6px 10px;
+      border-radius: 6px;
+      background: #fff4e5;
+      color: #8a4b00;
+      font-size: 12px;
+    }
+    .gem-sequence-preview-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createAshbyStagePickerStyles() {
+  if (document.getElementById("gem-ashby-stage-picker-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-ashby-stage-picker-style";
+  style.textContent = `
+    #gem-ashby-stage-picker-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-ashby-stage-picker-modal {
+      width: min(620px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+    }
+    #gem-ashby-stage-picker-title {
+      font-size: 18px;
+      font-weight: 600;
+      margin-bottom: 6px;
+    }
+    #gem-ashby-stage-picker-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    #gem-ashby-stage-picker-input {
+      width: 100%;
+      border: 1px solid #b6beca;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 14px;
+      color: #1f2328;
+      font-family: inherit;
+    }
+    #gem-ashby-stage-picker-results {
+      margin-top: 10px;
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      max-height: 280px;
+      overflow: auto;
+      background: #fff;
+    }
+    .gem-ashby-stage-picker-item {
+      display: flex;
+      justify-content: space-between;
+      gap: 10px;
+      padding: 10px 12px;
+      cursor: pointer;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 14px;
+      line-height: 1.3;
+    }
+    .gem-ashby-stage-picker-item:last-child {
+      border-bottom: none;
+    }
+    .gem-ashby-stage-picker-item.active {
+      background: #eaf2fe;
+    }
+    .gem-ashby-stage-picker-item.archive {
+      color: #a61d24;
+    }
+    .gem-ashby-stage-picker-item-meta {
+      flex: none;
+      max-width: 50%;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-ashby-stage-picker-empty {
+      padding: 12px;
+      font-size: 13px;
+      color: #5b6168;
+    }
+    .gem-ashby-stage-picker-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createProjectFieldPickerStyles() {
+  if (document.getElementById("gem-project-field-picker-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-project-field-picker-style";
+  style.textContent = `
+    #gem-project-field-picker-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-project-field-picker-modal {
+      width: min(620px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+    }
+    #gem-project-field-picker-title {
+      font-size: 18px;
+      font-weight: 600;
+      margin-bottom: 6px;
+    }
+    #gem-project-field-picker-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    #gem-project-field-picker-input {
+      width: 100%;
+      border: 1px solid #b6beca;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 14px;
+      color: #1f2328;
+      font-family: inherit;
+    }
+    #gem-project-field-picker-results {
+      margin-top: 10px;
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      max-height: 280px;
+      overflow: auto;
+      background: #fff;
+    }
+    .gem-project-field-picker-item {
+      display: flex;
+      justify-content: space-between;
+      gap: 10px;
+      padding: 10px 12px;
+      cursor: pointer;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 14px;
+      line-height: 1.3;
+    }
+    .gem-project-field-picker-item:last-child {
+      border-bottom: none;
+    }
+    .gem-project-field-picker-item.active {
+      background: #eaf2fe;
+    }
+    .gem-project-field-picker-item-meta {
+      flex: none;
+      max-width: 50%;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-project-field-picker-item.selected .gem-project-field-picker-item-meta {
+      color: #196c2e;
+      font-weight: 600;
+    }
+    .gem-project-field-picker-empty {
+      padding: 12px;
+      font-size: 13px;
+      color: #5b6168;
+    }
+    .gem-project-field-picker-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createCandidateNotePickerStyles() {
+  if (document.getElementById("gem-candidate-note-picker-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-candidate-note-picker-style";
+  style.textContent = `
+    #gem-candidate-note-picker-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-candidate-note-picker-modal {
+      width: min(680px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+      position: relative;
+    }
+    #gem-candidate-note-picker-title {
+      font-size: 18px;
+      font-weight: 600;
+      margin-bottom: 6px;
+    }
+    #gem-candidate-note-picker-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    #gem-candidate-note-picker-templates {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-bottom: 8px;
+    }
+    #gem-candidate-note-picker-templates:empty {
+      display: none;
+    }
+    .gem-candidate-note-picker-template {
+      border: 1px solid #c9c2ee;
+      background: #f6f4fe;
+      color: #2f2675;
+      border-radius: 999px;
+      padding: 3px 10px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .gem-candidate-note-picker-template-key {
+      font-weight: 600;
+      margin-right: 4px;
+    }
+    #gem-candidate-note-picker-input {
+      width: 100%;
+      min-height: 132px;
+      max-height: 280px;
+      border: 1px solid #b6beca;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 14px;
+      line-height: 1.4;
+      resize: vertical;
+      color: #1f2328;
+      font-family: inherit;
+    }
+    #gem-candidate-note-picker-meta {
+      margin-top: 6px;
+      margin-bottom: 8px;
+      font-size: 12px;
+      color: #5b6168;
+      text-align: right;
+    }
+    #gem-candidate-note-picker-error {
+      min-height: 18px;
+      font-size: 12px;
+      color: #a61d24;
+      margin-bottom: 6px;
+    }
+    .gem-candidate-note-picker-hint {
+      margin-top: 4px;
+      font-size: 12px;
+      color: #5b6168;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+    #gem-candidate-note-picker-history-title {
+      margin-top: 14px;
+      font-size: 12px;
+      font-weight: 600;
+      color: #2a3442;
+      text-transform: uppercase;
+      letter-spacing: 0.02em;
+    }
+    #gem-candidate-note-picker-history {
+      margin-top: 6px;
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      max-height: 220px;
+      overflow: auto;
+    }
+    .gem-candidate-note-picker-history-empty {
+      padding: 10px 12px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-candidate-note-picker-history-item {
+      padding: 8px 12px;
+      border-bottom: 1px solid #eff2f7;
+    }
+    .gem-candidate-note-picker-history-item:last-child {
+      border-bottom: none;
+    }
+    .gem-candidate-note-picker-history-item.editing {
+      background: #f1effc;
+    }
+    .gem-candidate-note-picker-history-meta {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-candidate-note-picker-history-actions {
+      margin-left: auto;
+      display: flex;
+      gap: 6px;
+    }
+    .gem-candidate-note-picker-history-btn {
+      border: 1px solid #c4cbd7;
+      background: #fff;
+      color: #1f2328;
+      border-radius: 6px;
+      padding: 2px 8px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .gem-candidate-note-picker-history-content {
+      margin-top: 4px;
+      font-size: 13px;
+      color: #1f2328;
+      white-space: pre-wrap;
+      word-break: break-word;
+      display: -webkit-box;
+      -webkit-line-clamp: 3;
+      -webkit-box-orient: vertical;
+      overflow: hidden;
+    }
+    #gem-candidate-note-picker-confirm-mask {
+      position: absolute;
+      inset: 0;
+      background: rgba(255, 255, 255, 0.92);
+      border-radius: 12px;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      z-index: 5;
+    }
+    #gem-candidate-note-picker-confirm-mask.visible {
+      display: flex;
+    }
+    #gem-candidate-note-picker-confirm-card {
+      width: min(440px, 100%);
+      border: 1px solid #d4dae3;
+      border-radius: 10px;
+      padding: 16px;
+      background: #fff;
+      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
+    }
+    #gem-candidate-note-picker-confirm-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: #1f2328;
+      margin-bottom: 8px;
+    }
+    #gem-candidate-note-picker-confirm-body {
+      font-size: 14px;
+      color: #32363c;
+      margin-bottom: 14px;
+      word-break: break-word;
+      white-space: pre-wrap;
+      max-height: 220px;
+      overflow: auto;
+    }
+    #gem-candidate-note-picker-confirm-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+    .gem-candidate-note-picker-confirm-btn {
+      border-radius: 7px;
+      padding: 8px 12px;
+      font-size: 13px;
+      cursor: pointer;
+      border: 1px solid transparent;
+    }
+    #gem-candidate-note-picker-confirm-cancel {
+      border-color: #c4cbd7;
+      background: #fff;
+      color: #1f2328;
+    }
+    #gem-candidate-note-picker-confirm-ok {
+      border-color: #4b3fa8;
+      background: #4b3fa8;
+      color: #fff;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createSequencePickerStyles() {
+  if (document.getElementById("gem-sequence-picker-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-sequence-picker-style";
+  style.textContent = `
+    #gem-sequence-picker-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-sequence-picker-modal {
+      width: min(760px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+    }
+    #gem-sequence-picker-title {
+      font-size: 20px;
+      font-weight: 700;
+      margin-bottom: 6px;
+    }
+    #gem-sequence-picker-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    #gem-sequence-picker-results {
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      max-height: 340px;
+      overflow: auto;
+      background: #fff;
+    }
+    .gem-sequence-picker-item {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 12px;
+      cursor: pointer;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 14px;
+      line-height: 1.3;
+    }
+    .gem-sequence-picker-item:last-child {
+      border-bottom: none;
+    }
+    .gem-sequence-picker-item.active {
+      background: #eaf2fe;
+    }
+    .gem-sequence-picker-hotkey {
+      min-width: 28px;
+      height: 24px;
+      border: 1px solid #b9c3d3;
+      border-radius: 6px;
+      text-align: center;
+      line-height: 22px;
+      font-weight: 600;
+      color: #2f3a4b;
+      background: #f5f8fc;
+      font-size: 12px;
+      text-transform: uppercase;
+      flex-shrink: 0;
+    }
+    .gem-sequence-picker-name {
+      color: #1f2328;
+      font-weight: 500;
+      flex: 1;
+      min-width: 0;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .gem-sequence-picker-meta {
+      font-size: 12px;
+      color: #5b6168;
+      flex-shrink: 0;
+    }
+    .gem-sequence-picker-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-sequence-picker-empty {
+      padding: 12px;
+      font-size: 13px;
+      color: #5b6168;
+    }
+    #gem-sequence-picker-page {
+      margin-top: 8px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+  `;
+  document.documentElement.appendChild(style);
 }
 
 function createCustomFieldPickerStyles() {
@@ -4476,9 +6581,506 @@ function createCustomFieldPickerStyles() {
     return;
   }
   const style = document.createElement("style");
-  style.id = "gem-custom-field-picker-style";
+  style.id = "gem-custom-field-picker-style";
+  style.textContent = `
+    #gem-custom-field-picker-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-custom-field-picker-modal {
+      width: min(760px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 16px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+      position: relative;
+    }
+    #gem-custom-field-picker-header {
+      display: flex;
+      align-items: flex-start;
+      justify-content: space-between;
+      gap: 12px;
+    }
+    #gem-custom-field-picker-title {
+      font-size: 20px;
+      font-weight: 700;
+      margin: 0;
+    }
+    #gem-custom-field-picker-current-values {
+      min-height: 24px;
+      padding: 6px 10px;
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      background: #f8fafe;
+      font-size: 12px;
+      color: #2f3a4b;
+      text-align: right;
+      max-width: 52%;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      display: none;
+      line-height: 1.25;
+    }
+    #gem-custom-field-picker-current-values.visible {
+      display: block;
+    }
+    .gem-custom-field-picker-current-label {
+      font-weight: 600;
+      margin-right: 6px;
+    }
+    #gem-custom-field-picker-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+      margin-top: 6px;
+    }
+    #gem-custom-field-picker-results {
+      border: 1px solid #d4dae3;
+      border-radius: 8px;
+      max-height: 340px;
+      overflow: auto;
+      background: #fff;
+    }
+    .gem-custom-field-picker-item {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 12px;
+      cursor: pointer;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 14px;
+      line-height: 1.3;
+    }
+    .gem-custom-field-picker-item:last-child {
+      border-bottom: none;
+    }
+    .gem-custom-field-picker-item.active {
+      background: #eaf2fe;
+    }
+    .gem-custom-field-picker-item.selected {
+      background: #eef6ec;
+    }
+    .gem-custom-field-picker-item.active.selected {
+      background: #dcebd8;
+    }
+    .gem-custom-field-picker-hotkey {
+      min-width: 28px;
+      height: 24px;
+      border: 1px solid #b9c3d3;
+      border-radius: 6px;
+      text-align: center;
+      line-height: 22px;
+      font-weight: 600;
+      color: #2f3a4b;
+      background: #f5f8fc;
+      font-size: 12px;
+      text-transform: uppercase;
+      flex-shrink: 0;
+    }
+    .gem-custom-field-picker-value {
+      color: #1f2328;
+      font-weight: 500;
+      flex: 1;
+      min-width: 0;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .gem-custom-field-picker-meta {
+      font-size: 12px;
+      color: #5b6168;
+      margin-left: auto;
+      text-transform: capitalize;
+      flex-shrink: 0;
+    }
+    .gem-custom-field-picker-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-custom-field-picker-empty {
+      padding: 12px;
+      font-size: 13px;
+      color: #5b6168;
+    }
+    #gem-custom-field-picker-page {
+      margin-top: 8px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-custom-field-picker-form {
+      padding: 16px;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+    .gem-custom-field-picker-form-label {
+      font-size: 13px;
+      font-weight: 600;
+      color: #2a3442;
+    }
+    #gem-custom-field-picker-manual-input,
+    #gem-custom-field-picker-create-input {
+      width: 100%;
+      border: 1px solid #ced6e2;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 16px;
+      color: #1f2328;
+      font-family: inherit;
+    }
+    #gem-custom-field-picker-manual-input:focus,
+    #gem-custom-field-picker-create-input:focus {
+      outline: 2px solid #8db7ff;
+      outline-offset: 1px;
+      border-color: #1e69d2;
+    }
+    #gem-custom-field-picker-create-list {
+      border: 1px solid #eff2f7;
+      border-radius: 8px;
+      max-height: 200px;
+      overflow: auto;
+    }
+    #gem-custom-field-picker-create-list:empty {
+      display: none;
+    }
+    #gem-custom-field-picker-manual-error {
+      min-height: 18px;
+      font-size: 12px;
+      color: #b42318;
+    }
+    #gem-custom-field-picker-manual-error:empty {
+      display: none;
+    }
+    .gem-custom-field-picker-form-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+    .gem-custom-field-picker-form-btn {
+      border-radius: 7px;
+      padding: 8px 12px;
+      font-size: 13px;
+      cursor: pointer;
+      border: 1px solid transparent;
+    }
+    .gem-custom-field-picker-form-btn.secondary {
+      border-color: #c4cbd7;
+      background: #fff;
+      color: #1f2328;
+    }
+    .gem-custom-field-picker-form-btn.primary {
+      border-color: #1e69d2;
+      background: #1e69d2;
+      color: #fff;
+    }
+    #gem-custom-field-picker-confirm-mask {
+      position: absolute;
+      inset: 0;
+      background: rgba(255, 255, 255, 0.92);
+      border-radius: 12px;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      z-index: 5;
+    }
+    #gem-custom-field-picker-confirm-mask.visible {
+      display: flex;
+    }
+    #gem-custom-field-picker-confirm-card {
+      width: min(440px, 100%);
+      border: 1px solid #d4dae3;
+      border-radius: 10px;
+      padding: 16px;
+      background: #fff;
+      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
+    }
+    #gem-custom-field-picker-confirm-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: #1f2328;
+      margin-bottom: 8px;
+    }
+    #gem-custom-field-picker-confirm-body {
+      font-size: 14px;
+      color: #32363c;
+      margin-bottom: 14px;
+      word-break: break-word;
+    }
+    #gem-custom-field-picker-confirm-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+    .gem-custom-field-picker-confirm-btn {
+      border-radius: 7px;
+      padding: 8px 12px;
+      font-size: 13px;
+      cursor: pointer;
+      border: 1px solid transparent;
+    }
+    #gem-custom-field-picker-confirm-cancel {
+      border-color: #c4cbd7;
+      background: #fff;
+      color: #1f2328;
+    }
+    #gem-custom-field-picker-confirm-ok {
+      border-color: #1e69d2;
+      background: #1e69d2;
+      color: #fff;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createReminderPickerStyles() {
+  if (document.getElementById("gem-reminder-picker-style")) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = "gem-reminder-picker-style";
+  style.textContent = `
+    #gem-reminder-picker-overlay {
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.45);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+    }
+    #gem-reminder-picker-modal {
+      width: min(720px, 100%);
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
+      padding: 18px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      color: #1f2328;
+      position: relative;
+    }
+    #gem-reminder-picker-title {
+      font-size: 20px;
+      font-weight: 700;
+      margin-bottom: 6px;
+    }
+    #gem-reminder-picker-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 14px;
+    }
+    .gem-reminder-picker-label {
+      display: block;
+      font-size: 13px;
+      font-weight: 600;
+      margin: 0 0 8px;
+      color: #2a3442;
+    }
+    #gem-reminder-picker-note {
+      width: 100%;
+      min-height: 116px;
+      max-height: 220px;
+      border: 1px solid #b6beca;
+      border-radius: 10px;
+      padding: 12px;
+      font-size: 16px;
+      color: #1f2328;
+      resize: vertical;
+      margin-bottom: 14px;
+      font-family: inherit;
+    }
+    .gem-reminder-picker-date-row {
+      display: block;
+      margin-bottom: 8px;
+    }
+    #gem-reminder-picker-when-input {
+      width: 100%;
+      border: 1px solid #ced6e2;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 16px;
+      color: #1f2328;
+      background: #fff;
+      margin-bottom: 6px;
+    }
+    #gem-reminder-picker-when-preview {
+      min-height: 16px;
+      font-size: 12px;
+      color: #4f5358;
+      margin-bottom: 10px;
+    }
+    .gem-reminder-picker-options-row {
+      display: flex;
+      gap: 12px;
+      margin: 6px 0 10px;
+    }
+    .gem-reminder-picker-option {
+      flex: 1;
+      min-width: 0;
+    }
+    .gem-reminder-picker-option select {
+      width: 100%;
+      border: 1px solid #ced6e2;
+      border-radius: 8px;
+      padding: 8px 10px;
+      font-size: 14px;
+      color: #1f2328;
+      background: #fff;
+    }
+    #gem-reminder-picker-date-input {
+      width: 100%;
+      border: 1px solid #ced6e2;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 16px;
+      color: #1f2328;
+      background: #fff;
+    }
+    .gem-reminder-picker-quick-actions {
+      margin-top: 10px;
+      display: flex;
+      gap: 8px;
+      flex-wrap: wrap;
+    }
+    .gem-reminder-picker-quick-btn {
+      border: 1px solid #c5cedd;
+      border-radius: 8px;
+      background: #f8fafe;
+      color: #1f2328;
+      font-size: 13px;
+      font-weight: 600;
+      padding: 8px 10px;
+      cursor: pointer;
+    }
+    .gem-reminder-picker-quick-btn:hover {
+      background: #edf2fc;
+    }
+    .gem-reminder-picker-quick-key {
+      display: inline-block;
+      min-width: 18px;
+      margin-right: 6px;
+      padding: 2px 5px;
+      border-radius: 5px;
+      border: 1px solid #bcc7d8;
+      background: #fff;
+      font-size: 11px;
+      line-height: 1.1;
+      text-transform: uppercase;
+      color: #344255;
+      text-align: center;
+    }
+    #gem-reminder-picker-error {
+      min-height: 18px;
+      font-size: 12px;
+      color: #a61d24;
+      margin-bottom: 8px;
+    }
+    .gem-reminder-picker-hint {
+      margin-top: 2px;
+      margin-bottom: 12px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .gem-reminder-picker-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 10px;
+    }
+    .gem-reminder-picker-actions button {
+      border: none;
+      border-radius: 10px;
+      padding: 10px 16px;
+      font-size: 15px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    #gem-reminder-picker-cancel {
+      background: #eff2f7;
+      color: #1f2328;
+    }
+    #gem-reminder-picker-save {
+      background: #1e69d2;
+      color: #fff;
+    }
+    #gem-reminder-picker-confirm-mask {
+      position: absolute;
+      inset: 0;
+      background: rgba(255, 255, 255, 0.92);
+      border-radius: 12px;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      z-index: 5;
+    }
+    #gem-reminder-picker-confirm-mask.visible {
+      display: flex;
+    }
+    #gem-reminder-picker-confirm-card {
+      width: min(440px, 100%);
+      border: 1px solid #d4dae3;
+      border-radius: 10px;
+      padding: 16px;
+      background: #fff;
+      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
+    }
+    #gem-reminder-picker-confirm-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: #1f2328;
+      margin-bottom: 8px;
+    }
+    #gem-reminder-picker-confirm-body {
+      font-size: 14px;
+      color: #32363c;
+      margin-bottom: 14px;
+      word-break: break-word;
+    }
+    #gem-reminder-picker-confirm-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+    .gem-reminder-picker-confirm-btn {
+      border-radius: 7px;
+      padding: 8px 12px;
+      font-size: 13px;
+      cursor: pointer;
+      border: 1px solid transparent;
+    }
+    #gem-reminder-picker-confirm-cancel {
+      border-color: #c4cbd7;
+      background: #fff;
+      color: #1f2328;
+    }
+    #gem-reminder-picker-confirm-ok {
+      border-color: #1e69d2;
+      background: #1e69d2;
+      color: #fff;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createContactPickerStyles(prefix) {
+  if (document.getElementById(`${prefix}-style`)) {
+    return;
+  }
+  const style = document.createElement("style");
+  style.id = `${prefix}-style`;
   style.textContent = `
-    #gem-custom-field-picker-overlay {
+    #${prefix}-overlay {
       position: fixed;
       inset: 0;
       background: rgba(0, 0, 0, 0.45);
@@ -4488,704 +7090,2348 @@ function createCustomFieldPickerStyles() {
       justify-content: center;
       padding: 16px;
     }
-    #gem-custom-field-picker-modal {
-      width: min(760px, 100%);
+    #${prefix}-modal {
+      width: min(740px, 100%);
       background: #fff;
       border-radius: 12px;
       box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
-      padding: 16px;
+      padding: 18px;
       font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
       color: #1f2328;
       position: relative;
     }
-    #gem-custom-field-picker-header {
-      display: flex;
-      align-items: flex-start;
-      justify-content: space-between;
-      gap: 12px;
-    }
-    #gem-custom-field-picker-title {
+    #${prefix}-title {
       font-size: 20px;
       font-weight: 700;
-      margin: 0;
+      margin-bottom: 6px;
     }
-    #gem-custom-field-picker-current-values {
-      min-height: 24px;
-      padding: 6px 10px;
+    #${prefix}-subtitle {
+      font-size: 13px;
+      color: #4f5358;
+      margin-bottom: 12px;
+    }
+    #${prefix}-error {
+      min-height: 18px;
+      font-size: 12px;
+      color: #a61d24;
+      margin-bottom: 8px;
+    }
+    #${prefix}-list {
       border: 1px solid #d4dae3;
       border-radius: 8px;
-      background: #f8fafe;
-      font-size: 12px;
+      max-height: 320px;
+      overflow: auto;
+      background: #fff;
+    }
+    .${prefix}-item {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 12px;
+      cursor: pointer;
+      border-bottom: 1px solid #eff2f7;
+      font-size: 14px;
+      line-height: 1.3;
+    }
+    .${prefix}-item:last-child {
+      border-bottom: none;
+    }
+    .${prefix}-item.active {
+      background: #eaf2fe;
+    }
+    .${prefix}-item.primary {
+      background: #eef6ec;
+    }
+    .${prefix}-item.active.primary {
+      background: #dcebd8;
+    }
+    .${prefix}-hotkey {
+      min-width: 28px;
+      height: 24px;
+      border: 1px solid #b9c3d3;
+      border-radius: 6px;
+      text-align: center;
+      line-height: 22px;
+      font-weight: 600;
       color: #2f3a4b;
-      text-align: right;
-      max-width: 52%;
+      background: #f5f8fc;
+      font-size: 12px;
+      text-transform: uppercase;
+      flex-shrink: 0;
+    }
+    .${prefix}-value {
+      color: #1f2328;
+      font-weight: 500;
+      flex: 1;
+      min-width: 0;
       white-space: nowrap;
       overflow: hidden;
       text-overflow: ellipsis;
-      display: none;
-      line-height: 1.25;
     }
-    #gem-custom-field-picker-current-values.visible {
-      display: block;
+    .${prefix}-meta {
+      font-size: 12px;
+      color: #5b6168;
+      flex-shrink: 0;
     }
-    .gem-custom-field-picker-current-label {
+    .${prefix}-primary-badge {
+      display: inline-flex;
+      align-items: center;
+      border: 1px solid #b8ccba;
+      border-radius: 999px;
+      padding: 2px 8px;
+      font-size: 11px;
       font-weight: 600;
-      margin-right: 6px;
+      color: #27502d;
+      background: #e8f3e7;
     }
-    #gem-custom-field-picker-subtitle {
+    #${prefix}-input {
+      width: 100%;
+      border: 1px solid #b6beca;
+      border-radius: 8px;
+      padding: 10px 12px;
+      font-size: 15px;
+      margin-bottom: 10px;
+      color: #1f2328;
+    }
+    .${prefix}-hint {
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .${prefix}-empty {
+      padding: 12px;
       font-size: 13px;
-      color: #4f5358;
-      margin-bottom: 12px;
-      margin-top: 6px;
+      color: #5b6168;
     }
-    #gem-custom-field-picker-results {
+    .${prefix}-status {
+      min-height: 18px;
+      padding: 8px 2px 0;
+      font-size: 12px;
+      color: #5b6168;
+    }
+    .${prefix}-status.error {
+      color: #a61d24;
+    }
+    #${prefix}-confirm-mask {
+      position: absolute;
+      inset: 0;
+      background: rgba(255, 255, 255, 0.92);
+      border-radius: 12px;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      z-index: 5;
+    }
+    #${prefix}-confirm-mask.visible {
+      display: flex;
+    }
+    #${prefix}-confirm-card {
+      width: min(440px, 100%);
       border: 1px solid #d4dae3;
-      border-radius: 8px;
-      max-height: 340px;
-      overflow: auto;
+      border-radius: 10px;
+      padding: 16px;
+      background: #fff;
+      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
+    }
+    #${prefix}-confirm-title {
+      font-size: 16px;
+      font-weight: 600;
+      color: #1f2328;
+      margin-bottom: 8px;
+    }
+    #${prefix}-confirm-body {
+      font-size: 14px;
+      color: #32363c;
+      margin-bottom: 14px;
+      word-break: break-word;
+    }
+    #${prefix}-confirm-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+    .${prefix}-confirm-btn {
+      border-radius: 7px;
+      padding: 8px 12px;
+      font-size: 13px;
+      cursor: pointer;
+      border: 1px solid transparent;
+    }
+    #${prefix}-confirm-cancel {
+      border-color: #c4cbd7;
       background: #fff;
+      color: #1f2328;
+    }
+    #${prefix}-confirm-ok {
+      border-color: #1e69d2;
+      background: #1e69d2;
+      color: #fff;
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+function createContactInfoCaptureStyles() {
+  createContactPickerStyles("gem-contact-capture");
+}
+
+function formatSequenceDate(value) {
+  if (!value) {
+    return "";
+  }
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    return String(value);
+  }
+  return parsed.toLocaleDateString();
+}
+
+async function showCustomFieldPicker(runId, context) {
+  createCustomFieldPickerStyles();
+  const linkedinUrl = context.linkedinUrl || window.location.href;
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.id = "gem-custom-field-picker-overlay";
+
+    const modal = document.createElement("div");
+    modal.id = "gem-custom-field-picker-modal";
+
+    const header = document.createElement("div");
+    header.id = "gem-custom-field-picker-header";
+
+    const title = document.createElement("div");
+    title.id = "gem-custom-field-picker-title";
+    title.textContent = "Set Custom Field";
+
+    const currentValues = document.createElement("div");
+    currentValues.id = "gem-custom-field-picker-current-values";
+
+    const subtitle = document.createElement("div");
+    subtitle.id = "gem-custom-field-picker-subtitle";
+    subtitle.textContent = "Press a letter to pick a field, then press a number to set the value.";
+
+    const results = document.createElement("div");
+    results.id = "gem-custom-field-picker-results";
+
+    const pageInfo = document.createElement("div");
+    pageInfo.id = "gem-custom-field-picker-page";
+
+    const hint = document.createElement("div");
+    hint.className = "gem-custom-field-picker-hint";
+    hint.textContent = "Esc to cancel. Arrow keys + Enter also work.";
+
+    const confirmMask = document.createElement("div");
+    confirmMask.id = "gem-custom-field-picker-confirm-mask";
+    const confirmCard = document.createElement("div");
+    confirmCard.id = "gem-custom-field-picker-confirm-card";
+    const confirmTitle = document.createElement("div");
+    confirmTitle.id = "gem-custom-field-picker-confirm-title";
+    confirmTitle.textContent = "Confirm Custom Field Update";
+    const confirmBody = document.createElement("div");
+    confirmBody.id = "gem-custom-field-picker-confirm-body";
+    const confirmActions = document.createElement("div");
+    confirmActions.id = "gem-custom-field-picker-confirm-actions";
+    const confirmCancelBtn = document.createElement("button");
+    confirmCancelBtn.id = "gem-custom-field-picker-confirm-cancel";
+    confirmCancelBtn.className = "gem-custom-field-picker-confirm-btn";
+    confirmCancelBtn.type = "button";
+    confirmCancelBtn.textContent = "Cancel";
+    const confirmOkBtn = document.createElement("button");
+    confirmOkBtn.id = "gem-custom-field-picker-confirm-ok";
+    confirmOkBtn.className = "gem-custom-field-picker-confirm-btn";
+    confirmOkBtn.type = "button";
+    confirmOkBtn.textContent = "Confirm";
+    confirmActions.appendChild(confirmCancelBtn);
+    confirmActions.appendChild(confirmOkBtn);
+    confirmCard.appendChild(confirmTitle);
+    confirmCard.appendChild(confirmBody);
+    confirmCard.appendChild(confirmActions);
+    confirmMask.appendChild(confirmCard);
+
+    header.appendChild(title);
+    header.appendChild(currentValues);
+    modal.appendChild(header);
+    modal.appendChild(subtitle);
+    modal.appendChild(results);
+    modal.appendChild(pageInfo);
+    modal.appendChild(hint);
+    modal.appendChild(confirmMask);
+    overlay.appendChild(modal);
+    document.documentElement.appendChild(overlay);
+
+    const memoryEntry = getCustomFieldMemoryEntry(context);
+    const initialFieldData = memoryEntry.entry
+      ? mergeOptimisticGemStatusIntoCustomFieldData(
+          context,
+          memoryEntry.entry,
+          String(memoryEntry.entry.candidateId || "").trim()
+        )
+      : null;
+    const hasMemory = Boolean(memoryEntry.entry);
+    let loading = !hasMemory;
+    let loadError = "";
+    let step = "fields";
+    let selectedIndex = 0;
+    let currentPage = 0;
+    let allFields = hasMemory ? normalizeCustomFieldsForPicker(initialFieldData).slice() : [];
+    let fieldsForPage = [];
+    let selectedField = null;
+    let valueChoices = [];
+    const pendingMultiOptionIds = new Set();
+    let hasEditedMultiSelection = false;
+    let pendingMultiConfirmation = null;
+    let pickerActive = true;
+    const startedAt = Date.now();
+    let currentCandidateId = hasMemory ? String(initialFieldData?.candidateId || "").trim() : "";
+    let manualEntryInput = null;
+    let manualEntryError = null;
+    let manualEntryDraft = "";
+    let createOptionInput = null;
+    let createOptionList = null;
+    let createOptionError = null;
+    let createOptionDraft = "";
+    let createOptionRows = [];
+    let createOptionActiveIndex = 0;
+    let createOptionBusy = false;
+    const valueRowRefs = [];
+
+    function clearPendingMultiSelection() {
+      pendingMultiOptionIds.clear();
     }
-    .gem-custom-field-picker-item {
-      display: flex;
-      align-items: center;
-      gap: 12px;
-      padding: 10px 12px;
-      cursor: pointer;
-      border-bottom: 1px solid #eff2f7;
-      font-size: 14px;
-      line-height: 1.3;
+
+    function seedPendingMultiSelectionFromExisting(field) {
+      clearPendingMultiSelection();
+      if (!isMultiSelectField(field)) {
+        return;
+      }
+      const currentOptionIds = getCurrentOptionIdsForField(field, Array.isArray(field?.options) ? field.options : []);
+      currentOptionIds.forEach((id) => pendingMultiOptionIds.add(id));
     }
-    .gem-custom-field-picker-item:last-child {
-      border-bottom: none;
+
+    function getCurrentOptionIdsForField(field, choices) {
+      const optionIds = new Set();
+      const directOptionIds = Array.isArray(field?.currentOptionIds) ? field.currentOptionIds : [];
+      directOptionIds
+        .map((id) => String(id || "").trim())
+        .filter(Boolean)
+        .forEach((id) => optionIds.add(id));
+
+      if (optionIds.size > 0) {
+        return optionIds;
+      }
+
+      const currentLabels = Array.isArray(field?.currentValueLabels) ? field.currentValueLabels : [];
+      if (currentLabels.length === 0 || !Array.isArray(choices) || choices.length === 0) {
+        return optionIds;
+      }
+
+      const normalizedCurrentLabels = new Set(
+        currentLabels.map((value) => String(value || "").trim().toLowerCase()).filter(Boolean)
+      );
+      choices.forEach((option) => {
+        const optionValue = String(option?.value || "").trim().toLowerCase();
+        if (optionValue && normalizedCurrentLabels.has(optionValue)) {
+          const optionId = String(option?.id || "").trim();
+          if (optionId) {
+            optionIds.add(optionId);
+          }
+        }
+      });
+
+      return optionIds;
     }
-    .gem-custom-field-picker-item.active {
-      background: #eaf2fe;
+
+    function cleanup() {
+      pickerActive = false;
+      overlay.remove();
     }
-    .gem-custom-field-picker-item.selected {
-      background: #eef6ec;
+
+    function finish(selection) {
+      cleanup();
+      resolve(selection || null);
     }
-    .gem-custom-field-picker-item.active.selected {
-      background: #dcebd8;
+
+    function logSelectionConfirmed(selection, details = {}) {
+      void logEvent({
+        source: "extension.content",
+        event: "custom_field_picker.selection_confirmed",
+        actionId: ACTIONS.SET_CUSTOM_FIELD,
+        runId,
+        message: `Confirmed custom field update for ${selection?.customFieldName || selection?.customFieldId || "field"}.`,
+        link: linkedinUrl,
+        details: {
+          candidateId: selection?.candidateId || currentCandidateId || "",
+          customFieldId: selection?.customFieldId || "",
+          customFieldName: selection?.customFieldName || "",
+          customFieldValueType: selection?.customFieldValueType || "",
+          manualEntry: Boolean(details.manualEntry),
+          multiSelect: Boolean(details.multiSelect),
+          selectedOptionCount: Number(details.selectedOptionCount) || 0,
+          durationMs: Date.now() - startedAt
+        }
+      });
     }
-    .gem-custom-field-picker-hotkey {
-      min-width: 28px;
-      height: 24px;
-      border: 1px solid #b9c3d3;
-      border-radius: 6px;
-      text-align: center;
-      line-height: 22px;
-      font-weight: 600;
-      color: #2f3a4b;
-      background: #f5f8fc;
-      font-size: 12px;
-      text-transform: uppercase;
-      flex-shrink: 0;
+
+    function finishWithSelection(selection, details = {}) {
+      logSelectionConfirmed(selection, details);
+      finish(selection);
     }
-    .gem-custom-field-picker-value {
-      color: #1f2328;
-      font-weight: 500;
-      flex: 1;
-      min-width: 0;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
+
+    function updatePageFields() {
+      const start = currentPage * CUSTOM_FIELD_KEYS_PER_PAGE;
+      fieldsForPage = allFields.slice(start, start + CUSTOM_FIELD_KEYS_PER_PAGE);
+      if (selectedIndex >= fieldsForPage.length) {
+        selectedIndex = Math.max(0, fieldsForPage.length - 1);
+      }
+      if (selectedIndex < 0) {
+        selectedIndex = 0;
+      }
     }
-    .gem-custom-field-picker-meta {
-      font-size: 12px;
-      color: #5b6168;
-      margin-left: auto;
-      text-transform: capitalize;
-      flex-shrink: 0;
+
+    function isMultiSelectField(field) {
+      return String(field?.valueType || "").toLowerCase() === "multi_select";
     }
-    .gem-custom-field-picker-hint {
-      margin-top: 10px;
-      font-size: 12px;
-      color: #5b6168;
+
+    function getScalarInputType(field) {
+      const valueType = String(field?.valueType || "").toLowerCase();
+      if (valueType === "date" || valueType === "text") {
+        return valueType;
+      }
+      return "";
     }
-    .gem-custom-field-picker-empty {
-      padding: 12px;
-      font-size: 13px;
-      color: #5b6168;
+
+    function getCurrentScalarValue(field) {
+      const labels = Array.isArray(field?.currentValueLabels) ? field.currentValueLabels : [];
+      return String(labels[0] || "").trim();
     }
-    #gem-custom-field-picker-page {
-      margin-top: 8px;
-      font-size: 12px;
-      color: #5b6168;
+
+    function validateScalarValue(field, typed) {
+      const inputType = getScalarInputType(field);
+      if (inputType === "date" && !isValidIsoDateInput(typed)) {
+        return "Enter a date as YYYY-MM-DD.";
+      }
+      return "";
     }
-    .gem-custom-field-picker-form {
-      padding: 16px;
-      display: flex;
-      flex-direction: column;
-      gap: 12px;
+
+    function summarizeLabels(values, maxVisible = 3) {
+      if (!Array.isArray(values) || values.length === 0) {
+        return "None";
+      }
+      const labels = values
+        .map((value) => String(value || "").trim())
+        .filter(Boolean);
+      if (labels.length === 0) {
+        return "None";
+      }
+      if (labels.length <= maxVisible) {
+        return labels.join(", ");
+      }
+      return `${labels.slice(0, maxVisible).join(", ")} +${labels.length - maxVisible} more`;
     }
-    .gem-custom-field-picker-form-label {
-      font-size: 13px;
-      font-weight: 600;
-      color: #2a3442;
+
+    function setCurrentValuesBadge(field) {
+      if (!field || (step !== "values" && step !== "manual" && step !== "create")) {
+        currentValues.classList.remove("visible");
+        currentValues.textContent = "";
+        return;
+      }
+      currentValues.classList.add("visible");
+      const values = Array.isArray(field.currentValueLabels) ? field.currentValueLabels : [];
+      currentValues.innerHTML = "";
+      const label = document.createElement("span");
+      label.className = "gem-custom-field-picker-current-label";
+      label.textContent = "Current:";
+      const valueText = document.createElement("span");
+      valueText.textContent = summarizeLabels(values, 4);
+      currentValues.appendChild(label);
+      currentValues.appendChild(valueText);
     }
-    #gem-custom-field-picker-manual-input {
-      width: 100%;
-      border: 1px solid #ced6e2;
-      border-radius: 8px;
-      padding: 10px 12px;
-      font-size: 16px;
-      color: #1f2328;
-      font-family: inherit;
+
+    function setHintText(text) {
+      hint.textContent = text;
     }
-    #gem-custom-field-picker-manual-input:focus {
-      outline: 2px solid #8db7ff;
-      outline-offset: 1px;
-      border-color: #1e69d2;
+
+    function updateValuesPageInfo() {
+      if (step !== "values") {
+        pageInfo.textContent = "";
+        return;
+      }
+      if (isMultiSelectField(selectedField)) {
+        const selectedCount = pendingMultiOptionIds.size;
+        pageInfo.textContent =
+          selectedCount > 0
+            ? `${selectedCount} value${selectedCount === 1 ? "" : "s"} selected. Press Enter to review.`
+            : "Press a letter to select additional values.";
+        return;
+      }
+      pageInfo.textContent = "";
     }
-    #gem-custom-field-picker-manual-error {
-      min-height: 18px;
-      font-size: 12px;
-      color: #b42318;
+
+    function isConfirmingMultiSelection() {
+      return Boolean(pendingMultiConfirmation);
     }
-    #gem-custom-field-picker-manual-error:empty {
-      display: none;
+
+    function updateMultiConfirmationMask() {
+      if (!pendingMultiConfirmation) {
+        confirmMask.classList.remove("visible");
+        modal.focus();
+        return;
+      }
+      confirmBody.textContent = pendingMultiConfirmation.message;
+      confirmMask.classList.add("visible");
+      confirmOkBtn.focus();
     }
-    .gem-custom-field-picker-form-actions {
-      display: flex;
-      justify-content: flex-end;
-      gap: 8px;
+
+    function closeMultiConfirmation() {
+      if (!pendingMultiConfirmation) {
+        return;
+      }
+      pendingMultiConfirmation = null;
+      updateMultiConfirmationMask();
     }
-    .gem-custom-field-picker-form-btn {
-      border-radius: 7px;
-      padding: 8px 12px;
-      font-size: 13px;
-      cursor: pointer;
-      border: 1px solid transparent;
+
+    function isCreateOptionChoice(option) {
+      return String(option?.id || "").trim() === "__create__";
     }
-    .gem-custom-field-picker-form-btn.secondary {
-      border-color: #c4cbd7;
-      background: #fff;
-      color: #1f2328;
+
+    function buildValueChoicesForField(field) {
+      const options = Array.isArray(field?.options) ? field.options.slice() : [];
+      const valueType = String(field?.valueType || "").toLowerCase();
+      if (valueType === "single_select" || valueType === "multi_select") {
+        return options.concat({ id: "__create__", value: "Create new option..." });
+      }
+      if (options.length > 0) {
+        return options;
+      }
+      return [{ id: "__manual__", value: "Type a custom value..." }];
     }
-    .gem-custom-field-picker-form-btn.primary {
-      border-color: #1e69d2;
-      background: #1e69d2;
-      color: #fff;
+
+    function setValuesHeaderForField(field) {
+      title.textContent = `Set ${field.name}`;
+      if (isMultiSelectField(field)) {
+        subtitle.textContent = "Press letters to select additional values, then press Enter to continue.";
+        setHintText(
+          "Esc to go back. Letter shortcuts toggle immediately. Enter reviews selection. + creates a new option. In confirmation: Enter confirms, Esc cancels."
+        );
+      } else {
+        subtitle.textContent = "Press a number to choose a value.";
+        setHintText("Esc to go back. Number shortcuts apply immediately. + creates a new option. Arrow keys + Enter also work.");
+      }
+      setCurrentValuesBadge(field);
     }
-    #gem-custom-field-picker-confirm-mask {
-      position: absolute;
-      inset: 0;
-      background: rgba(255, 255, 255, 0.92);
-      border-radius: 12px;
-      display: none;
-      align-items: center;
-      justify-content: center;
-      padding: 20px;
-      z-index: 5;
+
+    function setManualEntryHeaderForField(field) {
+      const inputType = getScalarInputType(field);
+      title.textContent = `Set ${field.name}`;
+      subtitle.textContent =
+        inputType === "date"
+          ? "Pick a date, then press Enter to apply it."
+          : "Type a custom value, then press Enter to apply it.";
+      setHintText(
+        inputType
+          ? "Enter applies the value. Submit an empty value to clear it. Esc returns to the field list."
+          : "Enter applies the typed value. Esc returns to the values list."
+      );
+      setCurrentValuesBadge(field);
     }
-    #gem-custom-field-picker-confirm-mask.visible {
-      display: flex;
+
+    function clearValueRowRefs() {
+      valueRowRefs.length = 0;
     }
-    #gem-custom-field-picker-confirm-card {
-      width: min(440px, 100%);
-      border: 1px solid #d4dae3;
-      border-radius: 10px;
-      padding: 16px;
-      background: #fff;
-      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
+
+    function syncValueRowSelectionState() {
+      if (step !== "values") {
+        return;
+      }
+      const isMulti = isMultiSelectField(selectedField);
+      const currentOptionIds = getCurrentOptionIdsForField(selectedField, valueChoices);
+      valueRowRefs.forEach((entry, index) => {
+        const optionId = String(entry.optionId || "").trim();
+        const isActive = index === selectedIndex;
+        const isCurrentlySet = optionId ? currentOptionIds.has(optionId) : false;
+        const isSelected = isMulti ? (optionId ? pendingMultiOptionIds.has(optionId) : false) : isCurrentlySet;
+        entry.item.classList.toggle("active", isActive);
+        entry.item.classList.toggle("selected", isSelected);
+      });
+      updateValuesPageInfo();
     }
-    #gem-custom-field-picker-confirm-title {
-      font-size: 16px;
-      font-weight: 600;
-      color: #1f2328;
-      margin-bottom: 8px;
+
+    function mountValuesView() {
+      clearValueRowRefs();
+      manualEntryInput = null;
+      manualEntryError = null;
+      results.innerHTML = "";
+      const isMulti = isMultiSelectField(selectedField);
+      const currentOptionIds = getCurrentOptionIdsForField(selectedField, valueChoices);
+      if (valueChoices.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "gem-custom-field-picker-empty";
+        empty.textContent = "No values available for this field.";
+        results.appendChild(empty);
+        updateValuesPageInfo();
+        return;
+      }
+      valueChoices.forEach((option, index) => {
+        const optionId = String(option?.id || "").trim();
+        const item = document.createElement("div");
+        const hotkey = document.createElement("div");
+        hotkey.className = "gem-custom-field-picker-hotkey";
+        hotkey.textContent = isCreateOptionChoice(option)
+          ? "+"
+          : isMulti
+            ? CUSTOM_FIELD_SHORTCUT_KEYS[index] || ""
+            : String(index + 1);
+
+        const value = document.createElement("div");
+        value.className = "gem-custom-field-picker-value";
+        value.textContent = option.value || option.id || "";
+
+        item.className = "gem-custom-field-picker-item";
+        item.appendChild(hotkey);
+        item.appendChild(value);
+        if (optionId && currentOptionIds.has(optionId)) {
+          const existingTag = document.createElement("div");
+          existingTag.className = "gem-custom-field-picker-meta";
+          existingTag.textContent = "current";
+          item.appendChild(existingTag);
+        }
+        item.addEventListener("mouseenter", () => {
+          if (selectedIndex === index) {
+            return;
+          }
+          selectedIndex = index;
+          syncValueRowSelectionState();
+        });
+        item.addEventListener("click", () => {
+          selectedIndex = index;
+          syncValueRowSelectionState();
+          if (isCreateOptionChoice(option)) {
+            openCreateOption();
+            return;
+          }
+          if (isMulti) {
+            toggleMultiChoice(option);
+            return;
+          }
+          finishSingleChoice(option);
+        });
+        valueRowRefs.push({ item, optionId });
+        results.appendChild(item);
+      });
+      syncValueRowSelectionState();
     }
-    #gem-custom-field-picker-confirm-body {
-      font-size: 14px;
-      color: #32363c;
-      margin-bottom: 14px;
-      word-break: break-word;
+
+    function setManualEntryError(message) {
+      if (!manualEntryError) {
+        return;
+      }
+      manualEntryError.textContent = String(message || "");
     }
-    #gem-custom-field-picker-confirm-actions {
-      display: flex;
-      justify-content: flex-end;
-      gap: 8px;
+
+    function submitClearValue() {
+      if (!selectedField) {
+        return;
+      }
+      finishWithSelection(
+        {
+          candidateId: currentCandidateId,
+          customFieldId: selectedField.id,
+          customFieldName: selectedField.name || "",
+          customFieldValue: "",
+          customFieldValueLabels: [],
+          customFieldOptionId: "",
+          customFieldOptionIds: [],
+          customFieldValueType: selectedField.valueType || "text",
+          customFieldClear: true
+        },
+        {
+          manualEntry: true,
+          selectedOptionCount: 0
+        }
+      );
     }
-    .gem-custom-field-picker-confirm-btn {
-      border-radius: 7px;
-      padding: 8px 12px;
-      font-size: 13px;
-      cursor: pointer;
-      border: 1px solid transparent;
+
+    function submitManualEntry() {
+      if (!selectedField) {
+        return;
+      }
+      const typed = String(manualEntryInput ? manualEntryInput.value : manualEntryDraft || "").trim();
+      if (!typed && getScalarInputType(selectedField) && getCurrentScalarValue(selectedField)) {
+        submitClearValue();
+        return;
+      }
+      const validationError = typed ? validateScalarValue(selectedField, typed) : "Enter a value.";
+      if (validationError) {
+        setManualEntryError(validationError);
+        if (manualEntryInput) {
+          manualEntryInput.focus();
+          if (manualEntryInput.type !== "date") {
+            manualEntryInput.select();
+          }
+        }
+        return;
+      }
+      manualEntryDraft = typed;
+      finishWithSelection(
+        {
+          candidateId: currentCandidateId,
+          customFieldId: selectedField.id,
+          customFieldName: selectedField.name || "",
+          customFieldValue: typed,
+          customFieldValueLabels: [typed],
+          customFieldOptionId: "",
+          customFieldOptionIds: [],
+          customFieldValueType: selectedField.valueType || "text"
+        },
+        {
+          manualEntry: true,
+          selectedOptionCount: 0
+        }
+      );
     }
-    #gem-custom-field-picker-confirm-cancel {
-      border-color: #c4cbd7;
-      background: #fff;
-      color: #1f2328;
+
+    function renderManualEntryView() {
+      clearValueRowRefs();
+      results.innerHTML = "";
+      setManualEntryHeaderForField(selectedField);
+      pageInfo.textContent = "";
+
+      const container = document.createElement("div");
+      container.className = "gem-custom-field-picker-form";
+
+      const label = document.createElement("label");
+      label.className = "gem-custom-field-picker-form-label";
+      label.setAttribute("for", "gem-custom-field-picker-manual-input");
+      label.textContent = `Value for ${selectedField?.name || "field"}`;
+
+      const inputType = getScalarInputType(selectedField);
+      manualEntryInput = document.createElement("input");
+      manualEntryInput.id = "gem-custom-field-picker-manual-input";
+      manualEntryInput.type = inputType === "date" ? "date" : "text";
+      manualEntryInput.autocomplete = "off";
+      manualEntryInput.placeholder = "Enter custom value";
+      manualEntryInput.value = manualEntryDraft;
+      manualEntryInput.addEventListener("input", () => {
+        manualEntryDraft = manualEntryInput.value;
+        setManualEntryError("");
+      });
+
+      manualEntryError = document.createElement("div");
+      manualEntryError.id = "gem-custom-field-picker-manual-error";
+
+      const actions = document.createElement("div");
+      actions.className = "gem-custom-field-picker-form-actions";
+
+      const backBtn = document.createElement("button");
+      backBtn.type = "button";
+      backBtn.className = "gem-custom-field-picker-form-btn secondary";
+      backBtn.textContent = "Back";
+      backBtn.addEventListener("click", () => {
+        goBackToValues();
+      });
+
+      const applyBtn = document.createElement("button");
+      applyBtn.type = "button";
+      applyBtn.className = "gem-custom-field-picker-form-btn primary";
+      applyBtn.textContent = "Apply";
+      applyBtn.addEventListener("click", () => {
+        submitManualEntry();
+      });
+
+      actions.appendChild(backBtn);
+      if (inputType && getCurrentScalarValue(selectedField)) {
+        const clearBtn = document.createElement("button");
+        clearBtn.type = "button";
+        clearBtn.className = "gem-custom-field-picker-form-btn secondary";
+        clearBtn.textContent = "Clear value";
+        clearBtn.addEventListener("click", () => {
+          submitClearValue();
+        });
+        actions.appendChild(clearBtn);
+      }
+      actions.appendChild(applyBtn);
+      container.appendChild(label);
+      container.appendChild(manualEntryInput);
+      container.appendChild(manualEntryError);
+      container.appendChild(actions);
+      results.appendChild(container);
+
+      window.requestAnimationFrame(() => {
+        if (manualEntryInput) {
+          manualEntryInput.focus();
+          manualEntryInput.select();
+        }
+      });
     }
-    #gem-custom-field-picker-confirm-ok {
-      border-color: #1e69d2;
-      background: #1e69d2;
-      color: #fff;
+
+    function openManualEntry() {
+      if (!selectedField) {
+        return;
+      }
+      step = "manual";
+      manualEntryDraft = getScalarInputType(selectedField) ? getCurrentScalarValue(selectedField) : "";
+      renderManualEntryView();
+      void logEvent({
+        source: "extension.content",
+        event: "custom_field_picker.manual_entry_opened",
+        actionId: ACTIONS.SET_CUSTOM_FIELD,
+        runId,
+        message: `Opened manual custom field entry for ${selectedField.name || selectedField.id}.`,
+        link: linkedinUrl,
+        details: {
+          candidateId: currentCandidateId,
+          customFieldId: selectedField.id,
+          customFieldName: selectedField.name || "",
+          durationMs: Date.now() - startedAt
+        }
+      });
     }
-  `;
-  document.documentElement.appendChild(style);
-}
 
-function createReminderPickerStyles() {
-  if (document.getElementById("gem-reminder-picker-style")) {
-    return;
-  }
-  const style = document.createElement("style");
-  style.id = "gem-reminder-picker-style";
-  style.textContent = `
-    #gem-reminder-picker-overlay {
-      position: fixed;
-      inset: 0;
-      background: rgba(0, 0, 0, 0.45);
-      z-index: 2147483647;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 16px;
+    function getExistingOptionChoices() {
+      return valueChoices.filter((option) => !isCreateOptionChoice(option) && String(option?.id || "").trim());
     }
-    #gem-reminder-picker-modal {
-      width: min(720px, 100%);
-      background: #fff;
-      border-radius: 12px;
-      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
-      padding: 18px;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
-      color: #1f2328;
-      position: relative;
+
+    function buildCreateOptionRows() {
+      const typed = createOptionDraft.trim();
+      const query = typed.toLowerCase();
+      const existing = getExistingOptionChoices();
+      const rows = existing
+        .filter((option) => !query || String(option.value || "").toLowerCase().includes(query))
+        .map((option) => ({ option, create: false }));
+      const hasExactMatch = existing.some((option) => String(option.value || "").trim().toLowerCase() === query);
+      if (typed && !hasExactMatch) {
+        rows.push({ option: { id: "", value: typed }, create: true });
+      }
+      return rows;
     }
-    #gem-reminder-picker-title {
-      font-size: 20px;
-      font-weight: 700;
-      margin-bottom: 6px;
+
+    function renderCreateOptionRows() {
+      if (!createOptionList) {
+        return;
+      }
+      createOptionRows = buildCreateOptionRows();
+      if (createOptionActiveIndex >= createOptionRows.length) {
+        createOptionActiveIndex = Math.max(0, createOptionRows.length - 1);
+      }
+      const currentOptionIds = getCurrentOptionIdsForField(selectedField, valueChoices);
+      createOptionList.innerHTML = "";
+      createOptionRows.forEach((row, index) => {
+        const item = document.createElement("div");
+        item.className = `gem-custom-field-picker-item${index === createOptionActiveIndex ? " active" : ""}`;
+        if (row.create) {
+          const hotkey = document.createElement("div");
+          hotkey.className = "gem-custom-field-picker-hotkey";
+          hotkey.textContent = "+";
+          item.appendChild(hotkey);
+        }
+        const value = document.createElement("div");
+        value.className = "gem-custom-field-picker-value";
+        value.textContent = row.create ? `Create "${row.option.value}"` : row.option.value || row.option.id;
+        item.appendChild(value);
+        if (!row.create && currentOptionIds.has(row.option.id)) {
+          const existingTag = document.createElement("div");
+          existingTag.className = "gem-custom-field-picker-meta";
+          existingTag.textContent = "current";
+          item.appendChild(existingTag);
+        }
+        item.addEventListener("mouseenter", () => {
+          if (createOptionActiveIndex === index) {
+            return;
+          }
+          createOptionActiveIndex = index;
+          renderCreateOptionRows();
+        });
+        item.addEventListener("click", () => {
+          createOptionActiveIndex = index;
+          submitCreateOptionRow();
+        });
+        createOptionList.appendChild(item);
+      });
     }
-    #gem-reminder-picker-subtitle {
-      font-size: 13px;
-      color: #4f5358;
-      margin-bottom: 14px;
+
+    function resetCreateOptionActiveIndex() {
+      const rows = buildCreateOptionRows();
+      const query = createOptionDraft.trim().toLowerCase();
+      const exactIndex = query
+        ? rows.findIndex((row) => !row.create && String(row.option.value || "").trim().toLowerCase() === query)
+        : -1;
+      createOptionActiveIndex = exactIndex >= 0 ? exactIndex : Math.max(0, rows.length - 1);
     }
-    .gem-reminder-picker-label {
-      display: block;
-      font-size: 13px;
-      font-weight: 600;
-      margin: 0 0 8px;
-      color: #2a3442;
+
+    function setCreateOptionError(message) {
+      if (!createOptionError) {
+        return;
+      }
+      createOptionError.textContent = String(message || "");
     }
-    #gem-reminder-picker-note {
-      width: 100%;
-      min-height: 116px;
-      max-height: 220px;
-      border: 1px solid #b6beca;
-      border-radius: 10px;
-      padding: 12px;
-      font-size: 16px;
-      color: #1f2328;
-      resize: vertical;
-      margin-bottom: 14px;
-      font-family: inherit;
+
+    function registerCreatedOption(option) {
+      const fieldId = selectedField.id;
+      const withOption = (field) => {
+        const options = Array.isArray(field?.options) ? field.options : [];
+        if (field?.id !== fieldId || options.some((item) => item.id === option.id)) {
+          return field;
+        }
+        return {
+          ...field,
+          options: options.concat(option).sort((a, b) => String(a.value || "").localeCompare(String(b.value || "")))
+        };
+      };
+      allFields = allFields.map(withOption);
+      selectedField = withOption(selectedField);
+      valueChoices = buildValueChoicesForField(selectedField);
+      setCustomFieldMemoryEntry(context, {
+        candidateId: currentCandidateId,
+        customFields: allFields
+      });
+    }
+
+    function applyOptionFromCreate(option) {
+      if (!isMultiSelectField(selectedField)) {
+        finishSingleChoice(option);
+        return;
+      }
+      pendingMultiOptionIds.add(option.id);
+      const selectedOptionIds = buildSelectedMultiOptionIds();
+      const selectionLabels = valueChoices
+        .filter((choice) => pendingMultiOptionIds.has(choice.id))
+        .map((choice) => choice.value || choice.id || "")
+        .filter(Boolean);
+      finishWithSelection(
+        {
+          candidateId: currentCandidateId,
+          customFieldId: selectedField.id,
+          customFieldName: selectedField.name || "",
+          customFieldValue: selectionLabels.join(", "),
+          customFieldValueLabels: selectionLabels,
+          customFieldOptionId: selectedOptionIds[0] || "",
+          customFieldOptionIds: selectedOptionIds,
+          customFieldValueType: selectedField.valueType || ""
+        },
+        {
+          manualEntry: false,
+          multiSelect: true,
+          selectedOptionCount: selectedOptionIds.length
+        }
+      );
     }
-    .gem-reminder-picker-date-row {
-      display: block;
-      margin-bottom: 8px;
+
+    function submitCreateOptionRow() {
+      if (!selectedField || createOptionBusy) {
+        return;
+      }
+      const row = createOptionRows[createOptionActiveIndex];
+      if (!row) {
+        setCreateOptionError("Type a value to create.");
+        return;
+      }
+      if (!row.create) {
+        applyOptionFromCreate(row.option);
+        return;
+      }
+      const value = row.option.value;
+      if (value.length > 50) {
+        setCreateOptionError("Options must be 50 characters or less.");
+        return;
+      }
+      const field = selectedField;
+      createOptionBusy = true;
+      setCreateOptionError("");
+      if (createOptionInput) {
+        createOptionInput.disabled = true;
+      }
+      subtitle.textContent = `Creating "${value}"...`;
+      createCustomFieldOption(field.id, value, runId)
+        .then(({ option, created }) => {
+          if (!pickerActive || selectedField?.id !== field.id) {
+            return;
+          }
+          registerCreatedOption(option);
+          void logEvent({
+            source: "extension.content",
+            event: "custom_field_picker.option_created",
+            actionId: ACTIONS.SET_CUSTOM_FIELD,
+            runId,
+            message: `${created ? "Created" : "Reused"} option "${option.value}" for ${field.name || field.id}.`,
+            link: linkedinUrl,
+            details: {
+              customFieldId: field.id,
+              optionId: option.id,
+              created
+            }
+          });
+          applyOptionFromCreate(option);
+        })
+        .catch((error) => {
+          if (!pickerActive || step !== "create") {
+            return;
+          }
+          createOptionBusy = false;
+          subtitle.textContent = "Type to filter options. Enter picks the highlighted row.";
+          if (createOptionInput) {
+            createOptionInput.disabled = false;
+            createOptionInput.focus();
+          }
+          setCreateOptionError(error.message || "Could not create option.");
+        });
     }
-    #gem-reminder-picker-date-input {
-      width: 100%;
-      border: 1px solid #ced6e2;
-      border-radius: 8px;
-      padding: 10px 12px;
-      font-size: 16px;
-      color: #1f2328;
-      background: #fff;
+
+    function openCreateOption() {
+      if (!selectedField) {
+        return;
+      }
+      step = "create";
+      createOptionBusy = false;
+      createOptionDraft = "";
+      createOptionActiveIndex = 0;
+      clearValueRowRefs();
+      closeMultiConfirmation();
+      results.innerHTML = "";
+      pageInfo.textContent = "";
+      title.textContent = `Set ${selectedField.name}`;
+      subtitle.textContent = "Type to filter options. Enter picks the highlighted row.";
+      setHintText("Arrow keys move. Enter picks or creates. Esc returns to the values list.");
+      setCurrentValuesBadge(selectedField);
+
+      const container = document.createElement("div");
+      container.className = "gem-custom-field-picker-form";
+
+      const label = document.createElement("label");
+      label.className = "gem-custom-field-picker-form-label";
+      label.setAttribute("for", "gem-custom-field-picker-create-input");
+      label.textContent = `Find or create a ${selectedField.name || "field"} option`;
+
+      createOptionInput = document.createElement("input");
+      createOptionInput.id = "gem-custom-field-picker-create-input";
+      createOptionInput.type = "text";
+      createOptionInput.autocomplete = "off";
+      createOptionInput.maxLength = 50;
+      createOptionInput.placeholder = "Type an option";
+      createOptionInput.addEventListener("input", () => {
+        createOptionDraft = createOptionInput.value;
+        setCreateOptionError("");
+        resetCreateOptionActiveIndex();
+        renderCreateOptionRows();
+      });
+
+      createOptionList = document.createElement("div");
+      createOptionList.id = "gem-custom-field-picker-create-list";
+
+      createOptionError = document.createElement("div");
+      createOptionError.id = "gem-custom-field-picker-manual-error";
+
+      container.appendChild(label);
+      container.appendChild(createOptionInput);
+      container.appendChild(createOptionList);
+      container.appendChild(createOptionError);
+      results.appendChild(container);
+      renderCreateOptionRows();
+
+      window.requestAnimationFrame(() => {
+        if (createOptionInput) {
+          createOptionInput.focus();
+        }
+      });
     }
-    .gem-reminder-picker-quick-actions {
-      margin-top: 10px;
-      display: flex;
-      gap: 8px;
-      flex-wrap: wrap;
+
+    function closeCreateOption() {
+      step = "values";
+      createOptionInput = null;
+      createOptionList = null;
+      createOptionError = null;
+      createOptionRows = [];
+      createOptionBusy = false;
+      setValuesHeaderForField(selectedField);
+      mountValuesView();
+      modal.focus();
     }
-    .gem-reminder-picker-quick-btn {
-      border: 1px solid #c5cedd;
-      border-radius: 8px;
-      background: #f8fafe;
-      color: #1f2328;
-      font-size: 13px;
-      font-weight: 600;
-      padding: 8px 10px;
-      cursor: pointer;
+
+    function handleCreateOptionKey(event) {
+      if (event.metaKey || event.ctrlKey || event.altKey) {
+        return;
+      }
+      if (event.key === "Escape") {
+        event.preventDefault();
+        if (!createOptionBusy) {
+          closeCreateOption();
+        }
+        return;
+      }
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        if (createOptionRows.length > 0) {
+          const delta = event.key === "ArrowDown" ? 1 : -1;
+          createOptionActiveIndex = (createOptionActiveIndex + delta + createOptionRows.length) % createOptionRows.length;
+          renderCreateOptionRows();
+        }
+        return;
+      }
+      if (event.key === "Enter") {
+        event.preventDefault();
+        submitCreateOptionRow();
+      }
     }
-    .gem-reminder-picker-quick-btn:hover {
-      background: #edf2fc;
+
+    function goBackToValues() {
+      if (!selectedField) {
+        return;
+      }
+      if (getScalarInputType(selectedField)) {
+        goBackToFields();
+        return;
+      }
+      step = "values";
+      manualEntryInput = null;
+      manualEntryError = null;
+      setValuesHeaderForField(selectedField);
+      mountValuesView();
+      modal.focus();
     }
-    .gem-reminder-picker-quick-key {
-      display: inline-block;
-      min-width: 18px;
-      margin-right: 6px;
-      padding: 2px 5px;
-      border-radius: 5px;
-      border: 1px solid #bcc7d8;
-      background: #fff;
-      font-size: 11px;
-      line-height: 1.1;
-      text-transform: uppercase;
-      color: #344255;
-      text-align: center;
+
+    function renderFields() {
+      updatePageFields();
+      results.innerHTML = "";
+      currentValues.classList.remove("visible");
+      currentValues.textContent = "";
+      setHintText("Esc to cancel. Arrow keys + Enter also work.");
+      if (loading) {
+        const loadingNode = document.createElement("div");
+        loadingNode.className = "gem-custom-field-picker-empty";
+        loadingNode.textContent = "Loading custom fields...";
+        results.appendChild(loadingNode);
+        pageInfo.textContent = "";
+        return;
+      }
+      if (loadError) {
+        const errorNode = document.createElement("div");
+        errorNode.className = "gem-custom-field-picker-empty";
+        errorNode.textContent = `Could not load custom fields: ${loadError}`;
+        results.appendChild(errorNode);
+        pageInfo.textContent = "";
+        return;
+      }
+      if (allFields.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "gem-custom-field-picker-empty";
+        empty.textContent = "No custom fields available for this candidate.";
+        results.appendChild(empty);
+        pageInfo.textContent = "";
+        return;
+      }
+
+      fieldsForPage.forEach((field, index) => {
+        const item = document.createElement("div");
+        item.className = `gem-custom-field-picker-item${index === selectedIndex ? " active" : ""}`;
+
+        const hotkey = document.createElement("div");
+        hotkey.className = "gem-custom-field-picker-hotkey";
+        hotkey.textContent = CUSTOM_FIELD_SHORTCUT_KEYS[index] || "";
+
+        const value = document.createElement("div");
+        value.className = "gem-custom-field-picker-value";
+        value.textContent = field.name || field.id;
+
+        const meta = document.createElement("div");
+        meta.className = "gem-custom-field-picker-meta";
+        meta.textContent = field.valueType || "";
+
+        item.appendChild(hotkey);
+        item.appendChild(value);
+        item.appendChild(meta);
+        item.addEventListener("mouseenter", () => {
+          if (selectedIndex === index) {
+            return;
+          }
+          selectedIndex = index;
+          renderFields();
+        });
+        item.addEventListener("click", () => {
+          selectedField = field;
+          openValuesForField(field);
+        });
+        results.appendChild(item);
+      });
+
+      const totalPages = Math.max(1, Math.ceil(allFields.length / CUSTOM_FIELD_KEYS_PER_PAGE));
+      if (totalPages > 1) {
+        pageInfo.textContent = `Page ${currentPage + 1}/${totalPages}. Press [ / ] to change page.`;
+      } else {
+        pageInfo.textContent = "";
+      }
+    }
+
+    function applyLoadedCustomFields(data) {
+      if (!pickerActive) {
+        return;
+      }
+      loading = false;
+      loadError = "";
+      const dataWithOptimisticStatus = mergeOptimisticGemStatusIntoCustomFieldData(
+        context,
+        data,
+        String(data?.candidateId || currentCandidateId || "").trim()
+      );
+      currentCandidateId = String(dataWithOptimisticStatus?.candidateId || currentCandidateId || "").trim();
+      rememberResolvedCandidateIdForContext(context, currentCandidateId);
+      allFields = normalizeCustomFieldsForPicker(dataWithOptimisticStatus);
+      setCustomFieldMemoryEntry(context, {
+        candidateId: currentCandidateId,
+        customFields: allFields
+      });
+
+      if ((step === "values" || step === "manual" || step === "create") && selectedField) {
+        const refreshedField = allFields.find((field) => field.id === selectedField.id) || selectedField;
+        selectedField = refreshedField;
+        const nextChoices = buildValueChoicesForField(refreshedField);
+        const activeChoiceId = valueChoices[selectedIndex]?.id || "";
+        valueChoices = nextChoices;
+        if (activeChoiceId) {
+          const matchedChoiceIndex = nextChoices.findIndex((option) => option.id === activeChoiceId);
+          selectedIndex = matchedChoiceIndex >= 0 ? matchedChoiceIndex : 0;
+        } else {
+          selectedIndex = 0;
+        }
+        if (pendingMultiOptionIds.size > 0) {
+          const validOptionIds = new Set(nextChoices.map((option) => option.id));
+          Array.from(pendingMultiOptionIds).forEach((optionId) => {
+            if (!validOptionIds.has(optionId)) {
+              pendingMultiOptionIds.delete(optionId);
+            }
+          });
+        }
+        if (isMultiSelectField(selectedField) && !hasEditedMultiSelection) {
+          seedPendingMultiSelectionFromExisting(selectedField);
+          const firstSelectedIndex = valueChoices.findIndex((option) => pendingMultiOptionIds.has(option.id));
+          if (firstSelectedIndex >= 0) {
+            selectedIndex = firstSelectedIndex;
+          }
+        }
+        if (step === "create") {
+          renderCreateOptionRows();
+          return;
+        }
+        if (step === "manual") {
+          const hasManualOption = nextChoices.some((option) => String(option?.id || "").trim() === "__manual__");
+          if (!hasManualOption) {
+            step = "values";
+            setValuesHeaderForField(selectedField);
+            mountValuesView();
+            return;
+          }
+          setManualEntryHeaderForField(selectedField);
+          return;
+        }
+        setValuesHeaderForField(selectedField);
+        mountValuesView();
+        return;
+      }
+
+      currentPage = 0;
+      selectedIndex = 0;
+      renderFields();
     }
-    #gem-reminder-picker-error {
-      min-height: 18px;
-      font-size: 12px;
-      color: #a61d24;
-      margin-bottom: 8px;
+
+    function openValuesForField(field) {
+      if (getScalarInputType(field)) {
+        selectedField = field;
+        closeMultiConfirmation();
+        clearPendingMultiSelection();
+        valueChoices = [];
+        selectedIndex = 0;
+        openManualEntry();
+        return;
+      }
+      step = "values";
+      selectedField = field;
+      manualEntryDraft = "";
+      manualEntryInput = null;
+      manualEntryError = null;
+      closeMultiConfirmation();
+      hasEditedMultiSelection = false;
+      seedPendingMultiSelectionFromExisting(field);
+      valueChoices = buildValueChoicesForField(field);
+      if (valueChoices.length > 0) {
+        const currentOptionIds = getCurrentOptionIdsForField(field, valueChoices);
+        if (isMultiSelectField(field)) {
+          const firstSelectedIndex = valueChoices.findIndex((option) => pendingMultiOptionIds.has(option.id));
+          selectedIndex = firstSelectedIndex >= 0 ? firstSelectedIndex : 0;
+        } else {
+          const firstCurrentIndex = valueChoices.findIndex((option) => currentOptionIds.has(option.id));
+          selectedIndex = firstCurrentIndex >= 0 ? firstCurrentIndex : 0;
+        }
+      } else {
+        selectedIndex = 0;
+      }
+      setValuesHeaderForField(field);
+      mountValuesView();
+      logEvent({
+        source: "extension.content",
+        event: "custom_field_picker.field_selected",
+        actionId: ACTIONS.SET_CUSTOM_FIELD,
+        runId,
+        message: `Selected custom field ${field.name || field.id}.`,
+        link: linkedinUrl,
+        details: {
+          customFieldId: field.id,
+          customFieldName: field.name || ""
+        }
+      });
     }
-    .gem-reminder-picker-hint {
-      margin-top: 2px;
-      margin-bottom: 12px;
-      font-size: 12px;
-      color: #5b6168;
+
+    function finishSingleChoice(option) {
+      if (!selectedField) {
+        return;
+      }
+      if (String(option?.id || "").trim() === "__manual__") {
+        openManualEntry();
+        return;
+      }
+      if (isCreateOptionChoice(option)) {
+        openCreateOption();
+        return;
+      }
+      finishWithSelection(
+        {
+          candidateId: currentCandidateId,
+          customFieldId: selectedField.id,
+          customFieldName: selectedField.name || "",
+          customFieldValue: option.value || "",
+          customFieldValueLabels: option.value ? [option.value] : [],
+          customFieldOptionId: option.id || "",
+          customFieldOptionIds: option.id ? [option.id] : [],
+          customFieldValueType: selectedField.valueType || ""
+        },
+        {
+          manualEntry: false,
+          multiSelect: false,
+          selectedOptionCount: option.id ? 1 : 0
+        }
+      );
     }
-    .gem-reminder-picker-actions {
-      display: flex;
-      justify-content: flex-end;
-      gap: 10px;
+
+    function toggleMultiChoice(option) {
+      const optionId = String(option?.id || "").trim();
+      if (isCreateOptionChoice(option)) {
+        openCreateOption();
+        return;
+      }
+      if (!optionId || optionId === "__manual__") {
+        return;
+      }
+      hasEditedMultiSelection = true;
+      if (pendingMultiOptionIds.has(optionId)) {
+        pendingMultiOptionIds.delete(optionId);
+      } else {
+        pendingMultiOptionIds.add(optionId);
+      }
+      syncValueRowSelectionState();
     }
-    .gem-reminder-picker-actions button {
-      border: none;
-      border-radius: 10px;
-      padding: 10px 16px;
-      font-size: 15px;
-      font-weight: 600;
-      cursor: pointer;
+
+    function buildSelectedMultiOptionIds() {
+      if (!selectedField) {
+        return [];
+      }
+      const validOptionIds = new Set(valueChoices.map((option) => String(option.id || "").trim()).filter(Boolean));
+      const selected = Array.from(pendingMultiOptionIds)
+        .map((id) => String(id || "").trim())
+        .filter((id) => id && validOptionIds.has(id));
+      return Array.from(new Set(selected));
     }
-    #gem-reminder-picker-cancel {
-      background: #eff2f7;
-      color: #1f2328;
+
+    function openMultiConfirmation() {
+      if (!selectedField || !isMultiSelectField(selectedField)) {
+        return;
+      }
+      if (pendingMultiOptionIds.size === 0 && !hasEditedMultiSelection) {
+        return;
+      }
+      const selectedOptionIds = buildSelectedMultiOptionIds();
+      const selectedLabels = valueChoices
+        .filter((option) => pendingMultiOptionIds.has(option.id))
+        .map((option) => option.value || option.id || "")
+        .filter(Boolean);
+      const existingOptionIds = getCurrentOptionIdsForField(selectedField, valueChoices);
+      const additionalLabels = valueChoices
+        .filter((option) => pendingMultiOptionIds.has(option.id) && !existingOptionIds.has(option.id))
+        .map((option) => option.value || option.id || "")
+        .filter(Boolean);
+      const removedLabels = valueChoices
+        .filter((option) => existingOptionIds.has(option.id) && !pendingMultiOptionIds.has(option.id))
+        .map((option) => option.value || option.id || "")
+        .filter(Boolean);
+      const currentSummary = summarizeLabels(selectedField.currentValueLabels, 3);
+      const selectedSummary = summarizeLabels(selectedLabels, 4);
+      const additionalSummary = summarizeLabels(additionalLabels, 4);
+      const removedSummary = summarizeLabels(removedLabels, 4);
+      pendingMultiConfirmation = {
+        selectedOptionIds,
+        selectedLabels,
+        message: `Set ${selectedOptionIds.length} selected value${selectedOptionIds.length === 1 ? "" : "s"} for "${
+          selectedField.name
+        }"? Current: ${currentSummary}. Selected: ${selectedSummary}. Additional: ${additionalSummary}. Removed: ${removedSummary}.`
+      };
+      updateMultiConfirmationMask();
     }
-    #gem-reminder-picker-save {
-      background: #1e69d2;
-      color: #fff;
+
+    function confirmMultiSelection() {
+      if (!selectedField || !pendingMultiConfirmation) {
+        return;
+      }
+      const selectedOptionIds = Array.isArray(pendingMultiConfirmation.selectedOptionIds)
+        ? pendingMultiConfirmation.selectedOptionIds
+        : [];
+      const selectionLabels = Array.isArray(pendingMultiConfirmation.selectedLabels)
+        ? pendingMultiConfirmation.selectedLabels
+        : [];
+      pendingMultiConfirmation = null;
+      finishWithSelection(
+        {
+          candidateId: currentCandidateId,
+          customFieldId: selectedField.id,
+          customFieldName: selectedField.name || "",
+          customFieldValue: selectionLabels.join(", "),
+          customFieldValueLabels: selectionLabels,
+          customFieldOptionId: selectedOptionIds[0] || "",
+          customFieldOptionIds: selectedOptionIds,
+          customFieldValueType: selectedField.valueType || ""
+        },
+        {
+          manualEntry: false,
+          multiSelect: true,
+          selectedOptionCount: selectedOptionIds.length
+        }
+      );
     }
-    #gem-reminder-picker-confirm-mask {
-      position: absolute;
-      inset: 0;
-      background: rgba(255, 255, 255, 0.92);
-      border-radius: 12px;
-      display: none;
-      align-items: center;
-      justify-content: center;
-      padding: 20px;
-      z-index: 5;
+
+    function getSingleSelectShortcutIndexFromKey(key) {
+      if (!/^[0-9]$/.test(key)) {
+        return -1;
+      }
+      if (key === "0") {
+        return 9;
+      }
+      return Number(key) - 1;
     }
-    #gem-reminder-picker-confirm-mask.visible {
-      display: flex;
+
+    function handleManualEntryKey(event) {
+      if (event.metaKey || event.ctrlKey || event.altKey) {
+        return false;
+      }
+      if (event.key === "Escape") {
+        event.preventDefault();
+        goBackToValues();
+        return true;
+      }
+      if (event.key === "Enter") {
+        event.preventDefault();
+        submitManualEntry();
+        return true;
+      }
+      return false;
     }
-    #gem-reminder-picker-confirm-card {
-      width: min(440px, 100%);
-      border: 1px solid #d4dae3;
-      border-radius: 10px;
-      padding: 16px;
-      background: #fff;
-      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
+
+    function goBackToFields() {
+      step = "fields";
+      manualEntryDraft = "";
+      manualEntryInput = null;
+      manualEntryError = null;
+      clearValueRowRefs();
+      closeMultiConfirmation();
+      clearPendingMultiSelection();
+      hasEditedMultiSelection = false;
+      selectedField = null;
+      selectedIndex = 0;
+      title.textContent = "Set Custom Field";
+      subtitle.textContent = "Press a letter to pick a field, then press a number to set the value.";
+      renderFields();
     }
-    #gem-reminder-picker-confirm-title {
-      font-size: 16px;
-      font-weight: 600;
-      color: #1f2328;
-      margin-bottom: 8px;
+
+    function handleFieldsKey(event) {
+      const totalPages = Math.max(1, Math.ceil(allFields.length / CUSTOM_FIELD_KEYS_PER_PAGE));
+      if (event.key === "ArrowDown") {
+        event.preventDefault();
+        if (fieldsForPage.length > 0) {
+          selectedIndex = (selectedIndex + 1) % fieldsForPage.length;
+          renderFields();
+        }
+        return;
+      }
+      if (event.key === "ArrowUp") {
+        event.preventDefault();
+        if (fieldsForPage.length > 0) {
+          selectedIndex = (selectedIndex - 1 + fieldsForPage.length) % fieldsForPage.length;
+          renderFields();
+        }
+        return;
+      }
+      if (event.key === "Enter") {
+        event.preventDefault();
+        if (fieldsForPage.length > 0) {
+          openValuesForField(fieldsForPage[selectedIndex]);
+        }
+        return;
+      }
+      if (event.key === "]" && totalPages > 1) {
+        event.preventDefault();
+        currentPage = (currentPage + 1) % totalPages;
+        selectedIndex = 0;
+        renderFields();
+        return;
+      }
+      if (event.key === "[" && totalPages > 1) {
+        event.preventDefault();
+        currentPage = (currentPage - 1 + totalPages) % totalPages;
+        selectedIndex = 0;
+        renderFields();
+        return;
+      }
+      const lower = String(event.key || "").toLowerCase();
+      const idx = CUSTOM_FIELD_SHORTCUT_KEYS.indexOf(lower);
+      if (idx >= 0 && idx < fieldsForPage.length) {
+        event.preventDefault();
+        openValuesForField(fieldsForPage[idx]);
+      }
     }
-    #gem-reminder-picker-confirm-body {
-      font-size: 14px;
-      color: #32363c;
-      margin-bottom: 14px;
-      word-break: break-word;
+
+    function handleValuesNumberKey(event) {
+      if (isMultiSelectField(selectedField)) {
+        return false;
+      }
+      if (event.metaKey || event.ctrlKey || event.altKey) {
+        return false;
+      }
+      const key = String(event.key || "");
+      const shortcutIndex = getSingleSelectShortcutIndexFromKey(key);
+      if (shortcutIndex < 0) {
+        return false;
+      }
+      if (shortcutIndex >= valueChoices.length || isCreateOptionChoice(valueChoices[shortcutIndex])) {
+        return true;
+      }
+      selectedIndex = shortcutIndex;
+      finishSingleChoice(valueChoices[shortcutIndex]);
+      return true;
     }
-    #gem-reminder-picker-confirm-actions {
-      display: flex;
-      justify-content: flex-end;
-      gap: 8px;
+
+    function handleValuesLetterKey(event) {
+      if (!isMultiSelectField(selectedField)) {
+        return false;
+      }
+      if (event.metaKey || event.ctrlKey || event.altKey) {
+        return false;
+      }
+      const lower = String(event.key || "").toLowerCase();
+      const idx = CUSTOM_FIELD_SHORTCUT_KEYS.indexOf(lower);
+      if (idx < 0) {
+        return false;
+      }
+      if (idx >= valueChoices.length || isCreateOptionChoice(valueChoices[idx])) {
+        return true;
+      }
+      selectedIndex = idx;
+      toggleMultiChoice(valueChoices[idx]);
+      return true;
     }
-    .gem-reminder-picker-confirm-btn {
-      border-radius: 7px;
-      padding: 8px 12px;
-      font-size: 13px;
-      cursor: pointer;
-      border: 1px solid transparent;
+
+    function handleValuesKey(event) {
+      if (event.key === "ArrowDown") {
+        event.preventDefault();
+        if (valueChoices.length > 0) {
+          selectedIndex = (selectedIndex + 1) % valueChoices.length;
+          syncValueRowSelectionState();
+        }
+        return;
+      }
+      if (event.key === "ArrowUp") {
+        event.preventDefault();
+        if (valueChoices.length > 0) {
+          selectedIndex = (selectedIndex - 1 + valueChoices.length) % valueChoices.length;
+          syncValueRowSelectionState();
+        }
+        return;
+      }
+      if (isMultiSelectField(selectedField) && event.key === " ") {
+        event.preventDefault();
+        if (valueChoices.length > 0) {
+          toggleMultiChoice(valueChoices[selectedIndex]);
+        }
+        return;
+      }
+      if (event.key === "+" && valueChoices.some((option) => isCreateOptionChoice(option))) {
+        event.preventDefault();
+        openCreateOption();
+        return;
+      }
+      if (event.key === "Enter") {
+        event.preventDefault();
+        if (valueChoices.length > 0) {
+          if (isCreateOptionChoice(valueChoices[selectedIndex])) {
+            openCreateOption();
+            return;
+          }
+          if (isMultiSelectField(selectedField)) {
+            if (pendingMultiOptionIds.size > 0 || hasEditedMultiSelection) {
+              openMultiConfirmation();
+              return;
+            }
+            toggleMultiChoice(valueChoices[selectedIndex]);
+            return;
+          }
+          finishSingleChoice(valueChoices[selectedIndex]);
+        }
+        return;
+      }
+      if (handleValuesLetterKey(event)) {
+        event.preventDefault();
+        return;
+      }
+      if (handleValuesNumberKey(event)) {
+        event.preventDefault();
+        return;
+      }
     }
-    #gem-reminder-picker-confirm-cancel {
-      border-color: #c4cbd7;
-      background: #fff;
-      color: #1f2328;
+
+    overlay.addEventListener(
+      "keydown",
+      (event) => {
+        if (isConfirmingMultiSelection()) {
+          if (event.key === "Enter") {
+            event.preventDefault();
+            confirmMultiSelection();
+            return;
+          }
+          if (event.key === "Escape") {
+            event.preventDefault();
+            closeMultiConfirmation();
+            return;
+          }
+        }
+
+        if (step === "manual") {
+          if (handleManualEntryKey(event)) {
+            return;
+          }
+          return;
+        }
+
+        if (step === "create") {
+          handleCreateOptionKey(event);
+          return;
+        }
+
+        if (event.key === "Escape") {
+          event.preventDefault();
+          if (step === "values") {
+            goBackToFields();
+            return;
+          }
+          logEvent({
+            source: "extension.content",
+            level: "warn",
+            event: "custom_field_picker.cancelled",
+            actionId: ACTIONS.SET_CUSTOM_FIELD,
+            runId,
+            message: "Custom field picker cancelled.",
+            link: linkedinUrl
+          });
+          finish(null);
+          return;
+        }
+
+        if (step === "fields") {
+          handleFieldsKey(event);
+          return;
+        }
+        handleValuesKey(event);
+      },
+      true
+    );
+
+    confirmOkBtn.addEventListener("click", () => {
+      confirmMultiSelection();
+    });
+
+    confirmCancelBtn.addEventListener("click", () => {
+      closeMultiConfirmation();
+    });
+
+    confirmMask.addEventListener("click", (event) => {
+      if (event.target === confirmMask) {
+        closeMultiConfirmation();
+      }
+    });
+
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        logEvent({
+          source: "extension.content",
+          level: "warn",
+          event: "custom_field_picker.cancelled",
+          actionId: ACTIONS.SET_CUSTOM_FIELD,
+          runId,
+          message: "Custom field picker cancelled by outside click.",
+          link: linkedinUrl
+        });
+        finish(null);
+      }
+    });
+
+    renderFields();
+    modal.tabIndex = -1;
+    modal.focus();
+
+    logEvent({
+      source: "extension.content",
+      event: "custom_field_picker.opened",
+      actionId: ACTIONS.SET_CUSTOM_FIELD,
+      runId,
+      message: "Custom field picker opened.",
+      link: linkedinUrl
+    });
+
+    const canCreateCandidateForPicker = shouldAllowCandidateCreateForContext(context);
+
+    async function surfaceCustomFieldLoadFailure(message) {
+      if (!pickerActive) {
+        return;
+      }
+      loading = false;
+      loadError = message || "Failed to load custom fields.";
+      renderFields();
+      showToast(loadError, true);
+      await logEvent({
+        source: "extension.content",
+        level: "error",
+        event: "custom_field_picker.load_failed",
+        actionId: ACTIONS.SET_CUSTOM_FIELD,
+        runId,
+        message: loadError,
+        link: linkedinUrl
+      });
     }
-    #gem-reminder-picker-confirm-ok {
-      border-color: #1e69d2;
-      background: #1e69d2;
-      color: #fff;
+
+    function maybeUpgradeCustomFieldsForCandidate(seedData = null, options = {}) {
+      const seedCandidateId = String(seedData?.candidateId || currentCandidateId || "").trim();
+      if (!pickerActive || !canCreateCandidateForPicker || seedCandidateId) {
+        return Promise.resolve(false);
+      }
+      return warmCustomFieldsForContext(context, runId, {
+        preferCache: true,
+        refreshInBackground: false,
+        allowCreate: true
+      })
+        .then((candidateData) => {
+          if (!pickerActive || !candidateData) {
+            return false;
+          }
+          const resolvedCandidateId = String(candidateData.candidateId || "").trim();
+          if (!resolvedCandidateId) {
+            return false;
+          }
+          applyLoadedCustomFields(candidateData);
+          return true;
+        })
+        .catch(async (error) => {
+          if (options.surfaceFailure) {
+            await surfaceCustomFieldLoadFailure(error?.message || "Failed to load custom fields.");
+          }
+          // The fast picker path is already visible. Ignore candidate-upgrade failures here
+          // and let the eventual field update action surface any real backend error.
+          return false;
+        });
     }
-  `;
-  document.documentElement.appendChild(style);
+
+    warmCustomFieldsForContext(context, runId, {
+      preferCache: true,
+      refreshInBackground: true,
+      allowCreate: false,
+      allowEmptyCandidateCache: true
+    })
+      .then(async (data) => {
+        if (!data) {
+          maybeUpgradeCustomFieldsForCandidate();
+          return;
+        }
+        applyLoadedCustomFields(data);
+        maybeUpgradeCustomFieldsForCandidate(data);
+        await logEvent({
+          source: "extension.content",
+          event: "custom_field_picker.loaded",
+          actionId: ACTIONS.SET_CUSTOM_FIELD,
+          runId,
+          message: `Loaded ${allFields.length} custom fields for candidate${data.fromCache ? " (cache)." : "."}`,
+          link: linkedinUrl,
+          details: {
+            candidateId: data.candidateId || "",
+            fromCache: Boolean(data.fromCache),
+            stale: Boolean(data.stale),
+            durationMs: Date.now() - startedAt
+          }
+        });
+      })
+      .catch(async (error) => {
+        if (!pickerActive) {
+          return;
+        }
+        if (canCreateCandidateForPicker) {
+          const upgraded = await maybeUpgradeCustomFieldsForCandidate(null, { surfaceFailure: true });
+          if (upgraded) {
+            return;
+          }
+          return;
+        }
+        await surfaceCustomFieldLoadFailure(error.message || "Failed to load custom fields.");
+      });
+  });
 }
 
-function createEmailPickerStyles() {
-  if (document.getElementById("gem-email-picker-style")) {
-    return;
-  }
-  const style = document.createElement("style");
-  style.id = "gem-email-picker-style";
-  style.textContent = `
-    #gem-email-picker-overlay {
-      position: fixed;
-      inset: 0;
-      background: rgba(0, 0, 0, 0.45);
-      z-index: 2147483647;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 16px;
-    }
-    #gem-email-picker-modal {
-      width: min(740px, 100%);
-      background: #fff;
-      border-radius: 12px;
-      box-shadow: 0 18px 40px rgba(0, 0, 0, 0.3);
-      padding: 18px;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
-      color: #1f2328;
-      position: relative;
-    }
-    #gem-email-picker-title {
-      font-size: 20px;
-      font-weight: 700;
-      margin-bottom: 6px;
-    }
-    #gem-email-picker-subtitle {
-      font-size: 13px;
-      color: #4f5358;
-      margin-bottom: 12px;
-    }
-    #gem-email-picker-error {
-      min-height: 18px;
-      font-size: 12px;
-      color: #a61d24;
-      margin-bottom: 8px;
-    }
-    #gem-email-picker-list {
-      border: 1px solid #d4dae3;
-      border-radius: 8px;
-      max-height: 320px;
-      overflow: auto;
-      background: #fff;
-    }
-    .gem-email-picker-item {
-      display: flex;
-      align-items: center;
-      gap: 12px;
-      padding: 10px 12px;
-      cursor: pointer;
-      border-bottom: 1px solid #eff2f7;
-      font-size: 14px;
-      line-height: 1.3;
-    }
-    .gem-email-picker-item:last-child {
-      border-bottom: none;
-    }
-    .gem-email-picker-item.active {
-      background: #eaf2fe;
-    }
-    .gem-email-picker-item.primary {
-      background: #eef6ec;
-    }
-    .gem-email-picker-item.active.primary {
-      background: #dcebd8;
-    }
-    .gem-email-picker-hotkey {
-      min-width: 28px;
-      height: 24px;
-      border: 1px solid #b9c3d3;
-      border-radius: 6px;
-      text-align: center;
-      line-height: 22px;
-      font-weight: 600;
-      color: #2f3a4b;
-      background: #f5f8fc;
-      font-size: 12px;
-      text-transform: uppercase;
-      flex-shrink: 0;
-    }
-    .gem-email-picker-value {
-      color: #1f2328;
-      font-weight: 500;
-      flex: 1;
-      min-width: 0;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
-    }
-    .gem-email-picker-meta {
-      font-size: 12px;
-      color: #5b6168;
-      flex-shrink: 0;
-    }
-    .gem-email-picker-primary-badge {
-      display: inline-flex;
-      align-items: center;
-      border: 1px solid #b8ccba;
-      border-radius: 999px;
-      padding: 2px 8px;
-      font-size: 11px;
-      font-weight: 600;
-      color: #27502d;
-      background: #e8f3e7;
-    }
-    #gem-email-picker-input {
-      width: 100%;
-      border: 1px solid #b6beca;
-      border-radius: 8px;
-      padding: 10px 12px;
-      font-size: 15px;
-      margin-bottom: 10px;
-      color: #1f2328;
-    }
-    .gem-email-picker-hint {
-      margin-top: 10px;
-      font-size: 12px;
-      color: #5b6168;
-    }
-    .gem-email-picker-empty {
-      padding: 12px;
-      font-size: 13px;
-      color: #5b6168;
+async function showReminderPicker(runId, context, settings = {}) {
+  createReminderPickerStyles();
+  const linkedinUrl = context.linkedinUrl || window.location.href;
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.id = "gem-reminder-picker-overlay";
+
+    const modal = document.createElement("form");
+    modal.id = "gem-reminder-picker-modal";
+
+    const title = document.createElement("div");
+    title.id = "gem-reminder-picker-title";
+    title.textContent = "Set Reminder";
+
+    const subtitle = document.createElement("div");
+    subtitle.id = "gem-reminder-picker-subtitle";
+    subtitle.textContent = "Add an optional reminder note and choose a due date.";
+
+    const noteLabel = document.createElement("label");
+    noteLabel.className = "gem-reminder-picker-label";
+    noteLabel.setAttribute("for", "gem-reminder-picker-note");
+    noteLabel.textContent = "Reminder (optional)";
+
+    const noteInput = document.createElement("textarea");
+    noteInput.id = "gem-reminder-picker-note";
+    noteInput.placeholder = "e.g. set up a coffee chat";
+    noteInput.maxLength = 2000;
+
+    const dateLabel = document.createElement("label");
+    dateLabel.className = "gem-reminder-picker-label";
+    dateLabel.setAttribute("for", "gem-reminder-picker-when-input");
+    dateLabel.textContent = "Due date";
+
+    const whenInput = document.createElement("input");
+    whenInput.id = "gem-reminder-picker-when-input";
+    whenInput.type = "text";
+    whenInput.autocomplete = "off";
+    whenInput.placeholder = "e.g. next tue, in 3 weeks, end of quarter";
+
+    const whenPreview = document.createElement("div");
+    whenPreview.id = "gem-reminder-picker-when-preview";
+
+    const dateRow = document.createElement("div");
+    dateRow.className = "gem-reminder-picker-date-row";
+
+    const dateInput = document.createElement("input");
+    dateInput.id = "gem-reminder-picker-date-input";
+    dateInput.type = "date";
+    dateRow.appendChild(dateInput);
+
+    const quickActionRow = document.createElement("div");
+    quickActionRow.className = "gem-reminder-picker-quick-actions";
+    const shortcutByKey = new Map();
+    REMINDER_PRESET_SHORTCUTS.forEach((preset) => {
+      shortcutByKey.set(preset.key, preset);
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "gem-reminder-picker-quick-btn";
+      button.dataset.shortcut = preset.key;
+      const keyTag = document.createElement("span");
+      keyTag.className = "gem-reminder-picker-quick-key";
+      keyTag.textContent = preset.key;
+      const label = document.createElement("span");
+      label.textContent = preset.label;
+      button.appendChild(keyTag);
+      button.appendChild(label);
+      quickActionRow.appendChild(button);
+    });
+    dateRow.appendChild(quickActionRow);
+
+    const optionsRow = document.createElement("div");
+    optionsRow.className = "gem-reminder-picker-options-row";
+
+    const assigneeOption = document.createElement("div");
+    assigneeOption.className = "gem-reminder-picker-option";
+    const assigneeLabel = document.createElement("label");
+    assigneeLabel.className = "gem-reminder-picker-label";
+    assigneeLabel.setAttribute("for", "gem-reminder-picker-assignee");
+    assigneeLabel.textContent = "Assign to";
+    const assigneeSelect = document.createElement("select");
+    assigneeSelect.id = "gem-reminder-picker-assignee";
+    const selfOption = document.createElement("option");
+    selfOption.value = "";
+    selfOption.textContent = "Me";
+    assigneeSelect.appendChild(selfOption);
+    assigneeOption.appendChild(assigneeLabel);
+    assigneeOption.appendChild(assigneeSelect);
+
+    const repeatOption = document.createElement("div");
+    repeatOption.className = "gem-reminder-picker-option";
+    const repeatLabel = document.createElement("label");
+    repeatLabel.className = "gem-reminder-picker-label";
+    repeatLabel.setAttribute("for", "gem-reminder-picker-repeat");
+    repeatLabel.textContent = "Repeat";
+    const repeatSelect = document.createElement("select");
+    repeatSelect.id = "gem-reminder-picker-repeat";
+    [{ id: "", label: "Does not repeat" }, ...REMINDER_REPEAT_RULES].forEach((rule) => {
+      const option = document.createElement("option");
+      option.value = rule.id;
+      option.textContent = rule.label;
+      repeatSelect.appendChild(option);
+    });
+    repeatOption.appendChild(repeatLabel);
+    repeatOption.appendChild(repeatSelect);
+
+    optionsRow.appendChild(assigneeOption);
+    optionsRow.appendChild(repeatOption);
+
+    const errorEl = document.createElement("div");
+    errorEl.id = "gem-reminder-picker-error";
+
+    const hint = document.createElement("div");
+    hint.className = "gem-reminder-picker-hint";
+    hint.textContent =
+      "Esc to cancel. Press Tab from note to date. Type a date like \"next tue\" + Enter, or in the date field use A (1 week), S (3 months), D (6 months).";
+
+    const confirmMask = document.createElement("div");
+    confirmMask.id = "gem-reminder-picker-confirm-mask";
+    const confirmCard = document.createElement("div");
+    confirmCard.id = "gem-reminder-picker-confirm-card";
+    const confirmTitle = document.createElement("div");
+    confirmTitle.id = "gem-reminder-picker-confirm-title";
+    confirmTitle.textContent = "Confirm Reminder";
+    const confirmBody = document.createElement("div");
+    confirmBody.id = "gem-reminder-picker-confirm-body";
+    const confirmActions = document.createElement("div");
+    confirmActions.id = "gem-reminder-picker-confirm-actions";
+    const confirmCancelBtn = document.createElement("button");
+    confirmCancelBtn.id = "gem-reminder-picker-confirm-cancel";
+    confirmCancelBtn.className = "gem-reminder-picker-confirm-btn";
+    confirmCancelBtn.type = "button";
+    confirmCancelBtn.textContent = "Cancel";
+    const confirmOkBtn = document.createElement("button");
+    confirmOkBtn.id = "gem-reminder-picker-confirm-ok";
+    confirmOkBtn.className = "gem-reminder-picker-confirm-btn";
+    confirmOkBtn.type = "button";
+    confirmOkBtn.textContent = "Confirm";
+    confirmActions.appendChild(confirmCancelBtn);
+    confirmActions.appendChild(confirmOkBtn);
+    confirmCard.appendChild(confirmTitle);
+    confirmCard.appendChild(confirmBody);
+    confirmCard.appendChild(confirmActions);
+    confirmMask.appendChild(confirmCard);
+
+    const actions = document.createElement("div");
+    actions.className = "gem-reminder-picker-actions";
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.id = "gem-reminder-picker-cancel";
+    cancelBtn.type = "button";
+    cancelBtn.textContent = "Cancel";
+
+    const saveBtn = document.createElement("button");
+    saveBtn.id = "gem-reminder-picker-save";
+    saveBtn.type = "submit";
+    saveBtn.textContent = "Save";
+
+    actions.appendChild(cancelBtn);
+    actions.appendChild(saveBtn);
+
+    modal.appendChild(title);
+    modal.appendChild(subtitle);
+    modal.appendChild(noteLabel);
+    modal.appendChild(noteInput);
+    modal.appendChild(dateLabel);
+    modal.appendChild(whenInput);
+    modal.appendChild(whenPreview);
+    modal.appendChild(dateRow);
+    modal.appendChild(optionsRow);
+    modal.appendChild(errorEl);
+    modal.appendChild(hint);
+    modal.appendChild(actions);
+    modal.appendChild(confirmMask);
+    overlay.appendChild(modal);
+    document.documentElement.appendChild(overlay);
+
+    let selectedDate = getTodayIsoDate();
+    let confirmationPreset = null;
+    const startedAt = Date.now();
+    const usersById = new Map();
+
+    function setError(message) {
+      errorEl.textContent = message || "";
     }
-    .gem-email-picker-status {
-      min-height: 18px;
-      padding: 8px 2px 0;
-      font-size: 12px;
-      color: #5b6168;
+
+    function setSelectedDate(dateValue) {
+      selectedDate = dateValue;
+      dateInput.value = dateValue;
     }
-    .gem-email-picker-status.error {
-      color: #a61d24;
+
+    function cleanup() {
+      overlay.remove();
     }
-    #gem-email-picker-confirm-mask {
-      position: absolute;
-      inset: 0;
-      background: rgba(255, 255, 255, 0.92);
-      border-radius: 12px;
-      display: none;
-      align-items: center;
-      justify-content: center;
-      padding: 20px;
-      z-index: 5;
+
+    function finish(selection) {
+      cleanup();
+      resolve(selection || null);
     }
-    #gem-email-picker-confirm-mask.visible {
-      display: flex;
+
+    function cancelPicker(reason) {
+      logEvent({
+        source: "extension.content",
+        level: "warn",
+        event: "reminder_picker.cancelled",
+        actionId: ACTIONS.SET_REMINDER,
+        runId,
+        message: reason || "Reminder picker cancelled.",
+        link: linkedinUrl
+      });
+      finish(null);
     }
-    #gem-email-picker-confirm-card {
-      width: min(440px, 100%);
-      border: 1px solid #d4dae3;
-      border-radius: 10px;
-      padding: 16px;
-      background: #fff;
-      box-shadow: 0 10px 26px rgba(0, 0, 0, 0.16);
+
+    function submitReminder() {
+      if (typeof modal.requestSubmit === "function") {
+        modal.requestSubmit();
+        return;
+      }
+      saveBtn.click();
     }
-    #gem-email-picker-confirm-title {
-      font-size: 16px;
-      font-weight: 600;
-      color: #1f2328;
-      margin-bottom: 8px;
+
+    function isConfirming() {
+      return Boolean(confirmationPreset);
     }
-    #gem-email-picker-confirm-body {
-      font-size: 14px;
-      color: #32363c;
-      margin-bottom: 14px;
-      word-break: break-word;
+
+    function updateConfirmationMask() {
+      if (!confirmationPreset) {
+        confirmMask.classList.remove("visible");
+        dateInput.focus();
+        return;
+      }
+      confirmBody.textContent = `Set reminder for ${confirmationPreset.label} from today (${formatIsoDateForDisplay(
+        confirmationPreset.dueDate
+      )})?`;
+      confirmMask.classList.add("visible");
+      confirmOkBtn.focus();
     }
-    #gem-email-picker-confirm-actions {
-      display: flex;
-      justify-content: flex-end;
-      gap: 8px;
+
+    function openPresetConfirmation(preset) {
+      if (!preset) {
+        return;
+      }
+      const dueDate = getReminderPresetIsoDate(preset);
+      if (!dueDate) {
+        return;
+      }
+      setSelectedDate(dueDate);
+      setError("");
+      confirmationPreset = {
+        key: preset.key,
+        label: preset.label,
+        dueDate
+      };
+      updateConfirmationMask();
     }
-    .gem-email-picker-confirm-btn {
-      border-radius: 7px;
-      padding: 8px 12px;
-      font-size: 13px;
-      cursor: pointer;
-      border: 1px solid transparent;
+
+    function closePresetConfirmation() {
+      if (!confirmationPreset) {
+        return;
+      }
+      confirmationPreset = null;
+      updateConfirmationMask();
     }
-    #gem-email-picker-confirm-cancel {
-      border-color: #c4cbd7;
-      background: #fff;
-      color: #1f2328;
+
+    function confirmPresetSelection() {
+      if (!confirmationPreset) {
+        return;
+      }
+      confirmationPreset = null;
+      updateConfirmationMask();
+      submitReminder();
     }
-    #gem-email-picker-confirm-ok {
-      border-color: #1e69d2;
-      background: #1e69d2;
-      color: #fff;
+
+    function updateWhenPreview() {
+      const text = whenInput.value.trim();
+      if (!text) {
+        whenPreview.textContent = "";
+        return "";
+      }
+      const parsed = parseNaturalReminderDate(text);
+      if (!parsed) {
+        whenPreview.textContent = "Could not read that date. Try \"in 2 weeks\" or pick one below.";
+        return "";
+      }
+      setSelectedDate(parsed);
+      setError("");
+      whenPreview.textContent = formatIsoDateForDisplay(parsed);
+      return parsed;
+    }
+
+    function loadAssignees() {
+      const ownUserId = String(settings.createdByUserId || "").trim();
+      listGemUsers(runId)
+        .then((users) => {
+          users
+            .filter((user) => user.id && user.id !== ownUserId)
+            .sort((left, right) => (left.name || left.email).localeCompare(right.name || right.email))
+            .forEach((user) => {
+              usersById.set(user.id, user);
+              const option = document.createElement("option");
+              option.value = user.id;
+              option.textContent = user.name && user.email ? `${user.name} (${user.email})` : user.name || user.email;
+              assigneeSelect.appendChild(option);
+            });
+        })
+        .catch((error) => {
+          logEvent({
+            source: "extension.content",
+            level: "warn",
+            event: "reminder_picker.users_failed",
+            actionId: ACTIONS.SET_REMINDER,
+            runId,
+            message: error.message || "Could not load Gem users.",
+            link: linkedinUrl
+          });
+        });
     }
-  `;
-  document.documentElement.appendChild(style);
-}
 
-function formatSequenceDate(value) {
-  if (!value) {
-    return "";
-  }
-  const parsed = new Date(value);
-  if (Number.isNaN(parsed.getTime())) {
-    return String(value);
-  }
-  return parsed.toLocaleDateString();
+    setSelectedDate(selectedDate);
+    loadAssignees();
+
+    whenInput.addEventListener("input", () => {
+      updateWhenPreview();
+    });
+
+    whenInput.addEventListener("keydown", (event) => {
+      if (event.key !== "Enter" || event.metaKey || event.ctrlKey) {
+        return;
+      }
+      event.preventDefault();
+      if (!whenInput.value.trim() || updateWhenPreview()) {
+        submitReminder();
+        return;
+      }
+      setError("Could not read that date.");
+    });
+
+    dateInput.addEventListener("change", () => {
+      const value = String(dateInput.value || "").trim();
+      if (value) {
+        setSelectedDate(value);
+        setError("");
+      }
+    });
+
+    noteInput.addEventListener("keydown", (event) => {
+      if (event.key === "Tab" && !event.shiftKey) {
+        event.preventDefault();
+        whenInput.focus();
+      }
+    });
+
+    dateInput.addEventListener("keydown", (event) => {
+      if (!event.metaKey && !event.ctrlKey && !event.altKey) {
+        const shortcutKey = String(event.key || "").trim().toLowerCase();
+        const preset = shortcutByKey.get(shortcutKey);
+        if (preset) {
+          event.preventDefault();
+          openPresetConfirmation(preset);
+          return;
+        }
+      }
+      if (event.key === "Enter") {
+        event.preventDefault();
+        // Let the native date input commit its current segment before submitting.
+        setTimeout(() => {
+          const value = String(dateInput.value || "").trim();
+          if (value) {
+            setSelectedDate(value);
+            setError("");
+          }
+          submitReminder();
+        }, 0);
+      }
+    });
+
+    quickActionRow.addEventListener("click", (event) => {
+      const target = event.target instanceof Element ? event.target.closest(".gem-reminder-picker-quick-btn") : null;
+      if (!target) {
+        return;
+      }
+      const shortcutKey = String(target.getAttribute("data-shortcut") || "").trim().toLowerCase();
+      if (!shortcutKey) {
+        return;
+      }
+      const preset = shortcutByKey.get(shortcutKey);
+      if (!preset) {
+        return;
+      }
+      openPresetConfirmation(preset);
+    });
+
+    cancelBtn.addEventListener("click", () => {
+      cancelPicker("Reminder picker cancelled.");
+    });
+
+    confirmOkBtn.addEventListener("click", () => {
+      confirmPresetSelection();
+    });
+
+    confirmCancelBtn.addEventListener("click", () => {
+      closePresetConfirmation();
+    });
+
+    confirmMask.addEventListener("click", (event) => {
+      if (event.target === confirmMask) {
+        closePresetConfirmation();
+      }
+    });
+
+    modal.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      const note = noteInput.value.trim();
+      const assignee = usersById.get(assigneeSelect.value) || null;
+      const dateFromInput = String(dateInput.value || "").trim();
+      if (dateFromInput) {
+        setSelectedDate(dateFromInput);
+      }
+      if (!selectedDate) {
+        setError("Please choose a due date.");
+        dateInput.focus();
+        return;
+      }
+      setError("");
+      await logEvent({
+        source: "extension.content",
+        event: "reminder_picker.submitted",
+        actionId: ACTIONS.SET_REMINDER,
+        runId,
+        message: `Reminder selected for ${formatIsoDateForDisplay(selectedDate)}.`,
+        link: linkedinUrl,
+        details: {
+          dueDate: selectedDate,
+          noteLength: note.length,
+          repeat: repeatSelect.value,
+          assigned: Boolean(assignee),
+          durationMs: Date.now() - startedAt
+        }
+      });
+      finish({
+        reminderNote: note,
+        reminderDueDate: selectedDate,
+        reminderRepeat: repeatSelect.value,
+        reminderAssigneeUserId: assignee?.id || "",
+        reminderAssigneeEmail: assignee?.email || "",
+        reminderAssigneeName: assignee?.name || ""
+      });
+    });
+
+    overlay.addEventListener(
+      "keydown",
+      (event) => {
+        if (isConfirming()) {
+          if (event.key === "Enter") {
+            event.preventDefault();
+            confirmPresetSelection();
+            return;
+          }
+          if (event.key === "Escape") {
+            event.preventDefault();
+            closePresetConfirmation();
+            return;
+          }
+        }
+        if (event.key === "Escape") {
+          event.preventDefault();
+          cancelPicker("Reminder picker cancelled.");
+          return;
+        }
+        if ((event.metaKey || event.ctrlKey) && event.key === "Enter") {
+          event.preventDefault();
+          submitReminder();
+        }
+      },
+      true
+    );
+
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        cancelPicker("Reminder picker cancelled by outside click.");
+      }
+    });
+
+    modal.tabIndex = -1;
+    modal.focus();
+    noteInput.focus();
+
+    logEvent({
+      source: "extension.content",
+      event: "reminder_picker.opened",
+      actionId: ACTIONS.SET_REMINDER,
+      runId,
+      message: "Reminder picker opened.",
+      link: linkedinUrl
+    });
+  });
 }
 
-async function showCustomFieldPicker(runId, context) {
-  createCustomFieldPickerStyles();
+// Shared overlay for the email and phone pickers. `picker` supplies the id prefix, labels and data
+// callbacks; everything else (steps, confirm mask, quick-select and key routing) lives here.
+function showContactPicker(runId, context, picker) {
+  createContactPickerStyles(picker.prefix);
   const linkedinUrl = context.linkedinUrl || window.location.href;
+  const { prefix, labels, keys, valueKey, noun } = picker;
+  const openAction = picker.openAction || null;
+
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
-    overlay.id = "gem-custom-field-picker-overlay";
+    overlay.id = `${prefix}-overlay`;
 
     const modal = document.createElement("div");
-    modal.id = "gem-custom-field-picker-modal";
-
-    const header = document.createElement("div");
-    header.id = "gem-custom-field-picker-header";
+    modal.id = `${prefix}-modal`;
 
     const title = document.createElement("div");
-    title.id = "gem-custom-field-picker-title";
-    title.textContent = "Set Custom Field";
-
-    const currentValues = document.createElement("div");
-    currentValues.id = "gem-custom-field-picker-current-values";
+    title.id = `${prefix}-title`;
 
     const subtitle = document.createElement("div");
-    subtitle.id = "gem-custom-field-picker-subtitle";
-    subtitle.textContent = "Press a letter to pick a field, then press a number to set the value.";
+    subtitle.id = `${prefix}-subtitle`;
 
-    const results = document.createElement("div");
-    results.id = "gem-custom-field-picker-results";
+    const errorEl = document.createElement("div");
+    errorEl.id = `${prefix}-error`;
 
-    const pageInfo = document.createElement("div");
-    pageInfo.id = "gem-custom-field-picker-page";
+    const content = document.createElement("div");
+    content.id = `${prefix}-list`;
 
     const hint = document.createElement("div");
-    hint.className = "gem-custom-field-picker-hint";
-    hint.textContent = "Esc to cancel. Arrow keys + Enter also work.";
+    hint.className = `${prefix}-hint`;
 
     const confirmMask = document.createElement("div");
-    confirmMask.id = "gem-custom-field-picker-confirm-mask";
+    confirmMask.id = `${prefix}-confirm-mask`;
     const confirmCard = document.createElement("div");
-    confirmCard.id = "gem-custom-field-picker-confirm-card";
+    confirmCard.id = `${prefix}-confirm-card`;
     const confirmTitle = document.createElement("div");
-    confirmTitle.id = "gem-custom-field-picker-confirm-title";
-    confirmTitle.textContent = "Confirm Custom Field Update";
+    confirmTitle.id = `${prefix}-confirm-title`;
+    confirmTitle.textContent = labels.confirmTitle;
     const confirmBody = document.createElement("div");
-    confirmBody.id = "gem-custom-field-picker-confirm-body";
+    confirmBody.id = `${prefix}-confirm-body`;
     const confirmActions = document.createElement("div");
-    confirmActions.id = "gem-custom-field-picker-confirm-actions";
+    confirmActions.id = `${prefix}-confirm-actions`;
     const confirmCancelBtn = document.createElement("button");
-    confirmCancelBtn.id = "gem-custom-field-picker-confirm-cancel";
-    confirmCancelBtn.className = "gem-custom-field-picker-confirm-btn";
+    confirmCancelBtn.id = `${prefix}-confirm-cancel`;
+    confirmCancelBtn.className = `${prefix}-confirm-btn`;
     confirmCancelBtn.type = "button";
     confirmCancelBtn.textContent = "Cancel";
     const confirmOkBtn = document.createElement("button");
-    confirmOkBtn.id = "gem-custom-field-picker-confirm-ok";
-    confirmOkBtn.className = "gem-custom-field-picker-confirm-btn";
+    confirmOkBtn.id = `${prefix}-confirm-ok`;
+    confirmOkBtn.className = `${prefix}-confirm-btn`;
     confirmOkBtn.type = "button";
     confirmOkBtn.textContent = "Confirm";
     confirmActions.appendChild(confirmCancelBtn);
@@ -5195,1481 +9441,1785 @@ async function showCustomFieldPicker(runId, context) {
     confirmCard.appendChild(confirmActions);
     confirmMask.appendChild(confirmCard);
 
-    header.appendChild(title);
-    header.appendChild(currentValues);
-    modal.appendChild(header);
+    modal.appendChild(title);
     modal.appendChild(subtitle);
-    modal.appendChild(results);
-    modal.appendChild(pageInfo);
+    modal.appendChild(errorEl);
+    modal.appendChild(content);
     modal.appendChild(hint);
     modal.appendChild(confirmMask);
     overlay.appendChild(modal);
     document.documentElement.appendChild(overlay);
 
-    const memoryEntry = getCustomFieldMemoryEntry(context);
-    const initialFieldData = memoryEntry.entry
-      ? mergeOptimisticGemStatusIntoCustomFieldData(
-          context,
-          memoryEntry.entry,
-          String(memoryEntry.entry.candidateId || "").trim()
-        )
-      : null;
-    const hasMemory = Boolean(memoryEntry.entry);
-    let loading = !hasMemory;
+    const initialData = picker.initialData || null;
+    const initialState = initialData ? picker.readData(initialData) : null;
+    let step = "menu";
+    let loading = !initialState;
+    let busy = false;
     let loadError = "";
-    let step = "fields";
     let selectedIndex = 0;
-    let currentPage = 0;
-    let allFields = hasMemory ? normalizeCustomFieldsForPicker(initialFieldData).slice() : [];
-    let fieldsForPage = [];
-    let selectedField = null;
-    let valueChoices = [];
-    const pendingMultiOptionIds = new Set();
-    let hasEditedMultiSelection = false;
-    let pendingMultiConfirmation = null;
-    let pickerActive = true;
-    const startedAt = Date.now();
-    let currentCandidateId = hasMemory ? String(initialFieldData?.candidateId || "").trim() : "";
-    let manualEntryInput = null;
-    let manualEntryError = null;
-    let manualEntryDraft = "";
-    const valueRowRefs = [];
-
-    function clearPendingMultiSelection() {
-      pendingMultiOptionIds.clear();
-    }
+    let entries = initialState ? initialState.entries : [];
+    let primaryValue = initialState ? initialState.primaryValue : "";
+    let pendingAddValue = "";
+    let disposed = false;
+    const addInput = document.createElement("input");
+    addInput.id = `${prefix}-input`;
+    addInput.type = picker.inputType || "text";
+    addInput.autocomplete = "off";
+    addInput.placeholder = labels.placeholder;
 
-    function seedPendingMultiSelectionFromExisting(field) {
-      clearPendingMultiSelection();
-      if (!isMultiSelectField(field)) {
+    function cleanup() {
+      if (disposed) {
         return;
       }
-      const currentOptionIds = getCurrentOptionIdsForField(field, Array.isArray(field?.options) ? field.options : []);
-      currentOptionIds.forEach((id) => pendingMultiOptionIds.add(id));
+      disposed = true;
+      overlay.remove();
     }
 
-    function getCurrentOptionIdsForField(field, choices) {
-      const optionIds = new Set();
-      const directOptionIds = Array.isArray(field?.currentOptionIds) ? field.currentOptionIds : [];
-      directOptionIds
-        .map((id) => String(id || "").trim())
-        .filter(Boolean)
-        .forEach((id) => optionIds.add(id));
+    function finish(result = null) {
+      cleanup();
+      resolve(result);
+    }
 
-      if (optionIds.size > 0) {
-        return optionIds;
+    function buildResult(type, value) {
+      return {
+        type,
+        [valueKey]: value
+      };
+    }
+
+    function setError(message) {
+      errorEl.textContent = message || "";
+    }
+
+    function setHint(message) {
+      hint.textContent = message || "";
+    }
+
+    function isConfirming() {
+      return Boolean(pendingAddValue);
+    }
+
+    function updateConfirmMask() {
+      if (!pendingAddValue) {
+        confirmMask.classList.remove("visible");
+        if (step === "add") {
+          addInput.focus();
+        } else {
+          modal.focus();
+        }
+        return;
       }
+      confirmBody.textContent = labels.confirmBody(pendingAddValue, primaryValue);
+      confirmMask.classList.add("visible");
+      confirmOkBtn.focus();
+    }
 
-      const currentLabels = Array.isArray(field?.currentValueLabels) ? field.currentValueLabels : [];
-      if (currentLabels.length === 0 || !Array.isArray(choices) || choices.length === 0) {
-        return optionIds;
+    function openAddConfirmation() {
+      const value = picker.normalizeValue(addInput.value || "");
+      if (!picker.isValidValue(value)) {
+        setError(labels.invalidValue);
+        return;
       }
+      setError("");
+      pendingAddValue = value;
+      updateConfirmMask();
+    }
 
-      const normalizedCurrentLabels = new Set(
-        currentLabels.map((value) => String(value || "").trim().toLowerCase()).filter(Boolean)
-      );
-      choices.forEach((option) => {
-        const optionValue = String(option?.value || "").trim().toLowerCase();
-        if (optionValue && normalizedCurrentLabels.has(optionValue)) {
-          const optionId = String(option?.id || "").trim();
-          if (optionId) {
-            optionIds.add(optionId);
-          }
-        }
-      });
-
-      return optionIds;
+    function closeAddConfirmation() {
+      if (!pendingAddValue) {
+        return;
+      }
+      pendingAddValue = "";
+      updateConfirmMask();
     }
 
-    function cleanup() {
-      pickerActive = false;
-      overlay.remove();
+    function applyData(data) {
+      const next = picker.readData(data);
+      entries = next.entries;
+      primaryValue = next.primaryValue;
+      if (typeof picker.onDataApplied === "function") {
+        picker.onDataApplied(data, next);
+      }
+      const primaryIndex = entries.findIndex((entry) => entry.isPrimary);
+      selectedIndex = primaryIndex >= 0 ? primaryIndex : 0;
     }
 
-    function finish(selection) {
-      cleanup();
-      resolve(selection || null);
+    async function refreshData(options = {}) {
+      const quiet = Boolean(options.quiet);
+      if (!quiet) {
+        loading = true;
+        loadError = "";
+        render();
+      }
+      try {
+        const data = await picker.loadData();
+        loading = false;
+        if (data) {
+          applyData(data);
+        }
+      } catch (error) {
+        loading = false;
+        loadError = error.message || `Failed to load ${noun.plural}.`;
+        setError(loadError);
+      }
+      render();
     }
 
-    function logSelectionConfirmed(selection, details = {}) {
-      void logEvent({
+    async function copyValue(value, options = {}) {
+      const normalized = picker.normalizeValue(value);
+      if (!normalized) {
+        setError(`No ${noun.singular} available to copy.`);
+        return false;
+      }
+      const copied = await copyTextToClipboard(normalized);
+      if (!copied) {
+        setError(`Could not copy ${noun.singular}.`);
+        return false;
+      }
+      showToast(`Copied ${noun.short}: ${normalized}`);
+      setError("");
+      const kind = options.kind || noun.short;
+      await logEvent({
         source: "extension.content",
-        event: "custom_field_picker.selection_confirmed",
-        actionId: ACTIONS.SET_CUSTOM_FIELD,
+        event: `${picker.eventPrefix}.copied`,
+        actionId: picker.actionId,
         runId,
-        message: `Confirmed custom field update for ${selection?.customFieldName || selection?.customFieldId || "field"}.`,
+        message: picker.logValues ? `Copied ${kind} ${normalized}.` : `Copied ${kind}.`,
         link: linkedinUrl,
-        details: {
-          candidateId: selection?.candidateId || currentCandidateId || "",
-          customFieldId: selection?.customFieldId || "",
-          customFieldName: selection?.customFieldName || "",
-          customFieldValueType: selection?.customFieldValueType || "",
-          manualEntry: Boolean(details.manualEntry),
-          multiSelect: Boolean(details.multiSelect),
-          selectedOptionCount: Number(details.selectedOptionCount) || 0,
-          durationMs: Date.now() - startedAt
-        }
+        details: picker.logValues ? { kind, [valueKey]: normalized } : { kind }
       });
+      return true;
     }
 
-    function finishWithSelection(selection, details = {}) {
-      logSelectionConfirmed(selection, details);
-      finish(selection);
+    function isDataReady() {
+      if (loading) {
+        setError(`Still loading ${noun.plural}. Try again in a second.`);
+        return false;
+      }
+      if (loadError) {
+        setError(loadError);
+        return false;
+      }
+      return true;
     }
 
-    function updatePageFields() {
-      const start = currentPage * CUSTOM_FIELD_KEYS_PER_PAGE;
-      fieldsForPage = allFields.slice(start, start + CUSTOM_FIELD_KEYS_PER_PAGE);
-      if (selectedIndex >= fieldsForPage.length) {
-        selectedIndex = Math.max(0, fieldsForPage.length - 1);
+    async function copyPrimaryAndClose() {
+      if (!isDataReady()) {
+        return;
       }
-      if (selectedIndex < 0) {
-        selectedIndex = 0;
+      const copied = await copyValue(primaryValue, { kind: `primary_${noun.short}` });
+      if (copied) {
+        finish(buildResult("copy-primary", primaryValue));
       }
     }
 
-    function isMultiSelectField(field) {
-      return String(field?.valueType || "").toLowerCase() === "multi_select";
+    function runOpenAction(value) {
+      openAction.run(value, { setError, finish });
     }
 
-    function summarizeLabels(values, maxVisible = 3) {
-      if (!Array.isArray(values) || values.length === 0) {
-        return "None";
-      }
-      const labels = values
-        .map((value) => String(value || "").trim())
-        .filter(Boolean);
-      if (labels.length === 0) {
-        return "None";
+    async function confirmAddValue() {
+      if (!pendingAddValue || busy) {
+        return;
       }
-      if (labels.length <= maxVisible) {
-        return labels.join(", ");
+      const value = pendingAddValue;
+      busy = true;
+      try {
+        const data = await picker.addValue(value);
+        applyData(data);
+        showToast(labels.addedToast(value));
+        await logEvent({
+          source: "extension.content",
+          event: `${picker.eventPrefix}.added`,
+          actionId: picker.actionId,
+          runId,
+          message: picker.logValues
+            ? `Added ${noun.singular} ${value} and set as primary.`
+            : `Added ${noun.singular} and set as primary.`,
+          link: linkedinUrl,
+          details: {
+            ...(picker.logValues ? { [valueKey]: value } : {}),
+            [`${noun.short}Count`]: entries.length
+          }
+        });
+        finish(buildResult(`add-${noun.short}`, value));
+      } catch (error) {
+        setError(error.message || `Could not add ${noun.singular}.`);
+      } finally {
+        busy = false;
+        pendingAddValue = "";
+        updateConfirmMask();
       }
-      return `${labels.slice(0, maxVisible).join(", ")} +${labels.length - maxVisible} more`;
     }
 
-    function setCurrentValuesBadge(field) {
-      if (!field || (step !== "values" && step !== "manual")) {
-        currentValues.classList.remove("visible");
-        currentValues.textContent = "";
+    async function setPrimaryByIndex(index) {
+      if (busy || loading || loadError) {
         return;
       }
-      currentValues.classList.add("visible");
-      const values = Array.isArray(field.currentValueLabels) ? field.currentValueLabels : [];
-      currentValues.innerHTML = "";
-      const label = document.createElement("span");
-      label.className = "gem-custom-field-picker-current-label";
-      label.textContent = "Current:";
-      const valueText = document.createElement("span");
-      valueText.textContent = summarizeLabels(values, 4);
-      currentValues.appendChild(label);
-      currentValues.appendChild(valueText);
-    }
-
-    function setHintText(text) {
-      hint.textContent = text;
+      const selected = entries[index];
+      if (!selected) {
+        return;
+      }
+      const value = selected[valueKey];
+      if (selected.isPrimary) {
+        showToast(`Primary ${noun.short} already set: ${value}`);
+        finish(buildResult(`set-primary-${noun.short}`, value));
+        return;
+      }
+      busy = true;
+      try {
+        await picker.setPrimaryValue(value, {
+          index,
+          entries,
+          primaryValue,
+          finish: () => finish(buildResult(`set-primary-${noun.short}`, value))
+        });
+      } catch (error) {
+        setError(error.message || `Could not update primary ${noun.singular}.`);
+      } finally {
+        busy = false;
+      }
     }
 
-    function updateValuesPageInfo() {
-      if (step !== "values") {
-        pageInfo.textContent = "";
+    async function copyByQuickIndex(index) {
+      if (loading || loadError) {
         return;
       }
-      if (isMultiSelectField(selectedField)) {
-        const selectedCount = pendingMultiOptionIds.size;
-        pageInfo.textContent =
-          selectedCount > 0
-            ? `${selectedCount} value${selectedCount === 1 ? "" : "s"} selected. Press Enter to review.`
-            : "Press a letter to select additional values.";
+      const selected = entries[index];
+      if (!selected) {
         return;
       }
-      pageInfo.textContent = "";
+      selectedIndex = index;
+      render();
+      await copyValue(selected[valueKey], {
+        kind: noun.short,
+        index: index + 1
+      });
     }
 
-    function isConfirmingMultiSelection() {
-      return Boolean(pendingMultiConfirmation);
+    function openAddStep() {
+      step = "add";
+      setError("");
+      render();
     }
 
-    function updateMultiConfirmationMask() {
-      if (!pendingMultiConfirmation) {
-        confirmMask.classList.remove("visible");
+    function openListStep() {
+      step = "list";
+      const primaryIndex = entries.findIndex((entry) => entry.isPrimary);
+      selectedIndex = primaryIndex >= 0 ? primaryIndex : 0;
+      setError("");
+      render();
+      requestAnimationFrame(() => {
         modal.focus();
-        return;
-      }
-      confirmBody.textContent = pendingMultiConfirmation.message;
-      confirmMask.classList.add("visible");
-      confirmOkBtn.focus();
+      });
     }
 
-    function closeMultiConfirmation() {
-      if (!pendingMultiConfirmation) {
-        return;
-      }
-      pendingMultiConfirmation = null;
-      updateMultiConfirmationMask();
+    function openMenuStep() {
+      step = "menu";
+      setError("");
+      render();
+      requestAnimationFrame(() => {
+        modal.focus();
+      });
     }
 
-    function buildValueChoicesForField(field) {
-      const options = Array.isArray(field?.options) ? field.options.slice() : [];
-      const valueType = String(field?.valueType || "").toLowerCase();
-      if (options.length > 0) {
-        return options;
-      }
-      if (valueType === "single_select" || valueType === "multi_select") {
-        return [];
-      }
-      return [{ id: "__manual__", value: "Type a custom value..." }];
+    function createMenuItem(shortcutLabel, label, meta, onClick) {
+      const item = document.createElement("div");
+      item.className = `${prefix}-item`;
+      const hotkey = document.createElement("div");
+      hotkey.className = `${prefix}-hotkey`;
+      hotkey.textContent = String(shortcutLabel || "").toUpperCase();
+      const value = document.createElement("div");
+      value.className = `${prefix}-value`;
+      value.textContent = label;
+      const details = document.createElement("div");
+      details.className = `${prefix}-meta`;
+      details.textContent = meta || "";
+      item.appendChild(hotkey);
+      item.appendChild(value);
+      item.appendChild(details);
+      item.addEventListener("click", onClick);
+      return item;
     }
 
-    function setValuesHeaderForField(field) {
-      title.textContent = `Set ${field.name}`;
-      if (isMultiSelectField(field)) {
-        subtitle.textContent = "Press letters to select additional values, then press Enter to continue.";
-        setHintText(
-          "Esc to go back. Letter shortcuts toggle immediately. Enter reviews selection. In confirmation: Enter confirms, Esc cancels."
+    function renderMenuStep() {
+      title.textContent = labels.menuTitle;
+      subtitle.textContent = labels.menuSubtitle(primaryValue);
+      setHint(labels.menuHint);
+
+      content.innerHTML = "";
+      content.appendChild(
+        createMenuItem(keys.add, labels.addItem, labels.addItemMeta, () => {
+          openAddStep();
+        })
+      );
+      content.appendChild(
+        createMenuItem(keys.copyPrimary, labels.copyPrimaryItem, labels.copyPrimaryItemMeta, () => {
+          copyPrimaryAndClose().catch(() => {});
+        })
+      );
+      content.appendChild(
+        createMenuItem(keys.viewAll, labels.viewAllItem, labels.viewAllItemMeta, () => {
+          openListStep();
+        })
+      );
+      if (openAction) {
+        content.appendChild(
+          createMenuItem(openAction.key, openAction.label, openAction.meta, () => {
+            if (isDataReady()) {
+              runOpenAction(primaryValue);
+            }
+          })
         );
+      }
+      const statusNode = document.createElement("div");
+      statusNode.className = `${prefix}-status${loadError ? " error" : ""}`;
+      if (loading) {
+        statusNode.textContent = `Loading ${noun.plural}...`;
+      } else if (loadError) {
+        statusNode.textContent = `Could not load ${noun.plural}: ${loadError}`;
       } else {
-        subtitle.textContent = "Press a number to choose a value.";
-        setHintText("Esc to go back. Number shortcuts apply immediately. Arrow keys + Enter also work.");
+        statusNode.textContent = "";
       }
-      setCurrentValuesBadge(field);
+      content.appendChild(statusNode);
     }
 
-    function setManualEntryHeaderForField(field) {
-      title.textContent = `Set ${field.name}`;
-      subtitle.textContent = "Type a custom value, then press Enter to apply it.";
-      setHintText("Enter applies the typed value. Esc returns to the values list.");
-      setCurrentValuesBadge(field);
+    function renderAddStep() {
+      title.textContent = labels.addTitle;
+      subtitle.textContent = labels.addSubtitle;
+      setHint("Esc to go back. Enter opens confirmation.");
+      content.innerHTML = "";
+      content.appendChild(addInput);
+      addInput.focus();
+      addInput.select();
     }
 
-    function clearValueRowRefs() {
-      valueRowRefs.length = 0;
-    }
+    function renderListStep() {
+      title.textContent = labels.listTitle;
+      subtitle.textContent = labels.listSubtitle;
+      setHint(labels.listHint);
 
-    function syncValueRowSelectionState() {
-      if (step !== "values") {
+      content.innerHTML = "";
+      if (loading) {
+        const loadingNode = document.createElement("div");
+        loadingNode.className = `${prefix}-empty`;
+        loadingNode.textContent = `Loading ${noun.plural}...`;
+        content.appendChild(loadingNode);
         return;
       }
-      const isMulti = isMultiSelectField(selectedField);
-      const currentOptionIds = getCurrentOptionIdsForField(selectedField, valueChoices);
-      valueRowRefs.forEach((entry, index) => {
-        const optionId = String(entry.optionId || "").trim();
-        const isActive = index === selectedIndex;
-        const isCurrentlySet = optionId ? currentOptionIds.has(optionId) : false;
-        const isSelected = isMulti ? (optionId ? pendingMultiOptionIds.has(optionId) : false) : isCurrentlySet;
-        entry.item.classList.toggle("active", isActive);
-        entry.item.classList.toggle("selected", isSelected);
-      });
-      updateValuesPageInfo();
-    }
-
-    function mountValuesView() {
-      clearValueRowRefs();
-      manualEntryInput = null;
-      manualEntryError = null;
-      results.innerHTML = "";
-      const isMulti = isMultiSelectField(selectedField);
-      const currentOptionIds = getCurrentOptionIdsForField(selectedField, valueChoices);
-      if (valueChoices.length === 0) {
-        const empty = document.createElement("div");
-        empty.className = "gem-custom-field-picker-empty";
-        empty.textContent = "No values available for this field.";
-        results.appendChild(empty);
-        updateValuesPageInfo();
+      if (loadError) {
+        const errorNode = document.createElement("div");
+        errorNode.className = `${prefix}-empty`;
+        errorNode.textContent = `Could not load ${noun.plural}: ${loadError}`;
+        content.appendChild(errorNode);
         return;
       }
-      valueChoices.forEach((option, index) => {
-        const optionId = String(option?.id || "").trim();
+      if (entries.length === 0) {
+        const emptyNode = document.createElement("div");
+        emptyNode.className = `${prefix}-empty`;
+        emptyNode.textContent = `No ${noun.plural} stored for this candidate yet.`;
+        content.appendChild(emptyNode);
+        return;
+      }
+
+      entries.forEach((entry, index) => {
         const item = document.createElement("div");
+        const isActive = index === selectedIndex;
+        item.className = `${prefix}-item${isActive ? " active" : ""}${entry.isPrimary ? " primary" : ""}`;
+
         const hotkey = document.createElement("div");
-        hotkey.className = "gem-custom-field-picker-hotkey";
-        hotkey.textContent = isMulti ? CUSTOM_FIELD_SHORTCUT_KEYS[index] || "" : String(index + 1);
+        hotkey.className = `${prefix}-hotkey`;
+        hotkey.textContent = String(index + 1);
 
-        const value = document.createElement("div");
-        value.className = "gem-custom-field-picker-value";
-        value.textContent = option.value || option.id || "";
+        const entryValue = entry[valueKey];
+        let value;
+        if (openAction) {
+          value = document.createElement("a");
+          value.href = openAction.buildHref(entryValue);
+          value.addEventListener("click", (event) => {
+            event.preventDefault();
+            runOpenAction(entryValue);
+          });
+        } else {
+          value = document.createElement("div");
+        }
+        value.className = `${prefix}-value`;
+        value.textContent = entryValue;
 
-        item.className = "gem-custom-field-picker-item";
         item.appendChild(hotkey);
         item.appendChild(value);
-        if (optionId && currentOptionIds.has(optionId)) {
-          const existingTag = document.createElement("div");
-          existingTag.className = "gem-custom-field-picker-meta";
-          existingTag.textContent = "current";
-          item.appendChild(existingTag);
+
+        if (entry.isPrimary) {
+          const badge = document.createElement("span");
+          badge.className = `${prefix}-primary-badge`;
+          badge.textContent = "Primary";
+          item.appendChild(badge);
         }
+
         item.addEventListener("mouseenter", () => {
           if (selectedIndex === index) {
             return;
           }
           selectedIndex = index;
-          syncValueRowSelectionState();
+          render();
         });
         item.addEventListener("click", () => {
           selectedIndex = index;
-          syncValueRowSelectionState();
-          if (isMulti) {
-            toggleMultiChoice(option);
-            return;
-          }
-          finishSingleChoice(option);
+          render();
         });
-        valueRowRefs.push({ item, optionId });
-        results.appendChild(item);
+        item.addEventListener("dblclick", () => {
+          selectedIndex = index;
+          setPrimaryByIndex(index).catch(() => {});
+        });
+        content.appendChild(item);
       });
-      syncValueRowSelectionState();
-    }
-
-    function setManualEntryError(message) {
-      if (!manualEntryError) {
-        return;
-      }
-      manualEntryError.textContent = String(message || "");
     }
 
-    function submitManualEntry() {
-      if (!selectedField) {
-        return;
-      }
-      const typed = String(manualEntryInput?.value || manualEntryDraft || "").trim();
-      if (!typed) {
-        setManualEntryError("Enter a value.");
-        if (manualEntryInput) {
-          manualEntryInput.focus();
-          manualEntryInput.select();
-        }
+    function render() {
+      if (disposed) {
         return;
       }
-      manualEntryDraft = typed;
-      finishWithSelection(
-        {
-          candidateId: currentCandidateId,
-          customFieldId: selectedField.id,
-          customFieldName: selectedField.name || "",
-          customFieldValue: typed,
-          customFieldValueLabels: [typed],
-          customFieldOptionId: "",
-          customFieldOptionIds: [],
-          customFieldValueType: selectedField.valueType || "text"
-        },
-        {
-          manualEntry: true,
-          selectedOptionCount: 0
-        }
-      );
-    }
-
-    function renderManualEntryView() {
-      clearValueRowRefs();
-      results.innerHTML = "";
-      setManualEntryHeaderForField(selectedField);
-      pageInfo.textContent = "";
-
-      const container = document.createElement("div");
-      container.className = "gem-custom-field-picker-form";
-
-      const label = document.createElement("label");
-      label.className = "gem-custom-field-picker-form-label";
-      label.setAttribute("for", "gem-custom-field-picker-manual-input");
-      label.textContent = `Value for ${selectedField?.name || "field"}`;
-
-      manualEntryInput = document.createElement("input");
-      manualEntryInput.id = "gem-custom-field-picker-manual-input";
-      manualEntryInput.type = "text";
-      manualEntryInput.autocomplete = "off";
-      manualEntryInput.placeholder = "Enter custom value";
-      manualEntryInput.value = manualEntryDraft;
-      manualEntryInput.addEventListener("input", () => {
-        manualEntryDraft = manualEntryInput.value;
-        setManualEntryError("");
-      });
-
-      manualEntryError = document.createElement("div");
-      manualEntryError.id = "gem-custom-field-picker-manual-error";
-
-      const actions = document.createElement("div");
-      actions.className = "gem-custom-field-picker-form-actions";
-
-      const backBtn = document.createElement("button");
-      backBtn.type = "button";
-      backBtn.className = "gem-custom-field-picker-form-btn secondary";
-      backBtn.textContent = "Back";
-      backBtn.addEventListener("click", () => {
-        goBackToValues();
-      });
-
-      const applyBtn = document.createElement("button");
-      applyBtn.type = "button";
-      applyBtn.className = "gem-custom-field-picker-form-btn primary";
-      applyBtn.textContent = "Apply";
-      applyBtn.addEventListener("click", () => {
-        submitManualEntry();
-      });
-
-      actions.appendChild(backBtn);
-      actions.appendChild(applyBtn);
-      container.appendChild(label);
-      container.appendChild(manualEntryInput);
-      container.appendChild(manualEntryError);
-      container.appendChild(actions);
-      results.appendChild(container);
-
-      window.requestAnimationFrame(() => {
-        if (manualEntryInput) {
-          manualEntryInput.focus();
-          manualEntryInput.select();
-        }
-      });
-    }
-
-    function openManualEntry() {
-      if (!selectedField) {
+      if (step === "menu") {
+        renderMenuStep();
         return;
       }
-      step = "manual";
-      manualEntryDraft = "";
-      renderManualEntryView();
-      void logEvent({
-        source: "extension.content",
-        event: "custom_field_picker.manual_entry_opened",
-        actionId: ACTIONS.SET_CUSTOM_FIELD,
-        runId,
-        message: `Opened manual custom field entry for ${selectedField.name || selectedField.id}.`,
-        link: linkedinUrl,
-        details: {
-          candidateId: currentCandidateId,
-          customFieldId: selectedField.id,
-          customFieldName: selectedField.name || "",
-          durationMs: Date.now() - startedAt
-        }
-      });
-    }
-
-    function goBackToValues() {
-      if (!selectedField) {
+      if (step === "add") {
+        renderAddStep();
         return;
       }
-      step = "values";
-      manualEntryInput = null;
-      manualEntryError = null;
-      setValuesHeaderForField(selectedField);
-      mountValuesView();
-      modal.focus();
+      renderListStep();
     }
 
-    function renderFields() {
-      updatePageFields();
-      results.innerHTML = "";
-      currentValues.classList.remove("visible");
-      currentValues.textContent = "";
-      setHintText("Esc to cancel. Arrow keys + Enter also work.");
-      if (loading) {
-        const loadingNode = document.createElement("div");
-        loadingNode.className = "gem-custom-field-picker-empty";
-        loadingNode.textContent = "Loading custom fields...";
-        results.appendChild(loadingNode);
-        pageInfo.textContent = "";
-        return;
+    function getQuickSelectIndex(event) {
+      if (event.metaKey || event.ctrlKey || event.altKey) {
+        return -1;
       }
-      if (loadError) {
-        const errorNode = document.createElement("div");
-        errorNode.className = "gem-custom-field-picker-empty";
-        errorNode.textContent = `Could not load custom fields: ${loadError}`;
-        results.appendChild(errorNode);
-        pageInfo.textContent = "";
-        return;
+      const code = String(event?.code || "");
+      let rawDigit = "";
+      if (/^Digit[0-9]$/.test(code)) {
+        rawDigit = code.slice(5);
+      } else if (/^Numpad[0-9]$/.test(code)) {
+        rawDigit = code.slice(6);
+      } else if (/^[0-9]$/.test(String(event?.key || ""))) {
+        rawDigit = String(event.key);
+      } else {
+        return -1;
       }
-      if (allFields.length === 0) {
-        const empty = document.createElement("div");
-        empty.className = "gem-custom-field-picker-empty";
-        empty.textContent = "No custom fields available for this candidate.";
-        results.appendChild(empty);
-        pageInfo.textContent = "";
-        return;
+      const value = rawDigit === "0" ? 10 : Number(rawDigit);
+      if (!Number.isFinite(value) || value <= 0) {
+        return -1;
       }
+      return value - 1;
+    }
 
-      fieldsForPage.forEach((field, index) => {
-        const item = document.createElement("div");
-        item.className = `gem-custom-field-picker-item${index === selectedIndex ? " active" : ""}`;
+    function cancelPicker(message) {
+      logEvent({
+        source: "extension.content",
+        level: "warn",
+        event: `${picker.eventPrefix}.cancelled`,
+        actionId: picker.actionId,
+        runId,
+        message,
+        link: linkedinUrl
+      });
+      finish(null);
+    }
 
-        const hotkey = document.createElement("div");
-        hotkey.className = "gem-custom-field-picker-hotkey";
-        hotkey.textContent = CUSTOM_FIELD_SHORTCUT_KEYS[index] || "";
+    overlay.addEventListener(
+      "keydown",
+      (event) => {
+        if (isConfirming()) {
+          if (event.key === "Enter") {
+            event.preventDefault();
+            confirmAddValue().catch(() => {});
+            return;
+          }
+          if (event.key === "Escape") {
+            event.preventDefault();
+            closeAddConfirmation();
+            return;
+          }
+        }
 
-        const value = document.createElement("div");
-        value.className = "gem-custom-field-picker-value";
-        value.textContent = field.name || field.id;
+        if (step === "add") {
+          if ((event.metaKey || event.ctrlKey) && String(event.key || "").toLowerCase() === "v") {
+            return;
+          }
+          if (event.key === "Enter") {
+            event.preventDefault();
+            openAddConfirmation();
+            return;
+          }
+          if (event.key === "Escape") {
+            event.preventDefault();
+            openMenuStep();
+          }
+          return;
+        }
 
-        const meta = document.createElement("div");
-        meta.className = "gem-custom-field-picker-meta";
-        meta.textContent = field.valueType || "";
+        if (event.key === "Escape") {
+          event.preventDefault();
+          if (step === "list") {
+            openMenuStep();
+            return;
+          }
+          cancelPicker(`${labels.pickerName} picker cancelled.`);
+          return;
+        }
 
-        item.appendChild(hotkey);
-        item.appendChild(value);
-        item.appendChild(meta);
-        item.addEventListener("mouseenter", () => {
-          if (selectedIndex === index) {
+        if (step === "menu") {
+          if (event.metaKey || event.ctrlKey || event.altKey) {
             return;
           }
-          selectedIndex = index;
-          renderFields();
-        });
-        item.addEventListener("click", () => {
-          selectedField = field;
-          openValuesForField(field);
-        });
-        results.appendChild(item);
-      });
+          const key = String(event.key || "").toLowerCase();
+          if (key === keys.add) {
+            event.preventDefault();
+            openAddStep();
+            return;
+          }
+          if (key === keys.copyPrimary) {
+            event.preventDefault();
+            copyPrimaryAndClose().catch(() => {});
+            return;
+          }
+          if (key === keys.viewAll) {
+            event.preventDefault();
+            openListStep();
+            return;
+          }
+          if (openAction && key === openAction.key) {
+            event.preventDefault();
+            if (isDataReady()) {
+              runOpenAction(primaryValue);
+            }
+          }
+          return;
+        }
 
-      const totalPages = Math.max(1, Math.ceil(allFields.length / CUSTOM_FIELD_KEYS_PER_PAGE));
-      if (totalPages > 1) {
-        pageInfo.textContent = `Page ${currentPage + 1}/${totalPages}. Press [ / ] to change page.`;
-      } else {
-        pageInfo.textContent = "";
+        if (loading || loadError || entries.length === 0) {
+          return;
+        }
+        if (event.key === "ArrowDown") {
+          event.preventDefault();
+          selectedIndex = (selectedIndex + 1) % entries.length;
+          render();
+          return;
+        }
+        if (event.key === "ArrowUp") {
+          event.preventDefault();
+          selectedIndex = (selectedIndex - 1 + entries.length) % entries.length;
+          render();
+          return;
+        }
+        if (event.key === "Enter") {
+          event.preventDefault();
+          setPrimaryByIndex(selectedIndex).catch(() => {});
+          return;
+        }
+        if (
+          openAction &&
+          !event.metaKey &&
+          !event.ctrlKey &&
+          !event.altKey &&
+          String(event.key || "").toLowerCase() === openAction.key
+        ) {
+          event.preventDefault();
+          runOpenAction(entries[selectedIndex]?.[valueKey]);
+          return;
+        }
+        const quickIndex = getQuickSelectIndex(event);
+        if (quickIndex >= 0) {
+          event.preventDefault();
+          copyByQuickIndex(quickIndex).catch(() => {});
+        }
+      },
+      true
+    );
+
+    confirmOkBtn.addEventListener("click", () => {
+      confirmAddValue().catch(() => {});
+    });
+    confirmCancelBtn.addEventListener("click", () => {
+      closeAddConfirmation();
+    });
+    confirmMask.addEventListener("click", (event) => {
+      if (event.target === confirmMask) {
+        closeAddConfirmation();
       }
-    }
+    });
 
-    function applyLoadedCustomFields(data) {
-      if (!pickerActive) {
-        return;
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        cancelPicker(`${labels.pickerName} picker cancelled by outside click.`);
       }
-      loading = false;
-      loadError = "";
-      const dataWithOptimisticStatus = mergeOptimisticGemStatusIntoCustomFieldData(
-        context,
-        data,
-        String(data?.candidateId || currentCandidateId || "").trim()
-      );
-      currentCandidateId = String(dataWithOptimisticStatus?.candidateId || currentCandidateId || "").trim();
-      rememberResolvedCandidateIdForContext(context, currentCandidateId);
-      allFields = normalizeCustomFieldsForPicker(dataWithOptimisticStatus);
-      setCustomFieldMemoryEntry(context, {
-        candidateId: currentCandidateId,
-        customFields: allFields
+    });
+
+    modal.tabIndex = -1;
+    modal.focus();
+    render();
+    refreshData({ quiet: Boolean(initialState) }).catch(() => {});
+
+    logEvent({
+      source: "extension.content",
+      event: `${picker.eventPrefix}.opened`,
+      actionId: picker.actionId,
+      runId,
+      message: `${labels.pickerName} picker opened.`,
+      link: linkedinUrl
+    });
+  });
+}
+
+async function showEmailPicker(runId, context) {
+  const linkedinUrl = context.linkedinUrl || window.location.href;
+  const emailMemoryEntry = getCandidateEmailMemoryEntry(context);
+
+  return showContactPicker(runId, context, {
+    prefix: "gem-email-picker",
+    eventPrefix: "email_picker",
+    actionId: ACTIONS.MANAGE_EMAILS,
+    valueKey: "emailAddress",
+    noun: { short: "email", singular: "email", plural: "emails" },
+    logValues: true,
+    keys: {
+      add: EMAIL_MENU_ADD_KEY,
+      copyPrimary: EMAIL_MENU_COPY_PRIMARY_KEY,
+      viewAll: EMAIL_MENU_VIEW_ALL_KEY
+    },
+    labels: {
+      pickerName: "Email",
+      placeholder: "name@company.com",
+      invalidValue: "Enter a valid email address.",
+      confirmTitle: "Confirm Email Update",
+      confirmBody: (emailAddress) => `Add "${emailAddress}" and set it as the primary email?`,
+      addedToast: (emailAddress) => `Added and set primary email: ${emailAddress}`,
+      menuTitle: "Manage Emails",
+      menuSubtitle: (primaryEmail) =>
+        primaryEmail ? `Current primary email: ${primaryEmail}` : "No primary email set yet for this candidate.",
+      menuHint: "Press A to add email, S to copy primary email, D to view all emails. Esc to cancel.",
+      addItem: "Add Email",
+      addItemMeta: "Add a new email and set as primary",
+      copyPrimaryItem: "Copy Primary Email",
+      copyPrimaryItemMeta: "Copy current primary email",
+      viewAllItem: "View All Emails",
+      viewAllItemMeta: "View, copy, and set primary email",
+      addTitle: "Add Email",
+      addSubtitle: "Paste or type the email address, then press Enter.",
+      listTitle: "All Emails",
+      listSubtitle: "Press a number to copy an email. Arrow keys + Enter sets primary.",
+      listHint: "Esc to go back. Enter sets selected email as primary."
+    },
+    normalizeValue: normalizeEmailAddressForPicker,
+    isValidValue: isValidEmailAddressForPicker,
+    initialData: emailMemoryEntry.entry || null,
+    readData(data) {
+      const emails = normalizeCandidateEmailsForPicker(data?.emails);
+      let primaryEmail = normalizeEmailAddressForPicker(data?.primaryEmail || getPrimaryEmailForPicker(emails));
+      if (!primaryEmail && emails.length > 0) {
+        primaryEmail = emails[0].emailAddress;
+      }
+      return { entries: emails, primaryValue: primaryEmail };
+    },
+    onDataApplied(data, { entries, primaryValue }) {
+      setCandidateEmailMemoryEntry(context, {
+        candidateId: String(data?.candidateId || ""),
+        emails: entries,
+        primaryEmail: primaryValue
+      });
+    },
+    loadData() {
+      return warmCandidateEmailsForContext(context, runId, {
+        preferCache: true,
+        refreshInBackground: true,
+        allowCreate: shouldAllowCandidateCreateForContext(context)
       });
+    },
+    addValue(emailAddress) {
+      return addCandidateEmailForContext(context, emailAddress, runId);
+    },
+    setPrimaryValue(selectedEmail, { index, entries, primaryValue, finish }) {
+      const previousEmails = entries.map((entry) => ({ ...entry }));
 
-      if ((step === "values" || step === "manual") && selectedField) {
-        const refreshedField = allFields.find((field) => field.id === selectedField.id) || selectedField;
-        selectedField = refreshedField;
-        const nextChoices = buildValueChoicesForField(refreshedField);
-        const activeChoiceId = valueChoices[selectedIndex]?.id || "";
-        valueChoices = nextChoices;
-        if (activeChoiceId) {
-          const matchedChoiceIndex = nextChoices.findIndex((option) => option.id === activeChoiceId);
-          selectedIndex = matchedChoiceIndex >= 0 ? matchedChoiceIndex : 0;
-        } else {
-          selectedIndex = 0;
-        }
-        if (pendingMultiOptionIds.size > 0) {
-          const validOptionIds = new Set(nextChoices.map((option) => option.id));
-          Array.from(pendingMultiOptionIds).forEach((optionId) => {
-            if (!validOptionIds.has(optionId)) {
-              pendingMultiOptionIds.delete(optionId);
+      // Optimistic local update so the interaction feels instant.
+      setCandidateEmailMemoryEntry(context, {
+        candidateId: "",
+        emails: entries.map((entry, entryIndex) => ({
+          emailAddress: entry.emailAddress,
+          isPrimary: entryIndex === index
+        })),
+        primaryEmail: selectedEmail
+      });
+      showToast(`Set primary email: ${selectedEmail}`);
+      finish();
+
+      setPrimaryCandidateEmailForContext(context, selectedEmail, runId)
+        .then(async (data) => {
+          setCandidateEmailMemoryEntry(context, {
+            candidateId: String(data?.candidateId || ""),
+            emails: data?.emails || [],
+            primaryEmail: data?.primaryEmail || selectedEmail
+          });
+          await logEvent({
+            source: "extension.content",
+            event: "email_picker.primary_set",
+            actionId: ACTIONS.MANAGE_EMAILS,
+            runId,
+            message: `Set primary email to ${selectedEmail}.`,
+            link: linkedinUrl,
+            details: {
+              emailAddress: selectedEmail
             }
           });
-        }
-        if (isMultiSelectField(selectedField) && !hasEditedMultiSelection) {
-          seedPendingMultiSelectionFromExisting(selectedField);
-          const firstSelectedIndex = valueChoices.findIndex((option) => pendingMultiOptionIds.has(option.id));
-          if (firstSelectedIndex >= 0) {
-            selectedIndex = firstSelectedIndex;
-          }
-        }
-        if (step === "manual") {
-          const hasManualOption = nextChoices.some((option) => String(option?.id || "").trim() === "__manual__");
-          if (!hasManualOption) {
-            step = "values";
-            setValuesHeaderForField(selectedField);
-            mountValuesView();
-            return;
-          }
-          setManualEntryHeaderForField(selectedField);
+        })
+        .catch((error) => {
+          setCandidateEmailMemoryEntry(context, {
+            candidateId: "",
+            emails: previousEmails,
+            primaryEmail: primaryValue
+          });
+          showToast(error.message || "Could not update primary email.", true);
+        });
+    }
+  });
+}
+
+async function showPhonePicker(runId, context) {
+  const linkedinUrl = context.linkedinUrl || window.location.href;
+
+  return showContactPicker(runId, context, {
+    prefix: "gem-phone-picker",
+    eventPrefix: "phone_picker",
+    actionId: ACTIONS.MANAGE_PHONES,
+    valueKey: "phoneNumber",
+    noun: { short: "phone", singular: "phone number", plural: "phone numbers" },
+    logValues: false,
+    inputType: "tel",
+    keys: {
+      add: PHONE_MENU_ADD_KEY,
+      copyPrimary: PHONE_MENU_COPY_PRIMARY_KEY,
+      viewAll: PHONE_MENU_VIEW_ALL_KEY
+    },
+    labels: {
+      pickerName: "Phone",
+      placeholder: "+1 415 555 0100",
+      invalidValue: "Enter a valid phone number.",
+      confirmTitle: "Confirm Phone Update",
+      // Gem stores a single phone number per candidate, so adding one replaces the current number.
+      confirmBody: (phoneNumber, primaryPhone) =>
+        primaryPhone
+          ? `Gem keeps one phone number per candidate. Replace "${primaryPhone}" with "${phoneNumber}"?`
+          : `Add "${phoneNumber}" as the candidate's phone number?`,
+      addedToast: (phoneNumber) => `Set phone number: ${phoneNumber}`,
+      menuTitle: "Manage Phones",
+      menuSubtitle: (primaryPhone) =>
+        primaryPhone ? `Current phone number: ${primaryPhone}` : "No phone number set yet for this candidate.",
+      menuHint: "Press A to add phone, S to copy primary phone, D to view all phones, C to call. Esc to cancel.",
+      addItem: "Add Phone",
+      addItemMeta: "Add a phone number and set as primary",
+      copyPrimaryItem: "Copy Primary Phone",
+      copyPrimaryItemMeta: "Copy current phone number",
+      viewAllItem: "View All Phones",
+      viewAllItemMeta: "View, copy, call, and set primary phone",
+      addTitle: "Add Phone",
+      addSubtitle: "Paste or type the phone number, then press Enter.",
+      listTitle: "All Phones",
+      listSubtitle: "Press a number to copy a phone. Arrow keys + Enter sets primary, C calls.",
+      listHint: "Esc to go back. Enter sets selected phone as primary."
+    },
+    normalizeValue: normalizePhoneNumberForPicker,
+    isValidValue: isValidPhoneNumberForPicker,
+    readData(data) {
+      const phones = normalizeCandidatePhonesForPicker(data?.phones);
+      return {
+        entries: phones,
+        primaryValue: normalizePhoneNumberForPicker(data?.primaryPhone || phones.find((entry) => entry.isPrimary)?.phoneNumber)
+      };
+    },
+    loadData() {
+      return listCandidatePhonesForContext(context, runId, {
+        allowCreate: shouldAllowCandidateCreateForContext(context)
+      });
+    },
+    addValue(phoneNumber) {
+      return addCandidatePhoneForContext(context, phoneNumber, runId);
+    },
+    async setPrimaryValue(phoneNumber, { finish }) {
+      await setPrimaryCandidatePhoneForContext(context, phoneNumber, runId);
+      showToast(`Set primary phone: ${phoneNumber}`);
+      await logEvent({
+        source: "extension.content",
+        event: "phone_picker.primary_set",
+        actionId: ACTIONS.MANAGE_PHONES,
+        runId,
+        message: "Set primary phone number.",
+        link: linkedinUrl
+      });
+      finish();
+    },
+    openAction: {
+      key: PHONE_CALL_KEY,
+      label: "Call Primary Phone",
+      meta: "Open the tel: link in your calling app",
+      buildHref: buildTelHref,
+      run(phoneNumber, { setError, finish }) {
+        const href = buildTelHref(phoneNumber);
+        if (!href) {
+          setError("No phone number available to call.");
           return;
         }
-        setValuesHeaderForField(selectedField);
-        mountValuesView();
-        return;
+        const link = document.createElement("a");
+        link.href = href;
+        link.click();
+        logEvent({
+          source: "extension.content",
+          event: "phone_picker.called",
+          actionId: ACTIONS.MANAGE_PHONES,
+          runId,
+          message: "Opened tel: link.",
+          link: linkedinUrl
+        });
+        finish({
+          type: "call",
+          phoneNumber
+        });
       }
+    }
+  });
+}
 
-      currentPage = 0;
-      selectedIndex = 0;
-      renderFields();
+function findLinkedInContactInfoDialog() {
+  const dialogs = querySelectorAllDeep(document, "[role='dialog'], .artdeco-modal");
+  for (const dialog of dialogs) {
+    if (!isElementVisible(dialog)) {
+      continue;
+    }
+    if (dialog.querySelector(".pv-contact-info__contact-type, #pv-contact-info")) {
+      return dialog;
     }
+    const heading = dialog.querySelector("h1, h2");
+    if (heading && isContactInfoLabel(heading.textContent || "")) {
+      return dialog;
+    }
+  }
+  return null;
+}
 
-    function openValuesForField(field) {
-      step = "values";
-      selectedField = field;
-      manualEntryDraft = "";
-      manualEntryInput = null;
-      manualEntryError = null;
-      closeMultiConfirmation();
-      hasEditedMultiSelection = false;
-      seedPendingMultiSelectionFromExisting(field);
-      valueChoices = buildValueChoicesForField(field);
-      if (valueChoices.length > 0) {
-        const currentOptionIds = getCurrentOptionIdsForField(field, valueChoices);
-        if (isMultiSelectField(field)) {
-          const firstSelectedIndex = valueChoices.findIndex((option) => pendingMultiOptionIds.has(option.id));
-          selectedIndex = firstSelectedIndex >= 0 ? firstSelectedIndex : 0;
-        } else {
-          const firstCurrentIndex = valueChoices.findIndex((option) => currentOptionIds.has(option.id));
-          selectedIndex = firstCurrentIndex >= 0 ? firstCurrentIndex : 0;
-        }
-      } else {
-        selectedIndex = 0;
-      }
-      setValuesHeaderForField(field);
-      mountValuesView();
-      logEvent({
-        source: "extension.content",
-        event: "custom_field_picker.field_selected",
-        actionId: ACTIONS.SET_CUSTOM_FIELD,
-        runId,
-        message: `Selected custom field ${field.name || field.id}.`,
-        link: linkedinUrl,
-        details: {
-          customFieldId: field.id,
-          customFieldName: field.name || ""
+async function waitForLinkedInContactInfoSections(timeoutMs = 3000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const dialog = findLinkedInContactInfoDialog();
+    if (dialog && dialog.querySelector("section h3, section h2")) {
+      return dialog;
+    }
+    await waitFor(100);
+  }
+  return findLinkedInContactInfoDialog();
+}
+
+function unwrapLinkedInRedirectUrl(href) {
+  try {
+    const parsed = new URL(href, window.location.origin);
+    if (/(^|\.)linkedin\.com$/i.test(parsed.hostname) && parsed.pathname.startsWith("/redir/")) {
+      return parsed.searchParams.get("url") || "";
+    }
+    return parsed.toString();
+  } catch (_error) {
+    return "";
+  }
+}
+
+function getProfileUrlKeyForPicker(value) {
+  try {
+    const parsed = new URL(String(value || "").trim());
+    return `${parsed.hostname}${parsed.pathname}`
+      .replace(/\/$/, "")
+      .toLowerCase()
+      .replace(/^(www\.|mobile\.)/, "")
+      .replace(/^x\.com\//, "twitter.com/");
+  } catch (_error) {
+    return String(value || "").trim().toLowerCase();
+  }
+}
+
+// LinkedIn renders one <section> per contact type ("Email", "Phone", "Website", "Twitter"); the heading
+// decides how each section's links and text are read.
+function parseLinkedInContactInfoDialog(dialog) {
+  const result = { emails: [], phones: [], websites: [], twitterUrls: [] };
+  const push = (list, value, keyFn = (item) => item.toLowerCase()) => {
+    const text = String(value || "").trim();
+    if (text && !list.some((item) => keyFn(item) === keyFn(text))) {
+      list.push(text);
+    }
+  };
+  if (!dialog) {
+    return result;
+  }
+
+  for (const section of dialog.querySelectorAll("section")) {
+    const heading = String(section.querySelector("h3, h2")?.textContent || "")
+      .trim()
+      .toLowerCase();
+    const links = Array.from(section.querySelectorAll("a[href]"));
+    if (heading.includes("email")) {
+      links
+        .filter((link) => link.getAttribute("href").toLowerCase().startsWith("mailto:"))
+        .forEach((link) => push(result.emails, decodeURIComponent(link.getAttribute("href").slice(7).split("?")[0])));
+      continue;
+    }
+    if (heading.includes("phone")) {
+      const rows = section.querySelectorAll("li");
+      (rows.length > 0 ? Array.from(rows) : [section]).forEach((row) => {
+        const number = String(row.querySelector("span")?.textContent || row.textContent || "")
+          .replace(/\((?:mobile|home|work)\)/gi, "")
+          .trim();
+        if (isValidPhoneNumberForPicker(number)) {
+          push(result.phones, normalizePhoneNumberForPicker(number), (item) => item.replace(/[^\d]/g, ""));
         }
       });
+      continue;
     }
-
-    function finishSingleChoice(option) {
-      if (!selectedField) {
-        return;
-      }
-      if (String(option?.id || "").trim() === "__manual__") {
-        openManualEntry();
-        return;
+    if (heading.includes("twitter") || heading === "x") {
+      links.forEach((link) => push(result.twitterUrls, unwrapLinkedInRedirectUrl(link.getAttribute("href")), getProfileUrlKeyForPicker));
+      if (links.length === 0) {
+        const headingText = String(section.querySelector("h3, h2")?.textContent || "");
+        const handle = String(section.textContent || "")
+          .replace(headingText, "")
+          .match(/@([A-Za-z0-9_]{1,15})/);
+        if (handle) {
+          push(result.twitterUrls, `https://twitter.com/${handle[1]}`, getProfileUrlKeyForPicker);
+        }
       }
-      finishWithSelection(
-        {
-          candidateId: currentCandidateId,
-          customFieldId: selectedField.id,
-          customFieldName: selectedField.name || "",
-          customFieldValue: option.value || "",
-          customFieldValueLabels: option.value ? [option.value] : [],
-          customFieldOptionId: option.id || "",
-          customFieldOptionIds: option.id ? [option.id] : [],
-          customFieldValueType: selectedField.valueType || ""
-        },
-        {
-          manualEntry: false,
-          multiSelect: false,
-          selectedOptionCount: option.id ? 1 : 0
+      continue;
+    }
+    if (heading.includes("website")) {
+      links.forEach((link) => {
+        const url = unwrapLinkedInRedirectUrl(link.getAttribute("href"));
+        if (/^https?:\/\//i.test(url) && !/(^|\.)linkedin\.com$/i.test(new URL(url).hostname)) {
+          push(result.websites, url, getProfileUrlKeyForPicker);
         }
-      );
+      });
     }
+  }
 
-    function toggleMultiChoice(option) {
-      const optionId = String(option?.id || "").trim();
-      if (!optionId || optionId === "__manual__") {
-        return;
-      }
-      hasEditedMultiSelection = true;
-      if (pendingMultiOptionIds.has(optionId)) {
-        pendingMultiOptionIds.delete(optionId);
-      } else {
-        pendingMultiOptionIds.add(optionId);
-      }
-      syncValueRowSelectionState();
-    }
+  result.emails = result.emails.filter((email) => isValidEmailAddressForPicker(email));
+  return result;
+}
 
-    function buildSelectedMultiOptionIds() {
-      if (!selectedField) {
-        return [];
-      }
-      const validOptionIds = new Set(valueChoices.map((option) => String(option.id || "").trim()).filter(Boolean));
-      const selected = Array.from(pendingMultiOptionIds)
-        .map((id) => String(id || "").trim())
-        .filter((id) => id && validOptionIds.has(id));
-      return Array.from(new Set(selected));
-    }
+function closeLinkedInContactInfoDialog(dialog) {
+  const dismiss = dialog?.querySelector("button[aria-label*='Dismiss' i], button.artdeco-modal__dismiss");
+  if (dismiss) {
+    dismiss.click();
+  }
+}
 
-    function openMultiConfirmation() {
-      if (!selectedField || !isMultiSelectField(selectedField)) {
+function buildContactInfoCaptureRows(scraped, gemInfo) {
+  const gemEmails = new Set((gemInfo.emails || []).map((entry) => String(entry.emailAddress || "").toLowerCase()));
+  const gemPhoneKeys = new Set((gemInfo.phones || []).map((entry) => String(entry.phoneNumber || "").replace(/[^\d]/g, "")));
+  const gemUrlKeys = new Set((gemInfo.profileUrls || []).map((url) => getProfileUrlKeyForPicker(url)));
+  const gemPrimaryPhone = normalizePhoneNumberForPicker(gemInfo.primaryPhone);
+  const rows = [];
+
+  scraped.emails.forEach((email) => {
+    const exists = gemEmails.has(email.toLowerCase());
+    rows.push({ kind: "email", label: "Email", value: email, status: exists ? "exists" : "new" });
+  });
+  scraped.phones.forEach((phone, index) => {
+    const exists = gemPhoneKeys.has(phone.replace(/[^\d]/g, ""));
+    // Gem keeps one phone number, so only the first LinkedIn number can fill an empty slot.
+    const status = exists ? "exists" : !gemPrimaryPhone && index === 0 ? "new" : "skipped";
+    rows.push({
+      kind: "phone",
+      label: "Phone",
+      value: phone,
+      status,
+      note: status === "skipped" ? `Gem keeps one phone number${gemPrimaryPhone ? ` (${gemPrimaryPhone})` : ""}` : ""
+    });
+  });
+  scraped.websites.forEach((url) => {
+    rows.push({ kind: "url", label: "Website", value: url, status: gemUrlKeys.has(getProfileUrlKeyForPicker(url)) ? "exists" : "new" });
+  });
+  scraped.twitterUrls.forEach((url) => {
+    rows.push({ kind: "url", label: "Twitter", value: url, status: gemUrlKeys.has(getProfileUrlKeyForPicker(url)) ? "exists" : "new" });
+  });
+  return rows;
+}
+
+function sendContactInfoMessage(message, fallbackError) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        const msg = chrome.runtime.lastError.message || "Runtime message failed.";
+        if (isContextInvalidatedError(msg)) {
+          triggerContextRecovery(msg);
+          reject(new Error("Extension updated. Reloading page."));
+          return;
+        }
+        reject(new Error(msg));
         return;
       }
-      if (pendingMultiOptionIds.size === 0 && !hasEditedMultiSelection) {
+      if (!response?.ok) {
+        reject(new Error(response?.message || fallbackError));
         return;
       }
-      const selectedOptionIds = buildSelectedMultiOptionIds();
-      const selectedLabels = valueChoices
-        .filter((option) => pendingMultiOptionIds.has(option.id))
-        .map((option) => option.value || option.id || "")
-        .filter(Boolean);
-      const existingOptionIds = getCurrentOptionIdsForField(selectedField, valueChoices);
-      const additionalLabels = valueChoices
-        .filter((option) => pendingMultiOptionIds.has(option.id) && !existingOptionIds.has(option.id))
-        .map((option) => option.value || option.id || "")
-        .filter(Boolean);
-      const removedLabels = valueChoices
-        .filter((option) => existingOptionIds.has(option.id) && !pendingMultiOptionIds.has(option.id))
-        .map((option) => option.value || option.id || "")
-        .filter(Boolean);
-      const currentSummary = summarizeLabels(selectedField.currentValueLabels, 3);
-      const selectedSummary = summarizeLabels(selectedLabels, 4);
-      const additionalSummary = summarizeLabels(additionalLabels, 4);
-      const removedSummary = summarizeLabels(removedLabels, 4);
-      pendingMultiConfirmation = {
-        selectedOptionIds,
-        selectedLabels,
-        message: `Set ${selectedOptionIds.length} selected value${selectedOptionIds.length === 1 ? "" : "s"} for "${
-          selectedField.name
-        }"? Current: ${currentSummary}. Selected: ${selectedSummary}. Additional: ${additionalSummary}. Removed: ${removedSummary}.`
-      };
-      updateMultiConfirmationMask();
-    }
+      resolve(response);
+    });
+  });
+}
 
-    function confirmMultiSelection() {
-      if (!selectedField || !pendingMultiConfirmation) {
-        return;
-      }
-      const selectedOptionIds = Array.isArray(pendingMultiConfirmation.selectedOptionIds)
-        ? pendingMultiConfirmation.selectedOptionIds
-        : [];
-      const selectionLabels = Array.isArray(pendingMultiConfirmation.selectedLabels)
-        ? pendingMultiConfirmation.selectedLabels
-        : [];
-      pendingMultiConfirmation = null;
-      finishWithSelection(
-        {
-          candidateId: currentCandidateId,
-          customFieldId: selectedField.id,
-          customFieldName: selectedField.name || "",
-          customFieldValue: selectionLabels.join(", "),
-          customFieldValueLabels: selectionLabels,
-          customFieldOptionId: selectedOptionIds[0] || "",
-          customFieldOptionIds: selectedOptionIds,
-          customFieldValueType: selectedField.valueType || ""
-        },
-        {
-          manualEntry: false,
-          multiSelect: true,
-          selectedOptionCount: selectedOptionIds.length
-        }
-      );
-    }
+async function showContactInfoCapturePicker(runId, context, scraped) {
+  createContactInfoCaptureStyles();
+  const linkedinUrl = context.linkedinUrl || window.location.href;
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.id = "gem-contact-capture-overlay";
+
+    const modal = document.createElement("div");
+    modal.id = "gem-contact-capture-modal";
+
+    const title = document.createElement("div");
+    title.id = "gem-contact-capture-title";
+    title.textContent = "Capture Contact Info";
+
+    const subtitle = document.createElement("div");
+    subtitle.id = "gem-contact-capture-subtitle";
+    subtitle.textContent = "Comparing LinkedIn contact info with Gem...";
+
+    const errorEl = document.createElement("div");
+    errorEl.id = "gem-contact-capture-error";
+
+    const content = document.createElement("div");
+    content.id = "gem-contact-capture-list";
 
-    function getSingleSelectShortcutIndexFromKey(key) {
-      if (!/^[0-9]$/.test(key)) {
-        return -1;
-      }
-      if (key === "0") {
-        return 9;
-      }
-      return Number(key) - 1;
-    }
+    const hint = document.createElement("div");
+    hint.className = "gem-contact-capture-hint";
+    hint.textContent = "Enter adds the new values to Gem. Esc to cancel.";
 
-    function handleManualEntryKey(event) {
-      if (event.metaKey || event.ctrlKey || event.altKey) {
-        return false;
-      }
-      if (event.key === "Escape") {
-        event.preventDefault();
-        goBackToValues();
-        return true;
-      }
-      if (event.key === "Enter") {
-        event.preventDefault();
-        submitManualEntry();
-        return true;
-      }
-      return false;
-    }
+    modal.appendChild(title);
+    modal.appendChild(subtitle);
+    modal.appendChild(errorEl);
+    modal.appendChild(content);
+    modal.appendChild(hint);
+    overlay.appendChild(modal);
+    document.documentElement.appendChild(overlay);
 
-    function goBackToFields() {
-      step = "fields";
-      manualEntryDraft = "";
-      manualEntryInput = null;
-      manualEntryError = null;
-      clearValueRowRefs();
-      closeMultiConfirmation();
-      clearPendingMultiSelection();
-      hasEditedMultiSelection = false;
-      selectedField = null;
-      selectedIndex = 0;
-      title.textContent = "Set Custom Field";
-      subtitle.textContent = "Press a letter to pick a field, then press a number to set the value.";
-      renderFields();
-    }
+    let rows = [];
+    let loading = true;
+    let busy = false;
+    let disposed = false;
 
-    function handleFieldsKey(event) {
-      const totalPages = Math.max(1, Math.ceil(allFields.length / CUSTOM_FIELD_KEYS_PER_PAGE));
-      if (event.key === "ArrowDown") {
-        event.preventDefault();
-        if (fieldsForPage.length > 0) {
-          selectedIndex = (selectedIndex + 1) % fieldsForPage.length;
-          renderFields();
-        }
+    function finish(result = null) {
+      if (disposed) {
         return;
       }
-      if (event.key === "ArrowUp") {
-        event.preventDefault();
-        if (fieldsForPage.length > 0) {
-          selectedIndex = (selectedIndex - 1 + fieldsForPage.length) % fieldsForPage.length;
-          renderFields();
-        }
+      disposed = true;
+      overlay.remove();
+      resolve(result);
+    }
+
+    function render() {
+      content.innerHTML = "";
+      if (loading) {
+        const loadingNode = document.createElement("div");
+        loadingNode.className = "gem-contact-capture-empty";
+        loadingNode.textContent = "Loading Gem contact info...";
+        content.appendChild(loadingNode);
         return;
       }
-      if (event.key === "Enter") {
-        event.preventDefault();
-        if (fieldsForPage.length > 0) {
-          openValuesForField(fieldsForPage[selectedIndex]);
+      const newCount = rows.filter((row) => row.status === "new").length;
+      subtitle.textContent =
+        newCount > 0
+          ? `${newCount} value${newCount === 1 ? "" : "s"} from LinkedIn ${newCount === 1 ? "is" : "are"} missing in Gem.`
+          : "Gem already has everything from LinkedIn's Contact info.";
+      rows.forEach((row) => {
+        const item = document.createElement("div");
+        item.className = `gem-contact-capture-item${row.status === "new" ? " primary" : ""}`;
+        const kind = document.createElement("div");
+        kind.className = "gem-contact-capture-hotkey";
+        kind.textContent = row.label;
+        const value = document.createElement("div");
+        value.className = "gem-contact-capture-value";
+        value.textContent = row.value;
+        const meta = document.createElement("div");
+        meta.className = "gem-contact-capture-meta";
+        meta.textContent = row.status === "new" ? "" : row.note || "Already in Gem";
+        item.appendChild(kind);
+        item.appendChild(value);
+        item.appendChild(meta);
+        if (row.status === "new") {
+          const badge = document.createElement("span");
+          badge.className = "gem-contact-capture-primary-badge";
+          badge.textContent = "New";
+          item.appendChild(badge);
         }
+        content.appendChild(item);
+      });
+    }
+
+    async function confirmCapture() {
+      if (loading || busy) {
         return;
       }
-      if (event.key === "]" && totalPages > 1) {
-        event.preventDefault();
-        currentPage = (currentPage + 1) % totalPages;
-        selectedIndex = 0;
-        renderFields();
-        return;
-      }
-      if (event.key === "[" && totalPages > 1) {
-        event.preventDefault();
-        currentPage = (currentPage - 1 + totalPages) % totalPages;
-        selectedIndex = 0;
-        renderFields();
+      const newRows = rows.filter((row) => row.status === "new");
+      if (newRows.length === 0) {
+        finish({ type: "nothing-new", addedCount: 0 });
         return;
       }
-      const lower = String(event.key || "").toLowerCase();
-      const idx = CUSTOM_FIELD_SHORTCUT_KEYS.indexOf(lower);
-      if (idx >= 0 && idx < fieldsForPage.length) {
-        event.preventDefault();
-        openValuesForField(fieldsForPage[idx]);
+      busy = true;
+      hint.textContent = "Adding to Gem...";
+      try {
+        const response = await sendContactInfoMessage(
+          {
+            type: "CAPTURE_CONTACT_INFO_FOR_CONTEXT",
+            context,
+            capture: {
+              emails: newRows.filter((row) => row.kind === "email").map((row) => row.value),
+              phone: newRows.find((row) => row.kind === "phone")?.value || "",
+              profileUrls: newRows.filter((row) => row.kind === "url").map((row) => row.value)
+            },
+            runId
+          },
+          "Could not update Gem contact info"
+        );
+        const added = response.added || {};
+        finish({
+          type: "captured",
+          addedCount: (added.emails || []).length + (added.phone ? 1 : 0) + (added.profileUrls || []).length,
+          errors: Array.isArray(response.errors) ? response.errors : [],
+          link: String(response.link || "")
+        });
+      } catch (error) {
+        busy = false;
+        hint.textContent = "Enter adds the new values to Gem. Esc to cancel.";
+        errorEl.textContent = error.message || "Could not update Gem contact info.";
       }
     }
 
-    function handleValuesNumberKey(event) {
-      if (isMultiSelectField(selectedField)) {
-        return false;
-      }
-      if (event.metaKey || event.ctrlKey || event.altKey) {
-        return false;
-      }
-      const key = String(event.key || "");
-      const shortcutIndex = getSingleSelectShortcutIndexFromKey(key);
-      if (shortcutIndex < 0) {
-        return false;
+    function cancelPicker(message) {
+      logEvent({
+        source: "extension.content",
+        level: "warn",
+        event: "contact_capture.cancelled",
+        actionId: ACTIONS.CAPTURE_CONTACT_INFO,
+        runId,
+        message,
+        link: linkedinUrl
+      });
+      finish(null);
+    }
+
+    overlay.addEventListener(
+      "keydown",
+      (event) => {
+        if (event.key === "Escape") {
+          event.preventDefault();
+          cancelPicker("Contact info capture cancelled.");
+          return;
+        }
+        if (event.key === "Enter") {
+          event.preventDefault();
+          confirmCapture().catch(() => {});
+        }
+      },
+      true
+    );
+
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        cancelPicker("Contact info capture cancelled by outside click.");
       }
-      if (shortcutIndex >= valueChoices.length) {
-        return true;
+    });
+
+    modal.tabIndex = -1;
+    modal.focus();
+    render();
+
+    sendContactInfoMessage(
+      { type: "GET_CANDIDATE_CONTACT_INFO_FOR_CONTEXT", context, runId },
+      "Could not load Gem contact info"
+    )
+      .then((gemInfo) => {
+        rows = buildContactInfoCaptureRows(scraped, gemInfo);
+        loading = false;
+        render();
+      })
+      .catch((error) => {
+        loading = false;
+        subtitle.textContent = "";
+        errorEl.textContent = error.message || "Could not load Gem contact info.";
+        render();
+      });
+  });
+}
+
+async function runCaptureContactInfo(runId, context) {
+  if (!glsIsLinkedInPublicProfilePage(window.location.href)) {
+    return { ok: false, message: "Open a LinkedIn profile to capture its Contact info." };
+  }
+  let dialog = findLinkedInContactInfoDialog();
+  const openedByUs = !dialog;
+  if (!dialog) {
+    await triggerLinkedInContactInfoShortcut(runId);
+  }
+  dialog = await waitForLinkedInContactInfoSections(openedByUs ? 3000 : 1000);
+  if (!dialog) {
+    return { ok: false, message: "Couldn't open Contact info on this profile." };
+  }
+  const scraped = parseLinkedInContactInfoDialog(dialog);
+  if (openedByUs) {
+    closeLinkedInContactInfoDialog(dialog);
+  }
+  const foundCount = scraped.emails.length + scraped.phones.length + scraped.websites.length + scraped.twitterUrls.length;
+  await logEvent({
+    source: "extension.content",
+    event: "contact_capture.parsed",
+    actionId: ACTIONS.CAPTURE_CONTACT_INFO,
+    runId,
+    message: `Parsed ${foundCount} value${foundCount === 1 ? "" : "s"} from LinkedIn Contact info.`,
+    link: context.linkedinUrl || window.location.href,
+    details: {
+      emailCount: scraped.emails.length,
+      phoneCount: scraped.phones.length,
+      websiteCount: scraped.websites.length,
+      twitterCount: scraped.twitterUrls.length
+    }
+  });
+  if (foundCount === 0) {
+    return { ok: false, message: "No email, phone, website, or Twitter found in Contact info." };
+  }
+
+  const result = await showContactInfoCapturePicker(runId, context, scraped);
+  if (!result) {
+    return { ok: false, message: "Action cancelled." };
+  }
+  if (result.type === "nothing-new") {
+    return { ok: true, message: "Gem already has this contact info." };
+  }
+  const message = `Added ${result.addedCount} contact detail${result.addedCount === 1 ? "" : "s"} to Gem.${
+    result.errors.length > 0 ? ` Some values failed: ${result.errors.join("; ")}` : ""
+  }`;
+  return { ok: result.errors.length === 0 || result.addedCount > 0, message, link: result.link };
+}
+
+async function showSequencePicker(runId, linkedinUrl, options = {}) {
+  createSequencePickerStyles();
+  const actionId = options.actionId || ACTIONS.SEND_SEQUENCE;
+  const titleText = String(options.title || "Open Sequence");
+  const subtitleText = String(
+    options.subtitle || "Press a letter to pick a sequence. Use Enter to open it in Gem."
+  );
+  const hintText = String(options.hint || "Esc to cancel. Arrow keys + Enter also work.");
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.id = "gem-sequence-picker-overlay";
+
+    const modal = document.createElement("div");
+    modal.id = "gem-sequence-picker-modal";
+
+    const title = document.createElement("div");
+    title.id = "gem-sequence-picker-title";
+    title.textContent = titleText;
+
+    const subtitle = document.createElement("div");
+    subtitle.id = "gem-sequence-picker-subtitle";
+    subtitle.textContent = subtitleText;
+
+    const results = document.createElement("div");
+    results.id = "gem-sequence-picker-results";
+
+    const pageInfo = document.createElement("div");
+    pageInfo.id = "gem-sequence-picker-page";
+
+    const hint = document.createElement("div");
+    hint.className = "gem-sequence-picker-hint";
+    hint.textContent = hintText;
+
+    modal.appendChild(title);
+    modal.appendChild(subtitle);
+    modal.appendChild(results);
+    modal.appendChild(pageInfo);
+    modal.appendChild(hint);
+    overlay.appendChild(modal);
+    document.documentElement.appendChild(overlay);
+
+    let loading = true;
+    let loadError = "";
+    let allSequences = [];
+    let pageSequences = [];
+    let selectedIndex = 0;
+    let currentPage = 0;
+    let active = true;
+    const startedAt = Date.now();
+    let cachedSignature = "";
+    let hasAppliedForceRefresh = false;
+
+    function getSequenceSignature(sequences) {
+      const normalized = Array.isArray(sequences) ? sequences : [];
+      if (normalized.length === 0) {
+        return "0";
       }
-      selectedIndex = shortcutIndex;
-      finishSingleChoice(valueChoices[shortcutIndex]);
-      return true;
+      const ids = normalized
+        .map((sequence) => String(sequence?.id || ""))
+        .filter(Boolean)
+        .sort();
+      return `${normalized.length}:${ids.join("|")}`;
+    }
+
+    function cleanup() {
+      active = false;
+      overlay.remove();
     }
 
-    function handleValuesLetterKey(event) {
-      if (!isMultiSelectField(selectedField)) {
-        return false;
-      }
-      if (event.metaKey || event.ctrlKey || event.altKey) {
-        return false;
-      }
-      const lower = String(event.key || "").toLowerCase();
-      const idx = CUSTOM_FIELD_SHORTCUT_KEYS.indexOf(lower);
-      if (idx < 0) {
-        return false;
+    function finish(selection) {
+      cleanup();
+      resolve(selection || null);
+    }
+
+    function updatePageSequences() {
+      const start = currentPage * SEQUENCE_PICKER_KEYS_PER_PAGE;
+      pageSequences = allSequences.slice(start, start + SEQUENCE_PICKER_KEYS_PER_PAGE);
+      if (selectedIndex >= pageSequences.length) {
+        selectedIndex = Math.max(0, pageSequences.length - 1);
       }
-      if (idx >= valueChoices.length) {
-        return true;
+      if (selectedIndex < 0) {
+        selectedIndex = 0;
       }
-      selectedIndex = idx;
-      toggleMultiChoice(valueChoices[idx]);
-      return true;
     }
 
-    function handleValuesKey(event) {
-      if (event.key === "ArrowDown") {
-        event.preventDefault();
-        if (valueChoices.length > 0) {
-          selectedIndex = (selectedIndex + 1) % valueChoices.length;
-          syncValueRowSelectionState();
-        }
-        return;
-      }
-      if (event.key === "ArrowUp") {
-        event.preventDefault();
-        if (valueChoices.length > 0) {
-          selectedIndex = (selectedIndex - 1 + valueChoices.length) % valueChoices.length;
-          syncValueRowSelectionState();
-        }
+    function selectSequence(sequence) {
+      if (!sequence) {
         return;
       }
-      if (isMultiSelectField(selectedField) && event.key === " ") {
-        event.preventDefault();
-        if (valueChoices.length > 0) {
-          toggleMultiChoice(valueChoices[selectedIndex]);
+      logEvent({
+        source: "extension.content",
+        event: "sequence_picker.selected",
+        actionId,
+        runId,
+        message: `Selected sequence ${sequence.name || sequence.id}.`,
+        link: linkedinUrl,
+        details: {
+          sequenceId: sequence.id || "",
+          sequenceName: sequence.name || ""
         }
+      });
+      finish({
+        id: sequence.id || "",
+        name: sequence.name || ""
+      });
+    }
+
+    function renderSequences() {
+      updatePageSequences();
+      results.innerHTML = "";
+      if (loading) {
+        const loadingNode = document.createElement("div");
+        loadingNode.className = "gem-sequence-picker-empty";
+        loadingNode.textContent = "Loading sequences...";
+        results.appendChild(loadingNode);
+        pageInfo.textContent = "";
         return;
       }
-      if (event.key === "Enter") {
-        event.preventDefault();
-        if (valueChoices.length > 0) {
-          if (isMultiSelectField(selectedField)) {
-            if (pendingMultiOptionIds.size > 0 || hasEditedMultiSelection) {
-              openMultiConfirmation();
-              return;
-            }
-            toggleMultiChoice(valueChoices[selectedIndex]);
-            return;
-          }
-          finishSingleChoice(valueChoices[selectedIndex]);
-        }
+      if (loadError) {
+        const errorNode = document.createElement("div");
+        errorNode.className = "gem-sequence-picker-empty";
+        errorNode.textContent = `Could not load sequences: ${loadError}`;
+        results.appendChild(errorNode);
+        pageInfo.textContent = "";
         return;
       }
-      if (handleValuesLetterKey(event)) {
-        event.preventDefault();
+      if (allSequences.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "gem-sequence-picker-empty";
+        empty.textContent = "No sequences found.";
+        results.appendChild(empty);
+        pageInfo.textContent = "";
         return;
       }
-      if (handleValuesNumberKey(event)) {
-        event.preventDefault();
-        return;
+
+      pageSequences.forEach((sequence, index) => {
+        const item = document.createElement("div");
+        item.className = `gem-sequence-picker-item${index === selectedIndex ? " active" : ""}`;
+
+        const hotkey = document.createElement("div");
+        hotkey.className = "gem-sequence-picker-hotkey";
+        hotkey.textContent = SEQUENCE_PICKER_SHORTCUT_KEYS[index] || "";
+
+        const name = document.createElement("div");
+        name.className = "gem-sequence-picker-name";
+        name.textContent = sequence.name || sequence.id || "";
+
+        const meta = document.createElement("div");
+        meta.className = "gem-sequence-picker-meta";
+        meta.textContent = formatSequenceDate(sequence.createdAt);
+
+        item.appendChild(hotkey);
+        item.appendChild(name);
+        item.appendChild(meta);
+        item.addEventListener("mouseenter", () => {
+          if (selectedIndex === index) {
+            return;
+          }
+          selectedIndex = index;
+          renderSequences();
+        });
+        item.addEventListener("click", () => selectSequence(sequence));
+        results.appendChild(item);
+      });
+
+      const totalPages = Math.max(1, Math.ceil(allSequences.length / SEQUENCE_PICKER_KEYS_PER_PAGE));
+      if (totalPages > 1) {
+        pageInfo.textContent = `Page ${currentPage + 1}/${totalPages}. Press [ / ] to change page.`;
+      } else {
+        pageInfo.textContent = "";
       }
     }
 
+    function cancel(reason) {
+      logEvent({
+        source: "extension.content",
+        level: "warn",
+        event: "sequence_picker.cancelled",
+        actionId,
+        runId,
+        message: reason,
+        link: linkedinUrl
+      });
+      finish(null);
+    }
+
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        cancel("Sequence picker cancelled by outside click.");
+      }
+    });
+
     overlay.addEventListener(
       "keydown",
       (event) => {
-        if (isConfirmingMultiSelection()) {
-          if (event.key === "Enter") {
-            event.preventDefault();
-            confirmMultiSelection();
-            return;
-          }
-          if (event.key === "Escape") {
-            event.preventDefault();
-            closeMultiConfirmation();
-            return;
-          }
+        if (event.key === "Escape") {
+          event.preventDefault();
+          cancel("Sequence picker cancelled.");
+          return;
         }
-
-        if (step === "manual") {
-          if (handleManualEntryKey(event)) {
-            return;
-          }
+        if (loading || loadError || pageSequences.length === 0) {
           return;
         }
 
-        if (event.key === "Escape") {
+        if (event.key === "ArrowDown") {
           event.preventDefault();
-          if (step === "values") {
-            goBackToFields();
-            return;
-          }
-          logEvent({
-            source: "extension.content",
-            level: "warn",
-            event: "custom_field_picker.cancelled",
-            actionId: ACTIONS.SET_CUSTOM_FIELD,
-            runId,
-            message: "Custom field picker cancelled.",
-            link: linkedinUrl
-          });
-          finish(null);
+          selectedIndex = (selectedIndex + 1) % pageSequences.length;
+          renderSequences();
           return;
         }
-
-        if (step === "fields") {
-          handleFieldsKey(event);
+        if (event.key === "ArrowUp") {
+          event.preventDefault();
+          selectedIndex = (selectedIndex - 1 + pageSequences.length) % pageSequences.length;
+          renderSequences();
+          return;
+        }
+        if (event.key === "Enter") {
+          event.preventDefault();
+          selectSequence(pageSequences[selectedIndex]);
+          return;
+        }
+        const totalPages = Math.max(1, Math.ceil(allSequences.length / SEQUENCE_PICKER_KEYS_PER_PAGE));
+        if (event.key === "]" && totalPages > 1) {
+          event.preventDefault();
+          currentPage = (currentPage + 1) % totalPages;
+          selectedIndex = 0;
+          renderSequences();
+          return;
+        }
+        if (event.key === "[" && totalPages > 1) {
+          event.preventDefault();
+          currentPage = (currentPage - 1 + totalPages) % totalPages;
+          selectedIndex = 0;
+          renderSequences();
           return;
         }
-        handleValuesKey(event);
-      },
-      true
-    );
-
-    confirmOkBtn.addEventListener("click", () => {
-      confirmMultiSelection();
-    });
-
-    confirmCancelBtn.addEventListener("click", () => {
-      closeMultiConfirmation();
-    });
-
-    confirmMask.addEventListener("click", (event) => {
-      if (event.target === confirmMask) {
-        closeMultiConfirmation();
-      }
-    });
-
-    overlay.addEventListener("click", (event) => {
-      if (event.target === overlay) {
-        logEvent({
-          source: "extension.content",
-          level: "warn",
-          event: "custom_field_picker.cancelled",
-          actionId: ACTIONS.SET_CUSTOM_FIELD,
-          runId,
-          message: "Custom field picker cancelled by outside click.",
-          link: linkedinUrl
-        });
-        finish(null);
-      }
-    });
 
-    renderFields();
+        if (event.key.length === 1) {
+          const exactIndex = SEQUENCE_PICKER_SHORTCUT_KEYS.indexOf(event.key.toLowerCase());
+          if (Number.isFinite(exactIndex) && exactIndex >= 0 && exactIndex < pageSequences.length) {
+            event.preventDefault();
+            selectSequence(pageSequences[exactIndex]);
+          }
+        }
+      },
+      true
+    );
+
     modal.tabIndex = -1;
     modal.focus();
+    renderSequences();
 
     logEvent({
       source: "extension.content",
-      event: "custom_field_picker.opened",
-      actionId: ACTIONS.SET_CUSTOM_FIELD,
+      event: "sequence_picker.opened",
+      actionId,
       runId,
-      message: "Custom field picker opened.",
+      message: "Sequence picker opened.",
       link: linkedinUrl
     });
 
-    const canCreateCandidateForPicker = shouldAllowCandidateCreateForContext(context);
-
-    async function surfaceCustomFieldLoadFailure(message) {
-      if (!pickerActive) {
-        return;
-      }
-      loading = false;
-      loadError = message || "Failed to load custom fields.";
-      renderFields();
-      showToast(loadError, true);
-      await logEvent({
-        source: "extension.content",
-        level: "error",
-        event: "custom_field_picker.load_failed",
-        actionId: ACTIONS.SET_CUSTOM_FIELD,
-        runId,
-        message: loadError,
-        link: linkedinUrl
-      });
-    }
-
-    function maybeUpgradeCustomFieldsForCandidate(seedData = null, options = {}) {
-      const seedCandidateId = String(seedData?.candidateId || currentCandidateId || "").trim();
-      if (!pickerActive || !canCreateCandidateForPicker || seedCandidateId) {
-        return Promise.resolve(false);
-      }
-      return warmCustomFieldsForContext(context, runId, {
-        preferCache: true,
-        refreshInBackground: false,
-        allowCreate: true
-      })
-        .then((candidateData) => {
-          if (!pickerActive || !candidateData) {
-            return false;
-          }
-          const resolvedCandidateId = String(candidateData.candidateId || "").trim();
-          if (!resolvedCandidateId) {
-            return false;
-          }
-          applyLoadedCustomFields(candidateData);
-          return true;
-        })
-        .catch(async (error) => {
-          if (options.surfaceFailure) {
-            await surfaceCustomFieldLoadFailure(error?.message || "Failed to load custom fields.");
-          }
-          // The fast picker path is already visible. Ignore candidate-upgrade failures here
-          // and let the eventual field update action surface any real backend error.
-          return false;
-        });
-    }
-
-    warmCustomFieldsForContext(context, runId, {
-      preferCache: true,
-      refreshInBackground: true,
-      allowCreate: false,
-      allowEmptyCandidateCache: true
-    })
-      .then(async (data) => {
-        if (!data) {
-          maybeUpgradeCustomFieldsForCandidate();
+    listSequences("", runId, actionId, { preferCache: true })
+      .then(async (sequences) => {
+        if (!active) {
           return;
         }
-        applyLoadedCustomFields(data);
-        maybeUpgradeCustomFieldsForCandidate(data);
+        cachedSignature = getSequenceSignature(sequences);
+        if (sequences.length > 0 && !hasAppliedForceRefresh) {
+          allSequences = sequences;
+          loading = false;
+          loadError = "";
+          renderSequences();
+        }
         await logEvent({
           source: "extension.content",
-          event: "custom_field_picker.loaded",
-          actionId: ACTIONS.SET_CUSTOM_FIELD,
+          event: "sequence_picker.cache_loaded",
+          actionId,
           runId,
-          message: `Loaded ${allFields.length} custom fields for candidate${data.fromCache ? " (cache)." : "."}`,
-          link: linkedinUrl,
-          details: {
-            candidateId: data.candidateId || "",
-            fromCache: Boolean(data.fromCache),
-            stale: Boolean(data.stale),
-            durationMs: Date.now() - startedAt
-          }
+          message: `Loaded ${sequences.length} cached sequences for picker.`,
+          link: linkedinUrl
         });
       })
-      .catch(async (error) => {
-        if (!pickerActive) {
-          return;
-        }
-        if (canCreateCandidateForPicker) {
-          const upgraded = await maybeUpgradeCustomFieldsForCandidate(null, { surfaceFailure: true });
-          if (upgraded) {
-            return;
-          }
+      .catch(async (_error) => {
+        if (!active) {
           return;
         }
-        await surfaceCustomFieldLoadFailure(error.message || "Failed to load custom fields.");
-      });
-  });
-}
-
-async function showReminderPicker(runId, context) {
-  createReminderPickerStyles();
-  const linkedinUrl = context.linkedinUrl || window.location.href;
-  return new Promise((resolve) => {
-    const overlay = document.createElement("div");
-    overlay.id = "gem-reminder-picker-overlay";
-
-    const modal = document.createElement("form");
-    modal.id = "gem-reminder-picker-modal";
-
-    const title = document.createElement("div");
-    title.id = "gem-reminder-picker-title";
-    title.textContent = "Set Reminder";
-
-    const subtitle = document.createElement("div");
-    subtitle.id = "gem-reminder-picker-subtitle";
-    subtitle.textContent = "Add an optional reminder note and choose a due date.";
-
-    const noteLabel = document.createElement("label");
-    noteLabel.className = "gem-reminder-picker-label";
-    noteLabel.setAttribute("for", "gem-reminder-picker-note");
-    noteLabel.textContent = "Reminder (optional)";
-
-    const noteInput = document.createElement("textarea");
-    noteInput.id = "gem-reminder-picker-note";
-    noteInput.placeholder = "e.g. set up a coffee chat";
-    noteInput.maxLength = 2000;
-
-    const dateLabel = document.createElement("label");
-    dateLabel.className = "gem-reminder-picker-label";
-    dateLabel.setAttribute("for", "gem-reminder-picker-date-input");
-    dateLabel.textContent = "Due date";
-
-    const dateRow = document.createElement("div");
-    dateRow.className = "gem-reminder-picker-date-row";
-
-    const dateInput = document.createElement("input");
-    dateInput.id = "gem-reminder-picker-date-input";
-    dateInput.type = "date";
-    dateRow.appendChild(dateInput);
-
-    const quickActionRow = document.createElement("div");
-    quickActionRow.className = "gem-reminder-picker-quick-actions";
-    const shortcutByKey = new Map();
-    REMINDER_PRESET_SHORTCUTS.forEach((preset) => {
-      shortcutByKey.set(preset.key, preset);
-      const button = document.createElement("button");
-      button.type = "button";
-      button.className = "gem-reminder-picker-quick-btn";
-      button.dataset.shortcut = preset.key;
-      const keyTag = document.createElement("span");
-      keyTag.className = "gem-reminder-picker-quick-key";
-      keyTag.textContent = preset.key;
-      const label = document.createElement("span");
-      label.textContent = preset.label;
-      button.appendChild(keyTag);
-      button.appendChild(label);
-      quickActionRow.appendChild(button);
-    });
-    dateRow.appendChild(quickActionRow);
-
-    const errorEl = document.createElement("div");
-    errorEl.id = "gem-reminder-picker-error";
-
-    const hint = document.createElement("div");
-    hint.className = "gem-reminder-picker-hint";
-    hint.textContent =
-      "Esc to cancel. Press Tab from note to date. Type date + Enter, or use A (1 week), S (3 months), D (6 months).";
-
-    const confirmMask = document.createElement("div");
-    confirmMask.id = "gem-reminder-picker-confirm-mask";
-    const confirmCard = document.createElement("div");
-    confirmCard.id = "gem-reminder-picker-confirm-card";
-    const confirmTitle = document.createElement("div");
-    confirmTitle.id = "gem-reminder-picker-confirm-title";
-    confirmTitle.textContent = "Confirm Reminder";
-    const confirmBody = document.createElement("div");
-    confirmBody.id = "gem-reminder-picker-confirm-body";
-    const confirmActions = document.createElement("div");
-    confirmActions.id = "gem-reminder-picker-confirm-actions";
-    const confirmCancelBtn = document.createElement("button");
-    confirmCancelBtn.id = "gem-reminder-picker-confirm-cancel";
-    confirmCancelBtn.className = "gem-reminder-picker-confirm-btn";
-    confirmCancelBtn.type = "button";
-    confirmCancelBtn.textContent = "Cancel";
-    const confirmOkBtn = document.createElement("button");
-    confirmOkBtn.id = "gem-reminder-picker-confirm-ok";
-    confirmOkBtn.className = "gem-reminder-picker-confirm-btn";
-    confirmOkBtn.type = "button";
-    confirmOkBtn.textContent = "Confirm";
-    confirmActions.appendChild(confirmCancelBtn);
-    confirmActions.appendChild(confirmOkBtn);
-    confirmCard.appendChild(confirmTitle);
-    confirmCard.appendChild(confirmBody);
-    confirmCard.appendChild(confirmActions);
-    confirmMask.appendChild(confirmCard);
-
-    const actions = document.createElement("div");
-    actions.className = "gem-reminder-picker-actions";
-
-    const cancelBtn = document.createElement("button");
-    cancelBtn.id = "gem-reminder-picker-cancel";
-    cancelBtn.type = "button";
-    cancelBtn.textContent = "Cancel";
-
-    const saveBtn = document.createElement("button");
-    saveBtn.id = "gem-reminder-picker-save";
-    saveBtn.type = "submit";
-    saveBtn.textContent = "Save";
-
-    actions.appendChild(cancelBtn);
-    actions.appendChild(saveBtn);
-
-    modal.appendChild(title);
-    modal.appendChild(subtitle);
-    modal.appendChild(noteLabel);
-    modal.appendChild(noteInput);
-    modal.appendChild(dateLabel);
-    modal.appendChild(dateRow);
-    modal.appendChild(errorEl);
-    modal.appendChild(hint);
-    modal.appendChild(actions);
-    modal.appendChild(confirmMask);
-    overlay.appendChild(modal);
-    document.documentElement.appendChild(overlay);
-
-    let selectedDate = getTodayIsoDate();
-    let confirmationPreset = null;
-    const startedAt = Date.now();
+        await logEvent({
+          source: "extension.content",
+          level: "warn",
+          event: "sequence_picker.cache_load_failed",
+          actionId,
+          runId,
+          message: "Could not load cached sequences for picker.",
+          link: linkedinUrl
+        });
+      });
 
-    function setError(message) {
-      errorEl.textContent = message || "";
-    }
+    function runForceRefresh(isRetry = false) {
+      return listSequences("", runId, actionId, { forceRefresh: true, forceNewRefresh: true })
+        .then(async (sequences) => {
+          if (!active) {
+            return;
+          }
+          const refreshedSignature = getSequenceSignature(sequences);
+          hasAppliedForceRefresh = true;
+          allSequences = sequences;
+          loading = false;
+          loadError = "";
+          renderSequences();
+          await logEvent({
+            source: "extension.content",
+            event: isRetry ? "sequence_picker.retry_loaded" : "sequence_picker.loaded",
+            actionId,
+            runId,
+            message: `Sequence picker ${isRetry ? "retry " : ""}loaded ${allSequences.length} sequences.`,
+            link: linkedinUrl,
+            details: {
+              durationMs: Date.now() - startedAt
+            }
+          });
 
-    function setSelectedDate(dateValue) {
-      selectedDate = dateValue;
-      dateInput.value = dateValue;
+          if (!isRetry && active && cachedSignature && refreshedSignature === cachedSignature) {
+            setTimeout(() => {
+              if (!active) {
+                return;
+              }
+              runForceRefresh(true).catch(() => {});
+            }, 900);
+          }
+        })
+        .catch(async (error) => {
+          if (!active) {
+            return;
+          }
+          const message = error.message || "Failed to refresh sequence list.";
+          const usedCachedSequences = allSequences.length > 0;
+          if (!usedCachedSequences) {
+            loading = false;
+            loadError = message;
+            renderSequences();
+            showToast(message, true);
+          }
+          await logEvent({
+            source: "extension.content",
+            level: usedCachedSequences ? "warn" : "error",
+            event: isRetry ? "sequence_picker.retry_failed" : "sequence_picker.load_failed",
+            actionId,
+            runId,
+            message,
+            link: linkedinUrl,
+            details: {
+              durationMs: Date.now() - startedAt,
+              usedCachedSequences
+            }
+          });
+        });
     }
 
-    function cleanup() {
-      overlay.remove();
-    }
+    runForceRefresh(false).catch(() => {});
+  });
+}
 
-    function finish(selection) {
-      cleanup();
-      resolve(selection || null);
-    }
+function getBackgroundOpenFromEvent(event) {
+  if (!event) {
+    return false;
+  }
+  return Boolean(event.metaKey || event.ctrlKey);
+}
 
-    function cancelPicker(reason) {
-      logEvent({
-        source: "extension.content",
-        level: "warn",
-        event: "reminder_picker.cancelled",
-        actionId: ACTIONS.SET_REMINDER,
-        runId,
-        message: reason || "Reminder picker cancelled.",
-        link: linkedinUrl
-      });
-      finish(null);
-    }
+function slugifyGemProjectName(name) {
+  return String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .replace(/-{2,}/g, "-");
+}
 
-    function submitReminder() {
-      if (typeof modal.requestSubmit === "function") {
-        modal.requestSubmit();
-        return;
-      }
-      saveBtn.click();
-    }
+function buildGemProjectUrl(projectId, projectName = "") {
+  const id = String(projectId || "").trim();
+  if (!id) {
+    return "";
+  }
+  const slug = slugifyGemProjectName(projectName);
+  const segment = slug ? `${slug}--${id}` : id;
+  return `https://www.gem.com/projects/${segment}`;
+}
 
-    function isConfirming() {
-      return Boolean(confirmationPreset);
-    }
+function buildGemSequenceCreateUrl() {
+  return "https://www.gem.com/sequences";
+}
 
-    function updateConfirmationMask() {
-      if (!confirmationPreset) {
-        confirmMask.classList.remove("visible");
-        dateInput.focus();
-        return;
-      }
-      confirmBody.textContent = `Set reminder for ${confirmationPreset.label} from today (${formatIsoDateForDisplay(
-        confirmationPreset.dueDate
-      )})?`;
-      confirmMask.classList.add("visible");
-      confirmOkBtn.focus();
-    }
+function normalizeGemProjectPrivacyType(value) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (normalized === "confidential" || normalized === "personal" || normalized === "shared") {
+    return normalized;
+  }
+  return "shared";
+}
 
-    function openPresetConfirmation(preset) {
-      if (!preset) {
-        return;
-      }
-      const dueDate = getReminderPresetIsoDate(preset);
-      if (!dueDate) {
-        return;
-      }
-      setSelectedDate(dueDate);
-      setError("");
-      confirmationPreset = {
-        key: preset.key,
-        label: preset.label,
-        dueDate
-      };
-      updateConfirmationMask();
-    }
+async function showGemActionsMenu(runId) {
+  createGemActionsStyles();
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.id = "gem-actions-overlay";
+    const modal = document.createElement("div");
+    modal.id = "gem-actions-modal";
 
-    function closePresetConfirmation() {
-      if (!confirmationPreset) {
-        return;
-      }
-      confirmationPreset = null;
-      updateConfirmationMask();
-    }
+    const title = document.createElement("div");
+    title.id = "gem-actions-title";
+    title.textContent = "Gem actions";
 
-    function confirmPresetSelection() {
-      if (!confirmationPreset) {
-        return;
-      }
-      confirmationPreset = null;
-      updateConfirmationMask();
-      submitReminder();
-    }
+    const subtitle = document.createElement("div");
+    subtitle.id = "gem-actions-subtitle";
+    subtitle.textContent = "Press C, P, S, K, or T to choose the next action.";
 
-    setSelectedDate(selectedDate);
+    const list = document.createElement("div");
+    list.id = "gem-actions-list";
 
-    dateInput.addEventListener("change", () => {
-      const value = String(dateInput.value || "").trim();
-      if (value) {
-        setSelectedDate(value);
-        setError("");
-      }
-    });
+    const hint = document.createElement("div");
+    hint.className = "gem-actions-hint";
+    hint.textContent = "Esc to cancel. Arrow keys + Enter also work.";
 
-    noteInput.addEventListener("keydown", (event) => {
-      if (event.key === "Tab" && !event.shiftKey) {
-        event.preventDefault();
-        dateInput.focus();
-      }
-    });
+    modal.appendChild(title);
+    modal.appendChild(subtitle);
+    modal.appendChild(list);
+    modal.appendChild(hint);
+    overlay.appendChild(modal);
+    document.documentElement.appendChild(overlay);
 
-    dateInput.addEventListener("keydown", (event) => {
-      if (!event.metaKey && !event.ctrlKey && !event.altKey) {
-        const shortcutKey = String(event.key || "").trim().toLowerCase();
-        const preset = shortcutByKey.get(shortcutKey);
-        if (preset) {
-          event.preventDefault();
-          openPresetConfirmation(preset);
-          return;
-        }
-      }
-      if (event.key === "Enter") {
-        event.preventDefault();
-        // Let the native date input commit its current segment before submitting.
-        setTimeout(() => {
-          const value = String(dateInput.value || "").trim();
-          if (value) {
-            setSelectedDate(value);
-            setError("");
-          }
-          submitReminder();
-        }, 0);
-      }
-    });
+    let selectedIndex = 0;
 
-    quickActionRow.addEventListener("click", (event) => {
-      const target = event.target instanceof Element ? event.target.closest(".gem-reminder-picker-quick-btn") : null;
-      if (!target) {
-        return;
-      }
-      const shortcutKey = String(target.getAttribute("data-shortcut") || "").trim().toLowerCase();
-      if (!shortcutKey) {
-        return;
-      }
-      const preset = shortcutByKey.get(shortcutKey);
-      if (!preset) {
+    function cleanup() {
+      overlay.remove();
+    }
+
+    function finish(value) {
+      cleanup();
+      resolve(value || "");
+    }
+
+    function selectByOption(option) {
+      if (!option) {
         return;
       }
-      openPresetConfirmation(preset);
-    });
+      finish(option.id);
+    }
 
-    cancelBtn.addEventListener("click", () => {
-      cancelPicker("Reminder picker cancelled.");
-    });
+    function render() {
+      list.innerHTML = "";
+      GEM_ACTION_MENU_OPTIONS.forEach((option, index) => {
+        const item = document.createElement("div");
+        item.className = `gem-actions-item${selectedIndex === index ? " active" : ""}`;
 
-    confirmOkBtn.addEventListener("click", () => {
-      confirmPresetSelection();
-    });
+        const hotkey = document.createElement("div");
+        hotkey.className = "gem-actions-hotkey";
+        hotkey.textContent = option.key;
 
-    confirmCancelBtn.addEventListener("click", () => {
-      closePresetConfirmation();
-    });
+        const main = document.createElement("div");
+        main.className = "gem-actions-main";
+        main.textContent = option.title;
 
-    confirmMask.addEventListener("click", (event) => {
-      if (event.target === confirmMask) {
-        closePresetConfirmation();
-      }
-    });
+        const meta = document.createElement("div");
+        meta.className = "gem-actions-meta";
+        meta.textContent = option.subtitle;
 
-    modal.addEventListener("submit", async (event) => {
-      event.preventDefault();
-      const note = noteInput.value.trim();
-      const dateFromInput = String(dateInput.value || "").trim();
-      if (dateFromInput) {
-        setSelectedDate(dateFromInput);
-      }
-      if (!selectedDate) {
-        setError("Please choose a due date.");
-        dateInput.focus();
-        return;
-      }
-      setError("");
-      await logEvent({
-        source: "extension.content",
-        event: "reminder_picker.submitted",
-        actionId: ACTIONS.SET_REMINDER,
-        runId,
-        message: `Reminder selected for ${formatIsoDateForDisplay(selectedDate)}.`,
-        link: linkedinUrl,
-        details: {
-          dueDate: selectedDate,
-          noteLength: note.length,
-          durationMs: Date.now() - startedAt
-        }
-      });
-      finish({
-        reminderNote: note,
-        reminderDueDate: selectedDate
+        item.appendChild(hotkey);
+        item.appendChild(main);
+        item.appendChild(meta);
+        item.addEventListener("mouseenter", () => {
+          if (selectedIndex === index) {
+            return;
+          }
+          selectedIndex = index;
+          render();
+        });
+        item.addEventListener("click", () => selectByOption(option));
+        list.appendChild(item);
       });
-    });
+    }
 
     overlay.addEventListener(
       "keydown",
       (event) => {
-        if (isConfirming()) {
-          if (event.key === "Enter") {
-            event.preventDefault();
-            confirmPresetSelection();
-            return;
-          }
-          if (event.key === "Escape") {
-            event.preventDefault();
-            closePresetConfirmation();
-            return;
-          }
-        }
         if (event.key === "Escape") {
           event.preventDefault();
-          cancelPicker("Reminder picker cancelled.");
+          finish("");
           return;
         }
-        if ((event.metaKey || event.ctrlKey) && event.key === "Enter") {
+        if (event.key === "ArrowDown") {
           event.preventDefault();
-          submitReminder();
+          selectedIndex = (selectedIndex + 1) % GEM_ACTION_MENU_OPTIONS.length;
+          render();
+          return;
+        }
+        if (event.key === "ArrowUp") {
+          event.preventDefault();
+          selectedIndex = (selectedIndex - 1 + GEM_ACTION_MENU_OPTIONS.length) % GEM_ACTION_MENU_OPTIONS.length;
+          render();
+          return;
+        }
+        if (event.key === "Enter") {
+          event.preventDefault();
+          selectByOption(GEM_ACTION_MENU_OPTIONS[selectedIndex] || null);
+          return;
+        }
+        if (event.metaKey || event.ctrlKey || event.altKey) {
+          return;
+        }
+        const key = String(event.key || "").trim().toLowerCase();
+        const matchIndex = GEM_ACTION_MENU_OPTIONS.findIndex((option) => option.key === key);
+        if (matchIndex >= 0) {
+          event.preventDefault();
+          selectedIndex = matchIndex;
+          render();
+          selectByOption(GEM_ACTION_MENU_OPTIONS[matchIndex]);
         }
       },
       true
@@ -6677,74 +11227,184 @@ async function showReminderPicker(runId, context) {
 
     overlay.addEventListener("click", (event) => {
       if (event.target === overlay) {
-        cancelPicker("Reminder picker cancelled by outside click.");
+        finish("");
       }
     });
 
+    render();
     modal.tabIndex = -1;
     modal.focus();
-    noteInput.focus();
 
     logEvent({
       source: "extension.content",
-      event: "reminder_picker.opened",
-      actionId: ACTIONS.SET_REMINDER,
+      event: "gem_actions.menu.opened",
+      actionId: ACTIONS.GEM_ACTIONS,
       runId,
-      message: "Reminder picker opened.",
-      link: linkedinUrl
+      message: "Gem actions menu opened.",
+      link: window.location.href
     });
   });
 }
 
-async function showEmailPicker(runId, context) {
-  createEmailPickerStyles();
-  const linkedinUrl = context.linkedinUrl || window.location.href;
-
+async function showGemActionConfirmationDialog(titleText, bodyText) {
+  createGemActionsStyles();
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
-    overlay.id = "gem-email-picker-overlay";
+    overlay.id = "gem-actions-overlay";
+    const modal = document.createElement("div");
+    modal.id = "gem-actions-modal";
+    const title = document.createElement("div");
+    title.id = "gem-actions-title";
+    title.textContent = titleText;
+    const subtitle = document.createElement("div");
+    subtitle.id = "gem-actions-subtitle";
+    subtitle.textContent = "Press Enter to confirm or Esc to cancel.";
+    const confirmCard = document.createElement("div");
+    confirmCard.id = "gem-actions-confirm-card";
+    const confirmTitle = document.createElement("div");
+    confirmTitle.id = "gem-actions-confirm-title";
+    confirmTitle.textContent = titleText;
+    const confirmBody = document.createElement("div");
+    confirmBody.id = "gem-actions-confirm-body";
+    confirmBody.textContent = bodyText;
+    const confirmActions = document.createElement("div");
+    confirmActions.id = "gem-actions-confirm-actions";
+    const cancelButton = document.createElement("button");
+    cancelButton.id = "gem-actions-confirm-cancel";
+    cancelButton.className = "gem-actions-confirm-btn";
+    cancelButton.type = "button";
+    cancelButton.textContent = "Cancel";
+    const confirmButton = document.createElement("button");
+    confirmButton.id = "gem-actions-confirm-ok";
+    confirmButton.className = "gem-actions-confirm-btn";
+    confirmButton.type = "button";
+    confirmButton.textContent = "Confirm";
+
+    confirmActions.appendChild(cancelButton);
+    confirmActions.appendChild(confirmButton);
+    confirmCard.appendChild(confirmTitle);
+    confirmCard.appendChild(confirmBody);
+    confirmCard.appendChild(confirmActions);
+    modal.appendChild(title);
+    modal.appendChild(subtitle);
+    modal.appendChild(confirmCard);
+    overlay.appendChild(modal);
+    document.documentElement.appendChild(overlay);
+
+    function cleanup() {
+      overlay.remove();
+    }
+
+    function finish(confirmed) {
+      cleanup();
+      resolve(Boolean(confirmed));
+    }
 
+    overlay.addEventListener(
+      "keydown",
+      (event) => {
+        if (event.key === "Enter") {
+          event.preventDefault();
+          finish(true);
+          return;
+        }
+        if (event.key === "Escape") {
+          event.preventDefault();
+          finish(false);
+        }
+      },
+      true
+    );
+
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        finish(false);
+      }
+    });
+    confirmButton.addEventListener("click", () => finish(true));
+    cancelButton.addEventListener("click", () => finish(false));
+    confirmButton.focus();
+  });
+}
+
+async function showGemProjectCreateForm(runId, options = {}) {
+  createGemActionsStyles();
+  const initialName = String(options.initialName || "").trim();
+  const initialDescription = String(options.initialDescription || "").trim();
+  const initialPrivacyType = normalizeGemProjectPrivacyType(options.initialPrivacyType || "shared");
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.id = "gem-actions-overlay";
     const modal = document.createElement("div");
-    modal.id = "gem-email-picker-modal";
+    modal.id = "gem-actions-modal";
 
     const title = document.createElement("div");
-    title.id = "gem-email-picker-title";
+    title.id = "gem-actions-title";
+    title.textContent = "Create project";
 
     const subtitle = document.createElement("div");
-    subtitle.id = "gem-email-picker-subtitle";
+    subtitle.id = "gem-actions-subtitle";
+    subtitle.textContent = "Enter project details, then press Enter to confirm creation.";
+
+    const nameLabel = document.createElement("label");
+    nameLabel.className = "gem-actions-access-label";
+    nameLabel.setAttribute("for", "gem-actions-project-name");
+    nameLabel.textContent = "Project name *";
+
+    const nameInput = document.createElement("input");
+    nameInput.id = "gem-actions-project-name";
+    nameInput.type = "text";
+    nameInput.placeholder = "Project name";
+    nameInput.autocomplete = "off";
+    nameInput.value = initialName;
+
+    const descriptionLabel = document.createElement("label");
+    descriptionLabel.className = "gem-actions-access-label";
+    descriptionLabel.setAttribute("for", "gem-actions-project-description");
+    descriptionLabel.textContent = "Description";
+
+    const descriptionInput = document.createElement("textarea");
+    descriptionInput.id = "gem-actions-project-description";
+    descriptionInput.placeholder = "Description";
+    descriptionInput.value = initialDescription;
+
+    const accessLabel = document.createElement("div");
+    accessLabel.className = "gem-actions-access-label";
+    accessLabel.textContent = "Access";
 
-    const errorEl = document.createElement("div");
-    errorEl.id = "gem-email-picker-error";
+    const accessList = document.createElement("div");
+    accessList.id = "gem-actions-access-list";
 
-    const content = document.createElement("div");
-    content.id = "gem-email-picker-list";
+    const status = document.createElement("div");
+    status.className = "gem-actions-status";
 
     const hint = document.createElement("div");
-    hint.className = "gem-email-picker-hint";
+    hint.className = "gem-actions-hint";
+    hint.textContent = "Tab through fields. A/S/D switches access. Enter opens confirmation. Esc cancels.";
 
     const confirmMask = document.createElement("div");
-    confirmMask.id = "gem-email-picker-confirm-mask";
+    confirmMask.id = "gem-actions-confirm-mask";
     const confirmCard = document.createElement("div");
-    confirmCard.id = "gem-email-picker-confirm-card";
+    confirmCard.id = "gem-actions-confirm-card";
     const confirmTitle = document.createElement("div");
-    confirmTitle.id = "gem-email-picker-confirm-title";
-    confirmTitle.textContent = "Confirm Email Update";
+    confirmTitle.id = "gem-actions-confirm-title";
+    confirmTitle.textContent = "Confirm project creation";
     const confirmBody = document.createElement("div");
-    confirmBody.id = "gem-email-picker-confirm-body";
+    confirmBody.id = "gem-actions-confirm-body";
     const confirmActions = document.createElement("div");
-    confirmActions.id = "gem-email-picker-confirm-actions";
-    const confirmCancelBtn = document.createElement("button");
-    confirmCancelBtn.id = "gem-email-picker-confirm-cancel";
-    confirmCancelBtn.className = "gem-email-picker-confirm-btn";
-    confirmCancelBtn.type = "button";
-    confirmCancelBtn.textContent = "Cancel";
-    const confirmOkBtn = document.createElement("button");
-    confirmOkBtn.id = "gem-email-picker-confirm-ok";
-    confirmOkBtn.className = "gem-email-picker-confirm-btn";
-    confirmOkBtn.type = "button";
-    confirmOkBtn.textContent = "Confirm";
-    confirmActions.appendChild(confirmCancelBtn);
-    confirmActions.appendChild(confirmOkBtn);
+    confirmActions.id = "gem-actions-confirm-actions";
+    const confirmCancel = document.createElement("button");
+    confirmCancel.id = "gem-actions-confirm-cancel";
+    confirmCancel.className = "gem-actions-confirm-btn";
+    confirmCancel.type = "button";
+    confirmCancel.textContent = "Cancel";
+    const confirmOk = document.createElement("button");
+    confirmOk.id = "gem-actions-confirm-ok";
+    confirmOk.className = "gem-actions-confirm-btn";
+    confirmOk.type = "button";
+    confirmOk.textContent = "Create project";
+    confirmActions.appendChild(confirmCancel);
+    confirmActions.appendChild(confirmOk);
     confirmCard.appendChild(confirmTitle);
     confirmCard.appendChild(confirmBody);
     confirmCard.appendChild(confirmActions);
@@ -6752,697 +11412,351 @@ async function showEmailPicker(runId, context) {
 
     modal.appendChild(title);
     modal.appendChild(subtitle);
-    modal.appendChild(errorEl);
-    modal.appendChild(content);
+    modal.appendChild(nameLabel);
+    modal.appendChild(nameInput);
+    modal.appendChild(descriptionLabel);
+    modal.appendChild(descriptionInput);
+    modal.appendChild(accessLabel);
+    modal.appendChild(accessList);
+    modal.appendChild(status);
     modal.appendChild(hint);
     modal.appendChild(confirmMask);
     overlay.appendChild(modal);
     document.documentElement.appendChild(overlay);
 
-    const emailMemoryEntry = getCandidateEmailMemoryEntry(context);
-    const hasEmailMemory = Boolean(emailMemoryEntry.entry);
-    let step = "menu";
-    let loading = !hasEmailMemory;
-    let busy = false;
-    let loadError = "";
-    let selectedIndex = 0;
-    let emails = hasEmailMemory ? normalizeCandidateEmailsForPicker(emailMemoryEntry.entry.emails) : [];
-    let primaryEmail = hasEmailMemory
-      ? normalizeEmailAddressForPicker(emailMemoryEntry.entry.primaryEmail || getPrimaryEmailForPicker(emailMemoryEntry.entry.emails))
-      : "";
-    let pendingAddEmail = "";
-    let disposed = false;
-    const addInput = document.createElement("input");
-    addInput.id = "gem-email-picker-input";
-    addInput.type = "text";
-    addInput.autocomplete = "off";
-    addInput.placeholder = "name@company.com";
-
-    function cleanup() {
-      if (disposed) {
-        return;
-      }
-      disposed = true;
-      overlay.remove();
-    }
-
-    function finish(result = null) {
-      cleanup();
-      resolve(result);
-    }
-
-    function setError(message) {
-      errorEl.textContent = message || "";
-    }
-
-    function setHint(message) {
-      hint.textContent = message || "";
-    }
-
-    function isConfirming() {
-      return Boolean(pendingAddEmail);
-    }
-
-    function updateConfirmMask() {
-      if (!pendingAddEmail) {
-        confirmMask.classList.remove("visible");
-        if (step === "add") {
-          addInput.focus();
-        } else {
-          modal.focus();
-        }
-        return;
-      }
-      confirmBody.textContent = `Add "${pendingAddEmail}" and set it as the primary email?`;
-      confirmMask.classList.add("visible");
-      confirmOkBtn.focus();
-    }
-
-    function openAddConfirmation() {
-      const emailAddress = normalizeEmailAddressForPicker(addInput.value || "");
-      if (!isValidEmailAddressForPicker(emailAddress)) {
-        setError("Enter a valid email address.");
-        return;
-      }
-      setError("");
-      pendingAddEmail = emailAddress;
-      updateConfirmMask();
-    }
-
-    function closeAddConfirmation() {
-      if (!pendingAddEmail) {
-        return;
-      }
-      pendingAddEmail = "";
-      updateConfirmMask();
-    }
-
-    function applyEmailData(data) {
-      emails = normalizeCandidateEmailsForPicker(data?.emails);
-      primaryEmail = normalizeEmailAddressForPicker(data?.primaryEmail || getPrimaryEmailForPicker(emails));
-      if (!primaryEmail && emails.length > 0) {
-        primaryEmail = emails[0].emailAddress;
-      }
-      setCandidateEmailMemoryEntry(context, {
-        candidateId: String(data?.candidateId || ""),
-        emails,
-        primaryEmail
-      });
-      const primaryIndex = emails.findIndex((entry) => entry.isPrimary);
-      selectedIndex = primaryIndex >= 0 ? primaryIndex : 0;
-    }
-
-    async function refreshEmails(options = {}) {
-      const quiet = Boolean(options.quiet);
-      if (!quiet) {
-        loading = true;
-        loadError = "";
-        render();
-      }
-      try {
-        const data = await warmCandidateEmailsForContext(context, runId, {
-          preferCache: true,
-          refreshInBackground: true,
-          allowCreate: shouldAllowCandidateCreateForContext(context)
-        });
-        if (!data) {
-          loading = false;
-          render();
-          return;
-        }
-        loading = false;
-        applyEmailData(data);
-      } catch (error) {
-        loading = false;
-        loadError = error.message || "Failed to load emails.";
-        setError(loadError);
-      }
-      render();
-    }
-
-    async function copyEmailValue(value, options = {}) {
-      const emailAddress = normalizeEmailAddressForPicker(value);
-      if (!emailAddress) {
-        setError("No email available to copy.");
-        return false;
-      }
-      const copied = await copyTextToClipboard(emailAddress);
-      if (!copied) {
-        setError("Could not copy email.");
-        return false;
-      }
-      showToast(`Copied email: ${emailAddress}`);
-      setError("");
-      await logEvent({
-        source: "extension.content",
-        event: "email_picker.copied",
-        actionId: ACTIONS.MANAGE_EMAILS,
-        runId,
-        message: `Copied ${options.kind || "email"} ${emailAddress}.`,
-        link: linkedinUrl,
-        details: {
-          kind: options.kind || "email",
-          emailAddress
-        }
-      });
-      return true;
-    }
-
-    async function copyPrimaryEmailAndClose() {
-      if (loading) {
-        setError("Still loading emails. Try again in a second.");
-        return;
-      }
-      if (loadError) {
-        setError(loadError);
-        return;
-      }
-      const copied = await copyEmailValue(primaryEmail, { kind: "primary_email" });
-      if (copied) {
-        finish({
-          type: "copy-primary",
-          emailAddress: primaryEmail
-        });
-      }
-    }
-
-    async function confirmAddEmail() {
-      if (!pendingAddEmail || busy) {
-        return;
-      }
-      const emailAddress = pendingAddEmail;
-      busy = true;
-      try {
-        const data = await addCandidateEmailForContext(context, emailAddress, runId);
-        applyEmailData(data);
-        showToast(`Added and set primary email: ${emailAddress}`);
-        await logEvent({
-          source: "extension.content",
-          event: "email_picker.added",
-          actionId: ACTIONS.MANAGE_EMAILS,
-          runId,
-          message: `Added email ${emailAddress} and set as primary.`,
-          link: linkedinUrl,
-          details: {
-            emailAddress,
-            emailCount: emails.length
-          }
-        });
-        finish({
-          type: "add-email",
-          emailAddress
-        });
-      } catch (error) {
-        setError(error.message || "Could not add email.");
-      } finally {
-        busy = false;
-        pendingAddEmail = "";
-        updateConfirmMask();
-      }
-    }
-
-    function setPrimaryEmailByIndex(index) {
-      if (busy || loading || loadError) {
-        return Promise.resolve();
-      }
-      const selected = emails[index];
-      if (!selected) {
-        return Promise.resolve();
-      }
-      if (selected.isPrimary) {
-        showToast(`Primary email already set: ${selected.emailAddress}`);
-        finish({
-          type: "set-primary-email",
-          emailAddress: selected.emailAddress
-        });
-        return Promise.resolve();
-      }
-      const selectedEmail = selected.emailAddress;
-      const previousEmails = emails.map((entry) => ({ ...entry }));
-      const previousPrimaryEmail = primaryEmail;
-
-      // Optimistic local update so the interaction feels instant.
-      emails = emails.map((entry, entryIndex) => ({
-        emailAddress: entry.emailAddress,
-        isPrimary: entryIndex === index
-      }));
-      primaryEmail = selectedEmail;
-      selectedIndex = index;
-      setCandidateEmailMemoryEntry(context, {
-        candidateId: "",
-        emails,
-        primaryEmail
-      });
-      showToast(`Set primary email: ${selectedEmail}`);
-      finish({
-        type: "set-primary-email",
-        emailAddress: selectedEmail
-      });
-
-      setPrimaryCandidateEmailForContext(context, selectedEmail, runId)
-        .then(async (data) => {
-          setCandidateEmailMemoryEntry(context, {
-            candidateId: String(data?.candidateId || ""),
-            emails: data?.emails || [],
-            primaryEmail: data?.primaryEmail || selectedEmail
-          });
-          await logEvent({
-            source: "extension.content",
-            event: "email_picker.primary_set",
-            actionId: ACTIONS.MANAGE_EMAILS,
-            runId,
-            message: `Set primary email to ${selectedEmail}.`,
-            link: linkedinUrl,
-            details: {
-              emailAddress: selectedEmail
-            }
-          });
-        })
-        .catch((error) => {
-          setCandidateEmailMemoryEntry(context, {
-            candidateId: "",
-            emails: previousEmails,
-            primaryEmail: previousPrimaryEmail
-          });
-          showToast(error.message || "Could not update primary email.", true);
-        });
-
-      return Promise.resolve();
-    }
-
-    async function copyEmailByQuickIndex(index) {
-      if (loading || loadError) {
-        return;
-      }
-      const selected = emails[index];
-      if (!selected) {
-        return;
-      }
-      selectedIndex = index;
-      render();
-      await copyEmailValue(selected.emailAddress, {
-        kind: "email",
-        index: index + 1
-      });
-    }
-
-    function openAddStep() {
-      step = "add";
-      setError("");
-      render();
-    }
-
-    function openListStep() {
-      step = "list";
-      const primaryIndex = emails.findIndex((entry) => entry.isPrimary);
-      selectedIndex = primaryIndex >= 0 ? primaryIndex : 0;
-      setError("");
-      render();
-      requestAnimationFrame(() => {
-        modal.focus();
-      });
-    }
+    let disposed = false;
+    let selectedAccessIndex = Math.max(
+      0,
+      GEM_ACTION_ACCESS_OPTIONS.findIndex((option) => option.value === initialPrivacyType)
+    );
+    let confirmVisible = false;
+    let creating = false;
 
-    function openMenuStep() {
-      step = "menu";
-      setError("");
-      render();
-      requestAnimationFrame(() => {
-        modal.focus();
-      });
+    function setStatus(text, isError = false) {
+      status.textContent = String(text || "");
+      status.className = `gem-actions-status${isError ? " error" : ""}`;
     }
 
-    function createMenuItem(shortcutLabel, label, meta, onClick) {
-      const item = document.createElement("div");
-      item.className = "gem-email-picker-item";
-      const hotkey = document.createElement("div");
-      hotkey.className = "gem-email-picker-hotkey";
-      hotkey.textContent = String(shortcutLabel || "").toUpperCase();
-      const value = document.createElement("div");
-      value.className = "gem-email-picker-value";
-      value.textContent = label;
-      const details = document.createElement("div");
-      details.className = "gem-email-picker-meta";
-      details.textContent = meta || "";
-      item.appendChild(hotkey);
-      item.appendChild(value);
-      item.appendChild(details);
-      item.addEventListener("click", onClick);
-      return item;
+    function getSelectedAccess() {
+      return GEM_ACTION_ACCESS_OPTIONS[selectedAccessIndex] || GEM_ACTION_ACCESS_OPTIONS[0];
     }
 
-    function renderMenuStep() {
-      title.textContent = "Manage Emails";
-      subtitle.textContent = primaryEmail
-        ? `Current primary email: ${primaryEmail}`
-        : "No primary email set yet for this candidate.";
-      setHint("Press A to add email, S to copy primary email, D to view all emails. Esc to cancel.");
-
-      content.innerHTML = "";
-      content.appendChild(
-        createMenuItem(EMAIL_MENU_ADD_KEY, "Add Email", "Add a new email and set as primary", () => {
-          openAddStep();
-        })
-      );
-      content.appendChild(
-        createMenuItem(EMAIL_MENU_COPY_PRIMARY_KEY, "Copy Primary Email", "Copy current primary email", () => {
-          copyPrimaryEmailAndClose().catch(() => {});
-        })
-      );
-      content.appendChild(
-        createMenuItem(EMAIL_MENU_VIEW_ALL_KEY, "View All Emails", "View, copy, and set primary email", () => {
-          openListStep();
-        })
-      );
-      const statusNode = document.createElement("div");
-      statusNode.className = `gem-email-picker-status${loadError ? " error" : ""}`;
-      if (loading) {
-        statusNode.textContent = "Loading emails...";
-      } else if (loadError) {
-        statusNode.textContent = `Could not load emails: ${loadError}`;
-      } else {
-        statusNode.textContent = "";
-      }
-      content.appendChild(statusNode);
+    function cleanup() {
+      disposed = true;
+      overlay.remove();
     }
 
-    function renderAddStep() {
-      title.textContent = "Add Email";
-      subtitle.textContent = "Paste or type the email address, then press Enter.";
-      setHint("Esc to go back. Enter opens confirmation.");
-      content.innerHTML = "";
-      content.appendChild(addInput);
-      addInput.focus();
-      addInput.select();
+    function finish(result) {
+      cleanup();
+      resolve(result || null);
     }
 
-    function renderListStep() {
-      title.textContent = "All Emails";
-      subtitle.textContent = "Press a number to copy an email. Arrow keys + Enter sets primary.";
-      setHint("Esc to go back. Enter sets selected email as primary.");
-
-      content.innerHTML = "";
-      if (loading) {
-        const loadingNode = document.createElement("div");
-        loadingNode.className = "gem-email-picker-empty";
-        loadingNode.textContent = "Loading emails...";
-        content.appendChild(loadingNode);
-        return;
-      }
-      if (loadError) {
-        const errorNode = document.createElement("div");
-        errorNode.className = "gem-email-picker-empty";
-        errorNode.textContent = `Could not load emails: ${loadError}`;
-        content.appendChild(errorNode);
-        return;
-      }
-      if (emails.length === 0) {
-        const emptyNode = document.createElement("div");
-        emptyNode.className = "gem-email-picker-empty";
-        emptyNode.textContent = "No emails stored for this candidate yet.";
-        content.appendChild(emptyNode);
-        return;
-      }
-
-      emails.forEach((entry, index) => {
+    function renderAccessList() {
+      accessList.innerHTML = "";
+      GEM_ACTION_ACCESS_OPTIONS.forEach((option, index) => {
         const item = document.createElement("div");
-        const isActive = index === selectedIndex;
-        item.className = `gem-email-picker-item${isActive ? " active" : ""}${entry.isPrimary ? " primary" : ""}`;
+        const selected = selectedAccessIndex === index;
+        item.className = `gem-actions-access-item${selected ? " selected active" : ""}`;
+        item.tabIndex = 0;
+        item.setAttribute("role", "radio");
+        item.setAttribute("aria-checked", selected ? "true" : "false");
 
+        const dot = document.createElement("div");
+        dot.className = "gem-actions-access-dot";
+        const content = document.createElement("div");
+        content.className = "gem-actions-access-content";
+        const optionName = document.createElement("div");
+        optionName.className = "gem-actions-access-name";
+        optionName.textContent = option.label;
+        const optionDescription = document.createElement("div");
+        optionDescription.className = "gem-actions-access-description";
+        optionDescription.textContent = option.description;
+        content.appendChild(optionName);
+        content.appendChild(optionDescription);
         const hotkey = document.createElement("div");
-        hotkey.className = "gem-email-picker-hotkey";
-        hotkey.textContent = String(index + 1);
-
-        const value = document.createElement("div");
-        value.className = "gem-email-picker-value";
-        value.textContent = entry.emailAddress;
+        hotkey.className = "gem-actions-access-key";
+        hotkey.textContent = option.key;
 
+        item.appendChild(dot);
+        item.appendChild(content);
         item.appendChild(hotkey);
-        item.appendChild(value);
-
-        if (entry.isPrimary) {
-          const badge = document.createElement("span");
-          badge.className = "gem-email-picker-primary-badge";
-          badge.textContent = "Primary";
-          item.appendChild(badge);
-        }
-
-        item.addEventListener("mouseenter", () => {
-          if (selectedIndex === index) {
-            return;
-          }
-          selectedIndex = index;
-          render();
-        });
         item.addEventListener("click", () => {
-          selectedIndex = index;
-          render();
+          selectedAccessIndex = index;
+          renderAccessList();
+          item.focus({ preventScroll: true });
         });
-        item.addEventListener("dblclick", () => {
-          selectedIndex = index;
-          setPrimaryEmailByIndex(index).catch(() => {});
+        item.addEventListener("focus", () => {
+          selectedAccessIndex = index;
+          renderAccessList();
         });
-        content.appendChild(item);
+        item.addEventListener("keydown", (event) => {
+          if (event.key === "ArrowDown") {
+            event.preventDefault();
+            selectedAccessIndex = (selectedAccessIndex + 1) % GEM_ACTION_ACCESS_OPTIONS.length;
+            renderAccessList();
+            const next = accessList.querySelectorAll(".gem-actions-access-item")[selectedAccessIndex];
+            next?.focus();
+            return;
+          }
+          if (event.key === "ArrowUp") {
+            event.preventDefault();
+            selectedAccessIndex =
+              (selectedAccessIndex - 1 + GEM_ACTION_ACCESS_OPTIONS.length) % GEM_ACTION_ACCESS_OPTIONS.length;
+            renderAccessList();
+            const next = accessList.querySelectorAll(".gem-actions-access-item")[selectedAccessIndex];
+            next?.focus();
+          }
+        });
+        accessList.appendChild(item);
       });
     }
 
-    function render() {
-      if (disposed) {
+    function updateConfirmation() {
+      if (!confirmVisible) {
+        confirmMask.classList.remove("visible");
         return;
       }
-      if (step === "menu") {
-        renderMenuStep();
+      const projectName = String(nameInput.value || "").trim();
+      const projectDescription = String(descriptionInput.value || "").trim();
+      const access = getSelectedAccess();
+      confirmBody.textContent =
+        `Create project "${projectName}"?\n` +
+        `Access: ${access.label}\n` +
+        `Description: ${projectDescription || "(none)"}`;
+      confirmMask.classList.add("visible");
+      confirmOk.focus();
+    }
+
+    function openConfirmation() {
+      if (creating) {
         return;
       }
-      if (step === "add") {
-        renderAddStep();
+      const projectName = String(nameInput.value || "").trim();
+      if (!projectName) {
+        setStatus("Project name is required.", true);
+        nameInput.focus();
         return;
       }
-      renderListStep();
+      setStatus("");
+      confirmVisible = true;
+      updateConfirmation();
     }
 
-    function getQuickSelectIndex(event) {
-      if (event.metaKey || event.ctrlKey || event.altKey) {
-        return -1;
+    function closeConfirmation() {
+      if (!confirmVisible || creating) {
+        return;
       }
-      const code = String(event?.code || "");
-      let rawDigit = "";
-      if (/^Digit[0-9]$/.test(code)) {
-        rawDigit = code.slice(5);
-      } else if (/^Numpad[0-9]$/.test(code)) {
-        rawDigit = code.slice(6);
-      } else if (/^[0-9]$/.test(String(event?.key || "")) && !event.metaKey && !event.ctrlKey && !event.altKey) {
-        rawDigit = String(event.key);
-      } else {
-        return -1;
+      confirmVisible = false;
+      updateConfirmation();
+      nameInput.focus();
+    }
+
+    function isEditableTarget(node) {
+      if (!node || typeof node !== "object") {
+        return false;
       }
-      const value = rawDigit === "0" ? 10 : Number(rawDigit);
-      if (!Number.isFinite(value) || value <= 0) {
-        return -1;
+      const tagName = String(node.tagName || "").toLowerCase();
+      if (node.isContentEditable) {
+        return true;
+      }
+      if (tagName === "textarea") {
+        return true;
+      }
+      if (tagName !== "input") {
+        return false;
+      }
+      const type = String(node.type || "").toLowerCase();
+      return !["checkbox", "radio", "button", "submit", "reset", "file", "range", "color"].includes(type);
+    }
+
+    async function confirmCreation() {
+      if (creating) {
+        return;
+      }
+      const projectName = String(nameInput.value || "").trim();
+      if (!projectName) {
+        setStatus("Project name is required.", true);
+        confirmVisible = false;
+        updateConfirmation();
+        nameInput.focus();
+        return;
+      }
+      creating = true;
+      setStatus("Creating project...");
+      confirmOk.disabled = true;
+      confirmCancel.disabled = true;
+      try {
+        const access = getSelectedAccess();
+        const createResult = await createGemProject(projectName, descriptionInput.value || "", access.value, runId);
+        const project = createResult?.project || {};
+        const projectUrl = String(project.url || buildGemProjectUrl(project.id, project.name || projectName) || "").trim();
+        if (!projectUrl) {
+          throw new Error("Gem did not return a project URL.");
+        }
+        await openGemNavigation(projectUrl, runId, {
+          actionId: ACTIONS.GEM_ACTIONS,
+          openInBackground: false
+        });
+        showToast(createResult?.message || "Created project.");
+        await logEvent({
+          source: "extension.content",
+          event: "gem_actions.project.created",
+          actionId: ACTIONS.GEM_ACTIONS,
+          runId,
+          message: createResult?.message || "Created Gem project.",
+          link: projectUrl,
+          details: {
+            projectId: String(project.id || ""),
+            projectName: String(project.name || projectName),
+            privacyType: access.value
+          }
+        });
+        finish({
+          project
+        });
+      } catch (error) {
+        setStatus(error.message || "Could not create project.", true);
+        showToast(error.message || "Could not create project.", true);
+        creating = false;
+        confirmOk.disabled = false;
+        confirmCancel.disabled = false;
+        confirmVisible = false;
+        updateConfirmation();
       }
-      return value - 1;
-    }
-
-    function cancelPicker(message) {
-      logEvent({
-        source: "extension.content",
-        level: "warn",
-        event: "email_picker.cancelled",
-        actionId: ACTIONS.MANAGE_EMAILS,
-        runId,
-        message,
-        link: linkedinUrl
-      });
-      finish(null);
     }
 
     overlay.addEventListener(
       "keydown",
       (event) => {
-        if (isConfirming()) {
+        if (confirmVisible) {
           if (event.key === "Enter") {
             event.preventDefault();
-            confirmAddEmail().catch(() => {});
+            confirmCreation();
             return;
           }
           if (event.key === "Escape") {
             event.preventDefault();
-            closeAddConfirmation();
-            return;
-          }
-        }
-
-        if (step === "add") {
-          if ((event.metaKey || event.ctrlKey) && String(event.key || "").toLowerCase() === "v") {
-            return;
-          }
-          if (event.key === "Enter") {
-            event.preventDefault();
-            openAddConfirmation();
+            closeConfirmation();
             return;
           }
-          if (event.key === "Escape") {
-            event.preventDefault();
-            openMenuStep();
-          }
-          return;
         }
 
         if (event.key === "Escape") {
           event.preventDefault();
-          if (step === "list") {
-            openMenuStep();
-            return;
-          }
-          cancelPicker("Email picker cancelled.");
-          return;
-        }
-
-        if (step === "menu") {
-          if (event.metaKey || event.ctrlKey || event.altKey) {
-            return;
-          }
-          const key = String(event.key || "").toLowerCase();
-          if (key === EMAIL_MENU_ADD_KEY) {
-            event.preventDefault();
-            openAddStep();
-            return;
-          }
-          if (key === EMAIL_MENU_COPY_PRIMARY_KEY) {
-            event.preventDefault();
-            copyPrimaryEmailAndClose().catch(() => {});
-            return;
-          }
-          if (key === EMAIL_MENU_VIEW_ALL_KEY) {
-            event.preventDefault();
-            openListStep();
-          }
-          return;
-        }
-
-        if (loading || loadError || emails.length === 0) {
+          finish(null);
           return;
         }
-        if (event.key === "ArrowDown") {
-          event.preventDefault();
-          selectedIndex = (selectedIndex + 1) % emails.length;
-          render();
+        if (event.metaKey || event.ctrlKey || event.altKey) {
           return;
         }
-        if (event.key === "ArrowUp") {
+        const isTextEntryTarget = isEditableTarget(event.target);
+        const key = String(event.key || "").trim().toLowerCase();
+        const accessIndex = GEM_ACTION_ACCESS_OPTIONS.findIndex((option) => option.key === key);
+        if (accessIndex >= 0) {
+          if (isTextEntryTarget) {
+            return;
+          }
           event.preventDefault();
-          selectedIndex = (selectedIndex - 1 + emails.length) % emails.length;
-          render();
+          selectedAccessIndex = accessIndex;
+          renderAccessList();
           return;
         }
         if (event.key === "Enter") {
           event.preventDefault();
-          setPrimaryEmailByIndex(selectedIndex).catch(() => {});
-          return;
-        }
-        const quickIndex = getQuickSelectIndex(event);
-        if (quickIndex >= 0) {
-          event.preventDefault();
-          copyEmailByQuickIndex(quickIndex).catch(() => {});
+          openConfirmation();
         }
       },
       true
     );
 
-    confirmOkBtn.addEventListener("click", () => {
-      confirmAddEmail().catch(() => {});
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay && !confirmVisible && !creating) {
+        finish(null);
+      }
     });
-    confirmCancelBtn.addEventListener("click", () => {
-      closeAddConfirmation();
+    confirmOk.addEventListener("click", () => {
+      confirmCreation();
+    });
+    confirmCancel.addEventListener("click", () => {
+      closeConfirmation();
     });
     confirmMask.addEventListener("click", (event) => {
       if (event.target === confirmMask) {
-        closeAddConfirmation();
-      }
-    });
-
-    overlay.addEventListener("click", (event) => {
-      if (event.target === overlay) {
-        cancelPicker("Email picker cancelled by outside click.");
+        closeConfirmation();
       }
     });
 
-    modal.tabIndex = -1;
-    modal.focus();
-    render();
-    refreshEmails({ quiet: hasEmailMemory }).catch(() => {});
+    renderAccessList();
+    nameInput.focus();
+    if (nameInput.value) {
+      nameInput.select();
+    }
 
     logEvent({
       source: "extension.content",
-      event: "email_picker.opened",
-      actionId: ACTIONS.MANAGE_EMAILS,
+      event: "gem_actions.project_create.opened",
+      actionId: ACTIONS.GEM_ACTIONS,
       runId,
-      message: "Email picker opened.",
-      link: linkedinUrl
+      message: "Gem project creation form opened.",
+      link: window.location.href
     });
   });
 }
 
-async function showSequencePicker(runId, linkedinUrl, options = {}) {
-  createSequencePickerStyles();
-  const actionId = options.actionId || ACTIONS.SEND_SEQUENCE;
-  const titleText = String(options.title || "Open Sequence");
-  const subtitleText = String(
-    options.subtitle || "Press a letter to pick a sequence. Use Enter to open it in Gem."
-  );
-  const hintText = String(options.hint || "Esc to cancel. Arrow keys + Enter also work.");
-
+async function showGemProjectNavigator(runId) {
+  createGemActionsStyles();
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
-    overlay.id = "gem-sequence-picker-overlay";
-
+    overlay.id = "gem-actions-overlay";
     const modal = document.createElement("div");
-    modal.id = "gem-sequence-picker-modal";
+    modal.id = "gem-actions-modal";
 
     const title = document.createElement("div");
-    title.id = "gem-sequence-picker-title";
-    title.textContent = titleText;
-
+    title.id = "gem-actions-title";
+    title.textContent = "Search project + open";
     const subtitle = document.createElement("div");
-    subtitle.id = "gem-sequence-picker-subtitle";
-    subtitle.textContent = subtitleText;
-
-    const results = document.createElement("div");
-    results.id = "gem-sequence-picker-results";
+    subtitle.id = "gem-actions-subtitle";
+    subtitle.textContent = "Type project name, use arrows to choose, press Enter to open.";
 
-    const pageInfo = document.createElement("div");
-    pageInfo.id = "gem-sequence-picker-page";
+    const input = document.createElement("input");
+    input.id = "gem-actions-input";
+    input.type = "text";
+    input.placeholder = "Search projects by name...";
+    input.autocomplete = "off";
 
+    const list = document.createElement("div");
+    list.id = "gem-actions-list";
     const hint = document.createElement("div");
-    hint.className = "gem-sequence-picker-hint";
-    hint.textContent = hintText;
+    hint.className = "gem-actions-hint";
+    hint.textContent = "Esc to cancel. Cmd+Enter / Cmd+click opens in background tab.";
 
     modal.appendChild(title);
     modal.appendChild(subtitle);
-    modal.appendChild(results);
-    modal.appendChild(pageInfo);
+    modal.appendChild(input);
+    modal.appendChild(list);
     modal.appendChild(hint);
     overlay.appendChild(modal);
     document.documentElement.appendChild(overlay);
 
-    let loading = true;
+    const projectMemory = getProjectMemoryEntry();
+    const hasProjectMemory = Boolean(projectMemory.entry);
+    let loading = !hasProjectMemory;
     let loadError = "";
-    let allSequences = [];
-    let pageSequences = [];
+    let allProjects = hasProjectMemory ? normalizeProjectsForPicker(projectMemory.entry.projects) : [];
     let selectedIndex = 0;
-    let currentPage = 0;
+    let visibleRows = [];
     let active = true;
     const startedAt = Date.now();
     let cachedSignature = "";
     let hasAppliedForceRefresh = false;
 
-    function getSequenceSignature(sequences) {
-      const normalized = Array.isArray(sequences) ? sequences : [];
+    function getProjectSignature(projects) {
+      const normalized = Array.isArray(projects) ? projects : [];
       if (normalized.length === 0) {
         return "0";
       }
       const ids = normalized
-        .map((sequence) => String(sequence?.id || ""))
+        .map((project) => String(project?.id || ""))
         .filter(Boolean)
         .sort();
       return `${normalized.length}:${ids.join("|")}`;
@@ -7453,127 +11767,101 @@ async function showSequencePicker(runId, linkedinUrl, options = {}) {
       overlay.remove();
     }
 
-    function finish(selection) {
+    function finish(result) {
       cleanup();
-      resolve(selection || null);
+      resolve(result || null);
     }
 
-    function updatePageSequences() {
-      const start = currentPage * SEQUENCE_PICKER_KEYS_PER_PAGE;
-      pageSequences = allSequences.slice(start, start + SEQUENCE_PICKER_KEYS_PER_PAGE);
-      if (selectedIndex >= pageSequences.length) {
-        selectedIndex = Math.max(0, pageSequences.length - 1);
+    function buildVisibleRows() {
+      const filteredProjects = filterProjectsByQuery(allProjects, input.value || "");
+      if (filteredProjects.length > 0) {
+        return filteredProjects.map((project) => ({
+          kind: "project",
+          project,
+          id: String(project.id || ""),
+          title: String(project.name || project.id || ""),
+          subtitle: "Open project in Gem"
+        }));
       }
-      if (selectedIndex < 0) {
-        selectedIndex = 0;
+      const query = String(input.value || "").trim();
+      if (!query) {
+        return [];
       }
+      return [
+        {
+          kind: "create",
+          id: "__create__",
+          title: `Create a new project: ${query}`,
+          subtitle: "Open create project form with this name prefilled",
+          createName: query
+        }
+      ];
     }
 
-    function selectSequence(sequence) {
-      if (!sequence) {
-        return;
+    function renderList() {
+      visibleRows = buildVisibleRows();
+      if (selectedIndex >= visibleRows.length) {
+        selectedIndex = Math.max(0, visibleRows.length - 1);
+      }
+      if (selectedIndex < 0) {
+        selectedIndex = 0;
       }
-      logEvent({
-        source: "extension.content",
-        event: "sequence_picker.selected",
-        actionId,
-        runId,
-        message: `Selected sequence ${sequence.name || sequence.id}.`,
-        link: linkedinUrl,
-        details: {
-          sequenceId: sequence.id || "",
-          sequenceName: sequence.name || ""
-        }
-      });
-      finish({
-        id: sequence.id || "",
-        name: sequence.name || ""
-      });
-    }
 
-    function renderSequences() {
-      updatePageSequences();
-      results.innerHTML = "";
+      list.innerHTML = "";
       if (loading) {
         const loadingNode = document.createElement("div");
-        loadingNode.className = "gem-sequence-picker-empty";
-        loadingNode.textContent = "Loading sequences...";
-        results.appendChild(loadingNode);
-        pageInfo.textContent = "";
+        loadingNode.className = "gem-actions-empty";
+        loadingNode.textContent = "Loading projects...";
+        list.appendChild(loadingNode);
         return;
       }
       if (loadError) {
         const errorNode = document.createElement("div");
-        errorNode.className = "gem-sequence-picker-empty";
-        errorNode.textContent = `Could not load sequences: ${loadError}`;
-        results.appendChild(errorNode);
-        pageInfo.textContent = "";
+        errorNode.className = "gem-actions-empty";
+        errorNode.textContent = `Could not load projects: ${loadError}`;
+        list.appendChild(errorNode);
         return;
       }
-      if (allSequences.length === 0) {
+      if (visibleRows.length === 0) {
         const empty = document.createElement("div");
-        empty.className = "gem-sequence-picker-empty";
-        empty.textContent = "No sequences found.";
-        results.appendChild(empty);
-        pageInfo.textContent = "";
+        empty.className = "gem-actions-empty";
+        empty.textContent = "No matching projects.";
+        list.appendChild(empty);
         return;
       }
 
-      pageSequences.forEach((sequence, index) => {
+      visibleRows.forEach((row, index) => {
         const item = document.createElement("div");
-        item.className = `gem-sequence-picker-item${index === selectedIndex ? " active" : ""}`;
-
-        const hotkey = document.createElement("div");
-        hotkey.className = "gem-sequence-picker-hotkey";
-        hotkey.textContent = SEQUENCE_PICKER_SHORTCUT_KEYS[index] || "";
-
-        const name = document.createElement("div");
-        name.className = "gem-sequence-picker-name";
-        name.textContent = sequence.name || sequence.id || "";
-
+        item.className = `gem-actions-item${index === selectedIndex ? " active" : ""}`;
+        const main = document.createElement("div");
+        main.className = "gem-actions-main";
+        main.textContent = row.title || "";
         const meta = document.createElement("div");
-        meta.className = "gem-sequence-picker-meta";
-        meta.textContent = formatSequenceDate(sequence.createdAt);
-
-        item.appendChild(hotkey);
-        item.appendChild(name);
+        meta.className = "gem-actions-meta";
+        meta.textContent = row.subtitle || "";
+        item.appendChild(main);
         item.appendChild(meta);
         item.addEventListener("mouseenter", () => {
           if (selectedIndex === index) {
             return;
           }
           selectedIndex = index;
-          renderSequences();
+          renderList();
         });
-        item.addEventListener("click", () => selectSequence(sequence));
-        results.appendChild(item);
-      });
-
-      const totalPages = Math.max(1, Math.ceil(allSequences.length / SEQUENCE_PICKER_KEYS_PER_PAGE));
-      if (totalPages > 1) {
-        pageInfo.textContent = `Page ${currentPage + 1}/${totalPages}. Press [ / ] to change page.`;
-      } else {
-        pageInfo.textContent = "";
-      }
-    }
-
-    function cancel(reason) {
-      logEvent({
-        source: "extension.content",
-        level: "warn",
-        event: "sequence_picker.cancelled",
-        actionId,
-        runId,
-        message: reason,
-        link: linkedinUrl
+        item.addEventListener("click", (event) => {
+          const openInBackground = row.kind === "project" ? getBackgroundOpenFromEvent(event) : false;
+          finish({
+            ...row,
+            openInBackground
+          });
+        });
+        list.appendChild(item);
       });
-      finish(null);
     }
 
-    overlay.addEventListener("click", (event) => {
-      if (event.target === overlay) {
-        cancel("Sequence picker cancelled by outside click.");
-      }
+    input.addEventListener("input", () => {
+      selectedIndex = 0;
+      renderList();
     });
 
     overlay.addEventListener(
@@ -7581,130 +11869,119 @@ async function showSequencePicker(runId, linkedinUrl, options = {}) {
       (event) => {
         if (event.key === "Escape") {
           event.preventDefault();
-          cancel("Sequence picker cancelled.");
+          finish(null);
           return;
         }
-        if (loading || loadError || pageSequences.length === 0) {
+        if (loading) {
           return;
         }
-
         if (event.key === "ArrowDown") {
           event.preventDefault();
-          selectedIndex = (selectedIndex + 1) % pageSequences.length;
-          renderSequences();
+          if (visibleRows.length > 0) {
+            selectedIndex = (selectedIndex + 1) % visibleRows.length;
+            renderList();
+          }
           return;
         }
         if (event.key === "ArrowUp") {
           event.preventDefault();
-          selectedIndex = (selectedIndex - 1 + pageSequences.length) % pageSequences.length;
-          renderSequences();
+          if (visibleRows.length > 0) {
+            selectedIndex = (selectedIndex - 1 + visibleRows.length) % visibleRows.length;
+            renderList();
+          }
           return;
         }
         if (event.key === "Enter") {
+          if (visibleRows.length === 0) {
+            return;
+          }
           event.preventDefault();
-          selectSequence(pageSequences[selectedIndex]);
-          return;
-        }
-        const totalPages = Math.max(1, Math.ceil(allSequences.length / SEQUENCE_PICKER_KEYS_PER_PAGE));
-        if (event.key === "]" && totalPages > 1) {
-          event.preventDefault();
-          currentPage = (currentPage + 1) % totalPages;
-          selectedIndex = 0;
-          renderSequences();
-          return;
-        }
-        if (event.key === "[" && totalPages > 1) {
-          event.preventDefault();
-          currentPage = (currentPage - 1 + totalPages) % totalPages;
-          selectedIndex = 0;
-          renderSequences();
-          return;
-        }
-
-        if (event.key.length === 1) {
-          const exactIndex = SEQUENCE_PICKER_SHORTCUT_KEYS.indexOf(event.key.toLowerCase());
-          if (Number.isFinite(exactIndex) && exactIndex >= 0 && exactIndex < pageSequences.length) {
-            event.preventDefault();
-            selectSequence(pageSequences[exactIndex]);
+          const row = visibleRows[selectedIndex] || null;
+          if (!row) {
+            return;
           }
+          finish({
+            ...row,
+            openInBackground: row.kind === "project" ? getBackgroundOpenFromEvent(event) : false
+          });
+          return;
         }
       },
       true
     );
 
-    modal.tabIndex = -1;
-    modal.focus();
-    renderSequences();
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        finish(null);
+      }
+    });
+
+    renderList();
+    input.focus();
 
     logEvent({
       source: "extension.content",
-      event: "sequence_picker.opened",
-      actionId,
+      event: "gem_actions.project_search.opened",
+      actionId: ACTIONS.GEM_ACTIONS,
       runId,
-      message: "Sequence picker opened.",
-      link: linkedinUrl
+      message: "Gem project search opened.",
+      link: window.location.href
     });
 
-    listSequences("", runId, actionId, { preferCache: true })
-      .then(async (sequences) => {
-        if (!active) {
-          return;
-        }
-        cachedSignature = getSequenceSignature(sequences);
-        if (sequences.length > 0 && !hasAppliedForceRefresh) {
-          allSequences = sequences;
-          loading = false;
-          loadError = "";
-          renderSequences();
-        }
-        await logEvent({
-          source: "extension.content",
-          event: "sequence_picker.cache_loaded",
-          actionId,
-          runId,
-          message: `Loaded ${sequences.length} cached sequences for picker.`,
-          link: linkedinUrl
-        });
-      })
-      .catch(async (_error) => {
-        if (!active) {
-          return;
-        }
-        await logEvent({
-          source: "extension.content",
-          level: "warn",
-          event: "sequence_picker.cache_load_failed",
-          actionId,
-          runId,
-          message: "Could not load cached sequences for picker.",
-          link: linkedinUrl
-        });
-      });
+    if (!hasProjectMemory) {
+      listProjects("", runId, { preferCache: true })
+        .then(async (projects) => {
+          if (!active) {
+            return;
+          }
+          const cached = projects.filter((project) => !project.archived);
+          cachedSignature = getProjectSignature(cached);
+          if (cached.length > 0 && !hasAppliedForceRefresh) {
+            allProjects = cached;
+            loading = false;
+            loadError = "";
+            renderList();
+          }
+          await logEvent({
+            source: "extension.content",
+            event: "gem_actions.project_search.cache_loaded",
+            actionId: ACTIONS.GEM_ACTIONS,
+            runId,
+            message: `Loaded ${cached.length} cached projects for navigation.`,
+            link: window.location.href
+          });
+        })
+        .catch(() => {});
+    } else {
+      cachedSignature = getProjectSignature(allProjects.filter((project) => !project.archived));
+    }
 
     function runForceRefresh(isRetry = false) {
-      return listSequences("", runId, actionId, { forceRefresh: true, forceNewRefresh: true })
-        .then(async (sequences) => {
+      return listProjects("", runId, { forceRefresh: true, forceNewRefresh: true })
+        .then(async (projects) => {
           if (!active) {
             return;
           }
-          const refreshedSignature = getSequenceSignature(sequences);
+          const refreshed = projects.filter((project) => !project.archived);
+          const refreshedSignature = getProjectSignature(refreshed);
           hasAppliedForceRefresh = true;
-          allSequences = sequences;
+          allProjects = refreshed;
           loading = false;
           loadError = "";
-          renderSequences();
+          renderList();
           await logEvent({
             source: "extension.content",
-            event: isRetry ? "sequence_picker.retry_loaded" : "sequence_picker.loaded",
-            actionId,
+            event: isRetry ? "gem_actions.project_search.retry_loaded" : "gem_actions.project_search.loaded",
+            actionId: ACTIONS.GEM_ACTIONS,
             runId,
-            message: `Sequence picker ${isRetry ? "retry " : ""}loaded ${allSequences.length} sequences.`,
-            link: linkedinUrl,
+            message: `Loaded ${allProjects.length} projects for navigation.`,
+            link: window.location.href,
             details: {
               durationMs: Date.now() - startedAt
             }
           });
 
+          // Retry once if fresh result looks identical to cache to avoid stale in-flight cache races.
           if (!isRetry && active && cachedSignature && refreshedSignature === cachedSignature) {
             setTimeout(() => {
               if (!active) {
@@ -7718,191 +11995,321 @@ async function showSequencePicker(runId, linkedinUrl, options = {}) {
           if (!active) {
             return;
           }
-          const message = error.message || "Failed to refresh sequence list.";
-          const usedCachedSequences = allSequences.length > 0;
-          if (!usedCachedSequences) {
+          const message = error.message || "Failed to load projects.";
+          const usedCachedProjects = allProjects.length > 0;
+          if (!usedCachedProjects) {
             loading = false;
             loadError = message;
-            renderSequences();
+            renderList();
             showToast(message, true);
           }
-          await logEvent({
-            source: "extension.content",
-            level: usedCachedSequences ? "warn" : "error",
-            event: isRetry ? "sequence_picker.retry_failed" : "sequence_picker.load_failed",
-            actionId,
+          await logEvent({
+            source: "extension.content",
+            level: usedCachedProjects ? "warn" : "error",
+            event: isRetry ? "gem_actions.project_search.retry_failed" : "gem_actions.project_search.load_failed",
+            actionId: ACTIONS.GEM_ACTIONS,
             runId,
             message,
-            link: linkedinUrl,
-            details: {
-              durationMs: Date.now() - startedAt,
-              usedCachedSequences
-            }
+            link: window.location.href
           });
         });
     }
 
-    runForceRefresh(false).catch(() => {});
+    runForceRefresh().catch(() => {});
   });
 }
 
-function getBackgroundOpenFromEvent(event) {
-  if (!event) {
-    return false;
+function formatGemPeopleMeta(candidate) {
+  const parts = [];
+  const primaryEmail = String(candidate?.primaryEmail || "").trim();
+  const title = String(candidate?.title || "").trim();
+  const company = String(candidate?.company || "").trim();
+  const school = String(candidate?.school || "").trim();
+  if (primaryEmail) {
+    parts.push(primaryEmail);
   }
-  return Boolean(event.metaKey || event.ctrlKey);
-}
-
-function slugifyGemProjectName(name) {
-  return String(name || "")
-    .normalize("NFKD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .replace(/-{2,}/g, "-");
-}
-
-function buildGemProjectUrl(projectId, projectName = "") {
-  const id = String(projectId || "").trim();
-  if (!id) {
-    return "";
+  if (title && company) {
+    parts.push(`${title} at ${company}`);
+  } else if (title) {
+    parts.push(title);
+  } else if (company) {
+    parts.push(company);
   }
-  const slug = slugifyGemProjectName(projectName);
-  const segment = slug ? `${slug}--${id}` : id;
-  return `https://www.gem.com/projects/${segment}`;
-}
-
-function buildGemSequenceCreateUrl() {
-  return "https://www.gem.com/sequences";
-}
-
-function normalizeGemProjectPrivacyType(value) {
-  const normalized = String(value || "")
-    .trim()
-    .toLowerCase();
-  if (normalized === "confidential" || normalized === "personal" || normalized === "shared") {
-    return normalized;
+  if (school) {
+    parts.push(school);
   }
-  return "shared";
+  return parts.join(" • ");
 }
 
-async function showGemActionsMenu(runId) {
+async function showGemPeopleSearch(runId) {
   createGemActionsStyles();
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
     overlay.id = "gem-actions-overlay";
     const modal = document.createElement("div");
     modal.id = "gem-actions-modal";
-
     const title = document.createElement("div");
     title.id = "gem-actions-title";
-    title.textContent = "Gem actions";
-
+    title.textContent = "Search someone in Gem";
     const subtitle = document.createElement("div");
     subtitle.id = "gem-actions-subtitle";
-    subtitle.textContent = "Press C, P, S, or K to choose the next action.";
+    subtitle.textContent = "Type to search candidates. Enter opens Gem profile, L opens LinkedIn.";
+
+    const input = document.createElement("input");
+    input.id = "gem-actions-input";
+    input.type = "text";
+    input.placeholder = "Search people...";
+    input.autocomplete = "off";
+
+    const status = document.createElement("div");
+    status.className = "gem-actions-status";
 
     const list = document.createElement("div");
     list.id = "gem-actions-list";
-
     const hint = document.createElement("div");
     hint.className = "gem-actions-hint";
-    hint.textContent = "Esc to cancel. Arrow keys + Enter also work.";
+    hint.textContent = "Press number keys to select result. Esc to cancel.";
 
     modal.appendChild(title);
     modal.appendChild(subtitle);
+    modal.appendChild(input);
+    modal.appendChild(status);
     modal.appendChild(list);
     modal.appendChild(hint);
     overlay.appendChild(modal);
     document.documentElement.appendChild(overlay);
 
+    let disposed = false;
+    let loading = true;
+    let loadError = "";
+    let candidates = [];
     let selectedIndex = 0;
+    let pendingDebounce = 0;
+    let requestCounter = 0;
+    let selectionArmed = false;
 
     function cleanup() {
+      disposed = true;
+      if (pendingDebounce) {
+        clearTimeout(pendingDebounce);
+      }
       overlay.remove();
     }
 
-    function finish(value) {
+    function finish(result) {
       cleanup();
-      resolve(value || "");
+      resolve(result || null);
     }
 
-    function selectByOption(option) {
-      if (!option) {
-        return;
+    function setStatus(text, isError = false) {
+      status.textContent = String(text || "");
+      status.className = `gem-actions-status${isError ? " error" : ""}`;
+    }
+
+    function getSelectedCandidate() {
+      if (candidates.length === 0) {
+        return null;
       }
-      finish(option.id);
+      const boundedIndex = Math.max(0, Math.min(selectedIndex, candidates.length - 1));
+      return candidates[boundedIndex] || null;
     }
 
-    function render() {
+    function getQuickSelectIndex(event) {
+      if (event.metaKey || event.ctrlKey || event.altKey) {
+        return -1;
+      }
+      const code = String(event?.code || "");
+      let rawDigit = "";
+      if (/^Digit[0-9]$/.test(code)) {
+        rawDigit = code.slice(5);
+      } else if (/^Numpad[0-9]$/.test(code)) {
+        rawDigit = code.slice(6);
+      } else if (/^[0-9]$/.test(String(event?.key || ""))) {
+        rawDigit = String(event.key);
+      } else {
+        return -1;
+      }
+      const value = rawDigit === "0" ? 10 : Number(rawDigit);
+      if (!Number.isFinite(value) || value <= 0) {
+        return -1;
+      }
+      return value - 1;
+    }
+
+    function renderList() {
       list.innerHTML = "";
-      GEM_ACTION_MENU_OPTIONS.forEach((option, index) => {
-        const item = document.createElement("div");
-        item.className = `gem-actions-item${selectedIndex === index ? " active" : ""}`;
+      if (loading) {
+        const loadingNode = document.createElement("div");
+        loadingNode.className = "gem-actions-empty";
+        loadingNode.textContent = "Searching people...";
+        list.appendChild(loadingNode);
+        return;
+      }
+      if (loadError) {
+        const errorNode = document.createElement("div");
+        errorNode.className = "gem-actions-empty";
+        errorNode.textContent = `Could not search candidates: ${loadError}`;
+        list.appendChild(errorNode);
+        return;
+      }
+      if (candidates.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "gem-actions-empty";
+        empty.textContent = "No people found.";
+        list.appendChild(empty);
+        return;
+      }
+      if (selectedIndex >= candidates.length) {
+        selectedIndex = Math.max(0, candidates.length - 1);
+      }
+      if (selectedIndex < 0) {
+        selectedIndex = 0;
+      }
 
+      candidates.forEach((candidate, index) => {
+        const item = document.createElement("div");
+        const isActive = index === selectedIndex;
+        item.className = `gem-actions-item${isActive ? " active selected" : ""}`;
         const hotkey = document.createElement("div");
         hotkey.className = "gem-actions-hotkey";
-        hotkey.textContent = option.key;
-
+        hotkey.textContent = index < 10 ? String(index + 1).replace("10", "0") : "";
         const main = document.createElement("div");
         main.className = "gem-actions-main";
-        main.textContent = option.title;
-
+        main.textContent = String(candidate.fullName || candidate.primaryEmail || candidate.id || "Candidate");
         const meta = document.createElement("div");
         meta.className = "gem-actions-meta";
-        meta.textContent = option.subtitle;
-
+        meta.textContent = formatGemPeopleMeta(candidate);
         item.appendChild(hotkey);
         item.appendChild(main);
         item.appendChild(meta);
+        if (candidate.linkedInUrl) {
+          const linkedInTag = document.createElement("span");
+          linkedInTag.className = "gem-actions-tag";
+          linkedInTag.textContent = "L LinkedIn";
+          main.appendChild(linkedInTag);
+        }
         item.addEventListener("mouseenter", () => {
           if (selectedIndex === index) {
             return;
           }
           selectedIndex = index;
-          render();
+          renderList();
+        });
+        item.addEventListener("click", () => {
+          selectedIndex = index;
+          selectionArmed = true;
+          renderList();
+        });
+        item.addEventListener("dblclick", () => {
+          selectedIndex = index;
+          selectionArmed = true;
+          renderList();
+          const selected = getSelectedCandidate();
+          if (selected) {
+            finish({ candidate: selected, target: "gem" });
+          }
         });
-        item.addEventListener("click", () => selectByOption(option));
         list.appendChild(item);
       });
     }
 
+    function scheduleSearch() {
+      if (pendingDebounce) {
+        clearTimeout(pendingDebounce);
+      }
+      pendingDebounce = setTimeout(async () => {
+        pendingDebounce = 0;
+        const token = ++requestCounter;
+        loading = true;
+        loadError = "";
+        selectionArmed = false;
+        setStatus("");
+        renderList();
+        try {
+          const results = await searchGemPeople(input.value || "", runId, GEM_ACTION_PEOPLE_SEARCH_LIMIT);
+          if (disposed || token !== requestCounter) {
+            return;
+          }
+          candidates = results;
+          loading = false;
+          loadError = "";
+          selectedIndex = 0;
+          selectionArmed = false;
+          setStatus(results.length > 0 ? `${results.length} result${results.length === 1 ? "" : "s"} loaded.` : "");
+          renderList();
+        } catch (error) {
+          if (disposed || token !== requestCounter) {
+            return;
+          }
+          candidates = [];
+          loading = false;
+          loadError = error.message || "Failed to search people.";
+          selectionArmed = false;
+          setStatus(loadError, true);
+          renderList();
+        }
+      }, GEM_ACTION_PEOPLE_SEARCH_DEBOUNCE_MS);
+    }
+
     overlay.addEventListener(
       "keydown",
       (event) => {
         if (event.key === "Escape") {
           event.preventDefault();
-          finish("");
+          finish(null);
           return;
         }
         if (event.key === "ArrowDown") {
           event.preventDefault();
-          selectedIndex = (selectedIndex + 1) % GEM_ACTION_MENU_OPTIONS.length;
-          render();
+          if (candidates.length > 0) {
+            selectedIndex = (selectedIndex + 1) % candidates.length;
+            selectionArmed = true;
+            renderList();
+          }
+          return;
+        }
+        if (event.key === "ArrowUp") {
+          event.preventDefault();
+          if (candidates.length > 0) {
+            selectedIndex = (selectedIndex - 1 + candidates.length) % candidates.length;
+            selectionArmed = true;
+            renderList();
+          }
           return;
         }
-        if (event.key === "ArrowUp") {
+        const quickIndex = getQuickSelectIndex(event);
+        if (quickIndex >= 0) {
           event.preventDefault();
-          selectedIndex = (selectedIndex - 1 + GEM_ACTION_MENU_OPTIONS.length) % GEM_ACTION_MENU_OPTIONS.length;
-          render();
+          if (quickIndex < candidates.length) {
+            selectedIndex = quickIndex;
+            selectionArmed = true;
+            renderList();
+          }
           return;
         }
         if (event.key === "Enter") {
+          const selected = getSelectedCandidate();
+          if (!selected) {
+            return;
+          }
           event.preventDefault();
-          selectByOption(GEM_ACTION_MENU_OPTIONS[selectedIndex] || null);
+          finish({ candidate: selected, target: "gem" });
           return;
         }
         if (event.metaKey || event.ctrlKey || event.altKey) {
           return;
         }
         const key = String(event.key || "").trim().toLowerCase();
-        const matchIndex = GEM_ACTION_MENU_OPTIONS.findIndex((option) => option.key === key);
-        if (matchIndex >= 0) {
+        if (key === "l") {
+          if (document.activeElement === input && !selectionArmed) {
+            return;
+          }
+          const selected = getSelectedCandidate();
+          if (!selected) {
+            return;
+          }
           event.preventDefault();
-          selectedIndex = matchIndex;
-          render();
-          selectByOption(GEM_ACTION_MENU_OPTIONS[matchIndex]);
+          finish({ candidate: selected, target: "linkedin" });
         }
       },
       true
@@ -7910,90 +12317,335 @@ async function showGemActionsMenu(runId) {
 
     overlay.addEventListener("click", (event) => {
       if (event.target === overlay) {
-        finish("");
+        finish(null);
       }
     });
+    input.addEventListener("input", () => {
+      scheduleSearch();
+    });
 
-    render();
-    modal.tabIndex = -1;
-    modal.focus();
+    renderList();
+    input.focus();
+    scheduleSearch();
+  });
+}
 
-    logEvent({
+async function handleGemActionsShortcut(source = "keyboard", runId = "") {
+  const effectiveRunId = runId || generateRunId();
+  const selectedAction = await showGemActionsMenu(effectiveRunId);
+  if (!selectedAction) {
+    showToast("Action cancelled.", true);
+    await logEvent({
       source: "extension.content",
-      event: "gem_actions.menu.opened",
+      level: "warn",
+      event: "gem_actions.cancelled",
       actionId: ACTIONS.GEM_ACTIONS,
-      runId,
-      message: "Gem actions menu opened.",
+      runId: effectiveRunId,
+      message: "Gem actions menu cancelled.",
       link: window.location.href
     });
+    return;
+  }
+
+  if (selectedAction === "createProject") {
+    const created = await showGemProjectCreateForm(effectiveRunId, {});
+    if (!created) {
+      showToast("Action cancelled.", true);
+    }
+    return;
+  }
+
+  if (selectedAction === "openProject") {
+    const projectSelection = await showGemProjectNavigator(effectiveRunId);
+    if (!projectSelection) {
+      showToast("Action cancelled.", true);
+      return;
+    }
+    if (projectSelection.kind === "create") {
+      const created = await showGemProjectCreateForm(effectiveRunId, {
+        initialName: projectSelection.createName || ""
+      });
+      if (!created) {
+        showToast("Action cancelled.", true);
+      }
+      return;
+    }
+
+    const selectedProject = projectSelection.project || null;
+    const projectUrl = buildGemProjectUrl(selectedProject?.id || "", selectedProject?.name || "");
+    if (!projectUrl) {
+      showToast("Missing project URL.", true);
+      return;
+    }
+    await openGemNavigation(projectUrl, effectiveRunId, {
+      actionId: ACTIONS.GEM_ACTIONS,
+      openInBackground: Boolean(projectSelection.openInBackground)
+    });
+    showToast(projectSelection.openInBackground ? "Opened project in background tab." : "Opened project in Gem.");
+    await logEvent({
+      source: "extension.content",
+      event: "gem_actions.project.opened",
+      actionId: ACTIONS.GEM_ACTIONS,
+      runId: effectiveRunId,
+      message: projectSelection.openInBackground ? "Opened project in background tab." : "Opened project in Gem.",
+      link: projectUrl,
+      details: {
+        source,
+        projectId: String(selectedProject?.id || ""),
+        projectName: String(selectedProject?.name || ""),
+        openInBackground: Boolean(projectSelection.openInBackground)
+      }
+    });
+    return;
+  }
+
+  if (selectedAction === "createSequence") {
+    const confirmed = await showGemActionConfirmationDialog("Create sequence", "Create a new sequence in Gem?");
+    if (!confirmed) {
+      showToast("Action cancelled.", true);
+      return;
+    }
+    const url = buildGemSequenceCreateUrl();
+    await openGemNavigation(url, effectiveRunId, {
+      actionId: ACTIONS.GEM_ACTIONS,
+      openInBackground: false
+    });
+    showToast("Opened sequence creation in Gem.");
+    await logEvent({
+      source: "extension.content",
+      event: "gem_actions.sequence_create.opened",
+      actionId: ACTIONS.GEM_ACTIONS,
+      runId: effectiveRunId,
+      message: "Opened sequence creation in Gem.",
+      link: url,
+      details: {
+        source
+      }
+    });
+    return;
+  }
+
+  if (selectedAction === "candidateTimeline") {
+    const context = getProfileContext();
+    if (!isSupportedActionPage() || !contextHasResolvableIdentity(context)) {
+      showToast("Open a LinkedIn, Gem candidate, Gmail or Outlook thread, or GitHub profile to view its timeline.", true);
+      return;
+    }
+    await showCandidateTimelineDrawer(effectiveRunId, context);
+    await logEvent({
+      source: "extension.content",
+      event: "gem_actions.timeline.closed",
+      actionId: ACTIONS.GEM_ACTIONS,
+      runId: effectiveRunId,
+      message: "Candidate timeline closed.",
+      link: getContextLink(context),
+      details: {
+        source
+      }
+    });
+    return;
+  }
+
+  if (selectedAction === "searchPerson") {
+    const peopleSelection = await showGemPeopleSearch(effectiveRunId);
+    if (!peopleSelection) {
+      showToast("Action cancelled.", true);
+      return;
+    }
+    const candidate = peopleSelection.candidate || {};
+    const target = peopleSelection.target === "linkedin" ? "linkedin" : "gem";
+    const url =
+      target === "linkedin"
+        ? String(candidate.linkedInUrl || "").trim()
+        : String(candidate.gemProfileUrl || "").trim();
+    if (!url) {
+      showToast(target === "linkedin" ? "No LinkedIn URL available for this candidate." : "No Gem profile URL available.", true);
+      return;
+    }
+    await openGemNavigation(url, effectiveRunId, {
+      actionId: ACTIONS.GEM_ACTIONS,
+      openInBackground: false
+    });
+    showToast(target === "linkedin" ? "Opened LinkedIn profile." : "Opened candidate in Gem.");
+    await logEvent({
+      source: "extension.content",
+      event: "gem_actions.person.opened",
+      actionId: ACTIONS.GEM_ACTIONS,
+      runId: effectiveRunId,
+      message: target === "linkedin" ? "Opened LinkedIn profile from people search." : "Opened Gem profile from people search.",
+      link: url,
+      details: {
+        source,
+        target,
+        candidateId: String(candidate.id || ""),
+        fullName: String(candidate.fullName || "")
+      }
+    });
+    return;
+  }
+}
+
+function formatCandidateTimelineDate(timestampMs) {
+  const value = Number(timestampMs) || 0;
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  return date.toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric"
   });
 }
 
-async function showGemActionConfirmationDialog(titleText, bodyText) {
-  createGemActionsStyles();
+async function showCandidateTimelineDrawer(runId, context) {
+  createCandidateTimelineStyles();
+  const contextLink = getContextLink(context);
+
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
-    overlay.id = "gem-actions-overlay";
-    const modal = document.createElement("div");
-    modal.id = "gem-actions-modal";
+    overlay.id = "gem-candidate-timeline-overlay";
+
+    const drawer = document.createElement("div");
+    drawer.id = "gem-candidate-timeline-drawer";
+    drawer.tabIndex = -1;
+
     const title = document.createElement("div");
-    title.id = "gem-actions-title";
-    title.textContent = titleText;
+    title.id = "gem-candidate-timeline-title";
+    title.textContent = context.profileName ? `Timeline: ${context.profileName}` : "Candidate timeline";
+
     const subtitle = document.createElement("div");
-    subtitle.id = "gem-actions-subtitle";
-    subtitle.textContent = "Press Enter to confirm or Esc to cancel.";
-    const confirmCard = document.createElement("div");
-    confirmCard.id = "gem-actions-confirm-card";
-    const confirmTitle = document.createElement("div");
-    confirmTitle.id = "gem-actions-confirm-title";
-    confirmTitle.textContent = titleText;
-    const confirmBody = document.createElement("div");
-    confirmBody.id = "gem-actions-confirm-body";
-    confirmBody.textContent = bodyText;
-    const confirmActions = document.createElement("div");
-    confirmActions.id = "gem-actions-confirm-actions";
-    const cancelButton = document.createElement("button");
-    cancelButton.id = "gem-actions-confirm-cancel";
-    cancelButton.className = "gem-actions-confirm-btn";
-    cancelButton.type = "button";
-    cancelButton.textContent = "Cancel";
-    const confirmButton = document.createElement("button");
-    confirmButton.id = "gem-actions-confirm-ok";
-    confirmButton.className = "gem-actions-confirm-btn";
-    confirmButton.type = "button";
-    confirmButton.textContent = "Confirm";
+    subtitle.id = "gem-candidate-timeline-subtitle";
+    // Gem's API exposes project membership changes but not pipeline stage changes.
+    subtitle.textContent = "Sequence sends, replies, project adds/removals and notes from Gem. Stage changes are not available.";
 
-    confirmActions.appendChild(cancelButton);
-    confirmActions.appendChild(confirmButton);
-    confirmCard.appendChild(confirmTitle);
-    confirmCard.appendChild(confirmBody);
-    confirmCard.appendChild(confirmActions);
-    modal.appendChild(title);
-    modal.appendChild(subtitle);
-    modal.appendChild(confirmCard);
-    overlay.appendChild(modal);
+    const filters = document.createElement("div");
+    filters.id = "gem-candidate-timeline-filters";
+
+    const list = document.createElement("div");
+    list.id = "gem-candidate-timeline-list";
+
+    const hint = document.createElement("div");
+    hint.className = "gem-candidate-timeline-hint";
+    hint.textContent = "Press a letter to filter. Esc to close.";
+
+    drawer.appendChild(title);
+    drawer.appendChild(subtitle);
+    drawer.appendChild(filters);
+    drawer.appendChild(list);
+    drawer.appendChild(hint);
+    overlay.appendChild(drawer);
     document.documentElement.appendChild(overlay);
 
-    function cleanup() {
+    let entries = [];
+    let loading = true;
+    let loadError = "";
+    let activeFilter = CANDIDATE_TIMELINE_FILTERS[0];
+    let active = true;
+
+    function finish() {
+      active = false;
       overlay.remove();
+      resolve(true);
     }
 
-    function finish(confirmed) {
-      cleanup();
-      resolve(Boolean(confirmed));
+    function renderFilters() {
+      filters.innerHTML = "";
+      CANDIDATE_TIMELINE_FILTERS.forEach((filter) => {
+        const count = filter.kinds ? entries.filter((entry) => filter.kinds.includes(entry.kind)).length : entries.length;
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = `gem-candidate-timeline-filter${filter === activeFilter ? " active" : ""}`;
+        button.textContent = `${filter.key.toUpperCase()} · ${filter.label}${loading ? "" : ` (${count})`}`;
+        button.addEventListener("click", () => {
+          activeFilter = filter;
+          render();
+        });
+        filters.appendChild(button);
+      });
+    }
+
+    function renderList() {
+      list.innerHTML = "";
+      if (loading || loadError) {
+        const node = document.createElement("div");
+        node.className = "gem-candidate-timeline-empty";
+        node.textContent = loading ? "Loading timeline..." : `Could not load timeline: ${loadError}`;
+        list.appendChild(node);
+        return;
+      }
+      const visible = activeFilter.kinds
+        ? entries.filter((entry) => activeFilter.kinds.includes(entry.kind))
+        : entries;
+      if (visible.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "gem-candidate-timeline-empty";
+        empty.textContent = "No activity found.";
+        list.appendChild(empty);
+        return;
+      }
+      visible.forEach((entry) => {
+        const item = document.createElement("div");
+        item.className = `gem-candidate-timeline-item kind-${entry.kind}`;
+
+        const head = document.createElement("div");
+        head.className = "gem-candidate-timeline-item-head";
+        const label = document.createElement("span");
+        label.textContent = entry.title || "Event";
+        const date = document.createElement("span");
+        date.className = "gem-candidate-timeline-item-date";
+        date.textContent = formatCandidateTimelineDate(entry.timestampMs);
+        head.appendChild(label);
+        head.appendChild(date);
+        item.appendChild(head);
+
+        if (entry.detail) {
+          const detail = document.createElement("div");
+          detail.className = "gem-candidate-timeline-item-detail";
+          detail.textContent = entry.detail;
+          item.appendChild(detail);
+        }
+
+        const metaParts = [
+          entry.sequenceName ? `Sequence: ${entry.sequenceName}` : "",
+          entry.projectName || entry.projectId ? `Project: ${entry.projectName || entry.projectId}` : "",
+          entry.userName ? `By ${entry.userName}` : ""
+        ].filter(Boolean);
+        if (metaParts.length > 0) {
+          const meta = document.createElement("div");
+          meta.className = "gem-candidate-timeline-item-meta";
+          meta.textContent = metaParts.join(" · ");
+          item.appendChild(meta);
+        }
+        list.appendChild(item);
+      });
+    }
+
+    function render() {
+      renderFilters();
+      renderList();
     }
 
     overlay.addEventListener(
       "keydown",
       (event) => {
-        if (event.key === "Enter") {
+        if (event.key === "Escape") {
           event.preventDefault();
-          finish(true);
+          finish();
           return;
         }
-        if (event.key === "Escape") {
+        if (event.metaKey || event.ctrlKey || event.altKey) {
+          return;
+        }
+        const key = String(event.key || "").trim().toLowerCase();
+        const filter = CANDIDATE_TIMELINE_FILTERS.find((option) => option.key === key);
+        if (filter) {
           event.preventDefault();
-          finish(false);
+          activeFilter = filter;
+          render();
         }
       },
       true
@@ -8001,437 +12653,508 @@ async function showGemActionConfirmationDialog(titleText, bodyText) {
 
     overlay.addEventListener("click", (event) => {
       if (event.target === overlay) {
-        finish(false);
+        finish();
       }
     });
-    confirmButton.addEventListener("click", () => finish(true));
-    cancelButton.addEventListener("click", () => finish(false));
-    confirmButton.focus();
+
+    render();
+    drawer.focus();
+
+    const startedAt = Date.now();
+    listCandidateEventsForContext(context, runId)
+      .then((data) => {
+        if (!active) {
+          return;
+        }
+        entries = data.entries;
+        loading = false;
+        if (data.failedSources.length > 0) {
+          subtitle.textContent = `Some activity could not be loaded (${data.failedSources.join(", ")}).`;
+        }
+        render();
+        logEvent({
+          source: "extension.content",
+          event: "candidate_timeline.loaded",
+          actionId: ACTIONS.GEM_ACTIONS,
+          runId,
+          message: `Candidate timeline loaded ${entries.length} entries.`,
+          link: contextLink,
+          details: {
+            candidateId: data.candidateId,
+            durationMs: Date.now() - startedAt
+          }
+        });
+      })
+      .catch((error) => {
+        if (!active) {
+          return;
+        }
+        loading = false;
+        loadError = error.message || "Unknown error.";
+        render();
+        logEvent({
+          source: "extension.content",
+          level: "error",
+          event: "candidate_timeline.load_failed",
+          actionId: ACTIONS.GEM_ACTIONS,
+          runId,
+          message: loadError,
+          link: contextLink
+        });
+      });
   });
 }
 
-async function showGemProjectCreateForm(runId, options = {}) {
-  createGemActionsStyles();
-  const initialName = String(options.initialName || "").trim();
-  const initialDescription = String(options.initialDescription || "").trim();
-  const initialPrivacyType = normalizeGemProjectPrivacyType(options.initialPrivacyType || "shared");
+async function showProjectFieldPicker(runId, context) {
+  createProjectFieldPickerStyles();
+  const contextLink = getContextLink(context);
+
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
-    overlay.id = "gem-actions-overlay";
+    overlay.id = "gem-project-field-picker-overlay";
+
     const modal = document.createElement("div");
-    modal.id = "gem-actions-modal";
+    modal.id = "gem-project-field-picker-modal";
 
     const title = document.createElement("div");
-    title.id = "gem-actions-title";
-    title.textContent = "Create project";
+    title.id = "gem-project-field-picker-title";
 
     const subtitle = document.createElement("div");
-    subtitle.id = "gem-actions-subtitle";
-    subtitle.textContent = "Enter project details, then press Enter to confirm creation.";
-
-    const nameLabel = document.createElement("label");
-    nameLabel.className = "gem-actions-access-label";
-    nameLabel.setAttribute("for", "gem-actions-project-name");
-    nameLabel.textContent = "Project name *";
-
-    const nameInput = document.createElement("input");
-    nameInput.id = "gem-actions-project-name";
-    nameInput.type = "text";
-    nameInput.placeholder = "Project name";
-    nameInput.autocomplete = "off";
-    nameInput.value = initialName;
-
-    const descriptionLabel = document.createElement("label");
-    descriptionLabel.className = "gem-actions-access-label";
-    descriptionLabel.setAttribute("for", "gem-actions-project-description");
-    descriptionLabel.textContent = "Description";
-
-    const descriptionInput = document.createElement("textarea");
-    descriptionInput.id = "gem-actions-project-description";
-    descriptionInput.placeholder = "Description";
-    descriptionInput.value = initialDescription;
+    subtitle.id = "gem-project-field-picker-subtitle";
 
-    const accessLabel = document.createElement("div");
-    accessLabel.className = "gem-actions-access-label";
-    accessLabel.textContent = "Access";
-
-    const accessList = document.createElement("div");
-    accessList.id = "gem-actions-access-list";
+    const input = document.createElement("input");
+    input.id = "gem-project-field-picker-input";
+    input.type = "text";
+    input.autocomplete = "off";
 
-    const status = document.createElement("div");
-    status.className = "gem-actions-status";
+    const results = document.createElement("div");
+    results.id = "gem-project-field-picker-results";
 
     const hint = document.createElement("div");
-    hint.className = "gem-actions-hint";
-    hint.textContent = "Tab through fields. A/S/D switches access. Enter opens confirmation. Esc cancels.";
-
-    const confirmMask = document.createElement("div");
-    confirmMask.id = "gem-actions-confirm-mask";
-    const confirmCard = document.createElement("div");
-    confirmCard.id = "gem-actions-confirm-card";
-    const confirmTitle = document.createElement("div");
-    confirmTitle.id = "gem-actions-confirm-title";
-    confirmTitle.textContent = "Confirm project creation";
-    const confirmBody = document.createElement("div");
-    confirmBody.id = "gem-actions-confirm-body";
-    const confirmActions = document.createElement("div");
-    confirmActions.id = "gem-actions-confirm-actions";
-    const confirmCancel = document.createElement("button");
-    confirmCancel.id = "gem-actions-confirm-cancel";
-    confirmCancel.className = "gem-actions-confirm-btn";
-    confirmCancel.type = "button";
-    confirmCancel.textContent = "Cancel";
-    const confirmOk = document.createElement("button");
-    confirmOk.id = "gem-actions-confirm-ok";
-    confirmOk.className = "gem-actions-confirm-btn";
-    confirmOk.type = "button";
-    confirmOk.textContent = "Create project";
-    confirmActions.appendChild(confirmCancel);
-    confirmActions.appendChild(confirmOk);
-    confirmCard.appendChild(confirmTitle);
-    confirmCard.appendChild(confirmBody);
-    confirmCard.appendChild(confirmActions);
-    confirmMask.appendChild(confirmCard);
+    hint.className = "gem-project-field-picker-hint";
 
     modal.appendChild(title);
     modal.appendChild(subtitle);
-    modal.appendChild(nameLabel);
-    modal.appendChild(nameInput);
-    modal.appendChild(descriptionLabel);
-    modal.appendChild(descriptionInput);
-    modal.appendChild(accessLabel);
-    modal.appendChild(accessList);
-    modal.appendChild(status);
+    modal.appendChild(input);
+    modal.appendChild(results);
     modal.appendChild(hint);
-    modal.appendChild(confirmMask);
     overlay.appendChild(modal);
     document.documentElement.appendChild(overlay);
 
-    let disposed = false;
-    let selectedAccessIndex = Math.max(
-      0,
-      GEM_ACTION_ACCESS_OPTIONS.findIndex((option) => option.value === initialPrivacyType)
-    );
-    let confirmVisible = false;
-    let creating = false;
+    // Stages run project -> field -> value; Backspace on an empty input steps back.
+    let stage = "project";
+    let loading = true;
+    let loadError = "";
+    let projects = [];
+    let projectFields = [];
+    let selectedProject = null;
+    let selectedField = null;
+    let selectedOptionIds = new Set();
+    let activeIndex = 0;
+    let visibleItems = [];
+    let active = true;
+    const startedAt = Date.now();
 
-    function setStatus(text, isError = false) {
-      status.textContent = String(text || "");
-      status.className = `gem-actions-status${isError ? " error" : ""}`;
+    function finish(selection) {
+      active = false;
+      overlay.remove();
+      resolve(selection || null);
     }
 
-    function getSelectedAccess() {
-      return GEM_ACTION_ACCESS_OPTIONS[selectedAccessIndex] || GEM_ACTION_ACCESS_OPTIONS[0];
+    function cancelPicker(message) {
+      logEvent({
+        source: "extension.content",
+        level: "warn",
+        event: "project_field_picker.cancelled",
+        actionId: ACTIONS.SET_PROJECT_FIELD,
+        runId,
+        message,
+        link: contextLink
+      });
+      finish(null);
     }
 
-    function cleanup() {
-      disposed = true;
-      overlay.remove();
+    function describeFieldValue(field) {
+      const labels = Array.isArray(field?.currentValueLabels) ? field.currentValueLabels : [];
+      return labels.length > 0 ? labels.join(", ") : "Not set";
+    }
+
+    function buildItems() {
+      const query = String(input.value || "").trim().toLowerCase();
+      const matches = (label) => !query || String(label || "").toLowerCase().includes(query);
+      if (stage === "project") {
+        return projects
+          .filter((project) => matches(project.name))
+          .map((project) => ({ key: project.id, label: project.name, meta: "", value: project }));
+      }
+      if (stage === "field") {
+        return projectFields
+          .filter((field) => matches(field.name))
+          .map((field) => ({ key: field.id, label: field.name, meta: describeFieldValue(field), value: field }));
+      }
+      if (stage === "value" && selectedField?.valueType !== "text") {
+        const items = selectedField.options
+          .filter((option) => matches(option.value))
+          .map((option) => ({
+            key: option.id,
+            label: option.value,
+            meta: selectedOptionIds.has(option.id) ? "✓ Selected" : "",
+            selected: selectedOptionIds.has(option.id),
+            value: option
+          }));
+        if (selectedField.valueType === "single_select" && selectedField.currentOptionIds.length > 0 && !query) {
+          items.unshift({ key: "__clear__", label: "Clear value", meta: "", value: null });
+        }
+        return items;
+      }
+      return [];
     }
 
-    function finish(result) {
-      cleanup();
-      resolve(result || null);
-    }
+    function render() {
+      if (stage === "project") {
+        title.textContent = "Set Project Field";
+        subtitle.textContent = "Pick one of this candidate's projects.";
+        input.placeholder = "Search candidate projects...";
+        hint.textContent = "Enter to choose. Esc to cancel.";
+      } else if (stage === "field") {
+        title.textContent = `Set Project Field: ${selectedProject.name}`;
+        subtitle.textContent = "Pick the project field to update.";
+        input.placeholder = "Search project fields...";
+        hint.textContent = "Enter to choose. Backspace to go back. Esc to cancel.";
+      } else if (selectedField.valueType === "text") {
+        title.textContent = `${selectedField.name} · ${selectedProject.name}`;
+        subtitle.textContent = "Type the new value. Leave empty to clear it.";
+        input.placeholder = "Field value...";
+        hint.textContent = "Enter to save. Esc to cancel.";
+      } else {
+        title.textContent = `${selectedField.name} · ${selectedProject.name}`;
+        subtitle.textContent = `Current: ${describeFieldValue(selectedField)}`;
+        input.placeholder = "Search options...";
+        hint.textContent =
+          selectedField.valueType === "multi_select"
+            ? "Space or click to toggle. Enter to save. Backspace to go back. Esc to cancel."
+            : "Enter to choose. Backspace to go back. Esc to cancel.";
+      }
 
-    function renderAccessList() {
-      accessList.innerHTML = "";
-      GEM_ACTION_ACCESS_OPTIONS.forEach((option, index) => {
+      visibleItems = buildItems();
+      if (activeIndex >= visibleItems.length) {
+        activeIndex = Math.max(0, visibleItems.length - 1);
+      }
+      results.innerHTML = "";
+      results.style.display = stage === "value" && selectedField.valueType === "text" ? "none" : "";
+
+      let emptyText = "";
+      if (loading) {
+        emptyText = stage === "project" ? "Loading candidate projects..." : "Loading project fields...";
+      } else if (loadError) {
+        emptyText = `Could not load: ${loadError}`;
+      } else if (visibleItems.length === 0) {
+        emptyText =
+          stage === "project" && projects.length === 0
+            ? "This candidate is not in any Gem projects."
+            : stage === "field" && projectFields.length === 0
+              ? "No project fields are configured in Gem."
+              : "No matches.";
+      }
+      if (emptyText) {
+        const empty = document.createElement("div");
+        empty.className = "gem-project-field-picker-empty";
+        empty.textContent = emptyText;
+        results.appendChild(empty);
+        return;
+      }
+
+      visibleItems.forEach((entry, index) => {
         const item = document.createElement("div");
-        const selected = selectedAccessIndex === index;
-        item.className = `gem-actions-access-item${selected ? " selected active" : ""}`;
-        item.tabIndex = 0;
-        item.setAttribute("role", "radio");
-        item.setAttribute("aria-checked", selected ? "true" : "false");
+        item.className = `gem-project-field-picker-item${index === activeIndex ? " active" : ""}${
+          entry.selected ? " selected" : ""
+        }`;
+        const label = document.createElement("span");
+        label.textContent = entry.label;
+        item.appendChild(label);
+        if (entry.meta) {
+          const meta = document.createElement("span");
+          meta.className = "gem-project-field-picker-item-meta";
+          meta.textContent = entry.meta;
+          item.appendChild(meta);
+        }
+        item.addEventListener("click", () => {
+          activeIndex = index;
+          chooseActive(true);
+        });
+        results.appendChild(item);
+      });
+    }
 
-        const dot = document.createElement("div");
-        dot.className = "gem-actions-access-dot";
-        const content = document.createElement("div");
-        content.className = "gem-actions-access-content";
-        const optionName = document.createElement("div");
-        optionName.className = "gem-actions-access-name";
-        optionName.textContent = option.label;
-        const optionDescription = document.createElement("div");
-        optionDescription.className = "gem-actions-access-description";
-        optionDescription.textContent = option.description;
-        content.appendChild(optionName);
-        content.appendChild(optionDescription);
-        const hotkey = document.createElement("div");
-        hotkey.className = "gem-actions-access-key";
-        hotkey.textContent = option.key;
+    function setStage(nextStage) {
+      stage = nextStage;
+      activeIndex = 0;
+      input.value = stage === "value" && selectedField.valueType === "text" ? selectedField.currentValueLabels[0] || "" : "";
+      render();
+      input.focus();
+    }
+
+    function submit(selection) {
+      logEvent({
+        source: "extension.content",
+        event: "project_field_picker.submitted",
+        actionId: ACTIONS.SET_PROJECT_FIELD,
+        runId,
+        message: `Project field ${selectedField.name} selected on ${selectedProject.name}.`,
+        link: contextLink,
+        details: {
+          projectId: selectedProject.id,
+          projectFieldId: selectedField.id,
+          valueType: selectedField.valueType,
+          durationMs: Date.now() - startedAt
+        }
+      });
+      finish({
+        projectId: selectedProject.id,
+        projectName: selectedProject.name,
+        projectFieldId: selectedField.id,
+        projectFieldName: selectedField.name,
+        projectFieldValueType: selectedField.valueType,
+        ...selection
+      });
+    }
 
-        item.appendChild(dot);
-        item.appendChild(content);
-        item.appendChild(hotkey);
-        item.addEventListener("click", () => {
-          selectedAccessIndex = index;
-          renderAccessList();
-          item.focus({ preventScroll: true });
-        });
-        item.addEventListener("focus", () => {
-          selectedAccessIndex = index;
-          renderAccessList();
-        });
-        item.addEventListener("keydown", (event) => {
-          if (event.key === "ArrowDown") {
-            event.preventDefault();
-            selectedAccessIndex = (selectedAccessIndex + 1) % GEM_ACTION_ACCESS_OPTIONS.length;
-            renderAccessList();
-            const next = accessList.querySelectorAll(".gem-actions-access-item")[selectedAccessIndex];
-            next?.focus();
+    function submitSelectedOptions() {
+      const optionIds = selectedField.options.map((option) => option.id).filter((id) => selectedOptionIds.has(id));
+      submit({
+        projectFieldOptionIds: optionIds,
+        projectFieldValueLabels: selectedField.options
+          .filter((option) => selectedOptionIds.has(option.id))
+          .map((option) => option.value)
+      });
+    }
+
+    function loadProjectFields() {
+      loading = true;
+      loadError = "";
+      projectFields = [];
+      render();
+      const projectId = selectedProject.id;
+      listProjectFieldsForProject(projectId, runId)
+        .then((data) => {
+          if (!active || selectedProject?.id !== projectId) {
             return;
           }
-          if (event.key === "ArrowUp") {
-            event.preventDefault();
-            selectedAccessIndex =
-              (selectedAccessIndex - 1 + GEM_ACTION_ACCESS_OPTIONS.length) % GEM_ACTION_ACCESS_OPTIONS.length;
-            renderAccessList();
-            const next = accessList.querySelectorAll(".gem-actions-access-item")[selectedAccessIndex];
-            next?.focus();
+          projectFields = data.projectFields;
+          loading = false;
+          render();
+        })
+        .catch((error) => {
+          if (!active) {
+            return;
           }
+          loading = false;
+          loadError = error.message || "Unknown error.";
+          render();
         });
-        accessList.appendChild(item);
-      });
     }
 
-    function updateConfirmation() {
-      if (!confirmVisible) {
-        confirmMask.classList.remove("visible");
+    function chooseActive(fromClick = false) {
+      if (loading) {
         return;
       }
-      const projectName = String(nameInput.value || "").trim();
-      const projectDescription = String(descriptionInput.value || "").trim();
-      const access = getSelectedAccess();
-      confirmBody.textContent =
-        `Create project "${projectName}"?\n` +
-        `Access: ${access.label}\n` +
-        `Description: ${projectDescription || "(none)"}`;
-      confirmMask.classList.add("visible");
-      confirmOk.focus();
-    }
-
-    function openConfirmation() {
-      if (creating) {
+      if (stage === "value" && selectedField.valueType === "text") {
+        submit({ projectFieldText: String(input.value || "").trim() });
         return;
       }
-      const projectName = String(nameInput.value || "").trim();
-      if (!projectName) {
-        setStatus("Project name is required.", true);
-        nameInput.focus();
+      const entry = visibleItems[activeIndex];
+      if (stage === "value" && selectedField.valueType === "multi_select") {
+        if (fromClick && entry) {
+          toggleOption(entry);
+          return;
+        }
+        submitSelectedOptions();
         return;
       }
-      setStatus("");
-      confirmVisible = true;
-      updateConfirmation();
+      if (!entry) {
+        return;
+      }
+      if (stage === "project") {
+        selectedProject = entry.value;
+        setStage("field");
+        loadProjectFields();
+        return;
+      }
+      if (stage === "field") {
+        selectedField = entry.value;
+        selectedOptionIds = new Set(selectedField.currentOptionIds);
+        setStage("value");
+        return;
+      }
+      submit({
+        projectFieldOptionIds: entry.value ? [entry.value.id] : [],
+        projectFieldValueLabels: entry.value ? [entry.value.value] : []
+      });
     }
 
-    function closeConfirmation() {
-      if (!confirmVisible || creating) {
+    function toggleOption(entry) {
+      if (!entry?.value) {
         return;
       }
-      confirmVisible = false;
-      updateConfirmation();
-      nameInput.focus();
+      if (selectedOptionIds.has(entry.value.id)) {
+        selectedOptionIds.delete(entry.value.id);
+      } else {
+        selectedOptionIds.add(entry.value.id);
+      }
+      render();
     }
 
-    function isEditableTarget(node) {
-      if (!node || typeof node !== "object") {
-        return false;
-      }
-      const tagName = String(node.tagName || "").toLowerCase();
-      if (node.isContentEditable) {
+    function goBack() {
+      if (stage === "value") {
+        selectedField = null;
+        setStage("field");
         return true;
       }
-      if (tagName === "textarea") {
+      if (stage === "field") {
+        selectedProject = null;
+        loading = false;
+        loadError = "";
+        setStage("project");
         return true;
       }
-      if (tagName !== "input") {
-        return false;
-      }
-      const type = String(node.type || "").toLowerCase();
-      return !["checkbox", "radio", "button", "submit", "reset", "file", "range", "color"].includes(type);
+      return false;
     }
 
-    async function confirmCreation() {
-      if (creating) {
+    input.addEventListener("input", () => {
+      activeIndex = 0;
+      render();
+    });
+    input.addEventListener("keydown", (event) => {
+      const isTextValue = stage === "value" && selectedField?.valueType === "text";
+      if (event.key === "Escape") {
+        event.preventDefault();
+        cancelPicker("Project field picker cancelled.");
         return;
       }
-      const projectName = String(nameInput.value || "").trim();
-      if (!projectName) {
-        setStatus("Project name is required.", true);
-        confirmVisible = false;
-        updateConfirmation();
-        nameInput.focus();
+      if (event.key === "Enter") {
+        event.preventDefault();
+        chooseActive();
         return;
       }
-      creating = true;
-      setStatus("Creating project...");
-      confirmOk.disabled = true;
-      confirmCancel.disabled = true;
-      try {
-        const access = getSelectedAccess();
-        const createResult = await createGemProject(projectName, descriptionInput.value || "", access.value, runId);
-        const project = createResult?.project || {};
-        const projectUrl = String(project.url || buildGemProjectUrl(project.id, project.name || projectName) || "").trim();
-        if (!projectUrl) {
-          throw new Error("Gem did not return a project URL.");
-        }
-        await openGemNavigation(projectUrl, runId, {
-          actionId: ACTIONS.GEM_ACTIONS,
-          openInBackground: false
-        });
-        showToast(createResult?.message || "Created project.");
-        await logEvent({
-          source: "extension.content",
-          event: "gem_actions.project.created",
-          actionId: ACTIONS.GEM_ACTIONS,
-          runId,
-          message: createResult?.message || "Created Gem project.",
-          link: projectUrl,
-          details: {
-            projectId: String(project.id || ""),
-            projectName: String(project.name || projectName),
-            privacyType: access.value
-          }
-        });
-        finish({
-          project
-        });
-      } catch (error) {
-        setStatus(error.message || "Could not create project.", true);
-        showToast(error.message || "Could not create project.", true);
-        creating = false;
-        confirmOk.disabled = false;
-        confirmCancel.disabled = false;
-        confirmVisible = false;
-        updateConfirmation();
+      if (isTextValue) {
+        return;
       }
-    }
-
-    overlay.addEventListener(
-      "keydown",
-      (event) => {
-        if (confirmVisible) {
-          if (event.key === "Enter") {
-            event.preventDefault();
-            confirmCreation();
-            return;
-          }
-          if (event.key === "Escape") {
-            event.preventDefault();
-            closeConfirmation();
-            return;
-          }
-        }
-
-        if (event.key === "Escape") {
-          event.preventDefault();
-          finish(null);
-          return;
-        }
-        if (event.metaKey || event.ctrlKey || event.altKey) {
-          return;
-        }
-        const isTextEntryTarget = isEditableTarget(event.target);
-        const key = String(event.key || "").trim().toLowerCase();
-        const accessIndex = GEM_ACTION_ACCESS_OPTIONS.findIndex((option) => option.key === key);
-        if (accessIndex >= 0) {
-          if (isTextEntryTarget) {
-            return;
-          }
-          event.preventDefault();
-          selectedAccessIndex = accessIndex;
-          renderAccessList();
-          return;
-        }
-        if (event.key === "Enter") {
-          event.preventDefault();
-          openConfirmation();
-        }
-      },
-      true
-    );
-
-    overlay.addEventListener("click", (event) => {
-      if (event.target === overlay && !confirmVisible && !creating) {
-        finish(null);
+      if (event.key === "Backspace" && !input.value && goBack()) {
+        event.preventDefault();
+        return;
+      }
+      if (event.key === " " && stage === "value" && selectedField?.valueType === "multi_select") {
+        event.preventDefault();
+        toggleOption(visibleItems[activeIndex]);
+        return;
+      }
+      if ((event.key === "ArrowDown" || event.key === "ArrowUp") && visibleItems.length > 0) {
+        event.preventDefault();
+        const delta = event.key === "ArrowDown" ? 1 : -1;
+        activeIndex = (activeIndex + delta + visibleItems.length) % visibleItems.length;
+        render();
       }
     });
-    confirmOk.addEventListener("click", () => {
-      confirmCreation();
-    });
-    confirmCancel.addEventListener("click", () => {
-      closeConfirmation();
-    });
-    confirmMask.addEventListener("click", (event) => {
-      if (event.target === confirmMask) {
-        closeConfirmation();
+
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        cancelPicker("Project field picker cancelled by outside click.");
       }
     });
 
-    renderAccessList();
-    nameInput.focus();
-    if (nameInput.value) {
-      nameInput.select();
-    }
+    render();
+    input.focus();
 
     logEvent({
       source: "extension.content",
-      event: "gem_actions.project_create.opened",
-      actionId: ACTIONS.GEM_ACTIONS,
+      event: "project_field_picker.opened",
+      actionId: ACTIONS.SET_PROJECT_FIELD,
       runId,
-      message: "Gem project creation form opened.",
-      link: window.location.href
+      message: "Project field picker opened.",
+      link: contextLink
     });
+
+    Promise.all([listCandidateProjectIdsForContext(context, runId), listProjects("", runId, { preferCache: true })])
+      .then(([membership, allProjects]) => {
+        if (!active) {
+          return;
+        }
+        const projectsById = new Map(allProjects.map((project) => [project.id, project]));
+        projects = membership.projectIds
+          .map((projectId) => ({
+            id: projectId,
+            name: String(projectsById.get(projectId)?.name || projectId)
+          }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+        loading = false;
+        render();
+      })
+      .catch((error) => {
+        if (!active) {
+          return;
+        }
+        loading = false;
+        loadError = error.message || "Unknown error.";
+        render();
+      });
   });
 }
 
-async function showGemProjectNavigator(runId) {
-  createGemActionsStyles();
+async function showProjectPicker(runId, linkedinUrl, options = {}) {
+  createProjectPickerStyles();
+
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
-    overlay.id = "gem-actions-overlay";
+    overlay.id = "gem-project-picker-overlay";
+
     const modal = document.createElement("div");
-    modal.id = "gem-actions-modal";
+    modal.id = "gem-project-picker-modal";
 
     const title = document.createElement("div");
-    title.id = "gem-actions-title";
-    title.textContent = "Search project + open";
+    title.id = "gem-project-picker-title";
+    title.textContent = "Add Candidate to Project";
+
     const subtitle = document.createElement("div");
-    subtitle.id = "gem-actions-subtitle";
-    subtitle.textContent = "Type project name, use arrows to choose, press Enter to open.";
+    subtitle.id = "gem-project-picker-subtitle";
+    const defaultSubtitle = "Type project name, use arrow keys to choose, press Enter to confirm.";
+    subtitle.textContent = defaultSubtitle;
 
     const input = document.createElement("input");
-    input.id = "gem-actions-input";
+    input.id = "gem-project-picker-input";
     input.type = "text";
     input.placeholder = "Search projects by name...";
     input.autocomplete = "off";
 
-    const list = document.createElement("div");
-    list.id = "gem-actions-list";
+    const results = document.createElement("div");
+    results.id = "gem-project-picker-results";
+
     const hint = document.createElement("div");
-    hint.className = "gem-actions-hint";
-    hint.textContent = "Esc to cancel. Cmd+Enter / Cmd+click opens in background tab.";
+    hint.className = "gem-project-picker-hint";
+    hint.textContent = "Esc to cancel.";
 
     modal.appendChild(title);
     modal.appendChild(subtitle);
     modal.appendChild(input);
-    modal.appendChild(list);
+    modal.appendChild(results);
     modal.appendChild(hint);
     overlay.appendChild(modal);
     document.documentElement.appendChild(overlay);
 
     const projectMemory = getProjectMemoryEntry();
     const hasProjectMemory = Boolean(projectMemory.entry);
+    let selectedIndex = 0;
+    let filteredProjects = [];
+    let allProjects = hasProjectMemory ? normalizeProjectsForPicker(projectMemory.entry.projects) : [];
     let loading = !hasProjectMemory;
     let loadError = "";
-    let allProjects = hasProjectMemory ? normalizeProjectsForPicker(projectMemory.entry.projects) : [];
-    let selectedIndex = 0;
-    let visibleRows = [];
-    let active = true;
     const startedAt = Date.now();
+    let active = true;
     let cachedSignature = "";
     let hasAppliedForceRefresh = false;
+    // Membership marks only apply when the picker targets a single candidate.
+    const membershipContext = options.context || null;
+    let memberProjectIds = new Set();
+    let pendingRemovalId = "";
 
     function getProjectSignature(projects) {
       const normalized = Array.isArray(projects) ? projects : [];
@@ -8450,151 +13173,200 @@ async function showGemProjectNavigator(runId) {
       overlay.remove();
     }
 
-    function finish(result) {
+    function finish(selected) {
       cleanup();
-      resolve(result || null);
+      resolve(selected || null);
     }
 
-    function buildVisibleRows() {
-      const filteredProjects = filterProjectsByQuery(allProjects, input.value || "");
-      if (filteredProjects.length > 0) {
-        return filteredProjects.map((project) => ({
-          kind: "project",
-          project,
-          id: String(project.id || ""),
-          title: String(project.name || project.id || ""),
-          subtitle: "Open project in Gem"
-        }));
+    function setPendingRemoval(projectId) {
+      pendingRemovalId = projectId || "";
+      const pendingProject = pendingRemovalId ? allProjects.find((project) => project.id === pendingRemovalId) : null;
+      hint.textContent = pendingProject
+        ? `Press Enter again to remove this candidate from ${pendingProject.name || pendingProject.id}.`
+        : "Esc to cancel.";
+    }
+
+    function selectProject(project) {
+      if (!project) {
+        return;
       }
-      const query = String(input.value || "").trim();
-      if (!query) {
-        return [];
+      if (memberProjectIds.has(project.id)) {
+        if (pendingRemovalId !== project.id) {
+          setPendingRemoval(project.id);
+          renderList();
+          return;
+        }
+        logEvent({
+          source: "extension.content",
+          event: "project_picker.removal_selected",
+          actionId: ACTIONS.ADD_TO_PROJECT,
+          runId,
+          message: `Selected project ${project.name || project.id} for removal.`,
+          link: linkedinUrl,
+          details: {
+            projectId: project.id,
+            projectName: project.name || ""
+          }
+        });
+        finish({
+          id: project.id,
+          name: project.name || "",
+          action: "remove"
+        });
+        return;
       }
-      return [
-        {
-          kind: "create",
-          id: "__create__",
-          title: `Create a new project: ${query}`,
-          subtitle: "Open create project form with this name prefilled",
-          createName: query
+      logEvent({
+        source: "extension.content",
+        event: "project_picker.selected",
+        actionId: ACTIONS.ADD_TO_PROJECT,
+        runId,
+        message: `Selected project ${project.name || project.id}.`,
+        link: linkedinUrl,
+        details: {
+          projectId: project.id,
+          projectName: project.name || ""
         }
-      ];
+      });
+      finish({
+        id: project.id,
+        name: project.name || ""
+      });
     }
 
     function renderList() {
-      visibleRows = buildVisibleRows();
-      if (selectedIndex >= visibleRows.length) {
-        selectedIndex = Math.max(0, visibleRows.length - 1);
+      filteredProjects = filterProjectsByQuery(allProjects, input.value || "");
+      if (memberProjectIds.size > 0 && !String(input.value || "").trim()) {
+        filteredProjects = [
+          ...filteredProjects.filter((project) => memberProjectIds.has(project.id)),
+          ...filteredProjects.filter((project) => !memberProjectIds.has(project.id))
+        ];
+      }
+      if (selectedIndex >= filteredProjects.length) {
+        selectedIndex = Math.max(0, filteredProjects.length - 1);
       }
       if (selectedIndex < 0) {
         selectedIndex = 0;
       }
 
-      list.innerHTML = "";
+      results.innerHTML = "";
       if (loading) {
         const loadingNode = document.createElement("div");
-        loadingNode.className = "gem-actions-empty";
+        loadingNode.className = "gem-project-picker-empty";
         loadingNode.textContent = "Loading projects...";
-        list.appendChild(loadingNode);
+        results.appendChild(loadingNode);
         return;
       }
       if (loadError) {
         const errorNode = document.createElement("div");
-        errorNode.className = "gem-actions-empty";
+        errorNode.className = "gem-project-picker-empty";
         errorNode.textContent = `Could not load projects: ${loadError}`;
-        list.appendChild(errorNode);
+        results.appendChild(errorNode);
         return;
       }
-      if (visibleRows.length === 0) {
+      if (filteredProjects.length === 0) {
         const empty = document.createElement("div");
-        empty.className = "gem-actions-empty";
+        empty.className = "gem-project-picker-empty";
         empty.textContent = "No matching projects.";
-        list.appendChild(empty);
+        results.appendChild(empty);
         return;
       }
 
-      visibleRows.forEach((row, index) => {
+      filteredProjects.forEach((project, index) => {
         const item = document.createElement("div");
-        item.className = `gem-actions-item${index === selectedIndex ? " active" : ""}`;
-        const main = document.createElement("div");
-        main.className = "gem-actions-main";
-        main.textContent = row.title || "";
-        const meta = document.createElement("div");
-        meta.className = "gem-actions-meta";
-        meta.textContent = row.subtitle || "";
-        item.appendChild(main);
-        item.appendChild(meta);
+        const isMember = memberProjectIds.has(project.id);
+        item.className = `gem-project-picker-item${index === selectedIndex ? " active" : ""}${isMember ? " member" : ""}${
+          pendingRemovalId === project.id ? " pending-removal" : ""
+        }`;
+        if (isMember) {
+          const name = document.createElement("span");
+          name.textContent = project.name || project.id;
+          const badge = document.createElement("span");
+          badge.className = "gem-project-picker-member-badge";
+          badge.textContent = pendingRemovalId === project.id ? "Remove?" : "✓ In project";
+          item.appendChild(name);
+          item.appendChild(badge);
+        } else {
+          item.textContent = project.name || project.id;
+        }
         item.addEventListener("mouseenter", () => {
           if (selectedIndex === index) {
             return;
           }
           selectedIndex = index;
+          setPendingRemoval("");
           renderList();
         });
         item.addEventListener("click", (event) => {
-          const openInBackground = row.kind === "project" ? getBackgroundOpenFromEvent(event) : false;
-          finish({
-            ...row,
-            openInBackground
-          });
+          event.preventDefault();
+          event.stopPropagation();
+          selectProject(project);
         });
-        list.appendChild(item);
+        results.appendChild(item);
       });
     }
 
     input.addEventListener("input", () => {
       selectedIndex = 0;
+      setPendingRemoval("");
       renderList();
     });
-
-    overlay.addEventListener(
-      "keydown",
-      (event) => {
-        if (event.key === "Escape") {
-          event.preventDefault();
-          finish(null);
-          return;
-        }
-        if (loading) {
-          return;
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "ArrowDown") {
+        event.preventDefault();
+        if (!loading && filteredProjects.length > 0) {
+          selectedIndex = (selectedIndex + 1) % filteredProjects.length;
+          setPendingRemoval("");
+          renderList();
         }
-        if (event.key === "ArrowDown") {
-          event.preventDefault();
-          if (visibleRows.length > 0) {
-            selectedIndex = (selectedIndex + 1) % visibleRows.length;
-            renderList();
-          }
-          return;
+        return;
+      }
+      if (event.key === "ArrowUp") {
+        event.preventDefault();
+        if (!loading && filteredProjects.length > 0) {
+          selectedIndex = (selectedIndex - 1 + filteredProjects.length) % filteredProjects.length;
+          setPendingRemoval("");
+          renderList();
         }
-        if (event.key === "ArrowUp") {
-          event.preventDefault();
-          if (visibleRows.length > 0) {
-            selectedIndex = (selectedIndex - 1 + visibleRows.length) % visibleRows.length;
-            renderList();
-          }
-          return;
+        return;
+      }
+      if (event.key === "Enter") {
+        event.preventDefault();
+        if (!loading && filteredProjects.length > 0) {
+          selectProject(filteredProjects[selectedIndex]);
         }
-        if (event.key === "Enter") {
-          if (visibleRows.length === 0) {
-            return;
-          }
-          event.preventDefault();
-          const row = visibleRows[selectedIndex] || null;
-          if (!row) {
-            return;
-          }
-          finish({
-            ...row,
-            openInBackground: row.kind === "project" ? getBackgroundOpenFromEvent(event) : false
-          });
+        return;
+      }
+      if (event.key === "Escape") {
+        event.preventDefault();
+        if (pendingRemovalId) {
+          setPendingRemoval("");
+          renderList();
           return;
         }
-      },
-      true
-    );
+        logEvent({
+          source: "extension.content",
+          level: "warn",
+          event: "project_picker.cancelled",
+          actionId: ACTIONS.ADD_TO_PROJECT,
+          runId,
+          message: "Project picker cancelled.",
+          link: linkedinUrl
+        });
+        finish(null);
+      }
+    });
 
     overlay.addEventListener("click", (event) => {
       if (event.target === overlay) {
+        logEvent({
+          source: "extension.content",
+          level: "warn",
+          event: "project_picker.cancelled",
+          actionId: ACTIONS.ADD_TO_PROJECT,
+          runId,
+          message: "Project picker cancelled by outside click.",
+          link: linkedinUrl
+        });
         finish(null);
       }
     });
@@ -8604,11 +13376,11 @@ async function showGemProjectNavigator(runId) {
 
     logEvent({
       source: "extension.content",
-      event: "gem_actions.project_search.opened",
-      actionId: ACTIONS.GEM_ACTIONS,
+      event: "project_picker.opened",
+      actionId: ACTIONS.ADD_TO_PROJECT,
       runId,
-      message: "Gem project search opened.",
-      link: window.location.href
+      message: "Project picker opened.",
+      link: linkedinUrl
     });
 
     if (!hasProjectMemory) {
@@ -8617,24 +13389,37 @@ async function showGemProjectNavigator(runId) {
           if (!active) {
             return;
           }
-          const cached = projects.filter((project) => !project.archived);
-          cachedSignature = getProjectSignature(cached);
-          if (cached.length > 0 && !hasAppliedForceRefresh) {
-            allProjects = cached;
+          const cachedProjects = projects.filter((project) => !project.archived);
+          cachedSignature = getProjectSignature(cachedProjects);
+          if (cachedProjects.length > 0 && !hasAppliedForceRefresh) {
+            allProjects = cachedProjects;
             loading = false;
             loadError = "";
             renderList();
           }
           await logEvent({
             source: "extension.content",
-            event: "gem_actions.project_search.cache_loaded",
-            actionId: ACTIONS.GEM_ACTIONS,
+            event: "project_picker.cache_loaded",
+            actionId: ACTIONS.ADD_TO_PROJECT,
+            runId,
+            message: `Loaded ${cachedProjects.length} cached projects for picker.`,
+            link: linkedinUrl
+          });
+        })
+        .catch(async (_error) => {
+          if (!active) {
+            return;
+          }
+          await logEvent({
+            source: "extension.content",
+            level: "warn",
+            event: "project_picker.cache_load_failed",
+            actionId: ACTIONS.ADD_TO_PROJECT,
             runId,
-            message: `Loaded ${cached.length} cached projects for navigation.`,
-            link: window.location.href
+            message: "Could not load cached projects for picker.",
+            link: linkedinUrl
           });
-        })
-        .catch(() => {});
+        });
     } else {
       cachedSignature = getProjectSignature(allProjects.filter((project) => !project.archived));
     }
@@ -8645,26 +13430,27 @@ async function showGemProjectNavigator(runId) {
           if (!active) {
             return;
           }
-          const refreshed = projects.filter((project) => !project.archived);
-          const refreshedSignature = getProjectSignature(refreshed);
+          const refreshedProjects = projects.filter((project) => !project.archived);
+          const refreshedSignature = getProjectSignature(refreshedProjects);
           hasAppliedForceRefresh = true;
-          allProjects = refreshed;
+          allProjects = refreshedProjects;
           loading = false;
           loadError = "";
           renderList();
           await logEvent({
             source: "extension.content",
-            event: isRetry ? "gem_actions.project_search.retry_loaded" : "gem_actions.project_search.loaded",
-            actionId: ACTIONS.GEM_ACTIONS,
+            event: isRetry ? "project_picker.retry_loaded" : "project_picker.loaded",
+            actionId: ACTIONS.ADD_TO_PROJECT,
             runId,
-            message: `Loaded ${allProjects.length} projects for navigation.`,
-            link: window.location.href,
+            message: `Project picker ${isRetry ? "retry " : ""}loaded ${allProjects.length} projects.`,
+            link: linkedinUrl,
             details: {
               durationMs: Date.now() - startedAt
             }
           });
 
-          // Retry once if fresh result looks identical to cache to avoid stale in-flight cache races.
+          // If refresh result equals cache exactly, retry once with a forced new refresh
+          // to avoid stale in-flight refresh races after recent project creation.
           if (!isRetry && active && cachedSignature && refreshedSignature === cachedSignature) {
             setTimeout(() => {
               if (!active) {
@@ -8678,7 +13464,7 @@ async function showGemProjectNavigator(runId) {
           if (!active) {
             return;
           }
-          const message = error.message || "Failed to load projects.";
+          const message = error.message || "Failed to refresh project list.";
           const usedCachedProjects = allProjects.length > 0;
           if (!usedCachedProjects) {
             loading = false;
@@ -8689,125 +13475,710 @@ async function showGemProjectNavigator(runId) {
           await logEvent({
             source: "extension.content",
             level: usedCachedProjects ? "warn" : "error",
-            event: isRetry ? "gem_actions.project_search.retry_failed" : "gem_actions.project_search.load_failed",
-            actionId: ACTIONS.GEM_ACTIONS,
+            event: isRetry ? "project_picker.retry_failed" : "project_picker.load_failed",
+            actionId: ACTIONS.ADD_TO_PROJECT,
             runId,
             message,
-            link: window.location.href
+            link: linkedinUrl,
+            details: {
+              durationMs: Date.now() - startedAt,
+              usedCachedProjects
+            }
           });
         });
     }
 
-    runForceRefresh().catch(() => {});
+    runForceRefresh(false).catch(() => {});
+
+    if (membershipContext) {
+      listCandidateProjectIdsForContext(membershipContext, runId)
+        .then((data) => {
+          if (!active) {
+            return;
+          }
+          memberProjectIds = new Set(data.projectIds);
+          if (memberProjectIds.size > 0) {
+            subtitle.textContent = `${defaultSubtitle} ✓ marks projects this candidate is already in; choose one to remove them.`;
+          }
+          renderList();
+        })
+        .catch((error) => {
+          logEvent({
+            source: "extension.content",
+            level: "warn",
+            event: "project_picker.memberships_failed",
+            actionId: ACTIONS.ADD_TO_PROJECT,
+            runId,
+            message: error.message || "Could not load candidate project memberships.",
+            link: linkedinUrl
+          });
+        });
+    }
   });
 }
 
-function formatGemPeopleMeta(candidate) {
-  const parts = [];
-  const primaryEmail = String(candidate?.primaryEmail || "").trim();
-  const title = String(candidate?.title || "").trim();
-  const company = String(candidate?.company || "").trim();
-  const school = String(candidate?.school || "").trim();
-  if (primaryEmail) {
-    parts.push(primaryEmail);
+function findLinkedInPeopleListRowElement(anchor) {
+  for (const selector of LINKEDIN_PEOPLE_LIST_ROW_SELECTORS) {
+    const row = anchor.closest(selector);
+    if (row) {
+      return row;
+    }
   }
-  if (title && company) {
-    parts.push(`${title} at ${company}`);
-  } else if (title) {
-    parts.push(title);
-  } else if (company) {
-    parts.push(company);
+  // Bare list items also cover nav menus and ads, so only accept ones that hold a public profile link.
+  for (const selector of LINKEDIN_PEOPLE_LIST_ROW_FALLBACK_SELECTORS) {
+    const row = anchor.closest(selector);
+    if (row && row.querySelector("a[href*='/in/']") && !row.closest(LINKEDIN_PEOPLE_LIST_ROW_EXCLUDED_CONTAINERS)) {
+      return row;
+    }
   }
-  if (school) {
-    parts.push(school);
+  return null;
+}
+
+function getLinkedInPeopleListRowName(row) {
+  const nodes = [
+    row.querySelector("[data-test-row-lockup-full-name]"),
+    row.querySelector(".artdeco-entity-lockup__title"),
+    ...Array.from(row.querySelectorAll("a[href*='/in/'] span[aria-hidden='true'], a[href*='/profile/'] span[aria-hidden='true']")),
+    ...Array.from(row.querySelectorAll("a[href*='/in/'], a[href*='/profile/']"))
+  ];
+  for (const node of nodes) {
+    const text = String(node?.textContent || "")
+      .split("\n")
+      .map((part) => part.replace(/\s+/g, " ").trim())
+      .find(Boolean);
+    if (text && text.length <= 120 && !/^(?:view|linkedin member)\b/i.test(text)) {
+      return text;
+    }
   }
-  return parts.join(" • ");
+  return "";
 }
 
-async function showGemPeopleSearch(runId) {
-  createGemActionsStyles();
+function collectLinkedInPeopleListRows() {
+  const root = document.querySelector("main") || document.body;
+  if (!root) {
+    return [];
+  }
+  const rowsByElement = new Map();
+  const seenKeys = new Set();
+  Array.from(root.querySelectorAll("a[href*='/in/'], a[href*='/talent/'][href*='/profile/']"))
+    .slice(0, BULK_PROJECT_ROW_SCAN_LIMIT)
+    .forEach((anchor) => {
+      if (anchor.closest("#gem-bulk-project-panel")) {
+        return;
+      }
+      const href = String(anchor.getAttribute("href") || "").trim();
+      const linkedinUrl = toCanonicalLinkedInPublicProfileUrl(href);
+      const absoluteHref = normalizeUrlForContext(href);
+      const recruiterProfileUrl = !linkedinUrl && isLinkedInRecruiterProfilePage(absoluteHref) ? absoluteHref : "";
+      if (!linkedinUrl && !recruiterProfileUrl) {
+        return;
+      }
+      const element = findLinkedInPeopleListRowElement(anchor);
+      if (!element) {
+        return;
+      }
+      const existing = rowsByElement.get(element);
+      if (existing) {
+        if (!existing.context.linkedinUrl && linkedinUrl) {
+          existing.context.linkedinUrl = linkedinUrl;
+          existing.context.linkedInHandle = getLinkedInHandle(linkedinUrl);
+        }
+        return;
+      }
+      const key = getLinkedInHandle(linkedinUrl).toLowerCase() || recruiterProfileUrl;
+      if (!key || seenKeys.has(key)) {
+        return;
+      }
+      seenKeys.add(key);
+      rowsByElement.set(element, {
+        key,
+        element,
+        context: {
+          key,
+          sourcePlatform: "linkedin",
+          pageUrl: normalizePageUrlForWatcher(window.location.href),
+          profileUrl: linkedinUrl || recruiterProfileUrl,
+          linkedinUrl,
+          linkedInHandle: getLinkedInHandle(linkedinUrl),
+          profileName: getLinkedInPeopleListRowName(element)
+        }
+      });
+    });
+  return Array.from(rowsByElement.values());
+}
+
+async function runGmailThreadAddToProject(runId, context) {
+  const project = await showProjectPicker(runId, getEmailThreadUrl(context) || window.location.href);
+  if (!project?.id) {
+    return { ok: false, message: "Action cancelled." };
+  }
+  createBulkProjectPanelStyles();
+  const projectLabel = project.name || project.id;
+
+  const panel = document.createElement("div");
+  panel.id = "gem-bulk-project-panel";
+  const title = document.createElement("div");
+  title.id = "gem-bulk-project-title";
+  title.textContent = "Add Thread People to Project";
+  const summary = document.createElement("div");
+  summary.id = "gem-bulk-project-summary";
+  summary.textContent = `Adding thread participants to ${projectLabel}...`;
+  const results = document.createElement("div");
+  results.id = "gem-bulk-project-results";
+  const buttons = document.createElement("div");
+  buttons.id = "gem-bulk-project-buttons";
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.className = "gem-bulk-project-button";
+  closeButton.textContent = "Close";
+  closeButton.disabled = true;
+  buttons.appendChild(closeButton);
+  panel.appendChild(title);
+  panel.appendChild(summary);
+  panel.appendChild(results);
+  panel.appendChild(buttons);
+  document.documentElement.appendChild(panel);
+
+  const closePanel = () => {
+    window.removeEventListener("keydown", onPanelKeyDown, true);
+    panel.remove();
+  };
+  function onPanelKeyDown(event) {
+    if (event.key !== "Escape" || closeButton.disabled) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    closePanel();
+  }
+  closeButton.addEventListener("click", closePanel);
+  window.addEventListener("keydown", onPanelKeyDown, true);
+
+  const startedAt = Date.now();
+  let rows = [];
+  try {
+    rows = await addGmailParticipantsToProject(
+      { ...context, threadParticipants: getGmailExternalParticipants() },
+      project.id,
+      project.name,
+      runId
+    );
+  } catch (error) {
+    closeButton.disabled = false;
+    summary.textContent = error.message || "Could not add thread participants to project.";
+    return { ok: false, message: summary.textContent };
+  }
+
+  rows.forEach((row) => {
+    const item = document.createElement("div");
+    item.className = "gem-bulk-project-result";
+    const name = document.createElement("span");
+    name.className = "gem-bulk-project-result-name";
+    name.textContent = row.name ? `${row.name} <${row.email}>` : row.email;
+    name.title = row.link || row.email;
+    const status = document.createElement("span");
+    status.className = `gem-bulk-project-result-status ${row.ok ? "ok" : "error"}`;
+    status.textContent = row.ok ? (row.created ? "Created + added" : "Added") : `Failed: ${row.message || "No result returned."}`;
+    item.appendChild(name);
+    item.appendChild(status);
+    results.appendChild(item);
+  });
+
+  const addedCount = rows.filter((row) => row.ok).length;
+  const failedCount = rows.length - addedCount;
+  const message =
+    failedCount > 0
+      ? `Added ${addedCount}/${rows.length} thread participants to ${projectLabel}.`
+      : `Added ${addedCount} thread participant${addedCount === 1 ? "" : "s"} to ${projectLabel}.`;
+  summary.textContent = message;
+  closeButton.disabled = false;
+  closeButton.focus();
+  await logEvent({
+    source: "extension.content",
+    level: failedCount > 0 ? "warn" : "info",
+    event: "gmail_thread_project.completed",
+    actionId: ACTIONS.ADD_THREAD_TO_PROJECT,
+    runId,
+    message,
+    link: getEmailThreadUrl(context) || window.location.href,
+    details: {
+      projectId: project.id,
+      addedCount,
+      failedCount,
+      durationMs: Date.now() - startedAt
+    }
+  });
+  return { ok: addedCount > 0, message };
+}
+
+async function runLinkedInBulkAddToProject(runId) {
+  createBulkProjectPanelStyles();
+
+  return new Promise((resolve) => {
+    const panel = document.createElement("div");
+    panel.id = "gem-bulk-project-panel";
+
+    const title = document.createElement("div");
+    title.id = "gem-bulk-project-title";
+    title.textContent = "Bulk Add to Project";
+
+    const summary = document.createElement("div");
+    summary.id = "gem-bulk-project-summary";
+
+    const buttons = document.createElement("div");
+    buttons.id = "gem-bulk-project-buttons";
+
+    const createButton = (label, className = "") => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `gem-bulk-project-button${className ? ` ${className}` : ""}`;
+      button.textContent = label;
+      buttons.appendChild(button);
+      return button;
+    };
+    const addButton = createButton("Add to project...", "primary");
+    const selectPageButton = createButton("Select page");
+    const clearButton = createButton("Clear");
+    const closeButton = createButton("Close");
+
+    const results = document.createElement("div");
+    results.id = "gem-bulk-project-results";
+
+    const hint = document.createElement("div");
+    hint.className = "gem-bulk-project-hint";
+    hint.textContent = "Tick rows in the list. Selection is kept across result pages. Esc to close.";
+
+    panel.appendChild(title);
+    panel.appendChild(summary);
+    panel.appendChild(buttons);
+    panel.appendChild(results);
+    panel.appendChild(hint);
+    document.documentElement.appendChild(panel);
+
+    const selected = new Map();
+    const rowStatuses = new Map();
+    const resultNodes = new Map();
+    let visibleRows = [];
+    let running = false;
+    let active = true;
+    let rescanTimerId = 0;
+    let observer = null;
+
+    function setRowStatus(key, text, tone = "") {
+      rowStatuses.set(key, { text, tone });
+      const row = visibleRows.find((entry) => entry.key === key);
+      const statusNode = row?.element.querySelector(".gem-bulk-project-row-status");
+      if (statusNode) {
+        statusNode.textContent = text;
+        statusNode.className = `gem-bulk-project-row-status${tone ? ` ${tone}` : ""}`;
+      }
+      const resultNode = resultNodes.get(key);
+      if (resultNode) {
+        resultNode.status.textContent = text;
+        resultNode.status.className = `gem-bulk-project-result-status${tone ? ` ${tone}` : ""}`;
+      }
+    }
+
+    function renderSummary(progressText = "") {
+      summary.textContent =
+        progressText || `${selected.size} selected · ${visibleRows.length} people on this page`;
+      addButton.disabled = running || selected.size === 0;
+      selectPageButton.disabled = running || visibleRows.length === 0;
+      clearButton.disabled = running || selected.size === 0;
+      closeButton.disabled = running;
+    }
+
+    function injectRowToggles() {
+      visibleRows = collectLinkedInPeopleListRows();
+      visibleRows.forEach((row) => {
+        if (row.element.getAttribute(BULK_PROJECT_ROW_KEY_ATTR) === row.key) {
+          const checkbox = row.element.querySelector(".gem-bulk-project-row-toggle input");
+          if (checkbox) {
+            checkbox.checked = selected.has(row.key);
+            checkbox.disabled = running;
+          }
+          return;
+        }
+        row.element.querySelector(".gem-bulk-project-row-toggle")?.remove();
+        row.element.setAttribute(BULK_PROJECT_ROW_KEY_ATTR, row.key);
+        const toggle = document.createElement("label");
+        toggle.className = "gem-bulk-project-row-toggle";
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = selected.has(row.key);
+        checkbox.disabled = running;
+        const label = document.createElement("span");
+        label.textContent = "Gem";
+        const status = document.createElement("span");
+        const rowStatus = rowStatuses.get(row.key);
+        status.className = `gem-bulk-project-row-status${rowStatus?.tone ? ` ${rowStatus.tone}` : ""}`;
+        status.textContent = rowStatus?.text || "";
+        checkbox.addEventListener("change", () => {
+          if (checkbox.checked) {
+            selected.set(row.key, row.context);
+          } else {
+            selected.delete(row.key);
+          }
+          renderSummary();
+        });
+        toggle.addEventListener("click", (event) => {
+          event.stopPropagation();
+        });
+        toggle.appendChild(checkbox);
+        toggle.appendChild(label);
+        toggle.appendChild(status);
+        row.element.insertBefore(toggle, row.element.firstChild);
+      });
+      if (!running) {
+        renderSummary();
+      }
+    }
+
+    function scheduleRescan() {
+      if (!active || rescanTimerId) {
+        return;
+      }
+      rescanTimerId = window.setTimeout(() => {
+        rescanTimerId = 0;
+        if (active) {
+          injectRowToggles();
+        }
+      }, BULK_PROJECT_RESCAN_DELAY_MS);
+    }
+
+    function cleanup() {
+      active = false;
+      if (rescanTimerId) {
+        window.clearTimeout(rescanTimerId);
+        rescanTimerId = 0;
+      }
+      observer?.disconnect();
+      window.removeEventListener("keydown", onPanelKeyDown, true);
+      document.querySelectorAll(".gem-bulk-project-row-toggle").forEach((node) => node.remove());
+      document.querySelectorAll(`[${BULK_PROJECT_ROW_KEY_ATTR}]`).forEach((node) => {
+        node.removeAttribute(BULK_PROJECT_ROW_KEY_ATTR);
+      });
+      panel.remove();
+    }
+
+    function finish(result) {
+      cleanup();
+      resolve(result);
+    }
+
+    function renderResultRows(contexts) {
+      results.innerHTML = "";
+      resultNodes.clear();
+      contexts.forEach((context) => {
+        const item = document.createElement("div");
+        item.className = "gem-bulk-project-result";
+        const name = document.createElement("span");
+        name.className = "gem-bulk-project-result-name";
+        name.textContent = context.profileName || context.linkedInHandle || context.profileUrl;
+        name.title = context.linkedinUrl || context.profileUrl || "";
+        const status = document.createElement("span");
+        status.className = "gem-bulk-project-result-status";
+        item.appendChild(name);
+        item.appendChild(status);
+        results.appendChild(item);
+        resultNodes.set(context.key, { item, status });
+      });
+    }
+
+    async function addSelectedToProject() {
+      const contexts = Array.from(selected.values());
+      if (running || contexts.length === 0) {
+        return;
+      }
+      panel.style.display = "none";
+      const project = await showProjectPicker(runId, window.location.href);
+      panel.style.display = "";
+      if (!active) {
+        return;
+      }
+      if (!project?.id) {
+        return;
+      }
+
+      running = true;
+      renderResultRows(contexts);
+      contexts.forEach((context) => setRowStatus(context.key, "Queued"));
+      injectRowToggles();
+      const projectLabel = project.name || project.id;
+      const startedAt = Date.now();
+      let processedCount = 0;
+      let addedCount = 0;
+      renderSummary(`Adding 0/${contexts.length} to ${projectLabel}...`);
+      logEvent({
+        source: "extension.content",
+        event: "bulk_project.started",
+        actionId: ACTIONS.ADD_TO_PROJECT,
+        runId,
+        message: `Bulk adding ${contexts.length} candidates to project ${projectLabel}.`,
+        link: window.location.href,
+        details: {
+          projectId: project.id,
+          selectedCount: contexts.length
+        }
+      });
+
+      for (let index = 0; index < contexts.length; index += BULK_PROJECT_BATCH_SIZE) {
+        const batch = contexts.slice(index, index + BULK_PROJECT_BATCH_SIZE);
+        batch.forEach((context) => setRowStatus(context.key, "Adding..."));
+        try {
+          const batchResults = await addCandidatesToProjectBatch(project.id, project.name, batch, runId);
+          const resultByKey = new Map(batchResults.map((result) => [String(result?.key || ""), result]));
+          batch.forEach((context) => {
+            const result = resultByKey.get(context.key);
+            if (result?.ok) {
+              addedCount += 1;
+              selected.delete(context.key);
+              setRowStatus(context.key, result.created ? "Created + added" : "Added", "ok");
+            } else {
+              setRowStatus(context.key, `Failed: ${result?.message || "No result returned."}`, "error");
+            }
+          });
+        } catch (error) {
+          batch.forEach((context) => {
+            setRowStatus(context.key, `Failed: ${error.message || "Request failed."}`, "error");
+          });
+        }
+        processedCount += batch.length;
+        if (!active) {
+          return;
+        }
+        renderSummary(`Adding ${processedCount}/${contexts.length} to ${projectLabel}...`);
+      }
+
+      running = false;
+      injectRowToggles();
+      const failedCount = contexts.length - addedCount;
+      const message =
+        failedCount > 0
+          ? `Added ${addedCount}/${contexts.length} to ${projectLabel}. ${failedCount} failed and stay selected.`
+          : `Added ${addedCount} candidate${addedCount === 1 ? "" : "s"} to ${projectLabel}.`;
+      renderSummary(message);
+      showToast(message, failedCount > 0);
+      logEvent({
+        source: "extension.content",
+        level: failedCount > 0 ? "warn" : "info",
+        event: "bulk_project.completed",
+        actionId: ACTIONS.ADD_TO_PROJECT,
+        runId,
+        message,
+        link: window.location.href,
+        details: {
+          projectId: project.id,
+          addedCount,
+          failedCount,
+          durationMs: Date.now() - startedAt
+        }
+      });
+    }
+
+    function onPanelKeyDown(event) {
+      if (event.key !== "Escape" || running || document.getElementById("gem-project-picker-overlay")) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      finish({ ok: true, message: "Closed bulk add to project." });
+    }
+
+    addButton.addEventListener("click", () => {
+      addSelectedToProject().catch((error) => {
+        running = false;
+        panel.style.display = "";
+        showToast(error.message || "Bulk add to project failed.", true);
+        renderSummary();
+      });
+    });
+    selectPageButton.addEventListener("click", () => {
+      const allSelected = visibleRows.length > 0 && visibleRows.every((row) => selected.has(row.key));
+      visibleRows.forEach((row) => {
+        if (allSelected) {
+          selected.delete(row.key);
+        } else {
+          selected.set(row.key, row.context);
+        }
+      });
+      injectRowToggles();
+    });
+    clearButton.addEventListener("click", () => {
+      selected.clear();
+      injectRowToggles();
+    });
+    closeButton.addEventListener("click", () => {
+      finish({ ok: true, message: "Closed bulk add to project." });
+    });
+    window.addEventListener("keydown", onPanelKeyDown, true);
+
+    const observeRoot = document.querySelector("main") || document.body;
+    if (observeRoot && typeof MutationObserver === "function") {
+      observer = new MutationObserver(scheduleRescan);
+      observer.observe(observeRoot, { childList: true, subtree: true });
+    }
+
+    injectRowToggles();
+    logEvent({
+      source: "extension.content",
+      event: "bulk_project.opened",
+      actionId: ACTIONS.ADD_TO_PROJECT,
+      runId,
+      message: `Bulk add to project opened with ${visibleRows.length} people on the page.`,
+      link: window.location.href
+    });
+  });
+}
+
+async function showAshbyJobPicker(runId, profileUrl) {
+  createAshbyJobPickerStyles();
+
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
-    overlay.id = "gem-actions-overlay";
+    overlay.id = "gem-ashby-job-picker-overlay";
+
     const modal = document.createElement("div");
-    modal.id = "gem-actions-modal";
+    modal.id = "gem-ashby-job-picker-modal";
+
+    const brand = document.createElement("div");
+    brand.id = "gem-ashby-job-picker-brand";
+    const brandDot = document.createElement("span");
+    brandDot.id = "gem-ashby-job-picker-brand-dot";
+    brandDot.textContent = "A";
+    const brandText = document.createElement("span");
+    brandText.textContent = "Ashby";
+    brand.appendChild(brandDot);
+    brand.appendChild(brandText);
+
     const title = document.createElement("div");
-    title.id = "gem-actions-title";
-    title.textContent = "Search someone in Gem";
+    title.id = "gem-ashby-job-picker-title";
+    title.textContent = "Upload Candidate to Ashby";
+
     const subtitle = document.createElement("div");
-    subtitle.id = "gem-actions-subtitle";
-    subtitle.textContent = "Type to search candidates. Enter opens Gem profile, L opens LinkedIn.";
+    subtitle.id = "gem-ashby-job-picker-subtitle";
+    subtitle.textContent = "Type job name, use arrow keys to choose, then upload candidate.";
 
     const input = document.createElement("input");
-    input.id = "gem-actions-input";
+    input.id = "gem-ashby-job-picker-input";
     input.type = "text";
-    input.placeholder = "Search people...";
+    input.placeholder = "Search jobs by name...";
     input.autocomplete = "off";
 
-    const status = document.createElement("div");
-    status.className = "gem-actions-status";
+    const results = document.createElement("div");
+    results.id = "gem-ashby-job-picker-results";
 
-    const list = document.createElement("div");
-    list.id = "gem-actions-list";
     const hint = document.createElement("div");
-    hint.className = "gem-actions-hint";
-    hint.textContent = "Press number keys to select result. Esc to cancel.";
+    hint.className = "gem-ashby-job-picker-hint";
+    const hintText = document.createElement("span");
+    hintText.textContent = "Click a job or press Enter to continue. Esc to cancel.";
+    hint.appendChild(hintText);
+
+    const confirmMask = document.createElement("div");
+    confirmMask.id = "gem-ashby-job-picker-confirm-mask";
+    const confirmCard = document.createElement("div");
+    confirmCard.id = "gem-ashby-job-picker-confirm-card";
+    const confirmTitle = document.createElement("div");
+    confirmTitle.id = "gem-ashby-job-picker-confirm-title";
+    confirmTitle.textContent = "Confirm Upload";
+    const confirmBody = document.createElement("div");
+    confirmBody.id = "gem-ashby-job-picker-confirm-body";
+    const confirmActions = document.createElement("div");
+    confirmActions.id = "gem-ashby-job-picker-confirm-actions";
+    const confirmCancelBtn = document.createElement("button");
+    confirmCancelBtn.id = "gem-ashby-job-picker-confirm-cancel";
+    confirmCancelBtn.className = "gem-ashby-job-picker-confirm-btn";
+    confirmCancelBtn.type = "button";
+    confirmCancelBtn.textContent = "Cancel";
+    const confirmOkBtn = document.createElement("button");
+    confirmOkBtn.id = "gem-ashby-job-picker-confirm-ok";
+    confirmOkBtn.className = "gem-ashby-job-picker-confirm-btn";
+    confirmOkBtn.type = "button";
+    confirmOkBtn.textContent = "Confirm";
+    confirmActions.appendChild(confirmCancelBtn);
+    confirmActions.appendChild(confirmOkBtn);
+    confirmCard.appendChild(confirmTitle);
+    confirmCard.appendChild(confirmBody);
+    confirmCard.appendChild(confirmActions);
+    confirmMask.appendChild(confirmCard);
 
+    modal.appendChild(brand);
     modal.appendChild(title);
     modal.appendChild(subtitle);
     modal.appendChild(input);
-    modal.appendChild(status);
-    modal.appendChild(list);
+    modal.appendChild(results);
     modal.appendChild(hint);
+    modal.appendChild(confirmMask);
     overlay.appendChild(modal);
     document.documentElement.appendChild(overlay);
 
-    let disposed = false;
+    let selectedIndex = 0;
+    let selectedJobId = "";
+    let confirmationJob = null;
+    let filteredJobs = [];
+    let allJobs = [];
     let loading = true;
     let loadError = "";
-    let candidates = [];
-    let selectedIndex = 0;
-    let pendingDebounce = 0;
-    let requestCounter = 0;
-    let selectionArmed = false;
+    const startedAt = Date.now();
+    let disposed = false;
+
+    function isOpenAshbyJob(job) {
+      if (!job || typeof job !== "object") {
+        return false;
+      }
+      if (typeof job.isOpen === "boolean") {
+        return job.isOpen;
+      }
+      const status = String(job.status || "").trim().toLowerCase();
+      if (status.includes("open")) {
+        return true;
+      }
+      if (!status) {
+        return !Boolean(job.isArchived);
+      }
+      if (status.includes("closed") || status.includes("archived") || status.includes("draft")) {
+        return false;
+      }
+      return !Boolean(job.isArchived);
+    }
 
     function cleanup() {
-      disposed = true;
-      if (pendingDebounce) {
-        clearTimeout(pendingDebounce);
+      if (disposed) {
+        return;
       }
+      disposed = true;
+      window.removeEventListener("keydown", onWindowKeyDown, true);
       overlay.remove();
     }
 
-    function finish(result) {
+    function finish(selected) {
       cleanup();
-      resolve(result || null);
+      resolve(selected || null);
     }
 
-    function setStatus(text, isError = false) {
-      status.textContent = String(text || "");
-      status.className = `gem-actions-status${isError ? " error" : ""}`;
+    function isConfirming() {
+      return Boolean(confirmationJob);
     }
 
-    function getSelectedCandidate() {
-      if (candidates.length === 0) {
+    function getSelectedJob() {
+      if (loading || filteredJobs.length === 0) {
         return null;
       }
-      const boundedIndex = Math.max(0, Math.min(selectedIndex, candidates.length - 1));
-      return candidates[boundedIndex] || null;
+      const byId = selectedJobId ? filteredJobs.find((job) => String(job?.id || "") === selectedJobId) : null;
+      if (byId) {
+        return byId;
+      }
+      return filteredJobs[Math.max(0, Math.min(selectedIndex, filteredJobs.length - 1))] || null;
     }
 
     function getQuickSelectIndex(event) {
-      if (event.metaKey || event.ctrlKey || event.altKey) {
-        return -1;
-      }
       const code = String(event?.code || "");
       let rawDigit = "";
       if (/^Digit[0-9]$/.test(code)) {
         rawDigit = code.slice(5);
       } else if (/^Numpad[0-9]$/.test(code)) {
         rawDigit = code.slice(6);
-      } else if (/^[0-9]$/.test(String(event?.key || ""))) {
+      } else if (/^[0-9]$/.test(String(event?.key || "")) && !event.metaKey && !event.ctrlKey && !event.altKey) {
         rawDigit = String(event.key);
       } else {
         return -1;
@@ -8819,771 +14190,732 @@ async function showGemPeopleSearch(runId) {
       return value - 1;
     }
 
+    function moveSelection(delta) {
+      if (loading || filteredJobs.length === 0) {
+        return;
+      }
+      const currentById = selectedJobId ? filteredJobs.findIndex((job) => String(job?.id || "") === selectedJobId) : -1;
+      const baseIndex = currentById >= 0 ? currentById : Math.max(0, Math.min(selectedIndex, filteredJobs.length - 1));
+      const nextIndex = (baseIndex + delta + filteredJobs.length) % filteredJobs.length;
+      const nextJob = filteredJobs[nextIndex] || null;
+      selectedIndex = nextIndex;
+      selectedJobId = nextJob ? String(nextJob.id || "") : "";
+      renderList();
+    }
+
+    function selectByQuickIndex(index) {
+      if (loading || index < 0 || index >= filteredJobs.length) {
+        return null;
+      }
+      const job = filteredJobs[index] || null;
+      if (!job) {
+        return null;
+      }
+      selectedIndex = index;
+      selectedJobId = String(job.id || "");
+      renderList();
+      return job;
+    }
+
+    function filterJobs(query) {
+      const normalized = String(query || "").trim().toLowerCase();
+      const base = Array.isArray(allJobs) ? allJobs : [];
+      if (!normalized) {
+        return base.slice(0, ASHBY_JOB_PICKER_RENDER_LIMIT);
+      }
+      return base
+        .filter((job) => String(job?.name || "").toLowerCase().includes(normalized))
+        .slice(0, ASHBY_JOB_PICKER_RENDER_LIMIT);
+    }
+
+    function selectJob(job) {
+      if (!job) {
+        return;
+      }
+      logEvent({
+        source: "extension.content",
+        event: "ashby_job_picker.selected",
+        actionId: ACTIONS.UPLOAD_TO_ASHBY,
+        runId,
+        message: `Selected Ashby job ${job.name || job.id}.`,
+        link: profileUrl,
+        details: {
+          jobId: job.id,
+          jobName: job.name || "",
+          jobStatus: job.status || ""
+        }
+      });
+      finish({
+        id: job.id,
+        name: job.name || ""
+      });
+    }
+
+    function updateConfirmationMask() {
+      if (!confirmationJob) {
+        confirmMask.classList.remove("visible");
+        input.focus();
+        return;
+      }
+      const jobName = String(confirmationJob.name || confirmationJob.id || "").trim();
+      confirmBody.textContent = `Upload candidate to "${jobName}"?`;
+      confirmMask.classList.add("visible");
+      confirmOkBtn.focus();
+    }
+
+    function openConfirmation(job) {
+      if (!job) {
+        return;
+      }
+      confirmationJob = {
+        id: String(job.id || "").trim(),
+        name: String(job.name || "").trim(),
+        status: String(job.status || "").trim()
+      };
+      updateConfirmationMask();
+    }
+
+    function closeConfirmation() {
+      if (!confirmationJob) {
+        return;
+      }
+      confirmationJob = null;
+      updateConfirmationMask();
+    }
+
+    function confirmSelection() {
+      if (!confirmationJob) {
+        return;
+      }
+      const chosen = confirmationJob;
+      confirmationJob = null;
+      selectJob(chosen);
+    }
+
     function renderList() {
-      list.innerHTML = "";
+      filteredJobs = filterJobs(input.value || "");
+      if (filteredJobs.length === 0) {
+        selectedIndex = 0;
+        selectedJobId = "";
+      } else {
+        const selectedByIdIndex = selectedJobId ? filteredJobs.findIndex((job) => String(job?.id || "") === selectedJobId) : -1;
+        if (selectedByIdIndex >= 0) {
+          selectedIndex = selectedByIdIndex;
+        } else if (selectedIndex >= filteredJobs.length) {
+          selectedIndex = Math.max(0, filteredJobs.length - 1);
+        } else if (selectedIndex < 0) {
+          selectedIndex = 0;
+        }
+        const selected = filteredJobs[selectedIndex] || null;
+        selectedJobId = selected ? String(selected.id || "") : "";
+      }
+
+      results.innerHTML = "";
       if (loading) {
         const loadingNode = document.createElement("div");
-        loadingNode.className = "gem-actions-empty";
-        loadingNode.textContent = "Searching people...";
-        list.appendChild(loadingNode);
+        loadingNode.className = "gem-ashby-job-picker-empty";
+        loadingNode.textContent = "Loading jobs...";
+        results.appendChild(loadingNode);
         return;
       }
       if (loadError) {
         const errorNode = document.createElement("div");
-        errorNode.className = "gem-actions-empty";
-        errorNode.textContent = `Could not search candidates: ${loadError}`;
-        list.appendChild(errorNode);
+        errorNode.className = "gem-ashby-job-picker-empty";
+        errorNode.textContent = `Could not load jobs: ${loadError}`;
+        results.appendChild(errorNode);
         return;
       }
-      if (candidates.length === 0) {
+      if (filteredJobs.length === 0) {
         const empty = document.createElement("div");
-        empty.className = "gem-actions-empty";
-        empty.textContent = "No people found.";
-        list.appendChild(empty);
+        empty.className = "gem-ashby-job-picker-empty";
+        empty.textContent = "No matching jobs.";
+        results.appendChild(empty);
         return;
       }
-      if (selectedIndex >= candidates.length) {
-        selectedIndex = Math.max(0, candidates.length - 1);
-      }
-      if (selectedIndex < 0) {
-        selectedIndex = 0;
-      }
 
-      candidates.forEach((candidate, index) => {
+      filteredJobs.forEach((job, index) => {
         const item = document.createElement("div");
-        const isActive = index === selectedIndex;
-        item.className = `gem-actions-item${isActive ? " active selected" : ""}`;
-        const hotkey = document.createElement("div");
-        hotkey.className = "gem-actions-hotkey";
-        hotkey.textContent = index < 10 ? String(index + 1).replace("10", "0") : "";
-        const main = document.createElement("div");
-        main.className = "gem-actions-main";
-        main.textContent = String(candidate.fullName || candidate.primaryEmail || candidate.id || "Candidate");
-        const meta = document.createElement("div");
-        meta.className = "gem-actions-meta";
-        meta.textContent = formatGemPeopleMeta(candidate);
-        item.appendChild(hotkey);
-        item.appendChild(main);
-        item.appendChild(meta);
-        if (candidate.linkedInUrl) {
-          const linkedInTag = document.createElement("span");
-          linkedInTag.className = "gem-actions-tag";
-          linkedInTag.textContent = "L LinkedIn";
-          main.appendChild(linkedInTag);
-        }
+        const jobId = String(job.id || "");
+        item.className = `gem-ashby-job-picker-item${jobId === selectedJobId ? " active" : ""}`;
+
+        const left = document.createElement("span");
+        left.className = "gem-ashby-job-picker-item-left";
+        const key = document.createElement("span");
+        key.className = "gem-ashby-job-picker-item-key";
+        key.textContent = String(index + 1);
+        const name = document.createElement("span");
+        name.className = "gem-ashby-job-picker-item-name";
+        name.textContent = job.name || job.id;
+        left.appendChild(key);
+        left.appendChild(name);
+
+        const status = document.createElement("span");
+        status.className = "gem-ashby-job-picker-item-status";
+        status.textContent = job.status || (job.isArchived ? "Archived" : "");
+
+        item.appendChild(left);
+        item.appendChild(status);
         item.addEventListener("mouseenter", () => {
-          if (selectedIndex === index) {
+          if (selectedIndex === index && selectedJobId === jobId) {
             return;
           }
           selectedIndex = index;
+          selectedJobId = jobId;
           renderList();
         });
         item.addEventListener("click", () => {
           selectedIndex = index;
-          selectionArmed = true;
+          selectedJobId = jobId;
           renderList();
+          openConfirmation(job);
         });
         item.addEventListener("dblclick", () => {
           selectedIndex = index;
-          selectionArmed = true;
+          selectedJobId = jobId;
           renderList();
-          const selected = getSelectedCandidate();
-          if (selected) {
-            finish({ candidate: selected, target: "gem" });
-          }
+          openConfirmation(job);
         });
-        list.appendChild(item);
+        results.appendChild(item);
       });
     }
 
-    function scheduleSearch() {
-      if (pendingDebounce) {
-        clearTimeout(pendingDebounce);
-      }
-      pendingDebounce = setTimeout(async () => {
-        pendingDebounce = 0;
-        const token = ++requestCounter;
-        loading = true;
-        loadError = "";
-        selectionArmed = false;
-        setStatus("");
-        renderList();
-        try {
-          const results = await searchGemPeople(input.value || "", runId, GEM_ACTION_PEOPLE_SEARCH_LIMIT);
-          if (disposed || token !== requestCounter) {
-            return;
-          }
-          candidates = results;
-          loading = false;
-          loadError = "";
-          selectedIndex = 0;
-          selectionArmed = false;
-          setStatus(results.length > 0 ? `${results.length} result${results.length === 1 ? "" : "s"} loaded.` : "");
-          renderList();
-        } catch (error) {
-          if (disposed || token !== requestCounter) {
-            return;
-          }
-          candidates = [];
-          loading = false;
-          loadError = error.message || "Failed to search people.";
-          selectionArmed = false;
-          setStatus(loadError, true);
-          renderList();
+    input.addEventListener("input", () => {
+      selectedIndex = 0;
+      selectedJobId = "";
+      confirmationJob = null;
+      updateConfirmationMask();
+      renderList();
+    });
+    input.addEventListener("keydown", (event) => {
+      if (isConfirming()) {
+        if (event.key === "Enter") {
+          event.preventDefault();
+          confirmSelection();
+          return;
         }
-      }, GEM_ACTION_PEOPLE_SEARCH_DEBOUNCE_MS);
-    }
-
-    overlay.addEventListener(
-      "keydown",
-      (event) => {
         if (event.key === "Escape") {
           event.preventDefault();
-          finish(null);
+          closeConfirmation();
           return;
         }
-        if (event.key === "ArrowDown") {
+      }
+      if (event.key === "ArrowDown") {
+        event.preventDefault();
+        moveSelection(1);
+        return;
+      }
+      if (event.key === "ArrowUp") {
+        event.preventDefault();
+        moveSelection(-1);
+        return;
+      }
+      const quickIndex = getQuickSelectIndex(event);
+      if (quickIndex >= 0) {
+        const quickJob = selectByQuickIndex(quickIndex);
+        if (quickJob) {
           event.preventDefault();
-          if (candidates.length > 0) {
-            selectedIndex = (selectedIndex + 1) % candidates.length;
-            selectionArmed = true;
-            renderList();
-          }
-          return;
+          openConfirmation(quickJob);
         }
-        if (event.key === "ArrowUp") {
+        return;
+      }
+      if (event.key === "Enter") {
+        event.preventDefault();
+        openConfirmation(getSelectedJob());
+        return;
+      }
+      if (event.key === "Escape") {
+        event.preventDefault();
+        cancelPicker("Ashby job picker cancelled.");
+        finish(null);
+      }
+    });
+
+    function cancelPicker(message) {
+      logEvent({
+        source: "extension.content",
+        level: "warn",
+        event: "ashby_job_picker.cancelled",
+        actionId: ACTIONS.UPLOAD_TO_ASHBY,
+        runId,
+        message,
+        link: profileUrl
+      });
+    }
+
+    function onWindowKeyDown(event) {
+      if (disposed || event.defaultPrevented) {
+        return;
+      }
+      if (event.key === "Enter") {
+        if (isConfirming()) {
           event.preventDefault();
-          if (candidates.length > 0) {
-            selectedIndex = (selectedIndex - 1 + candidates.length) % candidates.length;
-            selectionArmed = true;
-            renderList();
-          }
+          event.stopPropagation();
+          confirmSelection();
           return;
         }
-        const quickIndex = getQuickSelectIndex(event);
-        if (quickIndex >= 0) {
-          event.preventDefault();
-          if (quickIndex < candidates.length) {
-            selectedIndex = quickIndex;
-            selectionArmed = true;
-            renderList();
-          }
+        if (event.target === input) {
           return;
         }
-        if (event.key === "Enter") {
-          const selected = getSelectedCandidate();
-          if (!selected) {
-            return;
-          }
-          event.preventDefault();
-          finish({ candidate: selected, target: "gem" });
+        const selected = getSelectedJob();
+        if (!selected) {
           return;
         }
-        if (event.metaKey || event.ctrlKey || event.altKey) {
+        event.preventDefault();
+        event.stopPropagation();
+        openConfirmation(selected);
+        return;
+      }
+      const quickIndex = getQuickSelectIndex(event);
+      if (quickIndex >= 0) {
+        const quickJob = selectByQuickIndex(quickIndex);
+        if (!quickJob) {
           return;
         }
-        const key = String(event.key || "").trim().toLowerCase();
-        if (key === "l") {
-          if (document.activeElement === input && !selectionArmed) {
-            return;
-          }
-          const selected = getSelectedCandidate();
-          if (!selected) {
-            return;
-          }
+        event.preventDefault();
+        event.stopPropagation();
+        openConfirmation(quickJob);
+        return;
+      }
+      if (event.key === "Escape") {
+        if (isConfirming()) {
           event.preventDefault();
-          finish({ candidate: selected, target: "linkedin" });
+          event.stopPropagation();
+          closeConfirmation();
+          return;
         }
-      },
-      true
-    );
+        if (event.target === input) {
+          return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        cancelPicker("Ashby job picker cancelled.");
+        finish(null);
+      }
+    }
+    window.addEventListener("keydown", onWindowKeyDown, true);
+
+    confirmOkBtn.addEventListener("click", () => {
+      confirmSelection();
+    });
+    confirmCancelBtn.addEventListener("click", () => {
+      closeConfirmation();
+    });
+    confirmMask.addEventListener("click", (event) => {
+      if (event.target === confirmMask) {
+        closeConfirmation();
+      }
+    });
 
     overlay.addEventListener("click", (event) => {
       if (event.target === overlay) {
+        cancelPicker("Ashby job picker cancelled by outside click.");
         finish(null);
       }
     });
-    input.addEventListener("input", () => {
-      scheduleSearch();
-    });
 
     renderList();
     input.focus();
-    scheduleSearch();
-  });
-}
 
-async function handleGemActionsShortcut(source = "keyboard", runId = "") {
-  const effectiveRunId = runId || generateRunId();
-  const selectedAction = await showGemActionsMenu(effectiveRunId);
-  if (!selectedAction) {
-    showToast("Action cancelled.", true);
-    await logEvent({
+    logEvent({
       source: "extension.content",
-      level: "warn",
-      event: "gem_actions.cancelled",
-      actionId: ACTIONS.GEM_ACTIONS,
-      runId: effectiveRunId,
-      message: "Gem actions menu cancelled.",
-      link: window.location.href
+      event: "ashby_job_picker.opened",
+      actionId: ACTIONS.UPLOAD_TO_ASHBY,
+      runId,
+      message: "Ashby job picker opened.",
+      link: profileUrl
     });
-    return;
-  }
-
-  if (selectedAction === "createProject") {
-    const created = await showGemProjectCreateForm(effectiveRunId, {});
-    if (!created) {
-      showToast("Action cancelled.", true);
-    }
-    return;
-  }
 
-  if (selectedAction === "openProject") {
-    const projectSelection = await showGemProjectNavigator(effectiveRunId);
-    if (!projectSelection) {
-      showToast("Action cancelled.", true);
-      return;
-    }
-    if (projectSelection.kind === "create") {
-      const created = await showGemProjectCreateForm(effectiveRunId, {
-        initialName: projectSelection.createName || ""
+    listAshbyJobs("", runId)
+      .then(async (jobs) => {
+        allJobs = jobs.filter((job) => isOpenAshbyJob(job) && !job.isArchived);
+        loading = false;
+        loadError = "";
+        renderList();
+        await logEvent({
+          source: "extension.content",
+          event: "ashby_job_picker.loaded",
+          actionId: ACTIONS.UPLOAD_TO_ASHBY,
+          runId,
+          message: `Ashby job picker loaded ${allJobs.length} jobs.`,
+          link: profileUrl,
+          details: {
+            durationMs: Date.now() - startedAt
+          }
+        });
+      })
+      .catch(async (error) => {
+        loading = false;
+        loadError = error.message || "Failed to load Ashby job list.";
+        renderList();
+        showToast(loadError, true);
+        await logEvent({
+          source: "extension.content",
+          level: "error",
+          event: "ashby_job_picker.load_failed",
+          actionId: ACTIONS.UPLOAD_TO_ASHBY,
+          runId,
+          message: loadError,
+          link: profileUrl,
+          details: {
+            durationMs: Date.now() - startedAt
+          }
+        });
       });
-      if (!created) {
-        showToast("Action cancelled.", true);
-      }
-      return;
-    }
+  });
+}
 
-    const selectedProject = projectSelection.project || null;
-    const projectUrl = buildGemProjectUrl(selectedProject?.id || "", selectedProject?.name || "");
-    if (!projectUrl) {
-      showToast("Missing project URL.", true);
-      return;
-    }
-    await openGemNavigation(projectUrl, effectiveRunId, {
-      actionId: ACTIONS.GEM_ACTIONS,
-      openInBackground: Boolean(projectSelection.openInBackground)
-    });
-    showToast(projectSelection.openInBackground ? "Opened project in background tab." : "Opened project in Gem.");
-    await logEvent({
-      source: "extension.content",
-      event: "gem_actions.project.opened",
-      actionId: ACTIONS.GEM_ACTIONS,
-      runId: effectiveRunId,
-      message: projectSelection.openInBackground ? "Opened project in background tab." : "Opened project in Gem.",
-      link: projectUrl,
-      details: {
-        source,
-        projectId: String(selectedProject?.id || ""),
-        projectName: String(selectedProject?.name || ""),
-        openInBackground: Boolean(projectSelection.openInBackground)
-      }
-    });
-    return;
-  }
+function getResumeFileExtension(fileName) {
+  const match = String(fileName || "").trim().toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : "";
+}
 
-  if (selectedAction === "createSequence") {
-    const confirmed = await showGemActionConfirmationDialog("Create sequence", "Create a new sequence in Gem?");
-    if (!confirmed) {
-      showToast("Action cancelled.", true);
+function isAllowedResumeFileName(fileName) {
+  return RESUME_UPLOAD_EXTENSIONS.includes(getResumeFileExtension(fileName));
+}
+
+function collectGmailResumeAttachments() {
+  const attachments = [];
+  const seenUrls = new Set();
+  const add = (fileName, url, contentType) => {
+    const name = normalizeGmailThreadText(fileName);
+    const href = String(url || "").trim();
+    if (!name || !href || seenUrls.has(href) || !isAllowedResumeFileName(name)) {
       return;
     }
-    const url = buildGemSequenceCreateUrl();
-    await openGemNavigation(url, effectiveRunId, {
-      actionId: ACTIONS.GEM_ACTIONS,
-      openInBackground: false
-    });
-    showToast("Opened sequence creation in Gem.");
-    await logEvent({
-      source: "extension.content",
-      event: "gem_actions.sequence_create.opened",
-      actionId: ACTIONS.GEM_ACTIONS,
-      runId: effectiveRunId,
-      message: "Opened sequence creation in Gem.",
-      link: url,
-      details: {
-        source
+    seenUrls.add(href);
+    attachments.push({ fileName: name, url: href, contentType: String(contentType || "").trim() });
+  };
+
+  getGmailThreadRoots().forEach((root) => {
+    // Gmail stores "mime:filename:url" on attachment chips; the URL itself contains colons.
+    root.querySelectorAll("[download_url]").forEach((node) => {
+      const raw = String(node.getAttribute("download_url") || "");
+      const match = raw.match(/^([^:]*):([^:]+):(https?:.+)$/);
+      if (match) {
+        add(match[2], match[3], match[1]);
       }
     });
-    return;
+    root.querySelectorAll("a[href*='view=att'][href*='attid=']").forEach((link) => {
+      const chip = link.closest(".aQH, .aZo, [role='listitem']") || link;
+      const labelNode = chip.querySelector(".aV3, .aQA span");
+      const ariaLabel = String(link.getAttribute("aria-label") || "").replace(/^(Download|Preview)( attachment)?\s*/i, "");
+      add(labelNode?.textContent || ariaLabel || link.textContent, link.href, "");
+    });
+  });
+  return attachments.slice(0, 20);
+}
+
+function readBlobAsBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = String(reader.result || "");
+      resolve(result.slice(result.indexOf(",") + 1));
+    };
+    reader.onerror = () => reject(reader.error || new Error("Could not read file."));
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function readResumeSelection(fileName, blob, source) {
+  if (!isAllowedResumeFileName(fileName)) {
+    throw new Error("Resume must be a .pdf, .doc, or .docx file.");
+  }
+  if (!blob || blob.size === 0) {
+    throw new Error("Resume file is empty.");
   }
+  if (blob.size > RESUME_UPLOAD_MAX_BYTES) {
+    throw new Error("Resume file cannot exceed 3MB. Upload larger files in Gem directly.");
+  }
+  return {
+    resumeFileName: fileName,
+    resumeContentType: String(blob.type || "").trim(),
+    resumeFileBase64: await readBlobAsBase64(blob),
+    resumeSizeBytes: blob.size,
+    resumeSource: source
+  };
+}
 
-  if (selectedAction === "searchPerson") {
-    const peopleSelection = await showGemPeopleSearch(effectiveRunId);
-    if (!peopleSelection) {
-      showToast("Action cancelled.", true);
-      return;
-    }
-    const candidate = peopleSelection.candidate || {};
-    const target = peopleSelection.target === "linkedin" ? "linkedin" : "gem";
-    const url =
-      target === "linkedin"
-        ? String(candidate.linkedInUrl || "").trim()
-        : String(candidate.gemProfileUrl || "").trim();
-    if (!url) {
-      showToast(target === "linkedin" ? "No LinkedIn URL available for this candidate." : "No Gem profile URL available.", true);
-      return;
-    }
-    await openGemNavigation(url, effectiveRunId, {
-      actionId: ACTIONS.GEM_ACTIONS,
-      openInBackground: false
-    });
-    showToast(target === "linkedin" ? "Opened LinkedIn profile." : "Opened candidate in Gem.");
-    await logEvent({
-      source: "extension.content",
-      event: "gem_actions.person.opened",
-      actionId: ACTIONS.GEM_ACTIONS,
-      runId: effectiveRunId,
-      message: target === "linkedin" ? "Opened LinkedIn profile from people search." : "Opened Gem profile from people search.",
-      link: url,
-      details: {
-        source,
-        target,
-        candidateId: String(candidate.id || ""),
-        fullName: String(candidate.fullName || "")
-      }
-    });
-    return;
+async function downloadGmailAttachment(attachment) {
+  const response = await fetch(attachment.url, { credentials: "include" });
+  if (!response.ok) {
+    throw new Error(`Could not download ${attachment.fileName} (${response.status}).`);
   }
+  const blob = await response.blob();
+  return attachment.contentType && !blob.type ? new Blob([blob], { type: attachment.contentType }) : blob;
 }
 
-async function showProjectPicker(runId, linkedinUrl) {
-  createProjectPickerStyles();
+async function showResumeUploadPicker(runId, context) {
+  createResumeUploadPickerStyles();
+  const contextLink = getContextLink(context);
+  const attachments = String(context.sourcePlatform || "") === "gmail" ? collectGmailResumeAttachments() : [];
 
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
-    overlay.id = "gem-project-picker-overlay";
+    overlay.id = "gem-resume-upload-picker-overlay";
 
     const modal = document.createElement("div");
-    modal.id = "gem-project-picker-modal";
+    modal.id = "gem-resume-upload-picker-modal";
 
     const title = document.createElement("div");
-    title.id = "gem-project-picker-title";
-    title.textContent = "Add Candidate to Project";
+    title.id = "gem-resume-upload-picker-title";
+    title.textContent = "Upload Resume";
 
     const subtitle = document.createElement("div");
-    subtitle.id = "gem-project-picker-subtitle";
-    subtitle.textContent = "Type project name, use arrow keys to choose, press Enter to confirm.";
+    subtitle.id = "gem-resume-upload-picker-subtitle";
+    // Outlook attachments are only reachable through its authenticated service API, so they have to be dropped in.
+    subtitle.textContent =
+      attachments.length > 0
+        ? "Press a number to upload an attachment from this thread, or drop a file below."
+        : String(context.sourcePlatform || "") === "outlook"
+          ? "Outlook attachments cannot be read from the thread. Download the resume, then drop it below or click to choose it."
+          : "Drop a PDF, DOC, or DOCX file below, or click to choose one.";
 
-    const input = document.createElement("input");
-    input.id = "gem-project-picker-input";
-    input.type = "text";
-    input.placeholder = "Search projects by name...";
-    input.autocomplete = "off";
+    const list = document.createElement("div");
+    list.id = "gem-resume-upload-picker-list";
 
-    const results = document.createElement("div");
-    results.id = "gem-project-picker-results";
+    const drop = document.createElement("div");
+    drop.id = "gem-resume-upload-picker-drop";
+    drop.textContent = "Drop resume here or click to choose a file (max 3MB)";
+
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = RESUME_UPLOAD_EXTENSIONS.map((extension) => `.${extension}`).join(",");
+    fileInput.style.display = "none";
+
+    const status = document.createElement("div");
+    status.id = "gem-resume-upload-picker-status";
 
     const hint = document.createElement("div");
-    hint.className = "gem-project-picker-hint";
-    hint.textContent = "Esc to cancel.";
+    hint.className = "gem-resume-upload-picker-hint";
+    hint.textContent = attachments.length > 0 ? "Use ↑/↓ and Enter to choose. Esc to cancel." : "Esc to cancel.";
 
     modal.appendChild(title);
     modal.appendChild(subtitle);
-    modal.appendChild(input);
-    modal.appendChild(results);
+    if (attachments.length > 0) {
+      modal.appendChild(list);
+    }
+    modal.appendChild(drop);
+    modal.appendChild(fileInput);
+    modal.appendChild(status);
     modal.appendChild(hint);
     overlay.appendChild(modal);
-    document.documentElement.appendChild(overlay);
-
-    const projectMemory = getProjectMemoryEntry();
-    const hasProjectMemory = Boolean(projectMemory.entry);
-    let selectedIndex = 0;
-    let filteredProjects = [];
-    let allProjects = hasProjectMemory ? normalizeProjectsForPicker(projectMemory.entry.projects) : [];
-    let loading = !hasProjectMemory;
-    let loadError = "";
-    const startedAt = Date.now();
-    let active = true;
-    let cachedSignature = "";
-    let hasAppliedForceRefresh = false;
-
-    function getProjectSignature(projects) {
-      const normalized = Array.isArray(projects) ? projects : [];
-      if (normalized.length === 0) {
-        return "0";
-      }
-      const ids = normalized
-        .map((project) => String(project?.id || ""))
-        .filter(Boolean)
-        .sort();
-      return `${normalized.length}:${ids.join("|")}`;
+    document.documentElement.appendChild(overlay);
+
+    let activeIndex = 0;
+    let busy = false;
+    let disposed = false;
+    const startedAt = Date.now();
+
+    function setStatus(message, isError = false) {
+      status.textContent = message || "";
+      status.classList.toggle("error", Boolean(isError));
     }
 
     function cleanup() {
-      active = false;
+      if (disposed) {
+        return;
+      }
+      disposed = true;
+      window.removeEventListener("keydown", onWindowKeyDown, true);
       overlay.remove();
     }
 
-    function finish(selected) {
+    function finish(selection) {
       cleanup();
-      resolve(selected || null);
+      resolve(selection || null);
     }
 
-    function selectProject(project) {
-      if (!project) {
-        return;
-      }
+    function cancelPicker(message) {
       logEvent({
         source: "extension.content",
-        event: "project_picker.selected",
-        actionId: ACTIONS.ADD_TO_PROJECT,
+        level: "warn",
+        event: "resume_upload_picker.cancelled",
+        actionId: ACTIONS.UPLOAD_RESUME,
         runId,
-        message: `Selected project ${project.name || project.id}.`,
-        link: linkedinUrl,
-        details: {
-          projectId: project.id,
-          projectName: project.name || ""
-        }
-      });
-      finish({
-        id: project.id,
-        name: project.name || ""
-      });
-    }
-
-    function renderList() {
-      filteredProjects = filterProjectsByQuery(allProjects, input.value || "");
-      if (selectedIndex >= filteredProjects.length) {
-        selectedIndex = Math.max(0, filteredProjects.length - 1);
-      }
-      if (selectedIndex < 0) {
-        selectedIndex = 0;
-      }
-
-      results.innerHTML = "";
-      if (loading) {
-        const loadingNode = document.createElement("div");
-        loadingNode.className = "gem-project-picker-empty";
-        loadingNode.textContent = "Loading projects...";
-        results.appendChild(loadingNode);
-        return;
-      }
-      if (loadError) {
-        const errorNode = document.createElement("div");
-        errorNode.className = "gem-project-picker-empty";
-        errorNode.textContent = `Could not load projects: ${loadError}`;
-        results.appendChild(errorNode);
-        return;
-      }
-      if (filteredProjects.length === 0) {
-        const empty = document.createElement("div");
-        empty.className = "gem-project-picker-empty";
-        empty.textContent = "No matching projects.";
-        results.appendChild(empty);
-        return;
-      }
-
-      filteredProjects.forEach((project, index) => {
-        const item = document.createElement("div");
-        item.className = `gem-project-picker-item${index === selectedIndex ? " active" : ""}`;
-        item.textContent = project.name || project.id;
-        item.addEventListener("mouseenter", () => {
-          if (selectedIndex === index) {
-            return;
-          }
-          selectedIndex = index;
-          renderList();
-        });
-        item.addEventListener("click", (event) => {
-          event.preventDefault();
-          event.stopPropagation();
-          selectProject(project);
-        });
-        results.appendChild(item);
+        message,
+        link: contextLink
       });
+      finish(null);
     }
 
-    input.addEventListener("input", () => {
-      selectedIndex = 0;
-      renderList();
-    });
-    input.addEventListener("keydown", (event) => {
-      if (event.key === "ArrowDown") {
-        event.preventDefault();
-        if (!loading && filteredProjects.length > 0) {
-          selectedIndex = (selectedIndex + 1) % filteredProjects.length;
-          renderList();
-        }
-        return;
-      }
-      if (event.key === "ArrowUp") {
-        event.preventDefault();
-        if (!loading && filteredProjects.length > 0) {
-          selectedIndex = (selectedIndex - 1 + filteredProjects.length) % filteredProjects.length;
-          renderList();
-        }
-        return;
-      }
-      if (event.key === "Enter") {
-        event.preventDefault();
-        if (!loading && filteredProjects.length > 0) {
-          selectProject(filteredProjects[selectedIndex]);
-        }
+    async function select(fileName, loadBlob, source) {
+      if (busy) {
         return;
       }
-      if (event.key === "Escape") {
-        event.preventDefault();
+      busy = true;
+      setStatus(`Reading ${fileName}...`);
+      try {
+        const selection = await readResumeSelection(fileName, await loadBlob(), source);
         logEvent({
           source: "extension.content",
-          level: "warn",
-          event: "project_picker.cancelled",
-          actionId: ACTIONS.ADD_TO_PROJECT,
+          event: "resume_upload_picker.submitted",
+          actionId: ACTIONS.UPLOAD_RESUME,
           runId,
-          message: "Project picker cancelled.",
-          link: linkedinUrl
+          message: `Resume selected: ${fileName}.`,
+          link: contextLink,
+          details: {
+            resumeSource: source,
+            sizeBytes: selection.resumeSizeBytes,
+            durationMs: Date.now() - startedAt
+          }
         });
-        finish(null);
+        finish(selection);
+      } catch (error) {
+        busy = false;
+        setStatus(error.message || "Could not read resume file.", true);
       }
-    });
+    }
 
-    overlay.addEventListener("click", (event) => {
-      if (event.target === overlay) {
-        logEvent({
-          source: "extension.content",
-          level: "warn",
-          event: "project_picker.cancelled",
-          actionId: ACTIONS.ADD_TO_PROJECT,
-          runId,
-          message: "Project picker cancelled by outside click.",
-          link: linkedinUrl
-        });
-        finish(null);
+    function selectAttachment(index) {
+      const attachment = attachments[index];
+      if (attachment) {
+        select(attachment.fileName, () => downloadGmailAttachment(attachment), "gmail_attachment");
       }
-    });
-
-    renderList();
-    input.focus();
-
-    logEvent({
-      source: "extension.content",
-      event: "project_picker.opened",
-      actionId: ACTIONS.ADD_TO_PROJECT,
-      runId,
-      message: "Project picker opened.",
-      link: linkedinUrl
-    });
-
-    if (!hasProjectMemory) {
-      listProjects("", runId, { preferCache: true })
-        .then(async (projects) => {
-          if (!active) {
-            return;
-          }
-          const cachedProjects = projects.filter((project) => !project.archived);
-          cachedSignature = getProjectSignature(cachedProjects);
-          if (cachedProjects.length > 0 && !hasAppliedForceRefresh) {
-            allProjects = cachedProjects;
-            loading = false;
-            loadError = "";
-            renderList();
-          }
-          await logEvent({
-            source: "extension.content",
-            event: "project_picker.cache_loaded",
-            actionId: ACTIONS.ADD_TO_PROJECT,
-            runId,
-            message: `Loaded ${cachedProjects.length} cached projects for picker.`,
-            link: linkedinUrl
-          });
-        })
-        .catch(async (_error) => {
-          if (!active) {
-            return;
-          }
-          await logEvent({
-            source: "extension.content",
-            level: "warn",
-            event: "project_picker.cache_load_failed",
-            actionId: ACTIONS.ADD_TO_PROJECT,
-            runId,
-            message: "Could not load cached projects for picker.",
-            link: linkedinUrl
-          });
-        });
-    } else {
-      cachedSignature = getProjectSignature(allProjects.filter((project) => !project.archived));
     }
 
-    function runForceRefresh(isRetry = false) {
-      return listProjects("", runId, { forceRefresh: true, forceNewRefresh: true })
-        .then(async (projects) => {
-          if (!active) {
-            return;
-          }
-          const refreshedProjects = projects.filter((project) => !project.archived);
-          const refreshedSignature = getProjectSignature(refreshedProjects);
-          hasAppliedForceRefresh = true;
-          allProjects = refreshedProjects;
-          loading = false;
-          loadError = "";
-          renderList();
-          await logEvent({
-            source: "extension.content",
-            event: isRetry ? "project_picker.retry_loaded" : "project_picker.loaded",
-            actionId: ACTIONS.ADD_TO_PROJECT,
-            runId,
-            message: `Project picker ${isRetry ? "retry " : ""}loaded ${allProjects.length} projects.`,
-            link: linkedinUrl,
-            details: {
-              durationMs: Date.now() - startedAt
-            }
-          });
-
-          // If refresh result equals cache exactly, retry once with a forced new refresh
-          // to avoid stale in-flight refresh races after recent project creation.
-          if (!isRetry && active && cachedSignature && refreshedSignature === cachedSignature) {
-            setTimeout(() => {
-              if (!active) {
-                return;
-              }
-              runForceRefresh(true).catch(() => {});
-            }, 900);
-          }
-        })
-        .catch(async (error) => {
-          if (!active) {
-            return;
-          }
-          const message = error.message || "Failed to refresh project list.";
-          const usedCachedProjects = allProjects.length > 0;
-          if (!usedCachedProjects) {
-            loading = false;
-            loadError = message;
-            renderList();
-            showToast(message, true);
-          }
-          await logEvent({
-            source: "extension.content",
-            level: usedCachedProjects ? "warn" : "error",
-            event: isRetry ? "project_picker.retry_failed" : "project_picker.load_failed",
-            actionId: ACTIONS.ADD_TO_PROJECT,
-            runId,
-            message,
-            link: linkedinUrl,
-            details: {
-              durationMs: Date.now() - startedAt,
-              usedCachedProjects
-            }
-          });
-        });
+    function selectFile(file) {
+      if (file) {
+        select(file.name, () => Promise.resolve(file), "dropped_file");
+      }
     }
 
-    runForceRefresh(false).catch(() => {});
+    function renderList() {
+      list.innerHTML = "";
+      attachments.forEach((attachment, index) => {
+        const item = document.createElement("div");
+        item.className = `gem-resume-upload-picker-item${index === activeIndex ? " active" : ""}`;
+        const key = document.createElement("span");
+        key.className = "gem-resume-upload-picker-key";
+        key.textContent = index < 9 ? String(index + 1) : "";
+        const label = document.createElement("span");
+        label.textContent = attachment.fileName;
+        item.appendChild(key);
+        item.appendChild(label);
+        item.addEventListener("click", () => selectAttachment(index));
+        list.appendChild(item);
+      });
+    }
+
+    function onWindowKeyDown(event) {
+      if (disposed) {
+        return;
+      }
+      if (event.key === "Escape") {
+        event.preventDefault();
+        event.stopPropagation();
+        cancelPicker("Resume upload picker cancelled.");
+        return;
+      }
+      if (busy || attachments.length === 0) {
+        return;
+      }
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        event.stopPropagation();
+        const delta = event.key === "ArrowDown" ? 1 : -1;
+        activeIndex = (activeIndex + delta + attachments.length) % attachments.length;
+        renderList();
+        return;
+      }
+      if (event.key === "Enter") {
+        event.preventDefault();
+        event.stopPropagation();
+        selectAttachment(activeIndex);
+        return;
+      }
+      if (/^[1-9]$/.test(event.key) && !event.metaKey && !event.ctrlKey && !event.altKey) {
+        const index = Number(event.key) - 1;
+        if (index < attachments.length) {
+          event.preventDefault();
+          event.stopPropagation();
+          selectAttachment(index);
+        }
+      }
+    }
+    window.addEventListener("keydown", onWindowKeyDown, true);
+
+    drop.addEventListener("click", () => {
+      if (!busy) {
+        fileInput.click();
+      }
+    });
+    fileInput.addEventListener("change", () => {
+      selectFile(fileInput.files?.[0]);
+    });
+    ["dragenter", "dragover"].forEach((type) => {
+      drop.addEventListener(type, (event) => {
+        event.preventDefault();
+        drop.classList.add("dragging");
+      });
+    });
+    drop.addEventListener("dragleave", () => {
+      drop.classList.remove("dragging");
+    });
+    drop.addEventListener("drop", (event) => {
+      event.preventDefault();
+      drop.classList.remove("dragging");
+      selectFile(event.dataTransfer?.files?.[0]);
+    });
+    // Keep a missed drop from navigating the page away to the file.
+    overlay.addEventListener("dragover", (event) => event.preventDefault());
+    overlay.addEventListener("drop", (event) => event.preventDefault());
+
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay && !busy) {
+        cancelPicker("Resume upload picker cancelled by outside click.");
+      }
+    });
+
+    renderList();
+
+    logEvent({
+      source: "extension.content",
+      event: "resume_upload_picker.opened",
+      actionId: ACTIONS.UPLOAD_RESUME,
+      runId,
+      message: `Resume upload picker opened with ${attachments.length} attachments.`,
+      link: contextLink
+    });
   });
 }
 
-async function showAshbyJobPicker(runId, profileUrl) {
-  createAshbyJobPickerStyles();
+async function showSequencePreview(runId, context, sequenceId, preview) {
+  createSequencePreviewStyles();
+  const contextLink = getContextLink(context);
+  const sequence = preview.sequence || {};
+  const candidate = preview.candidate || null;
 
   return new Promise((resolve) => {
     const overlay = document.createElement("div");
-    overlay.id = "gem-ashby-job-picker-overlay";
+    overlay.id = "gem-sequence-preview-overlay";
 
     const modal = document.createElement("div");
-    modal.id = "gem-ashby-job-picker-modal";
-
-    const brand = document.createElement("div");
-    brand.id = "gem-ashby-job-picker-brand";
-    const brandDot = document.createElement("span");
-    brandDot.id = "gem-ashby-job-picker-brand-dot";
-    brandDot.textContent = "A";
-    const brandText = document.createElement("span");
-    brandText.textContent = "Ashby";
-    brand.appendChild(brandDot);
-    brand.appendChild(brandText);
+    modal.id = "gem-sequence-preview-modal";
 
     const title = document.createElement("div");
-    title.id = "gem-ashby-job-picker-title";
-    title.textContent = "Upload Candidate to Ashby";
+    title.id = "gem-sequence-preview-title";
+    title.textContent = sequence.name ? `Check before sending: ${sequence.name}` : "Check before sending";
 
     const subtitle = document.createElement("div");
-    subtitle.id = "gem-ashby-job-picker-subtitle";
-    subtitle.textContent = "Type job name, use arrow keys to choose, then upload candidate.";
-
-    const input = document.createElement("input");
-    input.id = "gem-ashby-job-picker-input";
-    input.type = "text";
-    input.placeholder = "Search jobs by name...";
-    input.autocomplete = "off";
+    subtitle.id = "gem-sequence-preview-subtitle";
+    subtitle.textContent = "Nothing is sent until you confirm in Gem.";
 
-    const results = document.createElement("div");
-    results.id = "gem-ashby-job-picker-results";
+    const body = document.createElement("div");
 
     const hint = document.createElement("div");
-    hint.className = "gem-ashby-job-picker-hint";
-    const hintText = document.createElement("span");
-    hintText.textContent = "Click a job or press Enter to continue. Esc to cancel.";
-    hint.appendChild(hintText);
-
-    const confirmMask = document.createElement("div");
-    confirmMask.id = "gem-ashby-job-picker-confirm-mask";
-    const confirmCard = document.createElement("div");
-    confirmCard.id = "gem-ashby-job-picker-confirm-card";
-    const confirmTitle = document.createElement("div");
-    confirmTitle.id = "gem-ashby-job-picker-confirm-title";
-    confirmTitle.textContent = "Confirm Upload";
-    const confirmBody = document.createElement("div");
-    confirmBody.id = "gem-ashby-job-picker-confirm-body";
-    const confirmActions = document.createElement("div");
-    confirmActions.id = "gem-ashby-job-picker-confirm-actions";
-    const confirmCancelBtn = document.createElement("button");
-    confirmCancelBtn.id = "gem-ashby-job-picker-confirm-cancel";
-    confirmCancelBtn.className = "gem-ashby-job-picker-confirm-btn";
-    confirmCancelBtn.type = "button";
-    confirmCancelBtn.textContent = "Cancel";
-    const confirmOkBtn = document.createElement("button");
-    confirmOkBtn.id = "gem-ashby-job-picker-confirm-ok";
-    confirmOkBtn.className = "gem-ashby-job-picker-confirm-btn";
-    confirmOkBtn.type = "button";
-    confirmOkBtn.textContent = "Confirm";
-    confirmActions.appendChild(confirmCancelBtn);
-    confirmActions.appendChild(confirmOkBtn);
-    confirmCard.appendChild(confirmTitle);
-    confirmCard.appendChild(confirmBody);
-    confirmCard.appendChild(confirmActions);
-    confirmMask.appendChild(confirmCard);
+    hint.className = "gem-sequence-preview-hint";
+    hint.textContent = "Enter to open the sequence for this candidate in Gem anyway. Esc to cancel.";
 
-    modal.appendChild(brand);
     modal.appendChild(title);
     modal.appendChild(subtitle);
-    modal.appendChild(input);
-    modal.appendChild(results);
+    modal.appendChild(body);
     modal.appendChild(hint);
-    modal.appendChild(confirmMask);
     overlay.appendChild(modal);
     document.documentElement.appendChild(overlay);
 
-    let selectedIndex = 0;
-    let selectedJobId = "";
-    let confirmationJob = null;
-    let filteredJobs = [];
-    let allJobs = [];
-    let loading = true;
-    let loadError = "";
-    const startedAt = Date.now();
     let disposed = false;
 
-    function isOpenAshbyJob(job) {
-      if (!job || typeof job !== "object") {
-        return false;
-      }
-      if (typeof job.isOpen === "boolean") {
-        return job.isOpen;
-      }
-      const status = String(job.status || "").trim().toLowerCase();
-      if (status.includes("open")) {
-        return true;
-      }
-      if (!status) {
-        return !Boolean(job.isArchived);
-      }
-      if (status.includes("closed") || status.includes("archived") || status.includes("draft")) {
-        return false;
-      }
-      return !Boolean(job.isArchived);
-    }
-
     function cleanup() {
       if (disposed) {
         return;
@@ -9593,420 +14925,393 @@ async function showAshbyJobPicker(runId, profileUrl) {
       overlay.remove();
     }
 
-    function finish(selected) {
+    function finish(confirmed, message) {
+      logEvent({
+        source: "extension.content",
+        level: confirmed ? "info" : "warn",
+        event: confirmed ? "sequence_preview.confirmed" : "sequence_preview.cancelled",
+        actionId: ACTIONS.SEND_SEQUENCE,
+        runId,
+        message,
+        link: contextLink,
+        details: { sequenceId }
+      });
       cleanup();
-      resolve(selected || null);
-    }
-
-    function isConfirming() {
-      return Boolean(confirmationJob);
-    }
+      resolve(confirmed);
+    }
+
+    function appendRow(label, value) {
+      const row = document.createElement("div");
+      row.className = "gem-sequence-preview-row";
+      const labelEl = document.createElement("span");
+      labelEl.className = "gem-sequence-preview-label";
+      labelEl.textContent = label;
+      const valueEl = document.createElement("span");
+      valueEl.textContent = value || "-";
+      row.appendChild(labelEl);
+      row.appendChild(valueEl);
+      body.appendChild(row);
+    }
+
+    if (candidate) {
+      appendRow("Candidate", [candidate.name, candidate.email].filter(Boolean).join(" · "));
+    }
+    appendRow("Owner", sequence.ownerName || sequence.ownerUserId);
+    (Array.isArray(preview.warnings) ? preview.warnings : []).forEach((text) => {
+      const warning = document.createElement("div");
+      warning.className = "gem-sequence-preview-warning";
+      warning.textContent = text;
+      body.appendChild(warning);
+    });
 
-    function getSelectedJob() {
-      if (loading || filteredJobs.length === 0) {
-        return null;
-      }
-      const byId = selectedJobId ? filteredJobs.find((job) => String(job?.id || "") === selectedJobId) : null;
-      if (byId) {
-        return byId;
+    function onWindowKeyDown(event) {
+      if (disposed) {
+        return;
       }
-      return filteredJobs[Math.max(0, Math.min(selectedIndex, filteredJobs.length - 1))] || null;
-    }
-
-    function getQuickSelectIndex(event) {
-      const code = String(event?.code || "");
-      let rawDigit = "";
-      if (/^Digit[0-9]$/.test(code)) {
-        rawDigit = code.slice(5);
-      } else if (/^Numpad[0-9]$/.test(code)) {
-        rawDigit = code.slice(6);
-      } else if (/^[0-9]$/.test(String(event?.key || "")) && !event.metaKey && !event.ctrlKey && !event.altKey) {
-        rawDigit = String(event.key);
-      } else {
-        return -1;
+      if (event.key === "Escape") {
+        event.preventDefault();
+        event.stopPropagation();
+        finish(false, "Sequence preview cancelled.");
+        return;
       }
-      const value = rawDigit === "0" ? 10 : Number(rawDigit);
-      if (!Number.isFinite(value) || value <= 0) {
-        return -1;
+      if (event.key === "Enter") {
+        event.preventDefault();
+        event.stopPropagation();
+        finish(true, "Sequence preview confirmed.");
       }
-      return value - 1;
     }
+    window.addEventListener("keydown", onWindowKeyDown, true);
 
-    function moveSelection(delta) {
-      if (loading || filteredJobs.length === 0) {
-        return;
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) {
+        finish(false, "Sequence preview cancelled by outside click.");
       }
-      const currentById = selectedJobId ? filteredJobs.findIndex((job) => String(job?.id || "") === selectedJobId) : -1;
-      const baseIndex = currentById >= 0 ? currentById : Math.max(0, Math.min(selectedIndex, filteredJobs.length - 1));
-      const nextIndex = (baseIndex + delta + filteredJobs.length) % filteredJobs.length;
-      const nextJob = filteredJobs[nextIndex] || null;
-      selectedIndex = nextIndex;
-      selectedJobId = nextJob ? String(nextJob.id || "") : "";
-      renderList();
-    }
+    });
 
-    function selectByQuickIndex(index) {
-      if (loading || index < 0 || index >= filteredJobs.length) {
-        return null;
-      }
-      const job = filteredJobs[index] || null;
-      if (!job) {
-        return null;
-      }
-      selectedIndex = index;
-      selectedJobId = String(job.id || "");
-      renderList();
-      return job;
-    }
+    logEvent({
+      source: "extension.content",
+      event: "sequence_preview.opened",
+      actionId: ACTIONS.SEND_SEQUENCE,
+      runId,
+      message: "Sequence preview opened.",
+      link: contextLink,
+      details: { sequenceId, warningCount: Array.isArray(preview.warnings) ? preview.warnings.length : 0 }
+    });
+  });
+}
+
+async function showAshbyStagePicker(runId, context) {
+  createAshbyStagePickerStyles();
+  const contextLink = getContextLink(context);
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.id = "gem-ashby-stage-picker-overlay";
+
+    const modal = document.createElement("div");
+    modal.id = "gem-ashby-stage-picker-modal";
+
+    const title = document.createElement("div");
+    title.id = "gem-ashby-stage-picker-title";
+
+    const subtitle = document.createElement("div");
+    subtitle.id = "gem-ashby-stage-picker-subtitle";
+
+    const input = document.createElement("input");
+    input.id = "gem-ashby-stage-picker-input";
+    input.type = "text";
+    input.autocomplete = "off";
+
+    const results = document.createElement("div");
+    results.id = "gem-ashby-stage-picker-results";
+
+    const hint = document.createElement("div");
+    hint.className = "gem-ashby-stage-picker-hint";
+
+    modal.appendChild(title);
+    modal.appendChild(subtitle);
+    modal.appendChild(input);
+    modal.appendChild(results);
+    modal.appendChild(hint);
+    overlay.appendChild(modal);
+    document.documentElement.appendChild(overlay);
 
-    function filterJobs(query) {
-      const normalized = String(query || "").trim().toLowerCase();
-      const base = Array.isArray(allJobs) ? allJobs : [];
-      if (!normalized) {
-        return base.slice(0, ASHBY_JOB_PICKER_RENDER_LIMIT);
-      }
-      return base
-        .filter((job) => String(job?.name || "").toLowerCase().includes(normalized))
-        .slice(0, ASHBY_JOB_PICKER_RENDER_LIMIT);
+    // Stages run application -> stage -> archive reason (archive only); Backspace on an empty input steps back.
+    let stage = "application";
+    let loading = true;
+    let loadError = "";
+    let candidateName = "";
+    let applications = [];
+    let archiveReasons = [];
+    let selectedApplication = null;
+    let archiveStage = null;
+    let activeIndex = 0;
+    let visibleItems = [];
+    let active = true;
+    const startedAt = Date.now();
+    const isArchivedStage = (option) => String(option?.type || "").toLowerCase() === "archived";
+
+    function finish(selection) {
+      active = false;
+      overlay.remove();
+      resolve(selection || null);
     }
 
-    function selectJob(job) {
-      if (!job) {
-        return;
-      }
+    function cancelPicker(message) {
       logEvent({
         source: "extension.content",
-        event: "ashby_job_picker.selected",
-        actionId: ACTIONS.UPLOAD_TO_ASHBY,
+        level: "warn",
+        event: "ashby_stage_picker.cancelled",
+        actionId: ACTIONS.ASHBY_MOVE_STAGE,
         runId,
-        message: `Selected Ashby job ${job.name || job.id}.`,
-        link: profileUrl,
-        details: {
-          jobId: job.id,
-          jobName: job.name || "",
-          jobStatus: job.status || ""
-        }
-      });
-      finish({
-        id: job.id,
-        name: job.name || ""
+        message,
+        link: contextLink
       });
+      finish(null);
     }
 
-    function updateConfirmationMask() {
-      if (!confirmationJob) {
-        confirmMask.classList.remove("visible");
-        input.focus();
-        return;
-      }
-      const jobName = String(confirmationJob.name || confirmationJob.id || "").trim();
-      confirmBody.textContent = `Upload candidate to "${jobName}"?`;
-      confirmMask.classList.add("visible");
-      confirmOkBtn.focus();
-    }
-
-    function openConfirmation(job) {
-      if (!job) {
-        return;
-      }
-      confirmationJob = {
-        id: String(job.id || "").trim(),
-        name: String(job.name || "").trim(),
-        status: String(job.status || "").trim()
-      };
-      updateConfirmationMask();
-    }
-
-    function closeConfirmation() {
-      if (!confirmationJob) {
-        return;
-      }
-      confirmationJob = null;
-      updateConfirmationMask();
-    }
-
-    function confirmSelection() {
-      if (!confirmationJob) {
-        return;
+    function buildItems() {
+      const query = String(input.value || "").trim().toLowerCase();
+      const matches = (label) => !query || String(label || "").toLowerCase().includes(query);
+      if (stage === "application") {
+        return applications
+          .filter((application) => matches(application.jobName))
+          .map((application) => ({
+            key: application.id,
+            label: application.jobName || application.id,
+            meta: application.currentStageTitle,
+            value: application
+          }));
+      }
+      if (stage === "stage") {
+        const items = selectedApplication.stages
+          .filter((option) => !isArchivedStage(option) && matches(option.title))
+          .map((option) => ({
+            key: option.id,
+            label: option.title,
+            meta: option.id === selectedApplication.currentStageId ? "Current" : "",
+            value: option
+          }));
+        if (archiveStage && archiveReasons.length > 0 && matches("Archive")) {
+          items.push({ key: "__archive__", label: "Archive…", meta: "", archive: true, value: archiveStage });
+        }
+        return items;
       }
-      const chosen = confirmationJob;
-      confirmationJob = null;
-      selectJob(chosen);
+      return archiveReasons
+        .filter((reason) => matches(reason.text))
+        .map((reason) => ({ key: reason.id, label: reason.text, meta: reason.reasonType, value: reason }));
     }
 
-    function renderList() {
-      filteredJobs = filterJobs(input.value || "");
-      if (filteredJobs.length === 0) {
-        selectedIndex = 0;
-        selectedJobId = "";
+    function render() {
+      if (stage === "application") {
+        title.textContent = candidateName ? `Ashby: Move Stage · ${candidateName}` : "Ashby: Move Stage";
+        subtitle.textContent = "Pick one of the candidate's open Ashby applications.";
+        input.placeholder = "Search applications...";
+        hint.textContent = "Enter to choose. Esc to cancel.";
+      } else if (stage === "stage") {
+        title.textContent = selectedApplication.jobName || "Ashby application";
+        subtitle.textContent = `Current stage: ${selectedApplication.currentStageTitle || "Unknown"}`;
+        input.placeholder = "Search stages...";
+        hint.textContent = "Enter to move. Backspace to go back. Esc to cancel.";
       } else {
-        const selectedByIdIndex = selectedJobId ? filteredJobs.findIndex((job) => String(job?.id || "") === selectedJobId) : -1;
-        if (selectedByIdIndex >= 0) {
-          selectedIndex = selectedByIdIndex;
-        } else if (selectedIndex >= filteredJobs.length) {
-          selectedIndex = Math.max(0, filteredJobs.length - 1);
-        } else if (selectedIndex < 0) {
-          selectedIndex = 0;
-        }
-        const selected = filteredJobs[selectedIndex] || null;
-        selectedJobId = selected ? String(selected.id || "") : "";
+        title.textContent = `Archive · ${selectedApplication.jobName || "Ashby application"}`;
+        subtitle.textContent = "Pick an archive reason.";
+        input.placeholder = "Search archive reasons...";
+        hint.textContent = "Enter to archive. Backspace to go back. Esc to cancel.";
       }
 
+      visibleItems = buildItems();
+      if (activeIndex >= visibleItems.length) {
+        activeIndex = Math.max(0, visibleItems.length - 1);
+      }
       results.innerHTML = "";
+
+      let emptyText = "";
       if (loading) {
-        const loadingNode = document.createElement("div");
-        loadingNode.className = "gem-ashby-job-picker-empty";
-        loadingNode.textContent = "Loading jobs...";
-        results.appendChild(loadingNode);
-        return;
-      }
-      if (loadError) {
-        const errorNode = document.createElement("div");
-        errorNode.className = "gem-ashby-job-picker-empty";
-        errorNode.textContent = `Could not load jobs: ${loadError}`;
-        results.appendChild(errorNode);
-        return;
-      }
-      if (filteredJobs.length === 0) {
+        emptyText = "Loading Ashby applications...";
+      } else if (loadError) {
+        emptyText = `Could not load: ${loadError}`;
+      } else if (visibleItems.length === 0) {
+        emptyText =
+          stage === "application" && applications.length === 0
+            ? "This candidate has no open Ashby applications."
+            : "No matches.";
+      }
+      if (emptyText) {
         const empty = document.createElement("div");
-        empty.className = "gem-ashby-job-picker-empty";
-        empty.textContent = "No matching jobs.";
+        empty.className = "gem-ashby-stage-picker-empty";
+        empty.textContent = emptyText;
         results.appendChild(empty);
         return;
       }
 
-      filteredJobs.forEach((job, index) => {
+      visibleItems.forEach((entry, index) => {
         const item = document.createElement("div");
-        const jobId = String(job.id || "");
-        item.className = `gem-ashby-job-picker-item${jobId === selectedJobId ? " active" : ""}`;
-
-        const left = document.createElement("span");
-        left.className = "gem-ashby-job-picker-item-left";
-        const key = document.createElement("span");
-        key.className = "gem-ashby-job-picker-item-key";
-        key.textContent = String(index + 1);
-        const name = document.createElement("span");
-        name.className = "gem-ashby-job-picker-item-name";
-        name.textContent = job.name || job.id;
-        left.appendChild(key);
-        left.appendChild(name);
-
-        const status = document.createElement("span");
-        status.className = "gem-ashby-job-picker-item-status";
-        status.textContent = job.status || (job.isArchived ? "Archived" : "");
-
-        item.appendChild(left);
-        item.appendChild(status);
-        item.addEventListener("mouseenter", () => {
-          if (selectedIndex === index && selectedJobId === jobId) {
-            return;
-          }
-          selectedIndex = index;
-          selectedJobId = jobId;
-          renderList();
-        });
+        item.className = `gem-ashby-stage-picker-item${index === activeIndex ? " active" : ""}${
+          entry.archive ? " archive" : ""
+        }`;
+        const label = document.createElement("span");
+        label.textContent = entry.label;
+        item.appendChild(label);
+        if (entry.meta) {
+          const meta = document.createElement("span");
+          meta.className = "gem-ashby-stage-picker-item-meta";
+          meta.textContent = entry.meta;
+          item.appendChild(meta);
+        }
         item.addEventListener("click", () => {
-          selectedIndex = index;
-          selectedJobId = jobId;
-          renderList();
-          openConfirmation(job);
-        });
-        item.addEventListener("dblclick", () => {
-          selectedIndex = index;
-          selectedJobId = jobId;
-          renderList();
-          openConfirmation(job);
+          activeIndex = index;
+          chooseActive();
         });
         results.appendChild(item);
       });
     }
 
-    input.addEventListener("input", () => {
-      selectedIndex = 0;
-      selectedJobId = "";
-      confirmationJob = null;
-      updateConfirmationMask();
-      renderList();
-    });
-    input.addEventListener("keydown", (event) => {
-      if (isConfirming()) {
-        if (event.key === "Enter") {
-          event.preventDefault();
-          confirmSelection();
-          return;
-        }
-        if (event.key === "Escape") {
-          event.preventDefault();
-          closeConfirmation();
-          return;
-        }
-      }
-      if (event.key === "ArrowDown") {
-        event.preventDefault();
-        moveSelection(1);
-        return;
-      }
-      if (event.key === "ArrowUp") {
-        event.preventDefault();
-        moveSelection(-1);
-        return;
-      }
-      const quickIndex = getQuickSelectIndex(event);
-      if (quickIndex >= 0) {
-        const quickJob = selectByQuickIndex(quickIndex);
-        if (quickJob) {
-          event.preventDefault();
-          openConfirmation(quickJob);
-        }
-        return;
-      }
-      if (event.key === "Enter") {
-        event.preventDefault();
-        openConfirmation(getSelectedJob());
-        return;
-      }
-      if (event.key === "Escape") {
-        event.preventDefault();
-        cancelPicker("Ashby job picker cancelled.");
-        finish(null);
-      }
-    });
+    function setStage(nextStage) {
+      stage = nextStage;
+      activeIndex = 0;
+      input.value = "";
+      render();
+      input.focus();
+    }
 
-    function cancelPicker(message) {
+    function submit(targetStage, archiveReason) {
       logEvent({
         source: "extension.content",
-        level: "warn",
-        event: "ashby_job_picker.cancelled",
-        actionId: ACTIONS.UPLOAD_TO_ASHBY,
+        event: "ashby_stage_picker.submitted",
+        actionId: ACTIONS.ASHBY_MOVE_STAGE,
         runId,
-        message,
-        link: profileUrl
+        message: archiveReason
+          ? `Archive selected for ${selectedApplication.jobName}.`
+          : `Stage ${targetStage.title} selected for ${selectedApplication.jobName}.`,
+        link: contextLink,
+        details: {
+          applicationId: selectedApplication.id,
+          interviewStageId: targetStage.id,
+          archive: Boolean(archiveReason),
+          durationMs: Date.now() - startedAt
+        }
+      });
+      finish({
+        ashbyApplicationId: selectedApplication.id,
+        ashbyJobName: selectedApplication.jobName,
+        ashbyStageId: targetStage.id,
+        ashbyStageTitle: targetStage.title,
+        ashbyArchive: Boolean(archiveReason),
+        ashbyArchiveReasonId: archiveReason ? archiveReason.id : ""
       });
     }
 
-    function onWindowKeyDown(event) {
-      if (disposed || event.defaultPrevented) {
+    function chooseActive() {
+      if (loading) {
         return;
       }
-      if (event.key === "Enter") {
-        if (isConfirming()) {
-          event.preventDefault();
-          event.stopPropagation();
-          confirmSelection();
-          return;
-        }
-        if (event.target === input) {
+      const entry = visibleItems[activeIndex];
+      if (!entry) {
+        return;
+      }
+      if (stage === "application") {
+        selectedApplication = entry.value;
+        archiveStage = selectedApplication.stages.find((option) => isArchivedStage(option)) || null;
+        setStage("stage");
+        return;
+      }
+      if (stage === "stage") {
+        if (entry.archive) {
+          setStage("reason");
           return;
         }
-        const selected = getSelectedJob();
-        if (!selected) {
+        if (entry.value.id === selectedApplication.currentStageId) {
           return;
         }
+        submit(entry.value, null);
+        return;
+      }
+      submit(archiveStage, entry.value);
+    }
+
+    function goBack() {
+      if (stage === "reason") {
+        setStage("stage");
+        return true;
+      }
+      if (stage === "stage") {
+        selectedApplication = null;
+        archiveStage = null;
+        setStage("application");
+        return true;
+      }
+      return false;
+    }
+
+    input.addEventListener("input", () => {
+      activeIndex = 0;
+      render();
+    });
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
         event.preventDefault();
-        event.stopPropagation();
-        openConfirmation(selected);
+        cancelPicker("Ashby stage picker cancelled.");
         return;
       }
-      const quickIndex = getQuickSelectIndex(event);
-      if (quickIndex >= 0) {
-        const quickJob = selectByQuickIndex(quickIndex);
-        if (!quickJob) {
-          return;
-        }
+      if (event.key === "Enter") {
         event.preventDefault();
-        event.stopPropagation();
-        openConfirmation(quickJob);
+        chooseActive();
         return;
       }
-      if (event.key === "Escape") {
-        if (isConfirming()) {
-          event.preventDefault();
-          event.stopPropagation();
-          closeConfirmation();
-          return;
-        }
-        if (event.target === input) {
-          return;
-        }
+      if (event.key === "Backspace" && !input.value && goBack()) {
         event.preventDefault();
-        event.stopPropagation();
-        cancelPicker("Ashby job picker cancelled.");
-        finish(null);
+        return;
       }
-    }
-    window.addEventListener("keydown", onWindowKeyDown, true);
-
-    confirmOkBtn.addEventListener("click", () => {
-      confirmSelection();
-    });
-    confirmCancelBtn.addEventListener("click", () => {
-      closeConfirmation();
-    });
-    confirmMask.addEventListener("click", (event) => {
-      if (event.target === confirmMask) {
-        closeConfirmation();
+      if ((event.key === "ArrowDown" || event.key === "ArrowUp") && visibleItems.length > 0) {
+        event.preventDefault();
+        const delta = event.key === "ArrowDown" ? 1 : -1;
+        activeIndex = (activeIndex + delta + visibleItems.length) % visibleItems.length;
+        render();
       }
     });
 
     overlay.addEventListener("click", (event) => {
       if (event.target === overlay) {
-        cancelPicker("Ashby job picker cancelled by outside click.");
-        finish(null);
+        cancelPicker("Ashby stage picker cancelled by outside click.");
       }
     });
 
-    renderList();
+    render();
     input.focus();
 
     logEvent({
       source: "extension.content",
-      event: "ashby_job_picker.opened",
-      actionId: ACTIONS.UPLOAD_TO_ASHBY,
+      event: "ashby_stage_picker.opened",
+      actionId: ACTIONS.ASHBY_MOVE_STAGE,
       runId,
-      message: "Ashby job picker opened.",
-      link: profileUrl
+      message: "Ashby stage picker opened.",
+      link: contextLink
     });
 
-    listAshbyJobs("", runId)
-      .then(async (jobs) => {
-        allJobs = jobs.filter((job) => isOpenAshbyJob(job) && !job.isArchived);
+    listAshbyApplicationsForContext(context, runId)
+      .then((data) => {
+        if (!active) {
+          return;
+        }
+        candidateName = String(data.candidate?.name || "");
+        applications = data.applications;
+        archiveReasons = data.archiveReasons;
         loading = false;
-        loadError = "";
-        renderList();
-        await logEvent({
-          source: "extension.content",
-          event: "ashby_job_picker.loaded",
-          actionId: ACTIONS.UPLOAD_TO_ASHBY,
-          runId,
-          message: `Ashby job picker loaded ${allJobs.length} jobs.`,
-          link: profileUrl,
-          details: {
-            durationMs: Date.now() - startedAt
-          }
-        });
+        render();
       })
-      .catch(async (error) => {
+      .catch((error) => {
+        if (!active) {
+          return;
+        }
         loading = false;
-        loadError = error.message || "Failed to load Ashby job list.";
-        renderList();
-        showToast(loadError, true);
-        await logEvent({
-          source: "extension.content",
-          level: "error",
-          event: "ashby_job_picker.load_failed",
-          actionId: ACTIONS.UPLOAD_TO_ASHBY,
-          runId,
-          message: loadError,
-          link: profileUrl,
-          details: {
-            durationMs: Date.now() - startedAt
-          }
-        });
+        loadError = error.message || "Unknown error.";
+        render();
       });
   });
 }
 
-async function showCandidateNotePicker(runId, context) {
+async function showCandidateNotePicker(runId, context, settings = {}) {
   createCandidateNotePickerStyles();
   const linkedinUrl = context.linkedinUrl || window.location.href;
 
@@ -10025,6 +15330,10 @@ async function showCandidateNotePicker(runId, context) {
     subtitle.id = "gem-candidate-note-picker-subtitle";
     subtitle.textContent = "Type note. Press Enter to continue, Shift+Enter for a new line.";
 
+    const templates = normalizeNoteTemplates(settings?.noteTemplates);
+    const templateBar = document.createElement("div");
+    templateBar.id = "gem-candidate-note-picker-templates";
+
     const input = document.createElement("textarea");
     input.id = "gem-candidate-note-picker-input";
     input.placeholder = "Write candidate note...";
@@ -10040,6 +15349,13 @@ async function showCandidateNotePicker(runId, context) {
     hint.className = "gem-candidate-note-picker-hint";
     hint.textContent = "Enter to continue. Shift+Enter for new line. Esc to cancel.";
 
+    const historyTitle = document.createElement("div");
+    historyTitle.id = "gem-candidate-note-picker-history-title";
+    historyTitle.textContent = "Previous notes";
+
+    const history = document.createElement("div");
+    history.id = "gem-candidate-note-picker-history";
+
     const confirmMask = document.createElement("div");
     confirmMask.id = "gem-candidate-note-picker-confirm-mask";
     const confirmCard = document.createElement("div");
@@ -10070,15 +15386,32 @@ async function showCandidateNotePicker(runId, context) {
 
     modal.appendChild(title);
     modal.appendChild(subtitle);
+    modal.appendChild(templateBar);
     modal.appendChild(input);
     modal.appendChild(meta);
     modal.appendChild(errorEl);
     modal.appendChild(hint);
+    modal.appendChild(historyTitle);
+    modal.appendChild(history);
     modal.appendChild(confirmMask);
     overlay.appendChild(modal);
     document.documentElement.appendChild(overlay);
 
     let confirmationNote = "";
+    let pendingDeleteNote = null;
+    let editingNote = null;
+    let previousNotes = [];
+    let notesCandidateId = "";
+    let notesLoading = true;
+    let notesError = "";
+    let deleteInFlight = false;
+    let gemStatusText = getStatusLabelsFromCustomFieldData(
+      mergeOptimisticGemStatusIntoCustomFieldData(
+        context,
+        getCustomFieldMemoryEntry(context).entry || {},
+        String(context.gemCandidateId || "").trim()
+      )
+    ).join(", ");
     const startedAt = Date.now();
     let disposed = false;
 
@@ -10118,20 +15451,252 @@ async function showCandidateNotePicker(runId, context) {
     }
 
     function isConfirming() {
-      return Boolean(confirmationNote);
+      return Boolean(confirmationNote || pendingDeleteNote);
     }
 
     function updateConfirmationMask() {
+      if (pendingDeleteNote) {
+        confirmTitle.textContent = "Confirm Delete Note";
+        confirmBody.textContent = `Delete this note from Gem?\n\n${pendingDeleteNote.content}`;
+        confirmMask.classList.add("visible");
+        confirmOkBtn.focus();
+        return;
+      }
       if (!confirmationNote) {
         confirmMask.classList.remove("visible");
         input.focus();
         return;
       }
-      confirmBody.textContent = `Add this note to candidate in Gem?\n\n${confirmationNote}`;
+      confirmTitle.textContent = editingNote ? "Confirm Edit Note" : "Confirm Add Note";
+      confirmBody.textContent = editingNote
+        ? `Replace this note in Gem?\n\n${confirmationNote}`
+        : `Add this note to candidate in Gem?\n\n${confirmationNote}`;
       confirmMask.classList.add("visible");
       confirmOkBtn.focus();
     }
 
+    function setEditingNote(note) {
+      editingNote = note || null;
+      if (editingNote) {
+        title.textContent = "Edit Note";
+        subtitle.textContent = "Edit your note. Press Enter to continue, Esc to stop editing.";
+        input.value = editingNote.content;
+      } else {
+        title.textContent = "Add Note to Candidate";
+        subtitle.textContent = "Type note. Press Enter to continue, Shift+Enter for a new line.";
+        input.value = "";
+      }
+      setError("");
+      updateMeta();
+      renderPreviousNotes();
+      input.focus();
+    }
+
+    function getTemplateVariables() {
+      return {
+        profileName: String(context.profileName || "").trim(),
+        linkedinUrl: String(context.linkedinUrl || context.profileUrl || "").trim(),
+        today: getTodayIsoDate(),
+        myName: String(settings?.createdByUserName || settings?.createdByUserEmail || "").trim(),
+        gemStatus: gemStatusText
+      };
+    }
+
+    function insertTemplate(index) {
+      const template = templates[index];
+      if (!template || isConfirming()) {
+        return false;
+      }
+      const text = renderNoteTemplate(template.body, getTemplateVariables());
+      const start = Number.isInteger(input.selectionStart) ? input.selectionStart : input.value.length;
+      const end = Number.isInteger(input.selectionEnd) ? input.selectionEnd : start;
+      input.setRangeText(text, start, end, "end");
+      setError(input.value.length > CANDIDATE_NOTE_MAX_LENGTH ? "Note is too long." : "");
+      updateMeta();
+      input.focus();
+      logEvent({
+        source: "extension.content",
+        event: "candidate_note_picker.template_inserted",
+        actionId: ACTIONS.ADD_NOTE_TO_CANDIDATE,
+        runId,
+        message: `Inserted note template "${template.name}".`,
+        link: linkedinUrl
+      });
+      return true;
+    }
+
+    function renderTemplateBar() {
+      templateBar.innerHTML = "";
+      templates.forEach((template, index) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "gem-candidate-note-picker-template";
+        chip.title = template.body;
+        const key = document.createElement("span");
+        key.className = "gem-candidate-note-picker-template-key";
+        key.textContent = `⌥${index + 1}`;
+        chip.appendChild(key);
+        chip.appendChild(document.createTextNode(template.name));
+        chip.addEventListener("click", () => {
+          insertTemplate(index);
+        });
+        templateBar.appendChild(chip);
+      });
+    }
+
+    async function loadGemStatusForTemplates() {
+      if (gemStatusText || !templates.some((template) => template.body.includes("gemStatus"))) {
+        return;
+      }
+      try {
+        const data = await listCustomFieldsForContext(context, runId, { preferCache: true, allowCreate: false });
+        gemStatusText = getStatusLabelsFromCustomFieldData(data).join(", ");
+      } catch (_error) {
+        // Templates still insert without the status; the picker should not fail on this lookup.
+      }
+    }
+
+    function renderPreviousNotes() {
+      history.innerHTML = "";
+      const emptyText = notesLoading
+        ? "Loading previous notes..."
+        : notesError
+          ? `Could not load previous notes: ${notesError}`
+          : previousNotes.length === 0
+            ? "No previous notes for this candidate."
+            : "";
+      if (emptyText) {
+        const empty = document.createElement("div");
+        empty.className = "gem-candidate-note-picker-history-empty";
+        empty.textContent = emptyText;
+        history.appendChild(empty);
+        return;
+      }
+      previousNotes.forEach((note) => {
+        const item = document.createElement("div");
+        item.className = `gem-candidate-note-picker-history-item${editingNote?.id === note.id ? " editing" : ""}`;
+
+        const noteMeta = document.createElement("div");
+        noteMeta.className = "gem-candidate-note-picker-history-meta";
+        const byline = document.createElement("span");
+        byline.textContent = [
+          note.authorName || "Unknown author",
+          formatCandidateTimelineDate(note.timestampMs),
+          note.isPrivate ? "Private" : ""
+        ]
+          .filter(Boolean)
+          .join(" · ");
+        noteMeta.appendChild(byline);
+
+        if (note.isOwn) {
+          const actions = document.createElement("div");
+          actions.className = "gem-candidate-note-picker-history-actions";
+          const editBtn = document.createElement("button");
+          editBtn.type = "button";
+          editBtn.className = "gem-candidate-note-picker-history-btn";
+          editBtn.textContent = editingNote?.id === note.id ? "Editing" : "Edit";
+          editBtn.addEventListener("click", () => {
+            setEditingNote(note);
+          });
+          const deleteBtn = document.createElement("button");
+          deleteBtn.type = "button";
+          deleteBtn.className = "gem-candidate-note-picker-history-btn";
+          deleteBtn.textContent = "Delete";
+          deleteBtn.addEventListener("click", () => {
+            setError("");
+            confirmationNote = "";
+            pendingDeleteNote = note;
+            updateConfirmationMask();
+          });
+          actions.appendChild(editBtn);
+          actions.appendChild(deleteBtn);
+          noteMeta.appendChild(actions);
+        }
+
+        const content = document.createElement("div");
+        content.className = "gem-candidate-note-picker-history-content";
+        content.textContent = note.content;
+        content.title = note.content;
+
+        item.appendChild(noteMeta);
+        item.appendChild(content);
+        history.appendChild(item);
+      });
+    }
+
+    async function loadPreviousNotes() {
+      try {
+        const data = await listCandidateNotesForContext(context, runId);
+        if (disposed) {
+          return;
+        }
+        notesCandidateId = data.candidateId;
+        previousNotes = data.notes
+          .map((note) => ({
+            id: String(note?.id || ""),
+            content: String(note?.content || ""),
+            authorName: String(note?.authorName || ""),
+            timestampMs: Number(note?.timestampMs) || 0,
+            isPrivate: Boolean(note?.isPrivate),
+            isOwn: Boolean(note?.isOwn)
+          }))
+          .filter((note) => note.id);
+      } catch (error) {
+        if (disposed) {
+          return;
+        }
+        notesError = error?.message || "Unknown error";
+      }
+      notesLoading = false;
+      renderPreviousNotes();
+    }
+
+    async function confirmDeleteNote() {
+      const note = pendingDeleteNote;
+      if (!note || deleteInFlight) {
+        return;
+      }
+      deleteInFlight = true;
+      confirmOkBtn.disabled = true;
+      try {
+        await deleteCandidateNote(context, notesCandidateId, note.id, runId);
+        if (disposed) {
+          return;
+        }
+        previousNotes = previousNotes.filter((entry) => entry.id !== note.id);
+        pendingDeleteNote = null;
+        updateConfirmationMask();
+        if (editingNote?.id === note.id) {
+          setEditingNote(null);
+        } else {
+          renderPreviousNotes();
+        }
+        showToast("Note deleted.");
+        logEvent({
+          source: "extension.content",
+          event: "candidate_note_picker.note_deleted",
+          actionId: ACTIONS.ADD_NOTE_TO_CANDIDATE,
+          runId,
+          message: "Deleted candidate note from picker.",
+          link: linkedinUrl,
+          details: {
+            candidateId: notesCandidateId,
+            noteId: note.id
+          }
+        });
+      } catch (error) {
+        if (disposed) {
+          return;
+        }
+        pendingDeleteNote = null;
+        updateConfirmationMask();
+        setError(error?.message || "Could not delete note.");
+      } finally {
+        deleteInFlight = false;
+        confirmOkBtn.disabled = false;
+      }
+    }
+
     function openConfirmation() {
       const note = String(input.value || "").trim();
       if (!note) {
@@ -10145,14 +15710,19 @@ async function showCandidateNotePicker(runId, context) {
     }
 
     function closeConfirmation() {
-      if (!confirmationNote) {
+      if (!isConfirming() || deleteInFlight) {
         return;
       }
       confirmationNote = "";
+      pendingDeleteNote = null;
       updateConfirmationMask();
     }
 
     function confirmSelection() {
+      if (pendingDeleteNote) {
+        void confirmDeleteNote();
+        return;
+      }
       if (!confirmationNote) {
         return;
       }
@@ -10167,11 +15737,13 @@ async function showCandidateNotePicker(runId, context) {
         link: linkedinUrl,
         details: {
           noteLength: note.length,
+          editedNoteId: editingNote?.id || "",
           durationMs: Date.now() - startedAt
         }
       });
       finish({
-        candidateNote: note
+        candidateNote: note,
+        candidateNoteEditId: editingNote?.id || ""
       });
     }
 
@@ -10179,6 +15751,13 @@ async function showCandidateNotePicker(runId, context) {
       if (disposed || event.defaultPrevented) {
         return;
       }
+      if (event.altKey && !event.metaKey && !event.ctrlKey && /^Digit[1-9]$/.test(String(event.code || ""))) {
+        if (insertTemplate(Number(event.code.slice(5)) - 1)) {
+          event.preventDefault();
+          event.stopPropagation();
+        }
+        return;
+      }
       if (event.key === "Enter") {
         if (isConfirming()) {
           event.preventDefault();
@@ -10245,6 +15824,10 @@ async function showCandidateNotePicker(runId, context) {
       }
       if (event.key === "Escape") {
         event.preventDefault();
+        if (editingNote) {
+          setEditingNote(null);
+          return;
+        }
         cancelPicker("Candidate note picker cancelled.");
       }
     });
@@ -10268,6 +15851,10 @@ async function showCandidateNotePicker(runId, context) {
     });
 
     updateMeta();
+    renderTemplateBar();
+    renderPreviousNotes();
+    void loadPreviousNotes();
+    void loadGemStatusForTemplates();
     input.focus();
 
     logEvent({
@@ -10285,21 +15872,70 @@ async function getRuntimeContext(actionId, settings, runId) {
   const context = getProfileContext();
   const contextLink = getContextLink(context);
 
+  if (actionId === ACTIONS.ADD_PROSPECT && glsIsEmailThreadPlatform(context.sourcePlatform)) {
+    if (!(await prepareGmailProspectContext(runId, context))) {
+      return null;
+    }
+  }
+
   if (actionId === ACTIONS.ADD_TO_PROJECT) {
-    const project = await showProjectPicker(runId, contextLink);
+    const project = await showProjectPicker(runId, contextLink, { context });
     if (!project) {
       return null;
     }
     context.projectId = String(project.id || "").trim();
     context.projectName = String(project.name || "").trim();
+    context.projectAction = project.action === "remove" ? "remove" : "add";
   }
 
   if (actionId === ACTIONS.ADD_NOTE_TO_CANDIDATE) {
-    const selection = await showCandidateNotePicker(runId, context);
+    const selection = await showCandidateNotePicker(runId, context, settings);
     if (!selection) {
       return null;
     }
     context.candidateNote = selection.candidateNote || "";
+    context.candidateNoteEditId = selection.candidateNoteEditId || "";
+  }
+
+  if (actionId === ACTIONS.SET_PROJECT_FIELD) {
+    const selection = await showProjectFieldPicker(runId, context);
+    if (!selection) {
+      return null;
+    }
+    context.projectId = selection.projectId;
+    context.projectName = selection.projectName;
+    context.projectFieldId = selection.projectFieldId;
+    context.projectFieldName = selection.projectFieldName;
+    context.projectFieldValueType = selection.projectFieldValueType;
+    context.projectFieldOptionIds = Array.isArray(selection.projectFieldOptionIds) ? selection.projectFieldOptionIds.slice() : [];
+    context.projectFieldValueLabels = Array.isArray(selection.projectFieldValueLabels)
+      ? selection.projectFieldValueLabels.slice()
+      : [];
+    context.projectFieldText = selection.projectFieldText || "";
+  }
+
+  if (actionId === ACTIONS.ASHBY_MOVE_STAGE) {
+    const selection = await showAshbyStagePicker(runId, context);
+    if (!selection) {
+      return null;
+    }
+    context.ashbyApplicationId = selection.ashbyApplicationId;
+    context.ashbyJobName = selection.ashbyJobName;
+    context.ashbyStageId = selection.ashbyStageId;
+    context.ashbyStageTitle = selection.ashbyStageTitle;
+    context.ashbyArchive = selection.ashbyArchive;
+    context.ashbyArchiveReasonId = selection.ashbyArchiveReasonId;
+  }
+
+  if (actionId === ACTIONS.UPLOAD_RESUME) {
+    const selection = await showResumeUploadPicker(runId, context);
+    if (!selection) {
+      return null;
+    }
+    context.resumeFileName = selection.resumeFileName;
+    context.resumeContentType = selection.resumeContentType;
+    context.resumeFileBase64 = selection.resumeFileBase64;
+    context.resumeSource = selection.resumeSource;
   }
 
   if (actionId === ACTIONS.UPLOAD_TO_ASHBY) {
@@ -10332,28 +15968,44 @@ async function getRuntimeContext(actionId, settings, runId) {
     context.customFieldOptionIds = Array.isArray(selection.customFieldOptionIds) ? selection.customFieldOptionIds.slice() : [];
     context.customFieldValueType = selection.customFieldValueType || "";
     context.customFieldName = selection.customFieldName || "";
+    context.customFieldClear = Boolean(selection.customFieldClear);
   }
 
   if (actionId === ACTIONS.SET_REMINDER) {
-    const selection = await showReminderPicker(runId, context);
+    const selection = await showReminderPicker(runId, context, settings);
     if (!selection) {
       return null;
     }
     context.reminderNote = selection.reminderNote || "";
     context.reminderDueDate = selection.reminderDueDate || "";
-  }
-
-  if (actionId === ACTIONS.SEND_SEQUENCE && !settings.defaultSequenceId) {
-    const sequence = await showSequencePicker(runId, contextLink, {
-      actionId: ACTIONS.SEND_SEQUENCE,
-      title: "Open Sequence",
-      subtitle: "Press a letter to pick a sequence. Use Enter to open it in Gem."
-    });
-    if (!sequence) {
-      return null;
+    context.reminderRepeat = selection.reminderRepeat || "";
+    context.reminderAssigneeUserId = selection.reminderAssigneeUserId || "";
+    context.reminderAssigneeEmail = selection.reminderAssigneeEmail || "";
+    context.reminderAssigneeName = selection.reminderAssigneeName || "";
+  }
+
+  if (actionId === ACTIONS.SEND_SEQUENCE) {
+    if (!settings.defaultSequenceId) {
+      const sequence = await showSequencePicker(runId, contextLink, {
+        actionId: ACTIONS.SEND_SEQUENCE,
+        title: "Open Sequence",
+        subtitle: "Press a letter to pick a sequence. Use Enter to open it in Gem."
+      });
+      if (!sequence) {
+        return null;
+      }
+      context.sequenceId = String(sequence.id || "").trim();
+      context.sequenceName = String(sequence.name || "").trim();
+    }
+    // Gem's API exposes no sequence steps, so the check only interrupts when there is something to warn about.
+    const sequenceId = context.sequenceId || settings.defaultSequenceId;
+    const preview = await previewSequenceForContext(context, sequenceId, runId).catch(() => null);
+    if (preview && Array.isArray(preview.warnings) && preview.warnings.length > 0) {
+      const confirmed = await showSequencePreview(runId, context, sequenceId, preview);
+      if (!confirmed) {
+        return null;
+      }
     }
-    context.sequenceId = String(sequence.id || "").trim();
-    context.sequenceName = String(sequence.name || "").trim();
   }
 
   if (actionId === ACTIONS.EDIT_SEQUENCE) {
@@ -10416,8 +16068,26 @@ async function handleAction(actionId, source = "keyboard", runId = "") {
       return { ok: true, message: "Opened Gem actions.", runId: effectiveRunId, debugSummary: contextSignalSummary };
     }
 
+    if (isBulkAddToProjectAction(actionId)) {
+      await logEvent({
+        source: "extension.content",
+        event: "bulk_project.triggered",
+        actionId,
+        runId: effectiveRunId,
+        message: `Bulk add to project triggered from ${source}.`,
+        link: window.location.href
+      });
+      const result = await runLinkedInBulkAddToProject(effectiveRunId);
+      return { ...result, runId: effectiveRunId, debugSummary: contextSignalSummary };
+    }
+
+    if (actionId === ACTIONS.UNDO_LAST_ACTION) {
+      const result = await runUndoLastAction(source, effectiveRunId);
+      return { ...result, debugSummary: contextSignalSummary };
+    }
+
     if (!isSupportedActionPage()) {
-      const message = "Open a LinkedIn, Gem candidate, Gmail thread, or GitHub profile to run this action.";
+      const message = "Open a LinkedIn, Gem candidate, Gmail or Outlook thread, or GitHub profile to run this action.";
       showToast(message, true);
       logEvent({
         source: "extension.content",
@@ -10432,7 +16102,7 @@ async function handleAction(actionId, source = "keyboard", runId = "") {
     }
     if (!contextHasResolvableIdentity(initialContext)) {
       const missingIdentityMessage =
-        String(initialContext?.sourcePlatform || "").trim().toLowerCase() === "gmail"
+        glsIsEmailThreadPlatform(initialContext?.sourcePlatform)
           ? describeContextSignals(initialContext)
           : "Could not detect a candidate identity on this page.";
       showToast(missingIdentityMessage, true);
@@ -10443,14 +16113,34 @@ async function handleAction(actionId, source = "keyboard", runId = "") {
         actionId,
         runId: effectiveRunId,
         message:
-          String(initialContext?.sourcePlatform || "").trim().toLowerCase() === "gmail"
-            ? "Action blocked because a Gem candidate could not be detected from this Gmail thread."
+          glsIsEmailThreadPlatform(initialContext?.sourcePlatform)
+            ? "Action blocked because a Gem candidate could not be detected from this email thread."
             : "Action blocked because candidate identity could not be detected.",
         link: initialLink
       });
       return { ok: false, message: missingIdentityMessage, runId: effectiveRunId, debugSummary: contextSignalSummary };
     }
 
+    if (actionId === ACTIONS.ADD_THREAD_TO_PROJECT) {
+      if (!glsIsEmailThreadPlatform(initialContext?.sourcePlatform)) {
+        const message = "Open a Gmail or Outlook thread to add its participants to a project.";
+        showToast(message, true);
+        return { ok: false, message, runId: effectiveRunId, debugSummary: contextSignalSummary };
+      }
+      const result = await runGmailThreadAddToProject(effectiveRunId, initialContext);
+      showToast(result.message, !result.ok);
+      return { ...result, runId: effectiveRunId, debugSummary: contextSignalSummary };
+    }
+
+    if (
+      glsIsEmailThreadPlatform(initialContext?.sourcePlatform) &&
+      !(await chooseGmailParticipantForContext(effectiveRunId, initialContext))
+    ) {
+      const message = "Action cancelled.";
+      showToast(message, true);
+      return { ok: false, message, runId: effectiveRunId, debugSummary: contextSignalSummary };
+    }
+
     if (actionId === ACTIONS.MANAGE_EMAILS) {
       const result = await showEmailPicker(effectiveRunId, initialContext);
       if (!result) {
@@ -10461,6 +16151,22 @@ async function handleAction(actionId, source = "keyboard", runId = "") {
       return { ok: true, message: "Opened email picker.", runId: effectiveRunId, debugSummary: contextSignalSummary };
     }
 
+    if (actionId === ACTIONS.MANAGE_PHONES) {
+      const result = await showPhonePicker(effectiveRunId, initialContext);
+      if (!result) {
+        const message = "Action cancelled.";
+        showToast(message, true);
+        return { ok: false, message, runId: effectiveRunId, debugSummary: contextSignalSummary };
+      }
+      return { ok: true, message: "Opened phone picker.", runId: effectiveRunId, debugSummary: contextSignalSummary };
+    }
+
+    if (actionId === ACTIONS.CAPTURE_CONTACT_INFO) {
+      const result = await runCaptureContactInfo(effectiveRunId, initialContext);
+      showToast(result.message, !result.ok);
+      return { ...result, runId: effectiveRunId, debugSummary: contextSignalSummary };
+    }
+
     const context = await getRuntimeContext(actionId, settings, effectiveRunId);
     if (!context) {
       const message = "Action cancelled.";
@@ -10598,7 +16304,18 @@ async function handleAction(actionId, source = "keyboard", runId = "") {
           runId: result.runId || effectiveRunId
         }).catch(() => {});
       }
-      showToast(result.message || "Action completed.");
+      if (result.undoAvailable) {
+        const undoTargetRunId = result.runId || effectiveRunId;
+        showToast(result.message || "Action completed.", false, {
+          actionLabel: "Undo",
+          durationMs: 8000,
+          onAction: () => {
+            runUndoLastAction("toast", generateRunId(), undoTargetRunId).catch(() => {});
+          }
+        });
+      } else {
+        showToast(result.message || "Action completed.");
+      }
       if (actionId === ACTIONS.UPLOAD_TO_ASHBY && result.link) {
         showAshbyUploadResultCard(result.link, result.message || "Candidate uploaded to Ashby.");
       }
@@ -12919,7 +18636,12 @@ function onKeyDown(event) {
     updateShortcutDiagnostics("blocked:no-action");
     return;
   }
-  if (actionId !== ACTIONS.GEM_ACTIONS && !supportedPage) {
+  if (
+    actionId !== ACTIONS.GEM_ACTIONS &&
+    actionId !== ACTIONS.UNDO_LAST_ACTION &&
+    !supportedPage &&
+    !isBulkAddToProjectAction(actionId)
+  ) {
     updateShortcutDiagnostics("blocked:unsupported-page");
     return;
   }
@@ -43,6 +43,7 @@
     deferredRefreshTimerId: 0,
     deferredRefreshIdleId: 0,
     refreshRequestId: 0,
+    ashbyRequestId: 0,
     identityRetryTimerId: 0,
     identityRetryAttempt: 0,
     contextCache: {
@@ -610,6 +611,32 @@
         text-overflow: ellipsis;
         text-shadow: 0 0 10px rgba(255, 215, 220, 0.22);
       }
+      .gls-linkedin-passive-ashby-card {
+        max-width: 100%;
+        padding: 6px 12px;
+        border-radius: 10px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        background: rgba(14, 16, 21, 0.92);
+        color: #f8fafc;
+        font-size: 13px;
+        line-height: 1.3;
+        box-shadow: 0 6px 16px rgba(15, 23, 42, 0.28);
+      }
+      .gls-linkedin-passive-ashby-card[data-gls-ashby-found="true"] {
+        border-color: rgba(145, 120, 255, 0.6);
+      }
+      .gls-linkedin-passive-ashby-title {
+        font-weight: 700;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      .gls-linkedin-passive-ashby-application {
+        color: #d6deea;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
       @media (max-width: 900px) {
         .gls-linkedin-passive-status-stack {
           width: min(360px, calc(100vw - (var(--gls-status-banner-gap) * 2)));
@@ -704,13 +731,18 @@
     dncValue.className = "gls-linkedin-passive-dnc-value";
     dncValue.textContent = "Do not contact";
 
+    const ashbyCard = document.createElement("div");
+    ashbyCard.className = "gls-linkedin-passive-ashby-card";
+    ashbyCard.hidden = true;
+
     statusCard.appendChild(statusValue);
     dncCard.appendChild(dncValue);
     stack.appendChild(statusCard);
     stack.appendChild(dncCard);
+    stack.appendChild(ashbyCard);
     root.appendChild(stack);
     (document.body || document.documentElement).appendChild(root);
-    state.indicatorElements = { root, stack, statusCard, statusValue, dncCard, dncValue };
+    state.indicatorElements = { root, stack, statusCard, statusValue, dncCard, dncValue, ashbyCard };
 
     window.addEventListener(
       "resize",
@@ -727,6 +759,10 @@
   }
 
   function hideIndicator() {
+    state.ashbyRequestId += 1;
+    if (state.indicatorElements?.ashbyCard) {
+      state.indicatorElements.ashbyCard.hidden = true;
+    }
     if (state.indicatorElements?.root) {
       state.indicatorElements.root.hidden = true;
       state.indicatorElements.root.setAttribute("data-gls-status-state", INDICATOR_VIEW_STATES.HIDDEN);
@@ -794,6 +830,41 @@
     });
   }
 
+  function renderAshbyCard(status) {
+    const elements = ensureIndicatorElements();
+    const card = elements.ashbyCard;
+    card.innerHTML = "";
+    if (!status?.available) {
+      card.hidden = true;
+      return;
+    }
+    const applications = Array.isArray(status.applications) ? status.applications : [];
+    const title = document.createElement("div");
+    title.className = "gls-linkedin-passive-ashby-title";
+    if (!status.found) {
+      title.textContent = "Not in Ashby";
+    } else if (applications.length === 0) {
+      title.textContent = "In Ashby · no active applications";
+    } else {
+      title.textContent = `In Ashby · ${applications.length} active application${applications.length === 1 ? "" : "s"}`;
+    }
+    card.appendChild(title);
+    applications.slice(0, 3).forEach((application) => {
+      const row = document.createElement("div");
+      row.className = "gls-linkedin-passive-ashby-application";
+      row.textContent = [application.jobName || "Untitled job", application.stageTitle].filter(Boolean).join(" · ");
+      card.appendChild(row);
+    });
+    if (applications.length > 3) {
+      const more = document.createElement("div");
+      more.className = "gls-linkedin-passive-ashby-application";
+      more.textContent = `+${applications.length - 3} more`;
+      card.appendChild(more);
+    }
+    card.setAttribute("data-gls-ashby-found", status.found ? "true" : "false");
+    card.hidden = false;
+  }
+
   function scheduleRefresh(delayMs = VISIBLE_REFRESH_MS) {
     clearRefreshTimer();
     if (document.visibilityState !== "visible" || !isStatusEnabled()) {
@@ -859,6 +930,30 @@
     return response;
   }
 
+  async function loadPassiveAshbyStatus(context, options = {}) {
+    const response = await sendRuntimeMessage({
+      type: "GET_PASSIVE_ASHBY_STATUS",
+      context,
+      forceRefresh: Boolean(options.forceRefresh)
+    });
+    if (!response?.ok) {
+      throw new Error(response?.message || "Could not load Ashby status.");
+    }
+    return response;
+  }
+
+  function refreshAshbyStatus(context, options = {}) {
+    const requestId = ++state.ashbyRequestId;
+    loadPassiveAshbyStatus(context, options)
+      .then((status) => {
+        if (requestId !== state.ashbyRequestId || state.indicatorViewState === INDICATOR_VIEW_STATES.HIDDEN) {
+          return;
+        }
+        renderAshbyCard(status);
+      })
+      .catch(() => {});
+  }
+
   async function refreshStatus(options = {}) {
     if (!glsIsLinkedInProfilePage()) {
       invalidatePendingRefreshRequests();
@@ -904,6 +999,7 @@
       } else {
         renderNotInGemIndicator();
       }
+      refreshAshbyStatus(context, { forceRefresh: Boolean(options.forceRefresh) });
     } catch (_error) {
       if (requestId !== state.refreshRequestId) {
         return;
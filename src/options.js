@@ -14,6 +14,13 @@ const createdByUserEmailInput = document.getElementById("createdByUserEmail");
 const gemUserSelectEl = document.getElementById("gemUserSelect");
 const loadGemUsersBtn = document.getElementById("load-gem-users");
 const gemStatusDisplayModeSelect = document.getElementById("gemStatusDisplayMode");
+const createdByUserNameInput = document.getElementById("createdByUserName");
+const noteTemplatesListEl = document.getElementById("note-templates-list");
+const addNoteTemplateBtn = document.getElementById("add-note-template");
+const refreshRemindersBtn = document.getElementById("refresh-reminders");
+const copyReminderCalendarBtn = document.getElementById("copy-reminder-calendar");
+const remindersMetaEl = document.getElementById("reminders-meta");
+const remindersListEl = document.getElementById("reminders-list");
 
 let activeShortcutEditor = null;
 let latestRenderedLogs = [];
@@ -59,28 +66,85 @@ function syncShortcutUiLabels() {
   });
 }
 
+function appendNoteTemplateRow(template = {}) {
+  const row = document.createElement("div");
+  row.className = "note-template-row";
+
+  const head = document.createElement("div");
+  head.className = "note-template-head";
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "note-template-name";
+  nameInput.placeholder = "Template name";
+  nameInput.maxLength = NOTE_TEMPLATE_NAME_MAX_LENGTH;
+  nameInput.value = template.name || "";
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "secondary";
+  removeBtn.textContent = "Remove";
+  removeBtn.addEventListener("click", () => {
+    row.remove();
+    syncNoteTemplateControls();
+  });
+  head.appendChild(nameInput);
+  head.appendChild(removeBtn);
+
+  const bodyInput = document.createElement("textarea");
+  bodyInput.className = "note-template-body";
+  bodyInput.placeholder = "Screened {{profileName}} on {{today}}: ...";
+  bodyInput.maxLength = NOTE_TEMPLATE_BODY_MAX_LENGTH;
+  bodyInput.value = template.body || "";
+
+  row.appendChild(head);
+  row.appendChild(bodyInput);
+  noteTemplatesListEl.appendChild(row);
+  syncNoteTemplateControls();
+  return row;
+}
+
+function syncNoteTemplateControls() {
+  addNoteTemplateBtn.disabled = noteTemplatesListEl.children.length >= NOTE_TEMPLATE_LIMIT;
+}
+
+function writeNoteTemplates(templates) {
+  noteTemplatesListEl.innerHTML = "";
+  normalizeNoteTemplates(templates).forEach((template) => appendNoteTemplateRow(template));
+  syncNoteTemplateControls();
+}
+
+function readNoteTemplateRows() {
+  return Array.from(noteTemplatesListEl.querySelectorAll(".note-template-row")).map((row) => ({
+    name: String(row.querySelector(".note-template-name")?.value || "").trim(),
+    body: String(row.querySelector(".note-template-body")?.value || "").trim()
+  }));
+}
+
 function readInputs() {
   const gemStatusDisplayMode = normalizeGemStatusDisplayMode(document.getElementById("gemStatusDisplayMode").value, true);
   const shortcuts = Object.fromEntries(SHORTCUT_IDS.map((shortcutId) => [shortcutId, getShortcutValue(shortcutId)]));
   return {
     enabled: document.getElementById("enabled").checked,
+    reminderNotificationsEnabled: document.getElementById("reminderNotificationsEnabled").checked,
     gemStatusDisplayMode,
     backendBaseUrl: document.getElementById("backendBaseUrl").value.trim(),
     backendSharedToken: document.getElementById("backendSharedToken").value.trim(),
     createdByUserId: document.getElementById("createdByUserId").value.trim(),
     createdByUserEmail: document.getElementById("createdByUserEmail").value.trim(),
+    createdByUserName: createdByUserNameInput.value.trim(),
     defaultProjectId: document.getElementById("defaultProjectId").value.trim(),
     defaultSequenceId: document.getElementById("defaultSequenceId").value.trim(),
     customFieldId: document.getElementById("customFieldId").value.trim(),
     customFieldValue: document.getElementById("customFieldValue").value.trim(),
     activityUrlTemplate: document.getElementById("activityUrlTemplate").value.trim(),
     sequenceComposeUrlTemplate: document.getElementById("sequenceComposeUrlTemplate").value.trim(),
+    noteTemplates: readNoteTemplateRows().filter((template) => template.name || template.body),
     shortcuts
   };
 }
 
 function writeInputs(settings) {
   document.getElementById("enabled").checked = !!settings.enabled;
+  document.getElementById("reminderNotificationsEnabled").checked = settings.reminderNotificationsEnabled !== false;
   const normalizedMode = getGemStatusDisplayModeFromSettings(settings, true);
   document.getElementById("gemStatusDisplayMode").value = normalizedMode;
   document.getElementById("gemStatusDisplayMode").dataset.current = normalizedMode;
@@ -88,12 +152,14 @@ function writeInputs(settings) {
   document.getElementById("backendSharedToken").value = settings.backendSharedToken || "";
   document.getElementById("createdByUserId").value = settings.createdByUserId || "";
   document.getElementById("createdByUserEmail").value = settings.createdByUserEmail || "";
+  createdByUserNameInput.value = settings.createdByUserName || "";
   document.getElementById("defaultProjectId").value = settings.defaultProjectId || "";
   document.getElementById("defaultSequenceId").value = settings.defaultSequenceId || "";
   document.getElementById("customFieldId").value = settings.customFieldId || "";
   document.getElementById("customFieldValue").value = settings.customFieldValue || "";
   document.getElementById("activityUrlTemplate").value = settings.activityUrlTemplate || "";
   document.getElementById("sequenceComposeUrlTemplate").value = settings.sequenceComposeUrlTemplate || "";
+  writeNoteTemplates(settings.noteTemplates);
 
   SHORTCUT_IDS.forEach((shortcutId) => {
     setShortcutValue(shortcutId, settings.shortcuts?.[shortcutId] || "");
@@ -124,6 +190,18 @@ function validateSettings(settings) {
     return `Backend base URL must use one of: ${formatAllowedBackendOriginsForDisplay()}`;
   }
 
+  const templateNames = new Set();
+  for (const template of settings.noteTemplates || []) {
+    if (!template.name || !template.body) {
+      return "Each note template needs a name and text.";
+    }
+    const nameKey = template.name.toLowerCase();
+    if (templateNames.has(nameKey)) {
+      return `Duplicate note template name: ${template.name}`;
+    }
+    templateNames.add(nameKey);
+  }
+
   const seen = new Set();
   for (const [action, shortcut] of Object.entries(settings.shortcuts)) {
     if (!shortcut) {
@@ -220,6 +298,7 @@ function repopulateGemUserPicker(users = []) {
     option.value = user.id;
     option.textContent = buildGemUserLabel(user);
     option.dataset.email = String(user.email || "").trim();
+    option.dataset.name = String(user.name || "").trim();
     gemUserSelectEl.appendChild(option);
     const userEmailLower = String(user.email || "").trim().toLowerCase();
     const matchesById = Boolean(currentUserId) && user.id === currentUserId;
@@ -434,6 +513,57 @@ async function clearLogs() {
   await refreshLogs();
 }
 
+async function refreshReminders(options = {}) {
+  remindersMetaEl.textContent = "Loading reminders...";
+  const response = await sendRuntimeMessage({
+    type: "LIST_MY_REMINDERS",
+    includeLater: true,
+    forceRefresh: Boolean(options.forceRefresh)
+  });
+  if (!response?.ok) {
+    remindersMetaEl.textContent = "";
+    throw new Error(response?.message || "Could not load reminders.");
+  }
+  const reminders = Array.isArray(response.reminders) ? response.reminders : [];
+  remindersMetaEl.textContent = `${reminders.length} reminder${reminders.length === 1 ? "" : "s"}${
+    response.isComplete ? "" : " (candidate scan limit reached; some reminders may be missing)"
+  }.`;
+  renderReminderGroups(remindersListEl, reminders, {
+    onDone: (reminder) =>
+      updateReminder(
+        { type: "COMPLETE_REMINDER", candidateId: reminder.candidateId, note: reminder.note, dueDate: reminder.dueDate },
+        parseReminderNote(reminder.note).repeat ? "Marked reminder done. Scheduled the next one." : "Marked reminder done."
+      ),
+    onSnooze: (reminder, days) =>
+      updateReminder(
+        { type: "SNOOZE_REMINDER", candidateId: reminder.candidateId, note: reminder.note, days },
+        `Snoozed reminder for ${reminder.name || "candidate"}.`
+      )
+  });
+}
+
+async function updateReminder(message, statusText) {
+  try {
+    const response = await sendRuntimeMessage(message);
+    if (!response?.ok) {
+      throw new Error(response?.message || "Could not update reminder.");
+    }
+    setStatus(statusText);
+    await refreshReminders();
+  } catch (error) {
+    setStatus(error.message, true);
+  }
+}
+
+async function copyReminderCalendarLink() {
+  const response = await sendRuntimeMessage({ type: "GET_REMINDER_CALENDAR_URL" });
+  if (!response?.ok) {
+    throw new Error(response?.message || "Could not get calendar link.");
+  }
+  await navigator.clipboard.writeText(response.url);
+  setStatus("Calendar link copied.");
+}
+
 async function loadSettings() {
   const response = await sendRuntimeMessage({ type: "GET_SETTINGS" });
   if (!response?.ok) {
@@ -545,6 +675,14 @@ shortcutEditors.forEach((button) => {
   });
 });
 
+refreshRemindersBtn.addEventListener("click", () => {
+  refreshReminders({ forceRefresh: true }).catch((error) => setStatus(error.message, true));
+});
+
+copyReminderCalendarBtn.addEventListener("click", () => {
+  copyReminderCalendarLink().catch((error) => setStatus(error.message, true));
+});
+
 refreshLogsBtn.addEventListener("click", () => {
   refreshLogs().catch((error) => setStatus(error.message, true));
 });
@@ -568,6 +706,10 @@ gemUserSelectEl.addEventListener("change", () => {
     if (selectedEmail) {
       createdByUserEmailInput.value = selectedEmail;
     }
+    const selectedName = String(selectedOption?.dataset?.name || "").trim();
+    if (selectedName) {
+      createdByUserNameInput.value = selectedName;
+    }
     setStatus("Selected Gem user. Save to apply.");
   }
 });
@@ -580,6 +722,11 @@ createdByUserEmailInput.addEventListener("input", () => {
   syncUserPickerFromCurrentIdentity();
 });
 
+addNoteTemplateBtn.addEventListener("click", () => {
+  const row = appendNoteTemplateRow();
+  row.querySelector(".note-template-name")?.focus();
+});
+
 gemStatusDisplayModeSelect.addEventListener("change", () => {
   const previousMode = normalizeGemStatusDisplayMode(gemStatusDisplayModeSelect.dataset.current || "", true);
   const selectedMode = normalizeGemStatusDisplayMode(gemStatusDisplayModeSelect.value, true);
@@ -610,3 +757,6 @@ resetBtn.addEventListener("click", () => {
 Promise.all([loadSettings(), refreshLogs()])
   .then(() => loadGemUsers({ quiet: true }))
   .catch((error) => setStatus(error.message, true));
+refreshReminders().catch((error) => {
+  remindersMetaEl.textContent = error.message;
+});
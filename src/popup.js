@@ -5,13 +5,20 @@ const gemStatusDisplayModeSelect = document.getElementById("gemStatusDisplayMode
 const statusEl = document.getElementById("status");
 const optionsBtn = document.getElementById("open-options");
 const actionButtons = Array.from(document.querySelectorAll("button[data-action]"));
+const outboxSection = document.getElementById("outbox");
+const outboxList = document.getElementById("outbox-list");
+const remindersSection = document.getElementById("reminders");
+const remindersList = document.getElementById("reminders-list");
 const LINKEDIN_BOOTSTRAP_FILES = ["src/shared.js", "src/content_bootstrap.js"];
 const FULL_RUNTIME_FILES = ["src/shared.js", "src/content.js"];
 const SUPPORTED_TAB_PATTERNS = [
   /^https:\/\/www\.linkedin\.com\/(?:in|pub)\//i,
   /^https:\/\/www\.linkedin\.com\/talent(?:\/[^/]+)?\/profile\//i,
+  /^https:\/\/www\.linkedin\.com\/search\/results\/people\//i,
+  /^https:\/\/www\.linkedin\.com\/talent\/hire\/[^/]+\/(?:discover|manage)\//i,
   /^https:\/\/(?:www|app)\.gem\.com\/(?:candidate|projects)\//i,
   /^https:\/\/mail\.google\.com\/mail\//i,
+  /^https:\/\/outlook\.(?:office|live)\.com\/mail\//i,
   /^https:\/\/github\.com\//i
 ];
 
@@ -34,7 +41,7 @@ function isRecoverableContentError(message) {
 }
 
 function getUnsupportedTabMessage() {
-  return "Open a LinkedIn, Gem candidate, Gem project, GitHub profile, or Gmail thread tab and retry. If that tab is already supported, refresh it after the extension update.";
+  return "Open a LinkedIn profile or people list, Gem candidate, Gem project, GitHub profile, or Gmail or Outlook thread tab and retry. If that tab is already supported, refresh it after the extension update.";
 }
 
 function isSupportedTabUrl(url) {
@@ -54,6 +61,10 @@ function isGmailTabUrl(url) {
   return /^https:\/\/mail\.google\.com\/mail\//i.test(String(url || "").trim());
 }
 
+function isOutlookTabUrl(url) {
+  return /^https:\/\/outlook\.(?:office|live)\.com\/mail\//i.test(String(url || "").trim());
+}
+
 function syncActionButtonLabels() {
   actionButtons.forEach((button) => {
     const actionId = String(button.getAttribute("data-action") || "").trim();
@@ -305,8 +316,8 @@ async function runActionDirect(actionId, context) {
   return response;
 }
 
-function shouldRunDirectGmailPopupAction(tab, actionId) {
-  if (!isGmailTabUrl(tab?.url || "")) {
+function shouldRunDirectEmailThreadPopupAction(tab, actionId) {
+  if (!isGmailTabUrl(tab?.url || "") && !isOutlookTabUrl(tab?.url || "")) {
     return false;
   }
   return actionId === ACTIONS.OPEN_ACTIVITY || actionId === ACTIONS.OPEN_ASHBY_PROFILE;
@@ -424,7 +435,7 @@ actionButtons.forEach((button) => {
       setStatus("Running action...");
       await ensureContentScriptReady(activeTab);
       const tabId = Number(activeTab?.id);
-      const response = shouldRunDirectGmailPopupAction(activeTab, actionId)
+      const response = shouldRunDirectEmailThreadPopupAction(activeTab, actionId)
         ? await runActionDirect(actionId, {
             ...(await getActionContextFromTab(tabId)),
             source: "popup",
@@ -454,11 +465,121 @@ actionButtons.forEach((button) => {
   });
 });
 
+function formatOutboxTime(timestamp) {
+  const value = Number(timestamp) || 0;
+  return value ? new Date(value).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" }) : "";
+}
+
+function renderOutbox(entries) {
+  const items = Array.isArray(entries) ? entries : [];
+  outboxSection.hidden = items.length === 0;
+  outboxList.innerHTML = "";
+  items.forEach((entry) => {
+    const isFailed = entry.status === "failed";
+    const item = document.createElement("li");
+    item.className = isFailed ? "failed" : "pending";
+
+    const label = document.createElement("div");
+    label.textContent = entry.label || entry.actionId;
+
+    const meta = document.createElement("div");
+    meta.className = "outbox-meta";
+    meta.textContent = entry.unconfirmed
+      ? `Not confirmed: ${entry.lastError || "Check Gem before retrying."}`
+      : isFailed
+        ? `Failed after ${entry.attempts} attempts: ${entry.lastError || "Unknown error."}`
+      : `Queued · attempt ${entry.attempts} · next retry ${formatOutboxTime(entry.nextAttemptAt)}`;
+
+    const actions = document.createElement("div");
+    actions.className = "outbox-actions";
+    const retryBtn = document.createElement("button");
+    retryBtn.type = "button";
+    retryBtn.className = "secondary";
+    retryBtn.textContent = "Retry now";
+    retryBtn.addEventListener("click", () => updateOutboxEntry("RETRY_OUTBOX_ENTRY", entry.id, "Retrying queued action..."));
+    const discardBtn = document.createElement("button");
+    discardBtn.type = "button";
+    discardBtn.className = "secondary";
+    discardBtn.textContent = "Discard";
+    discardBtn.addEventListener("click", () => updateOutboxEntry("DISCARD_OUTBOX_ENTRY", entry.id, "Discarded queued action."));
+    actions.appendChild(retryBtn);
+    actions.appendChild(discardBtn);
+
+    item.appendChild(label);
+    item.appendChild(meta);
+    item.appendChild(actions);
+    outboxList.appendChild(item);
+  });
+}
+
+async function loadOutbox() {
+  const response = await sendRuntimeMessage({ type: "GET_OUTBOX" });
+  if (!response?.ok) {
+    throw new Error(response?.message || "Could not load outbox.");
+  }
+  renderOutbox(response.entries);
+}
+
+async function updateOutboxEntry(messageType, entryId, statusText) {
+  try {
+    setStatus(statusText);
+    const response = await sendRuntimeMessage({ type: messageType, entryId });
+    if (!response?.ok) {
+      throw new Error(response?.message || "Could not update outbox.");
+    }
+    renderOutbox(response.entries);
+  } catch (error) {
+    setStatus(error.message, true);
+  }
+}
+
+async function loadReminders() {
+  const response = await sendRuntimeMessage({ type: "LIST_MY_REMINDERS" });
+  if (!response?.ok) {
+    throw new Error(response?.message || "Could not load reminders.");
+  }
+  const reminders = Array.isArray(response.reminders) ? response.reminders : [];
+  remindersSection.hidden = reminders.length === 0;
+  renderReminderGroups(remindersList, reminders, {
+    onDone: (reminder) =>
+      updateReminder(
+        { type: "COMPLETE_REMINDER", candidateId: reminder.candidateId, note: reminder.note, dueDate: reminder.dueDate },
+        parseReminderNote(reminder.note).repeat ? "Marked reminder done. Scheduled the next one." : "Marked reminder done."
+      ),
+    onSnooze: (reminder, days) =>
+      updateReminder(
+        { type: "SNOOZE_REMINDER", candidateId: reminder.candidateId, note: reminder.note, days },
+        `Snoozed reminder for ${reminder.name || "candidate"}.`
+      )
+  });
+}
+
+async function updateReminder(message, statusText) {
+  try {
+    const response = await sendRuntimeMessage(message);
+    if (!response?.ok) {
+      throw new Error(response?.message || "Could not update reminder.");
+    }
+    setStatus(statusText);
+    await loadReminders();
+  } catch (error) {
+    setStatus(error.message, true);
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === "local" && Object.prototype.hasOwnProperty.call(changes || {}, OUTBOX_STORAGE_KEY)) {
+    renderOutbox(changes[OUTBOX_STORAGE_KEY]?.newValue);
+  }
+});
+
 optionsBtn.addEventListener("click", () => {
   chrome.runtime.openOptionsPage();
 });
 
 syncActionButtonLabels();
+loadOutbox().catch(() => {});
+loadReminders().catch(() => {});
 
 loadState()
   .then(async () => {
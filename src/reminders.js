@@ -0,0 +1,110 @@
+"use strict";
+
+const REMINDER_BUCKETS = [
+  { id: "overdue", label: "Overdue" },
+  { id: "today", label: "Today" },
+  { id: "week", label: "This week" },
+  { id: "later", label: "Later" }
+];
+
+const REMINDER_SNOOZE_OPTIONS = [
+  { days: 1, label: "+1 day" },
+  { days: 7, label: "+1 week" }
+];
+
+function formatReminderDate(isoDate) {
+  const parsed = new Date(`${String(isoDate || "").trim()}T00:00:00`);
+  if (Number.isNaN(parsed.getTime())) {
+    return String(isoDate || "");
+  }
+  return parsed.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+}
+
+function createReminderLink(label, url) {
+  const link = document.createElement("a");
+  link.href = url;
+  link.target = "_blank";
+  link.rel = "noopener noreferrer";
+  link.textContent = label;
+  return link;
+}
+
+function renderReminderGroups(container, reminders, handlers = {}) {
+  const items = Array.isArray(reminders) ? reminders : [];
+  container.innerHTML = "";
+  if (items.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "hint";
+    empty.textContent = "No reminders due this week.";
+    container.appendChild(empty);
+    return;
+  }
+
+  REMINDER_BUCKETS.forEach((bucket) => {
+    const bucketItems = items.filter((reminder) => reminder.bucket === bucket.id);
+    if (bucketItems.length === 0) {
+      return;
+    }
+    const group = document.createElement("div");
+    group.className = `reminder-group ${bucket.id}`;
+    const heading = document.createElement("h3");
+    heading.textContent = `${bucket.label} (${bucketItems.length})`;
+    group.appendChild(heading);
+
+    const list = document.createElement("ul");
+    bucketItems.forEach((reminder) => {
+      const item = document.createElement("li");
+
+      const name = document.createElement("div");
+      name.className = "reminder-name";
+      name.textContent = reminder.name || "Unnamed candidate";
+
+      const { note: noteText, repeat } = parseReminderNote(reminder.note);
+      const meta = document.createElement("div");
+      meta.className = "reminder-meta";
+      meta.textContent = [
+        formatReminderDate(reminder.dueDate),
+        getReminderRepeatRule(repeat)?.label || "",
+        [reminder.title, reminder.company].filter(Boolean).join(" at ")
+      ]
+        .filter(Boolean)
+        .join(" · ");
+
+      item.appendChild(name);
+      item.appendChild(meta);
+      if (noteText) {
+        const note = document.createElement("div");
+        note.className = "reminder-note";
+        note.textContent = noteText;
+        item.appendChild(note);
+      }
+
+      const actions = document.createElement("div");
+      actions.className = "reminder-actions";
+      if (reminder.linkedInUrl) {
+        actions.appendChild(createReminderLink("LinkedIn", reminder.linkedInUrl));
+      }
+      if (reminder.gemProfileUrl) {
+        actions.appendChild(createReminderLink("Gem", reminder.gemProfileUrl));
+      }
+      const doneBtn = document.createElement("button");
+      doneBtn.type = "button";
+      doneBtn.className = "secondary";
+      doneBtn.textContent = "Done";
+      doneBtn.addEventListener("click", () => handlers.onDone?.(reminder));
+      actions.appendChild(doneBtn);
+      REMINDER_SNOOZE_OPTIONS.forEach((option) => {
+        const snoozeBtn = document.createElement("button");
+        snoozeBtn.type = "button";
+        snoozeBtn.className = "secondary";
+        snoozeBtn.textContent = option.label;
+        snoozeBtn.addEventListener("click", () => handlers.onSnooze?.(reminder, option.days));
+        actions.appendChild(snoozeBtn);
+      });
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+    group.appendChild(list);
+    container.appendChild(group);
+  });
+}
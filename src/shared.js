@@ -1,7 +1,7 @@
 "use strict";
 
 globalThis.__GLS_SHARED_RUNTIME_READY__ = true;
-const CONTENT_RUNTIME_VERSION = "2026-03-25-1";
+const CONTENT_RUNTIME_VERSION = "2026-10-19-22";
 
 const ACTIONS = Object.freeze({
   GEM_ACTIONS: "gemActions",
@@ -9,13 +9,21 @@ const ACTIONS = Object.freeze({
   ADD_TO_PROJECT: "addToProject",
   ADD_NOTE_TO_CANDIDATE: "addNoteToCandidate",
   MANAGE_EMAILS: "manageEmails",
+  MANAGE_PHONES: "managePhones",
+  CAPTURE_CONTACT_INFO: "captureContactInfo",
+  LOG_GMAIL_THREAD: "logGmailThread",
+  ADD_THREAD_TO_PROJECT: "addThreadToProject",
   UPLOAD_TO_ASHBY: "uploadToAshby",
   OPEN_ASHBY_PROFILE: "openAshbyProfile",
   OPEN_ACTIVITY: "openActivity",
   SET_CUSTOM_FIELD: "setCustomField",
   SET_REMINDER: "setReminder",
   SEND_SEQUENCE: "sendSequence",
-  EDIT_SEQUENCE: "editSequence"
+  EDIT_SEQUENCE: "editSequence",
+  UPLOAD_RESUME: "uploadResume",
+  SET_PROJECT_FIELD: "setProjectField",
+  UNDO_LAST_ACTION: "undoLastAction",
+  ASHBY_MOVE_STAGE: "ashbyMoveStage"
 });
 
 const GEM_STATUS_DISPLAY_MODE_SHORTCUT_ID = "cycleGemStatusDisplayMode";
@@ -36,7 +44,23 @@ const ACTION_DEFINITIONS = Object.freeze([
   Object.freeze({ id: ACTIONS.MANAGE_EMAILS, label: "Manage Emails", defaultShortcut: "Cmd+Option+8" }),
   Object.freeze({ id: ACTIONS.SET_REMINDER, label: "Set Reminder", defaultShortcut: "Cmd+Option+9" }),
   Object.freeze({ id: ACTIONS.SEND_SEQUENCE, label: "Open Sequence", defaultShortcut: "Cmd+Option+0" }),
-  Object.freeze({ id: ACTIONS.EDIT_SEQUENCE, label: "Edit Sequence", defaultShortcut: "Cmd+Control+Option+1" })
+  Object.freeze({ id: ACTIONS.EDIT_SEQUENCE, label: "Edit Sequence", defaultShortcut: "Cmd+Control+Option+1" }),
+  Object.freeze({ id: ACTIONS.UPLOAD_RESUME, label: "Upload Resume", defaultShortcut: "Cmd+Control+Option+2" }),
+  Object.freeze({ id: ACTIONS.SET_PROJECT_FIELD, label: "Set Project Field", defaultShortcut: "Cmd+Control+Option+3" }),
+  Object.freeze({ id: ACTIONS.UNDO_LAST_ACTION, label: "Undo Last Action", defaultShortcut: "Cmd+Control+Option+Z" }),
+  Object.freeze({ id: ACTIONS.ASHBY_MOVE_STAGE, label: "Ashby: Move Stage", defaultShortcut: "Cmd+Control+Option+4" }),
+  Object.freeze({ id: ACTIONS.MANAGE_PHONES, label: "Manage Phones", defaultShortcut: "Cmd+Control+Option+5" }),
+  Object.freeze({
+    id: ACTIONS.CAPTURE_CONTACT_INFO,
+    label: "Capture Contact Info",
+    defaultShortcut: "Cmd+Control+Option+6"
+  }),
+  Object.freeze({ id: ACTIONS.LOG_GMAIL_THREAD, label: "Log Thread to Gem", defaultShortcut: "Cmd+Control+Option+7" }),
+  Object.freeze({
+    id: ACTIONS.ADD_THREAD_TO_PROJECT,
+    label: "Add Thread People to Project",
+    defaultShortcut: "Cmd+Control+Option+8"
+  })
 ]);
 
 const SETTING_SHORTCUT_DEFINITIONS = Object.freeze([
@@ -128,6 +152,8 @@ const ALLOWED_BACKEND_ORIGINS = Object.freeze([
   "https://127.0.0.1"
 ]);
 
+const OUTBOX_STORAGE_KEY = "actionOutbox";
+
 const GEM_STATUS_DISPLAY_MODES = Object.freeze({
   STATUS_ONLY: "statusOnly",
   OFF: "off"
@@ -140,15 +166,33 @@ const DEFAULT_SETTINGS = {
   backendSharedToken: "",
   createdByUserId: "",
   createdByUserEmail: "",
+  createdByUserName: "",
   defaultProjectId: "",
   defaultSequenceId: "",
   customFieldId: "",
   customFieldValue: "",
   activityUrlTemplate: "",
   sequenceComposeUrlTemplate: "https://www.gem.com/sequence/{{sequenceId}}/edit/stages",
+  noteTemplates: [],
+  reminderNotificationsEnabled: true,
   shortcuts: { ...DEFAULT_SHORTCUTS }
 };
 
+// Templates live in the single chrome.storage.sync settings item (8KB), so keep them small; saves check the total size.
+const NOTE_TEMPLATE_LIMIT = 8;
+const NOTE_TEMPLATE_NAME_MAX_LENGTH = 40;
+const NOTE_TEMPLATE_BODY_MAX_LENGTH = 400;
+const NOTE_TEMPLATE_VARIABLES = Object.freeze(["profileName", "linkedinUrl", "today", "myName", "gemStatus"]);
+
+// Gem due dates only carry date, user and note, so the repeat rule rides along as a marker line in the note.
+const REMINDER_REPEAT_RULES = Object.freeze([
+  Object.freeze({ id: "weekly", label: "Weekly", days: 7 }),
+  Object.freeze({ id: "biweekly", label: "Every 2 weeks", days: 14 }),
+  Object.freeze({ id: "monthly", label: "Monthly", months: 1 }),
+  Object.freeze({ id: "quarterly", label: "Quarterly", months: 3 })
+]);
+const REMINDER_REPEAT_MARKER_PATTERN = /(?:^|\n)\[Repeats: ([^\]\n]+)\]\s*$/;
+
 let cachedKeyboardLayoutMap = null;
 let keyboardLayoutMapPromise = null;
 
@@ -191,6 +235,94 @@ function formatGemStatusDisplayModeLabel(mode, fallbackEnabled = true) {
   return "Off";
 }
 
+function normalizeNoteTemplates(templates) {
+  return (Array.isArray(templates) ? templates : [])
+    .map((template) => ({
+      name: String(template?.name || "").trim().slice(0, NOTE_TEMPLATE_NAME_MAX_LENGTH),
+      body: String(template?.body || "").trim().slice(0, NOTE_TEMPLATE_BODY_MAX_LENGTH)
+    }))
+    .filter((template) => template.name && template.body)
+    .slice(0, NOTE_TEMPLATE_LIMIT);
+}
+
+function renderNoteTemplate(body, variables = {}) {
+  return String(body || "").replace(/\{\{\s*([a-zA-Z]+)\s*\}\}/g, (match, key) =>
+    NOTE_TEMPLATE_VARIABLES.includes(key) ? String(variables[key] || "") : match
+  );
+}
+
+function formatLocalIsoDate(date = new Date()) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return "";
+  }
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function addDaysToLocalIsoDate(isoDate, days) {
+  const match = String(isoDate || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return "";
+  }
+  return formatLocalIsoDate(new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + Number(days || 0)));
+}
+
+function addMonthsToLocalIsoDate(isoDate, months) {
+  const match = String(isoDate || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return "";
+  }
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1 + Math.trunc(Number(months || 0));
+  const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+  return formatLocalIsoDate(new Date(year, monthIndex, Math.min(Number(match[3]), lastDay)));
+}
+
+function getReminderRepeatRule(ruleId) {
+  const id = String(ruleId || "").trim().toLowerCase();
+  return REMINDER_REPEAT_RULES.find((rule) => rule.id === id) || null;
+}
+
+function parseReminderNote(rawNote) {
+  const note = String(rawNote || "");
+  const match = note.match(REMINDER_REPEAT_MARKER_PATTERN);
+  if (!match) {
+    return { note: note.trim(), repeat: "" };
+  }
+  const label = match[1].trim().toLowerCase();
+  const rule = REMINDER_REPEAT_RULES.find((candidate) => candidate.label.toLowerCase() === label);
+  return {
+    note: note.slice(0, match.index).trim(),
+    repeat: rule ? rule.id : ""
+  };
+}
+
+function formatReminderNote(note, repeat) {
+  const text = parseReminderNote(note).note;
+  const rule = getReminderRepeatRule(repeat);
+  if (!rule) {
+    return text;
+  }
+  const marker = `[Repeats: ${rule.label}]`;
+  return text ? `${text}\n${marker}` : marker;
+}
+
+// Steps past today so an overdue repeating reminder does not come back already overdue.
+function getNextReminderRepeatDate(dueDate, repeat, today = formatLocalIsoDate()) {
+  const rule = getReminderRepeatRule(repeat);
+  let next = String(dueDate || "").trim();
+  if (!rule || !/^\d{4}-\d{2}-\d{2}$/.test(next)) {
+    return "";
+  }
+  let steps = 1;
+  do {
+    next = rule.months ? addMonthsToLocalIsoDate(dueDate, rule.months * steps) : addDaysToLocalIsoDate(dueDate, rule.days * steps);
+    steps += 1;
+  } while (next && next <= today && steps < 1000);
+  return next;
+}
+
 function shortcutCanOmitModifier(shortcutId) {
   return LINKEDIN_NATIVE_SHORTCUT_IDS.includes(String(shortcutId || "").trim());
 }
@@ -514,6 +646,17 @@ function glsIsLinkedInProfilePath(pathname) {
   return glsIsLinkedInPublicProfilePath(pathname) || glsIsLinkedInRecruiterProfilePath(pathname);
 }
 
+function glsIsLinkedInPeopleListPath(pathname) {
+  const value = String(pathname || "");
+  if (glsIsLinkedInRecruiterProfilePath(value)) {
+    return false;
+  }
+  return (
+    /^\/search\/results\/people(?:\/|$)/i.test(value) ||
+    /^\/talent\/hire\/[^/]+\/(?:discover|manage)(?:\/|$)/i.test(value)
+  );
+}
+
 function glsNormalizeUrl(url = globalThis.location?.href || "", options = {}) {
   const keepHash = Boolean(options.keepHash);
   const keepSearch = Boolean(options.keepSearch);
@@ -566,6 +709,11 @@ function glsIsLinkedInProfilePage(url = globalThis.location?.href || "") {
   }
 }
 
+function glsIsEmailThreadPlatform(sourcePlatform) {
+  const normalized = String(sourcePlatform || "").trim().toLowerCase();
+  return normalized === "gmail" || normalized === "outlook";
+}
+
 function glsIsLinkedInPublicProfilePage(url = globalThis.location?.href || "") {
   const fallback = String(url || "");
   try {
@@ -586,6 +734,18 @@ function glsIsLinkedInRecruiterProfilePage(url = globalThis.location?.href || ""
   }
 }
 
+function glsIsLinkedInPeopleListPage(url = globalThis.location?.href || "") {
+  const fallback = String(url || "");
+  try {
+    const parsed = new URL(fallback, globalThis.location?.origin);
+    return glsIsLinkedInHost(parsed.hostname) && glsIsLinkedInPeopleListPath(parsed.pathname);
+  } catch (_error) {
+    return /^https:\/\/www\.linkedin\.com\/(?:search\/results\/people|talent\/hire\/[^/]+\/(?:discover|manage))(?:[/?#]|$)/i.test(
+      fallback
+    );
+  }
+}
+
 function glsNormalizeLinkedInIdentifier(value) {
   const raw = String(value || "")
     .trim()